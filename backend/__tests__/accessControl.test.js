@@ -0,0 +1,106 @@
+/**
+ * Access control tests
+ * Regional viewers only read the countries, regions and customers of their data scope; dataset imports and
+ * rollbacks are for administrators, while analysts keep read access to the datasets and their snapshots.
+ */
+
+const { startApi } = require('./helpers/api');
+
+describe('roles and data scopes', () => {
+    let api;
+    let admin;
+    let analyst;
+    let customers;
+
+    /**
+     * Read the names listed by an endpoint
+     * @param {string} path - Path below /api
+     * @param {string} token - Access token
+     * @param {string} field - Name field of the listed items
+     * @returns {Promise<Array>} Sorted names
+     */
+    const listNames = async (path, token, field) => {
+        const response = await api.request('GET', path, { token });
+        expect(response.status).toBe(200);
+        return response.body.data.map(item => item[field]).sort();
+    };
+
+    beforeAll(async () => {
+        api = await startApi();
+        admin = await api.signIn('admin');
+        analyst = await api.signIn('analyst');
+
+        const { body } = await api.request('GET', '/customers/concentration?limit=3&sort=customerName', { token: admin.token });
+        customers = body.data.map(customer => customer.customerName);
+
+        await api.request('PUT', '/territories/countries', {
+            token: admin.token,
+            body: { assignments: [{ countryName: 'Brazil', regionName: 'LATAM' }] }
+        });
+        await api.request('PUT', '/territories/customers', {
+            token: admin.token,
+            body: {
+                assignments: [
+                    { customerName: customers[0], countryName: 'Canada' },
+                    { customerName: customers[1], countryName: 'Brazil' },
+                    { customerName: customers[2], countryName: 'Germany' }
+                ]
+            }
+        });
+    });
+
+    afterAll(() => api.close());
+
+    test('a viewer scoped to a country reads that country and its customers only', async () => {
+        const { token } = await api.signIn('regional_viewer', { scope: { countries: ['Canada'] } });
+
+        expect(await listNames('/countries', token, 'countryName')).toEqual(['Canada']);
+        expect(await listNames('/regions', token, 'regionName')).toEqual([]);
+        expect(await listNames('/customers/concentration', token, 'customerName')).toEqual([customers[0]]);
+        expect((await api.request('GET', '/countries/Germany', { token })).status).toBe(404);
+        expect((await api.request('GET', `/customers/${encodeURIComponent(customers[2])}`, { token })).status).toBe(404);
+    });
+
+    test('a viewer scoped to a region reads its countries and their customers', async () => {
+        const { token } = await api.signIn('regional_viewer', { scope: { regions: ['LATAM'] } });
+
+        expect(await listNames('/regions', token, 'regionName')).toEqual(['LATAM']);
+        expect(await listNames('/countries', token, 'countryName')).toEqual(['Brazil']);
+        expect(await listNames('/customers/concentration', token, 'customerName')).toEqual([customers[1]]);
+    });
+
+    test('totals only add up the rows of the scope', async () => {
+        const { token } = await api.signIn('regional_viewer', { scope: { countries: ['Canada'] } });
+        const [scoped, customer] = await Promise.all([
+            api.request('GET', '/revenue/summary', { token }),
+            api.request('GET', `/customers/${encodeURIComponent(customers[0])}`, { token: admin.token })
+        ]);
+
+        expect(scoped.body.data.toRevenue).toBeCloseTo(customer.body.data.toRevenue, 6);
+        expect(scoped.body.data.fromRevenue).toBeCloseTo(customer.body.data.fromRevenue, 6);
+    });
+
+    test('a viewer cannot use the endpoints that work on the whole dataset', async () => {
+        const { token } = await api.signIn('regional_viewer', { scope: { countries: ['Canada'] } });
+
+        for (const path of ['/datasets', '/datasets/snapshots', '/data-quality/profile', '/schedules', '/alerts/rules', '/territories/countries']) {
+            expect([path, (await api.request('GET', path, { token })).status]).toEqual([path, 403]);
+        }
+    });
+
+    test('analysts read the datasets and snapshots but cannot import or roll back', async () => {
+        const { token } = analyst;
+
+        expect((await api.request('GET', '/datasets', { token })).status).toBe(200);
+        expect((await api.request('GET', '/datasets/snapshots', { token })).status).toBe(200);
+        expect((await api.request('POST', '/datasets', { token, body: {} })).status).toBe(403);
+        expect((await api.request('POST', '/datasets/snapshots/1/rollback', { token })).status).toBe(403);
+    });
+
+    test('administrators reach the import and rollback handlers', async () => {
+        const { token } = admin;
+
+        expect((await api.request('POST', '/datasets/snapshots/999/rollback', { token })).status).toBe(404);
+        expect((await api.request('POST', '/datasets', { token, body: {} })).status).toBe(400);
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Alert evaluation tests
+ * Rules are evaluated after each import: a breach opens one alert per subject, which stays open without new
+ * notifications while the condition holds and is resolved once it clears. Both events are posted to the rule's
+ * webhooks, signed with the webhook secret, when the job queue runs.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const jobQueueService = require('../services/jobQueueService');
+const { startApi } = require('./helpers/api');
+
+const SECRET = 'a-very-long-webhook-secret';
+
+describe('alert evaluation', () => {
+    const received = [];
+    const receiver = http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            received.push({ headers: request.headers, body: Buffer.concat(chunks).toString('utf8') });
+            response.end('ok');
+        });
+    });
+    let api;
+    let token;
+    let rule;
+
+    /**
+     * Import customer revenue (dataset E), which evaluates the rules
+     * @param {Object} revenue - Total revenue by customer name
+     * @returns {Promise<Object>} Evaluation summary of the import
+     */
+    const importCustomers = async (revenue) => {
+        const rows = Object.entries(revenue).map(([name, total]) => ({ 'Customer Name': name, 'Total Revenue': total }));
+        const response = await api.request('POST', '/datasets', {
+            token,
+            form: { dataset: 'E', file: { fileName: 'customers.json', content: JSON.stringify(rows) } }
+        });
+        expect(response.status).toBe(201);
+        return response.body.data.alerts;
+    };
+
+    /**
+     * Deliver the queued notifications and return the webhook requests they made
+     * @returns {Promise<Array>} { event, signed, payload } per request
+     */
+    const deliverNotifications = async () => {
+        received.length = 0;
+        await jobQueueService.processJobs();
+        return received.map(({ headers, body }) => ({
+            event: headers['x-zenalyst-event'],
+            signed: headers['x-zenalyst-signature']
+                === `sha256=${crypto.createHmac('sha256', SECRET).update(`${headers['x-zenalyst-timestamp']}.${body}`).digest('hex')}`,
+            payload: JSON.parse(body)
+        }));
+    };
+
+    const listAlerts = async (query = '') => (await api.request('GET', `/alerts?sort=triggeredAt${query}`, { token })).body.data;
+
+    beforeAll(async () => {
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        api = await startApi();
+        ({ token } = await api.signIn('admin'));
+
+        const created = await api.request('POST', '/alerts/rules', {
+            token,
+            body: {
+                name: 'Customer above 40% of revenue',
+                metric: 'customer.share',
+                operator: 'gt',
+                threshold: 40,
+                severity: 'critical',
+                webhooks: [{ url: `http://127.0.0.1:${receiver.address().port}/alerts`, secret: SECRET }]
+            }
+        });
+        expect(created.status).toBe(201);
+        rule = created.body.data;
+    });
+
+    afterAll(async () => {
+        await api.close();
+        await new Promise(resolve => receiver.close(resolve));
+    });
+
+    test('an import that breaches a rule opens an alert and notifies the webhook', async () => {
+        expect(rule.webhooks).toEqual([{ channel: 'webhook', url: expect.stringMatching(/\/alerts$/), signed: true }]);
+        expect(await importCustomers({ Alpha: 50, Bravo: 30, Charlie: 20 })).toEqual({ snapshotVersion: 2, rules: 1, triggered: 1, resolved: 0, errors: [] });
+
+        const [alert] = await listAlerts('&status=open');
+        expect(alert).toMatchObject({
+            ruleId: rule.id,
+            subject: 'Alpha',
+            severity: 'critical',
+            status: 'open',
+            value: 50,
+            snapshotVersion: 2,
+            message: 'Alpha: Share of total revenue is 50.00%, above 40.00%'
+        });
+
+        const notifications = await deliverNotifications();
+        expect(notifications).toEqual([{ event: 'alert.triggered', signed: true, payload: expect.objectContaining({ event: 'alert.triggered' }) }]);
+        expect(notifications[0].payload.alert).toMatchObject({ id: alert.id, subject: 'Alpha', value: 50 });
+        expect(notifications[0].payload.rule).toMatchObject({ id: rule.id, name: rule.name });
+    });
+
+    test('a breach that persists keeps its alert without another notification', async () => {
+        const evaluation = await api.request('POST', '/alerts/evaluate', { token });
+        expect(evaluation.body.data).toMatchObject({ trigger: 'manual', rules: 1, triggered: 0, resolved: 0 });
+
+        expect(await listAlerts()).toHaveLength(1);
+        expect(await deliverNotifications()).toEqual([]);
+    });
+
+    test('an alert is resolved when its condition clears, and a new breach opens its own alert', async () => {
+        expect(await importCustomers({ Alpha: 30, Bravo: 25, Charlie: 45 })).toMatchObject({ triggered: 1, resolved: 1 });
+
+        const alerts = await listAlerts();
+        expect(alerts.map(alert => [alert.subject, alert.status, alert.value])).toEqual([['Alpha', 'resolved', 30], ['Charlie', 'open', 45]]);
+        expect(alerts[0]).toMatchObject({ message: 'Alpha: Share of total revenue is 30.00%, no longer above 40.00%', resolvedAt: expect.any(String) });
+
+        const events = (await deliverNotifications()).map(notification => [notification.event, notification.payload.alert.subject, notification.signed]);
+        expect(events.sort()).toEqual([['alert.resolved', 'Alpha', true], ['alert.triggered', 'Charlie', true]]);
+    });
+
+    test('the alert history keeps the notifications of each alert', async () => {
+        const [alpha] = await listAlerts('&subject=Alpha');
+        const { body } = await api.request('GET', `/alerts/${alpha.id}`, { token });
+
+        expect(body.data.notifications.map(notification => notification.event)).toEqual(['alert.triggered', 'alert.resolved']);
+        expect((await api.request('GET', '/alerts/missing', { token })).status).toBe(404);
+    });
+});
@@ -0,0 +1,43 @@
+/**
+ * Alert rule tests
+ * Rules are validated before they are stored: unknown fields are rejected instead of being dropped, so a
+ * misspelt option never leaves a rule without the behaviour it was created for.
+ */
+
+const { startApi } = require('./helpers/api');
+
+const RULE = { name: 'Churn budget', metric: 'revenue.churnedRevenue', operator: 'gt', threshold: 50000 };
+
+describe('alert rule validation', () => {
+    let api;
+    let token;
+
+    beforeAll(async () => {
+        api = await startApi();
+        ({ token } = await api.signIn('analyst'));
+    });
+
+    afterAll(() => api.close());
+
+    test('a rule with an unknown field is rejected on create', async () => {
+        const response = await api.request('POST', '/alerts/rules', {
+            token,
+            body: { ...RULE, deliveries: [{ url: 'https://hooks.example.com/alerts' }] }
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toMatch(/^Unknown field\(s\): deliveries\. Available: .*webhooks/);
+        expect((await api.request('GET', '/alerts/rules', { token })).body.pagination.totalItems).toBe(0);
+    });
+
+    test('a change with an unknown field is rejected and leaves the rule as it was', async () => {
+        const created = await api.request('POST', '/alerts/rules', { token, body: RULE });
+        expect(created.status).toBe(201);
+
+        const path = `/alerts/rules/${created.body.data.id}`;
+        const response = await api.request('PATCH', path, { token, body: { threshold: 1, treshold: 2 } });
+        expect(response.status).toBe(400);
+        expect(response.body.error).toMatch(/^Unknown field\(s\): treshold\./);
+        expect((await api.request('GET', path, { token })).body.data.threshold).toBe(50000);
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Analytics answer tests
+ * Answers are grounded in the query results and cite them; the rule engine answers when no provider is
+ * configured, when the provider fails, or when its answer cites none of the sources.
+ */
+
+const analyticsConfig = require('../config/analytics');
+const { registerLlmProvider } = require('../llm');
+const { analyzeData } = require('../services/analyticsService');
+
+const PROMPT = 'top customers by revenue';
+
+registerLlmProvider('failing', () => ({
+    name: 'failing',
+    complete: async () => {
+        throw new Error('Provider unavailable');
+    }
+}));
+
+registerLlmProvider('uncited', () => ({
+    name: 'uncited',
+    complete: async () => ({ text: 'Revenue looks healthy.', model: 'uncited', usage: null })
+}));
+
+describe('analyzeData', () => {
+    const originalProvider = analyticsConfig.llm.provider;
+
+    afterEach(() => {
+        analyticsConfig.llm.provider = originalProvider;
+    });
+
+    test('the mock provider answers with cited figures of the query results', async () => {
+        analyticsConfig.llm.provider = 'mock';
+
+        const result = await analyzeData(PROMPT);
+
+        expect(result.provider).toEqual({ name: 'mock', model: 'mock', fallback: false, usage: null });
+        expect(result.citations.length).toBeGreaterThan(0);
+        const [source] = result.citations;
+        expect(source).toMatchObject({ id: 'S1', snapshot: 1 });
+        expect(source.datasets.length).toBeGreaterThan(0);
+        expect(source.calls).toContain('customersService.getCustomerAnalysis');
+        expect(result.answer).toBe(`${source.title}: ${source.figures[0]} [S1]`);
+    });
+
+    test('the same question gets the same answer (deterministic)', async () => {
+        analyticsConfig.llm.provider = 'mock';
+
+        const [first, second] = [await analyzeData(PROMPT), await analyzeData(PROMPT)];
+
+        expect(second.answer).toBe(first.answer);
+        expect(second.citations).toEqual(first.citations);
+    });
+
+    test('the rule engine answers when no provider is configured', async () => {
+        analyticsConfig.llm.provider = 'none';
+
+        const result = await analyzeData(PROMPT);
+
+        expect(result.provider).toMatchObject({ name: 'rules', fallback: false });
+        expect(result.answer).toMatch(/\[S1\]/);
+        expect(result.citations.map(source => source.id)).toContain('S1');
+    });
+
+    test('the rule engine takes over when the provider fails', async () => {
+        analyticsConfig.llm.provider = 'failing';
+
+        const result = await analyzeData(PROMPT);
+
+        expect(result.provider).toMatchObject({ name: 'rules', fallback: true });
+        expect(result.answer).toMatch(/\[S1\]/);
+        expect(result.notes).toContain('Provider unavailable; the rule engine answer is shown.');
+    });
+
+    test('the rule engine takes over when the provider cites no source', async () => {
+        analyticsConfig.llm.provider = 'uncited';
+
+        const result = await analyzeData(PROMPT);
+
+        expect(result.provider).toMatchObject({ name: 'rules', fallback: true });
+        expect(result.answer).not.toBe('Revenue looks healthy.');
+        expect(result.notes).toContain("The answer from LLM provider 'uncited' cited none of the sources; the rule engine answer is shown.");
+    });
+});
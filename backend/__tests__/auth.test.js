@@ -0,0 +1,128 @@
+/**
+ * Authentication tests
+ * Login, refresh token rotation and reuse detection, disabled accounts, password resets and the login rate
+ * limit, through the API.
+ */
+
+const { startApi } = require('./helpers/api');
+const authConfig = require('../config/auth');
+
+describe('authentication', () => {
+    let api;
+    let admin;
+
+    beforeAll(async () => {
+        api = await startApi();
+        admin = await api.signIn('admin');
+    });
+
+    afterAll(() => api.close());
+
+    const login = (email, password) => api.request('POST', '/auth/login', { body: { email, password } });
+    const refresh = refreshToken => api.request('POST', '/auth/refresh', { body: { refreshToken } });
+    const me = token => api.request('GET', '/auth/me', { token });
+
+    test('a login returns tokens for the user', async () => {
+        const { user, password } = await api.signIn('analyst');
+        const response = await login(user.email, password);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ tokenType: 'Bearer', user: { id: user.id, role: 'analyst' } });
+        expect(response.body.data.user).not.toHaveProperty('passwordHash');
+        expect((await me(response.body.data.accessToken)).body.data.id).toBe(user.id);
+    });
+
+    test('wrong passwords, unknown emails and missing fields are rejected', async () => {
+        const { user } = await api.signIn('analyst');
+
+        expect((await login(user.email, 'not-the-password')).body).toMatchObject({ error: 'Invalid email or password' });
+        expect((await login('nobody@example.com', 'not-the-password')).status).toBe(401);
+        expect((await login(user.email, '')).status).toBe(400);
+        expect((await me(null)).status).toBe(401);
+    });
+
+    test('a refresh replaces the refresh token', async () => {
+        const { refreshToken } = await api.signIn('analyst');
+
+        const first = await refresh(refreshToken);
+        expect(first.status).toBe(200);
+        expect(first.body.data.refreshToken).not.toBe(refreshToken);
+
+        const second = await refresh(first.body.data.refreshToken);
+        expect(second.status).toBe(200);
+        expect((await me(second.body.data.accessToken)).status).toBe(200);
+    });
+
+    test('reusing a replaced refresh token ends the session', async () => {
+        const { token, refreshToken } = await api.signIn('analyst');
+        const rotated = await refresh(refreshToken);
+
+        expect((await refresh(refreshToken)).status).toBe(401);
+        // The copy and the legitimate holder both lose the session
+        expect((await refresh(rotated.body.data.refreshToken)).status).toBe(401);
+        expect((await me(rotated.body.data.accessToken)).status).toBe(401);
+        expect((await me(token)).status).toBe(401);
+    });
+
+    test('logout ends the session of its refresh token only', async () => {
+        const { user, token, refreshToken, password } = await api.signIn('analyst');
+        const other = await login(user.email, password);
+
+        expect((await api.request('POST', '/auth/logout', { body: { refreshToken } })).body.data).toEqual({ revoked: true });
+        expect((await me(token)).status).toBe(401);
+        expect((await refresh(refreshToken)).status).toBe(401);
+        expect((await me(other.body.data.accessToken)).status).toBe(200);
+    });
+
+    test('disabling an account ends its sessions and blocks new logins', async () => {
+        const { user, token, refreshToken, password } = await api.signIn('analyst');
+
+        const disabled = await api.request('PATCH', `/users/${user.id}`, { token: admin.token, body: { active: false } });
+        expect(disabled.status).toBe(200);
+
+        expect((await me(token)).status).toBe(401);
+        expect((await refresh(refreshToken)).status).toBe(401);
+        expect((await login(user.email, password)).body).toMatchObject({ error: 'This account is disabled' });
+        expect((await api.request('POST', `/users/${user.id}/password-reset`, { token: admin.token })).status).toBe(409);
+    });
+
+    test('a password reset token sets a new password once and ends every session', async () => {
+        const { user, token, password } = await api.signIn('analyst');
+        const { body: { data: reset } } = await api.request('POST', `/users/${user.id}/password-reset`, { token: admin.token });
+        const confirm = body => api.request('POST', '/auth/password-reset/confirm', { body });
+
+        expect((await confirm({ token: reset.token, password: 'short' })).status).toBe(400);
+        expect((await confirm({ token: 'made-up', password: 'a-new-long-password' })).status).toBe(400);
+
+        const response = await confirm({ token: reset.token, password: 'a-new-long-password' });
+        expect(response.status).toBe(200);
+        expect(response.body.data.revoked).toBeGreaterThan(0);
+        expect((await confirm({ token: reset.token, password: 'another-long-password' })).body)
+            .toMatchObject({ error: 'The reset token is invalid or has expired' });
+
+        expect((await me(token)).status).toBe(401);
+        expect((await login(user.email, password)).status).toBe(401);
+        expect((await login(user.email, 'a-new-long-password')).status).toBe(200);
+    });
+
+    test('a reset request does not reveal whether the account exists', async () => {
+        const response = await api.request('POST', '/auth/password-reset/request', { body: { email: 'nobody@example.com' } });
+
+        expect(response.status).toBe(202);
+        expect((await api.request('POST', '/auth/password-reset/request', { body: { email: 'not an email' } })).status).toBe(400);
+    });
+
+    // Runs last: it uses up the login attempts of this client
+    test('too many login attempts are refused, even with the right password', async () => {
+        const { user, password } = await api.signIn('analyst');
+
+        let response;
+        for (let attempt = 0; attempt <= authConfig.rateLimit.max; attempt++) {
+            response = await login(user.email, 'not-the-password');
+            if (response.status === 429) break;
+        }
+
+        expect(response.status).toBe(429);
+        expect((await login(user.email, password)).status).toBe(429);
+    });
+});
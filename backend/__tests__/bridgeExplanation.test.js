@@ -0,0 +1,39 @@
+/**
+ * Revenue bridge explanation tests
+ * Dataset B repeats each churned customer's loss in its contraction column; the explanation must count
+ * every loss once, so the movements add up to the net change with nothing left unexplained.
+ */
+
+const { runQuery } = require('../services/queryService');
+
+describe('bridge explanation', () => {
+    let bridge;
+
+    beforeAll(async () => {
+        const { results } = await runQuery('explain the revenue bridge');
+        bridge = results.find(result => result.key === 'bridge');
+    });
+
+    test('the movements reconcile to the net change', () => {
+        const { movements, netChange, reconciliation } = bridge.data;
+        const movementsTotal = movements.reduce((sum, movement) => sum + movement.value, 0);
+
+        expect(reconciliation.reconciled).toBe(true);
+        expect(movementsTotal).toBeCloseTo(netChange, 2);
+        expect(movements.reduce((sum, movement) => sum + movement.shareOfNetChange, 0)).toBeCloseTo(100, 6);
+        expect(bridge.notes).toEqual([]);
+        expect(bridge.insights.join(' ')).not.toMatch(/unexplained/);
+    });
+
+    test('churned customers are not counted again as contraction', () => {
+        const churn = bridge.data.movements.find(movement => movement.key === 'churn');
+        const contraction = bridge.data.movements.find(movement => movement.key === 'contraction');
+        const churned = churn.drivers.map(driver => driver.customerName);
+
+        expect(churned).toContain('MessageBird');
+        expect(contraction.drivers.map(driver => driver.customerName)).toEqual(
+            expect.not.arrayContaining(churned)
+        );
+        expect(contraction.drivers.every(driver => !driver.movementTypes.includes('churn'))).toBe(true);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Chat session tests
+ * A session keeps its history and the context of the last question, so follow-ups inherit its subject, filters
+ * and the names it listed. Sessions are private to the user who started them, whatever the role: another user
+ * can neither list, read, rename, delete nor continue them.
+ */
+
+const { createListQuery, parseListQuery } = require('../utils/listQuery');
+const chatSessionsService = require('../services/chatSessionsService');
+
+const OWNER = 'user-owner';
+const OTHER = 'user-admin';
+
+describe('chat session ownership', () => {
+    let session;
+
+    beforeAll(async () => {
+        session = await chatSessionsService.createSession({ title: 'Churn in Canada' }, OWNER);
+    });
+
+    test('the owner lists and reads the session', async () => {
+        const { sessions, pagination } = await chatSessionsService.listSessions(createListQuery('chatSessions'), OWNER);
+        expect(sessions.map(item => item.id)).toEqual([session.id]);
+        expect(pagination.totalItems).toBe(1);
+
+        expect(await chatSessionsService.getSession(session.id, OWNER)).toMatchObject({ id: session.id, userId: OWNER, messages: [] });
+    });
+
+    test('another user does not list it, even when filtering by its owner', async () => {
+        const { listQuery } = parseListQuery({ userId: { eq: OWNER } }, 'chatSessions');
+
+        expect((await chatSessionsService.listSessions(createListQuery('chatSessions'), OTHER)).sessions).toEqual([]);
+        expect((await chatSessionsService.listSessions(listQuery, OTHER)).sessions).toEqual([]);
+    });
+
+    test('another user cannot read, rename, continue or delete it', async () => {
+        const notFound = { statusCode: 404, message: `Chat session '${session.id}' not found` };
+
+        await expect(chatSessionsService.getSession(session.id, OTHER)).rejects.toMatchObject(notFound);
+        await expect(chatSessionsService.renameSession(session.id, 'Mine now', OTHER)).rejects.toMatchObject(notFound);
+        await expect(chatSessionsService.sendMessage(session.id, 'top customers', OTHER)).rejects.toMatchObject(notFound);
+        await expect(chatSessionsService.deleteSession(session.id, OTHER)).rejects.toMatchObject(notFound);
+
+        expect(await chatSessionsService.getSession(session.id, OWNER)).toMatchObject({ title: 'Churn in Canada', messageCount: 0 });
+    });
+
+    test('the owner renames and deletes it', async () => {
+        expect(await chatSessionsService.renameSession(session.id, 'Churn in Canada, 2024', OWNER))
+            .toMatchObject({ title: 'Churn in Canada, 2024' });
+        expect(await chatSessionsService.deleteSession(session.id, OWNER)).toEqual({ id: session.id, messagesDeleted: 0 });
+        await expect(chatSessionsService.getSession(session.id, OWNER)).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('chat session conversations', () => {
+    let session;
+    let first;
+
+    beforeAll(async () => {
+        session = await chatSessionsService.createSession({}, OWNER);
+        first = await chatSessionsService.sendMessage(session.id, 'Which 5 customers declined the most?', OWNER);
+    });
+
+    test('an untitled session is named after its first question', () => {
+        expect(session.title).not.toBe(first.session.title);
+        expect(first.session).toMatchObject({ title: 'Which 5 customers declined the most?', messageCount: 2 });
+        expect(first.message).toMatchObject({ role: 'user', content: 'Which 5 customers declined the most?' });
+        expect(first.reply).toMatchObject({ role: 'assistant', content: first.reply.analysis.answer });
+    });
+
+    test('a follow-up inherits the subject and ranking of the previous question', async () => {
+        const { reply } = await chatSessionsService.sendMessage(session.id, 'and only those with revenue above $50k?', OWNER);
+        const [intent] = reply.analysis.query.intents;
+
+        expect(reply.analysis.query.followUp).toBe(true);
+        expect(intent).toMatchObject({
+            type: 'ranking',
+            subject: 'customers',
+            growthStatus: 'negative',
+            limit: 5,
+            filters: [{ field: 'revenue', operator: 'gt', value: 50000 }]
+        });
+
+        const { customers } = reply.analysis.data.customerRanking;
+        expect(customers.length).toBeGreaterThan(0);
+        expect(customers.every(customer => customer.toRevenue > 50000 && customer.variance < 0)).toBe(true);
+    });
+
+    test('referring back scopes the question to the names of the previous answer', async () => {
+        const { context } = await chatSessionsService.getSession(session.id, OWNER);
+        expect(context.referenced.customers.length).toBeGreaterThan(0);
+        const { reply } = await chatSessionsService.sendMessage(session.id, 'which of them churned?', OWNER);
+
+        expect(reply.analysis.query.intents).toEqual([
+            expect.objectContaining({ type: 'churn', scope: context.referenced.customers })
+        ]);
+    });
+
+    test('the history is stored in order and a new question starts a new topic', async () => {
+        const { reply } = await chatSessionsService.sendMessage(session.id, 'What is the revenue in Canada?', OWNER);
+        expect(reply.analysis.query).toMatchObject({ followUp: false, subject: 'countries', filters: [] });
+
+        const stored = await chatSessionsService.getSession(session.id, OWNER);
+        expect(stored.messageCount).toBe(8);
+        expect(stored.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant', 'user', 'assistant', 'user', 'assistant']);
+        expect(stored.messages[0].content).toBe('Which 5 customers declined the most?');
+        // The data rows are served with the reply but not kept in the history
+        expect(stored.messages[1].analysis.results.every(result => result.data === undefined)).toBe(true);
+        expect(stored.context.entities.countries).toEqual(['Canada']);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Concentration risk tests
+ * Shares, cumulative shares, ABC classes, HHI, Gini and top-N shares, and the risk flags raised by the
+ * configured thresholds, for customers and countries.
+ */
+
+const { analyzeConcentration, assessConcentrationRisk } = require('../utils/concentration');
+const metricsConfig = require('../config/metrics');
+const { startApi } = require('./helpers/api');
+
+const ITEMS = [
+    { name: 'Delta', revenue: 5 },
+    { name: 'Alpha', revenue: 50 },
+    { name: 'Charlie', revenue: 15 },
+    { name: 'Bravo', revenue: 30 }
+];
+
+describe('analyzeConcentration', () => {
+    test('ranks the items with their shares and ABC classes', () => {
+        const metrics = analyzeConcentration(ITEMS);
+
+        expect(metrics.items.map(item => [item.rank, item.name, item.share, item.cumulativeShare, item.abcClass])).toEqual([
+            [1, 'Alpha', 50, 50, 'A'],
+            [2, 'Bravo', 30, 80, 'A'],
+            [3, 'Charlie', 15, 95, 'B'],
+            [4, 'Delta', 5, 100, 'C']
+        ]);
+        expect(metrics.classes.map(abc => [abc.abcClass, abc.count, abc.revenueShare])).toEqual([['A', 2, 80], ['B', 1, 15], ['C', 1, 5]]);
+    });
+
+    test('computes HHI, Gini and top-N shares', () => {
+        const metrics = analyzeConcentration(ITEMS);
+
+        expect(metrics).toMatchObject({ totalRevenue: 100, count: 4, hhi: 2500 + 900 + 225 + 25 });
+        expect(metrics.gini).toBeCloseTo(0.375, 10);
+        expect(metrics.topShares).toEqual({ top1Share: 50, top5Share: 100, top10Share: 100, top20Share: 100 });
+
+        // Equal revenue is not concentrated; negative revenue counts as none
+        expect(analyzeConcentration([{ name: 'a', revenue: 10 }, { name: 'b', revenue: 10 }]).gini).toBe(0);
+        expect(analyzeConcentration([{ name: 'a', revenue: 10 }, { name: 'b', revenue: -10 }]).topShares.top1Share).toBe(100);
+    });
+
+    test('flags every metric at or above a threshold and reports the highest level', () => {
+        const risk = assessConcentrationRisk(analyzeConcentration(ITEMS), {
+            hhi: { moderate: 1500, high: 4000 },
+            top1Share: { moderate: 50, high: 60 },
+            gini: { moderate: 0.6, high: 0.8 }
+        });
+
+        expect(risk.level).toBe('moderate');
+        expect(risk.flags.map(flag => [flag.metric, flag.level])).toEqual([['hhi', 'moderate'], ['top1Share', 'moderate']]);
+        expect(risk.flags[1].message).toBe('Top 1 share of 50.00% is at or above the moderate risk threshold (50.00%)');
+    });
+});
+
+describe('concentration endpoints', () => {
+    let api;
+    let token;
+
+    beforeAll(async () => {
+        api = await startApi();
+        ({ token } = await api.signIn('admin'));
+
+        const upload = (dataset, rows) => api.request('POST', '/datasets', {
+            token,
+            form: { dataset, file: { fileName: 'rows.json', content: JSON.stringify(rows) } }
+        });
+        await upload('E', ITEMS.map(item => ({ 'Customer Name': item.name, 'Total Revenue': item.revenue })));
+        await upload('C', ['Canada', 'Germany', 'Brazil', 'France'].map(country => ({ Country: country, 'Yearly Revenue': 250 })));
+    });
+
+    afterAll(() => api.close());
+
+    test('customers get their shares and the customer thresholds', async () => {
+        const response = await api.request('GET', '/customers/concentration/risk', { token });
+        expect(response.status).toBe(200);
+
+        const { data } = response.body;
+        expect(data).toMatchObject({ totalRevenue: 100, count: 4, hhi: 3650, risk: { level: 'high' } });
+        expect(data.customers.map(customer => [customer.customerName, customer.share, customer.abcClass]))
+            .toEqual([['Alpha', 50, 'A'], ['Bravo', 30, 'A'], ['Charlie', 15, 'B'], ['Delta', 5, 'C']]);
+        expect(data.risk.flags.map(flag => flag.metric))
+            .toEqual(Object.keys(metricsConfig.concentration.thresholds.customers).filter(metric => metric !== 'gini'));
+    });
+
+    test('customer rows accept list queries without changing the totals', async () => {
+        const { body } = await api.request('GET', '/customers/concentration/risk?abcClass=A&sort=-share', { token });
+
+        expect(body.data.customers.map(customer => customer.customerName)).toEqual(['Alpha', 'Bravo']);
+        expect(body.pagination.totalItems).toBe(2);
+        expect(body.data.hhi).toBe(3650);
+    });
+
+    test('countries use their own thresholds', async () => {
+        const { body: { data } } = await api.request('GET', '/countries/concentration/risk', { token });
+
+        expect(data).toMatchObject({ totalRevenue: 1000, count: 4, hhi: 2500, gini: 0 });
+        expect(data.countries.map(country => country.share)).toEqual([25, 25, 25, 25]);
+        expect(data.risk.flags.map(flag => [flag.metric, flag.level])).toEqual([
+            ['hhi', 'high'],
+            ['top1Share', 'moderate'],
+            ['top5Share', 'high']
+        ]);
+    });
+});
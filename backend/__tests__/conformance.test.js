@@ -0,0 +1,89 @@
+/**
+ * Storage conformance tests
+ * Every service case of database/conformance.js must return the same response from a freshly migrated SQLite
+ * file as from the reference backend loaded with the same Data Source: MongoDB when it is reachable at
+ * MONGODB_URI (loaded into a temporary database that is dropped afterwards), the in-memory store otherwise.
+ * CONFORMANCE_ADAPTERS compares two already loaded backends instead (e.g. CONFORMANCE_ADAPTERS="mongodb sqlite").
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MongoClient } = require('mongodb');
+
+const configuredAdapters = process.env.CONFORMANCE_ADAPTERS;
+const sqliteFile = path.join(os.tmpdir(), `zenalyst-conformance-${process.pid}.sqlite`);
+
+if (!configuredAdapters) {
+    process.env.SQLITE_FILE = sqliteFile;
+    process.env.DB_NAME = `zenalyst_conformance_${process.pid}`;
+}
+
+const sqliteStorage = require('../database/storage/sqliteStorage');
+const mongoStorage = require('../database/storage/mongoStorage');
+const { importDataSource } = require('../../database/migrate-sql');
+const { setupCollections } = require('../../database/setup');
+const { compareAdapters } = require('../../database/conformance');
+
+const removeSqliteFile = () => {
+    ['', '-wal', '-shm'].forEach(suffix => fs.rmSync(`${sqliteFile}${suffix}`, { force: true }));
+};
+
+/**
+ * Check whether MongoDB answers at MONGODB_URI (same default as database/connection.js)
+ * @returns {Promise<boolean>} True when it does within two seconds
+ */
+const isMongoReachable = async () => {
+    const client = new MongoClient(process.env.MONGODB_URI || 'mongodb://localhost:27017', { serverSelectionTimeoutMS: 2000 });
+    try {
+        await client.connect();
+        await client.db('admin').command({ ping: 1 });
+        return true;
+    } catch (error) {
+        return false;
+    } finally {
+        await client.close();
+    }
+};
+
+describe('storage conformance', () => {
+    let adapters;
+    let comparison;
+
+    beforeAll(async () => {
+        if (configuredAdapters) {
+            adapters = configuredAdapters.split(/\s+/);
+        } else {
+            removeSqliteFile();
+            await importDataSource(await sqliteStorage.getDatabase());
+            await sqliteStorage.close();
+
+            adapters = [(await isMongoReachable()) ? 'mongodb' : 'memory', 'sqlite'];
+            if (adapters[0] === 'mongodb') {
+                await setupCollections(await mongoStorage.getDatabase());
+                await mongoStorage.close();
+            }
+        }
+
+        comparison = await compareAdapters(...adapters);
+    }, 120000);
+
+    afterAll(async () => {
+        if (configuredAdapters) return;
+        removeSqliteFile();
+        if (adapters && adapters[0] === 'mongodb') {
+            await (await mongoStorage.getDatabase()).dropDatabase();
+            await mongoStorage.close();
+        }
+    });
+
+    test('both adapters serve the same dataset files', () => {
+        expect(comparison.sameData).toBe(true);
+    });
+
+    test('every service case returns the same response', () => {
+        const differences = comparison.results.filter(result => result.difference !== null);
+        expect({ adapters, differences }).toEqual({ adapters, differences: [] });
+        expect(comparison.results.length).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Data quality profiling tests
+ * The profile reports null rates, negative values, duplicate keys, outliers and type mismatches per column, and
+ * the same rules run on every import: 'block' findings reject the upload, 'warn' findings are only reported.
+ */
+
+const { startApi } = require('./helpers/api');
+
+describe('data quality profile', () => {
+    let api;
+    let token;
+
+    beforeAll(async () => {
+        api = await startApi();
+        ({ token } = await api.signIn('admin'));
+    });
+
+    afterAll(() => api.close());
+
+    const profile = async (query = '') => {
+        const response = await api.request('GET', `/data-quality/profile${query}`, { token });
+        expect(response.status).toBe(200);
+        return response.body.data;
+    };
+    const findings = dataset => dataset.issues.map(issue => `${issue.rule}: ${issue.column}`);
+
+    test('reports the findings of every stored dataset', async () => {
+        const { summary, datasets } = await profile();
+        const byKey = Object.fromEntries(datasets.map(dataset => [dataset.dataset, dataset]));
+
+        expect(datasets.map(dataset => dataset.dataset)).toEqual(['A', 'B', 'C', 'D', 'E']);
+        expect(summary).toMatchObject({ datasets: 5, blocked: 0 });
+        expect(summary.issues).toBe(datasets.reduce((sum, dataset) => sum + dataset.issues.length, 0));
+
+        // Three of the four regions have no yearly revenue
+        const regionRevenue = byKey.D.columns.find(column => column.column === 'Yearly Revenue');
+        expect(regionRevenue).toMatchObject({ nullCount: 3, nullRate: 0.75 });
+        expect(findings(byKey.D)).toEqual(['null-values: Yearly Revenue']);
+
+        expect(findings(byKey.A)).toEqual(expect.arrayContaining([
+            'duplicate-keys: Customer Name',
+            'negative-revenue: Quarter 3 Revenue',
+            'outliers: Quarter 4 Revenue'
+        ]));
+        expect(byKey.A.columns.find(column => column.column === 'Customer Name').duplicateKeyCount).toBeGreaterThan(0);
+    });
+
+    test('profiles one dataset by letter or slug', async () => {
+        const [byLetter, bySlug] = await Promise.all([profile('?dataset=D'), profile('?dataset=region-revenue')]);
+
+        expect(byLetter.datasets.map(dataset => dataset.dataset)).toEqual(['D']);
+        expect(bySlug.datasets).toEqual(byLetter.datasets);
+        expect((await api.request('GET', '/data-quality/profile?dataset=Z', { token })).status).toBe(400);
+    });
+
+    test('a blocking finding rejects the import', async () => {
+        const response = await api.request('POST', '/datasets', {
+            token,
+            form: { dataset: 'C', file: { fileName: 'countries.csv', content: 'Country,Yearly Revenue\nA,1\nB,2\nC,n/a\nD,n/a\nE,n/a\n' } }
+        });
+
+        expect(response.status).toBe(422);
+        expect(response.body.error.quality).toMatchObject({ status: 'blocked', blocked: true });
+        expect(response.body.error.quality.issues).toEqual(expect.arrayContaining([
+            expect.objectContaining({ rule: 'mostly-mistyped', action: 'block', column: 'Yearly Revenue', value: 0.6 })
+        ]));
+    });
+
+    test('a warning is reported and the import goes ahead', async () => {
+        const response = await api.request('POST', '/datasets', {
+            token,
+            form: { dataset: 'C', file: { fileName: 'countries.csv', content: 'Country,Yearly Revenue\nCanada,100\nGermany,-20\nCanada,50\n' } }
+        });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.quality.status).toBe('warning');
+        expect(response.body.data.quality.issues.map(issue => issue.rule)).toEqual(['negative-revenue', 'duplicate-keys']);
+
+        const { datasets: [countries] } = await profile('?dataset=C');
+        expect(countries).toMatchObject({ rowCount: 3, status: 'warning' });
+    });
+});
@@ -0,0 +1,49 @@
+/**
+ * Data quality reconciliation tests
+ * The bridge movements check reads the stored rows, so the contraction the bridge dataset repeats for churned
+ * customers shows up as unexplained change and is reported as a churn/contraction overlap.
+ */
+
+const { startApi } = require('./helpers/api');
+
+describe('bridge movements reconciliation', () => {
+    let api;
+    let check;
+    let bridge;
+
+    beforeAll(async () => {
+        api = await startApi();
+        const { token } = await api.signIn('analyst');
+        const [report, bridgeCustomers] = await Promise.all([
+            api.request('GET', '/data-quality/reconciliation?limit=100', { token }),
+            api.request('GET', '/revenue/bridge/customers?movement=churn&limit=100', { token })
+        ]);
+        check = report.body.data.checks.bridgeMovements;
+        bridge = bridgeCustomers.body.data.customers;
+    });
+
+    afterAll(() => api.close());
+
+    test('fails on the contraction repeated by churned customers', () => {
+        const overlap = check.churnContractionOverlap;
+
+        expect(check.status).toBe('fail');
+        expect(overlap.customerCount).toBeGreaterThan(0);
+        expect(check.unexplainedCount).toBe(overlap.customerCount);
+        // The repeated contraction is the whole of the unexplained change
+        expect(check.totals.residual).toBeCloseTo(overlap.repeatedContraction, 6);
+        overlap.customers.forEach(customer => {
+            expect(customer.churnedRevenue + customer.contractionRevenue - customer.repeatedContraction)
+                .toBeCloseTo(customer.startRevenue, 6);
+        });
+    });
+
+    test('reports the contraction the bridge endpoints drop', () => {
+        const bridgeContraction = Object.fromEntries(bridge.map(customer => [customer.customerName, customer.contractionRevenue]));
+
+        check.churnContractionOverlap.customers.forEach(customer => {
+            expect(bridgeContraction[customer.customerName])
+                .toBeCloseTo(customer.contractionRevenue - customer.repeatedContraction, 6);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Dataset snapshot tests
+ * An import creates and activates a new snapshot without touching the previous one: reads pinned with
+ * ?snapshot= or ?asOf= keep serving earlier data, and a rollback activates an earlier version again.
+ */
+
+const { startApi } = require('./helpers/api');
+const datasetsService = require('../services/datasetsService');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('dataset snapshots', () => {
+    let api;
+    let admin;
+    let analyst;
+    let beforeImport;
+    let afterImport;
+    let imported;
+
+    /**
+     * Read a country's revenue
+     * @param {string} query - Query string (e.g. '?snapshot=1')
+     * @returns {Promise<Object>} { version (X-Snapshot-Version), revenue }
+     */
+    const readCanada = async (query = '') => {
+        const response = await api.request('GET', `/countries/Canada${query}`, { token: analyst.token });
+        expect([query, response.status]).toEqual([query, 200]);
+        return { version: Number(response.headers['x-snapshot-version']), revenue: response.body.data.yearlyRevenue };
+    };
+
+    beforeAll(async () => {
+        api = await startApi();
+        admin = await api.signIn('admin');
+        analyst = await api.signIn('analyst');
+
+        // Timestamps a few milliseconds apart, so asOf falls clearly before or after each activation
+        await readCanada();
+        beforeImport = new Date().toISOString();
+        await wait(20);
+
+        const rows = [{ Country: 'Canada', 'Yearly Revenue': 1000 }, { Country: 'Germany', 'Yearly Revenue': 2000 }];
+        imported = await datasetsService.importDataset('C', {
+            originalname: 'countries.json',
+            mimetype: 'application/json',
+            buffer: Buffer.from(JSON.stringify(rows))
+        });
+
+        await wait(20);
+        afterImport = new Date().toISOString();
+        await wait(20);
+    });
+
+    afterAll(() => api.close());
+
+    test('an import creates and activates a new snapshot', async () => {
+        expect(imported.snapshot).toMatchObject({ version: 2, active: true, baseVersion: 1 });
+        expect(imported.snapshot.datasets).toEqual([
+            expect.objectContaining({ dataset: 'C', fileName: 'countries.json', checksum: expect.stringMatching(/^[0-9a-f]{64}$/) })
+        ]);
+
+        const { body } = await api.request('GET', '/datasets/snapshots', { token: analyst.token });
+        expect(body.data.map(snapshot => [snapshot.version, snapshot.active])).toEqual([[2, true], [1, false]]);
+        expect(await readCanada()).toEqual({ version: 2, revenue: 1000 });
+    });
+
+    test('reads pinned to a snapshot or a date serve the earlier data', async () => {
+        const original = await readCanada('?snapshot=1');
+
+        expect(original.version).toBe(1);
+        expect(original.revenue).toBeCloseTo(323696.86, 2);
+        expect(await readCanada(`?asOf=${beforeImport}`)).toEqual(original);
+        expect(await readCanada(`?asOf=${afterImport}`)).toEqual({ version: 2, revenue: 1000 });
+
+        // Datasets the import did not replace are shared with the previous snapshot
+        const regions = await Promise.all(['?snapshot=1', '?snapshot=2'].map(query => api.request('GET', `/regions${query}`, { token: analyst.token })));
+        expect(regions[1].body.data).toEqual(regions[0].body.data);
+    });
+
+    test('a rollback activates the previous version and can be undone', async () => {
+        const rollback = await api.request('POST', '/datasets/snapshots/1/rollback', { token: admin.token });
+        expect(rollback.status).toBe(200);
+        expect(rollback.body.data).toMatchObject({ snapshot: { version: 1, active: true }, previousVersion: 2 });
+        await wait(20);
+        const afterRollback = new Date().toISOString();
+
+        expect((await readCanada()).version).toBe(1);
+        // The rolled back snapshot is still readable, and asOf follows the activations
+        expect(await readCanada('?snapshot=2')).toEqual({ version: 2, revenue: 1000 });
+        expect((await readCanada(`?asOf=${afterImport}`)).version).toBe(2);
+        expect((await readCanada(`?asOf=${afterRollback}`)).version).toBe(1);
+
+        expect((await api.request('POST', '/datasets/snapshots/1/rollback', { token: admin.token })).status).toBe(409);
+        expect((await api.request('POST', '/datasets/snapshots/2/rollback', { token: admin.token })).status).toBe(200);
+        expect(await readCanada()).toEqual({ version: 2, revenue: 1000 });
+    });
+
+    test('unknown versions and dates are rejected', async () => {
+        const rollback = await api.request('POST', '/datasets/snapshots/99/rollback', { token: admin.token });
+        expect(rollback.status).toBe(404);
+        expect(rollback.body.error).toBe('Snapshot v99 not found');
+
+        expect((await api.request('GET', '/countries?snapshot=99', { token: analyst.token })).status).toBe(404);
+        expect((await api.request('GET', '/countries?asOf=2000-01-01', { token: analyst.token })).status).toBe(404);
+        expect((await api.request('GET', '/countries?asOf=yesterday', { token: analyst.token })).status).toBe(400);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Dataset upload tests
+ * POST /api/datasets reads JSON, CSV and XLSX files, checks the columns against the dataset's shape, rejects
+ * invalid rows with their reasons and serves the valid rows once the import is complete.
+ */
+
+const XLSX = require('xlsx');
+const { startApi } = require('./helpers/api');
+
+describe('dataset uploads', () => {
+    let api;
+    let token;
+
+    beforeAll(async () => {
+        api = await startApi();
+        ({ token } = await api.signIn('admin'));
+    });
+
+    afterAll(() => api.close());
+
+    /**
+     * Upload a dataset file
+     * @param {string} dataset - Dataset letter or slug
+     * @param {string} fileName - File name (its extension selects the parser)
+     * @param {string|Buffer} content - File contents
+     * @returns {Promise<Object>} Response
+     */
+    const upload = (dataset, fileName, content) => api.request('POST', '/datasets', {
+        token,
+        form: { dataset, file: { fileName, content } }
+    });
+
+    test('a CSV upload imports the valid rows and reports the rejected ones', async () => {
+        const response = await upload('C', 'countries.csv', 'Country,Yearly Revenue\nCanada,1000\nGermany,abc\n,5\nFrance,2500\n');
+
+        expect(response.status).toBe(201);
+        expect(response.body.data).toMatchObject({
+            dataset: 'C',
+            format: 'csv',
+            rowsReceived: 4,
+            rowsImported: 2,
+            rowsRejected: 2,
+            rejectedRows: [
+                { row: 2, key: 'Germany', reasons: ['"Yearly Revenue" must be a number (got "abc")'] },
+                { row: 3, reasons: ['"Country" is required'] }
+            ]
+        });
+
+        const countries = await api.request('GET', '/countries?sort=countryName', { token });
+        expect(countries.headers['x-snapshot-version']).toBe(String(response.body.data.snapshot.version));
+        expect(countries.body.data.map(country => [country.countryName, country.yearlyRevenue]))
+            .toEqual([['Canada', 1000], ['France', 2500]]);
+    });
+
+    test('JSON and XLSX files are read too, and datasets can be named by slug', async () => {
+        const json = await upload('customer-concentration', 'customers.json', JSON.stringify([
+            { 'Customer Name': 'Acme', 'Total Revenue': 100 },
+            { 'Customer Name': 'Globex', 'Total Revenue': 300 }
+        ]));
+        expect(json.status).toBe(201);
+        expect(json.body.data).toMatchObject({ dataset: 'E', format: 'json', rowsImported: 2 });
+
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([
+            { Region: 'EMEA', 'Yearly Revenue': 700 },
+            { Region: 'LATAM', 'Yearly Revenue': 300 }
+        ]), 'Regions');
+        const xlsx = await upload('D', 'regions.xlsx', XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+        expect(xlsx.status).toBe(201);
+        expect(xlsx.body.data).toMatchObject({ dataset: 'D', format: 'xlsx', rowsImported: 2, rowsRejected: 0 });
+
+        const regions = await api.request('GET', '/regions?sort=regionName', { token });
+        expect(regions.body.data.map(region => region.regionName)).toEqual(['EMEA', 'LATAM']);
+    });
+
+    test('a file without the expected columns is rejected and nothing is replaced', async () => {
+        const before = await api.request('GET', '/datasets/snapshots', { token });
+        const response = await upload('C', 'countries.csv', 'Nation,Revenue\nCanada,1\n');
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toMatchObject({
+            loaded: false,
+            columnErrors: ['Missing required column "Country"', 'Missing required column "Yearly Revenue"'],
+            warnings: ['Ignored unexpected column(s): "Nation", "Revenue"']
+        });
+        expect((await api.request('GET', '/datasets/snapshots', { token })).body.data).toEqual(before.body.data);
+    });
+
+    test('a file without a single valid row is rejected', async () => {
+        const response = await upload('C', 'countries.csv', 'Country,Yearly Revenue\nCanada,abc\n');
+
+        expect(response.status).toBe(422);
+        expect(response.body.error).toMatchObject({ rowsImported: 0, rowsRejected: 1 });
+    });
+
+    test.each([
+        ['an unknown dataset', 'F', 'countries.csv', 'Country\n', 400],
+        ['an unsupported file type', 'C', 'countries.txt', 'Country\n', 415],
+        ['an unreadable file', 'C', 'countries.json', '{ not json', 400]
+    ])('%s is rejected', async (label, dataset, fileName, content, status) => {
+        expect((await upload(dataset, fileName, content)).status).toBe(status);
+    });
+
+    test('an upload needs a file', async () => {
+        const response = await api.request('POST', '/datasets', { token, form: { dataset: 'C' } });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toMatch(/No file uploaded/);
+    });
+});
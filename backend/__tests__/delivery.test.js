@@ -0,0 +1,185 @@
+/**
+ * Delivery channel tests
+ * Webhooks are posted to a local HTTP receiver that checks the signature the way a subscriber would; emails go
+ * to a local SMTP catcher that records each message.
+ */
+
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const schedulerConfig = require('../config/scheduler');
+const { getDeliveryChannel } = require('../delivery');
+
+const SECRET = 'a-very-long-webhook-secret';
+
+const job = {
+    id: 'job-1',
+    scheduleId: 'schedule-1',
+    scheduleName: 'Weekly revenue',
+    trigger: 'manual',
+    scheduledFor: '2024-05-06T08:00:00.000Z',
+    attempts: 1,
+    snapshotVersion: 3
+};
+
+const files = [{ filename: 'regions.csv', contentType: 'text/csv', content: Buffer.from('Region,Revenue\nEMEA,100\n', 'utf8') }];
+
+/**
+ * Start a server on a free local port
+ * @param {Object} server - HTTP or net server
+ * @returns {Promise<number>} Port
+ */
+const listen = (server) => new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+/**
+ * Create an HTTP receiver that records each request with its raw body
+ * @returns {Object} { server, requests, respondWith (status of the next responses) }
+ */
+const createReceiver = () => {
+    const requests = [];
+    let status = 200;
+    const server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            requests.push({ headers: request.headers, body: Buffer.concat(chunks).toString('utf8') });
+            response.statusCode = status;
+            response.end(status === 200 ? 'ok' : 'unavailable');
+        });
+    });
+    return { server, requests, respondWith: (value) => { status = value; } };
+};
+
+/**
+ * Create an SMTP catcher speaking just enough SMTP for nodemailer; it records each message
+ * @returns {Object} { server, messages }
+ */
+const createSmtpCatcher = () => {
+    const messages = [];
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let inData = false;
+        socket.write('220 catcher\r\n');
+        socket.on('data', (data) => {
+            buffer += data.toString('latin1');
+            for (;;) {
+                if (inData) {
+                    const end = buffer.indexOf('\r\n.\r\n');
+                    if (end < 0) return;
+                    messages.push(buffer.slice(0, end));
+                    buffer = buffer.slice(end + 5);
+                    inData = false;
+                    socket.write('250 OK queued\r\n');
+                    continue;
+                }
+                const lineEnd = buffer.indexOf('\r\n');
+                if (lineEnd < 0) return;
+                const command = buffer.slice(0, 4).toUpperCase();
+                buffer = buffer.slice(lineEnd + 2);
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250-catcher\r\n250 8BITMIME\r\n');
+                } else if (command === 'DATA') {
+                    inData = true;
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                    return;
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    });
+    return { server, messages };
+};
+
+describe('webhook channel', () => {
+    const receiver = createReceiver();
+    const webhook = getDeliveryChannel('webhook');
+    let url;
+
+    beforeAll(async () => {
+        url = `http://127.0.0.1:${await listen(receiver.server)}/hooks/reports`;
+    });
+
+    beforeEach(() => {
+        receiver.requests.length = 0;
+        receiver.respondWith(200);
+    });
+
+    afterAll(() => new Promise(resolve => receiver.server.close(resolve)));
+
+    test('signs the timestamp and raw body with the delivery secret', async () => {
+        const result = await webhook.deliver({ delivery: { url, secret: SECRET }, job, files, deliveryId: 'job-1:0' });
+
+        expect(result).toBe('HTTP 200');
+        expect(receiver.requests).toHaveLength(1);
+        const [{ headers, body }] = receiver.requests;
+        const timestamp = headers['x-zenalyst-timestamp'];
+        const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+
+        expect(headers['x-zenalyst-signature']).toBe(expected);
+        expect(Math.abs(Date.now() / 1000 - Number(timestamp))).toBeLessThan(60);
+        expect(headers['x-zenalyst-event']).toBe('scheduled-report');
+        expect(headers['x-zenalyst-delivery']).toBe('job-1:0');
+
+        const payload = JSON.parse(body);
+        expect(payload.job).toMatchObject({ id: 'job-1', attempt: 1 });
+        expect(Buffer.from(payload.files[0].content, 'base64').equals(files[0].content)).toBe(true);
+    });
+
+    test('a signature made with another secret or over another body does not match', async () => {
+        await webhook.deliver({ delivery: { url, secret: SECRET }, job, files, deliveryId: 'job-1:0' });
+
+        const [{ headers, body }] = receiver.requests;
+        const timestamp = headers['x-zenalyst-timestamp'];
+        const signWith = (secret, payload) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex')}`;
+
+        expect(headers['x-zenalyst-signature']).not.toBe(signWith('another-long-webhook-secret', body));
+        expect(headers['x-zenalyst-signature']).not.toBe(signWith(SECRET, body.replace('Weekly', 'Daily')));
+    });
+
+    test('deliveries without a secret are not signed', async () => {
+        await webhook.deliver({ delivery: { url, headers: { 'X-Team': 'finance' } }, job, files, deliveryId: 'job-1:0' });
+
+        const [{ headers }] = receiver.requests;
+        expect(headers['x-team']).toBe('finance');
+        expect(headers['x-zenalyst-signature']).toBeUndefined();
+        expect(headers['x-zenalyst-timestamp']).toBeUndefined();
+    });
+
+    test('a response outside 2xx fails the delivery', async () => {
+        receiver.respondWith(503);
+
+        await expect(webhook.deliver({ delivery: { url, secret: SECRET }, job, files, deliveryId: 'job-1:0' }))
+            .rejects.toThrow('Webhook responded with HTTP 503: unavailable');
+    });
+});
+
+describe('email channel', () => {
+    const catcher = createSmtpCatcher();
+    const email = getDeliveryChannel('email');
+
+    beforeAll(async () => {
+        schedulerConfig.email.host = '127.0.0.1';
+        schedulerConfig.email.port = await listen(catcher.server);
+    });
+
+    afterAll(() => new Promise(resolve => catcher.server.close(resolve)));
+
+    test('sends the report files to the SMTP server', async () => {
+        const result = await email.deliver({ delivery: { to: ['finance@example.com'], cc: ['cfo@example.com'] }, job, files });
+
+        expect(result).toMatch(/^Sent as <.+>$/);
+        expect(catcher.messages).toHaveLength(1);
+        const [message] = catcher.messages;
+
+        expect(message).toMatch(/^To: finance@example\.com$/m);
+        expect(message).toMatch(/^Cc: cfo@example\.com$/m);
+        expect(message).toMatch(/^Subject: Weekly revenue \(2024-05-06\)$/m);
+        expect(message).toMatch(/from dataset snapshot v3/);
+        expect(message).toMatch(/filename=regions\.csv/);
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Streaming tests
+ * The analyze and chat message streams send each step of the answer as a Server-Sent Event as soon as it is
+ * ready, through compression(); an idle stream gets heartbeats, and a client that leaves cancels the work.
+ */
+
+const http = require('http');
+const zlib = require('zlib');
+const express = require('express');
+const compression = require('compression');
+const { openEventStream, throwIfAborted, isAbortError } = require('../utils/eventStream');
+const { startApi } = require('./helpers/api');
+
+/**
+ * Split an event stream into its events
+ * @param {string} text - Stream contents
+ * @returns {Array} { event, data } per event (comments and the retry line are skipped)
+ */
+const parseEvents = text => text.split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map((block) => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+
+describe('analysis streams', () => {
+    let api;
+    let token;
+
+    beforeAll(async () => {
+        api = await startApi();
+        ({ token } = await api.signIn('analyst'));
+    });
+
+    afterAll(() => api.close());
+
+    test('the analysis is sent step by step and ends with the full result', async () => {
+        const prompt = 'Which 3 customers declined the most, and what is our retention?';
+        const response = await api.request('POST', '/analytics/analyze/stream', { token, body: { prompt } });
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+        expect(response.body.startsWith('retry: 3000\n\n')).toBe(true);
+
+        const events = parseEvents(response.body);
+        expect(events.map(event => event.event)).toEqual(['query', 'result', 'result', 'answer', 'done']);
+        expect([events[1].data.key, events[2].data.key]).toEqual(['retention', 'customerRanking']);
+
+        const done = events[4].data;
+        expect(done.results).toEqual([events[1].data, events[2].data]);
+        expect(done.answer).toBe(events[3].data.answer);
+
+        const { body } = await api.request('POST', '/analytics/analyze', { token, body: { prompt } });
+        expect(done.insights).toEqual(body.data.insights);
+    });
+
+    test('chat messages stream too, and GET takes the prompt from the query string', async () => {
+        const { body: { data: session } } = await api.request('POST', '/analytics/sessions', { token, body: {} });
+        const message = await api.request('POST', `/analytics/sessions/${session.id}/messages/stream`, { token, body: { content: 'top 2 countries' } });
+        const done = parseEvents(message.body).pop();
+
+        expect(done.event).toBe('done');
+        expect(done.data).toMatchObject({ session: { id: session.id, messageCount: 2 }, message: { content: 'top 2 countries' } });
+
+        const get = await api.request('GET', `/analytics/analyze/stream?prompt=${encodeURIComponent('top 2 countries')}`, { token });
+        expect(parseEvents(get.body).pop().data.results[0].data.countries).toHaveLength(2);
+    });
+
+    test('errors found before the first event are regular JSON responses', async () => {
+        const invalid = await api.request('POST', '/analytics/analyze/stream', { token, body: {} });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.success).toBe(false);
+
+        const missing = await api.request('POST', '/analytics/sessions/missing/messages/stream', { token, body: { content: 'top customers' } });
+        expect(missing.status).toBe(404);
+        expect(missing.body.error).toBe("Chat session 'missing' not found");
+    });
+});
+
+describe('openEventStream', () => {
+    let server;
+    let port;
+    let handler;
+
+    beforeAll(async () => {
+        const app = express();
+        app.use(compression());
+        app.get('/stream', (req, res) => handler(req, res));
+        server = http.createServer(app);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        ({ port } = server.address());
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    /**
+     * Open the test stream with gzip accepted, as browsers do
+     * @param {Function} onText - Called with the decompressed text received so far
+     * @returns {Promise<Object>} { request, response, body (resolves with the whole text) }
+     */
+    const connect = onText => new Promise((resolve, reject) => {
+        const request = http.get({ host: '127.0.0.1', port, path: '/stream', headers: { 'Accept-Encoding': 'gzip' } }, (response) => {
+            const decoded = response.headers['content-encoding'] === 'gzip' ? response.pipe(zlib.createGunzip()) : response;
+            let text = '';
+            const body = new Promise((done) => {
+                decoded.on('data', (chunk) => {
+                    text += chunk.toString('utf8');
+                    onText(text);
+                });
+                decoded.on('end', () => done(text));
+                decoded.on('error', () => done(text));
+            });
+            resolve({ request, response, body });
+        });
+        request.on('error', reject);
+    });
+
+    test('each event reaches a gzip client while the work is still running', async () => {
+        let release;
+        const finished = new Promise(resolve => { release = resolve; });
+        handler = async (req, res) => {
+            const stream = openEventStream(req, res);
+            stream.send('result', { step: 1 });
+            await finished;
+            stream.send('done', { steps: 1 });
+            stream.close();
+        };
+
+        let received;
+        const firstEvent = new Promise(resolve => { received = resolve; });
+        const { response, body } = await connect(text => text.includes('event: result') && received());
+
+        expect(response.headers['content-encoding']).toBe('gzip');
+        await firstEvent;
+        release();
+        expect(parseEvents(await body)).toEqual([{ event: 'result', data: { step: 1 } }, { event: 'done', data: { steps: 1 } }]);
+    });
+
+    test('an idle stream gets heartbeats', async () => {
+        handler = async (req, res) => {
+            const stream = openEventStream(req, res, { heartbeatMs: 20 });
+            stream.send('query', {});
+            await new Promise(resolve => setTimeout(resolve, 100));
+            stream.close();
+        };
+
+        const { body } = await connect(() => {});
+        expect((await body).match(/: heartbeat\n\n/g).length).toBeGreaterThanOrEqual(2);
+    });
+
+    test('a client that leaves aborts the signal, and the work stops at its next step', async () => {
+        let outcome;
+        const stopped = new Promise(resolve => { outcome = resolve; });
+        handler = async (req, res) => {
+            const stream = openEventStream(req, res);
+            stream.send('query', {});
+            try {
+                for (let step = 0; step < 100; step += 1) {
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                    throwIfAborted(stream.signal);
+                }
+                outcome({ completed: true });
+            } catch (error) {
+                outcome({ aborted: isAbortError(error), closed: stream.isClosed(), sent: stream.send('result', {}) });
+            }
+        };
+
+        const { request } = await connect(text => text.includes('event: query') && request.destroy());
+        expect(await stopped).toEqual({ aborted: true, closed: true, sent: false });
+    });
+});
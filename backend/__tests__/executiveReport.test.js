@@ -0,0 +1,81 @@
+/**
+ * Executive report tests
+ * The report is a narrative whose sentences keep the figures, thresholds and service call they come from; it is
+ * rendered as JSON, Markdown or HTML, and the same dataset snapshot always gives the same report and checksum.
+ */
+
+const { startApi } = require('./helpers/api');
+
+describe('executive report', () => {
+    let api;
+    let admin;
+    let analyst;
+    let original;
+
+    beforeAll(async () => {
+        api = await startApi();
+        admin = await api.signIn('admin');
+        analyst = await api.signIn('analyst');
+
+        const response = await api.request('GET', '/reports/executive', { token: analyst.token });
+        expect(response.status).toBe(200);
+        original = response.body.data;
+    });
+
+    afterAll(() => api.close());
+
+    test('every section is written from the figures of the services', async () => {
+        expect(original.snapshot.version).toBe(1);
+        expect(original.sections.map(section => section.key)).toEqual(['headline', 'growth-drivers', 'churn', 'concentration', 'geography']);
+        original.sections.forEach(section => {
+            expect(section.sentences.length).toBeGreaterThan(0);
+            section.sentences.forEach(item => expect(item.source).toMatch(/^[a-z]+Service\.[a-zA-Z]+$/));
+        });
+
+        const { body: { data: summary } } = await api.request('GET', '/revenue/summary', { token: analyst.token });
+        const [headline, verdict] = original.sections[0].sentences;
+        expect(headline).toMatchObject({
+            source: 'revenueService.getRevenueSummary',
+            figures: { fromRevenue: summary.fromRevenue, toRevenue: summary.toRevenue, percentageVariance: summary.percentageVariance }
+        });
+        expect(headline.text).toContain(summary.formattedToRevenue);
+        expect(verdict.thresholds).toEqual({ strongGrowth: expect.any(Number), flatBand: expect.any(Number) });
+    });
+
+    test('the report is rendered as Markdown and HTML with numbered sources', async () => {
+        const markdown = await api.request('GET', '/reports/executive?format=markdown', { token: analyst.token });
+        expect(markdown.headers['content-type']).toBe('text/markdown; charset=utf-8');
+        expect(markdown.body).toMatch(new RegExp(`^# ${original.title}`));
+        expect(markdown.body).toContain('## 1. Headline revenue');
+        expect(markdown.body).toContain(' [1]');
+
+        const html = await api.request('GET', '/reports/executive', { token: analyst.token, headers: { Accept: 'text/html' } });
+        expect(html.headers['content-type']).toBe('text/html; charset=utf-8');
+        expect(html.body).toContain('<tr id="source-1">');
+        expect(html.body).toContain('revenueService.getRevenueSummary');
+
+        expect([markdown.headers['x-report-checksum'], html.headers['x-report-checksum']]).toEqual([original.checksum, original.checksum]);
+        expect((await api.request('GET', '/reports/executive?format=xml', { token: analyst.token })).status).toBe(400);
+    });
+
+    test('the same snapshot gives the same report and checksum after an import', async () => {
+        const again = await api.request('GET', '/reports/executive', { token: analyst.token });
+        expect(again.body.data).toEqual(original);
+
+        const upload = await api.request('POST', '/datasets', {
+            token: admin.token,
+            form: { dataset: 'C', file: { fileName: 'countries.json', content: JSON.stringify([{ Country: 'Canada', 'Yearly Revenue': 1000 }]) } }
+        });
+        expect(upload.status).toBe(201);
+
+        const latest = await api.request('GET', '/reports/executive', { token: analyst.token });
+        expect(latest.body.data.snapshot.version).toBe(2);
+        expect(latest.body.data.checksum).not.toBe(original.checksum);
+        expect(latest.body.data.sections.find(section => section.key === 'geography'))
+            .not.toEqual(original.sections.find(section => section.key === 'geography'));
+
+        const pinned = await api.request('GET', '/reports/executive?snapshot=1', { token: analyst.token });
+        expect(pinned.body.data).toEqual(original);
+        expect(pinned.headers['x-report-checksum']).toBe(original.checksum);
+    });
+});
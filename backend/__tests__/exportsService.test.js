@@ -0,0 +1,42 @@
+/**
+ * Table export tests
+ * Exports are written page by page; tables computed in one go must still hand out each row exactly once.
+ */
+
+const { parse } = require('csv-parse/sync');
+const exportsConfig = require('../config/exports');
+const { getGrowthCustomersTable } = require('../services/exportsService');
+const revenueService = require('../services/revenueService');
+const { renderTable } = require('../utils/tableExport');
+
+describe('growth customers export', () => {
+    let customers;
+
+    beforeAll(async () => {
+        customers = await revenueService.getTopGrowthCustomers(Infinity);
+    });
+
+    test('the table spans more than one export page', () => {
+        expect(customers.length).toBeGreaterThan(exportsConfig.batchSize);
+    });
+
+    test('pages do not overlap', async () => {
+        const table = await getGrowthCustomersTable();
+        const first = await table.readPage(1, exportsConfig.batchSize);
+        const second = await table.readPage(2, exportsConfig.batchSize);
+
+        expect(first.total).toBe(customers.length);
+        expect(first.items).toHaveLength(exportsConfig.batchSize);
+        expect(second.items).toHaveLength(customers.length - exportsConfig.batchSize);
+        expect([...first.items, ...second.items].map(item => item.customerName))
+            .toEqual(customers.map(customer => customer.customerName));
+    });
+
+    test('the CSV lists every customer once', async () => {
+        const { content } = await renderTable('csv', await getGrowthCustomersTable());
+        const [header, ...rows] = parse(content, { bom: true });
+
+        expect(header[0]).toBe('Customer');
+        expect(rows.map(row => row[0])).toEqual(customers.map(customer => customer.customerName));
+    });
+});
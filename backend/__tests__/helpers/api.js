@@ -0,0 +1,120 @@
+/**
+ * API test helper
+ * Serves the API routes on a free local port and signs in users of any role, so tests can call the endpoints
+ * the way a client does.
+ */
+
+const http = require('http');
+const express = require('express');
+const routes = require('../../routes');
+const { notFound, errorHandler } = require('../../middleware/errorHandler');
+const usersService = require('../../services/usersService');
+const authService = require('../../services/authService');
+
+const PASSWORD = 'correct-horse-battery';
+
+/**
+ * Encode form fields as multipart/form-data
+ * @param {Object} form - Field values; files are given as { fileName, content, contentType }
+ * @returns {Object} { body (Buffer), contentType }
+ */
+const encodeForm = (form) => {
+    const boundary = `----zenalyst-test-${Date.now()}`;
+    const parts = Object.entries(form).map(([name, value]) => {
+        const isFile = typeof value === 'object' && value !== null;
+        const headers = isFile
+            ? `Content-Disposition: form-data; name="${name}"; filename="${value.fileName}"\r\nContent-Type: ${value.contentType || 'application/octet-stream'}`
+            : `Content-Disposition: form-data; name="${name}"`;
+        return Buffer.concat([
+            Buffer.from(`--${boundary}\r\n${headers}\r\n\r\n`),
+            Buffer.from(isFile ? value.content : String(value)),
+            Buffer.from('\r\n')
+        ]);
+    });
+
+    return {
+        body: Buffer.concat([...parts, Buffer.from(`--${boundary}--\r\n`)]),
+        contentType: `multipart/form-data; boundary=${boundary}`
+    };
+};
+
+/**
+ * Start the API
+ * @returns {Promise<Object>} { request, signIn, close }
+ */
+const startApi = async () => {
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.use('/api', routes);
+    app.use(notFound);
+    app.use(errorHandler);
+
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    let userCount = 0;
+
+    /**
+     * Call an endpoint
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below /api (e.g. '/revenue/bridge?snapshot=1')
+     * @param {Object} options - { token, body (sent as JSON), form (sent as multipart/form-data), headers }
+     * @returns {Promise<Object>} { status, headers, body (parsed JSON, text, or a Buffer for files such as PDFs) }
+     */
+    const request = (method, path, { token = null, body, form, headers = {} } = {}) => new Promise((resolve, reject) => {
+        const encoded = form ? encodeForm(form) : null;
+        const payload = encoded ? encoded.body : body === undefined ? null : JSON.stringify(body);
+        const contentType = encoded ? encoded.contentType : 'application/json';
+        const outgoing = http.request({
+            host: '127.0.0.1',
+            port,
+            method,
+            path: `/api${path}`,
+            headers: {
+                ...headers,
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...(payload !== null && { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(payload) })
+            }
+        }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                const content = Buffer.concat(chunks);
+                const type = response.headers['content-type'] || '';
+                let body = content;
+                if (type.includes('application/json')) body = JSON.parse(content.toString('utf8'));
+                else if (type.startsWith('text/')) body = content.toString('utf8');
+                resolve({ status: response.statusCode, headers: response.headers, body });
+            });
+        });
+        outgoing.on('error', reject);
+        outgoing.end(payload);
+    });
+
+    /**
+     * Create a user and log in
+     * @param {string} role - Role
+     * @param {Object} fields - Other user fields (e.g. { scope })
+     * @returns {Promise<Object>} { user, token, refreshToken, password }
+     */
+    const signIn = async (role, fields = {}) => {
+        userCount += 1;
+        const user = await usersService.createUser({
+            email: `${role.replace(/_/g, '-')}-${userCount}@example.com`,
+            name: `${role} ${userCount}`,
+            password: PASSWORD,
+            role,
+            ...fields
+        });
+        const tokens = await authService.login({ email: user.email, password: PASSWORD });
+        return { user, token: tokens.accessToken, refreshToken: tokens.refreshToken, password: PASSWORD };
+    };
+
+    const close = () => new Promise(resolve => server.close(resolve));
+
+    return { request, signIn, close };
+};
+
+module.exports = {
+    startApi
+};
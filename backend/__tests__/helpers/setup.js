@@ -0,0 +1,21 @@
+/**
+ * Jest setup, run before every test file (see "jest" in package.json)
+ * Tests use the in-memory store, which loads the Data Source files on first use. Service logging is
+ * silenced, and the store is released once a file's tests are done.
+ */
+
+process.env.STORAGE_ADAPTER = 'memory';
+process.env.STORAGE_FILE = '';
+
+const { getStorage } = require('../../database/storage');
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(async () => {
+    await getStorage().close();
+    jest.restoreAllMocks();
+});
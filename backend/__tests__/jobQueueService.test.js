@@ -0,0 +1,128 @@
+/**
+ * Job queue tests
+ * A failed attempt puts the job back in the queue after an exponential backoff, resends only the deliveries
+ * that failed, and fails the job for good once its attempts run out. Deliveries go to a local HTTP receiver.
+ */
+
+const http = require('http');
+const schedulerConfig = require('../config/scheduler');
+const { jobsRepository } = require('../repositories');
+const { enqueueAlertNotification, processJobs } = require('../services/jobQueueService');
+
+const { retry } = schedulerConfig;
+
+describe('job retries', () => {
+    const originalRetry = { ...retry };
+    const requests = [];
+    let flakyStatus = 503;
+    let server;
+    let baseUrl;
+
+    /**
+     * Enqueue an alert notification to a healthy and a flaky webhook
+     * @returns {Promise<Object>} Stored job
+     */
+    const enqueueJob = () => enqueueAlertNotification(
+        { _id: 'alert-1' },
+        { event: 'alert.triggered', alert: { id: 'alert-1', lastSnapshotVersion: null } },
+        [
+            { channel: 'webhook', url: `${baseUrl}/healthy` },
+            { channel: 'webhook', url: `${baseUrl}/flaky` }
+        ]
+    );
+
+    /**
+     * Run the queue as of a time and read the job back
+     * @param {string} id - Job id
+     * @param {string} at - Time of the run (ISO 8601)
+     * @returns {Promise<Object>} Job DTO
+     */
+    const runQueueAt = async (id, at) => {
+        await processJobs(new Date(at));
+        return jobsRepository.toDto(await jobsRepository.findById(id));
+    };
+
+    /**
+     * Expect a job to be pending again after the backoff of its failed attempt
+     * @param {Object} job - Job DTO
+     * @param {number} delay - Expected delay in milliseconds
+     * @param {number} before - Time before the attempt (ms)
+     * @param {number} after - Time after the attempt (ms)
+     */
+    const expectRetryAfter = (job, delay, before, after) => {
+        expect(job.status).toBe('pending');
+        expect(Date.parse(job.runAt)).toBeGreaterThanOrEqual(before + delay);
+        expect(Date.parse(job.runAt)).toBeLessThanOrEqual(after + delay);
+    };
+
+    beforeAll(async () => {
+        server = http.createServer((request, response) => {
+            request.resume();
+            request.on('end', () => {
+                requests.push(request.url);
+                response.statusCode = request.url === '/flaky' ? flakyStatus : 200;
+                response.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        Object.assign(retry, { maxAttempts: 3, backoffMs: 1000, backoffFactor: 2, maxBackoffMs: 1500 });
+    });
+
+    beforeEach(() => {
+        requests.length = 0;
+        flakyStatus = 503;
+    });
+
+    afterAll(async () => {
+        Object.assign(retry, originalRetry);
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('a failed attempt is retried after the backoff and resends only the failed delivery', async () => {
+        const { _id: id } = await enqueueJob();
+
+        const before = Date.now();
+        let job = await runQueueAt(id, new Date().toISOString());
+        expectRetryAfter(job, 1000, before, Date.now());
+        expect(job.attempts).toBe(1);
+        expect(job.lastError).toMatch(/webhook delivery to .*\/flaky failed: Webhook responded with HTTP 503/);
+        expect(job.deliveries.map(delivery => delivery.status)).toEqual(['delivered', 'failed']);
+        expect(requests).toEqual(['/healthy', '/flaky']);
+
+        // Not yet due: the queue leaves the job alone until its backoff has passed
+        expect(await processJobs(new Date(Date.parse(job.runAt) - 1))).toBe(0);
+
+        flakyStatus = 200;
+        job = await runQueueAt(id, job.runAt);
+        expect(job.status).toBe('succeeded');
+        expect(job.attempts).toBe(2);
+        expect(job.lastError).toBeNull();
+        expect(job.deliveries.map(delivery => [delivery.status, delivery.attempts])).toEqual([['delivered', 1], ['delivered', 2]]);
+        expect(requests).toEqual(['/healthy', '/flaky', '/flaky']);
+    });
+
+    test('the backoff grows up to its limit and the job fails once its attempts run out', async () => {
+        const { _id: id } = await enqueueJob();
+
+        let before = Date.now();
+        let job = await runQueueAt(id, new Date().toISOString());
+        expectRetryAfter(job, 1000, before, Date.now());
+
+        // The second delay (1000 × 2) is capped by maxBackoffMs
+        before = Date.now();
+        job = await runQueueAt(id, job.runAt);
+        expectRetryAfter(job, 1500, before, Date.now());
+        expect(job.attempts).toBe(2);
+
+        job = await runQueueAt(id, job.runAt);
+        expect(job.status).toBe('failed');
+        expect(job.attempts).toBe(3);
+        expect(job.completedAt).not.toBeNull();
+        expect(job.lastError).toMatch(/HTTP 503/);
+        expect(requests).toEqual(['/healthy', '/flaky', '/flaky', '/flaky']);
+
+        expect(await processJobs(new Date(Date.now() + 24 * 60 * 60 * 1000))).toBe(0);
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * List query tests
+ * The shared query layer must reject operators, fields and values it does not whitelist, so no query string
+ * can reach the storage adapters as a Mongo operator.
+ */
+
+const { parseListQuery, toMongoQuery } = require('../utils/listQuery');
+
+const columns = { customerName: 'Customer Name', variance: 'Variance' };
+
+describe('parseListQuery', () => {
+    test('parses whitelisted operators into typed filters', () => {
+        const { listQuery, errors } = parseListQuery({
+            variance: { gt: '1000' },
+            customerName: { in: 'Sonos - USA,2K Games' },
+            sort: '-variance',
+            limit: '10'
+        }, 'customerAnalysis');
+
+        expect(errors).toEqual([]);
+        expect(listQuery.filters).toEqual([
+            { field: 'variance', operator: 'gt', value: 1000 },
+            { field: 'customerName', operator: 'in', value: ['Sonos - USA', '2K Games'] }
+        ]);
+        expect(listQuery.sort).toEqual([{ field: 'variance', direction: -1 }]);
+        expect(listQuery.limit).toBe(10);
+    });
+
+    test.each([
+        ['a Mongo operator', { customerName: { $ne: 'x' } }, 'Unknown operator "$ne"'],
+        ['an unknown operator', { variance: { regex: '.*' } }, 'Unknown operator "regex"'],
+        ['a text operator on a number field', { variance: { contains: '1' } }, 'Operator "contains" only applies to text fields'],
+        ['a value that is not a number', { variance: { gt: 'abc' } }, '"variance" must be a number'],
+        ['a nested object as value', { variance: { gt: { $gt: '' } } }, '"variance" filter value must be a single value'],
+        ['a repeated parameter in a list operator', { customerName: { in: ['a', 'b'] } }, '"customerName[in]" must be a comma separated list'],
+        ['operator syntax on an unknown field', { $where: { eq: '1' } }, 'Unknown filter field "$where"']
+    ])('rejects %s', (label, query, message) => {
+        const { listQuery, errors } = parseListQuery(query, 'customerAnalysis');
+
+        expect(errors).toEqual([expect.stringContaining(message)]);
+        expect(listQuery.filters).toEqual([]);
+    });
+
+    test('rejects unknown sort and selected fields and out of range pagination', () => {
+        const { errors } = parseListQuery({ sort: 'password', fields: 'customerName,secret', page: '0', limit: '100000' }, 'customerAnalysis');
+
+        expect(errors).toHaveLength(4);
+        expect(errors.join(' ')).toMatch(/password/);
+        expect(errors.join(' ')).toMatch(/secret/);
+        expect(errors).toContain('"page" must be a positive integer');
+    });
+
+    test('accepts a leading "-" in sort only', () => {
+        const { errors, listQuery } = parseListQuery({ sort: '-variance', fields: '-customerName,variance' }, 'customerAnalysis');
+
+        expect(errors).toEqual([expect.stringContaining('Unknown field(s) in "fields": -customerName.')]);
+        expect(listQuery.sort).toEqual([{ field: 'variance', direction: -1 }]);
+    });
+
+    test('ignores plain parameters that are not list fields (they belong to the endpoint)', () => {
+        const { errors, listQuery } = parseListQuery({ minRevenue: '5000' }, 'customerAnalysis');
+
+        expect(errors).toEqual([]);
+        expect(listQuery.filters).toEqual([]);
+    });
+});
+
+describe('toMongoQuery', () => {
+    test('maps filters to stored columns and escapes text operators', () => {
+        const { listQuery } = parseListQuery({ customerName: { contains: 'a.*(b' }, variance: { lte: '5' }, sort: '-variance', page: '3', limit: '20' }, 'customerAnalysis');
+
+        expect(toMongoQuery(listQuery, columns)).toEqual({
+            filter: {
+                'Customer Name': { $regex: 'a\\.\\*\\(b', $options: 'i' },
+                Variance: { $lte: 5 }
+            },
+            sort: { Variance: -1 },
+            skip: 40,
+            limit: 20
+        });
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Memory storage tests
+ * The in-memory collection answers the queries the services use (filters, sort/skip/limit, counts, distinct and
+ * $group/$sum aggregations) like MongoDB, and with STORAGE_FILE set the store survives a restart.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isDate } = require('util').types;
+const databaseConfig = require('../config/database');
+const memoryStorage = require('../database/storage/memoryStorage');
+const { createMemoryCollection } = require('../database/storage/memoryCollection');
+
+const documents = [
+    { _id: 'd1', region: 'EMEA', country: 'Germany', revenue: 300, tags: ['a', 'b'] },
+    { _id: 'd2', region: 'EMEA', country: 'France', revenue: 100, tags: ['b'] },
+    { _id: 'd3', region: 'NA', country: 'Canada', revenue: 200 },
+    { _id: 'd4', region: 'NA', country: 'Mexico', revenue: null },
+    { _id: 'd5', country: 'Atlantis', revenue: 50 }
+];
+
+describe('memory collection', () => {
+    let collection;
+    let changes;
+
+    beforeEach(async () => {
+        changes = 0;
+        collection = createMemoryCollection('items', { documents: [], indexes: [] }, () => { changes += 1; }, () => {});
+        await collection.insertMany(documents);
+    });
+
+    const ids = list => list.map(document => document._id);
+
+    test('find filters, sorts, skips and limits', async () => {
+        expect(ids(await collection.find({ revenue: { $gte: 100 } }).sort({ revenue: -1 }).toArray())).toEqual(['d1', 'd3', 'd2']);
+        expect(ids(await collection.find({ region: { $in: ['NA'] } }).sort({ country: 1 }).skip(1).limit(1).toArray())).toEqual(['d4']);
+        expect(ids(await collection.find({ country: { $regex: '^f', $options: 'i' } }).toArray())).toEqual(['d2']);
+        expect(ids(await collection.find({ $or: [{ region: 'NA' }, { revenue: 50 }] }).toArray())).toEqual(['d3', 'd4', 'd5']);
+        expect(ids(await collection.find({ region: { $exists: false } }).toArray())).toEqual(['d5']);
+        // Nulls and missing fields sort first, as in MongoDB
+        expect(ids(await collection.find().sort({ revenue: 1, _id: 1 }).limit(2).toArray())).toEqual(['d4', 'd5']);
+    });
+
+    test('counts, distinct values and single reads', async () => {
+        expect(await collection.countDocuments({ region: 'EMEA' })).toBe(2);
+        expect(await collection.countDocuments()).toBe(5);
+        expect(await collection.distinct('region')).toEqual(['EMEA', 'NA']);
+        expect(await collection.distinct('tags')).toEqual(['a', 'b']);
+        expect(await collection.findOne({ country: 'Canada' })).toEqual(documents[2]);
+        expect(await collection.findOne({ country: 'Peru' })).toBeNull();
+    });
+
+    test('$group sums the numeric values of each group', async () => {
+        const totals = await collection.aggregate([
+            { $match: { revenue: { $ne: 50 } } },
+            { $group: { _id: '$region', total: { $sum: '$revenue' }, count: { $sum: 1 } } },
+            { $sort: { total: -1 } }
+        ]).toArray();
+
+        expect(totals).toEqual([
+            { _id: 'EMEA', total: 400, count: 2 },
+            { _id: 'NA', total: 200, count: 2 }
+        ]);
+        await expect(collection.aggregate([{ $lookup: {} }]).toArray()).rejects.toThrow("Unsupported aggregation stage '$lookup'");
+    });
+
+    test('documents are copied in and out of the store', async () => {
+        const written = { _id: 'd6', country: 'Peru', tags: ['a'] };
+        await collection.insertOne(written);
+        written.tags.push('written');
+        (await collection.findOne({ _id: 'd6' })).tags.push('read');
+
+        expect(await collection.findOne({ _id: 'd6' })).toEqual({ _id: 'd6', country: 'Peru', tags: ['a'] });
+    });
+
+    test('writes report changes and unique indexes are enforced', async () => {
+        await collection.createIndex({ country: 1 }, { unique: true });
+        changes = 0;
+
+        expect(await collection.updateMany({ region: 'EMEA' }, { $inc: { revenue: 1 } })).toMatchObject({ matchedCount: 2 });
+        expect(await collection.deleteOne({ country: 'Atlantis' })).toEqual({ deletedCount: 1 });
+        expect(await collection.deleteOne({ country: 'Atlantis' })).toEqual({ deletedCount: 0 });
+        expect(changes).toBe(2);
+
+        await expect(collection.insertOne({ country: 'Canada' })).rejects.toMatchObject({ code: 11000 });
+        expect(await collection.countDocuments()).toBe(4);
+    });
+});
+
+describe('file-backed memory store', () => {
+    const settings = databaseConfig.storage.memory;
+    const original = settings.file;
+    let directory;
+
+    beforeAll(async () => {
+        await memoryStorage.close();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-store-'));
+        settings.file = path.join(directory, 'store.json');
+    });
+
+    afterAll(async () => {
+        await memoryStorage.close();
+        settings.file = original;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('an empty store is filled from the Data Source and saved to the file', async () => {
+        const countries = await memoryStorage.getCollection('countries');
+
+        expect(await countries.countDocuments()).toBeGreaterThan(0);
+        expect(fs.existsSync(settings.file)).toBe(true);
+        expect(fs.existsSync(`${settings.file}.tmp`)).toBe(false);
+    });
+
+    test('writes and dates survive a restart', async () => {
+        const createdAt = new Date('2024-05-01T10:00:00.000Z');
+        const db = await memoryStorage.getDatabase();
+        await db.collection('notes').insertOne({ _id: 'n1', text: 'kept', createdAt });
+        await memoryStorage.close();
+
+        const reopened = await memoryStorage.getDatabase();
+        const note = await reopened.collection('notes').findOne({ _id: 'n1' });
+
+        expect(note).toEqual({ _id: 'n1', text: 'kept', createdAt });
+        expect(isDate(note.createdAt)).toBe(true);
+        expect(await reopened.collection('notes').countDocuments({ createdAt: { $lt: new Date('2025-01-01') } })).toBe(1);
+    });
+});
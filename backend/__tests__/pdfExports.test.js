@@ -0,0 +1,105 @@
+/**
+ * PDF export tests
+ * The dashboard, customer and country pages and the executive report are rendered to PDF in process (no browser),
+ * with their tables, charts and the snapshot the figures come from, when asked with ?format=pdf or
+ * Accept: application/pdf.
+ */
+
+const zlib = require('zlib');
+const { startApi } = require('./helpers/api');
+
+/**
+ * Read the text drawn in a PDF (pdfkit writes it as hex strings in compressed content streams)
+ * @param {Buffer} pdf - PDF file
+ * @returns {string} Drawn text, one line per text operation
+ */
+const extractText = (pdf) => {
+    const raw = pdf.toString('latin1');
+    const lines = [];
+    for (const match of raw.matchAll(/stream\r?\n([\s\S]*?)\r?\nendstream/g)) {
+        let content;
+        try {
+            content = zlib.inflateSync(Buffer.from(match[1], 'latin1')).toString('latin1');
+        } catch (error) {
+            continue;
+        }
+        for (const operation of content.matchAll(/\[([^\]]*)\] TJ/g)) {
+            lines.push(Array.from(operation[1].matchAll(/<([0-9a-f]*)>/g), hex => Buffer.from(hex[1], 'hex').toString('latin1')).join(''));
+        }
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Count the pages of a PDF
+ * @param {Buffer} pdf - PDF file
+ * @returns {number} Pages
+ */
+const countPages = pdf => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+describe('PDF exports', () => {
+    let api;
+    let token;
+
+    beforeAll(async () => {
+        api = await startApi();
+        ({ token } = await api.signIn('analyst'));
+    });
+
+    afterAll(() => api.close());
+
+    /**
+     * Download a PDF and check the file headers
+     * @param {string} path - Path below /api
+     * @param {string} fileName - Expected file name
+     * @param {Object} headers - Request headers
+     * @returns {Promise<Object>} { pdf, text }
+     */
+    const download = async (path, fileName, headers = {}) => {
+        const response = await api.request('GET', path, { token, headers });
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('application/pdf');
+        expect(response.headers['content-disposition']).toBe(`inline; filename="${fileName}"`);
+        expect(response.body.subarray(0, 5).toString('latin1')).toBe('%PDF-');
+        expect(response.body.subarray(-6).toString('latin1')).toMatch(/%%EOF\s*$/);
+
+        return { pdf: response.body, text: extractText(response.body) };
+    };
+
+    test('the dashboard pack has the quarterly revenue, bridge and country share charts and their tables', async () => {
+        const { pdf, text } = await download('/analytics/dashboard?format=pdf', 'dashboard.pdf');
+        const { body: { data: countries } } = await api.request('GET', '/countries?limit=1', { token });
+
+        expect(countPages(pdf)).toBeGreaterThan(1);
+        expect(text).toContain('Revenue Dashboard');
+        ['Quarterly revenue', 'Revenue bridge', 'Revenue share by country', 'Top customers'].forEach(title => expect(text).toContain(title));
+        expect(text).toContain('Dataset snapshot v1');
+        expect(text).toContain(countries[0].countryName);
+        expect(text).toMatch(/Page 1 of \d+/);
+    });
+
+    test('customer and country pages are served by content negotiation', async () => {
+        const customer = await download('/customers/Sonos%20-%20USA', 'customer-Sonos---USA.pdf', { Accept: 'application/pdf' });
+        expect(customer.text).toContain('Sonos - USA');
+
+        const country = await download('/countries/Canada?format=pdf', 'country-Canada.pdf');
+        const { body: { data: canada } } = await api.request('GET', '/countries/Canada', { token });
+        expect(country.text).toContain('Canada');
+        expect(country.text).toContain(canada.formattedRevenue);
+    });
+
+    test('the executive report PDF carries the snapshot version in its name', async () => {
+        const { text } = await download('/reports/executive?format=pdf', 'executive-report-v1.pdf');
+        const { body: { data: report } } = await api.request('GET', '/reports/executive', { token });
+
+        expect(text).toContain(report.checksum);
+        report.sections.forEach((section, index) => expect(text).toContain(`${index + 1}. ${section.title}`));
+        expect(text).toContain('Sources');
+    });
+
+    test('unknown pages and formats are rejected', async () => {
+        expect((await api.request('GET', '/countries/Atlantis?format=pdf', { token })).status).toBe(404);
+        expect((await api.request('GET', '/analytics/dashboard?format=xlsx', { token })).status).toBe(400);
+    });
+});
@@ -0,0 +1,200 @@
+/**
+ * Prompt library tests
+ * Prompts are stored templates whose placeholders are filled in with parameters checked against the data, and
+ * running one through the analyze endpoint counts as a use. A prompt belongs to the user who created it:
+ * analysts change and delete only their own prompts, the default prompts belong to 'system', and administrators
+ * change any prompt.
+ */
+
+const { renderTemplate, validateDefinitions, inferParameters } = require('../utils/promptTemplate');
+const { startApi } = require('./helpers/api');
+
+const vocabulary = {
+    customers: ['Sonos - USA'],
+    countries: ['Canada', 'Germany'],
+    regions: ['EMEA'],
+    periods: ['2024-Q3', '2024-Q4']
+};
+
+describe('prompt templates', () => {
+    const prompt = {
+        template: 'Compare {country} to {region} for {period}',
+        parameters: inferParameters('Compare {country} to {region} for {period}')
+    };
+
+    test('placeholders named after a type get that type', () => {
+        expect(prompt.parameters).toEqual([
+            { name: 'country', type: 'country', required: true },
+            { name: 'region', type: 'region', required: true },
+            { name: 'period', type: 'period', required: true }
+        ]);
+        expect(inferParameters('Top {n} customers')).toEqual([{ name: 'n', type: 'text', required: true }]);
+    });
+
+    test('values are checked against the data and normalised', () => {
+        expect(renderTemplate(prompt, { country: 'canada', region: 'emea', period: '2024-q4' }, vocabulary, { maxValueLength: 100 }))
+            .toEqual({
+                text: 'Compare Canada to EMEA for Q4 2024',
+                values: { country: 'Canada', region: 'EMEA', period: '2024-Q4' }
+            });
+
+        expect(renderTemplate(prompt, { country: 'Atlantis', period: 'Q1 2020', extra: 1 }, vocabulary, { maxValueLength: 100 }).errors).toEqual([
+            'Unknown parameter "extra" (expected country, region, period)',
+            '"country" must be a known country, got \'Atlantis\'',
+            '"region" is required',
+            '"period" must be one of the available periods (Q3 2024, Q4 2024), got \'Q1 2020\''
+        ]);
+    });
+
+    test('defaults and optional parameters fill the gaps', () => {
+        const topN = {
+            template: 'Top {limit} customers {extra}',
+            parameters: [
+                { name: 'limit', type: 'number', default: 5 },
+                { name: 'extra', type: 'text', required: false }
+            ]
+        };
+
+        expect(renderTemplate(topN, {}, vocabulary, { maxValueLength: 100 })).toEqual({ text: 'Top 5 customers', values: { limit: 5 } });
+        expect(renderTemplate(topN, { limit: 'ten' }, vocabulary, { maxValueLength: 100 }).errors).toEqual(['"limit" must be a number']);
+    });
+
+    test('declarations must match the placeholders', () => {
+        expect(validateDefinitions('Revenue of {country}', [{ name: 'region', type: 'region' }])).toEqual([
+            'Placeholder {country} has no parameter declared',
+            'Parameter "region" is not used in the template'
+        ]);
+        expect(validateDefinitions('{x}', [{ name: 'x', type: 'colour' }])[0]).toMatch(/unknown type 'colour'/);
+    });
+});
+
+describe('prompt library', () => {
+    let api;
+    let token;
+
+    beforeAll(async () => {
+        api = await startApi();
+        ({ token } = await api.signIn('analyst'));
+    });
+
+    afterAll(() => api.close());
+
+    test('a stored prompt is rendered and run, and each run counts as a use', async () => {
+        const created = await api.request('POST', '/analytics/prompts', {
+            token,
+            body: {
+                title: 'Top countries',
+                category: 'Board pack',
+                template: 'Top {limit} countries by revenue',
+                parameters: [{ name: 'limit', type: 'number', default: 3 }]
+            }
+        });
+        expect(created.status).toBe(201);
+        expect(created.body.data).toMatchObject({ category: 'Board pack', usageCount: 0 });
+        const path = `/analytics/prompts/${created.body.data.id}`;
+
+        const rendered = await api.request('POST', `${path}/render`, { token, body: { parameters: { limit: 2 } } });
+        expect(rendered.body.data).toMatchObject({ text: 'Top 2 countries by revenue', parameters: { limit: 2 } });
+
+        const analysis = await api.request('POST', '/analytics/analyze', { token, body: { promptId: created.body.data.id } });
+        expect(analysis.status).toBe(200);
+        expect(analysis.body.data).toMatchObject({ prompt: 'Top 3 countries by revenue', template: { id: created.body.data.id } });
+        expect(analysis.body.data.data.countryRanking.countries).toHaveLength(3);
+
+        // Rendering alone is not a use
+        expect((await api.request('GET', path, { token })).body.data).toMatchObject({ usageCount: 1, lastUsedAt: expect.any(String) });
+    });
+
+    test('invalid prompts and parameters are rejected', async () => {
+        const invalid = await api.request('POST', '/analytics/prompts', {
+            token,
+            body: { title: 'Broken', template: 'Revenue of {country}', parameters: [{ name: 'region', type: 'region' }] }
+        });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error).toMatch(/Placeholder \{country\} has no parameter declared/);
+
+        const { body: { data: prompts } } = await api.request('GET', '/analytics/prompts?owner=system&limit=50', { token });
+        const withCountry = prompts.find(item => item.parameters.some(parameter => parameter.type === 'country'));
+        const rendered = await api.request('POST', `/analytics/prompts/${withCountry.id}/render`, { token, body: { parameters: { country: 'Atlantis' } } });
+        expect(rendered.status).toBe(400);
+        expect((await api.request('POST', '/analytics/prompts/missing/render', { token, body: {} })).status).toBe(404);
+    });
+
+    test('prompts are listed by category', async () => {
+        const { body: { data: categories } } = await api.request('GET', '/analytics/prompts/categories', { token });
+        const { body: listed } = await api.request('GET', '/analytics/prompts?category=Board%20pack', { token });
+
+        expect(categories).toEqual(expect.arrayContaining([{ category: 'Board pack', prompts: 1 }]));
+        expect(listed.data.map(item => item.title)).toEqual(['Top countries']);
+    });
+});
+
+describe('prompt ownership', () => {
+    let api;
+    let admin;
+    let author;
+    let other;
+
+    beforeAll(async () => {
+        api = await startApi();
+        admin = await api.signIn('admin');
+        author = await api.signIn('analyst');
+        other = await api.signIn('analyst');
+    });
+
+    afterAll(() => api.close());
+
+    const createPrompt = async (token, fields = {}) => api.request('POST', '/analytics/prompts', {
+        token,
+        body: { title: 'Country revenue', template: 'How did {country} do?', ...fields }
+    });
+
+    test('the owner is the user who creates the prompt', async () => {
+        const response = await createPrompt(author.token);
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.owner).toBe(author.user.id);
+    });
+
+    test('the owner cannot be given in the request', async () => {
+        const created = await createPrompt(author.token, { owner: other.user.id });
+        expect(created.status).toBe(400);
+        expect(created.body.error).toMatch(/"owner" cannot be set/);
+
+        const { body: { data: prompt } } = await createPrompt(author.token);
+        const updated = await api.request('PATCH', `/analytics/prompts/${prompt.id}`, { token: author.token, body: { owner: other.user.id } });
+        expect(updated.status).toBe(400);
+    });
+
+    test('another analyst cannot change or delete the prompt', async () => {
+        const { body: { data: prompt } } = await createPrompt(author.token);
+        const path = `/analytics/prompts/${prompt.id}`;
+
+        expect((await api.request('PATCH', path, { token: other.token, body: { title: 'Taken over' } })).status).toBe(403);
+        expect((await api.request('DELETE', path, { token: other.token })).status).toBe(403);
+        expect((await api.request('GET', path, { token: other.token })).body.data.title).toBe('Country revenue');
+
+        expect((await api.request('PATCH', path, { token: author.token, body: { title: 'Renamed' } })).body.data)
+            .toMatchObject({ title: 'Renamed', owner: author.user.id });
+        expect((await api.request('DELETE', path, { token: author.token })).status).toBe(200);
+    });
+
+    test('analysts cannot change the default prompts, administrators can', async () => {
+        const { body } = await api.request('GET', '/analytics/prompts?owner=system&limit=1', { token: author.token });
+        const path = `/analytics/prompts/${body.data[0].id}`;
+
+        expect((await api.request('PATCH', path, { token: author.token, body: { category: 'Mine' } })).status).toBe(403);
+        expect((await api.request('DELETE', path, { token: author.token })).status).toBe(403);
+        expect((await api.request('PATCH', path, { token: admin.token, body: { category: 'Curated' } })).body.data)
+            .toMatchObject({ category: 'Curated', owner: 'system' });
+    });
+
+    test('administrators change and delete the prompts of other users', async () => {
+        const { body: { data: prompt } } = await createPrompt(author.token);
+        const path = `/analytics/prompts/${prompt.id}`;
+
+        expect((await api.request('PATCH', path, { token: admin.token, body: { description: 'Reviewed' } })).status).toBe(200);
+        expect((await api.request('DELETE', path, { token: admin.token })).status).toBe(200);
+        expect((await api.request('DELETE', path, { token: admin.token })).status).toBe(404);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Natural-language query tests
+ * Questions are parsed into entities, metrics, ranking, filters and periods, compiled into service calls, and
+ * answered with insights computed from the figures those calls return.
+ */
+
+const { parseQuery } = require('../utils/queryParser');
+const { runQuery } = require('../services/queryService');
+const customersService = require('../services/customersService');
+const { createListQuery } = require('../utils/listQuery');
+
+const vocabulary = {
+    customers: ['Sonos - USA', 'Acme Corp'],
+    countries: ['Canada', 'Germany'],
+    regions: ['EMEA'],
+    periods: ['2024-Q3', '2024-Q4']
+};
+
+const intentTypes = query => query.intents.map(intent => intent.type);
+
+describe('parseQuery', () => {
+    test('a ranking question gets its direction, size and filters', () => {
+        const query = parseQuery('Which 3 customers declined the most with revenue above $100k?', vocabulary);
+
+        expect(query).toMatchObject({ subject: 'customers', polarity: 'negative', order: 'top', limit: 3 });
+        expect(query.filters).toEqual([{ field: 'revenue', operator: 'gt', value: 100000 }]);
+        expect(query.intents).toEqual([expect.objectContaining({
+            type: 'ranking',
+            subject: 'customers',
+            metric: 'variance',
+            // The biggest decline is the most negative change
+            order: 'asc',
+            limit: 3,
+            growthStatus: 'negative'
+        })]);
+    });
+
+    test('named entities become lookups and periods a comparison', () => {
+        // Longer names are matched first, so "Sonos - USA" is not read as a country
+        const lookup = parseQuery('How is Canada doing compared to Sonos - USA?', vocabulary);
+        expect(lookup.entities).toEqual({ customers: ['Sonos - USA'], countries: ['Canada'], regions: [] });
+        expect(lookup.intents).toEqual([
+            { type: 'lookup', entityType: 'customers', name: 'Sonos - USA' },
+            { type: 'lookup', entityType: 'countries', name: 'Canada' }
+        ]);
+
+        const comparison = parseQuery('How did revenue change from Q3 to Q4 2024?', vocabulary);
+        expect(comparison.periods).toEqual(['2024-Q3', '2024-Q4']);
+        expect(intentTypes(comparison)).toEqual(['comparison']);
+
+        expect(parseQuery('Revenue in Q1 2023', vocabulary).unknownPeriods).toEqual(['2023-Q1']);
+    });
+
+    test('topics map to their own intents, and risk only means concentration on its own', () => {
+        expect(intentTypes(parseQuery('What are the risks?', vocabulary))).toEqual(['concentration']);
+        expect(intentTypes(parseQuery('Which customers churned, and what is the churn risk?', vocabulary))).toEqual(['churn']);
+        expect(intentTypes(parseQuery('Show the revenue bridge', vocabulary))).toEqual(['bridge']);
+        expect(intentTypes(parseQuery('What is our net revenue retention?', vocabulary))).toEqual(['retention']);
+        expect(intentTypes(parseQuery('Tell me something', vocabulary))).toEqual(['overview']);
+    });
+});
+
+describe('runQuery', () => {
+    test('answers a ranking with the figures of the service it calls', async () => {
+        const answer = await runQuery('Which 3 customers declined the most?');
+        const [result] = answer.results;
+
+        const expected = await customersService.getCustomerAnalysis({
+            listQuery: createListQuery('customerAnalysis', {
+                filters: [{ field: 'growthStatus', operator: 'eq', value: 'negative' }],
+                sort: [{ field: 'variance', direction: 1 }],
+                limit: 3
+            })
+        });
+
+        expect(result).toMatchObject({ key: 'customerRanking', datasets: ['A'] });
+        expect(result.calls.map(call => call.service)).toEqual(['customersService.getCustomerAnalysis', 'revenueService.getRevenueSummary']);
+        expect(result.data.customers).toEqual(expected.customers);
+        expect(expected.customers.every(customer => customer.variance < 0)).toBe(true);
+
+        const [first] = expected.customers;
+        expect(answer.insights[0]).toContain(`${expected.pagination.totalItems} customers declined between`);
+        expect(answer.insights[0]).toContain(first.customerName);
+        expect(answer.insights[1]).toBe(`${first.customerName} went from ${first.formattedFromRevenue} to ${first.formattedToRevenue} (${first.formattedVariance}, ${first.formattedPercentage}).`);
+        expect(answer.context.referenced.customers).toEqual(expected.customers.map(customer => customer.customerName));
+    });
+
+    test('a question about a period without data notes the available ones', async () => {
+        const answer = await runQuery('What was revenue in Q1 2021?');
+
+        expect(answer.notes[0]).toMatch(/^No data for Q1 2021; available periods: /);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Repository layer tests
+ * Repositories map API field names to stored columns, shape stored documents into DTOs, run list queries and
+ * apply the request's data scope, so the services built on them share one mapping.
+ */
+
+const { createRepository } = require('../repositories/baseRepository');
+const { countriesRepository, customerConcentrationRepository } = require('../repositories');
+const { createListQuery } = require('../utils/listQuery');
+const { runWithContext } = require('../utils/requestContext');
+const { startApi } = require('./helpers/api');
+
+describe('repositories', () => {
+    test('stored documents are shaped into DTOs keyed by API field names', async () => {
+        const canada = await countriesRepository.findOne({ countryName: 'Canada' });
+
+        expect(canada).toEqual({
+            countryName: 'Canada',
+            yearlyRevenue: expect.any(Number),
+            formattedRevenue: expect.stringMatching(/^\$[\d,]+\.\d{2}$/)
+        });
+        expect(await countriesRepository.findOne({ countryName: 'Atlantis' })).toBeNull();
+
+        const documents = await countriesRepository.findDocuments({ countryName: 'Canada' });
+        expect(documents.map(countriesRepository.toDto)).toEqual([canada]);
+        expect(documents[0]).toMatchObject({ Country: 'Canada', 'Yearly Revenue': canada.yearlyRevenue });
+    });
+
+    test('criteria and types only accept mapped fields', () => {
+        expect(countriesRepository.toFilter({ yearlyRevenue: { $gt: 10 } })).toEqual({ 'Yearly Revenue': { $gt: 10 } });
+        expect(() => countriesRepository.toFilter({ Country: 'Canada' })).toThrow("Unknown field 'Country' for collection 'countries'");
+        expect(() => createRepository({
+            collection: 'countries',
+            columns: { countryName: 'Country' },
+            types: { yearlyRevenue: 'number' },
+            toDto: document => document
+        })).toThrow("Unknown field 'yearlyRevenue' for collection 'countries'");
+    });
+
+    test('list queries filter, sort, page and select fields on the stored columns', async () => {
+        const all = await countriesRepository.findAll();
+        const expected = all
+            .filter(country => country.yearlyRevenue > 100000)
+            .sort((a, b) => a.countryName.localeCompare(b.countryName));
+
+        const { items, total } = await countriesRepository.list(createListQuery('countries', {
+            filters: [{ field: 'yearlyRevenue', operator: 'gt', value: 100000 }],
+            sort: [{ field: 'countryName', direction: 1 }],
+            fields: ['countryName'],
+            page: 2,
+            limit: 2
+        }));
+
+        expect(total).toBe(expected.length);
+        expect(items).toEqual(expected.slice(2, 4).map(country => ({ countryName: country.countryName })));
+    });
+
+    test('reads within a data scope only return its rows', async () => {
+        const scoped = await runWithContext({ dataScope: { countries: ['Canada', 'Brazil'], customers: [] } }, async () => ({
+            countries: await countriesRepository.findAll(),
+            total: (await countriesRepository.list(createListQuery('countries'))).total,
+            customers: await customerConcentrationRepository.findAll()
+        }));
+
+        expect(scoped.countries.map(country => country.countryName).sort()).toEqual(['Brazil', 'Canada']);
+        expect(scoped.total).toBe(2);
+        expect(scoped.customers).toEqual([]);
+        expect((await countriesRepository.findAll()).length).toBeGreaterThan(2);
+    });
+});
+
+describe('services sharing a repository', () => {
+    let api;
+    let token;
+
+    beforeAll(async () => {
+        api = await startApi();
+        ({ token } = await api.signIn('analyst'));
+    });
+
+    afterAll(() => api.close());
+
+    test('customer analysis and top growth customers serve the same comparison rows', async () => {
+        const [analysis, growth] = await Promise.all([
+            api.request('GET', '/customers/analysis?sort=-variance&limit=5', { token }),
+            api.request('GET', '/revenue/growth-customers?limit=5', { token })
+        ]);
+
+        expect(analysis.status).toBe(200);
+        expect(growth.status).toBe(200);
+        expect(growth.body.data).toEqual(analysis.body.data);
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * Retention metrics tests
+ * NRR, GRR, logo churn rate and expansion rate come from the bridge dataset, count only customers with revenue
+ * in the start period, split by start revenue segment, and match the dashboard summary.
+ */
+
+const { startApi } = require('./helpers/api');
+
+const bridgeRow = (customerName, start, end, movements = {}) => ({
+    'Customer Name': customerName,
+    'Quarter 3 Revenue': start,
+    'Quarter 4 Revenue': end,
+    'New Revenue': movements.new || 0,
+    'Expansion Revenue': movements.expansion || 0,
+    'Churned Revenue': movements.churn || 0,
+    'Contraction Revenue': movements.contraction || 0
+});
+
+describe('retention metrics', () => {
+    let api;
+    let token;
+    let retention;
+
+    beforeAll(async () => {
+        api = await startApi();
+        ({ token } = await api.signIn('admin'));
+
+        const rows = [
+            bridgeRow('Enterprise grower', 30000, 33000, { expansion: 3000 }),
+            bridgeRow('Mid-market shrinker', 10000, 8000, { contraction: 2000 }),
+            // The dataset repeats a churned customer's loss as contraction
+            bridgeRow('Churned', 4000, 0, { churn: 4000, contraction: 4000 }),
+            bridgeRow('Small grower', 1000, 1500, { expansion: 500 }),
+            bridgeRow('Newcomer', 0, 2000, { new: 2000 })
+        ];
+        const upload = await api.request('POST', '/datasets', {
+            token,
+            form: { dataset: 'B', file: { fileName: 'bridge.json', content: JSON.stringify(rows) } }
+        });
+        expect(upload.status).toBe(201);
+
+        const response = await api.request('GET', '/revenue/retention', { token });
+        expect(response.status).toBe(200);
+        retention = response.body.data;
+    });
+
+    afterAll(() => api.close());
+
+    test('overall metrics count the customers of the start period', () => {
+        expect(retention).toMatchObject({ startPeriod: '2024-Q3', endPeriod: '2024-Q4' });
+        expect(retention.overall).toMatchObject({
+            customers: 4,
+            churnedCustomers: 1,
+            expandingCustomers: 2,
+            startingRevenue: 45000,
+            expansionRevenue: 3500,
+            lostRevenue: 6000,
+            logoChurnRate: 25,
+            formattedNrr: '94.44%'
+        });
+        expect(retention.overall.nrr).toBeCloseTo((45000 + 3500 - 6000) / 45000 * 100, 6);
+        expect(retention.overall.grr).toBeCloseTo((45000 - 6000) / 45000 * 100, 6);
+        expect(retention.overall.expansionRate).toBeCloseTo(3500 / 45000 * 100, 6);
+    });
+
+    test('segments split the customers by start revenue', () => {
+        const round = value => Math.round(value * 1e6) / 1e6;
+
+        expect(retention.segments.map(segment => [
+            segment.segment, segment.customers, segment.churnedCustomers, round(segment.nrr), round(segment.grr), segment.logoChurnRate
+        ])).toEqual([
+            ['enterprise', 1, 0, 110, 100, 0],
+            ['mid-market', 1, 0, 80, 80, 0],
+            ['smb', 2, 1, 30, 20, 50]
+        ]);
+    });
+
+    test('the dashboard summary includes the same metrics', async () => {
+        const { body } = await api.request('GET', '/analytics/dashboard', { token });
+
+        expect(body.data.retention).toEqual(retention);
+    });
+});
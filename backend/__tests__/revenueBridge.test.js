@@ -0,0 +1,101 @@
+/**
+ * Revenue bridge tests
+ * Per-customer movements count a churned customer's loss once, and every bridge endpoint reports the same
+ * movement totals as the waterfall.
+ */
+
+const { buildCustomerBridge, getRepeatedContraction } = require('../utils/revenueBridge');
+const { startApi } = require('./helpers/api');
+
+const row = (customerName, start, end, movements = {}) => ({
+    'Customer Name': customerName,
+    'Quarter 3 Revenue': start,
+    'Quarter 4 Revenue': end,
+    'New Revenue': movements.new || 0,
+    'Expansion Revenue': movements.expansion || 0,
+    'Churned Revenue': movements.churn || 0,
+    'Contraction Revenue': movements.contraction || 0
+});
+
+describe('buildCustomerBridge', () => {
+    test('drops the contraction that repeats a churned customer\'s loss', () => {
+        const { startPeriod, endPeriod, customers } = buildCustomerBridge([
+            row('Churned', 1000, 0, { churn: 1000, contraction: 1000 }),
+            row('Shrinking', 1000, 600, { contraction: 400 }),
+            row('Growing', 1000, 1300, { expansion: 300 })
+        ]);
+
+        expect([startPeriod, endPeriod]).toEqual(['2024-Q3', '2024-Q4']);
+        const byName = Object.fromEntries(customers.map(customer => [customer.customerName, customer]));
+        expect(byName.Churned).toMatchObject({ churnedRevenue: 1000, contractionRevenue: 0, residual: 0, movementTypes: ['churn'] });
+        expect(byName.Shrinking).toMatchObject({ contractionRevenue: 400, residual: 0 });
+        expect(byName.Growing).toMatchObject({ expansionRevenue: 300, residual: 0 });
+    });
+
+    test('keeps contraction a churned customer had beyond its churn', () => {
+        const { customers: [customer] } = buildCustomerBridge([row('Partly churned', 1000, 0, { churn: 700, contraction: 1000 })]);
+
+        expect(customer.contractionRevenue).toBe(300);
+        expect(customer.netMovement).toBe(-1000);
+    });
+
+    test('keeps the stored contraction when asked for the raw movements', () => {
+        const rows = [row('Churned', 1000, 0, { churn: 1000, contraction: 1000 })];
+        const { customers: [customer] } = buildCustomerBridge(rows, { raw: true });
+
+        expect(customer).toMatchObject({ contractionRevenue: 1000, residual: 1000 });
+        expect(getRepeatedContraction(customer)).toBe(1000);
+    });
+
+    test('adds up rows of the same customer and reads stored signs as magnitudes', () => {
+        const { customers } = buildCustomerBridge([
+            row('Split', 500, 700, { expansion: 100 }),
+            row('Split', 500, 500, { churn: -200, contraction: -50 })
+        ]);
+
+        expect(customers).toHaveLength(1);
+        expect(customers[0]).toMatchObject({ startRevenue: 1000, endRevenue: 1200, expansionRevenue: 100, churnedRevenue: 200 });
+    });
+});
+
+describe('bridge endpoints', () => {
+    let api;
+    let token;
+
+    beforeAll(async () => {
+        api = await startApi();
+        ({ token } = await api.signIn('analyst'));
+    });
+
+    afterAll(() => api.close());
+
+    test('/revenue/bridge totals match the waterfall steps', async () => {
+        const [bridge, waterfall] = await Promise.all([
+            api.request('GET', '/revenue/bridge', { token }),
+            api.request('GET', '/revenue/bridge/waterfall', { token })
+        ]);
+        expect(bridge.status).toBe(200);
+        expect(waterfall.status).toBe(200);
+
+        const steps = Object.fromEntries(waterfall.body.data.steps.map(step => [step.key, step.value]));
+        const totals = Object.fromEntries(bridge.body.data.map(item => [item.category, item.amount]));
+
+        expect(steps.unexplained).toBeUndefined();
+        expect(totals['New Revenue']).toBeCloseTo(steps.new, 6);
+        expect(totals['Expansion Revenue']).toBeCloseTo(steps.expansion, 6);
+        expect(-totals['Churned Revenue']).toBeCloseTo(steps.churn, 6);
+        expect(-totals['Contraction Revenue']).toBeCloseTo(steps.contraction, 6);
+    });
+
+    test('the contracting bridge customers add up to the contraction total', async () => {
+        const [bridge, customers] = await Promise.all([
+            api.request('GET', '/revenue/bridge', { token }),
+            api.request('GET', '/revenue/bridge/customers?movement=contraction&limit=500&fields=contractionRevenue', { token })
+        ]);
+        expect(customers.status).toBe(200);
+        expect(customers.body.pagination.totalPages).toBe(1);
+
+        const contraction = customers.body.data.customers.reduce((sum, customer) => sum + customer.contractionRevenue, 0);
+        expect(bridge.body.data.find(item => item.category === 'Contraction Revenue').amount).toBeCloseTo(contraction, 6);
+    });
+});
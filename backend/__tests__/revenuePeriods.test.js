@@ -0,0 +1,80 @@
+/**
+ * Period filter tests
+ * Endpoints taking from/to read exactly the requested periods, reject periods the data does not have, and keep
+ * the requested granularity.
+ */
+
+const { startApi } = require('./helpers/api');
+
+describe('period filters', () => {
+    let api;
+    let token;
+
+    beforeAll(async () => {
+        api = await startApi();
+        ({ token } = await api.signIn('analyst'));
+    });
+
+    afterAll(() => api.close());
+
+    test('the summary compares the requested periods of the time series', async () => {
+        const [summary, series] = await Promise.all([
+            api.request('GET', '/revenue/summary?from=2024-Q3&to=2024-Q4', { token }),
+            api.request('GET', '/revenue/quarterly', { token })
+        ]);
+        expect(summary.status).toBe(200);
+
+        const revenue = Object.fromEntries(series.body.data.map(item => [item.period, item.revenue]));
+        expect(summary.body.data).toMatchObject({ fromPeriod: '2024-Q3', toPeriod: '2024-Q4' });
+        expect(summary.body.data.fromRevenue).toBeCloseTo(revenue['2024-Q3'], 6);
+        expect(summary.body.data.toRevenue).toBeCloseTo(revenue['2024-Q4'], 6);
+        expect(summary.body.data.fromRevenue).toBeGreaterThan(0);
+    });
+
+    test('the time series keeps only the periods from `from` to `to`', async () => {
+        const [all, fromQ4, toQ3] = await Promise.all([
+            api.request('GET', '/revenue/quarterly', { token }),
+            api.request('GET', '/revenue/quarterly?from=2024-Q4', { token }),
+            api.request('GET', '/revenue/quarterly?to=2024-Q3', { token })
+        ]);
+
+        expect(all.body.data.map(item => item.period)).toEqual(['2024-Q3', '2024-Q4']);
+        expect(fromQ4.body.data.map(item => item.period)).toEqual(['2024-Q4']);
+        expect(toQ3.body.data.map(item => item.period)).toEqual(['2024-Q3']);
+        // The first period in range still reports its change from the period before it
+        expect(fromQ4.body.data[0].change).toBeCloseTo(all.body.data[1].change, 6);
+    });
+
+    test.each([
+        ['/revenue/summary?from=2025-Q1&to=2025-Q2', '"from" period 2025-Q1 and "to" period 2025-Q2'],
+        ['/revenue/quarterly?from=2030-Q1', '"from" period 2030-Q1'],
+        ['/revenue/growth-customers?to=2023-Q4', '"to" period 2023-Q4'],
+        ['/customers/analysis?from=2025-Q1', '"from" period 2025-Q1'],
+        ['/customers/statistics?from=2024-Q2&to=2024-Q4', '"from" period 2024-Q2']
+    ])('%s is rejected with the available periods', async (path, requested) => {
+        const response = await api.request('GET', path, { token });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe(`No quarter revenue for ${requested}; available periods: 2024-Q3, 2024-Q4`);
+    });
+
+    test('an unavailable period is rejected for a customer rather than reported as not found', async () => {
+        const { body: { data: [customer] } } = await api.request('GET', '/customers/analysis?limit=1', { token });
+        const response = await api.request('GET', `/customers/${encodeURIComponent(customer.customerName)}?from=2025-Q1`, { token });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toMatch(/available periods: 2024-Q3, 2024-Q4$/);
+    });
+
+    test('customer analysis compares periods of the requested granularity', async () => {
+        const [quarters, months] = await Promise.all([
+            api.request('GET', '/customers/analysis?granularity=quarter', { token }),
+            api.request('GET', '/customers/analysis?granularity=month', { token })
+        ]);
+
+        expect(quarters.body.pagination.totalItems).toBeGreaterThan(0);
+        // The dataset has no monthly revenue, so a monthly comparison has no customers
+        expect(months.status).toBe(200);
+        expect(months.body.pagination.totalItems).toBe(0);
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * SQL collection tests
+ * Declared fields are stored in typed table columns and everything else as JSON, yet every query answers the
+ * same as the in-memory collection, including for null, missing and mistyped values. Tables written before a
+ * column was declared are rebuilt with their rows and indexes.
+ */
+
+const Database = require('better-sqlite3');
+const { declareColumns } = require('../database/storage/collectionColumns');
+const { createMemoryCollection } = require('../database/storage/memoryCollection');
+const { createTable, syncTableColumns, createSqlCollection } = require('../database/storage/sqlCollection');
+
+const COLUMNS = { name: 'string', score: 'number', active: 'boolean' };
+
+const documents = [
+    { _id: 'd1', name: 'a', score: 3, active: true, tags: ['x'] },
+    { _id: 'd2', name: 'b', score: null, active: false },
+    { _id: 'd3', name: 5, score: '7', active: 'yes' },
+    { _id: 'd4', score: 1.5 },
+    { _id: 'd5', name: 'c', score: 10, active: true, nested: { score: 4 } }
+];
+
+/**
+ * Read the columns of a table
+ * @param {Object} connection - better-sqlite3 database
+ * @param {string} table - Table name
+ * @returns {Array} [name, type] pairs
+ */
+const tableColumns = (connection, table) => connection.prepare(`PRAGMA table_info("${table}")`).all()
+    .map(column => [column.name, column.type]);
+
+describe('SQL collection with declared columns', () => {
+    const connection = new Database(':memory:');
+    const memory = createMemoryCollection('items', { documents: [], indexes: [] }, () => {}, () => {});
+    let sql;
+
+    beforeAll(async () => {
+        declareColumns('items', COLUMNS);
+        sql = createSqlCollection(connection, 'items');
+        await Promise.all([memory.insertMany(documents), sql.insertMany(documents)]);
+    });
+
+    afterAll(() => connection.close());
+
+    test('declared fields get typed columns and the rest stays in the JSON document', () => {
+        expect(tableColumns(connection, 'items')).toEqual([
+            ['_id', 'TEXT'], ['name', 'TEXT'], ['score', 'REAL'], ['active', 'INTEGER'], ['document', 'TEXT']
+        ]);
+
+        const rows = connection.prepare('SELECT * FROM items ORDER BY rowid').all();
+        expect(rows[0]).toEqual({ _id: 'd1', name: 'a', score: 3, active: 1, document: '{"tags":["x"]}' });
+        // null and values of another type are kept in the document; the column stays NULL
+        expect(rows[1]).toMatchObject({ score: null, document: '{"score":null}' });
+        expect(rows[2]).toEqual({ _id: 'd3', name: null, score: null, active: null, document: '{"name":5,"score":"7","active":"yes"}' });
+    });
+
+    test('documents read back as they were written', async () => {
+        expect(await sql.find().toArray()).toEqual(documents);
+    });
+
+    test.each([
+        [{ name: 'a' }],
+        [{ name: 5 }],
+        [{ name: null }],
+        [{ name: { $exists: false } }],
+        [{ score: { $exists: true } }],
+        [{ score: { $gt: 2 } }],
+        [{ score: { $gte: null } }],
+        [{ score: '7' }],
+        [{ score: { $in: [3, '7', null] } }],
+        [{ active: true }],
+        [{ active: { $ne: true } }],
+        [{ name: { $nin: ['a', 'b'] } }],
+        [{ 'nested.score': 4 }],
+        [{ $or: [{ name: 'c' }, { active: false }] }]
+    ])('%j matches the same documents as the in-memory collection', async (filter) => {
+        const ids = async collection => (await collection.find(filter).toArray()).map(document => document._id);
+
+        expect(await ids(sql)).toEqual(await ids(memory));
+        expect(await sql.countDocuments(filter)).toBe(await memory.countDocuments(filter));
+    });
+
+    test.each([[{ score: 1 }], [{ score: -1 }], [{ name: 1, _id: -1 }]])('sorting by %j matches the in-memory collection', async (sort) => {
+        const ids = async collection => (await collection.find({}).sort(sort).toArray()).map(document => document._id);
+
+        expect(await ids(sql)).toEqual(await ids(memory));
+    });
+
+    test('$group sums only the numeric values of a column', async () => {
+        const pipeline = [{ $group: { _id: '$name', total: { $sum: { $ifNull: ['$score', 0] } } } }, { $sort: { _id: 1 } }];
+
+        expect(await sql.aggregate(pipeline).toArray()).toEqual(await memory.aggregate(pipeline).toArray());
+        expect(await sql.aggregate([{ $group: { _id: null, total: { $sum: '$score' } } }]).toArray())
+            .toEqual([{ _id: null, total: 14.5 }]);
+    });
+
+    test('an update moves a value between its column and the document', async () => {
+        await Promise.all([sql, memory].map(collection => collection.updateOne({ _id: 'd3' }, { $set: { name: 'd', score: 8 } })));
+        await Promise.all([sql, memory].map(collection => collection.updateOne({ _id: 'd1' }, { $set: { score: 'n/a' } })));
+
+        expect(connection.prepare("SELECT name, score, document FROM items WHERE _id = 'd3'").get())
+            .toEqual({ name: 'd', score: 8, document: '{"active":"yes"}' });
+        expect(await sql.find({ score: { $gte: 8 } }).toArray()).toEqual(await memory.find({ score: { $gte: 8 } }).toArray());
+        expect(await sql.findOne({ _id: 'd1' })).toEqual(await memory.findOne({ _id: 'd1' }));
+    });
+});
+
+describe('tables written before their columns were declared', () => {
+    const connection = new Database(':memory:');
+
+    afterAll(() => connection.close());
+
+    test('are rebuilt with the declared columns, keeping rows, order and indexes', async () => {
+        // The layout of a table before typed columns: every field in the JSON document
+        connection.exec('CREATE TABLE legacy (_id TEXT PRIMARY KEY, document TEXT NOT NULL)');
+        const insert = connection.prepare('INSERT INTO legacy (_id, document) VALUES (?, ?)');
+        insert.run('z', '{"email":"z@example.com","logins":2}');
+        insert.run('a', '{"email":"a@example.com","logins":"never","profile":{"city":"Oslo"}}');
+        connection.exec(`CREATE UNIQUE INDEX "legacy.email_1" ON "legacy" (json_extract(document, '$."email"') ASC)`);
+        connection.exec(`CREATE INDEX "legacy.profile.city_1" ON "legacy" (json_extract(document, '$."profile"."city"') ASC)`);
+
+        declareColumns('legacy', { email: 'string', logins: 'number' });
+        expect(syncTableColumns(connection, 'legacy')).toBe(true);
+        expect(syncTableColumns(connection, 'legacy')).toBe(false);
+
+        expect(tableColumns(connection, 'legacy').map(([name]) => name)).toEqual(['_id', 'email', 'logins', 'document']);
+        expect(connection.prepare("SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = 'legacy' AND sql IS NOT NULL ORDER BY name").all())
+            .toEqual([
+                { sql: 'CREATE UNIQUE INDEX "legacy.email_1" ON "legacy" ("email" ASC)' },
+                { sql: `CREATE INDEX "legacy.profile.city_1" ON "legacy" (json_extract(document, '$."profile"."city"') ASC)` }
+            ]);
+
+        const collection = createSqlCollection(connection, 'legacy');
+        expect(await collection.find().toArray()).toEqual([
+            { _id: 'z', email: 'z@example.com', logins: 2 },
+            { _id: 'a', email: 'a@example.com', logins: 'never', profile: { city: 'Oslo' } }
+        ]);
+        await expect(collection.insertOne({ email: 'a@example.com' })).rejects.toMatchObject({ code: 11000 });
+    });
+
+    test('new tables are created with the declared columns', () => {
+        declareColumns('fresh', { title: 'string' });
+        createTable(connection, 'fresh');
+
+        expect(tableColumns(connection, 'fresh')).toEqual([['_id', 'TEXT'], ['title', 'TEXT'], ['document', 'TEXT']]);
+        expect(syncTableColumns(connection, 'fresh')).toBe(false);
+    });
+});
@@ -0,0 +1,29 @@
+/**
+ * Alerts configuration
+ * Threshold rules on the metrics of the customer and revenue services, evaluated after each dataset import.
+ * Alerts are sent to the rules' webhooks through the scheduled report job queue (config/scheduler.js).
+ */
+
+const alertsConfig = {
+    // Comparisons a rule can make between a metric value and its threshold
+    operators: {
+        gt: { text: 'above' },
+        gte: { text: 'at or above' },
+        lt: { text: 'below' },
+        lte: { text: 'at or below' }
+    },
+    severities: ['info', 'warning', 'critical'],
+    defaultSeverity: 'warning',
+
+    // Limits of a rule definition
+    maxNameLength: 120,
+    maxDescriptionLength: 500,
+    // Customers a per-customer rule can be limited to
+    maxSubjects: 50,
+    maxWebhooks: 5,
+
+    // Evaluate the rules after every successful dataset import (POST /api/alerts/evaluate runs them on demand)
+    evaluateOnImport: process.env.ALERTS_EVALUATE_ON_IMPORT !== 'false'
+};
+
+module.exports = alertsConfig;
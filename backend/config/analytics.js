@@ -0,0 +1,183 @@
+/**
+ * Analytics query configuration
+ * Vocabulary used by the natural-language query parser (utils/queryParser.js) to recognise subjects,
+ * metrics, ranking words, comparisons and numbers in questions sent to /api/analytics/analyze,
+ * and the completion backend (llm/) that phrases the answers.
+ *
+ * Terms are matched as whole words, case-insensitively; a trailing "*" matches any word starting with the term
+ * (e.g. "declin*" matches "declined" and "declining"). Multi-word terms match as phrases.
+ */
+
+const analyticsConfig = {
+    query: {
+        // Number of rows returned by rankings when the question gives none ("top customers")
+        defaultLimit: 5,
+        // Customers named per movement in revenue bridge answers ("largest expansion: A, B and C")
+        bridgeDriverLimit: 3,
+        // Largest N accepted in "top N"
+        maxLimit: 50,
+        // Customer names shorter than this are not matched in free text (too ambiguous)
+        minEntityNameLength: 3,
+
+        // What a question is about
+        subjects: {
+            customers: ['customer*', 'client*', 'account*', 'logo*', 'buyer*'],
+            countries: ['countr*', 'nation*', 'market*'],
+            regions: ['region*', 'geograph*', 'territor*']
+        },
+
+        // What is measured; a question can name several
+        metrics: {
+            revenue: ['revenue*', 'sales', 'income', 'billing*', 'earning*', 'turnover', 'biggest', 'largest', 'performing', 'performer*'],
+            growth: ['grow*', 'grew', 'increas*', 'gain*', 'improv*', 'rose', 'rise', 'rising'],
+            decline: ['declin*', 'decreas*', 'drop*', 'fell', 'fall*', 'shrank', 'shrink*', 'lost', 'losing', 'worsen*'],
+            change: ['change*', 'variance', 'delta', 'movement*', 'moved', 'differ*'],
+            percentage: ['percent*', '%', 'rate', 'relative'],
+            churn: ['churn*', 'left', 'leaving', 'cancel*', 'attrition', 'lost customer*', 'lost client*'],
+            expansion: ['expansion', 'expand*', 'upsell*'],
+            newRevenue: ['new revenue', 'new customer*', 'new logo*', 'new business', 'acquired', 'acquisition*'],
+            contraction: ['contraction', 'contract*', 'downsell*'],
+            retention: ['retention', 'retain*', 'nrr', 'grr', 'net revenue retention', 'gross revenue retention'],
+            concentration: ['concentrat*', 'dependen*', 'reliance', 'reliant', 'exposure', 'diversif*', 'hhi', 'gini', 'pareto', 'abc'],
+            share: ['share*', 'portion', 'split', 'distribution', 'mix'],
+            bridge: ['bridge', 'waterfall', 'break down', 'breakdown', 'broken down', 'driver*', 'decompos*', 'walk'],
+            // Only read as concentration when nothing more specific (churn, retention, ...) is asked
+            risk: ['risk*', 'vulnerab*', 'threat*'],
+            trend: ['trend*', 'over time', 'quarterly', 'quarter over quarter', 'qoq', 'series', 'history', 'historical', 'each quarter', 'by quarter', 'per quarter']
+        },
+
+        // Ranking direction
+        ordering: {
+            top: ['top', 'highest', 'most', 'largest', 'biggest', 'best', 'leading', 'strongest', 'fastest', 'greatest', 'max*'],
+            bottom: ['bottom', 'lowest', 'least', 'smallest', 'worst', 'weakest', 'slowest', 'min*', 'fewest']
+        },
+
+        // Comparison phrases used in filters ("revenue above $100k", "declined by more than 10%")
+        comparators: {
+            gt: ['above', 'over', 'more than', 'greater than', 'exceeding', 'higher than', 'bigger than', '>'],
+            gte: ['at least', 'minimum of', 'no less than', '>='],
+            lt: ['below', 'under', 'less than', 'lower than', 'smaller than', '<'],
+            lte: ['at most', 'maximum of', 'no more than', 'up to', '<=']
+        },
+
+        // Number words accepted for N ("top five")
+        numberWords: {
+            one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+            eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, fifty: 50
+        },
+
+        // Amount suffixes ("$1.5m", "100k")
+        amountSuffixes: {
+            k: 1e3, thousand: 1e3, m: 1e6, mn: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9
+        },
+
+        // Ordinal quarter names ("third quarter")
+        quarterWords: {
+            first: 1, second: 2, third: 3, fourth: 4
+        },
+
+        // Follow-up questions in chat sessions: `leading` words open a follow-up ("and what about Canada?"),
+        // `references` point back at the names listed in the previous answer ("only the ones that churned")
+        followUp: {
+            leading: ['and', 'what about', 'how about', 'what of', 'also', 'now', 'then', 'same', 'only', 'just', 'show only', 'instead'],
+            references: ['them', 'those', 'these', 'the ones', 'they', 'their', 'of which', 'among them']
+        }
+    },
+
+    // Chat sessions (POST /api/analytics/sessions)
+    chat: {
+        // Title of a session before its first message names it
+        defaultTitle: 'New session',
+        maxTitleLength: 120,
+        maxMessageLength: 2000
+    },
+
+    // Prompt library (GET /api/analytics/prompts). `defaults` are stored when a database is set up
+    // (database/setup.js, the SQL migrations, a new memory store); after that the library is managed through the API.
+    prompts: {
+        maxTitleLength: 120,
+        maxTemplateLength: 2000,
+        maxCategoryLength: 60,
+        maxDescriptionLength: 500,
+        // Longest text accepted for a template parameter value
+        maxValueLength: 200,
+        defaultCategory: 'General',
+        defaults: [
+            {
+                id: 'revenue-growth-analysis',
+                title: 'Revenue Growth Analysis',
+                category: 'Revenue',
+                template: 'Analyze the revenue growth patterns and identify top performing customers'
+            },
+            {
+                id: 'country-performance',
+                title: 'Country Performance',
+                category: 'Geography',
+                template: 'Which countries are showing the highest revenue growth and why?'
+            },
+            {
+                id: 'customer-concentration',
+                title: 'Customer Concentration',
+                category: 'Risk',
+                template: 'Analyze customer concentration and identify potential risks'
+            },
+            {
+                id: 'quarterly-trends',
+                title: 'Quarterly Trends',
+                category: 'Revenue',
+                template: 'What are the key trends in Q3 vs Q4 revenue performance?'
+            },
+            {
+                id: 'revenue-bridge-analysis',
+                title: 'Revenue Bridge Analysis',
+                category: 'Revenue',
+                template: 'Break down the revenue changes into expansion, new, and churned revenue'
+            },
+            {
+                id: 'country-vs-region',
+                title: 'Country vs Region',
+                category: 'Geography',
+                template: 'Compare {country} to {region} for {period}',
+                parameters: [
+                    { name: 'country', type: 'country', label: 'Country', required: true },
+                    { name: 'region', type: 'region', label: 'Region', required: true },
+                    { name: 'period', type: 'period', label: 'Period', required: true }
+                ]
+            },
+            {
+                id: 'top-customers-in-period',
+                title: 'Top Customers in a Period',
+                category: 'Customers',
+                template: 'Who were the top {limit} customers in {period}?',
+                parameters: [
+                    { name: 'limit', type: 'number', label: 'Number of customers', required: true, default: 5 },
+                    { name: 'period', type: 'period', label: 'Period', required: true }
+                ]
+            }
+        ]
+    },
+
+    // Streamed answers (POST /api/analytics/analyze/stream): Server-Sent Events
+    stream: {
+        // Comment line sent while the stream is idle, so proxies and browsers keep the connection open
+        heartbeatMs: parseInt(process.env.SSE_HEARTBEAT_MS) || 15000,
+        // Reconnection delay suggested to EventSource clients
+        retryMs: 3000
+    },
+
+    // Completion backend used to phrase answers from the query results.
+    // "none" answers with the rule engine only; "openai" (any OpenAI-compatible endpoint), "local" (Ollama)
+    // and "mock" (deterministic, for tests) fall back to the rule engine when they fail.
+    llm: {
+        provider: process.env.LLM_PROVIDER || 'none',
+        // Provider defaults, overridden by LLM_BASE_URL and LLM_MODEL
+        baseUrl: process.env.LLM_BASE_URL || null,
+        model: process.env.LLM_MODEL || null,
+        apiKey: process.env.LLM_API_KEY || null,
+        temperature: process.env.LLM_TEMPERATURE !== undefined ? parseFloat(process.env.LLM_TEMPERATURE) : 0,
+        maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 800,
+        timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 30000
+    }
+};
+
+module.exports = analyticsConfig;
@@ -20,7 +20,7 @@ const appConfig = {
     cors: {
         origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
         credentials: true,
-        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
         allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
     },
 
@@ -0,0 +1,64 @@
+/**
+ * Authentication configuration
+ * User accounts, roles and data scopes, JWT access tokens, refresh tokens (one per login session) and password
+ * reset tokens.
+ */
+
+const authConfig = {
+    // Roles a user can have: admins also manage users and territories; analysts use every data endpoint;
+    // regional viewers read the analytics of their data scope only
+    roles: ['admin', 'analyst', 'regional_viewer'],
+    defaultRole: 'analyst',
+    // Roles whose reads are limited to the countries and regions of the user's scope (required for these roles)
+    scopedRoles: ['regional_viewer'],
+    maxScopeEntries: 100,
+
+    // Country → region and customer → country/region assignments the data scopes are resolved with
+    territories: {
+        maxAssignments: 2000,
+        maxNameLength: 200
+    },
+
+    accessToken: {
+        // HMAC secret of the access tokens. Required in production; other environments fall back to a random
+        // secret per process, so tokens stop working when the server restarts.
+        secret: process.env.JWT_SECRET || null,
+        minSecretLength: 32,
+        // Lifetime in jsonwebtoken notation (e.g. 15m, 1h)
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+        issuer: 'zenalyst-api'
+    },
+
+    // A refresh token keeps a login session alive; each refresh replaces it with a new one
+    refreshToken: {
+        ttlMs: parseInt(process.env.REFRESH_TOKEN_TTL_MS) || 7 * 24 * 60 * 60 * 1000
+    },
+
+    passwordReset: {
+        ttlMs: parseInt(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000,
+        // Link mailed to the user; the token is appended
+        url: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password?token='
+    },
+
+    password: {
+        minLength: 10,
+        maxLength: 128
+    },
+    maxNameLength: 120,
+
+    // Stricter limit for the login and password reset endpoints (per IP)
+    rateLimit: {
+        windowMs: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+        max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 20,
+        message: 'Too many authentication attempts, please try again later.'
+    },
+
+    // First administrator, created at startup while no user exists
+    bootstrapAdmin: {
+        email: process.env.ADMIN_EMAIL || null,
+        password: process.env.ADMIN_PASSWORD || null,
+        name: process.env.ADMIN_NAME || 'Administrator'
+    }
+};
+
+module.exports = authConfig;
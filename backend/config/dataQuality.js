@@ -0,0 +1,63 @@
+/**
+ * Data quality configuration
+ */
+
+/**
+ * Parse rule action overrides such as "duplicate-keys:block,outliers:off"
+ * @param {string} value - Comma separated "<rule id>:<action>" pairs
+ * @returns {Object} Actions keyed by rule id
+ */
+const parseRuleActions = (value) => (value || '')
+    .split(',')
+    .map(pair => pair.trim().split(':').map(part => part.trim()))
+    .filter(([id, action]) => id && ['block', 'warn', 'off'].includes(action))
+    .reduce((actions, [id, action]) => {
+        actions[id] = action;
+        return actions;
+    }, {});
+
+const ruleActions = parseRuleActions(process.env.DATA_QUALITY_RULE_ACTIONS);
+
+/**
+ * Profiling rules.
+ * Each rule compares a column metric against a threshold and fires when the metric is greater than it.
+ *   - metric:   nullRate | negativeCount | duplicateKeyCount | outlierCount | typeMismatchCount | typeMismatchRate
+ *   - columns:  'all' (default), 'key', 'revenue' (period and "... Revenue" columns) or a list of column names
+ *   - datasets: optional list of dataset letters the rule applies to
+ *   - action:   'block' rejects the import, 'warn' only reports it, 'off' disables the rule
+ * Actions can be overridden with DATA_QUALITY_RULE_ACTIONS, e.g. "duplicate-keys:block,outliers:off".
+ */
+const rules = [
+    { id: 'missing-keys', metric: 'nullRate', columns: 'key', threshold: 0.5, action: 'block', description: 'More than half of the rows have no key value' },
+    { id: 'mostly-mistyped', metric: 'typeMismatchRate', threshold: 0.5, action: 'block', description: 'More than half of the values have the wrong type' },
+    { id: 'null-values', metric: 'nullRate', threshold: 0.1, action: 'warn', description: 'More than 10% of the values are empty' },
+    { id: 'type-mismatches', metric: 'typeMismatchCount', threshold: 0, action: 'warn', description: 'Values do not match the column type' },
+    { id: 'negative-revenue', metric: 'negativeCount', columns: 'revenue', threshold: 0, action: 'warn', description: 'Revenue values are negative' },
+    { id: 'duplicate-keys', metric: 'duplicateKeyCount', columns: 'key', threshold: 0, action: 'warn', description: 'Key values appear on more than one row' },
+    { id: 'outliers', metric: 'outlierCount', threshold: 0, action: 'warn', description: 'Values lie far outside the interquartile range' }
+].map(rule => ({ ...rule, action: ruleActions[rule.id] || rule.action }));
+
+const dataQualityConfig = {
+    // Cross-dataset reconciliation tolerances
+    reconciliation: {
+        // Per-customer differences at or below this amount are treated as equal
+        amountTolerance: parseFloat(process.env.RECONCILIATION_AMOUNT_TOLERANCE) || 0.01,
+        // Dataset totals may differ by this percentage before a check fails
+        totalsTolerancePercent: parseFloat(process.env.RECONCILIATION_TOTALS_TOLERANCE_PERCENT) || 0.1,
+        // Default number of detail rows returned per check
+        defaultLimit: 50
+    },
+
+    // Column profiling run at import time and by /api/data-quality/profile
+    profiling: {
+        // Values outside [Q1 - k * IQR, Q3 + k * IQR] are reported as outliers
+        outlierIqrMultiplier: parseFloat(process.env.DATA_QUALITY_OUTLIER_IQR_MULTIPLIER) || 3,
+        // Minimum number of numeric values before outliers are looked for
+        outlierMinValues: 8,
+        // Example rows reported per finding
+        maxExamples: 5,
+        rules
+    }
+};
+
+module.exports = dataQualityConfig;
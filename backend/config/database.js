@@ -1,7 +1,27 @@
 /**
  * Database configuration settings
  */
+
+const path = require('path');
+
 const databaseConfig = {
+    // Storage backend behind the repositories (see database/storage): 'mongodb', 'memory' or 'sqlite'
+    storage: {
+        adapter: process.env.STORAGE_ADAPTER || 'mongodb',
+        memory: {
+            // Dataset files loaded into an empty memory store
+            dataSourceDir: process.env.DATA_SOURCE_DIR || path.join(__dirname, '..', '..', 'Data Source'),
+            // Optional JSON file the memory store is saved to after writes and reloaded from at startup
+            file: process.env.STORAGE_FILE || null,
+            // Delay used to batch consecutive writes into one save
+            saveDelayMs: parseInt(process.env.STORAGE_SAVE_DELAY_MS) || 200
+        },
+        sqlite: {
+            // Database file (created and migrated on first use)
+            file: process.env.SQLITE_FILE || path.join(__dirname, '..', 'data', 'zenalyst.sqlite')
+        }
+    },
+
     // MongoDB connection settings
     mongodb: {
         uri: process.env.MONGODB_URI || 'mongodb://localhost:27017',
@@ -22,7 +42,46 @@ const databaseConfig = {
         quarterlyRevenue: 'quarterly_revenue',
         revenueBridge: 'revenue_bridge',
         customerConcentration: 'customer_concentration',
-        revenueSummary: 'revenue_summary'
+        revenueSummary: 'revenue_summary',
+        revenuePeriods: 'revenue_periods',
+        snapshots: 'dataset_snapshots',
+        snapshotState: 'dataset_snapshot_state',
+        snapshotActivations: 'dataset_snapshot_activations',
+        chatSessions: 'chat_sessions',
+        chatMessages: 'chat_messages',
+        prompts: 'prompts',
+        schedules: 'report_schedules',
+        jobs: 'report_jobs',
+        alertRules: 'alert_rules',
+        alerts: 'alerts',
+        users: 'users',
+        authSessions: 'auth_sessions',
+        passwordResets: 'password_resets',
+        countryRegions: 'country_regions',
+        customerTerritories: 'customer_territories'
+    },
+
+    // Dataset snapshot settings
+    snapshots: {
+        // Collections (keys of `collections`) whose contents are versioned by every import
+        versionedCollections: [
+            'countries',
+            'regions',
+            'quarterlyRevenue',
+            'revenueBridge',
+            'customerConcentration',
+            'revenuePeriods',
+            'revenueSummary'
+        ],
+        // How long the active snapshot pointer is cached per process
+        cacheTtlMs: parseInt(process.env.SNAPSHOT_CACHE_TTL_MS) || 5000
+    },
+
+    // Time-series settings for the normalized revenue store
+    timeSeries: {
+        // Year assigned to legacy columns such as "Quarter 3 Revenue" that carry no year
+        defaultYear: parseInt(process.env.REVENUE_DEFAULT_YEAR) || 2024,
+        defaultGranularity: 'quarter'
     },
 
     // Index configurations
@@ -47,6 +106,60 @@ const databaseConfig = {
         ],
         regions: [
             { key: { "Region": 1 } }
+        ],
+        revenuePeriods: [
+            { key: { "customerName": 1, "period": 1 } },
+            { key: { "granularity": 1, "period": 1 } }
+        ],
+        snapshots: [
+            { key: { "version": -1 }, options: { unique: true } },
+            { key: { "createdAt": -1 } }
+        ],
+        snapshotActivations: [
+            { key: { "activatedAt": -1 } }
+        ],
+        chatSessions: [
+            { key: { "updatedAt": -1 } },
+            { key: { "userId": 1, "updatedAt": -1 } }
+        ],
+        chatMessages: [
+            { key: { "sessionId": 1, "sequence": 1 }, options: { unique: true } }
+        ],
+        prompts: [
+            { key: { "category": 1, "title": 1 } },
+            { key: { "usageCount": -1 } }
+        ],
+        schedules: [
+            { key: { "enabled": 1, "nextRunAt": 1 } }
+        ],
+        jobs: [
+            { key: { "status": 1, "runAt": 1 } },
+            { key: { "scheduleId": 1, "createdAt": -1 } }
+        ],
+        alertRules: [
+            { key: { "enabled": 1, "metric": 1 } }
+        ],
+        alerts: [
+            { key: { "ruleId": 1, "status": 1 } },
+            { key: { "triggeredAt": -1 } }
+        ],
+        users: [
+            { key: { "email": 1 }, options: { unique: true } }
+        ],
+        authSessions: [
+            { key: { "userId": 1 } },
+            { key: { "expiresAt": 1 } }
+        ],
+        passwordResets: [
+            { key: { "userId": 1 } },
+            { key: { "expiresAt": 1 } }
+        ],
+        countryRegions: [
+            { key: { "regionName": 1 } }
+        ],
+        customerTerritories: [
+            { key: { "countryName": 1 } },
+            { key: { "regionName": 1 } }
         ]
     }
 };
@@ -0,0 +1,98 @@
+/**
+ * Dataset definitions
+ * Describes the five source datasets (A–E): where they are stored and the columns they must contain
+ */
+
+const databaseConfig = require('./database');
+
+const datasetsConfig = {
+    // Upload settings
+    uploads: {
+        maxFileSize: parseInt(process.env.UPLOAD_MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10 MB
+        formats: ['json', 'csv', 'xlsx'],
+        // Maximum number of rejected rows echoed back in an import report
+        maxReportedRejections: 100
+    },
+
+    // Dataset types keyed by their letter in the Data Source directory
+    types: {
+        A: {
+            key: 'A',
+            slug: 'quarterly-revenue',
+            name: 'Quarterly Revenue and QoQ growth',
+            fileName: 'A._Quarterly_Revenue_and_QoQ_growth.json',
+            collection: databaseConfig.collections.quarterlyRevenue,
+            keyColumn: 'Customer Name',
+            columns: {
+                'Customer Name': { type: 'string', required: true },
+                'Variance': { type: 'number', nullable: true },
+                'Percentage of Variance': { type: 'number', nullable: true }
+            },
+            // "<period> Revenue" columns (e.g. "Quarter 3 Revenue", "Q1 2025 Revenue")
+            periodColumns: { min: 1, nullable: true },
+            // Rebuilds the normalized revenue time series
+            feedsRevenuePeriods: true
+        },
+        B: {
+            key: 'B',
+            slug: 'revenue-bridge',
+            name: 'Revenue Bridge and Churned Analysis',
+            fileName: 'B._Revenue_Bridge_and_Churned_Analysis.json',
+            collection: databaseConfig.collections.revenueBridge,
+            keyColumn: 'Customer Name',
+            columns: {
+                'Customer Name': { type: 'string', required: true },
+                'Churned Revenue': { type: 'number', required: true, nullable: true },
+                'New Revenue': { type: 'number', required: true, nullable: true },
+                'Expansion Revenue': { type: 'number', required: true, nullable: true },
+                'Contraction Revenue': { type: 'number', required: true, nullable: true }
+            },
+            periodColumns: { min: 2, nullable: true },
+            feedsRevenuePeriods: false
+        },
+        C: {
+            key: 'C',
+            slug: 'country-revenue',
+            name: 'Country wise Revenue Analysis',
+            fileName: 'C._Country_wise_Revenue_Analysis.json',
+            collection: databaseConfig.collections.countries,
+            keyColumn: 'Country',
+            columns: {
+                'Country': { type: 'string', required: true },
+                'Yearly Revenue': { type: 'number', required: true, nullable: true }
+            },
+            periodColumns: null,
+            feedsRevenuePeriods: false
+        },
+        D: {
+            key: 'D',
+            slug: 'region-revenue',
+            name: 'Region wise Revenue Analysis',
+            fileName: 'D._Region_wise_Revenue_Analysis.json',
+            collection: databaseConfig.collections.regions,
+            keyColumn: 'Region',
+            columns: {
+                'Region': { type: 'string', required: true },
+                'Yearly Revenue': { type: 'number', required: true, nullable: true }
+            },
+            periodColumns: null,
+            feedsRevenuePeriods: false
+        },
+        E: {
+            key: 'E',
+            slug: 'customer-concentration',
+            name: 'Customer Concentration Analysis',
+            fileName: 'E._Customer_Concentration_Analysis.json',
+            collection: databaseConfig.collections.customerConcentration,
+            keyColumn: 'Customer Name',
+            columns: {
+                'Customer Name': { type: 'string', required: true },
+                'Total Revenue': { type: 'number', required: true, nullable: true }
+            },
+            periodColumns: null,
+            feedsRevenuePeriods: false
+        }
+    }
+};
+
+module.exports = datasetsConfig;
@@ -0,0 +1,116 @@
+/**
+ * Exports configuration
+ * Columns of the CSV and XLSX exports of the list endpoints (?format=csv / ?format=xlsx, see utils/tableExport.js).
+ *
+ * Column types:
+ *   - text:       written as is (lists are joined with ", ")
+ *   - number:     raw number
+ *   - currency:   raw number, followed by a formatted column ($1,234.56)
+ *   - percentage: raw percentage (12.34 for 12.34%), followed by a formatted column (12.34%)
+ */
+
+const listQueriesConfig = require('./listQueries');
+
+const customerComparisonColumns = [
+    { field: 'customerName', header: 'Customer', type: 'text' },
+    { field: 'fromPeriod', header: 'From Period', type: 'text' },
+    { field: 'toPeriod', header: 'To Period', type: 'text' },
+    { field: 'fromRevenue', header: 'From Revenue', type: 'currency' },
+    { field: 'toRevenue', header: 'To Revenue', type: 'currency' },
+    { field: 'variance', header: 'Variance', type: 'currency' },
+    { field: 'percentageVariance', header: 'Variance %', type: 'percentage' },
+    { field: 'growthStatus', header: 'Growth Status', type: 'text' }
+];
+
+const exportsConfig = {
+    // Rows read per batch while an export is streamed (the largest page size of the list endpoints)
+    batchSize: listQueriesConfig.maxLimit,
+
+    // Per export: file name (the snapshot version is appended), worksheet name, the field that identifies a row
+    // (added as a last sort key so batches never overlap) and the columns
+    tables: {
+        countries: {
+            filename: 'countries',
+            sheet: 'Countries',
+            key: 'countryName',
+            columns: [
+                { field: 'countryName', header: 'Country', type: 'text' },
+                { field: 'yearlyRevenue', header: 'Yearly Revenue', type: 'currency' }
+            ]
+        },
+        revenueShare: {
+            filename: 'country-revenue-share',
+            sheet: 'Revenue Share',
+            key: 'countryName',
+            columns: [
+                { field: 'countryName', header: 'Country', type: 'text' },
+                { field: 'revenue', header: 'Revenue', type: 'currency' },
+                { field: 'percentage', header: 'Share', type: 'percentage' }
+            ]
+        },
+        regions: {
+            filename: 'regions',
+            sheet: 'Regions',
+            key: 'regionName',
+            columns: [
+                { field: 'regionName', header: 'Region', type: 'text' },
+                { field: 'yearlyRevenue', header: 'Yearly Revenue', type: 'currency' },
+                { field: 'hasData', header: 'Has Data', type: 'text' }
+            ]
+        },
+        customerConcentration: {
+            filename: 'customer-concentration',
+            sheet: 'Customer Concentration',
+            key: 'customerName',
+            columns: [
+                { field: 'customerName', header: 'Customer', type: 'text' },
+                { field: 'totalRevenue', header: 'Total Revenue', type: 'currency' }
+            ]
+        },
+        concentrationCustomers: {
+            filename: 'customer-concentration-risk',
+            sheet: 'Concentration Risk',
+            key: 'customerName',
+            columns: [
+                { field: 'rank', header: 'Rank', type: 'number' },
+                { field: 'customerName', header: 'Customer', type: 'text' },
+                { field: 'totalRevenue', header: 'Total Revenue', type: 'currency' },
+                { field: 'share', header: 'Share', type: 'percentage' },
+                { field: 'cumulativeShare', header: 'Cumulative Share', type: 'percentage' },
+                { field: 'abcClass', header: 'ABC Class', type: 'text' }
+            ]
+        },
+        customerAnalysis: {
+            filename: 'customer-analysis',
+            sheet: 'Customer Analysis',
+            key: 'customerName',
+            columns: customerComparisonColumns
+        },
+        growthCustomers: {
+            filename: 'growth-customers',
+            sheet: 'Growth Customers',
+            key: 'customerName',
+            columns: customerComparisonColumns
+        },
+        bridgeCustomers: {
+            filename: 'revenue-bridge-customers',
+            sheet: 'Revenue Bridge',
+            key: 'customerName',
+            columns: [
+                { field: 'customerName', header: 'Customer', type: 'text' },
+                { field: 'startRevenue', header: 'Start Revenue', type: 'currency' },
+                { field: 'newRevenue', header: 'New', type: 'currency' },
+                { field: 'expansionRevenue', header: 'Expansion', type: 'currency' },
+                { field: 'churnedRevenue', header: 'Churn', type: 'currency' },
+                { field: 'contractionRevenue', header: 'Contraction', type: 'currency' },
+                { field: 'endRevenue', header: 'End Revenue', type: 'currency' },
+                { field: 'netChange', header: 'Net Change', type: 'currency' },
+                { field: 'netMovement', header: 'Net Movement', type: 'currency' },
+                { field: 'residual', header: 'Residual', type: 'currency' },
+                { field: 'movementTypes', header: 'Movements', type: 'text' }
+            ]
+        }
+    }
+};
+
+module.exports = exportsConfig;
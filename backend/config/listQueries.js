@@ -0,0 +1,213 @@
+/**
+ * List query configuration
+ * Declares, per list endpoint, the fields that can be filtered, sorted and selected through the
+ * shared query layer (utils/listQuery.js). Only the fields listed here are ever turned into database queries.
+ *
+ * Field options:
+ *   - type:   'string', 'number' or 'boolean' (filter values are converted to it)
+ *   - enum:   allowed values (matched case-insensitively)
+ *
+ * Stored column names of collection-backed lists are owned by the repositories.
+ */
+
+const listQueriesConfig = {
+    // Largest page size any list accepts
+    maxLimit: 500,
+
+    lists: {
+        countries: {
+            fields: {
+                countryName: { type: 'string' },
+                yearlyRevenue: { type: 'number' }
+            },
+            defaultSort: '-yearlyRevenue',
+            defaultLimit: 50
+        },
+        regions: {
+            fields: {
+                regionName: { type: 'string' },
+                yearlyRevenue: { type: 'number' }
+            },
+            defaultSort: '-yearlyRevenue',
+            defaultLimit: 50
+        },
+        customerConcentration: {
+            fields: {
+                customerName: { type: 'string' },
+                totalRevenue: { type: 'number' }
+            },
+            defaultSort: '-totalRevenue',
+            defaultLimit: 20
+        },
+        customerAnalysis: {
+            fields: {
+                customerName: { type: 'string' },
+                fromRevenue: { type: 'number' },
+                toRevenue: { type: 'number' },
+                variance: { type: 'number' },
+                percentageVariance: { type: 'number' },
+                growthStatus: { type: 'string', enum: ['positive', 'negative', 'neutral'] }
+            },
+            defaultSort: '-toRevenue',
+            defaultLimit: 50
+        },
+        bridgeCustomers: {
+            fields: {
+                customerName: { type: 'string' },
+                startRevenue: { type: 'number' },
+                endRevenue: { type: 'number' },
+                netChange: { type: 'number' },
+                netMovement: { type: 'number' },
+                newRevenue: { type: 'number' },
+                expansionRevenue: { type: 'number' },
+                churnedRevenue: { type: 'number' },
+                contractionRevenue: { type: 'number' },
+                residual: { type: 'number' }
+            },
+            defaultSort: '-netChange',
+            defaultLimit: 50
+        },
+        concentrationCustomers: {
+            fields: {
+                rank: { type: 'number' },
+                customerName: { type: 'string' },
+                totalRevenue: { type: 'number' },
+                share: { type: 'number' },
+                cumulativeShare: { type: 'number' },
+                abcClass: { type: 'string', enum: ['A', 'B', 'C'] }
+            },
+            defaultSort: 'rank',
+            defaultLimit: 50
+        },
+        chatSessions: {
+            fields: {
+                userId: { type: 'string' },
+                title: { type: 'string' },
+                messageCount: { type: 'number' },
+                // ISO 8601 timestamps
+                createdAt: { type: 'string' },
+                updatedAt: { type: 'string' }
+            },
+            defaultSort: '-updatedAt',
+            defaultLimit: 20
+        },
+        prompts: {
+            fields: {
+                id: { type: 'string' },
+                title: { type: 'string' },
+                category: { type: 'string' },
+                owner: { type: 'string' },
+                usageCount: { type: 'number' },
+                // ISO 8601 timestamps
+                lastUsedAt: { type: 'string' },
+                createdAt: { type: 'string' },
+                updatedAt: { type: 'string' }
+            },
+            defaultSort: 'category,title',
+            defaultLimit: 50
+        },
+        schedules: {
+            fields: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                enabled: { type: 'boolean' },
+                // ISO 8601 timestamps
+                nextRunAt: { type: 'string' },
+                lastRunAt: { type: 'string' },
+                createdAt: { type: 'string' },
+                updatedAt: { type: 'string' }
+            },
+            defaultSort: 'name',
+            defaultLimit: 50
+        },
+        jobs: {
+            fields: {
+                id: { type: 'string' },
+                type: { type: 'string', enum: ['report', 'alert'] },
+                scheduleId: { type: 'string' },
+                alertId: { type: 'string' },
+                trigger: { type: 'string', enum: ['schedule', 'manual', 'alert'] },
+                status: { type: 'string', enum: ['pending', 'running', 'succeeded', 'failed'] },
+                attempts: { type: 'number' },
+                // ISO 8601 timestamps
+                scheduledFor: { type: 'string' },
+                runAt: { type: 'string' },
+                createdAt: { type: 'string' },
+                completedAt: { type: 'string' }
+            },
+            defaultSort: '-createdAt',
+            defaultLimit: 50
+        },
+        alertRules: {
+            fields: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                metric: { type: 'string' },
+                severity: { type: 'string', enum: ['info', 'warning', 'critical'] },
+                enabled: { type: 'boolean' },
+                // ISO 8601 timestamps
+                lastEvaluatedAt: { type: 'string' },
+                createdAt: { type: 'string' },
+                updatedAt: { type: 'string' }
+            },
+            defaultSort: 'name',
+            defaultLimit: 50
+        },
+        alerts: {
+            fields: {
+                id: { type: 'string' },
+                ruleId: { type: 'string' },
+                ruleName: { type: 'string' },
+                metric: { type: 'string' },
+                subject: { type: 'string' },
+                severity: { type: 'string', enum: ['info', 'warning', 'critical'] },
+                status: { type: 'string', enum: ['open', 'resolved'] },
+                value: { type: 'number' },
+                snapshotVersion: { type: 'number' },
+                // ISO 8601 timestamps
+                triggeredAt: { type: 'string' },
+                resolvedAt: { type: 'string' }
+            },
+            defaultSort: '-triggeredAt',
+            defaultLimit: 50
+        },
+        users: {
+            fields: {
+                id: { type: 'string' },
+                email: { type: 'string' },
+                name: { type: 'string' },
+                role: { type: 'string', enum: ['admin', 'analyst', 'regional_viewer'] },
+                active: { type: 'boolean' },
+                // ISO 8601 timestamps
+                lastLoginAt: { type: 'string' },
+                createdAt: { type: 'string' },
+                updatedAt: { type: 'string' }
+            },
+            defaultSort: 'email',
+            defaultLimit: 50
+        },
+        countryRegions: {
+            fields: {
+                countryName: { type: 'string' },
+                regionName: { type: 'string' },
+                // ISO 8601 timestamp
+                updatedAt: { type: 'string' }
+            },
+            defaultSort: 'countryName',
+            defaultLimit: 100
+        },
+        customerTerritories: {
+            fields: {
+                customerName: { type: 'string' },
+                countryName: { type: 'string' },
+                regionName: { type: 'string' },
+                // ISO 8601 timestamp
+                updatedAt: { type: 'string' }
+            },
+            defaultSort: 'customerName',
+            defaultLimit: 100
+        }
+    }
+};
+
+module.exports = listQueriesConfig;
@@ -0,0 +1,46 @@
+/**
+ * Metrics configuration
+ */
+const metricsConfig = {
+    // Revenue retention (NRR, GRR, logo churn, expansion)
+    retention: {
+        // Customer segments by revenue in the bridge start period, largest first.
+        // A customer belongs to the first segment whose minimum it reaches.
+        segments: [
+            { key: 'enterprise', label: 'Enterprise', minRevenue: parseFloat(process.env.SEGMENT_ENTERPRISE_MIN_REVENUE) || 25000 },
+            { key: 'mid-market', label: 'Mid-Market', minRevenue: parseFloat(process.env.SEGMENT_MID_MARKET_MIN_REVENUE) || 5000 },
+            { key: 'smb', label: 'SMB', minRevenue: 0 }
+        ]
+    },
+
+    // Revenue concentration (customers and countries)
+    concentration: {
+        // Pareto/ABC classes by cumulative share of revenue (%): A up to 80%, B up to 95%, C the rest
+        abcClasses: [
+            { key: 'A', maxCumulativeShare: 80 },
+            { key: 'B', maxCumulativeShare: 95 },
+            { key: 'C', maxCumulativeShare: 100 }
+        ],
+        // Top-N shares reported alongside the HHI and Gini coefficient
+        topN: [1, 5, 10, 20],
+        // Risk thresholds per dimension: a metric at or above `moderate`/`high` raises that risk level.
+        // HHI uses the 0–10,000 scale (shares in percent); shares are in percent; Gini is 0–1.
+        thresholds: {
+            customers: {
+                hhi: { moderate: 1500, high: 2500 },
+                top1Share: { moderate: 10, high: 20 },
+                top5Share: { moderate: 35, high: 50 },
+                top10Share: { moderate: 50, high: 70 },
+                gini: { moderate: 0.6, high: 0.8 }
+            },
+            countries: {
+                hhi: { moderate: 1500, high: 2500 },
+                top1Share: { moderate: 25, high: 40 },
+                top5Share: { moderate: 60, high: 80 },
+                gini: { moderate: 0.6, high: 0.8 }
+            }
+        }
+    }
+};
+
+module.exports = metricsConfig;
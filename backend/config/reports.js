@@ -0,0 +1,51 @@
+/**
+ * Reports configuration
+ */
+const reportsConfig = {
+    // Executive report (GET /api/reports/executive). Concentration risk uses the thresholds of config/metrics.js;
+    // the thresholds below decide how the other figures are described.
+    executive: {
+        title: 'Executive Revenue Report',
+        thresholds: {
+            // Period-over-period revenue change (%): at or above `strongGrowth` is strong growth,
+            // within ±`flatBand` is flat
+            growth: { strongGrowth: 10, flatBand: 1 },
+            // Net revenue retention target (%)
+            nrr: 100,
+            // Gross revenue retention floor (%)
+            grr: 90,
+            // Logo churn rate (%) at or above which churn is called out
+            logoChurnRate: 5,
+            // Share of a bridge movement (%) above which one customer is a dependency
+            driverShare: 50
+        },
+        // Customers named per bridge movement and countries listed in the geography section
+        driverLimit: 3,
+        countryLimit: 3
+    },
+
+    // PDF exports (?format=pdf on the dashboard, customer, country and executive report endpoints).
+    // Drawn with the PDF standard fonts, so no font files, browser or network access are needed.
+    pdf: {
+        size: 'A4',
+        margin: 50,
+        // Countries drawn in the share chart before the rest are grouped as "Others"
+        countryShareLimit: 8,
+        // Rows of the top customers table in the dashboard pack
+        topCustomers: 10,
+        colors: {
+            text: '#1f2933',
+            muted: '#7b8794',
+            grid: '#e4e7eb',
+            tableHeader: '#f0f4f8',
+            tableHighlight: '#fdf1d8',
+            bar: '#2f6fde',
+            total: '#3e4c59',
+            increase: '#2f9e6e',
+            decrease: '#d64545',
+            highlight: '#f0a202'
+        }
+    }
+};
+
+module.exports = reportsConfig;
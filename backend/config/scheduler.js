@@ -0,0 +1,55 @@
+/**
+ * Scheduler configuration
+ * Scheduled reports: cron schedules stored in the database, the job queue that runs them and the delivery
+ * channels (SMTP email and webhooks) that send the generated files.
+ */
+
+const os = require('os');
+
+const schedulerConfig = {
+    // Run the queue worker in this process (set SCHEDULER_ENABLED=false on instances that only serve the API)
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    // How often the worker enqueues due schedules and picks up pending jobs
+    pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 30000,
+    // Identifies the worker holding a job (several processes can share one queue)
+    workerId: process.env.SCHEDULER_WORKER_ID || `${os.hostname()}:${process.pid}`,
+    // Time zone of schedules created without one (IANA name)
+    defaultTimezone: process.env.SCHEDULER_TIMEZONE || 'UTC',
+    // Jobs claimed per poll
+    batchSize: 5,
+    // A running job not finished within this time goes back to the queue (its worker stopped)
+    lockTimeoutMs: parseInt(process.env.SCHEDULER_LOCK_TIMEOUT_MS) || 10 * 60 * 1000,
+
+    // Failed jobs are retried after backoffMs, then backoffMs × backoffFactor, ... up to maxBackoffMs,
+    // until maxAttempts attempts have failed
+    retry: {
+        maxAttempts: parseInt(process.env.SCHEDULER_MAX_ATTEMPTS) || 5,
+        backoffMs: parseInt(process.env.SCHEDULER_RETRY_BACKOFF_MS) || 60 * 1000,
+        backoffFactor: 2,
+        maxBackoffMs: 60 * 60 * 1000
+    },
+
+    // Limits of a schedule definition
+    maxNameLength: 120,
+    maxReports: 10,
+    maxDeliveries: 10,
+    maxRecipients: 20,
+
+    // SMTP server used by email deliveries (a local catcher such as MailHog or smtp4dev listens on 1025)
+    email: {
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER || null,
+        password: process.env.SMTP_PASSWORD || null,
+        from: process.env.SMTP_FROM || 'Zenalyst Reports <reports@zenalyst.local>',
+        timeoutMs: parseInt(process.env.SMTP_TIMEOUT_MS) || 30000
+    },
+
+    // Webhook deliveries POST the files as JSON (base64 content)
+    webhook: {
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 30000
+    }
+};
+
+module.exports = schedulerConfig;
@@ -0,0 +1,136 @@
+/**
+ * Alerts Controller
+ * Handles the alert rule and alert history endpoints
+ */
+
+const alertsService = require('../services/alertsService');
+const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * List the metrics alert rules can watch
+ * @route GET /api/alerts/metrics
+ */
+const getMetrics = asyncHandler(async (req, res) => {
+    try {
+        successResponse(res, 200, 'Alert metrics retrieved successfully', alertsService.listMetrics());
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve alert metrics', error.message);
+    }
+});
+
+/**
+ * List alert rules
+ * @route GET /api/alerts/rules
+ */
+const getRules = asyncHandler(async (req, res) => {
+    try {
+        const { rules, pagination } = await alertsService.listRules(req.listQuery);
+        paginatedResponse(res, rules, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'Alert rules retrieved successfully');
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve alert rules', error.message);
+    }
+});
+
+/**
+ * Get an alert rule
+ * @route GET /api/alerts/rules/:id
+ */
+const getRule = asyncHandler(async (req, res) => {
+    try {
+        const rule = await alertsService.getRule(req.params.id);
+        successResponse(res, 200, 'Alert rule retrieved successfully', rule);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to retrieve alert rule', error.message);
+    }
+});
+
+/**
+ * Create an alert rule
+ * @route POST /api/alerts/rules
+ */
+const createRule = asyncHandler(async (req, res) => {
+    try {
+        const rule = await alertsService.createRule(req.body);
+        successResponse(res, 201, 'Alert rule created successfully', rule);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to create alert rule', error.message);
+    }
+});
+
+/**
+ * Update an alert rule
+ * @route PATCH /api/alerts/rules/:id
+ */
+const updateRule = asyncHandler(async (req, res) => {
+    try {
+        const rule = await alertsService.updateRule(req.params.id, req.body);
+        successResponse(res, 200, 'Alert rule updated successfully', rule);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to update alert rule', error.message);
+    }
+});
+
+/**
+ * Delete an alert rule
+ * @route DELETE /api/alerts/rules/:id
+ */
+const deleteRule = asyncHandler(async (req, res) => {
+    try {
+        const result = await alertsService.deleteRule(req.params.id);
+        successResponse(res, 200, 'Alert rule deleted successfully', result);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to delete alert rule', error.message);
+    }
+});
+
+/**
+ * Evaluate the enabled alert rules now
+ * @route POST /api/alerts/evaluate
+ */
+const evaluateRules = asyncHandler(async (req, res) => {
+    try {
+        const evaluation = await alertsService.evaluateRules({ trigger: 'manual' });
+        successResponse(res, 200, 'Alert rules evaluated successfully', evaluation);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to evaluate alert rules', error.message);
+    }
+});
+
+/**
+ * List alerts
+ * @route GET /api/alerts
+ */
+const getAlerts = asyncHandler(async (req, res) => {
+    try {
+        const { alerts, pagination } = await alertsService.listAlerts(req.listQuery);
+        paginatedResponse(res, alerts, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'Alerts retrieved successfully');
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve alerts', error.message);
+    }
+});
+
+/**
+ * Get an alert
+ * @route GET /api/alerts/:id
+ */
+const getAlert = asyncHandler(async (req, res) => {
+    try {
+        const alert = await alertsService.getAlert(req.params.id);
+        successResponse(res, 200, 'Alert retrieved successfully', alert);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to retrieve alert', error.message);
+    }
+});
+
+module.exports = {
+    getMetrics,
+    getRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    evaluateRules,
+    getAlerts,
+    getAlert
+};
@@ -4,47 +4,113 @@
  */
 
 const analyticsService = require('../services/analyticsService');
-const { successResponse, errorResponse } = require('../utils/responseHandler');
+const chatSessionsService = require('../services/chatSessionsService');
+const promptsService = require('../services/promptsService');
+const exportsService = require('../services/exportsService');
+const analyticsConfig = require('../config/analytics');
+const { successResponse, errorResponse, paginatedResponse, fileResponse } = require('../utils/responseHandler');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { FORMAT_TYPES } = require('../middleware/format');
+const { openEventStream, isAbortError } = require('../utils/eventStream');
 
 /**
- * Get predefined prompts
- * @route GET /api/chat/prompts
+ * Answer a request over Server-Sent Events.
+ * `run` receives { signal, onEvent } and resolves to the payload of the final 'done' event. Failures before the
+ * first event are answered with a regular JSON error; later ones are sent as an 'error' event.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} failureMessage - Message of the error response
+ * @param {Function} run - Work to stream
  */
-const getPredefinedPrompts = asyncHandler(async (req, res) => {
+const streamResponse = async (req, res, failureMessage, run) => {
+    const stream = openEventStream(req, res);
     try {
-        const prompts = await analyticsService.getPredefinedPrompts();
-        successResponse(res, 200, 'Predefined prompts retrieved successfully', prompts);
+        const result = await run({ signal: stream.signal, onEvent: stream.send });
+        stream.send('done', result);
+        stream.close();
     } catch (error) {
-        errorResponse(res, 500, 'Failed to retrieve predefined prompts', error.message);
+        // The client left: there is nobody to answer
+        if (isAbortError(error) || stream.isClosed()) return;
+
+        if (!stream.isOpen()) {
+            return errorResponse(res, error.statusCode || 500, failureMessage, error.message);
+        }
+        stream.send('error', { message: failureMessage, error: error.message, statusCode: error.statusCode || 500 });
+        stream.close();
     }
-});
+};
+
+/**
+ * Read the question of an analyze request: `prompt`, or a prompt of the library (`promptId`) filled in with
+ * `parameters`. Running a library prompt counts as one use.
+ * @param {Object} fields - Request body (or query string)
+ * @returns {Promise<Object>} { prompt, template } where template is the library prompt used, or { error }
+ */
+const resolvePrompt = async ({ prompt, promptId, parameters }) => {
+    if (promptId !== undefined) {
+        if (!promptId || typeof promptId !== 'string') {
+            return { error: '"promptId" must be a non-empty string' };
+        }
+        const rendered = await promptsService.renderPrompt(promptId, parameters, { recordUsage: true });
+        return { prompt: rendered.text, template: { id: rendered.id, title: rendered.title, parameters: rendered.parameters } };
+    }
+
+    if (!prompt || typeof prompt !== 'string') {
+        return { error: '"prompt" must be a non-empty string, or "promptId" must name a library prompt' };
+    }
+    return { prompt, template: null };
+};
 
 /**
  * Analyze data based on user prompt
- * @route POST /api/chat/analyze
+ * @route POST /api/analytics/analyze
  */
 const analyzeData = asyncHandler(async (req, res) => {
     try {
-        const { prompt } = req.body;
-        
-        if (!prompt || typeof prompt !== 'string') {
-            return errorResponse(res, 400, 'Invalid prompt provided');
+        const { prompt, template, error: invalid } = await resolvePrompt(req.body || {});
+        if (invalid) {
+            return errorResponse(res, 400, 'Invalid prompt provided', invalid);
         }
 
         const analysis = await analyticsService.analyzeData(prompt);
-        successResponse(res, 200, 'Analysis completed successfully', analysis);
+        successResponse(res, 200, 'Analysis completed successfully', { ...analysis, ...(template && { template }) });
     } catch (error) {
-        errorResponse(res, 500, 'Failed to analyze data', error.message);
+        errorResponse(res, error.statusCode || 500, 'Failed to analyze data', error.message);
     }
 });
 
 /**
- * Get dashboard summary
+ * Analyze data based on user prompt, streaming the results over Server-Sent Events
+ * @route POST /api/analytics/analyze/stream
+ * @route GET /api/analytics/analyze/stream?prompt=
+ */
+const analyzeDataStream = asyncHandler(async (req, res) => {
+    let resolved;
+    try {
+        resolved = await resolvePrompt(req.method === 'GET' ? req.query : (req.body || {}));
+    } catch (error) {
+        return errorResponse(res, error.statusCode || 500, 'Failed to analyze data', error.message);
+    }
+    const { prompt, template, error: invalid } = resolved;
+    if (invalid) {
+        return errorResponse(res, 400, 'Invalid prompt provided', invalid);
+    }
+
+    await streamResponse(req, res, 'Failed to analyze data', async (options) => {
+        const analysis = await analyticsService.analyzeData(prompt, options);
+        return { ...analysis, ...(template && { template }) };
+    });
+});
+
+/**
+ * Get dashboard summary (JSON, or PDF with ?format=pdf / Accept: application/pdf)
  * @route GET /api/analytics/dashboard
  */
 const getDashboardSummary = asyncHandler(async (req, res) => {
     try {
+        if (req.format === 'pdf') {
+            return fileResponse(res, await exportsService.getDashboardPdf(), FORMAT_TYPES.pdf, 'dashboard.pdf', true);
+        }
         const summary = await analyticsService.getDashboardSummary();
         successResponse(res, 200, 'Dashboard summary retrieved successfully', summary);
     } catch (error) {
@@ -52,8 +118,148 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * Validate an optional session title from the request body
+ * @param {*} title - Title
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateTitle = (title) => {
+    if (title === undefined || title === null) return null;
+    if (typeof title !== 'string' || !title.trim()) return '"title" must be a non-empty string';
+    return null;
+};
+
+/**
+ * Validate a chat message from the request body
+ * @param {*} content - Question
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateMessage = (content) => {
+    const { maxMessageLength } = analyticsConfig.chat;
+    if (!content || typeof content !== 'string' || !content.trim()) return '"content" must be a non-empty string';
+    if (content.length > maxMessageLength) return `"content" must be at most ${maxMessageLength} characters`;
+    return null;
+};
+
+/**
+ * Create a chat session
+ * @route POST /api/analytics/sessions
+ */
+const createSession = asyncHandler(async (req, res) => {
+    try {
+        const { title } = req.body || {};
+        const invalid = validateTitle(title);
+        if (invalid) {
+            return errorResponse(res, 400, 'Invalid session title', invalid);
+        }
+
+        const session = await chatSessionsService.createSession({ title }, req.user.id);
+        successResponse(res, 201, 'Chat session created successfully', session);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to create chat session', error.message);
+    }
+});
+
+/**
+ * List chat sessions
+ * @route GET /api/analytics/sessions
+ */
+const getSessions = asyncHandler(async (req, res) => {
+    try {
+        const { sessions, pagination } = await chatSessionsService.listSessions(req.listQuery, req.user.id);
+        paginatedResponse(res, sessions, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'Chat sessions retrieved successfully');
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve chat sessions', error.message);
+    }
+});
+
+/**
+ * Get a chat session with its messages
+ * @route GET /api/analytics/sessions/:id
+ */
+const getSession = asyncHandler(async (req, res) => {
+    try {
+        const session = await chatSessionsService.getSession(req.params.id, req.user.id);
+        successResponse(res, 200, 'Chat session retrieved successfully', session);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to retrieve chat session', error.message);
+    }
+});
+
+/**
+ * Rename a chat session
+ * @route PATCH /api/analytics/sessions/:id
+ */
+const renameSession = asyncHandler(async (req, res) => {
+    try {
+        const { title } = req.body || {};
+        const invalid = title === undefined ? '"title" is required' : validateTitle(title);
+        if (invalid) {
+            return errorResponse(res, 400, 'Invalid session title', invalid);
+        }
+
+        const session = await chatSessionsService.renameSession(req.params.id, title, req.user.id);
+        successResponse(res, 200, 'Chat session renamed successfully', session);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to rename chat session', error.message);
+    }
+});
+
+/**
+ * Delete a chat session and its messages
+ * @route DELETE /api/analytics/sessions/:id
+ */
+const deleteSession = asyncHandler(async (req, res) => {
+    try {
+        const result = await chatSessionsService.deleteSession(req.params.id, req.user.id);
+        successResponse(res, 200, 'Chat session deleted successfully', result);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to delete chat session', error.message);
+    }
+});
+
+/**
+ * Ask a question in a chat session
+ * @route POST /api/analytics/sessions/:id/messages
+ */
+const sendMessage = asyncHandler(async (req, res) => {
+    try {
+        const { content } = req.body || {};
+        const invalid = validateMessage(content);
+        if (invalid) {
+            return errorResponse(res, 400, 'Invalid message', invalid);
+        }
+
+        const result = await chatSessionsService.sendMessage(req.params.id, content, req.user.id);
+        successResponse(res, 201, 'Message answered successfully', result);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to answer message', error.message);
+    }
+});
+
+/**
+ * Ask a question in a chat session, streaming the answer over Server-Sent Events
+ * @route POST /api/analytics/sessions/:id/messages/stream
+ */
+const sendMessageStream = asyncHandler(async (req, res) => {
+    const { content } = req.body || {};
+    const invalid = validateMessage(content);
+    if (invalid) {
+        return errorResponse(res, 400, 'Invalid message', invalid);
+    }
+
+    await streamResponse(req, res, 'Failed to answer message', options => chatSessionsService.sendMessage(req.params.id, content, req.user.id, options));
+});
+
 module.exports = {
-    getPredefinedPrompts,
     analyzeData,
-    getDashboardSummary
+    analyzeDataStream,
+    getDashboardSummary,
+    createSession,
+    getSessions,
+    getSession,
+    renameSession,
+    deleteSession,
+    sendMessage,
+    sendMessageStream
 }; 
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * Auth Controller
+ * Handles login, token refresh, logout and password endpoints
+ */
+
+const authService = require('../services/authService');
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Log in with email and password
+ * @route POST /api/auth/login
+ */
+const login = asyncHandler(async (req, res) => {
+    try {
+        const tokens = await authService.login(req.body, { userAgent: req.get('User-Agent'), ip: req.ip });
+        successResponse(res, 200, 'Logged in successfully', tokens);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to log in', error.message);
+    }
+});
+
+/**
+ * Exchange a refresh token for new tokens
+ * @route POST /api/auth/refresh
+ */
+const refresh = asyncHandler(async (req, res) => {
+    try {
+        const tokens = await authService.refresh((req.body || {}).refreshToken);
+        successResponse(res, 200, 'Tokens refreshed successfully', tokens);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to refresh tokens', error.message);
+    }
+});
+
+/**
+ * End the session of a refresh token
+ * @route POST /api/auth/logout
+ */
+const logout = asyncHandler(async (req, res) => {
+    try {
+        const result = await authService.logout((req.body || {}).refreshToken);
+        successResponse(res, 200, 'Logged out successfully', result);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to log out', error.message);
+    }
+});
+
+/**
+ * End every session of the logged-in user
+ * @route POST /api/auth/logout-all
+ */
+const logoutEverywhere = asyncHandler(async (req, res) => {
+    try {
+        const result = await authService.logoutEverywhere(req.user.id);
+        successResponse(res, 200, 'Logged out of every session successfully', result);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to log out of every session', error.message);
+    }
+});
+
+/**
+ * Get the logged-in user
+ * @route GET /api/auth/me
+ */
+const getCurrentUser = asyncHandler(async (req, res) => {
+    try {
+        successResponse(res, 200, 'Current user retrieved successfully', req.user);
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve current user', error.message);
+    }
+});
+
+/**
+ * Change the password of the logged-in user
+ * @route POST /api/auth/password
+ */
+const changePassword = asyncHandler(async (req, res) => {
+    try {
+        const result = await authService.changePassword(req.user.id, req.sessionId, req.body);
+        successResponse(res, 200, 'Password changed successfully', result);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to change password', error.message);
+    }
+});
+
+/**
+ * Email a password reset link
+ * @route POST /api/auth/password-reset/request
+ */
+const requestPasswordReset = asyncHandler(async (req, res) => {
+    try {
+        await authService.requestPasswordReset(req.body);
+        successResponse(res, 202, 'If the account exists, a password reset link has been sent');
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to request password reset', error.message);
+    }
+});
+
+/**
+ * Set a new password with a reset token
+ * @route POST /api/auth/password-reset/confirm
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+    try {
+        const result = await authService.resetPassword(req.body);
+        successResponse(res, 200, 'Password reset successfully', result);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to reset password', error.message);
+    }
+});
+
+module.exports = {
+    login,
+    refresh,
+    logout,
+    logoutEverywhere,
+    getCurrentUser,
+    changePassword,
+    requestPasswordReset,
+    resetPassword
+};
@@ -4,8 +4,11 @@
  */
 
 const countriesService = require('../services/countriesService');
-const { successResponse, errorResponse } = require('../utils/responseHandler');
+const exportsService = require('../services/exportsService');
+const { successResponse, errorResponse, paginatedResponse, fileResponse } = require('../utils/responseHandler');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { FORMAT_TYPES } = require('../middleware/format');
+const { tableResponse } = require('../utils/tableExport');
 
 /**
  * Get top countries by revenue
@@ -22,11 +25,14 @@ const getTopCountriesByRevenue = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get revenue share by country
+ * Get revenue share by country (JSON, or every country as CSV/XLSX)
  * @route GET /api/countries/revenue-share
  */
 const getRevenueShareByCountry = asyncHandler(async (req, res) => {
     try {
+        if (req.format !== 'json') {
+            return await tableResponse(res, req.format, await exportsService.getRevenueShareTable());
+        }
         const limit = parseInt(req.query.limit) || 8;
         const countries = await countriesService.getRevenueShareByCountry(limit);
         successResponse(res, 200, 'Revenue share by country retrieved successfully', countries);
@@ -36,25 +42,44 @@ const getRevenueShareByCountry = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get all countries
+ * Get country concentration risk metrics
+ * @route GET /api/countries/concentration/risk
+ */
+const getCountryConcentrationRisk = asyncHandler(async (req, res) => {
+    try {
+        const data = await countriesService.getCountryConcentrationRisk();
+        successResponse(res, 200, 'Country concentration risk retrieved successfully', data);
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve country concentration risk', error.message);
+    }
+});
+
+/**
+ * Get all countries (JSON page, or every matching country as CSV/XLSX)
  * @route GET /api/countries
  */
 const getAllCountries = asyncHandler(async (req, res) => {
     try {
-        const countries = await countriesService.getAllCountries();
-        successResponse(res, 200, 'All countries retrieved successfully', countries);
+        if (req.format !== 'json') {
+            return await tableResponse(res, req.format, await exportsService.getCountriesTable(req.listQuery));
+        }
+        const { countries, pagination } = await countriesService.getAllCountries(req.listQuery);
+        paginatedResponse(res, countries, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'All countries retrieved successfully');
     } catch (error) {
         errorResponse(res, 500, 'Failed to retrieve countries', error.message);
     }
 });
 
 /**
- * Get country by name
+ * Get country by name (JSON, or PDF with ?format=pdf / Accept: application/pdf)
  * @route GET /api/countries/:countryName
  */
 const getCountryByName = asyncHandler(async (req, res) => {
     try {
         const { countryName } = req.params;
+        if (req.format === 'pdf') {
+            return fileResponse(res, await exportsService.getCountryPdf(countryName), FORMAT_TYPES.pdf, `country-${countryName}.pdf`, true);
+        }
         const country = await countriesService.getCountryByName(countryName);
         successResponse(res, 200, 'Country retrieved successfully', country);
     } catch (error) {
@@ -69,6 +94,7 @@ const getCountryByName = asyncHandler(async (req, res) => {
 module.exports = {
     getTopCountriesByRevenue,
     getRevenueShareByCountry,
+    getCountryConcentrationRisk,
     getAllCountries,
     getCountryByName
 }; 
\ No newline at end of file
@@ -4,57 +4,85 @@
  */
 
 const customersService = require('../services/customersService');
-const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
+const exportsService = require('../services/exportsService');
+const { successResponse, errorResponse, paginatedResponse, fileResponse } = require('../utils/responseHandler');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { FORMAT_TYPES } = require('../middleware/format');
+const { tableResponse } = require('../utils/tableExport');
 
 /**
- * Get customer concentration analysis
+ * Get customer concentration analysis (JSON page, or every matching customer as CSV/XLSX)
  * @route GET /api/customers/concentration
  */
 const getCustomerConcentration = asyncHandler(async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 20;
-        const customers = await customersService.getCustomerConcentration(limit);
-        successResponse(res, 200, 'Customer concentration data retrieved successfully', customers);
+        if (req.format !== 'json') {
+            return await tableResponse(res, req.format, await exportsService.getCustomerConcentrationTable(req.listQuery));
+        }
+        const { customers, pagination } = await customersService.getCustomerConcentration(req.listQuery);
+        paginatedResponse(res, customers, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'Customer concentration data retrieved successfully');
     } catch (error) {
         errorResponse(res, 500, 'Failed to retrieve customer concentration data', error.message);
     }
 });
 
 /**
- * Get customer analysis with filters
+ * Get customer concentration risk metrics (JSON, or every matching customer row as CSV/XLSX)
+ * @route GET /api/customers/concentration/risk
+ */
+const getCustomerConcentrationRisk = asyncHandler(async (req, res) => {
+    try {
+        if (req.format !== 'json') {
+            return await tableResponse(res, req.format, await exportsService.getConcentrationCustomersTable(req.listQuery));
+        }
+        const { pagination, ...data } = await customersService.getCustomerConcentrationRisk(req.listQuery);
+        paginatedResponse(res, data, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'Customer concentration risk retrieved successfully');
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve customer concentration risk', error.message);
+    }
+});
+
+/**
+ * Get customer analysis with filters (JSON page, or every matching customer as CSV/XLSX)
  * @route GET /api/customers/analysis
  */
 const getCustomerAnalysis = asyncHandler(async (req, res) => {
     try {
         const filters = {
-            minQ4Revenue: parseFloat(req.query.minQ4Revenue) || 0,
-            positiveGrowthOnly: req.query.positiveGrowthOnly === 'true',
-            limit: parseInt(req.query.limit) || 50,
-            page: parseInt(req.query.page) || 1
+            ...req.periodRange,
+            minRevenue: parseFloat(req.query.minRevenue) || 0,
+            // sanitizeQuery has already turned the flag into a boolean
+            positiveGrowthOnly: req.query.positiveGrowthOnly === true || req.query.positiveGrowthOnly === 'true',
+            listQuery: req.listQuery
         };
 
+        if (req.format !== 'json') {
+            return await tableResponse(res, req.format, await exportsService.getCustomerAnalysisTable(filters));
+        }
         const result = await customersService.getCustomerAnalysis(filters);
         paginatedResponse(res, result.customers, result.pagination.currentPage, result.pagination.itemsPerPage, result.pagination.totalItems, 'Customer analysis data retrieved successfully');
     } catch (error) {
-        errorResponse(res, 500, 'Failed to retrieve customer analysis data', error.message);
+        errorResponse(res, error.statusCode || 500, 'Failed to retrieve customer analysis data', error.message);
     }
 });
 
 /**
- * Get customer by name
+ * Get customer by name (JSON, or PDF with ?format=pdf / Accept: application/pdf)
  * @route GET /api/customers/:customerName
  */
 const getCustomerByName = asyncHandler(async (req, res) => {
     try {
         const { customerName } = req.params;
-        const customer = await customersService.getCustomerByName(customerName);
+        if (req.format === 'pdf') {
+            return fileResponse(res, await exportsService.getCustomerPdf(customerName, req.periodRange), FORMAT_TYPES.pdf, `customer-${customerName}.pdf`, true);
+        }
+        const customer = await customersService.getCustomerByName(customerName, req.periodRange);
         successResponse(res, 200, 'Customer retrieved successfully', customer);
     } catch (error) {
         if (error.message.includes('not found')) {
             errorResponse(res, 404, 'Customer not found', error.message);
         } else {
-            errorResponse(res, 500, 'Failed to retrieve customer', error.message);
+            errorResponse(res, error.statusCode || 500, 'Failed to retrieve customer', error.message);
         }
     }
 });
@@ -65,15 +93,16 @@ const getCustomerByName = asyncHandler(async (req, res) => {
  */
 const getCustomerStatistics = asyncHandler(async (req, res) => {
     try {
-        const statistics = await customersService.getCustomerStatistics();
+        const statistics = await customersService.getCustomerStatistics(req.periodRange);
         successResponse(res, 200, 'Customer statistics retrieved successfully', statistics);
     } catch (error) {
-        errorResponse(res, 500, 'Failed to retrieve customer statistics', error.message);
+        errorResponse(res, error.statusCode || 500, 'Failed to retrieve customer statistics', error.message);
     }
 });
 
 module.exports = {
     getCustomerConcentration,
+    getCustomerConcentrationRisk,
     getCustomerAnalysis,
     getCustomerByName,
     getCustomerStatistics
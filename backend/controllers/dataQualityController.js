@@ -0,0 +1,44 @@
+/**
+ * Data Quality Controller
+ * Handles data quality API endpoints
+ */
+
+const dataQualityService = require('../services/dataQualityService');
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get cross-dataset reconciliation report
+ * @route GET /api/data-quality/reconciliation
+ */
+const getReconciliationReport = asyncHandler(async (req, res) => {
+    try {
+        const options = {
+            limit: parseInt(req.query.limit) || undefined,
+            tolerance: req.query.tolerance !== undefined ? Math.abs(parseFloat(req.query.tolerance)) || 0 : undefined
+        };
+
+        const report = await dataQualityService.getReconciliationReport(options);
+        successResponse(res, 200, 'Reconciliation report generated successfully', report);
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to generate reconciliation report', error.message);
+    }
+});
+
+/**
+ * Get data quality profile of the stored datasets
+ * @route GET /api/data-quality/profile
+ */
+const getDataProfile = asyncHandler(async (req, res) => {
+    try {
+        const profile = await dataQualityService.getDataProfile({ dataset: req.query.dataset });
+        successResponse(res, 200, 'Data profile generated successfully', profile);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to generate data profile', error.message);
+    }
+});
+
+module.exports = {
+    getReconciliationReport,
+    getDataProfile
+};
@@ -0,0 +1,79 @@
+/**
+ * Datasets Controller
+ * Handles dataset listing and upload endpoints
+ */
+
+const datasetsService = require('../services/datasetsService');
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get dataset types
+ * @route GET /api/datasets
+ */
+const getDatasets = asyncHandler(async (req, res) => {
+    try {
+        const datasets = await datasetsService.getDatasets();
+        successResponse(res, 200, 'Datasets retrieved successfully', datasets);
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve datasets', error.message);
+    }
+});
+
+/**
+ * Upload and import a dataset file
+ * @route POST /api/datasets
+ */
+const importDataset = asyncHandler(async (req, res) => {
+    try {
+        const datasetType = req.body.dataset || req.query.dataset;
+        const report = await datasetsService.importDataset(datasetType, req.file);
+
+        if (!report.loaded) {
+            const statusCode = report.columnErrors.length > 0 ? 400 : 422;
+            return errorResponse(res, statusCode, 'Dataset import failed validation', report);
+        }
+
+        successResponse(res, 201, 'Dataset imported successfully', report);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to import dataset', error.message);
+    }
+});
+
+/**
+ * Get dataset snapshots
+ * @route GET /api/datasets/snapshots
+ */
+const getSnapshots = asyncHandler(async (req, res) => {
+    try {
+        const snapshots = await datasetsService.getSnapshots();
+        successResponse(res, 200, 'Dataset snapshots retrieved successfully', snapshots);
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve dataset snapshots', error.message);
+    }
+});
+
+/**
+ * Roll the active snapshot back to an earlier version
+ * @route POST /api/datasets/snapshots/:version/rollback
+ */
+const rollbackSnapshot = asyncHandler(async (req, res) => {
+    try {
+        const version = parseInt(req.params.version);
+        if (!Number.isInteger(version) || version < 1) {
+            return errorResponse(res, 400, 'Invalid snapshot version');
+        }
+
+        const result = await datasetsService.rollbackSnapshot(version);
+        successResponse(res, 200, `Rolled back to snapshot v${version}`, result);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to roll back snapshot', error.message);
+    }
+});
+
+module.exports = {
+    getDatasets,
+    importDataset,
+    getSnapshots,
+    rollbackSnapshot
+};
@@ -8,11 +8,29 @@ const countriesController = require('./countriesController');
 const customersController = require('./customersController');
 const regionsController = require('./regionsController');
 const analyticsController = require('./analyticsController');
+const datasetsController = require('./datasetsController');
+const dataQualityController = require('./dataQualityController');
+const promptsController = require('./promptsController');
+const reportsController = require('./reportsController');
+const schedulesController = require('./schedulesController');
+const alertsController = require('./alertsController');
+const authController = require('./authController');
+const usersController = require('./usersController');
+const territoriesController = require('./territoriesController');
 
 module.exports = {
     revenueController,
     countriesController,
     customersController,
     regionsController,
-    analyticsController
+    analyticsController,
+    datasetsController,
+    dataQualityController,
+    promptsController,
+    reportsController,
+    schedulesController,
+    alertsController,
+    authController,
+    usersController,
+    territoriesController
 }; 
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Prompts Controller
+ * Handles the prompt library endpoints
+ */
+
+const promptsService = require('../services/promptsService');
+const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * List prompts
+ * @route GET /api/analytics/prompts
+ */
+const getPrompts = asyncHandler(async (req, res) => {
+    try {
+        const { prompts, pagination } = await promptsService.listPrompts(req.listQuery);
+        paginatedResponse(res, prompts, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'Prompts retrieved successfully');
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve prompts', error.message);
+    }
+});
+
+/**
+ * List prompt categories
+ * @route GET /api/analytics/prompts/categories
+ */
+const getPromptCategories = asyncHandler(async (req, res) => {
+    try {
+        const categories = await promptsService.listCategories();
+        successResponse(res, 200, 'Prompt categories retrieved successfully', categories);
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve prompt categories', error.message);
+    }
+});
+
+/**
+ * Get a prompt
+ * @route GET /api/analytics/prompts/:id
+ */
+const getPrompt = asyncHandler(async (req, res) => {
+    try {
+        const prompt = await promptsService.getPrompt(req.params.id);
+        successResponse(res, 200, 'Prompt retrieved successfully', prompt);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to retrieve prompt', error.message);
+    }
+});
+
+/**
+ * Create a prompt
+ * @route POST /api/analytics/prompts
+ */
+const createPrompt = asyncHandler(async (req, res) => {
+    try {
+        const prompt = await promptsService.createPrompt(req.body, req.user.id);
+        successResponse(res, 201, 'Prompt created successfully', prompt);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to create prompt', error.message);
+    }
+});
+
+/**
+ * Update a prompt
+ * @route PATCH /api/analytics/prompts/:id
+ */
+const updatePrompt = asyncHandler(async (req, res) => {
+    try {
+        const prompt = await promptsService.updatePrompt(req.params.id, req.body, req.user);
+        successResponse(res, 200, 'Prompt updated successfully', prompt);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to update prompt', error.message);
+    }
+});
+
+/**
+ * Delete a prompt
+ * @route DELETE /api/analytics/prompts/:id
+ */
+const deletePrompt = asyncHandler(async (req, res) => {
+    try {
+        const result = await promptsService.deletePrompt(req.params.id, req.user);
+        successResponse(res, 200, 'Prompt deleted successfully', result);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to delete prompt', error.message);
+    }
+});
+
+/**
+ * Fill in a prompt's template without running it
+ * @route POST /api/analytics/prompts/:id/render
+ */
+const renderPrompt = asyncHandler(async (req, res) => {
+    try {
+        const { parameters } = req.body || {};
+        const rendered = await promptsService.renderPrompt(req.params.id, parameters);
+        successResponse(res, 200, 'Prompt rendered successfully', rendered);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to render prompt', error.message);
+    }
+});
+
+module.exports = {
+    getPrompts,
+    getPromptCategories,
+    getPrompt,
+    createPrompt,
+    updatePrompt,
+    deletePrompt,
+    renderPrompt
+};
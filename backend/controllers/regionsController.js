@@ -4,17 +4,22 @@
  */
 
 const regionsService = require('../services/regionsService');
-const { successResponse, errorResponse } = require('../utils/responseHandler');
+const exportsService = require('../services/exportsService');
+const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { tableResponse } = require('../utils/tableExport');
 
 /**
- * Get all regions
+ * Get all regions (JSON page, or every matching region as CSV/XLSX)
  * @route GET /api/regions
  */
 const getAllRegions = asyncHandler(async (req, res) => {
     try {
-        const regions = await regionsService.getAllRegions();
-        successResponse(res, 200, 'All regions retrieved successfully', regions);
+        if (req.format !== 'json') {
+            return await tableResponse(res, req.format, await exportsService.getRegionsTable(req.listQuery));
+        }
+        const { regions, pagination } = await regionsService.getAllRegions(req.listQuery);
+        paginatedResponse(res, regions, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'All regions retrieved successfully');
     } catch (error) {
         errorResponse(res, 500, 'Failed to retrieve regions', error.message);
     }
@@ -0,0 +1,38 @@
+/**
+ * Reports Controller
+ * Handles the generated report endpoints
+ */
+
+const reportsService = require('../services/reportsService');
+const { successResponse, errorResponse, fileResponse } = require('../utils/responseHandler');
+const { renderMarkdown, renderHtml } = require('../utils/reportRenderer');
+const { renderReportPdf } = require('../utils/pdfExports');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { FORMAT_TYPES } = require('../middleware/format');
+
+/**
+ * Get the executive report
+ * @route GET /api/reports/executive
+ */
+const getExecutiveReport = asyncHandler(async (req, res) => {
+    try {
+        const report = await reportsService.getExecutiveReport();
+
+        res.set('X-Report-Checksum', report.checksum);
+        if (req.format === 'markdown') {
+            res.type(`${FORMAT_TYPES.markdown}; charset=utf-8`).send(renderMarkdown(report));
+        } else if (req.format === 'html') {
+            res.type(`${FORMAT_TYPES.html}; charset=utf-8`).send(renderHtml(report));
+        } else if (req.format === 'pdf') {
+            fileResponse(res, await renderReportPdf(report), FORMAT_TYPES.pdf, `executive-report${report.snapshot ? `-v${report.snapshot.version}` : ''}.pdf`, true);
+        } else {
+            successResponse(res, 200, 'Executive report generated successfully', report);
+        }
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to generate executive report', error.message);
+    }
+});
+
+module.exports = {
+    getExecutiveReport
+};
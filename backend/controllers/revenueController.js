@@ -4,8 +4,10 @@
  */
 
 const revenueService = require('../services/revenueService');
+const exportsService = require('../services/exportsService');
 const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { tableResponse } = require('../utils/tableExport');
 
 /**
  * Get revenue summary
@@ -13,10 +15,24 @@ const { asyncHandler } = require('../middleware/errorHandler');
  */
 const getRevenueSummary = asyncHandler(async (req, res) => {
     try {
-        const summary = await revenueService.getRevenueSummary();
+        const summary = await revenueService.getRevenueSummary(req.periodRange);
         successResponse(res, 200, 'Revenue summary retrieved successfully', summary);
     } catch (error) {
-        errorResponse(res, 500, 'Failed to retrieve revenue summary', error.message);
+        errorResponse(res, error.statusCode || 500, 'Failed to retrieve revenue summary', error.message);
+    }
+});
+
+/**
+ * Get available revenue periods
+ * @route GET /api/revenue/periods
+ */
+const getAvailablePeriods = asyncHandler(async (req, res) => {
+    try {
+        const { granularity } = req.periodRange;
+        const periods = await revenueService.getAvailablePeriods(granularity);
+        successResponse(res, 200, 'Revenue periods retrieved successfully', periods);
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve revenue periods', error.message);
     }
 });
 
@@ -26,65 +42,97 @@ const getRevenueSummary = asyncHandler(async (req, res) => {
  */
 const getQuarterlyRevenue = asyncHandler(async (req, res) => {
     try {
-        const quarterlyData = await revenueService.getQuarterlyRevenue();
+        const quarterlyData = await revenueService.getQuarterlyRevenue(req.periodRange);
         successResponse(res, 200, 'Quarterly revenue data retrieved successfully', quarterlyData);
     } catch (error) {
-        errorResponse(res, 500, 'Failed to retrieve quarterly revenue data', error.message);
+        errorResponse(res, error.statusCode || 500, 'Failed to retrieve quarterly revenue data', error.message);
     }
 });
 
 /**
- * Get top growth customers
+ * Get top growth customers (JSON, or every customer as CSV/XLSX)
  * @route GET /api/revenue/growth-customers
  */
 const getTopGrowthCustomers = asyncHandler(async (req, res) => {
     try {
+        if (req.format !== 'json') {
+            return await tableResponse(res, req.format, await exportsService.getGrowthCustomersTable(req.periodRange));
+        }
         const limit = parseInt(req.query.limit) || 10;
-        const customers = await revenueService.getTopGrowthCustomers(limit);
+        const customers = await revenueService.getTopGrowthCustomers(limit, req.periodRange);
         successResponse(res, 200, 'Top growth customers retrieved successfully', customers);
     } catch (error) {
-        errorResponse(res, 500, 'Failed to retrieve top growth customers', error.message);
+        errorResponse(res, error.statusCode || 500, 'Failed to retrieve top growth customers', error.message);
     }
 });
 
 /**
- * Get customer quarterly data with filters
- * @route GET /api/customers/quarterly-data
+ * Get revenue bridge data
+ * @route GET /api/revenue/bridge
  */
-const getCustomerQuarterlyData = asyncHandler(async (req, res) => {
+const getRevenueBridgeData = asyncHandler(async (req, res) => {
     try {
-        const filters = {
-            minQ4Revenue: parseFloat(req.query.minQ4Revenue) || 0,
-            positiveGrowthOnly: req.query.positiveGrowthOnly === 'true',
-            limit: parseInt(req.query.limit) || 50,
-            page: parseInt(req.query.page) || 1
+        const data = await revenueService.getRevenueBridgeData();
+        successResponse(res, 200, 'Revenue bridge data retrieved successfully', data);
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve revenue bridge data', error.message);
+    }
+});
+
+/**
+ * Get per-customer revenue bridge rows (JSON page, or every matching customer as CSV/XLSX)
+ * @route GET /api/revenue/bridge/customers
+ */
+const getBridgeCustomers = asyncHandler(async (req, res) => {
+    try {
+        const options = {
+            ...req.bridgeQuery,
+            listQuery: req.listQuery
         };
 
-        const result = await revenueService.getCustomerQuarterlyData(filters);
-        paginatedResponse(res, result.customers, result.pagination.currentPage, result.pagination.itemsPerPage, result.pagination.totalItems, 'Customer quarterly data retrieved successfully');
+        if (req.format !== 'json') {
+            return await tableResponse(res, req.format, await exportsService.getBridgeCustomersTable(options));
+        }
+        const { pagination, ...data } = await revenueService.getBridgeCustomers(options);
+        paginatedResponse(res, data, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'Revenue bridge customers retrieved successfully');
     } catch (error) {
-        errorResponse(res, 500, 'Failed to retrieve customer quarterly data', error.message);
+        errorResponse(res, 500, 'Failed to retrieve revenue bridge customers', error.message);
     }
 });
 
 /**
- * Get revenue bridge data
- * @route GET /api/revenue/bridge
+ * Get revenue bridge waterfall series
+ * @route GET /api/revenue/bridge/waterfall
  */
-const getRevenueBridgeData = asyncHandler(async (req, res) => {
+const getBridgeWaterfall = asyncHandler(async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 50;
-        const data = await revenueService.getRevenueBridgeData(limit);
-        successResponse(res, 200, 'Revenue bridge data retrieved successfully', data);
+        const data = await revenueService.getBridgeWaterfall();
+        successResponse(res, 200, 'Revenue bridge waterfall retrieved successfully', data);
     } catch (error) {
-        errorResponse(res, 500, 'Failed to retrieve revenue bridge data', error.message);
+        errorResponse(res, 500, 'Failed to retrieve revenue bridge waterfall', error.message);
+    }
+});
+
+/**
+ * Get revenue retention metrics
+ * @route GET /api/revenue/retention
+ */
+const getRetentionMetrics = asyncHandler(async (req, res) => {
+    try {
+        const data = await revenueService.getRetentionMetrics();
+        successResponse(res, 200, 'Retention metrics retrieved successfully', data);
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve retention metrics', error.message);
     }
 });
 
 module.exports = {
     getRevenueSummary,
+    getAvailablePeriods,
     getQuarterlyRevenue,
     getTopGrowthCustomers,
-    getCustomerQuarterlyData,
-    getRevenueBridgeData
+    getRevenueBridgeData,
+    getBridgeCustomers,
+    getBridgeWaterfall,
+    getRetentionMetrics
 }; 
\ No newline at end of file
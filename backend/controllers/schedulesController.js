@@ -0,0 +1,150 @@
+/**
+ * Schedules Controller
+ * Handles the scheduled report and job queue endpoints
+ */
+
+const schedulesService = require('../services/schedulesService');
+const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * List schedules
+ * @route GET /api/schedules
+ */
+const getSchedules = asyncHandler(async (req, res) => {
+    try {
+        const { schedules, pagination } = await schedulesService.listSchedules(req.listQuery);
+        paginatedResponse(res, schedules, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'Schedules retrieved successfully');
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve schedules', error.message);
+    }
+});
+
+/**
+ * List the reports and delivery channels a schedule can use
+ * @route GET /api/schedules/catalogue
+ */
+const getCatalogue = asyncHandler(async (req, res) => {
+    try {
+        successResponse(res, 200, 'Report catalogue retrieved successfully', schedulesService.getCatalogue());
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve report catalogue', error.message);
+    }
+});
+
+/**
+ * Get a schedule
+ * @route GET /api/schedules/:id
+ */
+const getSchedule = asyncHandler(async (req, res) => {
+    try {
+        const schedule = await schedulesService.getSchedule(req.params.id);
+        successResponse(res, 200, 'Schedule retrieved successfully', schedule);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to retrieve schedule', error.message);
+    }
+});
+
+/**
+ * Create a schedule
+ * @route POST /api/schedules
+ */
+const createSchedule = asyncHandler(async (req, res) => {
+    try {
+        const schedule = await schedulesService.createSchedule(req.body);
+        successResponse(res, 201, 'Schedule created successfully', schedule);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to create schedule', error.message);
+    }
+});
+
+/**
+ * Update a schedule
+ * @route PATCH /api/schedules/:id
+ */
+const updateSchedule = asyncHandler(async (req, res) => {
+    try {
+        const schedule = await schedulesService.updateSchedule(req.params.id, req.body);
+        successResponse(res, 200, 'Schedule updated successfully', schedule);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to update schedule', error.message);
+    }
+});
+
+/**
+ * Delete a schedule
+ * @route DELETE /api/schedules/:id
+ */
+const deleteSchedule = asyncHandler(async (req, res) => {
+    try {
+        const result = await schedulesService.deleteSchedule(req.params.id);
+        successResponse(res, 200, 'Schedule deleted successfully', result);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to delete schedule', error.message);
+    }
+});
+
+/**
+ * Queue a run of a schedule now
+ * @route POST /api/schedules/:id/run
+ */
+const runSchedule = asyncHandler(async (req, res) => {
+    try {
+        const job = await schedulesService.runSchedule(req.params.id);
+        successResponse(res, 202, 'Schedule run queued successfully', job);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to queue schedule run', error.message);
+    }
+});
+
+/**
+ * List jobs
+ * @route GET /api/schedules/jobs
+ */
+const getJobs = asyncHandler(async (req, res) => {
+    try {
+        const { jobs, pagination } = await schedulesService.listJobs(req.listQuery);
+        paginatedResponse(res, jobs, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'Jobs retrieved successfully');
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve jobs', error.message);
+    }
+});
+
+/**
+ * Get a job
+ * @route GET /api/schedules/jobs/:id
+ */
+const getJob = asyncHandler(async (req, res) => {
+    try {
+        const job = await schedulesService.getJob(req.params.id);
+        successResponse(res, 200, 'Job retrieved successfully', job);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to retrieve job', error.message);
+    }
+});
+
+/**
+ * Retry a failed job
+ * @route POST /api/schedules/jobs/:id/retry
+ */
+const retryJob = asyncHandler(async (req, res) => {
+    try {
+        const job = await schedulesService.retryJob(req.params.id);
+        successResponse(res, 202, 'Job queued for retry successfully', job);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to retry job', error.message);
+    }
+});
+
+module.exports = {
+    getSchedules,
+    getCatalogue,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    runSchedule,
+    getJobs,
+    getJob,
+    retryJob
+};
@@ -0,0 +1,81 @@
+/**
+ * Territories Controller
+ * Handles the country region and customer territory endpoints the data scopes are resolved with
+ */
+
+const territoriesService = require('../services/territoriesService');
+const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * List country regions
+ * @route GET /api/territories/countries
+ */
+const getCountryRegions = asyncHandler(async (req, res) => {
+    try {
+        const { countries, pagination } = await territoriesService.listCountryRegions(req.listQuery);
+        paginatedResponse(res, countries, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'Country regions retrieved successfully');
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve country regions', error.message);
+    }
+});
+
+/**
+ * Assign countries to regions
+ * @route PUT /api/territories/countries
+ */
+const assignCountryRegions = asyncHandler(async (req, res) => {
+    try {
+        const result = await territoriesService.assignCountryRegions(req.body);
+        successResponse(res, 200, 'Country regions updated successfully', result);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to update country regions', error.message);
+    }
+});
+
+/**
+ * List customer territories
+ * @route GET /api/territories/customers
+ */
+const getCustomerTerritories = asyncHandler(async (req, res) => {
+    try {
+        const { customers, pagination } = await territoriesService.listCustomerTerritories(req.listQuery);
+        paginatedResponse(res, customers, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'Customer territories retrieved successfully');
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve customer territories', error.message);
+    }
+});
+
+/**
+ * Assign customers to countries and regions
+ * @route PUT /api/territories/customers
+ */
+const assignCustomerTerritories = asyncHandler(async (req, res) => {
+    try {
+        const result = await territoriesService.assignCustomerTerritories(req.body);
+        successResponse(res, 200, 'Customer territories updated successfully', result);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to update customer territories', error.message);
+    }
+});
+
+/**
+ * List the customers without a territory
+ * @route GET /api/territories/customers/unassigned
+ */
+const getUnassignedCustomers = asyncHandler(async (req, res) => {
+    try {
+        const result = await territoriesService.listUnassignedCustomers();
+        successResponse(res, 200, 'Unassigned customers retrieved successfully', result);
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve unassigned customers', error.message);
+    }
+});
+
+module.exports = {
+    getCountryRegions,
+    assignCountryRegions,
+    getCustomerTerritories,
+    assignCustomerTerritories,
+    getUnassignedCustomers
+};
@@ -0,0 +1,95 @@
+/**
+ * Users Controller
+ * Handles the user management endpoints (administrators only)
+ */
+
+const usersService = require('../services/usersService');
+const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * List users
+ * @route GET /api/users
+ */
+const getUsers = asyncHandler(async (req, res) => {
+    try {
+        const { users, pagination } = await usersService.listUsers(req.listQuery);
+        paginatedResponse(res, users, pagination.currentPage, pagination.itemsPerPage, pagination.totalItems, 'Users retrieved successfully');
+    } catch (error) {
+        errorResponse(res, 500, 'Failed to retrieve users', error.message);
+    }
+});
+
+/**
+ * Get a user
+ * @route GET /api/users/:id
+ */
+const getUser = asyncHandler(async (req, res) => {
+    try {
+        const user = await usersService.getUser(req.params.id);
+        successResponse(res, 200, 'User retrieved successfully', user);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to retrieve user', error.message);
+    }
+});
+
+/**
+ * Create a user
+ * @route POST /api/users
+ */
+const createUser = asyncHandler(async (req, res) => {
+    try {
+        const user = await usersService.createUser(req.body);
+        successResponse(res, 201, 'User created successfully', user);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to create user', error.message);
+    }
+});
+
+/**
+ * Update a user
+ * @route PATCH /api/users/:id
+ */
+const updateUser = asyncHandler(async (req, res) => {
+    try {
+        const user = await usersService.updateUser(req.params.id, req.body);
+        successResponse(res, 200, 'User updated successfully', user);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to update user', error.message);
+    }
+});
+
+/**
+ * Delete a user
+ * @route DELETE /api/users/:id
+ */
+const deleteUser = asyncHandler(async (req, res) => {
+    try {
+        const result = await usersService.deleteUser(req.params.id, req.user.id);
+        successResponse(res, 200, 'User deleted successfully', result);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to delete user', error.message);
+    }
+});
+
+/**
+ * Create a password reset token for a user
+ * @route POST /api/users/:id/password-reset
+ */
+const createPasswordReset = asyncHandler(async (req, res) => {
+    try {
+        const reset = await usersService.createPasswordReset(req.params.id);
+        successResponse(res, 201, 'Password reset token created successfully', reset);
+    } catch (error) {
+        errorResponse(res, error.statusCode || 500, 'Failed to create password reset token', error.message);
+    }
+});
+
+module.exports = {
+    getUsers,
+    getUser,
+    createUser,
+    updateUser,
+    deleteUser,
+    createPasswordReset
+};
@@ -1,4 +1,5 @@
 const { MongoClient } = require('mongodb');
+const { resolveCollectionName } = require('./snapshotRegistry');
 
 // MongoDB connection configuration
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
@@ -44,14 +45,15 @@ async function closeDatabase() {
 }
 
 /**
- * Get collection by name
+ * Get collection by name.
+ * Versioned dataset collections resolve to the snapshot pinned on the request (or the active one).
  * @param {string} collectionName - Name of the collection
  * @returns {Promise<Object>} MongoDB collection instance
  */
 async function getCollection(collectionName) {
     try {
         const database = await getDatabase();
-        return database.collection(collectionName);
+        return database.collection(await resolveCollectionName(database, collectionName));
     } catch (error) {
         console.error(`❌ Error getting collection ${collectionName}:`, error);
         throw error;
@@ -0,0 +1,255 @@
+/**
+ * Data Profiler
+ * Profiles dataset rows column by column (null rates, negative values, duplicate keys, outliers and
+ * type mismatches) and evaluates the configured data quality rules against the profile.
+ * Runs on raw rows at import time (see datasetLoader.js) and on stored collections for /api/data-quality/profile.
+ */
+
+const dataQualityConfig = require('../config/dataQuality');
+const { coerceValue, isBlank, collectColumns, getPeriodColumns, getExpectedColumns } = require('./datasetSchema');
+
+/**
+ * Get a quantile of sorted numbers using linear interpolation
+ * @param {Array} sorted - Numbers in ascending order
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number} Quantile value
+ */
+const quantile = (sorted, q) => {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Round a rate to four decimals
+ * @param {number} value - Rate
+ * @returns {number} Rounded rate
+ */
+const roundRate = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Describe the numeric values of a column and find outliers
+ * @param {Array} entries - Numeric entries ({ row, key, value })
+ * @param {Object} settings - Profiling settings
+ * @returns {Object} Numeric statistics
+ */
+const describeNumbers = (entries, settings) => {
+    if (entries.length === 0) {
+        return { min: null, max: null, mean: null, negativeCount: 0, outliers: { count: 0, lowerFence: null, upperFence: null, examples: [] } };
+    }
+
+    const values = entries.map(entry => entry.value);
+    const sorted = [...values].sort((a, b) => a - b);
+    const negatives = entries.filter(entry => entry.value < 0);
+
+    let outliers = { count: 0, lowerFence: null, upperFence: null, examples: [] };
+    if (entries.length >= settings.outlierMinValues) {
+        const q1 = quantile(sorted, 0.25);
+        const q3 = quantile(sorted, 0.75);
+        const spread = (q3 - q1) * settings.outlierIqrMultiplier;
+        const lowerFence = q1 - spread;
+        const upperFence = q3 + spread;
+        const found = entries.filter(entry => entry.value < lowerFence || entry.value > upperFence);
+
+        outliers = {
+            count: found.length,
+            lowerFence,
+            upperFence,
+            examples: found
+                .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+                .slice(0, settings.maxExamples)
+        };
+    }
+
+    return {
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+        negativeCount: negatives.length,
+        negativeExamples: negatives.slice(0, settings.maxExamples),
+        outliers
+    };
+};
+
+/**
+ * Find key values that appear on more than one row
+ * @param {Array} entries - Non-empty key entries ({ row, value })
+ * @param {Object} settings - Profiling settings
+ * @returns {Object} Duplicate key statistics
+ */
+const findDuplicateKeys = (entries, settings) => {
+    const counts = entries.reduce((map, entry) => {
+        const key = String(entry.value).trim();
+        map.set(key, (map.get(key) || 0) + 1);
+        return map;
+    }, new Map());
+
+    const duplicates = Array.from(counts.entries()).filter(([, count]) => count > 1);
+
+    return {
+        // Rows beyond the first occurrence of each key
+        duplicateKeyCount: duplicates.reduce((sum, [, count]) => sum + count - 1, 0),
+        duplicatedKeys: duplicates.length,
+        examples: duplicates
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, settings.maxExamples)
+            .map(([key, count]) => ({ key, count }))
+    };
+};
+
+/**
+ * Profile one column
+ * @param {Object} definition - Dataset definition from config/datasets
+ * @param {Array} rows - Dataset rows
+ * @param {string} name - Column name
+ * @param {Object} column - Column definition
+ * @param {Object} settings - Profiling settings
+ * @returns {Object} Column profile
+ */
+const profileColumn = (definition, rows, name, column, settings) => {
+    const isKey = name === definition.keyColumn;
+    const numbers = [];
+    const mismatches = [];
+    let nullCount = 0;
+
+    rows.forEach((row, index) => {
+        const value = row && typeof row === 'object' ? row[name] : undefined;
+        const entry = { row: index + 1, key: row && typeof row === 'object' ? row[definition.keyColumn] ?? null : null, value };
+
+        if (isBlank(value)) {
+            nullCount++;
+            return;
+        }
+
+        const result = coerceValue(value, { ...column, nullable: true }, name);
+        if (result.error) {
+            mismatches.push(entry);
+        } else if (column.type === 'number') {
+            numbers.push({ ...entry, value: result.value });
+        }
+    });
+
+    const total = rows.length;
+    const profile = {
+        column: name,
+        type: column.type,
+        role: isKey ? 'key' : column.period ? 'period' : 'value',
+        revenue: Boolean(column.period) || /revenue$/i.test(name),
+        nullCount,
+        nullRate: total > 0 ? roundRate(nullCount / total) : 0,
+        typeMismatchCount: mismatches.length,
+        typeMismatchRate: total - nullCount > 0 ? roundRate(mismatches.length / (total - nullCount)) : 0,
+        typeMismatchExamples: mismatches.slice(0, settings.maxExamples)
+    };
+
+    if (column.type === 'number') {
+        Object.assign(profile, describeNumbers(numbers, settings));
+        profile.outlierCount = profile.outliers.count;
+    }
+
+    if (isKey) {
+        const keys = rows
+            .map((row, index) => ({ row: index + 1, value: row && typeof row === 'object' ? row[name] : undefined }))
+            .filter(entry => !isBlank(entry.value));
+        profile.duplicates = findDuplicateKeys(keys, settings);
+        profile.duplicateKeyCount = profile.duplicates.duplicateKeyCount;
+    }
+
+    return profile;
+};
+
+/**
+ * Profile the rows of a dataset
+ * @param {Object} definition - Dataset definition from config/datasets
+ * @param {Array} rows - Raw or stored dataset rows
+ * @returns {Object} Dataset profile with one entry per expected column
+ */
+const profileDataset = (definition, rows) => {
+    const settings = dataQualityConfig.profiling;
+    const presentColumns = collectColumns(rows);
+    const expectedColumns = getExpectedColumns(definition, getPeriodColumns(definition, presentColumns));
+
+    return {
+        dataset: definition.key,
+        name: definition.name,
+        collection: definition.collection,
+        rowCount: rows.length,
+        columns: Object.entries(expectedColumns)
+            .filter(([name, column]) => column.required || presentColumns.has(name))
+            .map(([name, column]) => profileColumn(definition, rows, name, column, settings))
+    };
+};
+
+/**
+ * Check whether a rule applies to a column
+ * @param {Object} rule - Data quality rule
+ * @param {Object} columnProfile - Column profile
+ * @returns {boolean} True when the rule covers the column
+ */
+const ruleCoversColumn = (rule, columnProfile) => {
+    if (!rule.columns || rule.columns === 'all') return true;
+    if (rule.columns === 'key') return columnProfile.role === 'key';
+    if (rule.columns === 'revenue') return columnProfile.revenue;
+    return Array.isArray(rule.columns) && rule.columns.includes(columnProfile.column);
+};
+
+/**
+ * Evaluate the configured data quality rules against a dataset profile
+ * @param {Object} profile - Profile returned by profileDataset
+ * @param {Array} rules - Rules to evaluate (defaults to config/dataQuality)
+ * @returns {Array} Issues, blocking ones first
+ */
+const evaluateRules = (profile, rules = dataQualityConfig.profiling.rules) => {
+    const issues = [];
+
+    rules
+        .filter(rule => rule.action !== 'off')
+        .filter(rule => !rule.datasets || rule.datasets.includes(profile.dataset))
+        .forEach(rule => {
+            profile.columns
+                .filter(columnProfile => ruleCoversColumn(rule, columnProfile))
+                .forEach(columnProfile => {
+                    const value = columnProfile[rule.metric];
+                    if (typeof value !== 'number' || value <= rule.threshold) return;
+
+                    issues.push({
+                        rule: rule.id,
+                        action: rule.action,
+                        dataset: profile.dataset,
+                        column: columnProfile.column,
+                        metric: rule.metric,
+                        value,
+                        threshold: rule.threshold,
+                        message: `${rule.description} in "${columnProfile.column}" (${rule.metric} ${value})`
+                    });
+                });
+        });
+
+    return issues.sort((a, b) => (a.action === 'block' ? 0 : 1) - (b.action === 'block' ? 0 : 1));
+};
+
+/**
+ * Profile a dataset and evaluate the rules in one step
+ * @param {Object} definition - Dataset definition from config/datasets
+ * @param {Array} rows - Dataset rows
+ * @returns {Object} { status, blocked, issues, profile }
+ */
+const assessDataset = (definition, rows) => {
+    const profile = profileDataset(definition, rows);
+    const issues = evaluateRules(profile);
+    const blocked = issues.some(issue => issue.action === 'block');
+
+    return {
+        status: blocked ? 'blocked' : issues.length > 0 ? 'warning' : 'ok',
+        blocked,
+        issues,
+        profile
+    };
+};
+
+module.exports = {
+    profileDataset,
+    evaluateRules,
+    assessDataset
+};
@@ -0,0 +1,391 @@
+/**
+ * Dataset Loader
+ * Validates source dataset rows and loads them into the database without downtime.
+ *
+ * Every import creates a new dataset snapshot: the rows are written to fresh versioned
+ * collections and the snapshot is activated once they are complete, so readers always see
+ * either the previous or the new data — never a half-loaded collection. Earlier snapshots stay
+ * readable and can be re-activated (see database/snapshotRegistry.js).
+ * Used by the upload API, database/setup.js and the in-memory storage adapter.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const databaseConfig = require('../config/database');
+const datasetsConfig = require('../config/datasets');
+const snapshotRegistry = require('./snapshotRegistry');
+const { coerceValue, collectColumns, getPeriodColumns, getExpectedColumns } = require('./datasetSchema');
+const { assessDataset } = require('./dataProfiler');
+const { toPeriodRows, comparePeriods } = require('../utils/periods');
+
+// Attempts to reserve a snapshot version when concurrent imports race for the same number
+const MAX_VERSION_ATTEMPTS = 3;
+
+/**
+ * Find a dataset definition by letter (A–E) or slug
+ * @param {string} identifier - Dataset letter or slug
+ * @returns {Object|null} Dataset definition
+ */
+const findDatasetType = (identifier) => {
+    if (!identifier || typeof identifier !== 'string') return null;
+
+    const normalized = identifier.trim();
+    return datasetsConfig.types[normalized.toUpperCase()]
+        || Object.values(datasetsConfig.types).find(type => type.slug === normalized.toLowerCase())
+        || null;
+};
+
+/**
+ * Validate parsed rows against a dataset definition
+ * @param {Object} definition - Dataset definition from config/datasets
+ * @param {Array} rows - Parsed rows
+ * @param {Object} options - Validation options
+ * @param {number} options.defaultYear - Year used for period columns without one
+ * @returns {Object} { columnErrors, warnings, accepted, rejected }
+ */
+const validateRows = (definition, rows, options = {}) => {
+    const { defaultYear = databaseConfig.timeSeries.defaultYear } = options;
+    const columnErrors = [];
+    const warnings = [];
+
+    const presentColumns = collectColumns(rows);
+
+    // Column (shape) checks
+    Object.entries(definition.columns)
+        .filter(([name, column]) => column.required && !presentColumns.has(name))
+        .forEach(([name]) => columnErrors.push(`Missing required column "${name}"`));
+
+    const periodColumns = getPeriodColumns(definition, presentColumns, defaultYear);
+
+    if (definition.periodColumns && periodColumns.length < definition.periodColumns.min) {
+        columnErrors.push(
+            `Expected at least ${definition.periodColumns.min} period revenue column(s) such as "Quarter 3 Revenue" or "Q1 2025 Revenue"`
+        );
+    }
+
+    const expectedColumns = getExpectedColumns(definition, periodColumns);
+
+    const unexpectedColumns = Array.from(presentColumns).filter(column => !expectedColumns[column]);
+    if (unexpectedColumns.length > 0) {
+        warnings.push(`Ignored unexpected column(s): ${unexpectedColumns.map(column => `"${column}"`).join(', ')}`);
+    }
+
+    if (rows.length === 0) {
+        columnErrors.push('File does not contain any rows');
+    }
+
+    if (columnErrors.length > 0) {
+        return { columnErrors, warnings, accepted: [], rejected: [] };
+    }
+
+    // Row checks
+    const accepted = [];
+    const rejected = [];
+
+    rows.forEach((row, index) => {
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            rejected.push({ row: index + 1, key: null, reasons: ['Row must be an object'] });
+            return;
+        }
+
+        const document = {};
+        const reasons = [];
+
+        Object.entries(expectedColumns).forEach(([name, column]) => {
+            if (!(name in row) && !column.required && !periodColumns.includes(name)) return;
+
+            const result = coerceValue(row[name], column, name);
+            if (result.error) {
+                reasons.push(result.error);
+            } else {
+                document[name] = result.value;
+            }
+        });
+
+        if (reasons.length > 0) {
+            rejected.push({ row: index + 1, key: row[definition.keyColumn] ?? null, reasons });
+        } else {
+            accepted.push(document);
+        }
+    });
+
+    return { columnErrors, warnings, accepted, rejected };
+};
+
+/**
+ * Build normalized revenue period rows from wide rows (one column per period)
+ * @param {Array} rows - Validated dataset rows
+ * @param {string} source - Dataset letter recorded on each row
+ * @returns {Array} Revenue period rows
+ */
+const buildRevenuePeriods = (rows, source) => rows.flatMap(row => toPeriodRows(row, {
+    defaultYear: databaseConfig.timeSeries.defaultYear,
+    source
+}));
+
+/**
+ * Build the revenue summary document from revenue period rows
+ * @param {Array} periodRows - Revenue period rows
+ * @returns {Object} Revenue summary document
+ */
+const buildRevenueSummary = (periodRows) => {
+    const granularity = databaseConfig.timeSeries.defaultGranularity;
+
+    // Calculate total revenue per period
+    const totalsByPeriod = periodRows
+        .filter(row => row.granularity === granularity)
+        .reduce((totals, row) => {
+            totals[row.period] = (totals[row.period] || 0) + (row.revenue || 0);
+            return totals;
+        }, {});
+
+    const periods = Object.keys(totalsByPeriod)
+        .sort(comparePeriods)
+        .map(period => ({
+            period,
+            revenue: Math.round(totalsByPeriod[period] * 100) / 100
+        }));
+
+    const latest = periods[periods.length - 1] || null;
+    const previous = periods[periods.length - 2] || null;
+    const totalVariance = latest && previous ? latest.revenue - previous.revenue : 0;
+
+    return {
+        granularity,
+        periods,
+        fromPeriod: previous ? previous.period : null,
+        toPeriod: latest ? latest.period : null,
+        fromRevenue: previous ? previous.revenue : 0,
+        toRevenue: latest ? latest.revenue : 0,
+        totalVariance: Math.round(totalVariance * 100) / 100,
+        createdAt: new Date(),
+        updatedAt: new Date()
+    };
+};
+
+/**
+ * Get the configured indexes for a collection name
+ * @param {string} collectionName - Collection name
+ * @returns {Array} Index definitions
+ */
+const getIndexesFor = (collectionName) => {
+    const configKey = Object.keys(databaseConfig.collections)
+        .find(key => databaseConfig.collections[key] === collectionName);
+    return (configKey && databaseConfig.indexes[configKey]) || [];
+};
+
+/**
+ * Calculate the checksum recorded for an imported file
+ * @param {Buffer|string} contents - Raw file contents
+ * @returns {string} SHA-256 hex digest
+ */
+const calculateChecksum = (contents) => crypto.createHash('sha256').update(contents).digest('hex');
+
+/**
+ * Write documents to a new physical collection and create the logical collection's indexes
+ * @param {Object} db - Database instance
+ * @param {string} physicalName - Physical collection name
+ * @param {string} collectionName - Logical collection name (used to look up indexes)
+ * @param {Array} documents - Documents to store
+ * @returns {Promise<number>} Number of documents stored
+ */
+const writeCollection = async (db, physicalName, collectionName, documents) => {
+    if (documents.length > 0) {
+        await db.collection(physicalName).insertMany(documents.map(document => ({ ...document })));
+    } else {
+        await db.createCollection(physicalName);
+    }
+
+    for (const index of getIndexesFor(collectionName)) {
+        await db.collection(physicalName).createIndex(index.key, index.options || {});
+    }
+    return documents.length;
+};
+
+/**
+ * Validate and profile a dataset and build its import report.
+ * A dataset cannot be loaded when its columns are wrong, no row is valid or a blocking data quality rule fires.
+ * @param {Object} definition - Dataset definition from config/datasets
+ * @param {Array} rows - Parsed rows
+ * @param {Object} source - Source file details
+ * @param {string} source.fileName - Original file name
+ * @param {string} source.format - File format
+ * @param {string} source.checksum - File checksum
+ * @returns {Object} Prepared dataset ({ definition, accepted, report })
+ */
+const prepareDataset = (definition, rows, source = {}) => {
+    const validation = validateRows(definition, rows);
+    const quality = assessDataset(definition, rows);
+
+    return {
+        definition,
+        accepted: validation.accepted,
+        report: {
+            dataset: definition.key,
+            name: definition.name,
+            collection: definition.collection,
+            fileName: source.fileName || null,
+            format: source.format || null,
+            checksum: source.checksum || null,
+            loadable: validation.columnErrors.length === 0 && validation.accepted.length > 0 && !quality.blocked,
+            loaded: false,
+            rowsReceived: rows.length,
+            rowsImported: 0,
+            rowsRejected: validation.rejected.length,
+            columnErrors: validation.columnErrors,
+            warnings: validation.warnings,
+            rejectedRows: validation.rejected.slice(0, datasetsConfig.uploads.maxReportedRejections),
+            quality,
+            derived: {}
+        }
+    };
+};
+
+/**
+ * Read and prepare every dataset file of a Data Source directory (one JSON file per dataset type)
+ * @param {string} directory - Directory containing the dataset files named in config/datasets
+ * @returns {Promise<Array>} Prepared datasets, in dataset order
+ * @throws {Error} When a dataset cannot be loaded
+ */
+const prepareDataSource = async (directory) => {
+    const prepared = [];
+
+    for (const definition of Object.values(datasetsConfig.types)) {
+        const contents = await fs.readFile(path.join(directory, definition.fileName), 'utf8');
+        const dataset = prepareDataset(definition, JSON.parse(contents), {
+            fileName: definition.fileName,
+            format: 'json',
+            checksum: calculateChecksum(contents)
+        });
+
+        if (!dataset.report.loadable) {
+            const blockingIssues = dataset.report.quality.issues
+                .filter(issue => issue.action === 'block')
+                .map(issue => issue.message);
+            const reasons = [...dataset.report.columnErrors, ...blockingIssues];
+            throw new Error(`Dataset ${definition.key} (${definition.fileName}) cannot be loaded: ${reasons.join('; ') || 'no valid rows'}`);
+        }
+        prepared.push(dataset);
+    }
+
+    return prepared;
+};
+
+/**
+ * Reserve the next snapshot version by recording a pending snapshot
+ * @param {Object} db - Database instance
+ * @param {Object} details - Snapshot details
+ * @returns {Promise<Object>} Pending snapshot
+ */
+const reserveSnapshot = async (db, details) => {
+    for (let attempt = 1; ; attempt++) {
+        const version = await snapshotRegistry.getNextVersion(db);
+        try {
+            return await snapshotRegistry.recordSnapshot(db, {
+                version,
+                status: 'pending',
+                createdAt: new Date(),
+                ...details
+            });
+        } catch (error) {
+            // Duplicate version: another import reserved it first
+            if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+};
+
+/**
+ * Import prepared datasets as a new snapshot and activate it
+ * @param {Object} db - Database instance
+ * @param {Array} prepared - Datasets returned by prepareDataset (all must be loadable)
+ * @param {Object} meta - Snapshot metadata
+ * @param {string} meta.source - What created the snapshot ('upload' or 'setup')
+ * @returns {Promise<Object>} Activated snapshot
+ */
+const importDatasets = async (db, prepared, meta = {}) => {
+    const notLoadable = prepared.filter(item => !item.report.loadable);
+    if (notLoadable.length > 0) {
+        throw new Error(`Dataset(s) ${notLoadable.map(item => item.definition.key).join(', ')} cannot be loaded`);
+    }
+
+    snapshotRegistry.invalidateActiveSnapshot();
+    const baseSnapshot = await snapshotRegistry.getActiveSnapshot(db);
+
+    const snapshot = await reserveSnapshot(db, {
+        source: meta.source || 'upload',
+        baseVersion: baseSnapshot ? baseSnapshot.version : null,
+        datasets: prepared.map(item => ({
+            dataset: item.definition.key,
+            collection: item.definition.collection,
+            fileName: item.report.fileName,
+            format: item.report.format,
+            checksum: item.report.checksum
+        }))
+    });
+
+    const replaced = {};
+    const write = async (collectionName, documents) => {
+        const physicalName = snapshotRegistry.getPhysicalName(collectionName, snapshot.version);
+        replaced[collectionName] = physicalName;
+        return writeCollection(db, physicalName, collectionName, documents);
+    };
+
+    try {
+        for (const item of prepared) {
+            item.report.rowsImported = await write(item.definition.collection, item.accepted);
+
+            if (item.definition.feedsRevenuePeriods) {
+                const periodRows = buildRevenuePeriods(item.accepted, item.definition.key);
+                item.report.derived[databaseConfig.collections.revenuePeriods] =
+                    await write(databaseConfig.collections.revenuePeriods, periodRows);
+                item.report.derived[databaseConfig.collections.revenueSummary] =
+                    await write(databaseConfig.collections.revenueSummary, [buildRevenueSummary(periodRows)]);
+            }
+        }
+
+        const collections = snapshotRegistry.buildManifest(baseSnapshot, replaced);
+        const datasets = prepared.map(item => ({
+            dataset: item.definition.key,
+            collection: item.definition.collection,
+            fileName: item.report.fileName,
+            format: item.report.format,
+            checksum: item.report.checksum,
+            rowsImported: item.report.rowsImported,
+            rowsRejected: item.report.rowsRejected,
+            qualityStatus: item.report.quality.status,
+            qualityIssues: item.report.quality.issues.length
+        }));
+
+        await db.collection(databaseConfig.collections.snapshots).updateOne(
+            { version: snapshot.version },
+            { $set: { status: 'ready', collections, datasets } }
+        );
+        await snapshotRegistry.activateSnapshot(db, snapshot.version, { reason: meta.source || 'upload' });
+
+        prepared.forEach(item => { item.report.loaded = true; });
+        return { ...snapshot, status: 'ready', collections, datasets };
+    } catch (error) {
+        console.error(`❌ Error importing snapshot v${snapshot.version}:`, error);
+        for (const physicalName of Object.values(replaced)) {
+            await db.collection(physicalName).drop().catch(() => {});
+        }
+        await db.collection(databaseConfig.collections.snapshots)
+            .updateOne({ version: snapshot.version }, { $set: { status: 'failed', error: error.message } })
+            .catch(() => {});
+        throw error;
+    }
+};
+
+module.exports = {
+    findDatasetType,
+    validateRows,
+    calculateChecksum,
+    buildRevenuePeriods,
+    buildRevenueSummary,
+    prepareDataset,
+    prepareDataSource,
+    importDatasets
+};
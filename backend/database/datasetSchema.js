@@ -0,0 +1,96 @@
+/**
+ * Dataset Schema
+ * Resolves the columns a dataset row is expected to contain and coerces raw cell values to their declared types.
+ * Shared by the dataset loader and the data profiler.
+ */
+
+const databaseConfig = require('../config/database');
+const { parsePeriodColumn } = require('../utils/periods');
+
+/**
+ * Coerce a raw cell value to the type declared for its column
+ * @param {*} value - Raw value
+ * @param {Object} column - Column definition ({ type, required, nullable })
+ * @param {string} name - Column name (used in error messages)
+ * @returns {Object} { value } on success or { error } when the value is invalid
+ */
+const coerceValue = (value, column, name) => {
+    if (isBlank(value)) {
+        return column.nullable ? { value: null } : { error: `"${name}" is required` };
+    }
+
+    if (column.type === 'number') {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? { value } : { error: `"${name}" must be a finite number` };
+        }
+        // Accept formatted numbers such as "1,234.50" or "$1,234.50"
+        const cleaned = String(value).trim().replace(/[$,\s]/g, '');
+        const parsed = Number(cleaned);
+        return cleaned !== '' && Number.isFinite(parsed)
+            ? { value: parsed }
+            : { error: `"${name}" must be a number (got "${value}")` };
+    }
+
+    if (typeof value === 'object') {
+        return { error: `"${name}" must be text` };
+    }
+    return { value: String(value).trim() };
+};
+
+/**
+ * Check whether a raw cell value is empty
+ * @param {*} value - Raw value
+ * @returns {boolean} True for null, undefined and blank strings
+ */
+const isBlank = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Collect the column names used across a set of rows
+ * @param {Array} rows - Parsed rows
+ * @returns {Set} Column names
+ */
+const collectColumns = (rows) => {
+    const columns = new Set();
+    rows.forEach(row => {
+        if (row && typeof row === 'object' && !Array.isArray(row)) {
+            Object.keys(row).forEach(column => columns.add(column));
+        }
+    });
+    return columns;
+};
+
+/**
+ * Get the period revenue columns present in a dataset
+ * @param {Object} definition - Dataset definition from config/datasets
+ * @param {Set} presentColumns - Columns found in the rows
+ * @param {number} defaultYear - Year used for period columns without one
+ * @returns {Array} Period column names
+ */
+const getPeriodColumns = (definition, presentColumns, defaultYear = databaseConfig.timeSeries.defaultYear) => {
+    if (!definition.periodColumns) return [];
+
+    return Array.from(presentColumns)
+        .filter(column => parsePeriodColumn(column, { defaultYear }) !== null);
+};
+
+/**
+ * Get the expected columns of a dataset: its declared columns plus the period columns present
+ * @param {Object} definition - Dataset definition from config/datasets
+ * @param {Array} periodColumns - Period column names present in the rows
+ * @returns {Object} Column definitions keyed by column name
+ */
+const getExpectedColumns = (definition, periodColumns) => ({
+    ...definition.columns,
+    ...periodColumns.reduce((columns, name) => {
+        columns[name] = { type: 'number', nullable: definition.periodColumns.nullable, period: true };
+        return columns;
+    }, {})
+});
+
+module.exports = {
+    coerceValue,
+    isBlank,
+    collectColumns,
+    getPeriodColumns,
+    getExpectedColumns
+};
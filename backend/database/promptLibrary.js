@@ -0,0 +1,50 @@
+/**
+ * Prompt library seed
+ * Stores the default prompts of `analyticsConfig.prompts.defaults` in a new database. Called once per database:
+ * by database/setup.js (MongoDB), the SQL migrations and a memory store loaded from the Data Source files.
+ */
+
+const crypto = require('crypto');
+const databaseConfig = require('../config/database');
+const analyticsConfig = require('../config/analytics');
+const { inferParameters } = require('../utils/promptTemplate');
+
+/**
+ * Build a stored prompt
+ * @param {Object} fields - { id, title, description, category, owner, template, parameters }
+ * @param {string} now - Creation time (ISO 8601)
+ * @returns {Object} Prompt document
+ */
+const createPromptDocument = ({ id, title, description = null, category, owner = null, template, parameters }, now = new Date().toISOString()) => ({
+    _id: id || crypto.randomUUID(),
+    title,
+    description,
+    category: category || analyticsConfig.prompts.defaultCategory,
+    owner,
+    template,
+    parameters: parameters || inferParameters(template),
+    usageCount: 0,
+    lastUsedAt: null,
+    createdAt: now,
+    updatedAt: now
+});
+
+/**
+ * Store the default prompts when the library is empty
+ * @param {Object} db - Database (any storage adapter)
+ * @returns {Promise<number>} Number of prompts stored
+ */
+const seedDefaultPrompts = async (db) => {
+    const store = db.collection(databaseConfig.collections.prompts);
+    if (await store.countDocuments({}) > 0) return 0;
+
+    const now = new Date().toISOString();
+    const documents = analyticsConfig.prompts.defaults.map(prompt => createPromptDocument({ owner: 'system', ...prompt }, now));
+    await store.insertMany(documents);
+    return documents.length;
+};
+
+module.exports = {
+    createPromptDocument,
+    seedDefaultPrompts
+};
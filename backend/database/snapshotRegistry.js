@@ -0,0 +1,244 @@
+/**
+ * Snapshot Registry
+ * Tracks versioned dataset snapshots and resolves logical collection names to the
+ * physical collections of the snapshot being read.
+ *
+ * Every import writes its data to new collections named "<collection>__v<version>" and records a
+ * snapshot manifest mapping each logical collection to its physical one. The active snapshot is a
+ * single pointer document, so activating a new import or rolling back is one atomic update. Every
+ * activation is also logged, so `asOf` reads return the snapshot that was active at that time.
+ */
+
+const databaseConfig = require('../config/database');
+const { getRequestContext } = require('../utils/requestContext');
+
+const ACTIVE_STATE_ID = 'active';
+
+const versionedCollections = databaseConfig.snapshots.versionedCollections
+    .map(key => databaseConfig.collections[key]);
+
+// Per-process cache of the active snapshot
+let activeCache = { snapshot: undefined, loadedAt: 0 };
+
+/**
+ * Get the physical collection name used by a snapshot version
+ * @param {string} collectionName - Logical collection name
+ * @param {number} version - Snapshot version
+ * @returns {string} Physical collection name
+ */
+const getPhysicalName = (collectionName, version) => `${collectionName}__v${version}`;
+
+/**
+ * Get the logical collection name of a physical collection
+ * @param {string} physicalName - Physical collection name (e.g. "countries__v3" or "users")
+ * @returns {string} Logical collection name
+ */
+const getLogicalName = (physicalName) => physicalName.replace(/__v\d+$/, '');
+
+/**
+ * Check whether a collection is versioned by snapshots
+ * @param {string} collectionName - Logical collection name
+ * @returns {boolean} True when reads of the collection go through snapshots
+ */
+const isVersioned = (collectionName) => versionedCollections.includes(collectionName);
+
+/**
+ * Clear the cached active snapshot
+ */
+const invalidateActiveSnapshot = () => {
+    activeCache = { snapshot: undefined, loadedAt: 0 };
+};
+
+/**
+ * Get the active snapshot
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object|null>} Active snapshot or null when no import has created one yet
+ */
+const getActiveSnapshot = async (db) => {
+    const isFresh = activeCache.snapshot !== undefined
+        && Date.now() - activeCache.loadedAt < databaseConfig.snapshots.cacheTtlMs;
+    if (isFresh) {
+        return activeCache.snapshot;
+    }
+
+    const state = await db.collection(databaseConfig.collections.snapshotState).findOne({ _id: ACTIVE_STATE_ID });
+    const snapshot = state
+        ? await db.collection(databaseConfig.collections.snapshots).findOne({ version: state.version })
+        : null;
+
+    activeCache = { snapshot, loadedAt: Date.now() };
+    return snapshot;
+};
+
+/**
+ * Get the snapshot read by the current request: the one pinned with ?snapshot=/?asOf=, else the active one
+ * @param {Object} db - Database instance
+ * @returns {Promise<Object|null>} Snapshot or null when no import has created one yet
+ */
+const getReadSnapshot = async (db) => {
+    const context = getRequestContext();
+    return context.snapshot !== undefined ? context.snapshot : getActiveSnapshot(db);
+};
+
+/**
+ * Get the version that was active at a point in time, from the activation log
+ * @param {Object} db - Database instance
+ * @param {Date} asOf - Point in time
+ * @returns {Promise<number|null>} Version or null when no logged activation precedes it
+ */
+const findActiveVersionAt = async (db, asOf) => {
+    const [activation] = await db.collection(databaseConfig.collections.snapshotActivations)
+        .find({ activatedAt: { $lte: asOf } })
+        .sort({ activatedAt: -1 })
+        .limit(1)
+        .toArray();
+
+    return activation ? activation.version : null;
+};
+
+/**
+ * Find a snapshot by version or by point in time
+ * @param {Object} db - Database instance
+ * @param {Object} criteria - Lookup criteria
+ * @param {number} criteria.version - Exact snapshot version
+ * @param {Date} criteria.asOf - Snapshot active at this date (the latest one created at or before it when
+ *                               the activation log does not go back that far)
+ * @returns {Promise<Object|null>} Snapshot or null when none matches
+ */
+const findSnapshot = async (db, criteria = {}) => {
+    const collection = db.collection(databaseConfig.collections.snapshots);
+    const query = { status: 'ready' };
+
+    if (criteria.version !== undefined) {
+        query.version = criteria.version;
+    }
+    if (criteria.asOf) {
+        const activeVersion = await findActiveVersionAt(db, criteria.asOf);
+        if (activeVersion === null) {
+            // Imports that predate the activation log were activated when they were created
+            query.createdAt = { $lte: criteria.asOf };
+        } else if (criteria.version === undefined || criteria.version === activeVersion) {
+            query.version = activeVersion;
+        } else {
+            return null;
+        }
+    }
+
+    const [snapshot] = await collection
+        .find(query)
+        .sort({ version: -1 })
+        .limit(1)
+        .toArray();
+
+    return snapshot || null;
+};
+
+/**
+ * List snapshots, newest first
+ * @param {Object} db - Database instance
+ * @returns {Promise<Array>} Snapshots
+ */
+const listSnapshots = async (db) => db.collection(databaseConfig.collections.snapshots)
+    .find({})
+    .sort({ version: -1 })
+    .toArray();
+
+/**
+ * Get the next snapshot version number
+ * @param {Object} db - Database instance
+ * @returns {Promise<number>} Next version
+ */
+const getNextVersion = async (db) => {
+    const [latest] = await db.collection(databaseConfig.collections.snapshots)
+        .find({})
+        .sort({ version: -1 })
+        .limit(1)
+        .toArray();
+
+    return latest ? latest.version + 1 : 1;
+};
+
+/**
+ * Build the collection manifest for a new snapshot.
+ * Collections not replaced by the import keep pointing at the active snapshot's collections
+ * (or the legacy unversioned collections when there is no snapshot yet).
+ * @param {Object|null} baseSnapshot - Snapshot the import builds on
+ * @param {Object} replaced - Map of logical name to new physical name
+ * @returns {Object} Map of logical name to physical name
+ */
+const buildManifest = (baseSnapshot, replaced) => versionedCollections.reduce((manifest, name) => {
+    manifest[name] = replaced[name]
+        || (baseSnapshot && baseSnapshot.collections[name])
+        || name;
+    return manifest;
+}, {});
+
+/**
+ * Record a snapshot.
+ * The unique version index is ensured first so concurrent imports cannot share a version.
+ * @param {Object} db - Database instance
+ * @param {Object} snapshot - Snapshot document
+ * @returns {Promise<Object>} Stored snapshot
+ */
+const recordSnapshot = async (db, snapshot) => {
+    const collection = db.collection(databaseConfig.collections.snapshots);
+
+    for (const index of databaseConfig.indexes.snapshots) {
+        await collection.createIndex(index.key, index.options || {});
+    }
+
+    await collection.insertOne(snapshot);
+    return snapshot;
+};
+
+/**
+ * Make a snapshot the one served to readers and log the activation
+ * @param {Object} db - Database instance
+ * @param {number} version - Snapshot version
+ * @param {Object} details - Extra state details (e.g. { reason: 'rollback' })
+ * @returns {Promise<void>}
+ */
+const activateSnapshot = async (db, version, details = {}) => {
+    const activation = { version, activatedAt: new Date(), ...details };
+
+    await db.collection(databaseConfig.collections.snapshotState).updateOne(
+        { _id: ACTIVE_STATE_ID },
+        { $set: activation },
+        { upsert: true }
+    );
+    await db.collection(databaseConfig.collections.snapshotActivations).insertOne({ ...activation });
+    invalidateActiveSnapshot();
+};
+
+/**
+ * Resolve a logical collection name to the physical collection to read.
+ * Uses the snapshot pinned on the request context, falling back to the active snapshot.
+ * @param {Object} db - Database instance
+ * @param {string} collectionName - Logical collection name
+ * @returns {Promise<string>} Physical collection name
+ */
+const resolveCollectionName = async (db, collectionName) => {
+    if (!isVersioned(collectionName)) {
+        return collectionName;
+    }
+
+    const snapshot = await getReadSnapshot(db);
+
+    return (snapshot && snapshot.collections[collectionName]) || collectionName;
+};
+
+module.exports = {
+    getPhysicalName,
+    getLogicalName,
+    isVersioned,
+    invalidateActiveSnapshot,
+    getActiveSnapshot,
+    getReadSnapshot,
+    findSnapshot,
+    listSnapshots,
+    getNextVersion,
+    buildManifest,
+    recordSnapshot,
+    activateSnapshot,
+    resolveCollectionName
+};
@@ -0,0 +1,53 @@
+/**
+ * Collection columns
+ * The stored fields each collection declares through its repository (see repositories/baseRepository), with
+ * the type of their values. The SQL adapter stores them as typed table columns; the document stores (MongoDB and
+ * in-memory) keep whole documents and do not need them.
+ */
+
+const { getLogicalName } = require('../snapshotRegistry');
+
+const COLUMN_TYPES = ['string', 'number', 'boolean'];
+
+// Names the SQL tables use for the document id and the remaining fields
+const RESERVED_COLUMNS = ['_id', 'document', 'rowid'];
+
+// Logical collection name → { stored column: type }
+const declaredColumns = new Map();
+
+/**
+ * Declare stored columns of a collection (repositories sharing a collection add to the same declaration)
+ * @param {string} collectionName - Logical collection name
+ * @param {Object} columns - Map of stored column to type ('string', 'number' or 'boolean')
+ */
+const declareColumns = (collectionName, columns) => {
+    const declared = declaredColumns.get(collectionName) || {};
+
+    Object.entries(columns).forEach(([column, type]) => {
+        if (!COLUMN_TYPES.includes(type)) {
+            throw new Error(`Column '${column}' of collection '${collectionName}' has unknown type '${type}'. Available: ${COLUMN_TYPES.join(', ')}`);
+        }
+        if (RESERVED_COLUMNS.includes(column) || column.includes('.')) {
+            throw new Error(`Column '${column}' of collection '${collectionName}' cannot be stored as a table column`);
+        }
+        if (declared[column] && declared[column] !== type) {
+            throw new Error(`Column '${column}' of collection '${collectionName}' is declared as both ${declared[column]} and ${type}`);
+        }
+        declared[column] = type;
+    });
+
+    declaredColumns.set(collectionName, declared);
+};
+
+/**
+ * Get the declared columns of a collection
+ * @param {string} collectionName - Logical or physical (versioned) collection name
+ * @returns {Object} Map of stored column to type (empty when nothing is declared)
+ */
+const getDeclaredColumns = (collectionName) => declaredColumns.get(getLogicalName(collectionName)) || {};
+
+module.exports = {
+    COLUMN_TYPES,
+    declareColumns,
+    getDeclaredColumns
+};
@@ -0,0 +1,105 @@
+/**
+ * Document helpers shared by the storage adapters that keep MongoDB style documents
+ * (in-memory and SQL): ids, duplicate key errors, update operators, cloning and JSON serialization.
+ */
+
+const crypto = require('crypto');
+const v8 = require('v8');
+const { isDate } = require('util').types;
+
+/**
+ * Error raised when a write violates a unique index (same code as MongoDB)
+ */
+class DuplicateKeyError extends Error {
+    constructor(collectionName, index) {
+        super(`E11000 duplicate key error collection: ${collectionName} index: ${index}`);
+        this.name = 'DuplicateKeyError';
+        this.code = 11000;
+    }
+}
+
+/**
+ * Build the name MongoDB gives an index
+ * @param {Object} key - Index key ({ field: 1 | -1 })
+ * @returns {string} Index name such as "version_-1"
+ */
+const getIndexName = (key) => Object.entries(key).map(([field, direction]) => `${field}_${direction}`).join('_');
+
+/**
+ * Generate a document id (24 hex characters, like an ObjectId)
+ * @returns {string} Id
+ */
+const generateId = () => crypto.randomBytes(12).toString('hex');
+
+/**
+ * Deep-copy a document, keeping Date values (structuredClone needs Node 17, the API supports Node 16)
+ * @param {*} value - Document or value
+ * @returns {*} Copy
+ */
+const cloneDocument = (value) => v8.deserialize(v8.serialize(value));
+
+/**
+ * Apply update operators to a document
+ * @param {Object} document - Document to update (modified in place)
+ * @param {Object} update - Update ({ $set, $unset, $inc })
+ */
+const applyUpdate = (document, update) => {
+    Object.entries(update).forEach(([operator, fields]) => {
+        Object.entries(fields).forEach(([field, value]) => {
+            switch (operator) {
+                case '$set': document[field] = cloneDocument(value); break;
+                case '$unset': delete document[field]; break;
+                case '$inc': document[field] = (document[field] || 0) + value; break;
+                default: throw new Error(`Unsupported update operator '${operator}'`);
+            }
+        });
+    });
+};
+
+/**
+ * Build the document an upsert inserts: the equality fields of the filter with the update applied
+ * @param {Object} filter - Update filter
+ * @param {Object} update - Update operators
+ * @returns {Object} New document
+ */
+const buildUpsertDocument = (filter, update) => {
+    const document = Object.entries(filter).reduce((result, [field, value]) => {
+        if (!field.startsWith('$') && (typeof value !== 'object' || value === null || isDate(value))) {
+            result[field] = value;
+        }
+        return result;
+    }, {});
+    applyUpdate(document, update);
+    return document;
+};
+
+/**
+ * Serialize a value to JSON; dates are tagged as { $date } so they come back as Date objects
+ * @param {*} value - Value
+ * @returns {string} JSON
+ */
+const toJson = (value) => JSON.stringify(value, function replacer(key, item) {
+    return isDate(this[key]) ? { $date: this[key].toISOString() } : item;
+});
+
+/**
+ * Parse JSON written by toJson
+ * @param {string} contents - JSON
+ * @returns {*} Value with dates restored
+ */
+const fromJson = (contents) => JSON.parse(contents, (key, value) => (
+    value && typeof value === 'object' && Object.keys(value).length === 1 && typeof value.$date === 'string'
+        ? new Date(value.$date)
+        : value
+));
+
+module.exports = {
+    DuplicateKeyError,
+    getIndexName,
+    generateId,
+    cloneDocument,
+    applyUpdate,
+    buildUpsertDocument,
+    toJson,
+    fromJson
+};
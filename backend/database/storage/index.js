@@ -0,0 +1,54 @@
+/**
+ * Storage backend registry
+ * Repositories read through the storage adapter selected by `databaseConfig.storage.adapter`.
+ *
+ * An adapter exposes:
+ *   - name
+ *   - getDatabase():               database handle used by imports and snapshots
+ *   - getCollection(name):         collection supporting find(filter).sort().skip().limit().toArray(),
+ *                                  findOne, countDocuments, distinct and aggregate ($match, $group with $sum)
+ *   - close():                     release connections
+ */
+
+const databaseConfig = require('../../config/database');
+
+// Adapters are loaded lazily so a backend's driver is only required when it is selected
+const adapters = {
+    mongodb: () => require('./mongoStorage'),
+    memory: () => require('./memoryStorage'),
+    sqlite: () => require('./sqliteStorage')
+};
+
+/**
+ * Register a storage adapter
+ * @param {string} name - Adapter name used in STORAGE_ADAPTER
+ * @param {Function} factory - Returns the adapter
+ */
+const registerStorageAdapter = (name, factory) => {
+    adapters[name] = factory;
+};
+
+/**
+ * Get the configured storage adapter
+ * @returns {Object} Storage adapter
+ */
+const getStorage = () => {
+    const name = databaseConfig.storage.adapter;
+    if (!adapters[name]) {
+        throw new Error(`Unknown storage adapter '${name}'. Available: ${Object.keys(adapters).join(', ')}`);
+    }
+    return adapters[name]();
+};
+
+/**
+ * Get a collection from the configured storage adapter
+ * @param {string} collectionName - Logical collection name
+ * @returns {Promise<Object>} Collection
+ */
+const getCollection = (collectionName) => getStorage().getCollection(collectionName);
+
+module.exports = {
+    registerStorageAdapter,
+    getStorage,
+    getCollection
+};
@@ -0,0 +1,154 @@
+/**
+ * In-memory collection
+ * A collection with the subset of the MongoDB driver API used by the API, the dataset import and the
+ * snapshot registry. Documents are copied in and out so callers never share references with the store.
+ */
+
+const { getPath, matchesFilter, compareBySort, runPipeline } = require('./memoryQuery');
+const { DuplicateKeyError, getIndexName, generateId, cloneDocument, applyUpdate, buildUpsertDocument } = require('./documents');
+
+/**
+ * Wrap a result array in a cursor supporting sort/skip/limit/toArray
+ * @param {Array} documents - Matching documents
+ * @returns {Object} Cursor
+ */
+const createCursor = (documents) => {
+    let sort = null;
+    let skip = 0;
+    let limit = 0;
+
+    const cursor = {
+        sort: (specification) => { sort = specification; return cursor; },
+        skip: (count) => { skip = count || 0; return cursor; },
+        limit: (count) => { limit = count || 0; return cursor; },
+        toArray: async () => {
+            const sorted = sort ? [...documents].sort(compareBySort(sort)) : documents;
+            const page = sorted.slice(skip, limit > 0 ? skip + limit : undefined);
+            return page.map(document => cloneDocument(document));
+        }
+    };
+    return cursor;
+};
+
+/**
+ * Create an in-memory collection
+ * @param {string} name - Collection name
+ * @param {Object} state - Collection state ({ documents, indexes }), shared with the store
+ * @param {Function} onChange - Called after every write
+ * @param {Function} onDrop - Called when the collection is dropped
+ * @returns {Object} Collection
+ */
+const createMemoryCollection = (name, state, onChange, onDrop) => {
+    const findMatching = (filter) => state.documents.filter(document => matchesFilter(document, filter));
+
+    /**
+     * Throw when a document would duplicate a unique index key
+     * @param {Object} candidate - Document to write
+     * @param {Object} ignore - Document being replaced (skipped in the check)
+     */
+    const checkUnique = (candidate, ignore = null) => {
+        state.indexes.filter(index => index.options.unique).forEach(index => {
+            const fields = Object.keys(index.key);
+            const duplicate = state.documents.some(document => document !== ignore
+                && fields.every(field => JSON.stringify(getPath(document, field)) === JSON.stringify(getPath(candidate, field))));
+            if (duplicate) {
+                throw new DuplicateKeyError(name, getIndexName(index.key));
+            }
+        });
+    };
+
+    const insert = (document) => {
+        const stored = { _id: generateId(), ...cloneDocument(document) };
+        // _id is always unique, as in MongoDB (generated ids cannot collide)
+        if (document._id !== undefined && state.documents.some(existing => JSON.stringify(existing._id) === JSON.stringify(stored._id))) {
+            throw new DuplicateKeyError(name, '_id_');
+        }
+        checkUnique(stored);
+        state.documents.push(stored);
+        return stored._id;
+    };
+
+    const update = (filter, changes, options, many) => {
+        const matching = findMatching(filter);
+        const targets = many ? matching : matching.slice(0, 1);
+
+        targets.forEach(document => {
+            const updated = cloneDocument(document);
+            applyUpdate(updated, changes);
+            checkUnique(updated, document);
+            Object.keys(document).forEach(key => delete document[key]);
+            Object.assign(document, updated);
+        });
+
+        let upsertedId = null;
+        if (targets.length === 0 && options.upsert) {
+            upsertedId = insert(buildUpsertDocument(filter, changes));
+        }
+
+        if (targets.length > 0 || upsertedId) onChange();
+        return { matchedCount: targets.length, modifiedCount: targets.length, upsertedId };
+    };
+
+    const remove = (filter, many) => {
+        const matching = findMatching(filter);
+        const targets = many ? matching : matching.slice(0, 1);
+        state.documents = state.documents.filter(document => !targets.includes(document));
+        if (targets.length > 0) onChange();
+        return { deletedCount: targets.length };
+    };
+
+    return {
+        collectionName: name,
+        find: (filter = {}) => createCursor(findMatching(filter)),
+        findOne: async (filter = {}) => {
+            const [document] = findMatching(filter);
+            return document ? cloneDocument(document) : null;
+        },
+        countDocuments: async (filter = {}) => findMatching(filter).length,
+        distinct: async (field, filter = {}) => {
+            const values = [];
+            findMatching(filter).forEach(document => {
+                const value = getPath(document, field);
+                [].concat(value === undefined ? [] : value).forEach(item => {
+                    if (!values.some(existing => JSON.stringify(existing) === JSON.stringify(item))) values.push(item);
+                });
+            });
+            return values;
+        },
+        aggregate: (pipeline = []) => ({
+            toArray: async () => cloneDocument(runPipeline(state.documents, pipeline))
+        }),
+        insertOne: async (document) => {
+            const insertedId = insert(document);
+            onChange();
+            return { acknowledged: true, insertedId };
+        },
+        insertMany: async (documents) => {
+            const insertedIds = documents.map(insert);
+            onChange();
+            return { acknowledged: true, insertedCount: insertedIds.length, insertedIds };
+        },
+        updateOne: async (filter, changes, options = {}) => update(filter, changes, options, false),
+        updateMany: async (filter, changes, options = {}) => update(filter, changes, options, true),
+        deleteOne: async (filter = {}) => remove(filter, false),
+        deleteMany: async (filter = {}) => remove(filter, true),
+        createIndex: async (key, options = {}) => {
+            const existing = state.indexes.find(index => JSON.stringify(index.key) === JSON.stringify(key));
+            if (!existing) {
+                state.indexes.push({ key, options });
+                onChange();
+            }
+            return getIndexName(key);
+        },
+        drop: async () => {
+            state.documents = [];
+            state.indexes = [];
+            onDrop();
+            return true;
+        }
+    };
+};
+
+module.exports = {
+    createMemoryCollection
+};
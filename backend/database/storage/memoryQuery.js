@@ -0,0 +1,278 @@
+/**
+ * In-memory query engine
+ * Evaluates the subset of MongoDB filters, sorts and aggregation stages used by the API against
+ * plain JavaScript documents, following MongoDB's comparison rules so both backends return the same results.
+ *
+ * Filters:      equality, $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex/$options, $and, $or
+ * Aggregation:  $match, $group ($sum, $avg, $min, $max, $first, $last, $push), $sort, $skip, $limit
+ * Expressions:  "$field", literals, $ifNull
+ */
+
+const { isDate } = require('util').types;
+
+// Type order used by MongoDB when comparing values of different types
+const TYPE_ORDER = {
+    null: 1,
+    number: 2,
+    string: 3,
+    object: 4,
+    array: 5,
+    boolean: 8,
+    date: 9,
+    regex: 11
+};
+
+/**
+ * Get the comparison type of a value
+ * @param {*} value - Value
+ * @returns {string} Type name (key of TYPE_ORDER)
+ */
+const typeOf = (value) => {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    // Not `instanceof Date`: the copies made by cloneDocument can come from another realm (e.g. under Jest)
+    if (isDate(value)) return 'date';
+    if (value instanceof RegExp) return 'regex';
+    return typeof value === 'object' ? 'object' : typeof value;
+};
+
+/**
+ * Compare two values the way MongoDB sorts them
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+    const typeA = typeOf(a);
+    const typeB = typeOf(b);
+    if (typeA !== typeB) return (TYPE_ORDER[typeA] || 99) - (TYPE_ORDER[typeB] || 99);
+
+    switch (typeA) {
+        case 'null': return 0;
+        case 'date': return a.getTime() - b.getTime();
+        case 'number': return a - b;
+        case 'boolean': return Number(a) - Number(b);
+        case 'string': return a < b ? -1 : a > b ? 1 : 0;
+        default: {
+            const left = JSON.stringify(a);
+            const right = JSON.stringify(b);
+            return left < right ? -1 : left > right ? 1 : 0;
+        }
+    }
+};
+
+/**
+ * Check two values for equality (null matches missing fields)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True when equal
+ */
+const valuesEqual = (a, b) => typeOf(a) === typeOf(b) && compareValues(a, b) === 0;
+
+/**
+ * Read a possibly dotted path from a document
+ * @param {Object} document - Document
+ * @param {string} path - Field path such as "collections.countries"
+ * @returns {*} Value or undefined
+ */
+const getPath = (document, path) => path.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    document
+);
+
+/**
+ * Check whether a value is an operator expression ({ $gt: 1, ... })
+ * @param {*} value - Filter value
+ * @returns {boolean} True for operator expressions
+ */
+const isOperatorExpression = (value) => typeOf(value) === 'object'
+    && Object.keys(value).length > 0
+    && Object.keys(value).every(key => key.startsWith('$'));
+
+/**
+ * Check an ordering operator; values of different types never match (as in MongoDB)
+ * @param {*} actual - Document value
+ * @param {*} expected - Filter value
+ * @param {Function} test - Test applied to the comparison result
+ * @returns {boolean} True when the value matches
+ */
+const compareMatches = (actual, expected, test) => {
+    const values = Array.isArray(actual) ? actual : [actual];
+    return values.some(value => typeOf(value) === typeOf(expected) && test(compareValues(value, expected)));
+};
+
+/**
+ * Check equality against a field value; arrays match when any element is equal
+ * @param {*} actual - Document value
+ * @param {*} expected - Filter value
+ * @returns {boolean} True when the value matches
+ */
+const equalityMatches = (actual, expected) => {
+    if (expected instanceof RegExp) return typeof actual === 'string' && expected.test(actual);
+    if (valuesEqual(actual, expected)) return true;
+    return Array.isArray(actual) && actual.some(value => valuesEqual(value, expected));
+};
+
+/**
+ * Evaluate an operator expression against a field value
+ * @param {*} actual - Document value
+ * @param {Object} expression - Operator expression
+ * @returns {boolean} True when the value matches every operator
+ */
+const matchesExpression = (actual, expression) => Object.entries(expression).every(([operator, expected]) => {
+    switch (operator) {
+        case '$eq': return equalityMatches(actual, expected);
+        case '$ne': return !equalityMatches(actual, expected);
+        case '$gt': return compareMatches(actual, expected, result => result > 0);
+        case '$gte': return compareMatches(actual, expected, result => result >= 0);
+        case '$lt': return compareMatches(actual, expected, result => result < 0);
+        case '$lte': return compareMatches(actual, expected, result => result <= 0);
+        case '$in': return expected.some(value => equalityMatches(actual, value));
+        case '$nin': return !expected.some(value => equalityMatches(actual, value));
+        case '$exists': return (actual !== undefined) === Boolean(expected);
+        case '$regex': {
+            const pattern = expected instanceof RegExp ? expected : new RegExp(expected, expression.$options || '');
+            return typeof actual === 'string' && pattern.test(actual);
+        }
+        case '$options': return true;
+        default: throw new Error(`Unsupported query operator '${operator}'`);
+    }
+});
+
+/**
+ * Check whether a document matches a filter
+ * @param {Object} document - Document
+ * @param {Object} filter - MongoDB style filter
+ * @returns {boolean} True when the document matches
+ */
+const matchesFilter = (document, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(part => matchesFilter(document, part));
+    if (key === '$or') return condition.some(part => matchesFilter(document, part));
+    if (key.startsWith('$')) throw new Error(`Unsupported query operator '${key}'`);
+
+    const actual = getPath(document, key);
+    return isOperatorExpression(condition)
+        ? matchesExpression(actual, condition)
+        : equalityMatches(actual, condition);
+});
+
+/**
+ * Build a comparator from a MongoDB sort specification
+ * @param {Object} sort - Sort specification ({ field: 1 | -1 })
+ * @returns {Function} Comparator for Array.prototype.sort
+ */
+const compareBySort = (sort = {}) => (a, b) => {
+    for (const [path, direction] of Object.entries(sort)) {
+        const result = compareValues(getPath(a, path), getPath(b, path));
+        if (result !== 0) return result * direction;
+    }
+    return 0;
+};
+
+/**
+ * Evaluate an aggregation expression against a document
+ * @param {*} expression - "$field" reference, literal or operator object
+ * @param {Object} document - Document
+ * @returns {*} Value
+ */
+const evaluateExpression = (expression, document) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return getPath(document, expression.slice(1));
+    }
+
+    if (typeOf(expression) === 'object') {
+        const [operator] = Object.keys(expression);
+        if (operator === '$ifNull') {
+            const [value, fallback] = expression.$ifNull;
+            const result = evaluateExpression(value, document);
+            return result === null || result === undefined ? evaluateExpression(fallback, document) : result;
+        }
+        if (operator && operator.startsWith('$')) {
+            throw new Error(`Unsupported aggregation expression '${operator}'`);
+        }
+        return Object.entries(expression).reduce((result, [key, value]) => {
+            result[key] = evaluateExpression(value, document);
+            return result;
+        }, {});
+    }
+
+    return expression;
+};
+
+/**
+ * Accumulators supported in $group; each reduces the evaluated values of a group
+ */
+const ACCUMULATORS = {
+    $sum: values => values.reduce((sum, value) => (typeof value === 'number' ? sum + value : sum), 0),
+    $avg: (values) => {
+        const numbers = values.filter(value => typeof value === 'number');
+        return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+    },
+    $min: (values) => {
+        const present = values.filter(value => value !== null && value !== undefined);
+        return present.length > 0 ? present.reduce((min, value) => (compareValues(value, min) < 0 ? value : min)) : null;
+    },
+    $max: (values) => {
+        const present = values.filter(value => value !== null && value !== undefined);
+        return present.length > 0 ? present.reduce((max, value) => (compareValues(value, max) > 0 ? value : max)) : null;
+    },
+    $first: values => (values.length > 0 ? values[0] : null),
+    $last: values => (values.length > 0 ? values[values.length - 1] : null),
+    $push: values => values
+};
+
+/**
+ * Run a $group stage
+ * @param {Array} documents - Input documents
+ * @param {Object} specification - Group specification ({ _id, field: { $accumulator: expression } })
+ * @returns {Array} One document per group
+ */
+const groupDocuments = (documents, specification) => {
+    const { _id: idExpression, ...fields } = specification;
+    const groups = new Map();
+
+    documents.forEach(document => {
+        const id = evaluateExpression(idExpression, document);
+        const key = JSON.stringify(id === undefined ? null : id);
+        const group = groups.get(key) || { _id: id === undefined ? null : id, documents: [] };
+        group.documents.push(document);
+        groups.set(key, group);
+    });
+
+    return Array.from(groups.values()).map(group => Object.entries(fields).reduce((result, [field, accumulator]) => {
+        const [operator] = Object.keys(accumulator);
+        if (!ACCUMULATORS[operator]) {
+            throw new Error(`Unsupported $group accumulator '${operator}'`);
+        }
+        result[field] = ACCUMULATORS[operator](group.documents.map(document => evaluateExpression(accumulator[operator], document)));
+        return result;
+    }, { _id: group._id }));
+};
+
+/**
+ * Run an aggregation pipeline
+ * @param {Array} documents - Collection documents
+ * @param {Array} pipeline - Aggregation stages
+ * @returns {Array} Resulting documents
+ */
+const runPipeline = (documents, pipeline = []) => pipeline.reduce((current, stage) => {
+    const [name] = Object.keys(stage);
+    const specification = stage[name];
+
+    switch (name) {
+        case '$match': return current.filter(document => matchesFilter(document, specification));
+        case '$group': return groupDocuments(current, specification);
+        case '$sort': return [...current].sort(compareBySort(specification));
+        case '$skip': return current.slice(specification);
+        case '$limit': return current.slice(0, specification);
+        default: throw new Error(`Unsupported aggregation stage '${name}'`);
+    }
+}, documents);
+
+module.exports = {
+    compareValues,
+    getPath,
+    matchesFilter,
+    compareBySort,
+    runPipeline
+};
@@ -0,0 +1,156 @@
+/**
+ * In-memory storage adapter
+ * Keeps every collection in process memory so the API runs without a database server.
+ * An empty store is filled from the Data Source files through the regular import (snapshot v1);
+ * when STORAGE_FILE is set the store is saved to that JSON file after writes and reloaded from it at startup,
+ * so uploads and snapshots survive restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const databaseConfig = require('../../config/database');
+const { resolveCollectionName } = require('../snapshotRegistry');
+const { prepareDataSource, importDatasets } = require('../datasetLoader');
+const { seedDefaultPrompts } = require('../promptLibrary');
+const { createMemoryCollection } = require('./memoryCollection');
+const { toJson, fromJson } = require('./documents');
+
+const settings = databaseConfig.storage.memory;
+
+let database = null;
+let opening = null;
+let saveTimer = null;
+
+/**
+ * Serialize the store
+ * @param {Map} collections - Collection states by name
+ * @returns {string} JSON
+ */
+const serialize = (collections) => toJson(Object.fromEntries(collections));
+
+/**
+ * Parse a serialized store
+ * @param {string} contents - JSON
+ * @returns {Map} Collection states by name
+ */
+const deserialize = (contents) => new Map(Object.entries(fromJson(contents)));
+
+/**
+ * Write the store to the configured file (through a temporary file so a crash never leaves it half written)
+ * @param {Map} collections - Collection states by name
+ */
+const saveNow = (collections) => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!settings.file) return;
+
+    const temporaryFile = `${settings.file}.tmp`;
+    fs.mkdirSync(path.dirname(path.resolve(settings.file)), { recursive: true });
+    fs.writeFileSync(temporaryFile, serialize(collections));
+    fs.renameSync(temporaryFile, settings.file);
+};
+
+/**
+ * Create a memory database exposing the MongoDB Db methods used by the API
+ * @param {Map} collections - Collection states by name
+ * @returns {Object} Database
+ */
+const createMemoryDatabase = (collections) => {
+    const scheduleSave = () => {
+        if (!settings.file || saveTimer) return;
+        saveTimer = setTimeout(() => {
+            try {
+                saveNow(collections);
+            } catch (error) {
+                console.error('❌ Error saving memory store:', error);
+            }
+        }, settings.saveDelayMs);
+        saveTimer.unref();
+    };
+
+    const getState = (name) => {
+        if (!collections.has(name)) {
+            collections.set(name, { documents: [], indexes: [] });
+        }
+        return collections.get(name);
+    };
+
+    return {
+        databaseName: 'memory',
+        collection: (name) => createMemoryCollection(name, getState(name), scheduleSave, () => {
+            collections.delete(name);
+            scheduleSave();
+        }),
+        createCollection: async (name) => {
+            getState(name);
+            scheduleSave();
+        },
+        listCollectionNames: () => Array.from(collections.keys()),
+        save: () => saveNow(collections)
+    };
+};
+
+/**
+ * Load the store from the configured file, or fill a new one from the Data Source files
+ * @returns {Promise<Object>} Database
+ */
+const openDatabase = async () => {
+    if (settings.file && fs.existsSync(settings.file)) {
+        const db = createMemoryDatabase(deserialize(fs.readFileSync(settings.file, 'utf8')));
+        console.log(`✅ Memory store loaded from ${settings.file}`);
+        return db;
+    }
+
+    const db = createMemoryDatabase(new Map());
+    const prepared = await prepareDataSource(settings.dataSourceDir);
+    const snapshot = await importDatasets(db, prepared, { source: 'setup' });
+    await seedDefaultPrompts(db);
+    db.save();
+
+    console.log(`✅ Memory store loaded from ${settings.dataSourceDir} (snapshot v${snapshot.version})`);
+    return db;
+};
+
+/**
+ * Get the memory database, loading it on first use
+ * @returns {Promise<Object>} Database
+ */
+const getDatabase = async () => {
+    if (!database) {
+        opening = opening || openDatabase().catch((error) => {
+            opening = null;
+            console.error('❌ Memory store error:', error);
+            throw error;
+        });
+        database = await opening;
+    }
+    return database;
+};
+
+/**
+ * Get a collection; versioned dataset collections resolve to the pinned or active snapshot
+ * @param {string} collectionName - Logical collection name
+ * @returns {Promise<Object>} Collection
+ */
+const getCollection = async (collectionName) => {
+    const db = await getDatabase();
+    return db.collection(await resolveCollectionName(db, collectionName));
+};
+
+/**
+ * Save pending writes and release the store
+ */
+const close = async () => {
+    if (database) {
+        database.save();
+        database = null;
+        opening = null;
+    }
+};
+
+module.exports = {
+    name: 'memory',
+    getDatabase,
+    getCollection,
+    close
+};
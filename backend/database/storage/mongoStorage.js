@@ -0,0 +1,13 @@
+/**
+ * MongoDB storage adapter
+ * Serves collections from the MongoDB connection (versioned collections resolve to the pinned snapshot).
+ */
+
+const { getDatabase, getCollection, closeDatabase } = require('../connection');
+
+module.exports = {
+    name: 'mongodb',
+    getDatabase,
+    getCollection,
+    close: closeDatabase
+};
@@ -0,0 +1,341 @@
+/**
+ * SQL collection
+ * A collection with the same MongoDB driver subset as the in-memory collection, stored in an SQLite table
+ * with one row per document: "_id" TEXT PRIMARY KEY, one typed column per field its repository declares
+ * (TEXT, REAL, or INTEGER 0/1 for booleans; see collectionColumns) and the other fields as JSON in "document".
+ * Filters, sorts, counts and $match/$group aggregations run in SQL; anything the SQL translation does not
+ * cover falls back to the in-memory query engine so both backends always agree.
+ */
+
+const { matchesFilter, compareBySort, getPath, runPipeline } = require('./memoryQuery');
+const { DuplicateKeyError, getIndexName, generateId, cloneDocument, applyUpdate, buildUpsertDocument, toJson, fromJson } = require('./documents');
+const { getDeclaredColumns } = require('./collectionColumns');
+const {
+    UnsupportedQueryError,
+    quoteIdentifier,
+    fitsColumn,
+    toColumnValue,
+    fromColumnValue,
+    buildWhere,
+    buildOrderBy,
+    buildGroup,
+    buildIndexColumns,
+    parseIndexColumns
+} = require('./sqlQuery');
+
+const SQL_TYPES = { string: 'TEXT', number: 'REAL', boolean: 'INTEGER' };
+
+/**
+ * Run a query builder, returning null when the query cannot be expressed in SQL
+ * @param {Function} build - Builder
+ * @returns {*} Builder result or null
+ */
+const trySql = (build) => {
+    try {
+        return build();
+    } catch (error) {
+        if (error instanceof UnsupportedQueryError) return null;
+        throw error;
+    }
+};
+
+/**
+ * Split a document into the values of a table row
+ * @param {Object} fields - Document without its _id
+ * @param {Object} columns - Declared columns (stored column → type)
+ * @returns {Array} Column values in declaration order, then the JSON of the remaining fields
+ */
+const toRowValues = (fields, columns) => {
+    const remaining = { ...fields };
+    const values = Object.entries(columns).map(([column, type]) => {
+        if (!fitsColumn(type, remaining[column])) return null;
+        const value = toColumnValue(type, remaining[column]);
+        delete remaining[column];
+        return value;
+    });
+    return [...values, toJson(remaining)];
+};
+
+/**
+ * Rebuild a document from a table row
+ * @param {Object} row - Row with _id, the declared columns and document
+ * @param {Object} columns - Declared columns (stored column → type)
+ * @returns {Object} Document
+ */
+const fromRow = (row, columns) => {
+    const document = { _id: row._id };
+    Object.entries(columns).forEach(([column, type]) => {
+        if (row[column] !== null) document[column] = fromColumnValue(type, row[column]);
+    });
+    return Object.assign(document, fromJson(row.document));
+};
+
+/**
+ * Read the columns a table was created with
+ * @param {Object} connection - better-sqlite3 database
+ * @param {string} name - Table name
+ * @returns {Object} Map of stored column to type
+ */
+const readTableColumns = (connection, name) => connection
+    .prepare(`PRAGMA table_info(${quoteIdentifier(name)})`)
+    .all()
+    .filter(column => !['_id', 'document'].includes(column.name))
+    .reduce((columns, column) => {
+        columns[column.name] = Object.keys(SQL_TYPES).find(type => SQL_TYPES[type] === column.type);
+        return columns;
+    }, {});
+
+/**
+ * Create the table of a collection if it does not exist
+ * @param {Object} connection - better-sqlite3 database
+ * @param {string} name - Collection (table) name
+ */
+const createTable = (connection, name) => {
+    const columns = Object.entries(getDeclaredColumns(name))
+        .map(([column, type]) => `${quoteIdentifier(column)} ${SQL_TYPES[type]}`);
+    connection.exec(`CREATE TABLE IF NOT EXISTS ${quoteIdentifier(name)} (${['_id TEXT PRIMARY KEY', ...columns, 'document TEXT NOT NULL'].join(', ')})`);
+};
+
+/**
+ * Rebuild a table whose columns differ from the declared ones (a table written before its repository declared
+ * a column, or before typed columns existed), keeping its rows, their order and its indexes
+ * @param {Object} connection - better-sqlite3 database
+ * @param {string} name - Table name
+ * @returns {boolean} True when the table was rebuilt
+ */
+const syncTableColumns = (connection, name) => {
+    const table = quoteIdentifier(name);
+    const current = readTableColumns(connection, name);
+    const declared = getDeclaredColumns(name);
+    if (JSON.stringify(current) === JSON.stringify(declared)) return false;
+
+    const indexes = connection
+        .prepare("SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL")
+        .all(name)
+        .map((index) => {
+            const columnList = index.sql.slice(index.sql.indexOf(`ON ${table} (`) + `ON ${table} (`.length, -1);
+            const key = parseIndexColumns(columnList);
+            if (!key) throw new Error(`Cannot rebuild index ${index.name} of table ${name}`);
+            return { name: index.name, unique: /^CREATE UNIQUE /i.test(index.sql), key };
+        });
+
+    connection.transaction(() => {
+        const documents = connection.prepare(`SELECT * FROM ${table} ORDER BY rowid`).all()
+            .map(row => fromRow(row, current));
+
+        connection.exec(`DROP TABLE ${table}`);
+        createTable(connection, name);
+
+        const columnNames = ['_id', ...Object.keys(declared), 'document'];
+        const statement = connection.prepare(`INSERT INTO ${table} (${columnNames.map(quoteIdentifier).join(', ')}) VALUES (${columnNames.map(() => '?').join(', ')})`);
+        documents.forEach(({ _id: id, ...fields }) => statement.run(id, ...toRowValues(fields, declared)));
+
+        indexes.forEach((index) => {
+            connection.exec(`CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${quoteIdentifier(index.name)} ON ${table} (${buildIndexColumns(index.key, declared)})`);
+        });
+    })();
+    return true;
+};
+
+/**
+ * Create an SQL collection
+ * @param {Object} connection - better-sqlite3 database
+ * @param {string} name - Collection (table) name
+ * @returns {Object} Collection
+ */
+const createSqlCollection = (connection, name) => {
+    const table = quoteIdentifier(name);
+    const columns = getDeclaredColumns(name);
+    const columnNames = ['_id', ...Object.keys(columns), 'document'];
+
+    const tableExists = () => Boolean(connection
+        .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?")
+        .get(name));
+
+    const ensureTable = () => createTable(connection, name);
+
+    const toDocument = (row) => fromRow(row, columns);
+
+    /**
+     * Map SQLite constraint violations to MongoDB duplicate key errors
+     * @param {Error} error - SQLite error
+     * @returns {Error} Error to throw
+     */
+    const translateError = (error) => {
+        if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+            return new DuplicateKeyError(name, '_id_');
+        }
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            const match = /index '[^']*\.([^'.]+)'/.exec(error.message);
+            return new DuplicateKeyError(name, match ? match[1] : 'unique');
+        }
+        return error;
+    };
+
+    /**
+     * Read the documents matching a filter
+     * @param {Object} filter - Filter
+     * @param {Object} options - { sort, skip, limit, rowIds }
+     * @returns {Array} Documents (or { rowid, document } rows when rowIds is set)
+     */
+    const select = (filter = {}, { sort = null, skip = 0, limit = 0, rowIds = false } = {}) => {
+        if (!tableExists()) return [];
+
+        const query = trySql(() => ({ where: buildWhere(filter, columns), orderBy: buildOrderBy(sort || {}, columns) }));
+        let rows;
+        if (query) {
+            rows = connection
+                .prepare(`SELECT rowid, * FROM ${table} WHERE ${query.where.sql} ${query.orderBy} LIMIT ? OFFSET ?`)
+                .all(...query.where.params, limit > 0 ? limit : -1, skip);
+        } else {
+            rows = connection.prepare(`SELECT rowid, * FROM ${table} ORDER BY rowid`).all()
+                .filter(row => matchesFilter(toDocument(row), filter));
+            if (sort) rows.sort((a, b) => compareBySort(sort)(toDocument(a), toDocument(b)));
+            rows = rows.slice(skip, limit > 0 ? skip + limit : undefined);
+        }
+
+        return rowIds ? rows.map(row => ({ rowid: row.rowid, document: toDocument(row) })) : rows.map(toDocument);
+    };
+
+    const insert = (document) => {
+        const { _id: id = generateId(), ...fields } = cloneDocument(document);
+        try {
+            connection
+                .prepare(`INSERT INTO ${table} (${columnNames.map(quoteIdentifier).join(', ')}) VALUES (${columnNames.map(() => '?').join(', ')})`)
+                .run(String(id), ...toRowValues(fields, columns));
+        } catch (error) {
+            throw translateError(error);
+        }
+        return id;
+    };
+
+    const insertAll = connection.transaction((documents) => {
+        ensureTable();
+        return documents.map(insert);
+    });
+
+    const update = connection.transaction((filter, changes, options, many) => {
+        const targets = select(filter, { limit: many ? 0 : 1, rowIds: true });
+
+        targets.forEach(({ rowid, document }) => {
+            const { _id: id, ...fields } = document;
+            applyUpdate(fields, changes);
+            try {
+                connection
+                    .prepare(`UPDATE ${table} SET ${columnNames.slice(1).map(column => `${quoteIdentifier(column)} = ?`).join(', ')} WHERE rowid = ?`)
+                    .run(...toRowValues(fields, columns), rowid);
+            } catch (error) {
+                throw translateError(error);
+            }
+        });
+
+        let upsertedId = null;
+        if (targets.length === 0 && options.upsert) {
+            ensureTable();
+            upsertedId = insert(buildUpsertDocument(filter, changes));
+        }
+        return { matchedCount: targets.length, modifiedCount: targets.length, upsertedId };
+    });
+
+    const remove = connection.transaction((filter, many) => {
+        const targets = select(filter, { limit: many ? 0 : 1, rowIds: true });
+        const statement = connection.prepare(`DELETE FROM ${table} WHERE rowid = ?`);
+        targets.forEach(({ rowid }) => statement.run(rowid));
+        return { deletedCount: targets.length };
+    });
+
+    /**
+     * Run an aggregation pipeline; a leading $match and $group run in SQL
+     * @param {Array} pipeline - Aggregation stages
+     * @returns {Array} Resulting documents
+     */
+    const aggregate = (pipeline) => {
+        let stages = pipeline;
+        let filter = {};
+        if (stages.length > 0 && stages[0].$match) {
+            filter = stages[0].$match;
+            stages = stages.slice(1);
+        }
+
+        if (tableExists() && stages.length > 0 && stages[0].$group) {
+            const query = trySql(() => ({ where: buildWhere(filter, columns), group: buildGroup(stages[0].$group, columns) }));
+            if (query) {
+                const groups = connection
+                    .prepare(`SELECT ${query.group.select} FROM ${table} WHERE ${query.where.sql} ${query.group.groupBy}`)
+                    .all(...query.where.params)
+                    // A query without GROUP BY returns one row even for no input; MongoDB returns none
+                    .filter(row => row.__count > 0)
+                    .map(({ __count: count, ...group }) => group);
+                return runPipeline(groups, stages.slice(1));
+            }
+        }
+
+        return runPipeline(select(filter), stages);
+    };
+
+    return {
+        collectionName: name,
+        find: (filter = {}) => {
+            const options = {};
+            const cursor = {
+                sort: (specification) => { options.sort = specification; return cursor; },
+                skip: (count) => { options.skip = count || 0; return cursor; },
+                limit: (count) => { options.limit = count || 0; return cursor; },
+                toArray: async () => select(filter, options)
+            };
+            return cursor;
+        },
+        findOne: async (filter = {}) => select(filter, { limit: 1 })[0] || null,
+        countDocuments: async (filter = {}) => {
+            if (!tableExists()) return 0;
+            const where = trySql(() => buildWhere(filter, columns));
+            if (!where) return select(filter).length;
+            return connection.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE ${where.sql}`).get(...where.params).count;
+        },
+        distinct: async (field, filter = {}) => {
+            const values = [];
+            select(filter).forEach(document => {
+                const value = getPath(document, field);
+                [].concat(value === undefined ? [] : value).forEach(item => {
+                    if (!values.some(existing => JSON.stringify(existing) === JSON.stringify(item))) values.push(item);
+                });
+            });
+            return values;
+        },
+        aggregate: (pipeline = []) => ({
+            toArray: async () => aggregate(pipeline)
+        }),
+        insertOne: async (document) => {
+            const [insertedId] = insertAll([document]);
+            return { acknowledged: true, insertedId };
+        },
+        insertMany: async (documents) => {
+            const insertedIds = insertAll(documents);
+            return { acknowledged: true, insertedCount: insertedIds.length, insertedIds };
+        },
+        updateOne: async (filter, changes, options = {}) => update(filter, changes, options, false),
+        updateMany: async (filter, changes, options = {}) => update(filter, changes, options, true),
+        deleteOne: async (filter = {}) => remove(filter, false),
+        deleteMany: async (filter = {}) => remove(filter, true),
+        createIndex: async (key, options = {}) => {
+            const indexName = getIndexName(key);
+            ensureTable();
+            try {
+                connection.exec(`CREATE ${options.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${quoteIdentifier(`${name}.${indexName}`)} ON ${table} (${buildIndexColumns(key, columns)})`);
+            } catch (error) {
+                throw translateError(error);
+            }
+            return indexName;
+        },
+        drop: async () => {
+            connection.exec(`DROP TABLE IF EXISTS ${table}`);
+            return true;
+        }
+    };
+};
+
+module.exports = {
+    createTable,
+    syncTableColumns,
+    createSqlCollection
+};
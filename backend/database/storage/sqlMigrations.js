@@ -0,0 +1,133 @@
+/**
+ * SQL schema migrations
+ * Ordered, append-only list of schema changes for the SQL storage adapter. Applied versions are recorded in
+ * the schema_migrations table, so running the migrations again only applies the new ones.
+ *
+ * Dataset tables created by imports (e.g. countries__v3) get their indexes from `databaseConfig.indexes`
+ * when they are written; the migrations cover the tables that exist independently of any import.
+ * Table columns follow the repository declarations instead of migrations: tables are created with the declared
+ * columns, and sqliteStorage rebuilds a table whose columns differ when it opens the database.
+ */
+
+const databaseConfig = require('../../config/database');
+const { seedDefaultPrompts } = require('../promptLibrary');
+
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+/**
+ * Create a collection table with its configured indexes
+ * @param {Object} db - SQL database
+ * @param {string} configKey - Key of `databaseConfig.collections`
+ * @returns {Promise<void>}
+ */
+const createCollectionWithIndexes = async (db, configKey) => {
+    const collectionName = databaseConfig.collections[configKey];
+    await db.createCollection(collectionName);
+    for (const index of databaseConfig.indexes[configKey] || []) {
+        await db.collection(collectionName).createIndex(index.key, index.options || {});
+    }
+};
+
+const migrations = [
+    {
+        version: 1,
+        name: 'create collections and indexes',
+        // Same collections and indexes as database/setup.js creates in MongoDB
+        up: async (db) => {
+            for (const configKey of Object.keys(databaseConfig.collections)) {
+                await createCollectionWithIndexes(db, configKey);
+            }
+        }
+    },
+    {
+        version: 2,
+        name: 'create chat session collections',
+        // Databases created before chat sessions existed; a no-op where migration 1 already created them
+        up: async (db) => {
+            await createCollectionWithIndexes(db, 'chatSessions');
+            await createCollectionWithIndexes(db, 'chatMessages');
+        }
+    },
+    {
+        version: 3,
+        name: 'create prompt library',
+        up: async (db) => {
+            await createCollectionWithIndexes(db, 'prompts');
+            await seedDefaultPrompts(db);
+        }
+    },
+    {
+        version: 4,
+        name: 'create report schedules and job queue',
+        up: async (db) => {
+            await createCollectionWithIndexes(db, 'schedules');
+            await createCollectionWithIndexes(db, 'jobs');
+        }
+    },
+    {
+        version: 5,
+        name: 'create alert rules and alert history',
+        up: async (db) => {
+            await createCollectionWithIndexes(db, 'alertRules');
+            await createCollectionWithIndexes(db, 'alerts');
+        }
+    },
+    {
+        version: 6,
+        name: 'create users, login sessions and password resets',
+        up: async (db) => {
+            await createCollectionWithIndexes(db, 'users');
+            await createCollectionWithIndexes(db, 'authSessions');
+            await createCollectionWithIndexes(db, 'passwordResets');
+        }
+    },
+    {
+        version: 7,
+        name: 'create territories and index chat sessions by user',
+        up: async (db) => {
+            await createCollectionWithIndexes(db, 'countryRegions');
+            await createCollectionWithIndexes(db, 'customerTerritories');
+            await db.collection(databaseConfig.collections.chatSessions).createIndex({ userId: 1, updatedAt: -1 });
+        }
+    },
+    {
+        version: 8,
+        name: 'create snapshot activation log',
+        up: async (db) => {
+            await createCollectionWithIndexes(db, 'snapshotActivations');
+        }
+    }
+];
+
+/**
+ * Apply the migrations not yet recorded in the database
+ * @param {Object} db - SQL database
+ * @param {Object} connection - better-sqlite3 database
+ * @returns {Promise<Array>} Applied migrations ({ version, name })
+ */
+const runMigrations = async (db, connection) => {
+    connection.exec(`CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)`);
+    const applied = new Set(connection.prepare(`SELECT version FROM ${MIGRATIONS_TABLE}`).all().map(row => row.version));
+
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    for (const migration of pending) {
+        connection.exec('BEGIN');
+        try {
+            await migration.up(db);
+            connection.prepare(`INSERT INTO ${MIGRATIONS_TABLE} (version, name, applied_at) VALUES (?, ?, ?)`)
+                .run(migration.version, migration.name, new Date().toISOString());
+            connection.exec('COMMIT');
+        } catch (error) {
+            connection.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+};
+
+module.exports = {
+    MIGRATIONS_TABLE,
+    migrations,
+    runMigrations
+};
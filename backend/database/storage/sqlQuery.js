@@ -0,0 +1,372 @@
+/**
+ * SQL query builder
+ * Translates the MongoDB filters, sorts and $group stages used by the API into SQLite SQL over
+ * collection tables: "_id" TEXT, one typed column per declared field (see collectionColumns) and the
+ * other fields as JSON in "document". A declared field whose value does not fit its column type (null,
+ * an object, a string in a number column...) stays in "document" and its column is NULL.
+ *
+ * Comparisons follow MongoDB's rules rather than SQL's: a condition only matches values of the same
+ * type as the filter value (typed columns, json_type guards), null matches missing fields, and $ne/$nin
+ * match documents without the field. Dates are stored as { "$date": ISO string } and compared by their
+ * ISO text.
+ */
+
+const NUMERIC_TYPES = "('integer', 'real')";
+
+/**
+ * Check whether a value is stored in a column of a type
+ * @param {string} type - Column type ('string', 'number' or 'boolean')
+ * @param {*} value - Field value
+ * @returns {boolean} True when the value goes in the column rather than in the JSON document
+ */
+const fitsColumn = (type, value) => {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        default: return false;
+    }
+};
+
+/**
+ * Convert a field value to the value stored in its column (booleans are stored as 0/1)
+ * @param {string} type - Column type
+ * @param {*} value - Field value that fits the column
+ * @returns {*} Column value
+ */
+const toColumnValue = (type, value) => (type === 'boolean' ? Number(value) : value);
+
+/**
+ * Convert a stored column value back to the field value
+ * @param {string} type - Column type
+ * @param {*} value - Column value (not NULL)
+ * @returns {*} Field value
+ */
+const fromColumnValue = (type, value) => (type === 'boolean' ? value === 1 : value);
+
+/**
+ * Error raised for queries the SQL translation does not cover (callers fall back to evaluating them in memory)
+ */
+class UnsupportedQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsupportedQueryError';
+    }
+}
+
+/**
+ * Quote an SQL identifier
+ * @param {string} name - Table, column or index name
+ * @returns {string} Quoted identifier
+ */
+const quoteIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+/**
+ * Build the SQLite JSON path literal of a (possibly dotted) field
+ * @param {string} field - Field path such as "Yearly Revenue" or "collections.countries"
+ * @returns {string} Quoted path literal such as '$."Yearly Revenue"'
+ */
+const jsonPath = (field) => {
+    const keys = field.split('.');
+    if (keys.some(key => key.includes('"'))) {
+        throw new UnsupportedQueryError(`Field '${field}' cannot be used in SQL queries`);
+    }
+    return `'$${keys.map(key => `."${key.replace(/'/g, "''")}"`).join('')}'`;
+};
+
+/**
+ * SQL expressions reading a field
+ * `value`, `type` and the date expressions read the JSON document; `column` is set for declared fields, whose
+ * values of the column type are read from the column instead. `exists` is true when the field is present (even
+ * as null), `absent` when it is null or missing.
+ * @param {string} field - Field path
+ * @param {Object} columns - Declared columns of the table (stored column → type)
+ * @returns {Object} { value, type, date, dateType, column: { name, type } | null, exists, absent }
+ */
+const fieldExpressions = (field, columns = {}) => {
+    if (field === '_id') {
+        return { value: '_id', type: "'text'", date: 'NULL', dateType: 'NULL', column: null, exists: '1', absent: '0' };
+    }
+
+    const path = jsonPath(field);
+    const datePath = `${path.slice(0, -1)}."$date"'`;
+    const type = `json_type(document, ${path})`;
+    const column = columns[field] ? { name: quoteIdentifier(field), type: columns[field] } : null;
+    const absentFromDocument = `(${type} IS NULL OR ${type} = 'null')`;
+    return {
+        value: `json_extract(document, ${path})`,
+        type,
+        date: `json_extract(document, ${datePath})`,
+        dateType: `json_type(document, ${datePath})`,
+        column,
+        exists: column ? `(${column.name} IS NOT NULL OR ${type} IS NOT NULL)` : `${type} IS NOT NULL`,
+        absent: column ? `(${column.name} IS NULL AND ${absentFromDocument})` : absentFromDocument
+    };
+};
+
+/**
+ * SQL expression reading any value of a field, for sorting and grouping
+ * @param {string} field - Field path
+ * @param {Object} columns - Declared columns of the table
+ * @returns {string} SQL expression
+ */
+const anyValue = (field, columns) => {
+    const { value, column } = fieldExpressions(field, columns);
+    return column ? `COALESCE(${column.name}, ${value})` : value;
+};
+
+/**
+ * Turn a condition that may evaluate to NULL into a strict 0/1
+ * @param {string} condition - SQL condition
+ * @returns {string} SQL condition
+ */
+const strict = (condition) => `COALESCE((${condition}), 0)`;
+
+/**
+ * Build a comparison of a field with a value (=, <, <=, >, >=), matching values of the same type only
+ * @param {string} field - Field path
+ * @param {string} operator - SQL comparison operator
+ * @param {*} expected - Filter value
+ * @param {Array} params - Bound parameters (appended to)
+ * @param {Object} columns - Declared columns of the table
+ * @returns {string} SQL condition
+ */
+const compare = (field, operator, expected, params, columns) => {
+    const expressions = fieldExpressions(field, columns);
+    const { column } = expressions;
+
+    if (expected === null || expected === undefined) {
+        // null only equals null/missing; ordering operators include equality ($gte/$lte null match null)
+        return ['=', '<=', '>='].includes(operator) ? expressions.absent : '0';
+    }
+    // Values of the column type are only ever stored in the column
+    if (column && fitsColumn(column.type, expected)) {
+        if (column.type === 'boolean' && operator !== '=') {
+            throw new UnsupportedQueryError(`Cannot order '${field}' by boolean values in SQL`);
+        }
+        params.push(toColumnValue(column.type, expected));
+        return strict(`${column.name} ${operator} ?`);
+    }
+    if (expected instanceof Date) {
+        params.push(expected.toISOString());
+        return strict(`${expressions.dateType} = 'text' AND ${expressions.date} ${operator} ?`);
+    }
+    if (typeof expected === 'number') {
+        params.push(expected);
+        return strict(`${expressions.type} IN ${NUMERIC_TYPES} AND ${expressions.value} ${operator} ?`);
+    }
+    if (typeof expected === 'string') {
+        params.push(expected);
+        return strict(`${expressions.type} = 'text' AND ${expressions.value} ${operator} ?`);
+    }
+    if (typeof expected === 'boolean' && operator === '=') {
+        return strict(`${expressions.type} = '${expected ? 'true' : 'false'}'`);
+    }
+    throw new UnsupportedQueryError(`Cannot compare '${field}' with ${typeof expected} values in SQL`);
+};
+
+/**
+ * Build a regular expression condition (uses the mongo_regex function registered by the adapter)
+ * @param {string} field - Field path
+ * @param {string|RegExp} pattern - Pattern
+ * @param {string} options - Regex flags
+ * @param {Array} params - Bound parameters (appended to)
+ * @param {Object} columns - Declared columns of the table
+ * @returns {string} SQL condition
+ */
+const regex = (field, pattern, options, params, columns) => {
+    const expressions = fieldExpressions(field, columns);
+    params.push(pattern instanceof RegExp ? pattern.source : String(pattern));
+    params.push(pattern instanceof RegExp ? pattern.flags : (options || ''));
+    if (expressions.column && expressions.column.type === 'string') {
+        return strict(`mongo_regex(?, ?, ${expressions.column.name})`);
+    }
+    return strict(`${expressions.type} = 'text' AND mongo_regex(?, ?, ${expressions.value})`);
+};
+
+/**
+ * Build the condition of one field
+ * @param {string} field - Field path
+ * @param {*} condition - Value or operator expression
+ * @param {Array} params - Bound parameters (appended to)
+ * @param {Object} columns - Declared columns of the table
+ * @returns {string} SQL condition
+ */
+const buildFieldCondition = (field, condition, params, columns) => {
+    const isExpression = condition !== null
+        && typeof condition === 'object'
+        && !(condition instanceof Date)
+        && !(condition instanceof RegExp)
+        && !Array.isArray(condition)
+        && Object.keys(condition).length > 0
+        && Object.keys(condition).every(key => key.startsWith('$'));
+
+    if (!isExpression) {
+        return condition instanceof RegExp
+            ? regex(field, condition, null, params, columns)
+            : compare(field, '=', condition, params, columns);
+    }
+
+    const parts = Object.entries(condition).map(([operator, expected]) => {
+        switch (operator) {
+            case '$eq': return compare(field, '=', expected, params, columns);
+            case '$ne': return `NOT ${compare(field, '=', expected, params, columns)}`;
+            case '$gt': return compare(field, '>', expected, params, columns);
+            case '$gte': return compare(field, '>=', expected, params, columns);
+            case '$lt': return compare(field, '<', expected, params, columns);
+            case '$lte': return compare(field, '<=', expected, params, columns);
+            case '$in': return expected.length > 0
+                ? `(${expected.map(value => compare(field, '=', value, params, columns)).join(' OR ')})`
+                : '0';
+            case '$nin': return expected.length > 0
+                ? `NOT (${expected.map(value => compare(field, '=', value, params, columns)).join(' OR ')})`
+                : '1';
+            case '$exists': return `${expected ? '' : 'NOT '}${fieldExpressions(field, columns).exists}`;
+            case '$regex': return regex(field, expected, condition.$options, params, columns);
+            case '$options': return null;
+            default: throw new UnsupportedQueryError(`Unsupported query operator '${operator}'`);
+        }
+    }).filter(Boolean);
+
+    return parts.length > 0 ? `(${parts.join(' AND ')})` : '1';
+};
+
+/**
+ * Build a WHERE clause from a MongoDB style filter
+ * @param {Object} filter - Filter
+ * @param {Object} columns - Declared columns of the table
+ * @returns {Object} { sql, params } (sql is "1" for an empty filter)
+ */
+const buildWhere = (filter = {}, columns = {}) => {
+    const params = [];
+
+    const build = (current) => {
+        const parts = Object.entries(current).map(([key, condition]) => {
+            if (key === '$and') return `(${condition.map(build).join(' AND ')})`;
+            if (key === '$or') return `(${condition.map(build).join(' OR ')})`;
+            if (key.startsWith('$')) throw new UnsupportedQueryError(`Unsupported query operator '${key}'`);
+            return buildFieldCondition(key, condition, params, columns);
+        });
+        return parts.length > 0 ? parts.join(' AND ') : '1';
+    };
+
+    return { sql: build(filter), params };
+};
+
+/**
+ * Build an ORDER BY clause from a MongoDB sort specification (ties keep insertion order)
+ * @param {Object} sort - Sort specification ({ field: 1 | -1 })
+ * @param {Object} columns - Declared columns of the table
+ * @returns {string} ORDER BY clause
+ */
+const buildOrderBy = (sort = {}, columns = {}) => {
+    const keys = Object.entries(sort).map(([field, direction]) => (
+        `${anyValue(field, columns)} ${direction < 0 ? 'DESC' : 'ASC'}`
+    ));
+    return `ORDER BY ${[...keys, 'rowid ASC'].join(', ')}`;
+};
+
+/**
+ * Build the SQL operand of a numeric accumulator; non-numeric values are ignored as in MongoDB
+ * @param {*} expression - "$field", { $ifNull: ["$field", number] } or a number
+ * @param {Object} columns - Declared columns of the table
+ * @returns {string} SQL expression
+ */
+const numericOperand = (expression, columns) => {
+    if (typeof expression === 'number') return String(expression);
+
+    const [field, fallback] = typeof expression === 'string'
+        ? [expression, undefined]
+        : (expression && Array.isArray(expression.$ifNull) ? expression.$ifNull : [null]);
+    if (typeof field !== 'string' || !field.startsWith('$') || (fallback !== undefined && typeof fallback !== 'number')) {
+        throw new UnsupportedQueryError('Unsupported accumulator expression');
+    }
+
+    const { value, type, column, absent } = fieldExpressions(field.slice(1), columns);
+    const whenMissing = fallback !== undefined ? ` WHEN ${absent} THEN ${fallback}` : '';
+    if (column && column.type === 'number') {
+        return `CASE WHEN ${column.name} IS NOT NULL THEN ${column.name}${whenMissing} END`;
+    }
+    return `CASE WHEN ${type} IN ${NUMERIC_TYPES} THEN ${value}${whenMissing} END`;
+};
+
+/**
+ * Build the SELECT list and GROUP BY clause of a $group stage
+ * @param {Object} specification - Group specification ({ _id, field: { $sum | $avg: expression } })
+ * @param {Object} columns - Declared columns of the table
+ * @returns {Object} { select, groupBy }
+ */
+const buildGroup = (specification, columns = {}) => {
+    const { _id: id, ...fields } = specification;
+
+    let key;
+    if (id === null) {
+        key = 'NULL';
+    } else if (typeof id === 'string' && id.startsWith('$') && columns[id.slice(1)] !== 'boolean') {
+        // Boolean columns hold 0/1, which would come back as numeric group keys
+        key = anyValue(id.slice(1), columns);
+    } else {
+        throw new UnsupportedQueryError('Unsupported $group _id');
+    }
+
+    const accumulators = Object.entries(fields).map(([name, accumulator]) => {
+        const [operator] = Object.keys(accumulator);
+        const expression = accumulator[operator];
+        switch (operator) {
+            case '$sum': return `COALESCE(SUM(${numericOperand(expression, columns)}), 0) AS ${quoteIdentifier(name)}`;
+            case '$avg': return `AVG(${numericOperand(expression, columns)}) AS ${quoteIdentifier(name)}`;
+            default: throw new UnsupportedQueryError(`Unsupported $group accumulator '${operator}'`);
+        }
+    });
+
+    return {
+        select: [`${key} AS _id`, ...accumulators, 'COUNT(*) AS __count'].join(', '),
+        groupBy: id === null ? '' : 'GROUP BY 1'
+    };
+};
+
+/**
+ * Build an index column list from a MongoDB index key
+ * @param {Object} key - Index key ({ field: 1 | -1 })
+ * @param {Object} columns - Declared columns of the table
+ * @returns {string} Indexed expressions
+ */
+const buildIndexColumns = (key, columns = {}) => Object.entries(key)
+    .map(([field, direction]) => {
+        const { value, column } = fieldExpressions(field, columns);
+        return `${column ? column.name : value} ${direction < 0 ? 'DESC' : 'ASC'}`;
+    })
+    .join(', ');
+
+/**
+ * Read an index key back from an index column list written by buildIndexColumns
+ * @param {string} indexColumns - Indexed expressions
+ * @returns {Object|null} Index key ({ field: 1 | -1 }), or null for a list buildIndexColumns did not write
+ */
+const parseIndexColumns = (indexColumns) => {
+    const pattern = /(_id|"((?:[^"]|"")+)"|json_extract\(document, '\$((?:\."(?:[^"']|'')+")+)'\)) (ASC|DESC)(?:, |$)/y;
+    const key = {};
+    let match;
+    while (pattern.lastIndex < indexColumns.length && (match = pattern.exec(indexColumns))) {
+        const [, , column, path, direction] = match;
+        let field = '_id';
+        if (column) field = column.replace(/""/g, '"');
+        if (path) field = path.slice(2, -1).split('"."').map(part => part.replace(/''/g, "'")).join('.');
+        key[field] = direction === 'DESC' ? -1 : 1;
+    }
+    return match && pattern.lastIndex === indexColumns.length ? key : null;
+};
+
+module.exports = {
+    UnsupportedQueryError,
+    quoteIdentifier,
+    fitsColumn,
+    toColumnValue,
+    fromColumnValue,
+    fieldExpressions,
+    buildWhere,
+    buildOrderBy,
+    buildGroup,
+    buildIndexColumns,
+    parseIndexColumns
+};
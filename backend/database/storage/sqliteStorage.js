@@ -0,0 +1,121 @@
+/**
+ * SQLite storage adapter
+ * Stores every collection as a table in an SQLite file, so the figures can live in a relational database
+ * behind the same repositories and services as MongoDB. The fields a repository declares are typed table
+ * columns; other fields are kept as JSON (see sqlCollection). The schema is migrated when the database is
+ * opened; data is loaded with `npm run migrate-sql` (the SQL counterpart of `npm run setup-db`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const databaseConfig = require('../../config/database');
+const { resolveCollectionName } = require('../snapshotRegistry');
+const { createTable, syncTableColumns, createSqlCollection } = require('./sqlCollection');
+const { MIGRATIONS_TABLE, runMigrations } = require('./sqlMigrations');
+
+const settings = databaseConfig.storage.sqlite;
+
+let connection = null;
+let database = null;
+let opening = null;
+
+/**
+ * Create an SQL database exposing the MongoDB Db methods used by the API
+ * @param {Object} sqlite - better-sqlite3 database
+ * @returns {Object} Database
+ */
+const createSqlDatabase = (sqlite) => ({
+    databaseName: path.basename(settings.file),
+    collection: (name) => createSqlCollection(sqlite, name),
+    createCollection: async (name) => createTable(sqlite, name),
+    listCollectionNames: () => sqlite
+        .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != ? ORDER BY name")
+        .all(MIGRATIONS_TABLE)
+        .map(row => row.name)
+});
+
+/**
+ * Open the SQLite file and apply pending migrations
+ * @returns {Promise<Object>} Database
+ */
+const openDatabase = async () => {
+    fs.mkdirSync(path.dirname(path.resolve(settings.file)), { recursive: true });
+    const sqlite = new Database(settings.file);
+    sqlite.pragma('journal_mode = WAL');
+
+    // Backs $regex filters; compiled patterns are cached because SQLite calls the function once per row
+    const patterns = new Map();
+    sqlite.function('mongo_regex', { deterministic: true }, (pattern, flags, value) => {
+        const cacheKey = `${flags}/${pattern}`;
+        if (!patterns.has(cacheKey)) patterns.set(cacheKey, new RegExp(pattern, flags));
+        return typeof value === 'string' && patterns.get(cacheKey).test(value) ? 1 : 0;
+    });
+
+    // The repositories declare the table columns, so they must be loaded before any table is created
+    require('../../repositories');
+
+    const db = createSqlDatabase(sqlite);
+    try {
+        const applied = await runMigrations(db, sqlite);
+        applied.forEach(migration => console.log(`✅ Applied migration ${migration.version}: ${migration.name}`));
+
+        // Tables written before their repository declared a column get it now
+        db.listCollectionNames()
+            .filter(name => syncTableColumns(sqlite, name))
+            .forEach(name => console.log(`✅ Rebuilt table ${name} with the declared columns`));
+    } catch (error) {
+        sqlite.close();
+        throw error;
+    }
+
+    connection = sqlite;
+    console.log(`✅ Connected to SQLite database ${settings.file}`);
+    return db;
+};
+
+/**
+ * Get the SQL database, opening it on first use
+ * @returns {Promise<Object>} Database
+ */
+const getDatabase = async () => {
+    if (!database) {
+        opening = opening || openDatabase().catch((error) => {
+            opening = null;
+            console.error('❌ SQLite connection error:', error);
+            throw error;
+        });
+        database = await opening;
+    }
+    return database;
+};
+
+/**
+ * Get a collection; versioned dataset collections resolve to the pinned or active snapshot
+ * @param {string} collectionName - Logical collection name
+ * @returns {Promise<Object>} Collection
+ */
+const getCollection = async (collectionName) => {
+    const db = await getDatabase();
+    return db.collection(await resolveCollectionName(db, collectionName));
+};
+
+/**
+ * Close the SQLite file
+ */
+const close = async () => {
+    if (connection) {
+        connection.close();
+        console.log('🔌 SQLite connection closed');
+    }
+    connection = null;
+    database = null;
+    opening = null;
+};
+
+module.exports = {
+    name: 'sqlite',
+    getDatabase,
+    getCollection,
+    close
+};
@@ -0,0 +1,95 @@
+/**
+ * Email delivery channel
+ * Sends the report files as attachments through the SMTP server of `schedulerConfig.email` (utils/mailer).
+ */
+
+const { sendMail, isEmailAddress } = require('../utils/mailer');
+const schedulerConfig = require('../config/scheduler');
+
+/**
+ * Read a recipient list (an address or an array of addresses)
+ * @param {*} value - Raw value
+ * @param {string} name - Field name (used in error messages)
+ * @param {Array<string>} errors - Errors are added here
+ * @returns {Array<string>} Addresses
+ */
+const readRecipients = (value, name, errors) => {
+    if (value === undefined || value === null) return [];
+
+    const addresses = (Array.isArray(value) ? value : [value]).map(address => (typeof address === 'string' ? address.trim() : address));
+    const invalid = addresses.filter(address => !isEmailAddress(address));
+    if (invalid.length > 0) {
+        errors.push(`"${name}" must contain email addresses (got ${invalid.map(address => JSON.stringify(address)).join(', ')})`);
+    }
+    if (addresses.length > schedulerConfig.maxRecipients) {
+        errors.push(`"${name}" accepts at most ${schedulerConfig.maxRecipients} addresses`);
+    }
+    return addresses;
+};
+
+/**
+ * Validate an email delivery
+ * @param {Object} delivery - { to, cc, subject }
+ * @returns {Object} { value, errors }
+ */
+const validate = (delivery) => {
+    const errors = [];
+    const to = readRecipients(delivery.to, 'to', errors);
+    const cc = readRecipients(delivery.cc, 'cc', errors);
+    if (to.length === 0 && errors.length === 0) {
+        errors.push('"to" needs at least one email address');
+    }
+    if (delivery.subject !== undefined && delivery.subject !== null && (typeof delivery.subject !== 'string' || !delivery.subject.trim())) {
+        errors.push('"subject" must be a non-empty string');
+    }
+
+    return {
+        value: {
+            channel: 'email',
+            to,
+            ...(cc.length > 0 && { cc }),
+            ...(typeof delivery.subject === 'string' && delivery.subject.trim() && { subject: delivery.subject.trim() })
+        },
+        errors
+    };
+};
+
+/**
+ * Describe an email delivery
+ * @param {Object} delivery - Stored delivery
+ * @returns {string} Recipients
+ */
+const describe = (delivery) => [...delivery.to, ...(delivery.cc || [])].join(', ');
+
+/**
+ * Send the report files by email
+ * @param {Object} options - { delivery, job, files, deliveryId }
+ * @returns {Promise<string>} Result (SMTP message id)
+ */
+const deliver = async ({ delivery, job, files }) => {
+    const title = job.scheduleName || 'Report';
+    const info = await sendMail({
+        to: delivery.to,
+        cc: delivery.cc,
+        subject: delivery.subject || `${title} (${job.scheduledFor.slice(0, 10)})`,
+        text: [
+            `${title}, run for ${job.scheduledFor}${job.snapshotVersion ? ` from dataset snapshot v${job.snapshotVersion}` : ''}.`,
+            '',
+            'Attached:',
+            ...files.map(file => `- ${file.filename} (${Math.ceil(file.content.length / 1024)} KB)`)
+        ].join('\n'),
+        attachments: files.map(file => ({
+            filename: file.filename,
+            content: file.content,
+            contentType: file.contentType
+        }))
+    });
+    return `Sent as ${info.messageId}`;
+};
+
+module.exports = {
+    name: 'email',
+    validate,
+    describe,
+    deliver
+};
@@ -0,0 +1,60 @@
+/**
+ * Delivery channel registry
+ * Scheduled report files are sent through the channel named by each delivery of a schedule.
+ *
+ * A channel exposes:
+ *   - name
+ *   - validate(delivery):                       { value, errors }; `value` is the delivery as stored
+ *   - describe(delivery):                       short text naming the target (recipients, URL)
+ *   - deliver({ delivery, job, files, deliveryId }): sends a job's message (the report files
+ *                                                ({ filename, contentType, content }) of report jobs, the event of
+ *                                                alert jobs) and resolves to a short description of the result;
+ *                                                throws on failure
+ */
+
+// Channels are loaded lazily, like storage adapters and completion providers
+const channels = {
+    email: () => require('./emailChannel'),
+    webhook: () => require('./webhookChannel')
+};
+
+/**
+ * Register a delivery channel
+ * @param {string} name - Channel name used in schedule deliveries
+ * @param {Function} factory - Returns the channel
+ */
+const registerDeliveryChannel = (name, factory) => {
+    channels[name] = factory;
+};
+
+/**
+ * Get the names of the available channels
+ * @returns {Array<string>} Channel names
+ */
+const getDeliveryChannelNames = () => Object.keys(channels);
+
+/**
+ * Get a delivery channel
+ * @param {string} name - Channel name
+ * @returns {Object} Channel
+ */
+const getDeliveryChannel = (name) => {
+    if (!channels[name]) {
+        throw new Error(`Unknown delivery channel '${name}'. Available: ${getDeliveryChannelNames().join(', ')}`);
+    }
+    return channels[name]();
+};
+
+/**
+ * Shape a stored delivery for API responses: signing secrets are write-only
+ * @param {Object} delivery - Stored delivery
+ * @returns {Object} Delivery without its secret (`signed` tells whether it has one)
+ */
+const toPublicDelivery = ({ secret, ...delivery }) => (secret ? { ...delivery, signed: true } : delivery);
+
+module.exports = {
+    registerDeliveryChannel,
+    getDeliveryChannelNames,
+    getDeliveryChannel,
+    toPublicDelivery
+};
@@ -0,0 +1,176 @@
+/**
+ * Webhook delivery channel
+ * POSTs a job's message as JSON to an HTTP(S) endpoint: the report files (base64 content) of report jobs, the
+ * alert event of alert jobs. A non-2xx response fails the delivery, so the job is retried; the
+ * X-Zenalyst-Delivery header stays the same across retries for receivers that dedupe.
+ *
+ * Deliveries with a `secret` are signed: X-Zenalyst-Signature is `sha256=` followed by the hex HMAC-SHA256 of
+ * `<X-Zenalyst-Timestamp>.<raw body>` keyed with the secret, so receivers can check origin and freshness.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const schedulerConfig = require('../config/scheduler');
+
+// Headers set by the channel itself; a delivery cannot override them
+const RESERVED_HEADERS = ['content-type', 'content-length', 'host', 'x-zenalyst-event', 'x-zenalyst-delivery',
+    'x-zenalyst-timestamp', 'x-zenalyst-signature'];
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Validate a webhook delivery
+ * @param {Object} delivery - { url, headers, secret }
+ * @returns {Object} { value, errors }
+ */
+const validate = (delivery) => {
+    const errors = [];
+
+    let url = null;
+    try {
+        url = new URL(delivery.url);
+    } catch (error) {
+        errors.push('"url" must be an absolute URL');
+    }
+    if (url && !['http:', 'https:'].includes(url.protocol)) {
+        errors.push('"url" must use http or https');
+    }
+
+    const headers = delivery.headers ?? {};
+    if (typeof headers !== 'object' || Array.isArray(headers)) {
+        errors.push('"headers" must be an object of header names and string values');
+    } else {
+        Object.entries(headers).forEach(([name, value]) => {
+            if (!HEADER_NAME_PATTERN.test(name) || RESERVED_HEADERS.includes(name.toLowerCase())) {
+                errors.push(`"headers" cannot set '${name}'`);
+            } else if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+                errors.push(`"headers.${name}" must be a single-line string`);
+            }
+        });
+    }
+
+    const { secret } = delivery;
+    if (secret !== undefined && secret !== null && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+        errors.push(`"secret" must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+
+    return {
+        value: {
+            channel: 'webhook',
+            url: url ? url.toString() : delivery.url,
+            ...(Object.keys(headers).length > 0 && { headers }),
+            ...(secret && { secret })
+        },
+        errors
+    };
+};
+
+/**
+ * Describe a webhook delivery
+ * @param {Object} delivery - Stored delivery
+ * @returns {string} Endpoint URL
+ */
+const describe = (delivery) => delivery.url;
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix time in seconds
+ * @param {string} payload - Raw request body
+ * @returns {string} Signature header value
+ */
+const sign = (secret, timestamp, payload) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex')}`;
+
+/**
+ * POST a JSON body and wait for a 2xx response
+ * @param {string} url - Endpoint URL
+ * @param {string} payload - Serialized request body
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<number>} Response status
+ */
+const post = (url, payload, headers) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const { timeoutMs } = schedulerConfig.webhook;
+
+    const request = client.request(target, {
+        method: 'POST',
+        headers: {
+            ...headers,
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload)
+        },
+        timeout: timeoutMs
+    }, (response) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+                resolve(response.statusCode);
+                return;
+            }
+            const text = Buffer.concat(chunks).toString('utf8').slice(0, 200);
+            reject(new Error(`Webhook responded with HTTP ${response.statusCode}${text ? `: ${text}` : ''}`));
+        });
+        response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Webhook did not respond within ${timeoutMs} ms`)));
+    request.on('error', reject);
+    request.end(payload);
+});
+
+/**
+ * Build the request body of a job
+ * @param {Object} job - Job DTO
+ * @param {Array} files - Report files
+ * @returns {Object} Body ({ event, ... })
+ */
+const buildBody = (job, files) => (job.type === 'alert' ? job.payload : {
+    event: 'scheduled-report',
+    job: {
+        id: job.id,
+        scheduleId: job.scheduleId,
+        scheduleName: job.scheduleName,
+        trigger: job.trigger,
+        scheduledFor: job.scheduledFor,
+        attempt: job.attempts
+    },
+    snapshotVersion: job.snapshotVersion,
+    files: files.map(file => ({
+        filename: file.filename,
+        contentType: file.contentType,
+        size: file.content.length,
+        content: file.content.toString('base64')
+    }))
+});
+
+/**
+ * Send a job's message to the webhook
+ * @param {Object} options - { delivery, job, files, deliveryId }
+ * @returns {Promise<string>} Result (response status)
+ */
+const deliver = async ({ delivery, job, files, deliveryId }) => {
+    const body = buildBody(job, files);
+    const payload = JSON.stringify(body);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    const status = await post(delivery.url, payload, {
+        ...delivery.headers,
+        'X-Zenalyst-Event': body.event,
+        'X-Zenalyst-Delivery': deliveryId,
+        ...(delivery.secret && {
+            'X-Zenalyst-Timestamp': timestamp,
+            'X-Zenalyst-Signature': sign(delivery.secret, timestamp, payload)
+        })
+    });
+    return `HTTP ${status}`;
+};
+
+module.exports = {
+    name: 'webhook',
+    validate,
+    describe,
+    deliver
+};
@@ -0,0 +1,99 @@
+/**
+ * Grounded context for completion providers
+ * Turns query results into numbered sources ([S1], [S2], ...), builds the chat messages that restrict the model to
+ * those sources, and maps the citations in an answer back to the datasets and figures they refer to.
+ */
+
+const datasetsConfig = require('../config/datasets');
+
+const CITATION_PATTERN = /\[(S\d+(?:\s*,\s*S\d+)*)\]/g;
+
+const SYSTEM_PROMPT = [
+    'You are a revenue analytics assistant.',
+    'Answer the question using only the figures in the numbered sources provided; never estimate or invent numbers.',
+    'Cite the source of every figure you use with its id in square brackets, e.g. [S1] or [S1, S2].',
+    'If the sources do not answer the question, say so and mention the limitations listed.',
+    'Be concise: a short paragraph or a few bullet points.'
+].join(' ');
+
+/**
+ * Build numbered sources from query results (results without data are skipped)
+ * @param {Array} results - Results returned by queryService.runQuery
+ * @param {number|null} snapshot - Dataset snapshot version the results were read from
+ * @returns {Array} Sources ({ id, title, datasets, calls, figures, snapshot })
+ */
+const buildSources = (results, snapshot = null) => results
+    .filter(result => result.data !== null)
+    .map((result, index) => ({
+        id: `S${index + 1}`,
+        title: result.title,
+        datasets: result.datasets.map(key => ({ key, name: datasetsConfig.types[key].name })),
+        calls: result.calls.map(call => call.service),
+        figures: result.insights,
+        snapshot
+    }));
+
+/**
+ * Build the chat messages sent to a provider
+ * @param {string} prompt - User question
+ * @param {Array} sources - Sources from buildSources
+ * @param {Array<string>} notes - Limitations of the query results
+ * @returns {Array} Chat messages ({ role, content })
+ */
+const buildMessages = (prompt, sources, notes = []) => {
+    const context = sources.map(source => [
+        `[${source.id}] ${source.title} (datasets: ${source.datasets.map(dataset => `${dataset.key} - ${dataset.name}`).join('; ')})`,
+        ...source.figures.map(figure => `- ${figure}`)
+    ].join('\n'));
+
+    return [
+        { role: 'system', content: SYSTEM_PROMPT },
+        {
+            role: 'user',
+            content: [
+                `Question: ${prompt}`,
+                `Sources:\n${context.length > 0 ? context.join('\n\n') : '(none)'}`,
+                ...(notes.length > 0 ? [`Limitations:\n${notes.map(note => `- ${note}`).join('\n')}`] : [])
+            ].join('\n\n')
+        }
+    ];
+};
+
+/**
+ * Find the sources cited in an answer
+ * @param {string} text - Answer text
+ * @param {Array} sources - Sources the answer was grounded on
+ * @returns {Object} { citations: cited sources in order of first citation, unknown: cited ids with no source }
+ */
+const extractCitations = (text, sources) => {
+    const ids = [];
+    for (const match of text.matchAll(CITATION_PATTERN)) {
+        match[1].split(',').map(id => id.trim()).forEach(id => {
+            if (!ids.includes(id)) ids.push(id);
+        });
+    }
+
+    const byId = new Map(sources.map(source => [source.id, source]));
+    return {
+        citations: ids.filter(id => byId.has(id)).map(id => byId.get(id)),
+        unknown: ids.filter(id => !byId.has(id))
+    };
+};
+
+/**
+ * Answer built by the rule engine: every figure of every source, cited
+ * @param {Array} sources - Sources from buildSources
+ * @returns {string} Answer text
+ */
+const composeRuleAnswer = (sources) => {
+    const lines = sources.flatMap(source => source.figures.map(figure => `${figure} [${source.id}]`));
+    return lines.length > 0 ? lines.join('\n') : 'The data available does not answer this question.';
+};
+
+module.exports = {
+    SYSTEM_PROMPT,
+    buildSources,
+    buildMessages,
+    extractCitations,
+    composeRuleAnswer
+};
@@ -0,0 +1,148 @@
+/**
+ * Minimal JSON-over-HTTP client used by the completion providers, for whole and streamed responses
+ */
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * Raised when a completion provider cannot be reached or returns an error
+ */
+class LlmProviderError extends Error {
+    constructor(provider, message, status = null) {
+        super(`LLM provider '${provider}' failed: ${message}`);
+        this.name = 'LlmProviderError';
+        this.provider = provider;
+        this.status = status;
+    }
+}
+
+/**
+ * Error for a response with a non-2xx status
+ * @param {string} provider - Provider name
+ * @param {Object} response - HTTP response
+ * @param {string} text - Response body
+ * @returns {LlmProviderError} Error
+ */
+const statusError = (provider, response, text) => {
+    let parsed = null;
+    try {
+        parsed = text ? JSON.parse(text) : null;
+    } catch (error) {
+        // Not JSON: the raw body is reported
+    }
+    const detail = parsed?.error?.message || parsed?.error || text.slice(0, 200) || response.statusMessage;
+    return new LlmProviderError(provider, `HTTP ${response.statusCode}: ${detail}`, response.statusCode);
+};
+
+/**
+ * Send a JSON POST request
+ * @param {string} provider - Provider name (for errors)
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {Object} options - { headers, timeoutMs, signal }
+ * @param {Function} onResponse - Called with (response, request)
+ * @param {Function} reject - Called with the error when the request fails
+ */
+const sendJson = (provider, url, body, { headers = {}, timeoutMs, signal }, onResponse, reject) => {
+    const target = new URL(url);
+    const payload = JSON.stringify(body);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const request = client.request(target, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload),
+            ...headers
+        },
+        timeout: timeoutMs,
+        signal
+    }, response => onResponse(response, request));
+
+    request.on('timeout', () => request.destroy(new Error(`no response within ${timeoutMs} ms`)));
+    request.on('error', error => reject(error instanceof LlmProviderError || error.name === 'AbortError'
+        ? error
+        : new LlmProviderError(provider, error.message)));
+    request.end(payload);
+};
+
+/**
+ * POST a JSON body and parse the JSON response
+ * @param {string} provider - Provider name (for errors)
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {Object} options - { headers, timeoutMs, signal }
+ * @returns {Promise<Object>} Parsed response body
+ */
+const postJson = (provider, url, body, options = {}) => new Promise((resolve, reject) => {
+    sendJson(provider, url, body, options, (response) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                return reject(statusError(provider, response, text));
+            }
+
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                reject(new LlmProviderError(provider, 'response is not valid JSON', response.statusCode));
+            }
+        });
+        response.on('error', error => reject(new LlmProviderError(provider, error.message)));
+    }, reject);
+});
+
+/**
+ * POST a JSON body and read a streamed response line by line
+ * (server-sent events or newline-delimited JSON, depending on the provider)
+ * @param {string} provider - Provider name (for errors)
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {Object} options - { headers, timeoutMs, signal, onLine }; `onLine` gets every non-empty line and
+ *                           may throw to stop the stream
+ * @returns {Promise<void>} Resolves when the response ends
+ */
+const postJsonStream = (provider, url, body, { onLine, ...options }) => new Promise((resolve, reject) => {
+    sendJson(provider, url, body, options, (response, request) => {
+        const chunks = [];
+        let pending = '';
+
+        const readLines = (text) => {
+            try {
+                text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => onLine(line));
+            } catch (error) {
+                request.destroy();
+                reject(error);
+            }
+        };
+
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                chunks.push(chunk);
+                return;
+            }
+            const lines = (pending + chunk).split('\n');
+            pending = lines.pop();
+            readLines(lines.join('\n'));
+        });
+        response.on('end', () => {
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                return reject(statusError(provider, response, chunks.join('')));
+            }
+            readLines(pending);
+            resolve();
+        });
+        response.on('aborted', () => reject(new LlmProviderError(provider, 'the response was interrupted')));
+        response.on('error', error => reject(new LlmProviderError(provider, error.message)));
+    }, reject);
+});
+
+module.exports = {
+    LlmProviderError,
+    postJson,
+    postJsonStream
+};
@@ -0,0 +1,47 @@
+/**
+ * Completion provider registry
+ * Analytics answers are phrased by the provider selected by `analyticsConfig.llm.provider`.
+ *
+ * A provider exposes:
+ *   - name
+ *   - complete({ messages, sources, signal }):   resolves to { text, model, usage }; `messages` are chat
+ *                                                 messages ({ role, content }), `sources` the grounded context
+ *   - stream({ messages, sources, signal, onToken }) (optional): same as complete, also passing each piece of
+ *                                                 text to `onToken` as it is generated (streamed answers)
+ */
+
+const analyticsConfig = require('../config/analytics');
+
+// Providers are loaded lazily, like storage adapters
+const providers = {
+    openai: () => require('./openaiProvider'),
+    local: () => require('./localProvider'),
+    mock: () => require('./mockProvider')
+};
+
+/**
+ * Register a completion provider
+ * @param {string} name - Provider name used in LLM_PROVIDER
+ * @param {Function} factory - Returns the provider
+ */
+const registerLlmProvider = (name, factory) => {
+    providers[name] = factory;
+};
+
+/**
+ * Get the configured completion provider
+ * @returns {Object|null} Provider, or null when answers come from the rule engine only ("none")
+ */
+const getLlmProvider = () => {
+    const name = analyticsConfig.llm.provider;
+    if (!name || name === 'none') return null;
+    if (!providers[name]) {
+        throw new Error(`Unknown LLM provider '${name}'. Available: none, ${Object.keys(providers).join(', ')}`);
+    }
+    return providers[name]();
+};
+
+module.exports = {
+    registerLlmProvider,
+    getLlmProvider
+};
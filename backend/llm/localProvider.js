@@ -0,0 +1,104 @@
+/**
+ * Local completion provider
+ * Talks to a model served on the same machine or network through Ollama's chat API (POST /api/chat)
+ */
+
+const analyticsConfig = require('../config/analytics');
+const { LlmProviderError, postJson, postJsonStream } = require('./httpClient');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+const DEFAULT_MODEL = 'llama3.1';
+
+/**
+ * Chat API URL
+ * @returns {string} URL
+ */
+const endpoint = () => `${(analyticsConfig.llm.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')}/api/chat`;
+
+/**
+ * Chat API request body
+ * @param {Array} messages - Chat messages
+ * @param {boolean} stream - Request a streamed response
+ * @returns {Object} Body
+ */
+const requestBody = (messages, stream = false) => ({
+    model: analyticsConfig.llm.model || DEFAULT_MODEL,
+    messages,
+    stream,
+    options: { temperature: analyticsConfig.llm.temperature, num_predict: analyticsConfig.llm.maxTokens }
+});
+
+/**
+ * Token usage reported by Ollama
+ * @param {Object} response - Final response (or last streamed line)
+ * @returns {Object|null} { promptTokens, completionTokens }
+ */
+const toUsage = (response) => (response.prompt_eval_count !== undefined
+    ? { promptTokens: response.prompt_eval_count, completionTokens: response.eval_count }
+    : null);
+
+/**
+ * Complete a chat
+ * @param {Object} request - { messages, signal }
+ * @returns {Promise<Object>} { text, model, usage }
+ */
+const complete = async ({ messages, signal }) => {
+    const { model, timeoutMs } = analyticsConfig.llm;
+    const response = await postJson('local', endpoint(), requestBody(messages), { timeoutMs, signal });
+
+    const text = response.message?.content;
+    if (typeof text !== 'string') {
+        throw new LlmProviderError('local', 'response has no message content');
+    }
+
+    return {
+        text,
+        model: response.model || model || DEFAULT_MODEL,
+        usage: toUsage(response)
+    };
+};
+
+/**
+ * Complete a chat, passing the text to `onToken` as it is generated (one JSON object per line)
+ * @param {Object} request - { messages, signal, onToken }
+ * @returns {Promise<Object>} { text, model, usage }
+ */
+const stream = async ({ messages, signal, onToken }) => {
+    let text = '';
+    let last = null;
+
+    await postJsonStream('local', endpoint(), requestBody(messages, true), {
+        timeoutMs: analyticsConfig.llm.timeoutMs,
+        signal,
+        onLine: (line) => {
+            let chunk;
+            try {
+                chunk = JSON.parse(line);
+            } catch (error) {
+                throw new LlmProviderError('local', 'stream chunk is not valid JSON');
+            }
+            if (chunk.error) {
+                throw new LlmProviderError('local', String(chunk.error));
+            }
+
+            last = chunk;
+            const token = chunk.message?.content;
+            if (token) {
+                text += token;
+                onToken(token);
+            }
+        }
+    });
+
+    return {
+        text,
+        model: last?.model || analyticsConfig.llm.model || DEFAULT_MODEL,
+        usage: last?.done ? toUsage(last) : null
+    };
+};
+
+module.exports = {
+    name: 'local',
+    complete,
+    stream
+};
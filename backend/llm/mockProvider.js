@@ -0,0 +1,38 @@
+/**
+ * Mock completion provider
+ * Deterministic and offline: answers with the first figure of every source, cited. Meant for tests and demos.
+ */
+
+/**
+ * Complete a chat
+ * @param {Object} request - { messages, sources }
+ * @returns {Promise<Object>} { text, model, usage }
+ */
+const complete = async ({ sources = [] }) => {
+    const lines = sources
+        .filter(source => source.figures.length > 0)
+        .map(source => `${source.title}: ${source.figures[0]} [${source.id}]`);
+
+    return {
+        text: lines.length > 0 ? lines.join('\n') : 'The data available does not answer this question.',
+        model: 'mock',
+        usage: null
+    };
+};
+
+/**
+ * Complete a chat, passing the answer to `onToken` one line at a time
+ * @param {Object} request - { messages, sources, onToken }
+ * @returns {Promise<Object>} { text, model, usage }
+ */
+const stream = async ({ onToken, ...request }) => {
+    const completion = await complete(request);
+    completion.text.split(/(?<=\n)/).forEach(token => onToken(token));
+    return completion;
+};
+
+module.exports = {
+    name: 'mock',
+    complete,
+    stream
+};
@@ -0,0 +1,112 @@
+/**
+ * OpenAI-compatible completion provider
+ * Works with any endpoint implementing POST /chat/completions (OpenAI, Azure-style gateways, vLLM, LM Studio, ...)
+ */
+
+const analyticsConfig = require('../config/analytics');
+const { LlmProviderError, postJson, postJsonStream } = require('./httpClient');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Chat completions URL
+ * @returns {string} URL
+ */
+const endpoint = () => `${(analyticsConfig.llm.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')}/chat/completions`;
+
+/**
+ * Chat completions request body
+ * @param {Array} messages - Chat messages
+ * @param {boolean} stream - Request a streamed response
+ * @returns {Object} Body
+ */
+const requestBody = (messages, stream = false) => ({
+    model: analyticsConfig.llm.model || DEFAULT_MODEL,
+    messages,
+    temperature: analyticsConfig.llm.temperature,
+    max_tokens: analyticsConfig.llm.maxTokens,
+    ...(stream && { stream: true })
+});
+
+/**
+ * HTTP options (API key, timeout, cancellation)
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Object} Options for postJson / postJsonStream
+ */
+const requestOptions = (signal) => ({
+    headers: analyticsConfig.llm.apiKey ? { Authorization: `Bearer ${analyticsConfig.llm.apiKey}` } : {},
+    timeoutMs: analyticsConfig.llm.timeoutMs,
+    signal
+});
+
+/**
+ * Complete a chat
+ * @param {Object} request - { messages, signal }
+ * @returns {Promise<Object>} { text, model, usage }
+ */
+const complete = async ({ messages, signal }) => {
+    const { model } = analyticsConfig.llm;
+    const response = await postJson('openai', endpoint(), requestBody(messages), requestOptions(signal));
+
+    const text = response.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+        throw new LlmProviderError('openai', 'response has no message content');
+    }
+
+    return {
+        text,
+        model: response.model || model || DEFAULT_MODEL,
+        usage: response.usage
+            ? { promptTokens: response.usage.prompt_tokens, completionTokens: response.usage.completion_tokens }
+            : null
+    };
+};
+
+/**
+ * Complete a chat, passing the text to `onToken` as it is generated (server-sent `data:` chunks)
+ * @param {Object} request - { messages, signal, onToken }
+ * @returns {Promise<Object>} { text, model, usage }
+ */
+const stream = async ({ messages, signal, onToken }) => {
+    let text = '';
+    let responseModel = null;
+
+    await postJsonStream('openai', endpoint(), requestBody(messages, true), {
+        ...requestOptions(signal),
+        onLine: (line) => {
+            if (!line.startsWith('data:')) return;
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') return;
+
+            let chunk;
+            try {
+                chunk = JSON.parse(data);
+            } catch (error) {
+                throw new LlmProviderError('openai', 'stream chunk is not valid JSON');
+            }
+            if (chunk.error) {
+                throw new LlmProviderError('openai', chunk.error.message || String(chunk.error));
+            }
+
+            responseModel = chunk.model || responseModel;
+            const token = chunk.choices?.[0]?.delta?.content;
+            if (token) {
+                text += token;
+                onToken(token);
+            }
+        }
+    });
+
+    return {
+        text,
+        model: responseModel || analyticsConfig.llm.model || DEFAULT_MODEL,
+        usage: null
+    };
+};
+
+module.exports = {
+    name: 'openai',
+    complete,
+    stream
+};
@@ -0,0 +1,56 @@
+/**
+ * Authentication middleware
+ */
+
+const authService = require('../services/authService');
+const territoriesService = require('../services/territoriesService');
+const { runWithContext } = require('../utils/requestContext');
+const { ApiError } = require('./errorHandler');
+
+/**
+ * Require a valid access token (`Authorization: Bearer <token>`).
+ * Sets req.user (id, email, name, role, scope) and req.sessionId, and runs the rest of the request with the
+ * user's data scope (null for unscoped roles), which the repositories filter every read with. Invalid and
+ * expired tokens are reported as 401 by the error handler.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticate = async (req, res, next) => {
+    try {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return next(new ApiError(401, 'Authentication required'));
+        }
+
+        const { user, sessionId } = await authService.authenticateAccessToken(token);
+        req.user = user;
+        req.sessionId = sessionId;
+
+        const dataScope = await territoriesService.resolveDataScope(user);
+        runWithContext({ dataScope }, next);
+    } catch (err) {
+        if (err.statusCode === 401 || err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        }
+        next(err);
+    }
+};
+
+/**
+ * Allow only users with one of the given roles (use after authenticate)
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return next(new ApiError(403, 'You do not have permission to perform this action'));
+    }
+    next();
+};
+
+module.exports = {
+    authenticate,
+    requireRole
+};
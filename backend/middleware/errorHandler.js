@@ -59,6 +59,12 @@ const errorHandler = (err, req, res, next) => {
             error = new ApiError(404, message);
         }
 
+        // File upload errors
+        if (err.name === 'MulterError') {
+            const message = err.code === 'LIMIT_FILE_SIZE' ? 'Uploaded file is too large' : err.message;
+            error = new ApiError(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400, message);
+        }
+
         // JWT errors
         if (err.name === 'JsonWebTokenError') {
             const message = 'Invalid token';
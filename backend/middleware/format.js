@@ -0,0 +1,48 @@
+/**
+ * Response format middleware
+ * Lets an endpoint answer in several formats (JSON, Markdown, HTML, PDF, CSV, XLSX) chosen by `?format=` or,
+ * when it is not given, by the Accept header.
+ */
+
+const { ApiError } = require('./errorHandler');
+
+// Media type of each format
+const FORMAT_TYPES = {
+    json: 'application/json',
+    markdown: 'text/markdown',
+    html: 'text/html',
+    pdf: 'application/pdf',
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Pick the response format of an endpoint. The first format is the default (Accept: *\/* or none).
+ * On success the format key is exposed as req.format.
+ * @param {Array<string>} formats - Formats the endpoint can produce (keys of FORMAT_TYPES)
+ * @returns {Function} Express middleware
+ */
+const negotiateFormat = (formats) => (req, res, next) => {
+    const { format } = req.query;
+
+    if (format !== undefined) {
+        if (!formats.includes(format)) {
+            return next(new ApiError(400, `"format" must be one of ${formats.join(', ')}`));
+        }
+        req.format = format;
+        return next();
+    }
+
+    const accepted = req.accepts(formats.map(key => FORMAT_TYPES[key]));
+    if (!accepted) {
+        return next(new ApiError(406, `This resource is available as ${formats.map(key => FORMAT_TYPES[key]).join(', ')}`));
+    }
+    req.format = formats.find(key => FORMAT_TYPES[key] === accepted);
+    res.vary('Accept');
+    next();
+};
+
+module.exports = {
+    FORMAT_TYPES,
+    negotiateFormat
+};
@@ -0,0 +1,60 @@
+/**
+ * Snapshot scope middleware
+ */
+
+const { getStorage } = require('../database/storage');
+const { findSnapshot, getActiveSnapshot } = require('../database/snapshotRegistry');
+const { runWithContext } = require('../utils/requestContext');
+const { ApiError } = require('./errorHandler');
+
+/**
+ * Pin the dataset snapshot read by the rest of the request.
+ * `?snapshot=<version>` selects a version and `?asOf=<ISO date>` the snapshot that was active at
+ * that time (rollbacks included); otherwise the active snapshot is used. The version served is
+ * reported in the X-Snapshot-Version response header.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const snapshotScope = async (req, res, next) => {
+    try {
+        const { snapshot, asOf } = req.query;
+        const criteria = {};
+
+        if (snapshot !== undefined) {
+            const version = parseInt(snapshot);
+            if (!Number.isInteger(version) || version < 1 || String(version) !== String(snapshot).trim()) {
+                return next(new ApiError(400, '"snapshot" must be a positive integer version'));
+            }
+            criteria.version = version;
+        }
+
+        if (asOf !== undefined) {
+            const date = new Date(asOf);
+            if (Number.isNaN(date.getTime())) {
+                return next(new ApiError(400, '"asOf" must be an ISO 8601 date or date-time'));
+            }
+            criteria.asOf = date;
+        }
+
+        const db = await getStorage().getDatabase();
+        const isPinned = criteria.version !== undefined || criteria.asOf !== undefined;
+        const resolved = isPinned ? await findSnapshot(db, criteria) : await getActiveSnapshot(db);
+
+        if (isPinned && !resolved) {
+            return next(new ApiError(404, 'No dataset snapshot matches the requested snapshot/asOf'));
+        }
+
+        if (resolved) {
+            res.set('X-Snapshot-Version', String(resolved.version));
+        }
+
+        runWithContext({ snapshot: resolved || null }, next);
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    snapshotScope
+};
@@ -0,0 +1,21 @@
+/**
+ * File upload middleware
+ */
+
+const multer = require('multer');
+const datasetsConfig = require('../config/datasets');
+
+/**
+ * Accept a single dataset file in the `file` form field, kept in memory for parsing
+ */
+const uploadDatasetFile = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: datasetsConfig.uploads.maxFileSize,
+        files: 1
+    }
+}).single('file');
+
+module.exports = {
+    uploadDatasetFile
+};
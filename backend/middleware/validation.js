@@ -2,6 +2,10 @@
  * Request validation middleware
  */
 
+const { parsePeriodKey } = require('../utils/periods');
+const { BRIDGE_MOVEMENTS } = require('../utils/revenueBridge');
+const { parseListQuery } = require('../utils/listQuery');
+
 /**
  * Validate query parameters
  * @param {Object} schema - Validation schema
@@ -92,8 +96,12 @@ const sanitizeQuery = (req, res, next) => {
         if (req.query.page) {
             req.query.page = parseInt(req.query.page) || 1;
         }
-        if (req.query.minQ4Revenue) {
-            req.query.minQ4Revenue = parseFloat(req.query.minQ4Revenue) || 0;
+        // minQ4Revenue is the legacy name of minRevenue
+        if (req.query.minQ4Revenue && !req.query.minRevenue) {
+            req.query.minRevenue = req.query.minQ4Revenue;
+        }
+        if (req.query.minRevenue) {
+            req.query.minRevenue = parseFloat(req.query.minRevenue) || 0;
         }
         if (req.query.positiveGrowthOnly) {
             req.query.positiveGrowthOnly = req.query.positiveGrowthOnly === 'true';
@@ -105,9 +113,145 @@ const sanitizeQuery = (req, res, next) => {
     }
 };
 
+/**
+ * Validate the from/to/granularity period query parameters.
+ * On success the normalized range is exposed as req.periodRange.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validatePeriodRange = (req, res, next) => {
+    try {
+        const details = [];
+        const range = {};
+
+        ['from', 'to'].forEach(param => {
+            if (req.query[param] === undefined) return;
+
+            const period = parsePeriodKey(req.query[param]);
+            if (!period) {
+                details.push(`"${param}" must be a period such as 2024-Q3 or 2024-07`);
+                return;
+            }
+            range[param] = period.key;
+            range.granularity = range.granularity || period.granularity;
+        });
+
+        if (req.query.granularity !== undefined) {
+            if (!['quarter', 'month'].includes(req.query.granularity)) {
+                details.push('"granularity" must be one of quarter, month');
+            } else {
+                range.granularity = req.query.granularity;
+            }
+        }
+
+        const fromPeriod = range.from && parsePeriodKey(range.from);
+        const toPeriod = range.to && parsePeriodKey(range.to);
+        if (fromPeriod && toPeriod && fromPeriod.granularity !== toPeriod.granularity) {
+            details.push('"from" and "to" must use the same granularity');
+        }
+        if ([fromPeriod, toPeriod].some(period => period && range.granularity && period.granularity !== range.granularity)) {
+            details.push('"granularity" does not match the requested periods');
+        }
+
+        if (details.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Invalid period parameters',
+                    details
+                }
+            });
+        }
+
+        req.periodRange = range;
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Parse the shared filter/sort/fields/pagination query parameters of a list endpoint.
+ * On success the parsed query is exposed as req.listQuery.
+ * @param {string} listName - List name in config/listQueries
+ * @returns {Function} Express middleware
+ */
+const validateListQuery = (listName) => {
+    return (req, res, next) => {
+        try {
+            const { listQuery, errors } = parseListQuery(req.query, listName);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Invalid list query parameters',
+                        details: errors
+                    }
+                });
+            }
+
+            req.listQuery = listQuery;
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+};
+
+/**
+ * Validate the movement query parameter of the per-customer revenue bridge and map the older
+ * sortBy/sortOrder parameters onto the list query sort. Runs after validateListQuery('bridgeCustomers').
+ * On success the movement types are exposed as req.bridgeQuery.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateBridgeQuery = (req, res, next) => {
+    try {
+        const details = [];
+        const { movement, sortBy, sortOrder = 'desc' } = req.query;
+
+        const movements = movement === undefined
+            ? []
+            : String(movement).split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+        const unknownMovements = movements.filter(type => !BRIDGE_MOVEMENTS[type]);
+        if (unknownMovements.length > 0) {
+            details.push(`"movement" must be a comma separated list of ${Object.keys(BRIDGE_MOVEMENTS).join(', ')}`);
+        }
+
+        if (sortBy !== undefined && req.query.sort === undefined) {
+            const { listQuery, errors } = parseListQuery({ sort: `${sortOrder === 'asc' ? '' : '-'}${sortBy}` }, 'bridgeCustomers');
+            if (errors.length > 0 || !['asc', 'desc'].includes(sortOrder)) {
+                details.push('"sortBy" must be a bridge field and "sortOrder" one of asc, desc');
+            } else {
+                req.listQuery.sort = listQuery.sort;
+            }
+        }
+
+        if (details.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    message: 'Invalid bridge parameters',
+                    details
+                }
+            });
+        }
+
+        req.bridgeQuery = { movements };
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
 module.exports = {
     validateQuery,
     validateBody,
     validateParams,
-    sanitizeQuery
+    sanitizeQuery,
+    validatePeriodRange,
+    validateListQuery,
+    validateBridgeQuery
 }; 
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * Alert Rules Repository
+ * Threshold rules: a metric, a comparison, the customers it is limited to and the webhooks that are notified
+ */
+
+const crypto = require('crypto');
+const { createRepository } = require('./baseRepository');
+const { toPublicDelivery } = require('../delivery');
+const databaseConfig = require('../config/database');
+
+/**
+ * Shape a rule document for API responses (webhook secrets are never returned)
+ * @param {Object} document - Stored rule
+ * @returns {Object} Rule DTO
+ */
+const toRule = (document) => ({
+    id: document._id,
+    name: document.name,
+    description: document.description || null,
+    metric: document.metric,
+    operator: document.operator,
+    threshold: document.threshold,
+    subjects: document.subjects || [],
+    severity: document.severity,
+    enabled: document.enabled,
+    webhooks: (document.webhooks || []).map(toPublicDelivery),
+    lastEvaluatedAt: document.lastEvaluatedAt || null,
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt
+});
+
+const repository = createRepository({
+    collection: 'alertRules',
+    columns: {
+        id: '_id',
+        name: 'name',
+        metric: 'metric',
+        severity: 'severity',
+        enabled: 'enabled',
+        lastEvaluatedAt: 'lastEvaluatedAt',
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    },
+    types: { enabled: 'boolean' },
+    toDto: toRule
+});
+
+let indexesEnsured = false;
+
+/**
+ * Get the alert rules collection, creating its indexes on first use
+ * @returns {Promise<Object>} Collection
+ */
+const getStore = async () => {
+    const store = await repository.getCollection();
+    if (!indexesEnsured) {
+        for (const index of databaseConfig.indexes.alertRules) {
+            await store.createIndex(index.key, index.options || {});
+        }
+        indexesEnsured = true;
+    }
+    return store;
+};
+
+/**
+ * Find a stored rule
+ * @param {string} id - Rule id
+ * @returns {Promise<Object|null>} Stored rule or null
+ */
+const findById = async (id) => {
+    const store = await getStore();
+    return store.findOne({ _id: id });
+};
+
+/**
+ * Find the enabled rules
+ * @returns {Promise<Array>} Stored rules
+ */
+const findEnabled = async () => {
+    const store = await getStore();
+    return store.find({ enabled: true }).sort({ createdAt: 1 }).toArray();
+};
+
+/**
+ * Create a rule
+ * @param {Object} fields - { name, description, metric, operator, threshold, subjects, severity, enabled, webhooks }
+ * @returns {Promise<Object>} Stored rule
+ */
+const create = async (fields) => {
+    const store = await getStore();
+    const now = new Date().toISOString();
+    const document = {
+        _id: crypto.randomUUID(),
+        ...fields,
+        lastEvaluatedAt: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    await store.insertOne(document);
+    return document;
+};
+
+/**
+ * Update a rule
+ * @param {string} id - Rule id
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object|null>} Updated rule or null when it does not exist
+ */
+const update = async (id, changes) => {
+    const store = await getStore();
+    const result = await store.updateOne({ _id: id }, { $set: { ...changes, updatedAt: new Date().toISOString() } });
+    return result.matchedCount > 0 ? findById(id) : null;
+};
+
+/**
+ * Record when rules were evaluated
+ * @param {Array<string>} ids - Rule ids
+ * @param {string} evaluatedAt - Evaluation time (ISO 8601)
+ */
+const markEvaluated = async (ids, evaluatedAt) => {
+    const store = await getStore();
+    await store.updateMany({ _id: { $in: ids } }, { $set: { lastEvaluatedAt: evaluatedAt } });
+};
+
+/**
+ * Delete a rule
+ * @param {string} id - Rule id
+ * @returns {Promise<boolean>} Whether a rule was deleted
+ */
+const remove = async (id) => {
+    const store = await getStore();
+    const result = await store.deleteOne({ _id: id });
+    return result.deletedCount > 0;
+};
+
+module.exports = {
+    ...repository,
+    getCollection: getStore,
+    findById,
+    findEnabled,
+    create,
+    update,
+    markEvaluated,
+    remove
+};
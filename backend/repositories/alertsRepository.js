@@ -0,0 +1,149 @@
+/**
+ * Alerts Repository
+ * Alert history. A rule has at most one open alert per subject (customer, or none for overall metrics): it opens
+ * when the threshold is crossed, is kept up to date while the condition holds and is resolved once it no longer does.
+ */
+
+const crypto = require('crypto');
+const { createRepository } = require('./baseRepository');
+const databaseConfig = require('../config/database');
+
+/**
+ * Shape an alert document for API responses
+ * @param {Object} document - Stored alert
+ * @returns {Object} Alert DTO
+ */
+const toAlert = (document) => ({
+    id: document._id,
+    ruleId: document.ruleId,
+    ruleName: document.ruleName,
+    metric: document.metric,
+    subject: document.subject ?? null,
+    operator: document.operator,
+    threshold: document.threshold,
+    severity: document.severity,
+    status: document.status,
+    value: document.value,
+    triggerValue: document.triggerValue,
+    message: document.message,
+    snapshotVersion: document.snapshotVersion ?? null,
+    lastSnapshotVersion: document.lastSnapshotVersion ?? null,
+    triggeredAt: document.triggeredAt,
+    lastEvaluatedAt: document.lastEvaluatedAt,
+    resolvedAt: document.resolvedAt || null,
+    resolution: document.resolution || null,
+    notifications: document.notifications || []
+});
+
+const repository = createRepository({
+    collection: 'alerts',
+    columns: {
+        id: '_id',
+        ruleId: 'ruleId',
+        ruleName: 'ruleName',
+        metric: 'metric',
+        subject: 'subject',
+        severity: 'severity',
+        status: 'status',
+        value: 'value',
+        snapshotVersion: 'snapshotVersion',
+        triggeredAt: 'triggeredAt',
+        resolvedAt: 'resolvedAt'
+    },
+    types: { value: 'number', snapshotVersion: 'number' },
+    toDto: toAlert
+});
+
+let indexesEnsured = false;
+
+/**
+ * Get the alerts collection, creating its indexes on first use
+ * @returns {Promise<Object>} Collection
+ */
+const getStore = async () => {
+    const store = await repository.getCollection();
+    if (!indexesEnsured) {
+        for (const index of databaseConfig.indexes.alerts) {
+            await store.createIndex(index.key, index.options || {});
+        }
+        indexesEnsured = true;
+    }
+    return store;
+};
+
+/**
+ * Find a stored alert
+ * @param {string} id - Alert id
+ * @returns {Promise<Object|null>} Stored alert or null
+ */
+const findById = async (id) => {
+    const store = await getStore();
+    return store.findOne({ _id: id });
+};
+
+/**
+ * Find the open alerts of a rule
+ * @param {string} ruleId - Rule id
+ * @returns {Promise<Array>} Stored alerts
+ */
+const findOpen = async (ruleId) => {
+    const store = await getStore();
+    return store.find({ ruleId, status: 'open' }).toArray();
+};
+
+/**
+ * Open an alert
+ * @param {Object} fields - Alert fields
+ * @returns {Promise<Object>} Stored alert
+ */
+const open = async (fields) => {
+    const store = await getStore();
+    const document = {
+        _id: crypto.randomUUID(),
+        ...fields,
+        status: 'open',
+        triggerValue: fields.value,
+        resolvedAt: null,
+        resolution: null,
+        notifications: []
+    };
+    await store.insertOne(document);
+    return document;
+};
+
+/**
+ * Update an alert
+ * @param {string} id - Alert id
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object|null>} Updated alert or null when it does not exist
+ */
+const update = async (id, changes) => {
+    const store = await getStore();
+    const result = await store.updateOne({ _id: id }, { $set: changes });
+    return result.matchedCount > 0 ? findById(id) : null;
+};
+
+/**
+ * Resolve the open alerts of a rule without a new evaluation (e.g. when the rule is deleted)
+ * @param {string} ruleId - Rule id
+ * @param {string} resolution - Why the alerts were resolved
+ * @returns {Promise<number>} Number of alerts resolved
+ */
+const resolveOpen = async (ruleId, resolution) => {
+    const store = await getStore();
+    const result = await store.updateMany(
+        { ruleId, status: 'open' },
+        { $set: { status: 'resolved', resolvedAt: new Date().toISOString(), resolution } }
+    );
+    return result.modifiedCount;
+};
+
+module.exports = {
+    ...repository,
+    getCollection: getStore,
+    findById,
+    findOpen,
+    open,
+    update,
+    resolveOpen
+};
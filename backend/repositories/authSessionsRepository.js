@@ -0,0 +1,140 @@
+/**
+ * Auth Sessions Repository
+ * Login sessions. Each session holds the hash of its current refresh token; access tokens name their session,
+ * so revoking a session (logout) also ends its access tokens.
+ */
+
+const crypto = require('crypto');
+const { createRepository } = require('./baseRepository');
+const databaseConfig = require('../config/database');
+
+/**
+ * Shape a session document for API responses (the token hash is never returned)
+ * @param {Object} document - Stored session
+ * @returns {Object} Session DTO
+ */
+const toSession = (document) => ({
+    id: document._id,
+    userId: document.userId,
+    userAgent: document.userAgent || null,
+    ip: document.ip || null,
+    createdAt: document.createdAt,
+    lastUsedAt: document.lastUsedAt,
+    expiresAt: document.expiresAt,
+    revokedAt: document.revokedAt || null,
+    revokedReason: document.revokedReason || null
+});
+
+const repository = createRepository({
+    collection: 'authSessions',
+    columns: {
+        id: '_id',
+        userId: 'userId',
+        createdAt: 'createdAt',
+        lastUsedAt: 'lastUsedAt',
+        expiresAt: 'expiresAt',
+        revokedAt: 'revokedAt'
+    },
+    toDto: toSession
+});
+
+let indexesEnsured = false;
+
+/**
+ * Get the sessions collection, creating its indexes on first use
+ * @returns {Promise<Object>} Collection
+ */
+const getStore = async () => {
+    const store = await repository.getCollection();
+    if (!indexesEnsured) {
+        for (const index of databaseConfig.indexes.authSessions) {
+            await store.createIndex(index.key, index.options || {});
+        }
+        indexesEnsured = true;
+    }
+    return store;
+};
+
+/**
+ * Find a stored session
+ * @param {string} id - Session id
+ * @returns {Promise<Object|null>} Stored session or null
+ */
+const findById = async (id) => {
+    const store = await getStore();
+    return store.findOne({ _id: id });
+};
+
+/**
+ * Create a session
+ * @param {Object} fields - { userId, tokenHash, expiresAt, userAgent, ip }
+ * @returns {Promise<Object>} Stored session
+ */
+const create = async (fields) => {
+    const store = await getStore();
+    const now = new Date().toISOString();
+    const document = {
+        _id: crypto.randomUUID(),
+        ...fields,
+        createdAt: now,
+        lastUsedAt: now,
+        revokedAt: null,
+        revokedReason: null
+    };
+    await store.insertOne(document);
+    return document;
+};
+
+/**
+ * Replace the refresh token of an active session. Fails when the token was already replaced meanwhile, so a
+ * refresh token can only be used once.
+ * @param {string} id - Session id
+ * @param {string} currentHash - Hash of the refresh token being used
+ * @param {Object} changes - { tokenHash, expiresAt }
+ * @returns {Promise<boolean>} Whether the token was replaced
+ */
+const rotate = async (id, currentHash, changes) => {
+    const store = await getStore();
+    const result = await store.updateOne(
+        { _id: id, tokenHash: currentHash, revokedAt: null },
+        { $set: { ...changes, lastUsedAt: new Date().toISOString() } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke sessions
+ * @param {Object} filter - Stored-column filter (e.g. { _id } or { userId })
+ * @param {string} reason - Why the sessions were revoked
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revoke = async (filter, reason) => {
+    const store = await getStore();
+    const result = await store.updateMany(
+        { ...filter, revokedAt: null },
+        { $set: { revokedAt: new Date().toISOString(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Delete the sessions of a user that expired before a time
+ * @param {string} userId - User id
+ * @param {string} before - ISO 8601 time
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+const removeExpired = async (userId, before) => {
+    const store = await getStore();
+    const result = await store.deleteMany({ userId, expiresAt: { $lt: before } });
+    return result.deletedCount;
+};
+
+module.exports = {
+    ...repository,
+    getCollection: getStore,
+    findById,
+    create,
+    rotate,
+    revoke,
+    removeExpired
+};
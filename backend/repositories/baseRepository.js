@@ -0,0 +1,135 @@
+/**
+ * Base repository
+ * Owns the mapping between API field names and stored columns for one collection and shapes
+ * stored documents into the DTOs returned by the API. Documents are read through the configured
+ * storage adapter (see database/storage).
+ *
+ * A repository created with a `scope` only returns the rows of the request's data scope (set by the
+ * authenticate middleware for users limited to some countries and regions), so every total, share and
+ * "Others" bucket computed from its reads covers those rows only.
+ */
+
+const { getCollection } = require('../database/storage');
+const { declareColumns } = require('../database/storage/collectionColumns');
+const databaseConfig = require('../config/database');
+const { toMongoQuery, selectFields } = require('../utils/listQuery');
+const { getRequestContext } = require('../utils/requestContext');
+
+/**
+ * Create a repository for a collection
+ * @param {Object} options - Repository options
+ * @param {string} options.collection - Collection key in databaseConfig.collections
+ * @param {Object} options.columns - Map of API field name to stored column
+ * @param {Object} options.types - Optional; map of API field name to the type of its stored values ('number' or
+ *                                 'boolean'), the other columns hold strings. SQL storage keeps the columns in
+ *                                 table columns of these types
+ * @param {Function} options.toDto - Shapes a stored document for API responses
+ * @param {Function} options.scope - Optional; maps the request's data scope to the stored-column filter of
+ *                                   the rows it may read
+ * @returns {Object} Repository
+ */
+const createRepository = ({ collection, columns, types = {}, toDto, scope = null }) => {
+    Object.keys(types).forEach((field) => {
+        if (!columns[field]) {
+            throw new Error(`Unknown field '${field}' for collection '${collection}'`);
+        }
+    });
+    declareColumns(databaseConfig.collections[collection], Object.entries(columns).reduce((declared, [field, column]) => {
+        if (column !== '_id') declared[column] = types[field] || 'string';
+        return declared;
+    }, {}));
+
+    const getStore = () => getCollection(databaseConfig.collections[collection]);
+
+    /**
+     * Restrict a stored-column filter to the request's data scope
+     * @param {Object} filter - Filter
+     * @returns {Object} The filter, combined with the scope filter when the request has a data scope
+     */
+    const applyScope = (filter = {}) => {
+        const { dataScope } = getRequestContext();
+        if (!scope || !dataScope) return filter;
+
+        const scopeFilter = scope(dataScope);
+        return Object.keys(filter).length > 0 ? { $and: [filter, scopeFilter] } : scopeFilter;
+    };
+
+    /**
+     * Translate criteria keyed by API field names into a stored-column filter
+     * @param {Object} criteria - Field values or operator expressions (e.g. { period: { $in: [...] } })
+     * @returns {Object} Filter
+     */
+    const toFilter = (criteria = {}) => Object.entries(criteria).reduce((filter, [field, value]) => {
+        if (!columns[field]) {
+            throw new Error(`Unknown field '${field}' for collection '${collection}'`);
+        }
+        filter[columns[field]] = value;
+        return filter;
+    }, {});
+
+    /**
+     * Find stored documents
+     * @param {Object} criteria - Criteria keyed by API field names
+     * @returns {Promise<Array>} Stored documents
+     */
+    const findDocuments = async (criteria = {}) => {
+        const store = await getStore();
+        return store.find(applyScope(toFilter(criteria))).toArray();
+    };
+
+    /**
+     * Find documents shaped as DTOs
+     * @param {Object} criteria - Criteria keyed by API field names
+     * @returns {Promise<Array>} DTOs
+     */
+    const findAll = async (criteria = {}) => (await findDocuments(criteria)).map(toDto);
+
+    /**
+     * Find one document shaped as a DTO
+     * @param {Object} criteria - Criteria keyed by API field names
+     * @returns {Promise<Object|null>} DTO or null when nothing matches
+     */
+    const findOne = async (criteria = {}) => {
+        const store = await getStore();
+        const document = await store.findOne(applyScope(toFilter(criteria)));
+        return document ? toDto(document) : null;
+    };
+
+    /**
+     * Run a list query against the collection
+     * @param {Object} listQuery - Filter/sort/fields/pagination query (see utils/listQuery)
+     * @returns {Promise<Object>} { items, total } with DTOs for the requested page
+     */
+    const list = async (listQuery) => {
+        const store = await getStore();
+        const { filter: listFilter, sort, skip, limit } = toMongoQuery(listQuery, columns);
+        const filter = applyScope(listFilter);
+
+        const [documents, total] = await Promise.all([
+            store.find(filter).sort(sort).skip(skip).limit(limit).toArray(),
+            store.countDocuments(filter)
+        ]);
+
+        return {
+            items: documents.map(document => selectFields(toDto(document), listQuery.fields)),
+            total
+        };
+    };
+
+    return {
+        collection,
+        columns,
+        toDto,
+        getCollection: getStore,
+        toFilter,
+        applyScope,
+        findDocuments,
+        findAll,
+        findOne,
+        list
+    };
+};
+
+module.exports = {
+    createRepository
+};
@@ -0,0 +1,106 @@
+/**
+ * Chat Messages Repository
+ * Questions and answers of the analytics chat sessions, in order
+ */
+
+const crypto = require('crypto');
+const { createRepository } = require('./baseRepository');
+const databaseConfig = require('../config/database');
+
+/**
+ * Shape a chat message document for API responses
+ * @param {Object} document - Stored message
+ * @returns {Object} Chat message DTO
+ */
+const toChatMessage = (document) => ({
+    id: document._id,
+    sessionId: document.sessionId,
+    sequence: document.sequence,
+    role: document.role,
+    content: document.content,
+    ...(document.analysis && { analysis: document.analysis }),
+    createdAt: document.createdAt
+});
+
+const repository = createRepository({
+    collection: 'chatMessages',
+    columns: {
+        id: '_id',
+        sessionId: 'sessionId',
+        sequence: 'sequence',
+        role: 'role',
+        createdAt: 'createdAt'
+    },
+    types: { sequence: 'number' },
+    toDto: toChatMessage
+});
+
+let indexesEnsured = false;
+
+/**
+ * Get the messages collection, creating its indexes on first use
+ * @returns {Promise<Object>} Collection
+ */
+const getStore = async () => {
+    const store = await repository.getCollection();
+    if (!indexesEnsured) {
+        for (const index of databaseConfig.indexes.chatMessages) {
+            await store.createIndex(index.key, index.options || {});
+        }
+        indexesEnsured = true;
+    }
+    return store;
+};
+
+/**
+ * Get the messages of a session in order
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Array>} Message DTOs
+ */
+const findBySession = async (sessionId) => {
+    const store = await getStore();
+    const documents = await store.find({ sessionId }).sort({ sequence: 1 }).toArray();
+    return documents.map(toChatMessage);
+};
+
+/**
+ * Store messages of a session
+ * @param {string} sessionId - Session id
+ * @param {number} firstSequence - Sequence number of the first message (the session's message count)
+ * @param {Array} messages - Messages ({ role, content, analysis })
+ * @returns {Promise<Array>} Stored message DTOs
+ */
+const append = async (sessionId, firstSequence, messages) => {
+    const store = await getStore();
+    const now = new Date().toISOString();
+    const documents = messages.map((message, index) => ({
+        _id: crypto.randomUUID(),
+        sessionId,
+        sequence: firstSequence + index,
+        role: message.role,
+        content: message.content,
+        ...(message.analysis && { analysis: message.analysis }),
+        createdAt: now
+    }));
+    await store.insertMany(documents);
+    return documents.map(toChatMessage);
+};
+
+/**
+ * Delete every message of a session
+ * @param {string} sessionId - Session id
+ * @returns {Promise<number>} Number of messages deleted
+ */
+const removeBySession = async (sessionId) => {
+    const store = await getStore();
+    const result = await store.deleteMany({ sessionId });
+    return result.deletedCount;
+};
+
+module.exports = {
+    ...repository,
+    getCollection: getStore,
+    findBySession,
+    append,
+    removeBySession
+};
@@ -0,0 +1,134 @@
+/**
+ * Chat Sessions Repository
+ * Analytics chat sessions: owner, title, message count and the context carried over to follow-up questions.
+ * Sessions are private to their owner whatever the role: every read and change is filtered by user id.
+ */
+
+const crypto = require('crypto');
+const { createRepository } = require('./baseRepository');
+const databaseConfig = require('../config/database');
+
+/**
+ * Shape a chat session document for API responses
+ * @param {Object} document - Stored session
+ * @returns {Object} Chat session DTO
+ */
+const toChatSession = (document) => ({
+    id: document._id,
+    userId: document.userId || null,
+    title: document.title,
+    messageCount: document.messageCount || 0,
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt
+});
+
+const repository = createRepository({
+    collection: 'chatSessions',
+    columns: {
+        id: '_id',
+        userId: 'userId',
+        title: 'title',
+        messageCount: 'messageCount',
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    },
+    types: { messageCount: 'number' },
+    toDto: toChatSession
+});
+
+let indexesEnsured = false;
+
+/**
+ * Get the sessions collection, creating its indexes on first use
+ * @returns {Promise<Object>} Collection
+ */
+const getStore = async () => {
+    const store = await repository.getCollection();
+    if (!indexesEnsured) {
+        for (const index of databaseConfig.indexes.chatSessions) {
+            await store.createIndex(index.key, index.options || {});
+        }
+        indexesEnsured = true;
+    }
+    return store;
+};
+
+/**
+ * Find a stored session of a user, including its context
+ * @param {string} id - Session id
+ * @param {string} userId - Owner
+ * @returns {Promise<Object|null>} Stored session or null (also for another user's session)
+ */
+const findById = async (id, userId) => {
+    const store = await getStore();
+    return store.findOne({ _id: id, userId });
+};
+
+/**
+ * List the sessions of a user
+ * @param {string} userId - Owner
+ * @param {Object} listQuery - Filter/sort/fields/pagination query (see utils/listQuery)
+ * @returns {Promise<Object>} { items, total }
+ */
+const listByUser = async (userId, listQuery) => repository.list({
+    ...listQuery,
+    filters: [...listQuery.filters, { field: 'userId', operator: 'eq', value: userId }]
+});
+
+/**
+ * Create a session
+ * @param {Object} fields - { userId, title, autoTitle }
+ * @returns {Promise<Object>} Stored session
+ */
+const create = async ({ userId, title, autoTitle }) => {
+    const store = await getStore();
+    const now = new Date().toISOString();
+    const document = {
+        _id: crypto.randomUUID(),
+        userId,
+        title,
+        // Untitled sessions are named after their first question
+        autoTitle,
+        messageCount: 0,
+        context: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    await store.insertOne(document);
+    return document;
+};
+
+/**
+ * Update a session of a user
+ * @param {string} id - Session id
+ * @param {string} userId - Owner
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object|null>} Updated session or null when the user has no such session
+ */
+const update = async (id, userId, changes) => {
+    const store = await getStore();
+    const result = await store.updateOne({ _id: id, userId }, { $set: { ...changes, updatedAt: new Date().toISOString() } });
+    return result.matchedCount > 0 ? findById(id, userId) : null;
+};
+
+/**
+ * Delete a session of a user
+ * @param {string} id - Session id
+ * @param {string} userId - Owner
+ * @returns {Promise<boolean>} Whether a session was deleted
+ */
+const remove = async (id, userId) => {
+    const store = await getStore();
+    const result = await store.deleteOne({ _id: id, userId });
+    return result.deletedCount > 0;
+};
+
+module.exports = {
+    ...repository,
+    getCollection: getStore,
+    findById,
+    listByUser,
+    create,
+    update,
+    remove
+};
@@ -0,0 +1,32 @@
+/**
+ * Countries Repository
+ * Country revenue (dataset C)
+ */
+
+const { createRepository } = require('./baseRepository');
+const { transformData } = require('../utils/responseHandler');
+
+/**
+ * Shape a country document for API responses
+ * @param {Object} document - Stored country
+ * @returns {Object} Country DTO
+ */
+const toCountry = (document) => {
+    const yearlyRevenue = document['Yearly Revenue'] || 0;
+    return {
+        countryName: document.Country,
+        yearlyRevenue,
+        formattedRevenue: transformData.formatCurrency(yearlyRevenue)
+    };
+};
+
+module.exports = createRepository({
+    collection: 'countries',
+    columns: {
+        countryName: 'Country',
+        yearlyRevenue: 'Yearly Revenue'
+    },
+    types: { yearlyRevenue: 'number' },
+    toDto: toCountry,
+    scope: ({ countries }) => ({ Country: { $in: countries } })
+});
@@ -0,0 +1,79 @@
+/**
+ * Country Regions Repository
+ * Region each country belongs to, used to resolve the data scope of users limited to some regions.
+ * Assignments are kept by country name, independently of the dataset snapshots.
+ */
+
+const { createRepository } = require('./baseRepository');
+const databaseConfig = require('../config/database');
+
+/**
+ * Shape a country region document for API responses
+ * @param {Object} document - Stored assignment
+ * @returns {Object} Country region DTO
+ */
+const toCountryRegion = (document) => ({
+    countryName: document._id,
+    regionName: document.regionName,
+    updatedAt: document.updatedAt
+});
+
+const repository = createRepository({
+    collection: 'countryRegions',
+    columns: {
+        countryName: '_id',
+        regionName: 'regionName',
+        updatedAt: 'updatedAt'
+    },
+    toDto: toCountryRegion
+});
+
+let indexesEnsured = false;
+
+/**
+ * Get the country regions collection, creating its indexes on first use
+ * @returns {Promise<Object>} Collection
+ */
+const getStore = async () => {
+    const store = await repository.getCollection();
+    if (!indexesEnsured) {
+        for (const index of databaseConfig.indexes.countryRegions) {
+            await store.createIndex(index.key, index.options || {});
+        }
+        indexesEnsured = true;
+    }
+    return store;
+};
+
+/**
+ * Assign a country to a region (replaces its current region)
+ * @param {string} countryName - Country name as in the country dataset
+ * @param {string} regionName - Region name as in the region dataset
+ * @returns {Promise<void>}
+ */
+const assign = async (countryName, regionName) => {
+    const store = await getStore();
+    await store.updateOne(
+        { _id: countryName },
+        { $set: { regionName, updatedAt: new Date().toISOString() } },
+        { upsert: true }
+    );
+};
+
+/**
+ * Remove a country's region
+ * @param {string} countryName - Country name
+ * @returns {Promise<boolean>} Whether an assignment was removed
+ */
+const remove = async (countryName) => {
+    const store = await getStore();
+    const result = await store.deleteOne({ _id: countryName });
+    return result.deletedCount > 0;
+};
+
+module.exports = {
+    ...repository,
+    getCollection: getStore,
+    assign,
+    remove
+};
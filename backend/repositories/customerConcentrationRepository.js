@@ -0,0 +1,32 @@
+/**
+ * Customer Concentration Repository
+ * Total revenue per customer (dataset E)
+ */
+
+const { createRepository } = require('./baseRepository');
+const { transformData } = require('../utils/responseHandler');
+
+/**
+ * Shape a customer concentration document for API responses
+ * @param {Object} document - Stored customer
+ * @returns {Object} Customer DTO
+ */
+const toCustomer = (document) => {
+    const totalRevenue = document['Total Revenue'] || 0;
+    return {
+        customerName: document['Customer Name'],
+        totalRevenue,
+        formattedRevenue: transformData.formatCurrency(totalRevenue)
+    };
+};
+
+module.exports = createRepository({
+    collection: 'customerConcentration',
+    columns: {
+        customerName: 'Customer Name',
+        totalRevenue: 'Total Revenue'
+    },
+    types: { totalRevenue: 'number' },
+    toDto: toCustomer,
+    scope: ({ customers }) => ({ 'Customer Name': { $in: customers } })
+});
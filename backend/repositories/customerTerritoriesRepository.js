@@ -0,0 +1,82 @@
+/**
+ * Customer Territories Repository
+ * Country and/or region each customer belongs to (the customer datasets carry neither), used to resolve the
+ * data scope of users limited to some countries and regions. Assignments are kept by customer name,
+ * independently of the dataset snapshots.
+ */
+
+const { createRepository } = require('./baseRepository');
+const databaseConfig = require('../config/database');
+
+/**
+ * Shape a customer territory document for API responses
+ * @param {Object} document - Stored assignment
+ * @returns {Object} Customer territory DTO
+ */
+const toCustomerTerritory = (document) => ({
+    customerName: document._id,
+    countryName: document.countryName || null,
+    regionName: document.regionName || null,
+    updatedAt: document.updatedAt
+});
+
+const repository = createRepository({
+    collection: 'customerTerritories',
+    columns: {
+        customerName: '_id',
+        countryName: 'countryName',
+        regionName: 'regionName',
+        updatedAt: 'updatedAt'
+    },
+    toDto: toCustomerTerritory
+});
+
+let indexesEnsured = false;
+
+/**
+ * Get the customer territories collection, creating its indexes on first use
+ * @returns {Promise<Object>} Collection
+ */
+const getStore = async () => {
+    const store = await repository.getCollection();
+    if (!indexesEnsured) {
+        for (const index of databaseConfig.indexes.customerTerritories) {
+            await store.createIndex(index.key, index.options || {});
+        }
+        indexesEnsured = true;
+    }
+    return store;
+};
+
+/**
+ * Assign a customer to a country and/or region (replaces its current territory)
+ * @param {string} customerName - Customer name as in the customer datasets
+ * @param {Object} territory - { countryName, regionName } (either may be null)
+ * @returns {Promise<void>}
+ */
+const assign = async (customerName, { countryName, regionName }) => {
+    const store = await getStore();
+    await store.updateOne(
+        { _id: customerName },
+        { $set: { countryName, regionName, updatedAt: new Date().toISOString() } },
+        { upsert: true }
+    );
+};
+
+/**
+ * Remove a customer's territory
+ * @param {string} customerName - Customer name
+ * @returns {Promise<boolean>} Whether an assignment was removed
+ */
+const remove = async (customerName) => {
+    const store = await getStore();
+    const result = await store.deleteOne({ _id: customerName });
+    return result.deletedCount > 0;
+};
+
+module.exports = {
+    ...repository,
+    getCollection: getStore,
+    assign,
+    remove
+};
@@ -0,0 +1,42 @@
+/**
+ * Main repositories index file
+ * Exports all repository modules
+ */
+
+const countriesRepository = require('./countriesRepository');
+const regionsRepository = require('./regionsRepository');
+const customerConcentrationRepository = require('./customerConcentrationRepository');
+const revenuePeriodsRepository = require('./revenuePeriodsRepository');
+const revenueBridgeRepository = require('./revenueBridgeRepository');
+const chatSessionsRepository = require('./chatSessionsRepository');
+const chatMessagesRepository = require('./chatMessagesRepository');
+const promptsRepository = require('./promptsRepository');
+const schedulesRepository = require('./schedulesRepository');
+const jobsRepository = require('./jobsRepository');
+const alertRulesRepository = require('./alertRulesRepository');
+const alertsRepository = require('./alertsRepository');
+const usersRepository = require('./usersRepository');
+const authSessionsRepository = require('./authSessionsRepository');
+const passwordResetsRepository = require('./passwordResetsRepository');
+const countryRegionsRepository = require('./countryRegionsRepository');
+const customerTerritoriesRepository = require('./customerTerritoriesRepository');
+
+module.exports = {
+    countriesRepository,
+    regionsRepository,
+    customerConcentrationRepository,
+    revenuePeriodsRepository,
+    revenueBridgeRepository,
+    chatSessionsRepository,
+    chatMessagesRepository,
+    promptsRepository,
+    schedulesRepository,
+    jobsRepository,
+    alertRulesRepository,
+    alertsRepository,
+    usersRepository,
+    authSessionsRepository,
+    passwordResetsRepository,
+    countryRegionsRepository,
+    customerTerritoriesRepository
+};
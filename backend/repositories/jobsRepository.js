@@ -0,0 +1,183 @@
+/**
+ * Jobs Repository
+ * Persistent job queue of scheduled reports and alert notifications. A job moves from pending to running (claimed
+ * by one worker) and ends as succeeded or failed; failed attempts go back to pending with a later run time until
+ * none are left.
+ */
+
+const crypto = require('crypto');
+const { createRepository } = require('./baseRepository');
+const { toPublicDelivery } = require('../delivery');
+const databaseConfig = require('../config/database');
+
+/**
+ * Shape a job document for API responses (webhook secrets are never returned)
+ * @param {Object} document - Stored job
+ * @returns {Object} Job DTO
+ */
+const toJob = (document) => ({
+    id: document._id,
+    type: document.type || 'report',
+    scheduleId: document.scheduleId || null,
+    scheduleName: document.scheduleName || null,
+    trigger: document.trigger,
+    status: document.status,
+    scheduledFor: document.scheduledFor,
+    runAt: document.runAt,
+    attempts: document.attempts || 0,
+    maxAttempts: document.maxAttempts,
+    snapshotVersion: document.snapshotVersion || null,
+    alertId: document.alertId || null,
+    ...(document.payload && { payload: document.payload }),
+    reports: document.reports || [],
+    deliveries: (document.deliveries || []).map(toPublicDelivery),
+    files: document.files || [],
+    lastError: document.lastError || null,
+    startedAt: document.startedAt || null,
+    completedAt: document.completedAt || null,
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt
+});
+
+const repository = createRepository({
+    collection: 'jobs',
+    columns: {
+        id: '_id',
+        type: 'type',
+        scheduleId: 'scheduleId',
+        alertId: 'alertId',
+        trigger: 'trigger',
+        status: 'status',
+        scheduledFor: 'scheduledFor',
+        runAt: 'runAt',
+        attempts: 'attempts',
+        createdAt: 'createdAt',
+        completedAt: 'completedAt'
+    },
+    types: { attempts: 'number' },
+    toDto: toJob
+});
+
+let indexesEnsured = false;
+
+/**
+ * Get the jobs collection, creating its indexes on first use
+ * @returns {Promise<Object>} Collection
+ */
+const getStore = async () => {
+    const store = await repository.getCollection();
+    if (!indexesEnsured) {
+        for (const index of databaseConfig.indexes.jobs) {
+            await store.createIndex(index.key, index.options || {});
+        }
+        indexesEnsured = true;
+    }
+    return store;
+};
+
+/**
+ * Find a stored job
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} Stored job or null
+ */
+const findById = async (id) => {
+    const store = await getStore();
+    return store.findOne({ _id: id });
+};
+
+/**
+ * Enqueue a job. A scheduled run has a fixed id (schedule and run time), so enqueueing it twice keeps one job.
+ * @param {Object} fields - Job fields; `id` is optional
+ * @returns {Promise<Object>} { job (stored job), created (false when the job already existed) }
+ */
+const enqueue = async ({ id, ...fields }) => {
+    const store = await getStore();
+    const now = new Date().toISOString();
+    const document = {
+        _id: id || crypto.randomUUID(),
+        ...fields,
+        status: 'pending',
+        attempts: 0,
+        lockedBy: null,
+        lockedAt: null,
+        lastError: null,
+        startedAt: null,
+        completedAt: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    try {
+        await store.insertOne(document);
+        return { job: document, created: true };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        return { job: await findById(document._id), created: false };
+    }
+};
+
+/**
+ * Find pending jobs whose run time has come
+ * @param {string} now - Current time (ISO 8601)
+ * @param {number} limit - Largest number of jobs
+ * @returns {Promise<Array>} Stored jobs, earliest first
+ */
+const findRunnable = async (now, limit) => {
+    const store = await getStore();
+    return store.find({ status: 'pending', runAt: { $lte: now } }).sort({ runAt: 1 }).limit(limit).toArray();
+};
+
+/**
+ * Claim a pending job for a worker. Only one worker can claim a job: the update matches while it is pending.
+ * @param {string} id - Job id
+ * @param {string} workerId - Worker claiming the job
+ * @returns {Promise<Object|null>} Claimed job (attempt counted) or null when another worker was first
+ */
+const claim = async (id, workerId) => {
+    const store = await getStore();
+    const now = new Date().toISOString();
+    const result = await store.updateOne(
+        { _id: id, status: 'pending' },
+        { $set: { status: 'running', lockedBy: workerId, lockedAt: now, startedAt: now, updatedAt: now }, $inc: { attempts: 1 } }
+    );
+    return result.matchedCount > 0 ? findById(id) : null;
+};
+
+/**
+ * Return running jobs whose worker stopped (lock older than `before`) to the queue
+ * @param {string} before - Lock time limit (ISO 8601)
+ * @returns {Promise<number>} Number of jobs returned to the queue
+ */
+const releaseStale = async (before) => {
+    const store = await getStore();
+    const now = new Date().toISOString();
+    const result = await store.updateMany(
+        { status: 'running', lockedAt: { $lt: before } },
+        { $set: { status: 'pending', runAt: now, lockedBy: null, lockedAt: null, lastError: 'The worker stopped before the job finished', updatedAt: now } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Update a job
+ * @param {string} id - Job id
+ * @param {Object} changes - Fields to set
+ * @param {Object} criteria - Extra conditions (e.g. { status: 'failed' })
+ * @returns {Promise<Object|null>} Updated job or null when no job matched
+ */
+const update = async (id, changes, criteria = {}) => {
+    const store = await getStore();
+    const result = await store.updateOne({ ...criteria, _id: id }, { $set: { ...changes, updatedAt: new Date().toISOString() } });
+    return result.matchedCount > 0 ? findById(id) : null;
+};
+
+module.exports = {
+    ...repository,
+    getCollection: getStore,
+    findById,
+    enqueue,
+    findRunnable,
+    claim,
+    releaseStale,
+    update
+};
@@ -0,0 +1,101 @@
+/**
+ * Password Resets Repository
+ * Single-use password reset tokens. Only the SHA-256 hash of a token is stored (as its id), so the tokens
+ * cannot be read back from the database.
+ */
+
+const { createRepository } = require('./baseRepository');
+const databaseConfig = require('../config/database');
+
+/**
+ * Shape a reset document for API responses
+ * @param {Object} document - Stored reset
+ * @returns {Object} Reset DTO
+ */
+const toPasswordReset = (document) => ({
+    userId: document.userId,
+    createdAt: document.createdAt,
+    expiresAt: document.expiresAt,
+    usedAt: document.usedAt || null
+});
+
+const repository = createRepository({
+    collection: 'passwordResets',
+    columns: {
+        userId: 'userId',
+        createdAt: 'createdAt',
+        expiresAt: 'expiresAt',
+        usedAt: 'usedAt'
+    },
+    toDto: toPasswordReset
+});
+
+let indexesEnsured = false;
+
+/**
+ * Get the password resets collection, creating its indexes on first use
+ * @returns {Promise<Object>} Collection
+ */
+const getStore = async () => {
+    const store = await repository.getCollection();
+    if (!indexesEnsured) {
+        for (const index of databaseConfig.indexes.passwordResets) {
+            await store.createIndex(index.key, index.options || {});
+        }
+        indexesEnsured = true;
+    }
+    return store;
+};
+
+/**
+ * Store a reset token. Earlier unused tokens of the user are discarded, so only the latest one works.
+ * @param {Object} fields - { tokenHash, userId, expiresAt }
+ * @returns {Promise<Object>} Stored reset
+ */
+const create = async ({ tokenHash, userId, expiresAt }) => {
+    const store = await getStore();
+    await store.deleteMany({ userId, usedAt: null });
+    const document = {
+        _id: tokenHash,
+        userId,
+        expiresAt,
+        usedAt: null,
+        createdAt: new Date().toISOString()
+    };
+    await store.insertOne(document);
+    return document;
+};
+
+/**
+ * Mark an unused, unexpired reset token as used
+ * @param {string} tokenHash - Hash of the token
+ * @param {string} now - Current time (ISO 8601)
+ * @returns {Promise<Object|null>} The reset, or null when the token is unknown, used or expired
+ */
+const consume = async (tokenHash, now) => {
+    const store = await getStore();
+    const result = await store.updateOne(
+        { _id: tokenHash, usedAt: null, expiresAt: { $gt: now } },
+        { $set: { usedAt: now } }
+    );
+    return result.modifiedCount > 0 ? store.findOne({ _id: tokenHash }) : null;
+};
+
+/**
+ * Delete the reset tokens of a user
+ * @param {string} userId - User id
+ * @returns {Promise<number>} Number of tokens deleted
+ */
+const removeForUser = async (userId) => {
+    const store = await getStore();
+    const result = await store.deleteMany({ userId });
+    return result.deletedCount;
+};
+
+module.exports = {
+    ...repository,
+    getCollection: getStore,
+    create,
+    consume,
+    removeForUser
+};
@@ -0,0 +1,140 @@
+/**
+ * Prompts Repository
+ * Prompt library: curated questions, optionally with template parameters, grouped by category
+ */
+
+const { createRepository } = require('./baseRepository');
+const databaseConfig = require('../config/database');
+const { createPromptDocument } = require('../database/promptLibrary');
+
+/**
+ * Shape a prompt document for API responses
+ * @param {Object} document - Stored prompt
+ * @returns {Object} Prompt DTO
+ */
+const toPrompt = (document) => ({
+    id: document._id,
+    title: document.title,
+    description: document.description || null,
+    category: document.category,
+    owner: document.owner || null,
+    template: document.template,
+    parameters: document.parameters || [],
+    usageCount: document.usageCount || 0,
+    lastUsedAt: document.lastUsedAt || null,
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt
+});
+
+const repository = createRepository({
+    collection: 'prompts',
+    columns: {
+        id: '_id',
+        title: 'title',
+        category: 'category',
+        owner: 'owner',
+        usageCount: 'usageCount',
+        lastUsedAt: 'lastUsedAt',
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    },
+    types: { usageCount: 'number' },
+    toDto: toPrompt
+});
+
+let indexesEnsured = false;
+
+/**
+ * Get the prompts collection, creating its indexes on first use
+ * @returns {Promise<Object>} Collection
+ */
+const getStore = async () => {
+    const store = await repository.getCollection();
+    if (!indexesEnsured) {
+        for (const index of databaseConfig.indexes.prompts) {
+            await store.createIndex(index.key, index.options || {});
+        }
+        indexesEnsured = true;
+    }
+    return store;
+};
+
+/**
+ * Find a stored prompt
+ * @param {string} id - Prompt id
+ * @returns {Promise<Object|null>} Stored prompt or null
+ */
+const findById = async (id) => {
+    const store = await getStore();
+    return store.findOne({ _id: id });
+};
+
+/**
+ * Create a prompt
+ * @param {Object} fields - { title, description, category, owner, template, parameters }
+ * @returns {Promise<Object>} Stored prompt
+ */
+const create = async (fields) => {
+    const store = await getStore();
+    const document = createPromptDocument(fields);
+    await store.insertOne(document);
+    return document;
+};
+
+/**
+ * Update a prompt
+ * @param {string} id - Prompt id
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object|null>} Updated prompt or null when it does not exist
+ */
+const update = async (id, changes) => {
+    const store = await getStore();
+    const result = await store.updateOne({ _id: id }, { $set: { ...changes, updatedAt: new Date().toISOString() } });
+    return result.matchedCount > 0 ? findById(id) : null;
+};
+
+/**
+ * Count one use of a prompt
+ * @param {string} id - Prompt id
+ * @returns {Promise<boolean>} Whether the prompt exists
+ */
+const recordUsage = async (id) => {
+    const store = await getStore();
+    const result = await store.updateOne({ _id: id }, { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date().toISOString() } });
+    return result.matchedCount > 0;
+};
+
+/**
+ * Delete a prompt
+ * @param {string} id - Prompt id
+ * @returns {Promise<boolean>} Whether a prompt was deleted
+ */
+const remove = async (id) => {
+    const store = await getStore();
+    const result = await store.deleteOne({ _id: id });
+    return result.deletedCount > 0;
+};
+
+/**
+ * Count the prompts of every category
+ * @returns {Promise<Array>} Categories ({ category, prompts }) by name
+ */
+const countByCategory = async () => {
+    const store = await getStore();
+    const categories = (await store.distinct('category')).filter(Boolean).sort((a, b) => a.localeCompare(b));
+    return Promise.all(categories.map(async category => ({
+        category,
+        prompts: await store.countDocuments({ category })
+    })));
+};
+
+module.exports = {
+    ...repository,
+    getCollection: getStore,
+    findById,
+    create,
+    update,
+    recordUsage,
+    remove,
+    countByCategory
+};
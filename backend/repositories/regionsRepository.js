@@ -0,0 +1,34 @@
+/**
+ * Regions Repository
+ * Region revenue (dataset D)
+ */
+
+const { createRepository } = require('./baseRepository');
+const { transformData } = require('../utils/responseHandler');
+
+/**
+ * Shape a region document for API responses.
+ * Regions without revenue report 0 with hasData set to false.
+ * @param {Object} document - Stored region
+ * @returns {Object} Region DTO
+ */
+const toRegion = (document) => {
+    const yearlyRevenue = document['Yearly Revenue'] || 0;
+    return {
+        regionName: document.Region,
+        yearlyRevenue,
+        hasData: document['Yearly Revenue'] !== null && document['Yearly Revenue'] !== undefined,
+        formattedRevenue: transformData.formatCurrency(yearlyRevenue)
+    };
+};
+
+module.exports = createRepository({
+    collection: 'regions',
+    columns: {
+        regionName: 'Region',
+        yearlyRevenue: 'Yearly Revenue'
+    },
+    types: { yearlyRevenue: 'number' },
+    toDto: toRegion,
+    scope: ({ regions }) => ({ Region: { $in: regions } })
+});
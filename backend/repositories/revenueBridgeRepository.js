@@ -0,0 +1,76 @@
+/**
+ * Revenue Bridge Repository
+ * Revenue movements per customer between the two bridge periods (dataset B)
+ */
+
+const { createRepository } = require('./baseRepository');
+const { transformData } = require('../utils/responseHandler');
+const { BRIDGE_MOVEMENTS, buildCustomerBridge } = require('../utils/revenueBridge');
+
+/**
+ * Shape a per-customer bridge movement for API responses
+ * @param {Object} customer - Customer bridge movement (see utils/revenueBridge)
+ * @returns {Object} Bridge customer DTO
+ */
+const toBridgeCustomer = (customer) => ({
+    customerName: customer.customerName,
+    startRevenue: customer.startRevenue,
+    newRevenue: customer.newRevenue,
+    expansionRevenue: customer.expansionRevenue,
+    churnedRevenue: customer.churnedRevenue,
+    contractionRevenue: customer.contractionRevenue,
+    endRevenue: customer.endRevenue,
+    netChange: customer.netChange,
+    netMovement: customer.netMovement,
+    residual: customer.residual,
+    movementTypes: customer.movementTypes,
+    formattedStartRevenue: transformData.formatCurrency(customer.startRevenue),
+    formattedEndRevenue: transformData.formatCurrency(customer.endRevenue),
+    formattedNetChange: transformData.formatCurrency(customer.netChange)
+});
+
+const repository = createRepository({
+    collection: 'revenueBridge',
+    columns: {
+        customerName: 'Customer Name',
+        ...Object.values(BRIDGE_MOVEMENTS).reduce((columns, movement) => {
+            columns[movement.field] = movement.column;
+            return columns;
+        }, {})
+    },
+    types: Object.values(BRIDGE_MOVEMENTS).reduce((types, movement) => {
+        types[movement.field] = 'number';
+        return types;
+    }, {}),
+    // Bridge rows carry one revenue column per period, so documents are shaped per customer by findCustomerBridge
+    toDto: (document) => document,
+    scope: ({ customers }) => ({ 'Customer Name': { $in: customers } })
+});
+
+/**
+ * Build per-customer movements from every bridge row
+ * @returns {Promise<Object>} { startPeriod, endPeriod, customers }
+ */
+const findCustomerBridge = async () => buildCustomerBridge(await repository.findDocuments());
+
+/**
+ * Total each movement over the customers of the data scope. Totals come from the per-customer bridge, so a
+ * churned customer's loss is counted once (see utils/revenueBridge), as in the waterfall and retention metrics.
+ * @returns {Promise<Object|null>} Totals (positive magnitudes) keyed by movement field, or null when the bridge is empty
+ */
+const sumMovements = async () => {
+    const { customers } = await findCustomerBridge();
+    if (customers.length === 0) return null;
+
+    return Object.values(BRIDGE_MOVEMENTS).reduce((totals, movement) => {
+        totals[movement.field] = customers.reduce((sum, customer) => sum + customer[movement.field], 0);
+        return totals;
+    }, {});
+};
+
+module.exports = {
+    ...repository,
+    toBridgeCustomer,
+    findCustomerBridge,
+    sumMovements
+};
@@ -0,0 +1,160 @@
+/**
+ * Revenue Periods Repository
+ * Normalized revenue per customer and period (built from dataset A at import)
+ */
+
+const { createRepository } = require('./baseRepository');
+const { transformData } = require('../utils/responseHandler');
+const { comparePeriods } = require('../utils/periods');
+
+/**
+ * Shape a revenue period row
+ * @param {Object} document - Stored revenue period row
+ * @returns {Object} Revenue period DTO
+ */
+const toRevenuePeriod = (document) => ({
+    customerName: document.customerName,
+    period: document.period,
+    granularity: document.granularity,
+    revenue: document.revenue || 0
+});
+
+const repository = createRepository({
+    collection: 'revenuePeriods',
+    columns: {
+        customerName: 'customerName',
+        period: 'period',
+        granularity: 'granularity',
+        revenue: 'revenue'
+    },
+    types: { revenue: 'number' },
+    toDto: toRevenuePeriod,
+    scope: ({ customers }) => ({ customerName: { $in: customers } })
+});
+
+/**
+ * Calculate absolute and percentage variance between two revenue figures
+ * @param {number} fromRevenue - Revenue for the start period
+ * @param {number} toRevenue - Revenue for the end period
+ * @returns {Object} Variance and percentage variance (null when the start is zero)
+ */
+const calculateVariance = (fromRevenue, toRevenue) => {
+    const variance = toRevenue - fromRevenue;
+    const percentageVariance = fromRevenue !== 0 ? (variance / Math.abs(fromRevenue)) * 100 : null;
+    return { variance, percentageVariance };
+};
+
+/**
+ * Classify a variance as positive, negative or neutral growth
+ * @param {number} variance - Revenue variance
+ * @returns {string} Growth status
+ */
+const getGrowthStatus = (variance) => (variance > 0 ? 'positive' : variance < 0 ? 'negative' : 'neutral');
+
+/**
+ * Shape a customer period comparison for API responses
+ * @param {Object} row - Customer comparison row
+ * @returns {Object} Customer comparison DTO
+ */
+const toCustomerComparison = (row) => ({
+    customerName: row.customerName,
+    fromPeriod: row.fromPeriod,
+    toPeriod: row.toPeriod,
+    fromRevenue: row.fromRevenue,
+    toRevenue: row.toRevenue,
+    variance: row.variance,
+    percentageVariance: row.percentageVariance || 0,
+    growthStatus: getGrowthStatus(row.variance),
+    formattedFromRevenue: transformData.formatCurrency(row.fromRevenue),
+    formattedToRevenue: transformData.formatCurrency(row.toRevenue),
+    formattedVariance: transformData.formatCurrency(row.variance),
+    formattedPercentage: transformData.formatPercentage(row.percentageVariance || 0)
+});
+
+/**
+ * Get the periods present for a granularity
+ * @param {string} granularity - Period granularity
+ * @returns {Promise<Array>} Period keys in chronological order
+ */
+const findPeriods = async (granularity) => {
+    const store = await repository.getCollection();
+    const periods = await store.distinct('period', repository.applyScope({ granularity }));
+    return periods.sort(comparePeriods);
+};
+
+/**
+ * Get the names of every customer with revenue rows
+ * @returns {Promise<Array>} Customer names
+ */
+const findCustomerNames = async () => {
+    const store = await repository.getCollection();
+    return store.distinct('customerName', repository.applyScope());
+};
+
+/**
+ * Sum revenue per period
+ * @param {string} granularity - Period granularity
+ * @param {Array<string>} periods - Optional list of periods to restrict the totals to
+ * @returns {Promise<Object>} Map of period key to total revenue
+ */
+const sumByPeriod = async (granularity, periods = null) => {
+    const store = await repository.getCollection();
+    const match = repository.applyScope(repository.toFilter({
+        granularity,
+        ...(periods && { period: { $in: periods } })
+    }));
+
+    const totals = await store.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$period',
+                revenue: { $sum: { $ifNull: ['$revenue', 0] } }
+            }
+        }
+    ]).toArray();
+
+    return totals.reduce((map, item) => {
+        map[item._id] = item.revenue;
+        return map;
+    }, {});
+};
+
+/**
+ * Compare every customer's revenue between two periods
+ * @param {Object} range - Resolved period range ({ from, to, granularity })
+ * @returns {Promise<Array>} Unformatted comparison rows (one per customer)
+ */
+const compareCustomers = async ({ from, to, granularity }) => {
+    const rows = await repository.findAll({ granularity, period: { $in: [from, to] } });
+
+    // Pivot the normalized rows into one comparison per customer
+    const byCustomer = new Map();
+    rows.forEach(row => {
+        const entry = byCustomer.get(row.customerName) || {
+            customerName: row.customerName,
+            fromPeriod: from,
+            toPeriod: to,
+            fromRevenue: 0,
+            toRevenue: 0
+        };
+        if (row.period === from) entry.fromRevenue += row.revenue;
+        if (row.period === to) entry.toRevenue += row.revenue;
+        byCustomer.set(row.customerName, entry);
+    });
+
+    return Array.from(byCustomer.values()).map(entry => {
+        const { variance, percentageVariance } = calculateVariance(entry.fromRevenue, entry.toRevenue);
+        return { ...entry, variance, percentageVariance, growthStatus: getGrowthStatus(variance) };
+    });
+};
+
+module.exports = {
+    ...repository,
+    calculateVariance,
+    toCustomerComparison,
+    findPeriods,
+    findCustomerNames,
+    sumByPeriod,
+    compareCustomers
+};
@@ -0,0 +1,148 @@
+/**
+ * Schedules Repository
+ * Report schedules: cron expression, time zone, the reports to generate and where to deliver them
+ */
+
+const crypto = require('crypto');
+const { createRepository } = require('./baseRepository');
+const { toPublicDelivery } = require('../delivery');
+const databaseConfig = require('../config/database');
+
+/**
+ * Shape a schedule document for API responses (webhook secrets are never returned)
+ * @param {Object} document - Stored schedule
+ * @returns {Object} Schedule DTO
+ */
+const toSchedule = (document) => ({
+    id: document._id,
+    name: document.name,
+    cron: document.cron,
+    timezone: document.timezone,
+    enabled: document.enabled,
+    reports: document.reports || [],
+    deliveries: (document.deliveries || []).map(toPublicDelivery),
+    nextRunAt: document.nextRunAt || null,
+    lastRunAt: document.lastRunAt || null,
+    lastJobId: document.lastJobId || null,
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt
+});
+
+const repository = createRepository({
+    collection: 'schedules',
+    columns: {
+        id: '_id',
+        name: 'name',
+        enabled: 'enabled',
+        nextRunAt: 'nextRunAt',
+        lastRunAt: 'lastRunAt',
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    },
+    types: { enabled: 'boolean' },
+    toDto: toSchedule
+});
+
+let indexesEnsured = false;
+
+/**
+ * Get the schedules collection, creating its indexes on first use
+ * @returns {Promise<Object>} Collection
+ */
+const getStore = async () => {
+    const store = await repository.getCollection();
+    if (!indexesEnsured) {
+        for (const index of databaseConfig.indexes.schedules) {
+            await store.createIndex(index.key, index.options || {});
+        }
+        indexesEnsured = true;
+    }
+    return store;
+};
+
+/**
+ * Find a stored schedule
+ * @param {string} id - Schedule id
+ * @returns {Promise<Object|null>} Stored schedule or null
+ */
+const findById = async (id) => {
+    const store = await getStore();
+    return store.findOne({ _id: id });
+};
+
+/**
+ * Find the enabled schedules whose next run is due
+ * @param {string} now - Current time (ISO 8601)
+ * @returns {Promise<Array>} Stored schedules, earliest first
+ */
+const findDue = async (now) => {
+    const store = await getStore();
+    return store.find({ enabled: true, nextRunAt: { $lte: now } }).sort({ nextRunAt: 1 }).toArray();
+};
+
+/**
+ * Create a schedule
+ * @param {Object} fields - { name, cron, timezone, enabled, reports, deliveries, nextRunAt }
+ * @returns {Promise<Object>} Stored schedule
+ */
+const create = async (fields) => {
+    const store = await getStore();
+    const now = new Date().toISOString();
+    const document = {
+        _id: crypto.randomUUID(),
+        ...fields,
+        lastRunAt: null,
+        lastJobId: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    await store.insertOne(document);
+    return document;
+};
+
+/**
+ * Update a schedule
+ * @param {string} id - Schedule id
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object|null>} Updated schedule or null when it does not exist
+ */
+const update = async (id, changes) => {
+    const store = await getStore();
+    const result = await store.updateOne({ _id: id }, { $set: { ...changes, updatedAt: new Date().toISOString() } });
+    return result.matchedCount > 0 ? findById(id) : null;
+};
+
+/**
+ * Move a schedule to its next run, unless another worker already did
+ * @param {string} id - Schedule id
+ * @param {string} dueAt - Run time the caller enqueued (ISO 8601)
+ * @param {Object} changes - { nextRunAt, lastRunAt, lastJobId }
+ * @returns {Promise<boolean>} Whether the schedule was still due at `dueAt`
+ */
+const advance = async (id, dueAt, changes) => {
+    const store = await getStore();
+    const result = await store.updateOne({ _id: id, nextRunAt: dueAt }, { $set: changes });
+    return result.matchedCount > 0;
+};
+
+/**
+ * Delete a schedule
+ * @param {string} id - Schedule id
+ * @returns {Promise<boolean>} Whether a schedule was deleted
+ */
+const remove = async (id) => {
+    const store = await getStore();
+    const result = await store.deleteOne({ _id: id });
+    return result.deletedCount > 0;
+};
+
+module.exports = {
+    ...repository,
+    getCollection: getStore,
+    findById,
+    findDue,
+    create,
+    update,
+    advance,
+    remove
+};
@@ -0,0 +1,153 @@
+/**
+ * Users Repository
+ * User accounts: email (unique, stored lower-case), name, role, data scope, password hash and account state
+ */
+
+const crypto = require('crypto');
+const { createRepository } = require('./baseRepository');
+const databaseConfig = require('../config/database');
+
+/**
+ * Shape a user document for API responses (the password hash is never returned)
+ * @param {Object} document - Stored user
+ * @returns {Object} User DTO
+ */
+const toUser = (document) => ({
+    id: document._id,
+    email: document.email,
+    name: document.name,
+    role: document.role,
+    // { countries, regions } for scoped roles, null otherwise
+    scope: document.scope || null,
+    active: document.active,
+    lastLoginAt: document.lastLoginAt || null,
+    passwordChangedAt: document.passwordChangedAt || null,
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt
+});
+
+const repository = createRepository({
+    collection: 'users',
+    columns: {
+        id: '_id',
+        email: 'email',
+        name: 'name',
+        role: 'role',
+        active: 'active',
+        lastLoginAt: 'lastLoginAt',
+        createdAt: 'createdAt',
+        updatedAt: 'updatedAt'
+    },
+    types: { active: 'boolean' },
+    toDto: toUser
+});
+
+let indexesEnsured = false;
+
+/**
+ * Get the users collection, creating its indexes on first use
+ * @returns {Promise<Object>} Collection
+ */
+const getStore = async () => {
+    const store = await repository.getCollection();
+    if (!indexesEnsured) {
+        for (const index of databaseConfig.indexes.users) {
+            await store.createIndex(index.key, index.options || {});
+        }
+        indexesEnsured = true;
+    }
+    return store;
+};
+
+/**
+ * Find a stored user
+ * @param {string} id - User id
+ * @returns {Promise<Object|null>} Stored user or null
+ */
+const findById = async (id) => {
+    const store = await getStore();
+    return store.findOne({ _id: id });
+};
+
+/**
+ * Find a stored user by email
+ * @param {string} email - Email address (any case)
+ * @returns {Promise<Object|null>} Stored user or null
+ */
+const findByEmail = async (email) => {
+    const store = await getStore();
+    return store.findOne({ email: email.toLowerCase() });
+};
+
+/**
+ * Count users
+ * @param {Object} filter - Stored-column filter (e.g. { role: 'admin', active: true })
+ * @returns {Promise<number>} Number of users
+ */
+const count = async (filter = {}) => {
+    const store = await getStore();
+    return store.countDocuments(filter);
+};
+
+/**
+ * Create a user
+ * @param {Object} fields - { email, name, role, scope, active, passwordHash }
+ * @returns {Promise<Object>} Stored user
+ * @throws {Error} Duplicate key error (code 11000) when the email is taken
+ */
+const create = async (fields) => {
+    const store = await getStore();
+    const now = new Date().toISOString();
+    const document = {
+        _id: crypto.randomUUID(),
+        ...fields,
+        email: fields.email.toLowerCase(),
+        lastLoginAt: null,
+        passwordChangedAt: now,
+        createdAt: now,
+        updatedAt: now
+    };
+    await store.insertOne(document);
+    return document;
+};
+
+/**
+ * Update a user
+ * @param {string} id - User id
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object|null>} Updated user or null when it does not exist
+ * @throws {Error} Duplicate key error (code 11000) when the new email is taken
+ */
+const update = async (id, changes) => {
+    const store = await getStore();
+    const result = await store.updateOne({ _id: id }, {
+        $set: {
+            ...changes,
+            ...(changes.email && { email: changes.email.toLowerCase() }),
+            updatedAt: new Date().toISOString()
+        }
+    });
+    return result.matchedCount > 0 ? findById(id) : null;
+};
+
+/**
+ * Delete a user
+ * @param {string} id - User id
+ * @returns {Promise<boolean>} Whether a user was deleted
+ */
+const remove = async (id) => {
+    const store = await getStore();
+    const result = await store.deleteOne({ _id: id });
+    return result.deletedCount > 0;
+};
+
+module.exports = {
+    ...repository,
+    getCollection: getStore,
+    findById,
+    findByEmail,
+    count,
+    create,
+    update,
+    remove
+};
@@ -0,0 +1,243 @@
+/**
+ * Alerts Routes
+ * Defines the alert rule and alert history API endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const alertsController = require('../controllers/alertsController');
+const { validateListQuery } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AlertWebhook:
+ *       type: object
+ *       required:
+ *         - url
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: http(s) endpoint receiving alert.triggered and alert.resolved events as JSON
+ *           example: https://hooks.example.com/alerts
+ *         headers:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: Extra request headers, e.g. an authorization token
+ *         secret:
+ *           type: string
+ *           minLength: 16
+ *           description: Signs each request with X-Zenalyst-Signature; never returned, webhooks show `signed` instead
+ *     AlertRuleInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Customer revenue drop
+ *         description:
+ *           type: string
+ *         metric:
+ *           type: string
+ *           description: Metric watched by the rule (see /api/alerts/metrics)
+ *           example: customer.percentageVariance
+ *         operator:
+ *           type: string
+ *           enum: [gt, gte, lt, lte]
+ *           example: lt
+ *         threshold:
+ *           type: number
+ *           description: Value compared with the metric; percentages are given in percent
+ *           example: -30
+ *         subjects:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Customers a customer metric is limited to (every customer when empty)
+ *         severity:
+ *           type: string
+ *           enum: [info, warning, critical]
+ *           default: warning
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         webhooks:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AlertWebhook'
+ */
+
+/**
+ * @swagger
+ * /api/alerts/metrics:
+ *   get:
+ *     summary: List alert metrics
+ *     description: Metrics an alert rule can watch, with their unit and whether they are evaluated per customer
+ *     tags: [Alerts]
+ *     responses:
+ *       200:
+ *         description: Alert metrics retrieved successfully
+ */
+router.get('/metrics', alertsController.getMetrics);
+
+/**
+ * @swagger
+ * /api/alerts/rules:
+ *   get:
+ *     summary: List alert rules
+ *     description: Filter, sort and select fields name, metric, severity, enabled, lastEvaluatedAt, createdAt and updatedAt (e.g. `?enabled=true`).
+ *     tags: [Alerts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Alert rules retrieved successfully
+ *       400:
+ *         description: Invalid list query parameters
+ *   post:
+ *     summary: Create an alert rule
+ *     description: |
+ *       The rule is evaluated against the active dataset snapshot after each import (or on POST /api/alerts/evaluate).
+ *       An alert opens when the metric crosses the threshold, once per customer for customer metrics, and is resolved
+ *       when it no longer does; both events are posted to the rule's webhooks.
+ *     tags: [Alerts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AlertRuleInput'
+ *               - required: [name, metric, operator, threshold]
+ *     responses:
+ *       201:
+ *         description: Alert rule created successfully
+ *       400:
+ *         description: Invalid rule (unknown field, metric or operator, subjects on an overall metric, invalid webhook)
+ */
+router.get('/rules', validateListQuery('alertRules'), alertsController.getRules);
+router.post('/rules', alertsController.createRule);
+
+/**
+ * @swagger
+ * /api/alerts/rules/{id}:
+ *   get:
+ *     summary: Get an alert rule
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert rule retrieved successfully
+ *       404:
+ *         description: Alert rule not found
+ *   patch:
+ *     summary: Update an alert rule
+ *     description: Change any of the fields. Open alerts are checked against the new condition at the next evaluation; disabling the rule or changing its metric resolves them.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRuleInput'
+ *     responses:
+ *       200:
+ *         description: Alert rule updated successfully
+ *       400:
+ *         description: Invalid rule
+ *       404:
+ *         description: Alert rule not found
+ *   delete:
+ *     summary: Delete an alert rule
+ *     description: Its open alerts are resolved; the alert history is kept
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert rule deleted successfully
+ *       404:
+ *         description: Alert rule not found
+ */
+router.get('/rules/:id', alertsController.getRule);
+router.patch('/rules/:id', alertsController.updateRule);
+router.delete('/rules/:id', alertsController.deleteRule);
+
+/**
+ * @swagger
+ * /api/alerts/evaluate:
+ *   post:
+ *     summary: Evaluate the alert rules now
+ *     description: Evaluates every enabled rule against the active dataset snapshot and returns what was triggered and resolved
+ *     tags: [Alerts]
+ *     responses:
+ *       200:
+ *         description: Alert rules evaluated successfully
+ */
+router.post('/evaluate', alertsController.evaluateRules);
+
+/**
+ * @swagger
+ * /api/alerts:
+ *   get:
+ *     summary: List alerts
+ *     description: |
+ *       Alert history, newest first. Filter, sort and select fields ruleId, ruleName, metric, subject, severity,
+ *       status (open, resolved), value, snapshotVersion, triggeredAt and resolvedAt (e.g. `?status=open`).
+ *     tags: [Alerts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Alerts retrieved successfully
+ *       400:
+ *         description: Invalid list query parameters
+ */
+router.get('/', validateListQuery('alerts'), alertsController.getAlerts);
+
+/**
+ * @swagger
+ * /api/alerts/{id}:
+ *   get:
+ *     summary: Get an alert
+ *     description: Alert with its trigger and latest values and the webhook notifications queued for it (see /api/schedules/jobs)
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert retrieved successfully
+ *       404:
+ *         description: Alert not found
+ */
+router.get('/:id', alertsController.getAlert);
+
+module.exports = router;
@@ -6,26 +6,238 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
+const promptsController = require('../controllers/promptsController');
+const { validateListQuery } = require('../middleware/validation');
+const { negotiateFormat } = require('../middleware/format');
+const { requireRole } = require('../middleware/auth');
+
+// The prompt library is shared: regional viewers use it but cannot change it, and analysts only change their
+// own prompts (checked by promptsService)
+const canEditPrompts = requireRole('admin', 'analyst');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromptParameter:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Placeholder name, used as {name} in the template
+ *           example: country
+ *         type:
+ *           type: string
+ *           enum: [country, region, customer, period, number, text]
+ *           description: Values of country, region, customer and period parameters must exist in the data
+ *         label:
+ *           type: string
+ *           example: Country
+ *         required:
+ *           type: boolean
+ *           default: true
+ *         default:
+ *           description: Value used when none is given
+ *     PromptInput:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           example: Country vs Region
+ *         template:
+ *           type: string
+ *           example: Compare {country} to {region} for {period}
+ *         description:
+ *           type: string
+ *         category:
+ *           type: string
+ *           example: Geography
+ *         parameters:
+ *           type: array
+ *           description: Declared parameters; inferred from the placeholders when omitted ({country}, {region}, {customer} and {period} get their type, others are text)
+ *           items:
+ *             $ref: '#/components/schemas/PromptParameter'
+ */
 
 /**
  * @swagger
  * /api/analytics/prompts:
  *   get:
- *     summary: Get predefined prompts
- *     description: Retrieve list of predefined prompts for AI chat
+ *     summary: List prompts
+ *     description: |
+ *       Prompt library, by category and title. Filter, sort and select fields title, category, owner, usageCount,
+ *       lastUsedAt, createdAt and updatedAt (e.g. `?category=Revenue&sort=-usageCount`).
+ *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Prompts retrieved successfully
+ *       400:
+ *         description: Invalid list query parameters
+ *   post:
+ *     summary: Create a prompt
+ *     tags: [Analytics]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PromptInput'
+ *               - required: [title, template]
+ *     responses:
+ *       201:
+ *         description: Prompt created successfully
+ *       400:
+ *         description: Invalid prompt (missing fields, unknown parameter types, placeholders without a parameter)
+ *       403:
+ *         description: Regional viewers cannot change the prompt library
+ */
+router.get('/prompts', validateListQuery('prompts'), promptsController.getPrompts);
+router.post('/prompts', canEditPrompts, promptsController.createPrompt);
+
+/**
+ * @swagger
+ * /api/analytics/prompts/categories:
+ *   get:
+ *     summary: List prompt categories
+ *     description: Categories of the prompt library with their number of prompts
  *     tags: [Analytics]
  *     responses:
  *       200:
- *         description: Predefined prompts retrieved successfully
+ *         description: Prompt categories retrieved successfully
  */
-router.get('/prompts', analyticsController.getPredefinedPrompts);
+router.get('/prompts/categories', promptsController.getPromptCategories);
+
+/**
+ * @swagger
+ * /api/analytics/prompts/{id}:
+ *   get:
+ *     summary: Get a prompt
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Prompt retrieved successfully
+ *       404:
+ *         description: Prompt not found
+ *   patch:
+ *     summary: Update a prompt
+ *     description: Change any of the fields. Changing the template keeps the declared parameters that still fit it and infers the others; `null` clears the description. Only the prompt's owner or an administrator can change it.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromptInput'
+ *     responses:
+ *       200:
+ *         description: Prompt updated successfully
+ *       400:
+ *         description: Invalid prompt
+ *       403:
+ *         description: Regional viewers cannot change the prompt library, analysts only their own prompts
+ *       404:
+ *         description: Prompt not found
+ *   delete:
+ *     summary: Delete a prompt
+ *     description: Only the prompt's owner or an administrator can delete it.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Prompt deleted successfully
+ *       403:
+ *         description: Regional viewers cannot change the prompt library, analysts only their own prompts
+ *       404:
+ *         description: Prompt not found
+ */
+router.get('/prompts/:id', promptsController.getPrompt);
+router.patch('/prompts/:id', canEditPrompts, promptsController.updatePrompt);
+router.delete('/prompts/:id', canEditPrompts, promptsController.deletePrompt);
+
+/**
+ * @swagger
+ * /api/analytics/prompts/{id}/render:
+ *   post:
+ *     summary: Fill in a prompt template
+ *     description: |
+ *       Validate parameter values and return the question they make, without running it or counting a use.
+ *       Country, region and customer names must exist in the data (matched case-insensitively); periods are given
+ *       as keys (2024-Q3) or labels (Q3 2024) of the available periods.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parameters:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 example: { "country": "Germany", "region": "EMEA", "period": "Q4 2024" }
+ *     responses:
+ *       200:
+ *         description: Prompt rendered successfully (id, title, text, parameters)
+ *       400:
+ *         description: Invalid parameters
+ *       404:
+ *         description: Prompt not found
+ */
+router.post('/prompts/:id/render', promptsController.renderPrompt);
 
 /**
  * @swagger
  * /api/analytics/analyze:
  *   post:
  *     summary: Analyze data based on user prompt
- *     description: Analyze revenue data based on user's prompt
+ *     description: |
+ *       Answer a question about the revenue data. The prompt is parsed into intents - rankings ("top 5 customers
+ *       that declined between Q3 2024 and Q4 2024"), lookups of a named customer, country or region, churn,
+ *       revenue bridge, retention, concentration, trend and period comparisons - and each intent is answered by
+ *       the matching analytics service. The response contains the parsed query, one result per intent (with the
+ *       service calls made), the combined insights and recommendations, and notes on anything that could not be
+ *       answered. Recognised vocabulary is configured in config/analytics.js.
+ *
+ *       `answer` is phrased from those results by the provider set in LLM_PROVIDER (an OpenAI-compatible
+ *       endpoint, a local Ollama server or the deterministic mock), or by the rule engine when none is set or the
+ *       provider fails. `citations` lists the sources the answer cites, with their datasets and figures.
+ *
+ *       Instead of `prompt`, a prompt of the library can be run with `promptId` and its `parameters`; the
+ *       response then names it in `template` and its usage count goes up.
  *     tags: [Analytics]
  *     requestBody:
  *       required: true
@@ -33,31 +245,330 @@ router.get('/prompts', analyticsController.getPredefinedPrompts);
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - prompt
  *             properties:
  *               prompt:
  *                 type: string
  *                 description: User's analysis prompt
+ *                 example: Which customers declined the most between Q3 2024 and Q4 2024?
+ *               promptId:
+ *                 type: string
+ *                 description: Library prompt to run instead of `prompt`
+ *                 example: country-vs-region
+ *               parameters:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Values of the library prompt's parameters
+ *                 example: { "country": "Germany", "region": "EMEA", "period": "Q4 2024" }
  *     responses:
  *       200:
- *         description: Analysis completed successfully
+ *         description: Analysis completed successfully (answer, citations, provider, query, results, insights, recommendations, notes, data)
  *       400:
- *         description: Invalid prompt provided
+ *         description: Invalid prompt provided, or invalid parameters for the library prompt
+ *       404:
+ *         description: Library prompt not found
  */
 router.post('/analyze', analyticsController.analyzeData);
 
+/**
+ * @swagger
+ * /api/analytics/analyze/stream:
+ *   post:
+ *     summary: Analyze data based on user prompt, streamed
+ *     description: |
+ *       Same analysis as POST /api/analytics/analyze, streamed as Server-Sent Events (`text/event-stream`) so each
+ *       block is shown as soon as it is computed. Events, in order (`data` is JSON):
+ *
+ *       - `query`: the parsed query
+ *       - `result`: one per intent, as soon as its service calls return
+ *       - `token`: `{ text }` pieces of the answer while the LLM provider generates it (providers that stream)
+ *       - `answer`: `{ answer, citations, provider, notes }`; replaces the streamed tokens, which matters when
+ *         the provider answer was rejected and the rule engine answer is shown instead
+ *       - `done`: the full analysis, as returned by POST /api/analytics/analyze
+ *       - `error`: `{ message, error, statusCode }` when the analysis fails after the stream started
+ *
+ *       A `: heartbeat` comment is sent every SSE_HEARTBEAT_MS (15 s by default) while the stream is idle.
+ *       Closing the connection cancels the analysis and the provider request. Invalid requests are answered with
+ *       a regular JSON error before the stream starts. Library prompts are run with `promptId` and `parameters`
+ *       as on POST /api/analytics/analyze.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               prompt:
+ *                 type: string
+ *                 example: Which customers declined the most between Q3 2024 and Q4 2024?
+ *               promptId:
+ *                 type: string
+ *               parameters:
+ *                 type: object
+ *                 additionalProperties: true
+ *     responses:
+ *       200:
+ *         description: Event stream (query, result, token, answer, done, error)
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid prompt provided
+ *   get:
+ *     summary: Analyze data based on user prompt, streamed (EventSource)
+ *     description: |
+ *       Same as the POST variant, with the prompt in the query string for browser EventSource clients
+ *       (`?prompt=...`, or `?promptId=country-vs-region&parameters[country]=Germany&...`).
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: prompt
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: promptId
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     responses:
+ *       200:
+ *         description: Event stream (query, result, token, answer, done, error)
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid prompt provided
+ */
+router.get('/analyze/stream', analyticsController.analyzeDataStream);
+router.post('/analyze/stream', analyticsController.analyzeDataStream);
+
 /**
  * @swagger
  * /api/analytics/dashboard:
  *   get:
  *     summary: Get dashboard summary
- *     description: Retrieve comprehensive dashboard analytics summary
+ *     description: |
+ *       Retrieve comprehensive dashboard analytics summary. As PDF, a printable pack with key figures, charts and
+ *       tables of quarterly revenue, the revenue bridge waterfall and country share, plus top customers,
+ *       retention by segment and regions.
  *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PdfFormat'
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: Dashboard summary retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       406:
+ *         description: Neither JSON nor PDF is acceptable
+ */
+router.get('/dashboard', negotiateFormat(['json', 'pdf']), analyticsController.getDashboardSummary);
+
+/**
+ * @swagger
+ * /api/analytics/sessions:
+ *   post:
+ *     summary: Create a chat session
+ *     description: Start an analytics chat session. Untitled sessions are named after their first question.
+ *     tags: [Analytics]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Chat session created successfully
+ *       400:
+ *         description: Invalid session title
+ *   get:
+ *     summary: List chat sessions
+ *     description: |
+ *       List chat sessions, most recently active first. Filter, sort and select fields userId (the user who created the
+ *       session), title, messageCount, createdAt and updatedAt. Sessions are private: every user, administrators
+ *       included, only sees and changes their own.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Chat sessions retrieved successfully
+ *       400:
+ *         description: Invalid list query parameters
+ */
+router.post('/sessions', analyticsController.createSession);
+router.get('/sessions', validateListQuery('chatSessions'), analyticsController.getSessions);
+
+/**
+ * @swagger
+ * /api/analytics/sessions/{id}:
+ *   get:
+ *     summary: Get a chat session
+ *     description: Retrieve a chat session with its messages in order and the context carried over to the next question
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chat session retrieved successfully
+ *       404:
+ *         description: Chat session not found
+ *   patch:
+ *     summary: Rename a chat session
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Chat session renamed successfully
+ *       400:
+ *         description: Invalid session title
+ *       404:
+ *         description: Chat session not found
+ *   delete:
+ *     summary: Delete a chat session
+ *     description: Delete a chat session and its messages
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chat session deleted successfully
+ *       404:
+ *         description: Chat session not found
+ */
+router.get('/sessions/:id', analyticsController.getSession);
+router.patch('/sessions/:id', analyticsController.renameSession);
+router.delete('/sessions/:id', analyticsController.deleteSession);
+
+/**
+ * @swagger
+ * /api/analytics/sessions/{id}/messages:
+ *   post:
+ *     summary: Ask a question in a chat session
+ *     description: |
+ *       Answer a question like POST /api/analytics/analyze, with the context of the session's previous question.
+ *       Follow-ups inherit its subject, periods, metrics, filters and named entities ("and what about Canada?",
+ *       "only those above $100k"), and references such as "them" or "the ones" narrow the answer to the customers,
+ *       countries or regions listed in the previous answer ("show only the ones that churned").
+ *       Both the question and the answer are stored in the session history.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 example: and what about Canada?
+ *     responses:
+ *       201:
+ *         description: Message answered successfully (session, message, reply with the analysis)
+ *       400:
+ *         description: Invalid message
+ *       404:
+ *         description: Chat session not found
+ */
+router.post('/sessions/:id/messages', analyticsController.sendMessage);
+
+/**
+ * @swagger
+ * /api/analytics/sessions/{id}/messages/stream:
+ *   post:
+ *     summary: Ask a question in a chat session, streamed
+ *     description: |
+ *       Same as POST /api/analytics/sessions/{id}/messages, streamed as Server-Sent Events like
+ *       POST /api/analytics/analyze/stream. The final `done` event carries the session, the message and the
+ *       reply. Nothing is stored when the client disconnects before the answer is complete.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 example: and what about Canada?
+ *     responses:
+ *       200:
+ *         description: Event stream (query, result, token, answer, done, error)
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid message
+ *       404:
+ *         description: Chat session not found
  */
-router.get('/dashboard', analyticsController.getDashboardSummary);
+router.post('/sessions/:id/messages/stream', analyticsController.sendMessageStream);
 
 module.exports = router; 
\ No newline at end of file
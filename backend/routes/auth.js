@@ -0,0 +1,252 @@
+/**
+ * Auth Routes
+ * Defines the login, token and password API endpoints
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { authenticate } = require('../middleware/auth');
+const authConfig = require('../config/auth');
+
+// Login and password reset requests get a stricter limit than the rest of the API
+const authLimiter = rateLimit(authConfig.rateLimit);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         tokenType:
+ *           type: string
+ *           example: Bearer
+ *         accessToken:
+ *           type: string
+ *           description: 'JWT sent as `Authorization: Bearer <accessToken>`'
+ *         expiresIn:
+ *           type: integer
+ *           description: Seconds until the access token expires
+ *           example: 900
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use token for POST /api/auth/refresh
+ *         refreshTokenExpiresAt:
+ *           type: string
+ *           format: date-time
+ *         user:
+ *           $ref: '#/components/schemas/User'
+ */
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in
+ *     description: Opens a session and returns an access token and a refresh token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: admin@example.com
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       401:
+ *         description: Invalid email or password
+ *       403:
+ *         description: The account is disabled
+ *       429:
+ *         description: Too many attempts
+ */
+router.post('/login', authLimiter, authController.login);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh the tokens
+ *     description: |
+ *       Returns a new access token and a new refresh token. A refresh token works once; presenting one that was
+ *       already replaced ends the session.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *       401:
+ *         description: Invalid, used or expired refresh token
+ */
+router.post('/refresh', authController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out
+ *     description: Ends the session of the refresh token; its access tokens stop working at once
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Invalid refresh token
+ */
+router.post('/logout', authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of every session
+ *     description: Ends every session of the logged-in user, including the current one
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Logged out of every session successfully
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/logout-all', authenticate, authController.logoutEverywhere);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the logged-in user
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Current user retrieved successfully
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/me', authenticate, authController.getCurrentUser);
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   post:
+ *     summary: Change the password
+ *     description: The user's other sessions end
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currentPassword, newPassword]
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 10
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: The new password does not meet the password policy
+ *       401:
+ *         description: Not authenticated, or the current password is incorrect
+ */
+router.post('/password', authenticate, authController.changePassword);
+
+/**
+ * @swagger
+ * /api/auth/password-reset/request:
+ *   post:
+ *     summary: Request a password reset
+ *     description: |
+ *       Emails a single-use reset link to the account (through the SMTP server of the scheduled reports). The
+ *       response is the same whether or not the account exists.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Request accepted
+ *       400:
+ *         description: Invalid email address
+ *       429:
+ *         description: Too many attempts
+ */
+router.post('/password-reset/request', authLimiter, authController.requestPasswordReset);
+
+/**
+ * @swagger
+ * /api/auth/password-reset/confirm:
+ *   post:
+ *     summary: Reset the password
+ *     description: Sets a new password with a reset token; every session of the user ends
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 10
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired token, or the password does not meet the password policy
+ */
+router.post('/password-reset/confirm', authLimiter, authController.resetPassword);
+
+module.exports = router;
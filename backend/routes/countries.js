@@ -6,7 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const countriesController = require('../controllers/countriesController');
-const { sanitizeQuery } = require('../middleware/validation');
+const { sanitizeQuery, validateListQuery } = require('../middleware/validation');
+const { negotiateFormat } = require('../middleware/format');
 
 /**
  * @swagger
@@ -22,6 +23,8 @@ const { sanitizeQuery } = require('../middleware/validation');
  *           type: integer
  *           default: 10
  *         description: Number of countries to return
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: Top countries by revenue retrieved successfully
@@ -42,31 +45,88 @@ router.get('/top-revenue', sanitizeQuery, countriesController.getTopCountriesByR
  *           type: integer
  *           default: 8
  *         description: Number of countries to include in pie chart
+ *       - $ref: '#/components/parameters/TableFormat'
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: Revenue share by country retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
  */
-router.get('/revenue-share', sanitizeQuery, countriesController.getRevenueShareByCountry);
+router.get('/revenue-share', sanitizeQuery, negotiateFormat(['json', 'csv', 'xlsx']), countriesController.getRevenueShareByCountry);
 
 /**
  * @swagger
  * /api/countries:
  *   get:
  *     summary: Get all countries
- *     description: Retrieve all countries with revenue data
+ *     description: Retrieve countries with revenue data. Filter, sort and select fields countryName and yearlyRevenue.
  *     tags: [Countries]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/TableFormat'
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: All countries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid list query parameters
+ */
+router.get('/', validateListQuery('countries'), negotiateFormat(['json', 'csv', 'xlsx']), countriesController.getAllCountries);
+
+/**
+ * @swagger
+ * /api/countries/concentration/risk:
+ *   get:
+ *     summary: Get country concentration risk
+ *     description: >
+ *       Retrieve each country's share of total revenue and cumulative share with its Pareto/ABC class,
+ *       the Herfindahl-Hirschman Index, Gini coefficient and top-N shares, and the risk flags raised by
+ *       the configured thresholds.
+ *     tags: [Countries]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     responses:
+ *       200:
+ *         description: Country concentration risk retrieved successfully
  */
-router.get('/', countriesController.getAllCountries);
+router.get('/concentration/risk', countriesController.getCountryConcentrationRisk);
 
 /**
  * @swagger
  * /api/countries/{countryName}:
  *   get:
  *     summary: Get country by name
- *     description: Retrieve specific country data by name
+ *     description: |
+ *       Retrieve specific country data by name. As PDF, a printable page with the country's revenue, share and
+ *       rank, the country share chart and the ranking of all countries.
  *     tags: [Countries]
  *     parameters:
  *       - in: path
@@ -75,12 +135,23 @@ router.get('/', countriesController.getAllCountries);
  *         schema:
  *           type: string
  *         description: Name of the country
+ *       - $ref: '#/components/parameters/PdfFormat'
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: Country retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
  *       404:
  *         description: Country not found
  */
-router.get('/:countryName', countriesController.getCountryByName);
+router.get('/:countryName', negotiateFormat(['json', 'pdf']), countriesController.getCountryByName);
 
 module.exports = router; 
\ No newline at end of file
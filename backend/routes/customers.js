@@ -6,65 +6,149 @@
 const express = require('express');
 const router = express.Router();
 const customersController = require('../controllers/customersController');
-const { sanitizeQuery } = require('../middleware/validation');
+const { sanitizeQuery, validatePeriodRange, validateListQuery } = require('../middleware/validation');
+const { negotiateFormat } = require('../middleware/format');
 
 /**
  * @swagger
  * /api/customers/concentration:
  *   get:
  *     summary: Get customer concentration analysis
- *     description: Retrieve customer concentration data sorted by total revenue
+ *     description: Retrieve customer concentration data sorted by total revenue. Filter, sort and select fields customerName and totalRevenue.
+ *     tags: [Customers]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/TableFormat'
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     responses:
+ *       200:
+ *         description: Customer concentration data retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid list query parameters
+ */
+router.get('/concentration', validateListQuery('customerConcentration'), negotiateFormat(['json', 'csv', 'xlsx']), customersController.getCustomerConcentration);
+
+/**
+ * @swagger
+ * /api/customers/concentration/risk:
+ *   get:
+ *     summary: Get customer concentration risk
+ *     description: >
+ *       Retrieve each customer's share of total revenue and cumulative share with its Pareto/ABC class,
+ *       the Herfindahl-Hirschman Index, Gini coefficient and top-1/5/10/20 shares, and the risk flags
+ *       raised by the configured thresholds. Customer rows can be filtered, sorted and selected by rank,
+ *       customerName, totalRevenue, share, cumulativeShare and abcClass.
  *     tags: [Customers]
  *     parameters:
  *       - in: query
- *         name: limit
+ *         name: abcClass
  *         schema:
- *           type: integer
- *           default: 20
- *         description: Number of customers to return
+ *           type: string
+ *           enum: [A, B, C]
+ *         description: Only list customers of this Pareto class
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/TableFormat'
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
- *         description: Customer concentration data retrieved successfully
+ *         description: Customer concentration risk retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid list query parameters
  */
-router.get('/concentration', sanitizeQuery, customersController.getCustomerConcentration);
+router.get('/concentration/risk', validateListQuery('concentrationCustomers'), negotiateFormat(['json', 'csv', 'xlsx']), customersController.getCustomerConcentrationRisk);
 
 /**
  * @swagger
  * /api/customers/analysis:
  *   get:
  *     summary: Get customer analysis with filters
- *     description: Retrieve customer analysis data with filtering and pagination
+ *     description: >
+ *       Retrieve customer analysis data with filtering and pagination. Filter, sort and select fields customerName,
+ *       fromRevenue, toRevenue, variance, percentageVariance and growthStatus (e.g. variance[gt]=0).
  *     tags: [Customers]
  *     parameters:
  *       - in: query
- *         name: minQ4Revenue
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: 2024-Q3
+ *         description: Start period (YYYY-Qn or YYYY-MM); defaults to the period before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: 2024-Q4
+ *         description: End period (YYYY-Qn or YYYY-MM); defaults to the latest period
+ *       - in: query
+ *         name: minRevenue
  *         schema:
  *           type: number
  *           default: 0
- *         description: Minimum Q4 revenue filter
+ *         description: Minimum revenue in the `to` period (minQ4Revenue is accepted as an alias)
  *       - in: query
  *         name: positiveGrowthOnly
  *         schema:
  *           type: boolean
  *           default: false
  *         description: Filter for positive growth only
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 50
- *         description: Number of records per page
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/TableFormat'
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: Customer analysis data retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid list query parameters
  */
-router.get('/analysis', sanitizeQuery, customersController.getCustomerAnalysis);
+router.get('/analysis', sanitizeQuery, validatePeriodRange, validateListQuery('customerAnalysis'), negotiateFormat(['json', 'csv', 'xlsx']), customersController.getCustomerAnalysis);
 
 
 
@@ -75,18 +159,35 @@ router.get('/analysis', sanitizeQuery, customersController.getCustomerAnalysis);
  *     summary: Get customer statistics
  *     description: Retrieve customer statistics and metrics
  *     tags: [Customers]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: 2024-Q3
+ *         description: Start period (YYYY-Qn or YYYY-MM); defaults to the period before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: 2024-Q4
+ *         description: End period (YYYY-Qn or YYYY-MM); defaults to the latest period
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: Customer statistics retrieved successfully
  */
-router.get('/statistics', customersController.getCustomerStatistics);
+router.get('/statistics', validatePeriodRange, customersController.getCustomerStatistics);
 
 /**
  * @swagger
  * /api/customers/{customerName}:
  *   get:
  *     summary: Get customer by name
- *     description: Retrieve specific customer data by name
+ *     description: |
+ *       Retrieve specific customer data by name, including its revenue series. As PDF, a printable page with
+ *       the customer's key figures, quarterly revenue chart and revenue bridge waterfall.
  *     tags: [Customers]
  *     parameters:
  *       - in: path
@@ -95,12 +196,35 @@ router.get('/statistics', customersController.getCustomerStatistics);
  *         schema:
  *           type: string
  *         description: Name of the customer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: 2024-Q3
+ *         description: Start period (YYYY-Qn or YYYY-MM); defaults to the period before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: 2024-Q4
+ *         description: End period (YYYY-Qn or YYYY-MM); defaults to the latest period
+ *       - $ref: '#/components/parameters/PdfFormat'
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: Customer retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
  *       404:
  *         description: Customer not found
  */
-router.get('/:customerName', customersController.getCustomerByName);
+router.get('/:customerName', validatePeriodRange, negotiateFormat(['json', 'pdf']), customersController.getCustomerByName);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Data Quality Routes
+ * Defines data quality and reconciliation API endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const dataQualityController = require('../controllers/dataQualityController');
+const { sanitizeQuery } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * /api/data-quality/reconciliation:
+ *   get:
+ *     summary: Get cross-dataset reconciliation report
+ *     description: >
+ *       Compares per-customer revenue between dataset A (quarterly revenue) and dataset B (revenue bridge),
+ *       lists customers missing from a dataset, checks that bridge movements explain each customer's change
+ *       and that customer totals (E) roll up to country totals (C).
+ *     tags: [Data Quality]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Maximum number of detail rows per check
+ *       - in: query
+ *         name: tolerance
+ *         schema:
+ *           type: number
+ *           default: 0.01
+ *         description: Per-customer amount difference treated as equal
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     responses:
+ *       200:
+ *         description: Reconciliation report generated successfully
+ */
+router.get('/reconciliation', sanitizeQuery, dataQualityController.getReconciliationReport);
+
+/**
+ * @swagger
+ * /api/data-quality/profile:
+ *   get:
+ *     summary: Get data quality profile
+ *     description: >
+ *       Profiles each stored dataset column by column (null rates, negative values, duplicate keys such as
+ *       Customer Name, outliers and type mismatches) and evaluates the configured data quality rules.
+ *       The same profile runs when a dataset is imported, where blocking rules reject the load.
+ *     tags: [Data Quality]
+ *     parameters:
+ *       - in: query
+ *         name: dataset
+ *         schema:
+ *           type: string
+ *         description: Dataset letter (A–E) or slug to profile; all datasets by default
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     responses:
+ *       200:
+ *         description: Data profile generated successfully
+ *       400:
+ *         description: Unknown dataset type
+ */
+router.get('/profile', sanitizeQuery, dataQualityController.getDataProfile);
+
+module.exports = router;
@@ -0,0 +1,110 @@
+/**
+ * Datasets Routes
+ * Defines dataset upload and ingestion API endpoints
+ * Analysts can list datasets and snapshots; only administrators can import (which activates the new snapshot)
+ * or roll back.
+ */
+
+const express = require('express');
+const router = express.Router();
+const datasetsController = require('../controllers/datasetsController');
+const { uploadDatasetFile } = require('../middleware/upload');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/datasets:
+ *   get:
+ *     summary: Get dataset types
+ *     description: List the five dataset types (A–E), their expected columns and current row counts
+ *     tags: [Datasets]
+ *     responses:
+ *       200:
+ *         description: Datasets retrieved successfully
+ */
+router.get('/', datasetsController.getDatasets);
+
+/**
+ * @swagger
+ * /api/datasets:
+ *   post:
+ *     summary: Upload a dataset
+ *     description: >
+ *       Upload a JSON, CSV or XLSX file for one of the dataset types. Columns are validated against
+ *       the expected shape, invalid rows are rejected with reasons and the valid rows replace the
+ *       live collection without downtime.
+ *     tags: [Datasets]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dataset
+ *               - file
+ *             properties:
+ *               dataset:
+ *                 type: string
+ *                 description: Dataset letter (A–E) or slug (e.g. country-revenue)
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Dataset imported successfully (report includes rejected rows)
+ *       400:
+ *         description: Unknown dataset type, unreadable file or missing columns
+ *       403:
+ *         description: Administrators only
+ *       413:
+ *         description: Uploaded file is too large
+ *       415:
+ *         description: Unsupported file type
+ *       422:
+ *         description: No valid rows in the uploaded file
+ */
+router.post('/', requireRole('admin'), uploadDatasetFile, datasetsController.importDataset);
+
+/**
+ * @swagger
+ * /api/datasets/snapshots:
+ *   get:
+ *     summary: Get dataset snapshots
+ *     description: List every import snapshot with its timestamp, source files, checksums and collections
+ *     tags: [Datasets]
+ *     responses:
+ *       200:
+ *         description: Dataset snapshots retrieved successfully
+ */
+router.get('/snapshots', datasetsController.getSnapshots);
+
+/**
+ * @swagger
+ * /api/datasets/snapshots/{version}/rollback:
+ *   post:
+ *     summary: Roll back to a snapshot
+ *     description: |
+ *       Make another ready snapshot the active one served by every read endpoint. Any version can be activated,
+ *       so a rollback can be undone by activating the later version again.
+ *     tags: [Datasets]
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Snapshot version to activate
+ *     responses:
+ *       200:
+ *         description: Active snapshot rolled back successfully
+ *       403:
+ *         description: Administrators only
+ *       404:
+ *         description: Snapshot not found
+ *       409:
+ *         description: Snapshot is already the active one
+ */
+router.post('/snapshots/:version/rollback', requireRole('admin'), datasetsController.rollbackSnapshot);
+
+module.exports = router;
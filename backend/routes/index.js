@@ -12,6 +12,16 @@ const countriesRoutes = require('./countries');
 const customersRoutes = require('./customers');
 const regionsRoutes = require('./regions');
 const analyticsRoutes = require('./analytics');
+const datasetsRoutes = require('./datasets');
+const dataQualityRoutes = require('./dataQuality');
+const reportsRoutes = require('./reports');
+const schedulesRoutes = require('./schedules');
+const alertsRoutes = require('./alerts');
+const authRoutes = require('./auth');
+const usersRoutes = require('./users');
+const territoriesRoutes = require('./territories');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { snapshotScope } = require('../middleware/snapshot');
 
 // Health check route
 router.get('/health', (req, res) => {
@@ -23,11 +33,28 @@ router.get('/health', (req, res) => {
     });
 });
 
-// Mount route modules
-router.use('/revenue', revenueRoutes);
-router.use('/countries', countriesRoutes);
-router.use('/customers', customersRoutes);
-router.use('/regions', regionsRoutes);
-router.use('/analytics', analyticsRoutes);
+// Login, token and password reset routes (public except where noted)
+router.use('/auth', authRoutes);
+
+// Every route below requires an access token
+router.use(authenticate);
+
+// Dataset management, data quality, schedules, alerts and territories work on the whole dataset, so regional
+// viewers (whose reads are limited to their data scope) cannot use them
+const unscopedRoles = requireRole('admin', 'analyst');
+
+// Mount route modules (read endpoints accept ?snapshot= or ?asOf=)
+router.use('/revenue', snapshotScope, revenueRoutes);
+router.use('/countries', snapshotScope, countriesRoutes);
+router.use('/customers', snapshotScope, customersRoutes);
+router.use('/regions', snapshotScope, regionsRoutes);
+router.use('/analytics', snapshotScope, analyticsRoutes);
+router.use('/datasets', unscopedRoles, datasetsRoutes);
+router.use('/data-quality', unscopedRoles, snapshotScope, dataQualityRoutes);
+router.use('/reports', snapshotScope, reportsRoutes);
+router.use('/schedules', unscopedRoles, schedulesRoutes);
+router.use('/alerts', unscopedRoles, alertsRoutes);
+router.use('/territories', unscopedRoles, snapshotScope, territoriesRoutes);
+router.use('/users', usersRoutes);
 
 module.exports = router; 
\ No newline at end of file
@@ -6,19 +6,43 @@
 const express = require('express');
 const router = express.Router();
 const regionsController = require('../controllers/regionsController');
+const { validateListQuery } = require('../middleware/validation');
+const { negotiateFormat } = require('../middleware/format');
 
 /**
  * @swagger
  * /api/regions:
  *   get:
  *     summary: Get all regions
- *     description: Retrieve all regions with revenue data
+ *     description: Retrieve regions with revenue data. Filter, sort and select fields regionName and yearlyRevenue.
  *     tags: [Regions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/TableFormat'
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: All regions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid list query parameters
  */
-router.get('/', regionsController.getAllRegions);
+router.get('/', validateListQuery('regions'), negotiateFormat(['json', 'csv', 'xlsx']), regionsController.getAllRegions);
 
 /**
  * @swagger
@@ -27,6 +51,9 @@ router.get('/', regionsController.getAllRegions);
  *     summary: Get regions revenue summary
  *     description: Retrieve regions revenue summary with percentages
  *     tags: [Regions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: Regions revenue summary retrieved successfully
@@ -47,6 +74,8 @@ router.get('/revenue', regionsController.getRegionsRevenue);
  *         schema:
  *           type: string
  *         description: Name of the region
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: Region retrieved successfully
@@ -0,0 +1,59 @@
+/**
+ * Reports Routes
+ * Defines generated report endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const reportsController = require('../controllers/reportsController');
+const { negotiateFormat } = require('../middleware/format');
+
+/**
+ * @swagger
+ * /api/reports/executive:
+ *   get:
+ *     summary: Get the executive report
+ *     description: |
+ *       Narrative report on headline revenue, growth drivers, churn and retention, concentration risk and
+ *       geography. Every sentence is computed from the analytics services and listed with the service call,
+ *       figures and thresholds behind it (the "Sources" table in Markdown and HTML).
+ *       The report carries no generation time: the same dataset snapshot always gives the same report and
+ *       checksum (X-Report-Checksum header), so pass `snapshot` or `asOf` to reproduce an earlier one.
+ *       The format comes from `format`, or from the Accept header when it is not given.
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, markdown, html, pdf]
+ *         description: Report format (defaults to the Accept header, then JSON)
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     responses:
+ *       200:
+ *         description: Executive report generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Unknown format
+ *       404:
+ *         description: No dataset snapshot matches the requested snapshot/asOf
+ *       406:
+ *         description: None of the report formats is acceptable
+ */
+router.get('/executive', negotiateFormat(['json', 'markdown', 'html', 'pdf']), reportsController.getExecutiveReport);
+
+module.exports = router;
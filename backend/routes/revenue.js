@@ -6,15 +6,31 @@
 const express = require('express');
 const router = express.Router();
 const revenueController = require('../controllers/revenueController');
-const { sanitizeQuery } = require('../middleware/validation');
+const { sanitizeQuery, validatePeriodRange, validateListQuery, validateBridgeQuery } = require('../middleware/validation');
+const { negotiateFormat } = require('../middleware/format');
 
 /**
  * @swagger
  * /api/revenue/summary:
  *   get:
  *     summary: Get revenue summary metrics
- *     description: Retrieve total Q3, Q4 revenue and variance metrics
+ *     description: Retrieve total revenue for two periods and the variance between them
  *     tags: [Revenue]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: 2024-Q3
+ *         description: Start period (YYYY-Qn or YYYY-MM); defaults to the period before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: 2024-Q4
+ *         description: End period (YYYY-Qn or YYYY-MM); defaults to the latest period
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: Revenue summary retrieved successfully
@@ -30,22 +46,73 @@ const { sanitizeQuery } = require('../middleware/validation');
  *                 data:
  *                   type: object
  *                   properties:
- *                     totalQ3Revenue:
+ *                     fromPeriod:
+ *                       type: string
+ *                     toPeriod:
+ *                       type: string
+ *                     fromRevenue:
  *                       type: number
- *                     totalQ4Revenue:
+ *                     toRevenue:
  *                       type: number
  *                     totalVariance:
  *                       type: number
+ *       400:
+ *         description: Invalid or unavailable period
+ */
+router.get('/summary', validatePeriodRange, revenueController.getRevenueSummary);
+
+/**
+ * @swagger
+ * /api/revenue/periods:
+ *   get:
+ *     summary: Get available revenue periods
+ *     description: List the periods present in the revenue time-series store
+ *     tags: [Revenue]
+ *     parameters:
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [quarter, month]
+ *           default: quarter
+ *         description: Period granularity
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     responses:
+ *       200:
+ *         description: Revenue periods retrieved successfully
  */
-router.get('/summary', revenueController.getRevenueSummary);
+router.get('/periods', validatePeriodRange, revenueController.getAvailablePeriods);
 
 /**
  * @swagger
  * /api/revenue/quarterly:
  *   get:
- *     summary: Get quarterly revenue data
- *     description: Retrieve quarterly revenue trends and data
+ *     summary: Get revenue time series
+ *     description: Retrieve total revenue for every available period (or the periods from `from` to `to`) with period-over-period change
  *     tags: [Revenue]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: 2024-Q1
+ *         description: First period of the series (YYYY-Qn or YYYY-MM); defaults to the earliest period
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: 2024-Q4
+ *         description: Last period of the series (YYYY-Qn or YYYY-MM); defaults to the latest period
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [quarter, month]
+ *           default: quarter
+ *         description: Period granularity
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: Quarterly revenue data retrieved successfully
@@ -63,14 +130,22 @@ router.get('/summary', revenueController.getRevenueSummary);
  *                   items:
  *                     type: object
  *                     properties:
- *                       quarter:
+ *                       period:
+ *                         type: string
+ *                       label:
  *                         type: string
  *                       revenue:
  *                         type: number
  *                       formattedRevenue:
  *                         type: string
+ *                       change:
+ *                         type: number
+ *                       percentageChange:
+ *                         type: number
+ *       400:
+ *         description: Invalid or unavailable period
  */
-router.get('/quarterly', revenueController.getQuarterlyRevenue);
+router.get('/quarterly', validatePeriodRange, revenueController.getQuarterlyRevenue);
 
 /**
  * @swagger
@@ -86,30 +161,144 @@ router.get('/quarterly', revenueController.getQuarterlyRevenue);
  *           type: integer
  *           default: 10
  *         description: Number of customers to return
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: 2024-Q3
+ *         description: Start period (YYYY-Qn or YYYY-MM); defaults to the period before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: 2024-Q4
+ *         description: End period (YYYY-Qn or YYYY-MM); defaults to the latest period
+ *       - $ref: '#/components/parameters/TableFormat'
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: Top growth customers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
  */
-router.get('/growth-customers', sanitizeQuery, revenueController.getTopGrowthCustomers);
+router.get('/growth-customers', sanitizeQuery, validatePeriodRange, negotiateFormat(['json', 'csv', 'xlsx']), revenueController.getTopGrowthCustomers);
 
 /**
  * @swagger
  * /api/revenue/bridge:
  *   get:
  *     summary: Get revenue bridge data
- *     description: Retrieve revenue bridge and churned analysis data
+ *     description: Retrieve revenue bridge totals for new, expansion, churned and contraction revenue
  *     tags: [Revenue]
  *     parameters:
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 50
- *         description: Number of records to return
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
  *     responses:
  *       200:
  *         description: Revenue bridge data retrieved successfully
  */
 router.get('/bridge', sanitizeQuery, revenueController.getRevenueBridgeData);
 
+/**
+ * @swagger
+ * /api/revenue/bridge/customers:
+ *   get:
+ *     summary: Get per-customer revenue bridge
+ *     description: >
+ *       Retrieve each customer's start revenue, movements (new, expansion, churn, contraction) and end revenue.
+ *       Filter, sort and select fields customerName, startRevenue, endRevenue, netChange, netMovement, newRevenue,
+ *       expansionRevenue, churnedRevenue, contractionRevenue and residual (default sort -netChange).
+ *     tags: [Revenue]
+ *     parameters:
+ *       - in: query
+ *         name: movement
+ *         schema:
+ *           type: string
+ *         description: Comma separated movement types to include (new, expansion, churn, contraction)
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Field to sort by (older alternative to `sort`)
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort direction used with `sortBy`
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/TableFormat'
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     responses:
+ *       200:
+ *         description: Revenue bridge customers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid bridge parameters
+ */
+router.get('/bridge/customers', validateListQuery('bridgeCustomers'), validateBridgeQuery, negotiateFormat(['json', 'csv', 'xlsx']), revenueController.getBridgeCustomers);
+
+/**
+ * @swagger
+ * /api/revenue/bridge/waterfall:
+ *   get:
+ *     summary: Get revenue bridge waterfall
+ *     description: >
+ *       Retrieve an ordered start, movements, end series for a waterfall chart. Start and end are the
+ *       bridge period totals; an "Unexplained" step is added when the movements do not reconcile to them.
+ *     tags: [Revenue]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     responses:
+ *       200:
+ *         description: Revenue bridge waterfall retrieved successfully
+ */
+router.get('/bridge/waterfall', revenueController.getBridgeWaterfall);
+
+/**
+ * @swagger
+ * /api/revenue/retention:
+ *   get:
+ *     summary: Get revenue retention metrics
+ *     description: >
+ *       Retrieve net revenue retention (NRR), gross revenue retention (GRR), logo churn rate and expansion rate
+ *       between the two bridge periods, overall and by customer segment (Enterprise, Mid-Market, SMB by start
+ *       period revenue). Only customers with start period revenue are counted.
+ *     tags: [Revenue]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     responses:
+ *       200:
+ *         description: Retention metrics retrieved successfully
+ */
+router.get('/retention', revenueController.getRetentionMetrics);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,295 @@
+/**
+ * Schedules Routes
+ * Defines the scheduled report and job queue API endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const schedulesController = require('../controllers/schedulesController');
+const { validateListQuery } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScheduleReport:
+ *       type: object
+ *       required:
+ *         - report
+ *         - format
+ *       properties:
+ *         report:
+ *           type: string
+ *           description: Report name (see /api/schedules/catalogue)
+ *           example: executive
+ *         format:
+ *           type: string
+ *           description: One of the report's formats
+ *           example: pdf
+ *     ScheduleDelivery:
+ *       type: object
+ *       required:
+ *         - channel
+ *       properties:
+ *         channel:
+ *           type: string
+ *           enum: [email, webhook]
+ *         to:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Email recipients (email channel)
+ *           example: [finance@example.com]
+ *         cc:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Copied recipients (email channel)
+ *         subject:
+ *           type: string
+ *           description: Email subject (defaults to the schedule name and run date)
+ *         url:
+ *           type: string
+ *           description: http(s) endpoint receiving the files as JSON (webhook channel)
+ *           example: https://hooks.example.com/reports
+ *         headers:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: Extra request headers, e.g. an authorization token (webhook channel)
+ *         secret:
+ *           type: string
+ *           minLength: 16
+ *           description: Signs each request with X-Zenalyst-Signature (webhook channel); never returned, deliveries show `signed` instead
+ *     ScheduleInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Weekly executive pack
+ *         cron:
+ *           type: string
+ *           description: Five-field cron expression (minute hour day-of-month month day-of-week)
+ *           example: 0 8 * * 1
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone the cron expression is read in (SCHEDULER_TIMEZONE by default)
+ *           example: Europe/Berlin
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         reports:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleReport'
+ *         deliveries:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleDelivery'
+ */
+
+/**
+ * @swagger
+ * /api/schedules:
+ *   get:
+ *     summary: List report schedules
+ *     description: Filter, sort and select fields name, enabled, nextRunAt, lastRunAt, createdAt and updatedAt (e.g. `?enabled=true&sort=nextRunAt`).
+ *     tags: [Schedules]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Schedules retrieved successfully
+ *       400:
+ *         description: Invalid list query parameters
+ *   post:
+ *     summary: Create a report schedule
+ *     description: |
+ *       At each run of the cron expression a job is queued that generates the reports from the active dataset
+ *       snapshot and sends them to every delivery. Failed jobs are retried with exponential backoff.
+ *     tags: [Schedules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ScheduleInput'
+ *               - required: [name, cron, reports, deliveries]
+ *     responses:
+ *       201:
+ *         description: Schedule created successfully
+ *       400:
+ *         description: Invalid schedule (cron expression, time zone, unknown report or format, invalid delivery)
+ */
+router.get('/', validateListQuery('schedules'), schedulesController.getSchedules);
+router.post('/', schedulesController.createSchedule);
+
+/**
+ * @swagger
+ * /api/schedules/catalogue:
+ *   get:
+ *     summary: List schedulable reports
+ *     description: Reports a schedule can include with their formats, and the delivery channels
+ *     tags: [Schedules]
+ *     responses:
+ *       200:
+ *         description: Report catalogue retrieved successfully
+ */
+router.get('/catalogue', schedulesController.getCatalogue);
+
+/**
+ * @swagger
+ * /api/schedules/jobs:
+ *   get:
+ *     summary: List report jobs
+ *     description: |
+ *       Jobs of the queue, newest first, including the webhook notifications of alerts (type alert). Filter, sort
+ *       and select fields type (report, alert), scheduleId, alertId, trigger (schedule, manual, alert), status
+ *       (pending, running, succeeded, failed), attempts, scheduledFor, runAt, createdAt and completedAt
+ *       (e.g. `?status=failed`).
+ *     tags: [Schedules]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ *       400:
+ *         description: Invalid list query parameters
+ */
+router.get('/jobs', validateListQuery('jobs'), schedulesController.getJobs);
+
+/**
+ * @swagger
+ * /api/schedules/jobs/{id}:
+ *   get:
+ *     summary: Get a report job
+ *     description: Job with its attempts, dataset snapshot, generated files and the status of each delivery
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job retrieved successfully
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:id', schedulesController.getJob);
+
+/**
+ * @swagger
+ * /api/schedules/jobs/{id}/retry:
+ *   post:
+ *     summary: Retry a failed report job
+ *     description: Queues the job again with a new set of attempts. Deliveries that succeeded are not repeated and the reports come from the same dataset snapshot.
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Job queued for retry successfully
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: The job has not failed
+ */
+router.post('/jobs/:id/retry', schedulesController.retryJob);
+
+/**
+ * @swagger
+ * /api/schedules/{id}:
+ *   get:
+ *     summary: Get a report schedule
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule retrieved successfully
+ *       404:
+ *         description: Schedule not found
+ *   patch:
+ *     summary: Update a report schedule
+ *     description: Change any of the fields. Changing the timing or re-enabling the schedule computes the next run from now; jobs already queued keep their reports and deliveries.
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScheduleInput'
+ *     responses:
+ *       200:
+ *         description: Schedule updated successfully
+ *       400:
+ *         description: Invalid schedule
+ *       404:
+ *         description: Schedule not found
+ *   delete:
+ *     summary: Delete a report schedule
+ *     description: Its jobs are kept
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule deleted successfully
+ *       404:
+ *         description: Schedule not found
+ */
+router.get('/:id', schedulesController.getSchedule);
+router.patch('/:id', schedulesController.updateSchedule);
+router.delete('/:id', schedulesController.deleteSchedule);
+
+/**
+ * @swagger
+ * /api/schedules/{id}/run:
+ *   post:
+ *     summary: Run a report schedule now
+ *     description: Queues a job for the schedule outside its cron timing (also for disabled schedules)
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Schedule run queued successfully
+ *       404:
+ *         description: Schedule not found
+ */
+router.post('/:id/run', schedulesController.runSchedule);
+
+module.exports = router;
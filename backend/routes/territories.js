@@ -0,0 +1,167 @@
+/**
+ * Territories Routes
+ * Defines the country region and customer territory API endpoints (read by analysts, changed by administrators)
+ */
+
+const express = require('express');
+const router = express.Router();
+const territoriesController = require('../controllers/territoriesController');
+const { validateListQuery } = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CountryRegion:
+ *       type: object
+ *       properties:
+ *         countryName:
+ *           type: string
+ *           example: Canada
+ *         regionName:
+ *           type: string
+ *           nullable: true
+ *           description: Region of the country; null removes the assignment
+ *           example: USA
+ *     CustomerTerritory:
+ *       type: object
+ *       properties:
+ *         customerName:
+ *           type: string
+ *           example: Sonos - USA
+ *         countryName:
+ *           type: string
+ *           nullable: true
+ *           example: USA
+ *         regionName:
+ *           type: string
+ *           nullable: true
+ *           description: Needed for customers without a country (e.g. "One-time_APAC"); with neither field the assignment is removed
+ *           example: USA
+ *     TerritoryUpdate:
+ *       type: object
+ *       properties:
+ *         assigned:
+ *           type: integer
+ *         removed:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/territories/countries:
+ *   get:
+ *     summary: List country regions
+ *     description: Region each country belongs to. Filter, sort and select fields countryName, regionName and updatedAt.
+ *     tags: [Territories]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Country regions retrieved successfully
+ *       403:
+ *         description: Administrators and analysts only
+ *   put:
+ *     summary: Assign countries to regions
+ *     description: Users scoped to a region see the countries assigned to it. Administrators only.
+ *     tags: [Territories]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [assignments]
+ *             properties:
+ *               assignments:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CountryRegion'
+ *     responses:
+ *       200:
+ *         description: Country regions updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TerritoryUpdate'
+ *       400:
+ *         description: Invalid assignments
+ *       403:
+ *         description: Administrators only
+ */
+router.get('/countries', validateListQuery('countryRegions'), territoriesController.getCountryRegions);
+router.put('/countries', requireRole('admin'), territoriesController.assignCountryRegions);
+
+/**
+ * @swagger
+ * /api/territories/customers:
+ *   get:
+ *     summary: List customer territories
+ *     description: Country and region of each customer. Filter, sort and select fields customerName, countryName, regionName and updatedAt.
+ *     tags: [Territories]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Customer territories retrieved successfully
+ *       403:
+ *         description: Administrators and analysts only
+ *   put:
+ *     summary: Assign customers to countries and regions
+ *     description: Scoped users see a customer when its country or region is in their scope. Administrators only.
+ *     tags: [Territories]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [assignments]
+ *             properties:
+ *               assignments:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CustomerTerritory'
+ *     responses:
+ *       200:
+ *         description: Customer territories updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TerritoryUpdate'
+ *       400:
+ *         description: Invalid assignments
+ *       403:
+ *         description: Administrators only
+ */
+router.get('/customers', validateListQuery('customerTerritories'), territoriesController.getCustomerTerritories);
+router.put('/customers', requireRole('admin'), territoriesController.assignCustomerTerritories);
+
+/**
+ * @swagger
+ * /api/territories/customers/unassigned:
+ *   get:
+ *     summary: List customers without a territory
+ *     description: Customers of the dataset snapshot that no scoped user can see until they are assigned
+ *     tags: [Territories]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Snapshot'
+ *       - $ref: '#/components/parameters/AsOf'
+ *     responses:
+ *       200:
+ *         description: Unassigned customers retrieved successfully
+ *       403:
+ *         description: Administrators and analysts only
+ */
+router.get('/customers/unassigned', territoriesController.getUnassignedCustomers);
+
+module.exports = router;
@@ -0,0 +1,217 @@
+/**
+ * Users Routes
+ * Defines the user management API endpoints (administrators only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const usersController = require('../controllers/usersController');
+const { validateListQuery } = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole('admin'));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DataScope:
+ *       type: object
+ *       nullable: true
+ *       description: |
+ *         Countries and regions a regional viewer may read (names as in the country and region data). Required for
+ *         regional viewers, null for the other roles.
+ *       properties:
+ *         countries:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [Canada, USA]
+ *         regions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [LATAM]
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         email:
+ *           type: string
+ *         name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [admin, analyst, regional_viewer]
+ *         scope:
+ *           $ref: '#/components/schemas/DataScope'
+ *         active:
+ *           type: boolean
+ *         lastLoginAt:
+ *           type: string
+ *           format: date-time
+ *         passwordChangedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     UserInput:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *           example: analyst@example.com
+ *         name:
+ *           type: string
+ *           example: Dana Analyst
+ *         password:
+ *           type: string
+ *           minLength: 10
+ *         role:
+ *           type: string
+ *           enum: [admin, analyst, regional_viewer]
+ *           default: analyst
+ *         scope:
+ *           $ref: '#/components/schemas/DataScope'
+ *         active:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List users
+ *     description: Filter, sort and select fields email, name, role, active, lastLoginAt, createdAt and updatedAt (e.g. `?role=admin`).
+ *     tags: [Users]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Filter'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       400:
+ *         description: Invalid list query parameters
+ *       403:
+ *         description: Administrators only
+ *   post:
+ *     summary: Create a user
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/UserInput'
+ *               - required: [email, name, password]
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *       400:
+ *         description: Invalid user
+ *       409:
+ *         description: A user with this email already exists
+ */
+router.get('/', validateListQuery('users'), usersController.getUsers);
+router.post('/', usersController.createUser);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get a user
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       404:
+ *         description: User not found
+ *   patch:
+ *     summary: Update a user
+ *     description: |
+ *       Change any of the fields. Disabling the account or setting its password ends its sessions. Role and scope
+ *       changes apply to the user's next request; moving a user out of the regional viewer role clears the scope.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserInput'
+ *     responses:
+ *       200:
+ *         description: User updated successfully
+ *       400:
+ *         description: Invalid user
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Email taken, or the change would leave no active administrator
+ *   delete:
+ *     summary: Delete a user
+ *     description: Ends the user's sessions. Administrators cannot delete their own account or the last active administrator.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User deleted successfully
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Own account or last active administrator
+ */
+router.get('/:id', usersController.getUser);
+router.patch('/:id', usersController.updateUser);
+router.delete('/:id', usersController.deleteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/password-reset:
+ *   post:
+ *     summary: Create a password reset token
+ *     description: Returns a single-use reset token for the administrator to pass on (for POST /api/auth/password-reset/confirm). Earlier unused tokens of the user stop working.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Password reset token created successfully
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The account is disabled
+ */
+router.post('/:id/password-reset', usersController.createPasswordReset);
+
+module.exports = router;
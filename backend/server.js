@@ -16,6 +16,10 @@ const swaggerUi = require('swagger-ui-express');
 // Import configurations
 const appConfig = require('./config/app');
 const { notFound, errorHandler } = require('./middleware/errorHandler');
+const schedulerConfig = require('./config/scheduler');
+const { getStorage } = require('./database/storage');
+const { startScheduler, stopScheduler } = require('./services/jobQueueService');
+const { ensureAdminUser } = require('./services/authService');
 
 // Import routes
 const routes = require('./routes');
@@ -39,7 +43,74 @@ const swaggerOptions = {
                 description: 'Development server'
             }
         ],
+        // Every operation needs an access token unless it sets its own empty security
+        security: [{ bearerAuth: [] }],
         components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT',
+                    description: 'Access token from POST /api/auth/login'
+                }
+            },
+            parameters: {
+                Snapshot: {
+                    in: 'query',
+                    name: 'snapshot',
+                    schema: { type: 'integer' },
+                    description: 'Dataset snapshot version to read (defaults to the active snapshot)'
+                },
+                AsOf: {
+                    in: 'query',
+                    name: 'asOf',
+                    schema: { type: 'string', format: 'date-time' },
+                    description: 'Read the dataset snapshot that was active at this time'
+                },
+                PdfFormat: {
+                    in: 'query',
+                    name: 'format',
+                    schema: { type: 'string', enum: ['json', 'pdf'] },
+                    description: 'Response format; without it the Accept header decides (application/pdf for the PDF export, JSON by default)'
+                },
+                TableFormat: {
+                    in: 'query',
+                    name: 'format',
+                    schema: { type: 'string', enum: ['json', 'csv', 'xlsx'] },
+                    description: 'Response format; without it the Accept header decides (text/csv or the XLSX media type, JSON by default). CSV and XLSX stream every matching row whatever `page` and `limit` say, with a formatted column next to each amount and percentage'
+                },
+                Sort: {
+                    in: 'query',
+                    name: 'sort',
+                    schema: { type: 'string' },
+                    description: 'Comma separated fields to sort by, "-" prefix for descending (e.g. -variance,customerName)'
+                },
+                Fields: {
+                    in: 'query',
+                    name: 'fields',
+                    schema: { type: 'string' },
+                    description: 'Comma separated fields to return (e.g. customerName,variance)'
+                },
+                Page: {
+                    in: 'query',
+                    name: 'page',
+                    schema: { type: 'integer', default: 1 },
+                    description: 'Page number'
+                },
+                Limit: {
+                    in: 'query',
+                    name: 'limit',
+                    schema: { type: 'integer', maximum: 500 },
+                    description: 'Number of records per page'
+                },
+                Filter: {
+                    in: 'query',
+                    name: 'filter',
+                    style: 'deepObject',
+                    schema: { type: 'object' },
+                    description: 'Filter expressions on the listed fields: field=value or field[operator]=value with eq, ne, gt, gte, lt, lte, in, nin, contains, startsWith, endsWith (e.g. variance[gt]=0, customerName[contains]=Sonos)'
+                }
+            },
             schemas: {
                 Error: {
                     type: 'object',
@@ -101,6 +172,7 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *     summary: Health check endpoint
  *     description: Check if the API is running
  *     tags: [Health]
+ *     security: []
  *     responses:
  *       200:
  *         description: API is running
@@ -136,24 +208,42 @@ app.use(errorHandler);
 const PORT = appConfig.server.port;
 const HOST = appConfig.server.host;
 
-app.listen(PORT, HOST, () => {
-    console.log('🚀 Zenalyst Analytics API Server Started');
-    console.log(`📊 Environment: ${appConfig.server.environment}`);
-    console.log(`🌐 Server: http://${HOST}:${PORT}`);
-    console.log(`📚 API Documentation: http://${HOST}:${PORT}/api-docs`);
-    console.log(`🔗 Health Check: http://${HOST}:${PORT}${appConfig.api.prefix}/health`);
-    console.log('✅ Server is ready to handle requests');
-});
+// Check the token secret and create the first administrator before accepting requests
+ensureAdminUser()
+    .then(() => {
+        app.listen(PORT, HOST, () => {
+            console.log('🚀 Zenalyst Analytics API Server Started');
+            console.log(`📊 Environment: ${appConfig.server.environment}`);
+            console.log(`🌐 Server: http://${HOST}:${PORT}`);
+            console.log(`📚 API Documentation: http://${HOST}:${PORT}/api-docs`);
+            console.log(`🔗 Health Check: http://${HOST}:${PORT}${appConfig.api.prefix}/health`);
+            console.log('✅ Server is ready to handle requests');
+
+            if (schedulerConfig.enabled) {
+                startScheduler();
+                console.log(`⏰ Report scheduler polling every ${schedulerConfig.pollIntervalMs / 1000}s`);
+            }
+        });
+    })
+    .catch((error) => {
+        console.error('❌ Server failed to start:', error.message);
+        process.exit(1);
+    });
+
+// Graceful shutdown (the running scheduler poll finishes, then the storage adapter saves pending writes and
+// closes its connections)
+const shutdown = () => stopScheduler()
+    .then(() => getStorage().close())
+    .finally(() => process.exit(0));
 
-// Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('🛑 SIGTERM received, shutting down gracefully');
-    process.exit(0);
+    shutdown();
 });
 
 process.on('SIGINT', () => {
     console.log('🛑 SIGINT received, shutting down gracefully');
-    process.exit(0);
+    shutdown();
 });
 
 module.exports = app; 
\ No newline at end of file
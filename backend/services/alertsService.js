@@ -0,0 +1,603 @@
+/**
+ * Alerts Service
+ * Threshold rules on the metrics computed by the customer and revenue services ("a customer's revenue change
+ * drops below -30%", "the top customer's share exceeds 10%", "churned revenue exceeds a budget"). Rules are
+ * evaluated against the active dataset snapshot after each import. A rule keeps one open alert per subject while
+ * its condition holds, so a breach is reported once, and the alert is resolved when the condition clears. Both
+ * events are sent to the rule's webhooks through the job queue, which retries failed deliveries.
+ */
+
+const { alertRulesRepository, alertsRepository } = require('../repositories');
+const { buildPagination, createListQuery } = require('../utils/listQuery');
+const { transformData } = require('../utils/responseHandler');
+const { getMetricLabel } = require('../utils/concentration');
+const { BRIDGE_MOVEMENTS } = require('../utils/revenueBridge');
+const { runWithContext } = require('../utils/requestContext');
+const { getStorage } = require('../database/storage');
+const { getActiveSnapshot } = require('../database/snapshotRegistry');
+const { ApiError } = require('../middleware/errorHandler');
+const { getDeliveryChannel } = require('../delivery');
+const alertsConfig = require('../config/alerts');
+const metricsConfig = require('../config/metrics');
+const revenueService = require('./revenueService');
+const customersService = require('./customersService');
+const jobQueueService = require('./jobQueueService');
+
+// Fields a rule is created or changed with; anything else in the request body is rejected
+const RULE_FIELDS = ['name', 'description', 'metric', 'operator', 'threshold', 'subjects', 'severity', 'enabled', 'webhooks'];
+
+// Service results the metrics are read from (each is loaded once per evaluation). Every customer is read as one
+// page: the limit must stay finite, as the page offset is (page - 1) * limit.
+const SOURCES = {
+    customerComparison: () => revenueService.getCustomerPeriodComparison(),
+    concentration: () => customersService.getCustomerConcentrationRisk(createListQuery('concentrationCustomers', { limit: Number.MAX_SAFE_INTEGER })),
+    summary: () => revenueService.getRevenueSummary(),
+    bridge: () => revenueService.getRevenueBridgeData(),
+    retention: () => revenueService.getRetentionMetrics()
+};
+
+/**
+ * Read a bridge movement total
+ * @param {Object} movement - Movement of BRIDGE_MOVEMENTS
+ * @returns {Function} Reads [{ subject, value }] from the bridge totals
+ */
+const bridgeTotal = (movement) => (bridge) => {
+    const row = bridge.find(item => item.category === movement.column);
+    return [{ subject: null, value: row ? row.amount : null }];
+};
+
+// Metrics a rule can watch. Customer metrics give one value per customer, the others one overall value.
+// Percentages are in percent (-30 means -30%), amounts in the dataset currency.
+const METRICS = {
+    'customer.percentageVariance': {
+        label: 'Revenue change',
+        unit: 'percentage',
+        perCustomer: true,
+        source: 'customerComparison',
+        read: ({ customers }) => customers.map(customer => ({ subject: customer.customerName, value: customer.percentageVariance }))
+    },
+    'customer.variance': {
+        label: 'Revenue change (amount)',
+        unit: 'currency',
+        perCustomer: true,
+        source: 'customerComparison',
+        read: ({ customers }) => customers.map(customer => ({ subject: customer.customerName, value: customer.variance }))
+    },
+    'customer.share': {
+        label: 'Share of total revenue',
+        unit: 'percentage',
+        perCustomer: true,
+        source: 'concentration',
+        read: ({ customers }) => customers.map(customer => ({ subject: customer.customerName, value: customer.share }))
+    },
+    ...Object.fromEntries(metricsConfig.concentration.topN.map(n => [`concentration.top${n}Share`, {
+        label: n === 1 ? 'Top customer share of revenue' : `Top ${n} customers share of revenue`,
+        unit: 'percentage',
+        source: 'concentration',
+        read: ({ topShares }) => [{ subject: null, value: topShares[`top${n}Share`] }]
+    }])),
+    'concentration.hhi': {
+        label: getMetricLabel('hhi'),
+        unit: 'number',
+        source: 'concentration',
+        read: ({ hhi }) => [{ subject: null, value: hhi }]
+    },
+    'revenue.totalRevenue': {
+        label: 'Revenue of the latest period',
+        unit: 'currency',
+        source: 'summary',
+        read: ({ toRevenue }) => [{ subject: null, value: toRevenue }]
+    },
+    'revenue.percentageVariance': {
+        label: 'Revenue change',
+        unit: 'percentage',
+        source: 'summary',
+        read: ({ percentageVariance }) => [{ subject: null, value: percentageVariance }]
+    },
+    ...Object.fromEntries(Object.values(BRIDGE_MOVEMENTS).map(movement => [`revenue.${movement.field}`, {
+        label: movement.column,
+        unit: 'currency',
+        source: 'bridge',
+        read: bridgeTotal(movement)
+    }])),
+    'retention.nrr': {
+        label: 'Net revenue retention',
+        unit: 'percentage',
+        source: 'retention',
+        read: ({ overall }) => [{ subject: null, value: overall.nrr }]
+    },
+    'retention.grr': {
+        label: 'Gross revenue retention',
+        unit: 'percentage',
+        source: 'retention',
+        read: ({ overall }) => [{ subject: null, value: overall.grr }]
+    },
+    'retention.logoChurnRate': {
+        label: 'Logo churn rate',
+        unit: 'percentage',
+        source: 'retention',
+        read: ({ overall }) => [{ subject: null, value: overall.logoChurnRate }]
+    }
+};
+
+const COMPARISONS = {
+    gt: (value, threshold) => value > threshold,
+    gte: (value, threshold) => value >= threshold,
+    lt: (value, threshold) => value < threshold,
+    lte: (value, threshold) => value <= threshold
+};
+
+/**
+ * Format a metric value for alert messages
+ * @param {string} unit - percentage, currency or number
+ * @param {number} value - Value
+ * @returns {string} Formatted value
+ */
+const formatValue = (unit, value) => {
+    if (value === null || value === undefined) return 'n/a';
+    if (unit === 'percentage') return transformData.formatPercentage(value);
+    if (unit === 'currency') return transformData.formatCurrency(value);
+    return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+};
+
+/**
+ * Describe the state of an alert
+ * @param {Object} rule - Stored rule
+ * @param {string|null} subject - Customer, or null for overall metrics
+ * @param {number|null} value - Current value
+ * @param {boolean} breached - Whether the condition holds
+ * @returns {string} Message
+ */
+const describeAlert = (rule, subject, value, breached) => {
+    const metric = METRICS[rule.metric];
+    const condition = `${alertsConfig.operators[rule.operator].text} ${formatValue(metric.unit, rule.threshold)}`;
+    const prefix = `${subject ? `${subject}: ` : ''}${metric.label}`;
+    return breached
+        ? `${prefix} is ${formatValue(metric.unit, value)}, ${condition}`
+        : `${prefix} is ${formatValue(metric.unit, value)}, no longer ${condition}`;
+};
+
+/**
+ * Get a stored rule or fail with 404
+ * @param {string} id - Rule id
+ * @returns {Promise<Object>} Stored rule
+ */
+const findRule = async (id) => {
+    const rule = await alertRulesRepository.findById(id);
+    if (!rule) {
+        throw new ApiError(404, `Alert rule '${id}' not found`);
+    }
+    return rule;
+};
+
+/**
+ * Check an optional text field
+ * @param {Object} fields - Request fields
+ * @param {string} name - Field name
+ * @param {number} maxLength - Longest accepted value
+ * @param {Array<string>} errors - Errors are added here
+ * @returns {string|null|undefined} Trimmed value, null to clear it, undefined when absent or invalid
+ */
+const readText = (fields, name, maxLength, errors) => {
+    const value = fields[name];
+    if (value === undefined || value === null) return value;
+    if (typeof value !== 'string' || !value.trim()) {
+        errors.push(`"${name}" must be a non-empty string`);
+        return undefined;
+    }
+    if (value.trim().length > maxLength) {
+        errors.push(`"${name}" must be at most ${maxLength} characters`);
+        return undefined;
+    }
+    return value.trim();
+};
+
+/**
+ * Check the webhooks of a rule with the webhook delivery channel
+ * @param {*} webhooks - [{ url, headers, secret }]
+ * @param {Array<string>} errors - Errors are added here
+ * @returns {Array<Object>} Webhook deliveries to store
+ */
+const readWebhooks = (webhooks, errors) => {
+    if (!Array.isArray(webhooks)) {
+        errors.push('"webhooks" must be an array of { url, headers, secret }');
+        return [];
+    }
+    if (webhooks.length > alertsConfig.maxWebhooks) {
+        errors.push(`"webhooks" accepts at most ${alertsConfig.maxWebhooks} webhooks`);
+        return [];
+    }
+
+    const channel = getDeliveryChannel('webhook');
+    return webhooks.map((webhook, index) => {
+        if (!webhook || typeof webhook !== 'object') {
+            errors.push(`"webhooks[${index}]" must be an object`);
+            return null;
+        }
+        const { value, errors: webhookErrors } = channel.validate(webhook);
+        errors.push(...webhookErrors.map(message => `webhooks[${index}]: ${message}`));
+        return value;
+    });
+};
+
+/**
+ * Validate rule fields for a create (all required fields) or an update (only the fields given)
+ * @param {Object} fields - { name, description, metric, operator, threshold, subjects, severity, enabled, webhooks }
+ * @param {Object|null} existing - Stored rule being updated
+ * @returns {Object} Fields to store
+ */
+const validateRuleFields = (fields, existing = null) => {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new ApiError(400, 'The request body must be a JSON object');
+    }
+
+    const errors = [];
+    const unknown = Object.keys(fields).filter(name => !RULE_FIELDS.includes(name));
+    if (unknown.length > 0) {
+        errors.push(`Unknown field(s): ${unknown.join(', ')}. Available: ${RULE_FIELDS.join(', ')}`);
+    }
+    const values = {
+        name: readText(fields, 'name', alertsConfig.maxNameLength, errors),
+        description: readText(fields, 'description', alertsConfig.maxDescriptionLength, errors)
+    };
+
+    ['name', 'metric', 'operator', 'threshold'].forEach(name => {
+        if (fields[name] === null || (!existing && fields[name] === undefined)) {
+            errors.push(`"${name}" is required`);
+        }
+    });
+
+    if (fields.metric !== undefined && fields.metric !== null) {
+        if (!METRICS[fields.metric]) errors.push(`"metric" must be one of: ${Object.keys(METRICS).join(', ')}`);
+        else values.metric = fields.metric;
+    }
+    if (fields.operator !== undefined && fields.operator !== null) {
+        if (!alertsConfig.operators[fields.operator]) errors.push(`"operator" must be one of: ${Object.keys(alertsConfig.operators).join(', ')}`);
+        else values.operator = fields.operator;
+    }
+    if (fields.threshold !== undefined && fields.threshold !== null) {
+        if (typeof fields.threshold !== 'number' || !Number.isFinite(fields.threshold)) errors.push('"threshold" must be a number');
+        else values.threshold = fields.threshold;
+    }
+    if (fields.severity !== undefined && fields.severity !== null) {
+        if (!alertsConfig.severities.includes(fields.severity)) errors.push(`"severity" must be one of: ${alertsConfig.severities.join(', ')}`);
+        else values.severity = fields.severity;
+    } else if (!existing || fields.severity === null) {
+        values.severity = alertsConfig.defaultSeverity;
+    }
+    if (fields.enabled !== undefined) {
+        if (typeof fields.enabled !== 'boolean') errors.push('"enabled" must be a boolean');
+        else values.enabled = fields.enabled;
+    } else if (!existing) {
+        values.enabled = true;
+    }
+
+    // Subjects limit a customer metric to some customers (matched case-insensitively); none means every customer
+    if (fields.subjects !== undefined && fields.subjects !== null) {
+        const valid = Array.isArray(fields.subjects)
+            && fields.subjects.every(subject => typeof subject === 'string' && subject.trim());
+        if (!valid) errors.push('"subjects" must be an array of customer names');
+        else if (fields.subjects.length > alertsConfig.maxSubjects) errors.push(`"subjects" accepts at most ${alertsConfig.maxSubjects} customers`);
+        else values.subjects = Array.from(new Set(fields.subjects.map(subject => subject.trim())));
+    } else if (!existing || fields.subjects === null) {
+        values.subjects = [];
+    }
+    const metric = METRICS[values.metric || (existing && existing.metric)];
+    const subjects = values.subjects || (existing && existing.subjects) || [];
+    if (metric && !metric.perCustomer && subjects.length > 0) {
+        errors.push('"subjects" only applies to customer metrics');
+    }
+
+    if (fields.webhooks !== undefined && fields.webhooks !== null) {
+        values.webhooks = readWebhooks(fields.webhooks, errors);
+    } else if (!existing || fields.webhooks === null) {
+        values.webhooks = [];
+    }
+
+    if (errors.length > 0) {
+        throw new ApiError(400, errors.join('; '));
+    }
+
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * List the metrics a rule can watch
+ * @returns {Array} Metrics ({ metric, label, unit, perCustomer })
+ */
+const listMetrics = () => Object.entries(METRICS).map(([metric, { label, unit, perCustomer }]) => ({
+    metric,
+    label,
+    unit,
+    perCustomer: Boolean(perCustomer)
+}));
+
+/**
+ * List alert rules
+ * @param {Object} listQuery - Filter/sort/pagination query for the rules list
+ * @returns {Promise<Object>} { rules, pagination }
+ */
+const listRules = async (listQuery) => {
+    try {
+        const { items, total } = await alertRulesRepository.list(listQuery);
+        return {
+            rules: items,
+            pagination: buildPagination(listQuery, total)
+        };
+    } catch (error) {
+        console.error('Error in listRules:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get an alert rule
+ * @param {string} id - Rule id
+ * @returns {Promise<Object>} Rule
+ */
+const getRule = async (id) => {
+    try {
+        return alertRulesRepository.toDto(await findRule(id));
+    } catch (error) {
+        console.error('Error in getRule:', error);
+        throw error;
+    }
+};
+
+/**
+ * Create an alert rule
+ * @param {Object} fields - { name, metric, operator, threshold, description, subjects, severity, enabled, webhooks }
+ * @returns {Promise<Object>} Rule
+ */
+const createRule = async (fields) => {
+    try {
+        const rule = await alertRulesRepository.create(validateRuleFields(fields));
+        return alertRulesRepository.toDto(rule);
+    } catch (error) {
+        console.error('Error in createRule:', error);
+        throw error;
+    }
+};
+
+/**
+ * Update an alert rule. Open alerts are checked against the changed rule at the next evaluation; disabling the
+ * rule or changing its metric resolves them.
+ * @param {string} id - Rule id
+ * @param {Object} changes - Fields to change (null clears description and subjects)
+ * @returns {Promise<Object>} Rule
+ */
+const updateRule = async (id, changes) => {
+    try {
+        const existing = await findRule(id);
+        const rule = await alertRulesRepository.update(id, validateRuleFields(changes, existing));
+        if (!rule) {
+            throw new ApiError(404, `Alert rule '${id}' not found`);
+        }
+        if (!rule.enabled) {
+            await alertsRepository.resolveOpen(id, 'rule disabled');
+        } else if (rule.metric !== existing.metric) {
+            await alertsRepository.resolveOpen(id, 'metric changed');
+        }
+        return alertRulesRepository.toDto(rule);
+    } catch (error) {
+        console.error('Error in updateRule:', error);
+        throw error;
+    }
+};
+
+/**
+ * Delete an alert rule (its open alerts are resolved, the history is kept)
+ * @param {string} id - Rule id
+ * @returns {Promise<Object>} { id }
+ */
+const deleteRule = async (id) => {
+    try {
+        if (!await alertRulesRepository.remove(id)) {
+            throw new ApiError(404, `Alert rule '${id}' not found`);
+        }
+        await alertsRepository.resolveOpen(id, 'rule deleted');
+        return { id };
+    } catch (error) {
+        console.error('Error in deleteRule:', error);
+        throw error;
+    }
+};
+
+/**
+ * Queue the notification of an alert event to the rule's webhooks and record it on the alert
+ * @param {Object} rule - Stored rule
+ * @param {Object} alert - Stored alert
+ * @param {string} event - alert.triggered or alert.resolved
+ * @returns {Promise<Object>} Updated alert
+ */
+const notify = async (rule, alert, event) => {
+    if (rule.webhooks.length === 0) return alert;
+
+    const { notifications, ...details } = alertsRepository.toDto(alert);
+    const job = await jobQueueService.enqueueAlertNotification(alert, {
+        event,
+        alert: details,
+        rule: alertRulesRepository.toDto(rule)
+    }, rule.webhooks);
+
+    return alertsRepository.update(alert._id, {
+        notifications: [...notifications, { event, jobId: job._id, queuedAt: job.createdAt }]
+    });
+};
+
+/**
+ * Evaluate one rule: open alerts for new breaches, refresh the ones still breached, resolve the others
+ * @param {Object} rule - Stored rule
+ * @param {Function} loadSource - Loads a metric source by name
+ * @param {Object} evaluation - { evaluatedAt, snapshotVersion }
+ * @returns {Promise<Object>} { ruleId, ruleName, breaches, triggered, resolved }
+ */
+const evaluateRule = async (rule, loadSource, { evaluatedAt, snapshotVersion }) => {
+    const metric = METRICS[rule.metric];
+    const subjects = new Set(rule.subjects.map(subject => subject.toLowerCase()));
+    const values = metric.read(await loadSource(metric.source))
+        .filter(({ subject }) => subjects.size === 0 || (subject !== null && subjects.has(subject.toLowerCase())));
+    const breaches = values.filter(({ value }) => typeof value === 'number' && Number.isFinite(value)
+        && COMPARISONS[rule.operator](value, rule.threshold));
+
+    const open = new Map((await alertsRepository.findOpen(rule._id)).map(alert => [alert.subject ?? null, alert]));
+    let triggered = 0;
+    let resolved = 0;
+
+    for (const { subject, value } of breaches) {
+        const current = {
+            ruleName: rule.name,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            severity: rule.severity,
+            value,
+            message: describeAlert(rule, subject, value, true),
+            lastSnapshotVersion: snapshotVersion,
+            lastEvaluatedAt: evaluatedAt
+        };
+        const existing = open.get(subject);
+        if (existing) {
+            // Still breached: the open alert is kept up to date without a new notification
+            open.delete(subject);
+            await alertsRepository.update(existing._id, current);
+            continue;
+        }
+
+        const alert = await alertsRepository.open({
+            ruleId: rule._id,
+            metric: rule.metric,
+            subject,
+            snapshotVersion,
+            triggeredAt: evaluatedAt,
+            ...current
+        });
+        await notify(rule, alert, 'alert.triggered');
+        triggered += 1;
+    }
+
+    const latest = new Map(values.map(({ subject, value }) => [subject, value]));
+    for (const [subject, alert] of open) {
+        const value = latest.has(subject) ? latest.get(subject) : null;
+        const updated = await alertsRepository.update(alert._id, {
+            status: 'resolved',
+            value,
+            message: describeAlert(rule, subject, value, false),
+            lastSnapshotVersion: snapshotVersion,
+            lastEvaluatedAt: evaluatedAt,
+            resolvedAt: evaluatedAt,
+            resolution: latest.has(subject) ? 'condition cleared' : 'no longer in the data'
+        });
+        await notify(rule, updated, 'alert.resolved');
+        resolved += 1;
+    }
+
+    return { ruleId: rule._id, ruleName: rule.name, breaches: breaches.length, triggered, resolved };
+};
+
+/**
+ * Evaluate every enabled rule against the active dataset snapshot
+ * @param {string} trigger - What started the evaluation (import or manual)
+ * @returns {Promise<Object>} { trigger, snapshotVersion, evaluatedAt, rules, triggered, resolved, results }
+ */
+const runEvaluation = async (trigger) => {
+    const snapshot = await getActiveSnapshot(await getStorage().getDatabase());
+    const snapshotVersion = snapshot ? snapshot.version : null;
+    const evaluatedAt = new Date().toISOString();
+
+    return runWithContext({ snapshot }, async () => {
+        const rules = await alertRulesRepository.findEnabled();
+        const sources = new Map();
+        const loadSource = (name) => {
+            if (!sources.has(name)) sources.set(name, SOURCES[name]());
+            return sources.get(name);
+        };
+
+        const results = [];
+        for (const rule of rules) {
+            try {
+                results.push(await evaluateRule(rule, loadSource, { evaluatedAt, snapshotVersion }));
+            } catch (error) {
+                console.error(`Error evaluating alert rule ${rule._id}:`, error);
+                results.push({ ruleId: rule._id, ruleName: rule.name, error: error.message });
+            }
+        }
+        await alertRulesRepository.markEvaluated(rules.map(rule => rule._id), evaluatedAt);
+
+        return {
+            trigger,
+            snapshotVersion,
+            evaluatedAt,
+            rules: rules.length,
+            triggered: results.reduce((sum, result) => sum + (result.triggered || 0), 0),
+            resolved: results.reduce((sum, result) => sum + (result.resolved || 0), 0),
+            results
+        };
+    });
+};
+
+// Evaluations run one at a time in a process, so two imports in quick succession cannot open the same alert twice
+let evaluationChain = Promise.resolve();
+
+/**
+ * Evaluate every enabled rule against the active dataset snapshot
+ * @param {Object} options - { trigger: 'import' or 'manual' }
+ * @returns {Promise<Object>} Evaluation summary with one result per rule
+ */
+const evaluateRules = async ({ trigger = 'manual' } = {}) => {
+    try {
+        const evaluation = evaluationChain.then(() => runEvaluation(trigger));
+        evaluationChain = evaluation.catch(() => {});
+        return await evaluation;
+    } catch (error) {
+        console.error('Error in evaluateRules:', error);
+        throw error;
+    }
+};
+
+/**
+ * List alerts
+ * @param {Object} listQuery - Filter/sort/pagination query for the alerts list
+ * @returns {Promise<Object>} { alerts, pagination }
+ */
+const listAlerts = async (listQuery) => {
+    try {
+        const { items, total } = await alertsRepository.list(listQuery);
+        return {
+            alerts: items,
+            pagination: buildPagination(listQuery, total)
+        };
+    } catch (error) {
+        console.error('Error in listAlerts:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get an alert
+ * @param {string} id - Alert id
+ * @returns {Promise<Object>} Alert
+ */
+const getAlert = async (id) => {
+    try {
+        const alert = await alertsRepository.findById(id);
+        if (!alert) {
+            throw new ApiError(404, `Alert '${id}' not found`);
+        }
+        return alertsRepository.toDto(alert);
+    } catch (error) {
+        console.error('Error in getAlert:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    listMetrics,
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    evaluateRules,
+    listAlerts,
+    getAlert
+};
@@ -3,154 +3,112 @@
  * Handles AI chat and analytics operations
  */
 
-const { getCollection } = require('../database/connection');
-const { transformData } = require('../utils/responseHandler');
 const databaseConfig = require('../config/database');
+const { createListQuery } = require('../utils/listQuery');
+const { getStorage } = require('../database/storage');
+const { getReadSnapshot } = require('../database/snapshotRegistry');
+const { getLlmProvider } = require('../llm');
+const { buildSources, buildMessages, extractCitations, composeRuleAnswer } = require('../llm/grounding');
+const { throwIfAborted } = require('../utils/eventStream');
 
 /**
- * Pre-defined prompts for AI chat
+ * Get the version of the dataset snapshot being read
+ * @returns {Promise<number|null>} Snapshot version (null before the first import)
  */
-const PREDEFINED_PROMPTS = [
-    {
-        id: 1,
-        title: "Revenue Growth Analysis",
-        prompt: "Analyze the revenue growth patterns and identify top performing customers"
-    },
-    {
-        id: 2,
-        title: "Country Performance",
-        prompt: "Which countries are showing the highest revenue growth and why?"
-    },
-    {
-        id: 3,
-        title: "Customer Concentration",
-        prompt: "Analyze customer concentration and identify potential risks"
-    },
-    {
-        id: 4,
-        title: "Quarterly Trends",
-        prompt: "What are the key trends in Q3 vs Q4 revenue performance?"
-    },
-    {
-        id: 5,
-        title: "Revenue Bridge Analysis",
-        prompt: "Break down the revenue changes into expansion, new, and churned revenue"
-    }
-];
+const getSnapshotVersion = async () => {
+    const snapshot = await getReadSnapshot(await getStorage().getDatabase());
+    return snapshot ? snapshot.version : null;
+};
 
 /**
- * Get predefined prompts
- * @returns {Promise<Array>} List of predefined prompts
+ * Phrase the answer with the configured completion provider, falling back to the rule engine
+ * when none is configured, the provider fails, or its answer cites none of the sources
+ * @param {string} prompt - User's analysis prompt
+ * @param {Array} sources - Grounded sources
+ * @param {Array<string>} notes - Limitations of the query results
+ * @param {Object} options - { signal, onEvent }; with `onEvent`, providers that can stream pass the answer
+ *                           as ('token', { text }) events while it is generated
+ * @returns {Promise<Object>} { answer, citations, provider, notes }
  */
-const getPredefinedPrompts = async () => {
+const composeAnswer = async (prompt, sources, notes, { signal = null, onEvent = null } = {}) => {
+    const ruleAnswer = (reason) => ({
+        answer: composeRuleAnswer(sources),
+        citations: sources.filter(source => source.figures.length > 0),
+        provider: { name: 'rules', model: null, fallback: reason !== null, usage: null },
+        notes: reason ? [reason] : []
+    });
+
+    const provider = getLlmProvider();
+    if (!provider) {
+        return ruleAnswer(null);
+    }
+
+    let completion;
     try {
-        return PREDEFINED_PROMPTS;
+        const request = { messages: buildMessages(prompt, sources, notes), sources, signal };
+        completion = onEvent && provider.stream
+            ? await provider.stream({ ...request, onToken: text => onEvent('token', { text }) })
+            : await provider.complete(request);
     } catch (error) {
-        console.error('Error in getPredefinedPrompts:', error);
-        throw error;
+        // A cancelled request is not a provider failure: there is nobody left to answer
+        throwIfAborted(signal);
+        console.error('Error in composeAnswer:', error.message);
+        return ruleAnswer(`${error.message}; the rule engine answer is shown.`);
     }
+
+    const { citations, unknown } = extractCitations(completion.text, sources);
+    if (sources.length > 0 && citations.length === 0) {
+        return ruleAnswer(`The answer from LLM provider '${provider.name}' cited none of the sources; the rule engine answer is shown.`);
+    }
+
+    return {
+        answer: completion.text,
+        citations,
+        provider: { name: provider.name, model: completion.model, fallback: false, usage: completion.usage },
+        notes: unknown.length > 0 ? [`The answer cites unknown source(s) ${unknown.join(', ')}.`] : []
+    };
 };
 
 /**
  * Analyze data based on user prompt
+ * The prompt is parsed into intents (rankings, lookups, churn, retention, concentration, trend, comparisons),
+ * each answered from the matching service (see services/queryService.js). The results are the grounded context
+ * from which the configured LLM provider, or the rule engine, phrases a cited answer.
  * @param {string} prompt - User's analysis prompt
- * @returns {Promise<Object>} Analysis results
+ * @param {Object} options - Options
+ * @param {Object} options.context - Context of the previous question in a chat session
+ * @param {AbortSignal} options.signal - Cancels the analysis (e.g. when a streaming client disconnects)
+ * @param {Function} options.onEvent - Receives the progress of the analysis as (event, data): 'query', one
+ *                                     'result' per intent, 'token' pieces of the answer when the provider
+ *                                     streams, then 'answer' ({ answer, citations, provider, notes })
+ * @returns {Promise<Object>} Analysis results, with the context for a follow-up question
  */
-const analyzeData = async (prompt) => {
+const analyzeData = async (prompt, { context = null, signal = null, onEvent = null } = {}) => {
     try {
-        const promptLower = prompt.toLowerCase();
-        let analysis = {
+        const queryService = require('./queryService');
+        const { query, results, insights, recommendations, notes, data, context: followUpContext } = await queryService.runQuery(prompt, {
+            context,
+            signal,
+            ...(onEvent && { onEvent })
+        });
+        const sources = buildSources(results, await getSnapshotVersion());
+        throwIfAborted(signal);
+        const composed = await composeAnswer(prompt, sources, notes, { signal, onEvent });
+        if (onEvent) onEvent('answer', composed);
+
+        return {
             prompt,
-            insights: [],
-            recommendations: [],
-            data: {}
+            answer: composed.answer,
+            citations: composed.citations,
+            provider: composed.provider,
+            query,
+            results,
+            insights,
+            recommendations,
+            notes: [...notes, ...composed.notes],
+            data,
+            context: followUpContext
         };
-
-        // Revenue growth analysis
-        if (promptLower.includes('revenue growth') || promptLower.includes('top performing')) {
-            const revenueService = require('./revenueService');
-            const topCustomers = await revenueService.getTopGrowthCustomers(5);
-            
-            analysis.insights.push(
-                `Top 5 customers by revenue growth: ${topCustomers.map(c => c.customerName).join(', ')}`,
-                `Highest growth customer: ${topCustomers[0]?.customerName} with ${topCustomers[0]?.formattedVariance} growth`
-            );
-            
-            analysis.data.topCustomers = topCustomers;
-        }
-
-        // Country performance analysis
-        if (promptLower.includes('country') || promptLower.includes('countries')) {
-            const countriesService = require('./countriesService');
-            const topCountries = await countriesService.getTopCountriesByRevenue(5);
-            
-            analysis.insights.push(
-                `Top 5 countries by revenue: ${topCountries.map(c => c.countryName).join(', ')}`,
-                `Highest revenue country: ${topCountries[0]?.countryName} with ${topCountries[0]?.formattedRevenue}`
-            );
-            
-            analysis.data.topCountries = topCountries;
-        }
-
-        // Customer concentration analysis
-        if (promptLower.includes('customer concentration') || promptLower.includes('risks')) {
-            const customersService = require('./customersService');
-            const concentration = await customersService.getCustomerConcentration(5);
-            
-            analysis.insights.push(
-                `Top 5 customers by total revenue: ${concentration.map(c => c.customerName).join(', ')}`,
-                `Customer concentration risk: ${concentration[0]?.customerName} represents significant portion of revenue`
-            );
-            
-            analysis.data.concentration = concentration;
-        }
-
-        // Quarterly trends analysis
-        if (promptLower.includes('quarterly') || promptLower.includes('q3') || promptLower.includes('q4')) {
-            const revenueService = require('./revenueService');
-            const summary = await revenueService.getRevenueSummary();
-            
-            const growthRate = summary.totalQ3Revenue > 0 ? 
-                ((summary.totalQ4Revenue - summary.totalQ3Revenue) / summary.totalQ3Revenue) * 100 : 0;
-            
-            analysis.insights.push(
-                `Q3 Revenue: ${summary.formattedQ3Revenue}`,
-                `Q4 Revenue: ${summary.formattedQ4Revenue}`,
-                `Overall growth: ${transformData.formatPercentage(growthRate)}`,
-                `Variance: ${summary.formattedVariance}`
-            );
-            
-            analysis.data.summary = summary;
-        }
-
-        // Revenue bridge analysis
-        if (promptLower.includes('bridge') || promptLower.includes('expansion') || promptLower.includes('churned')) {
-            const revenueService = require('./revenueService');
-            const bridgeData = await revenueService.getRevenueBridgeData(5);
-            
-            const totalExpansion = bridgeData.reduce((sum, item) => sum + item.expansionRevenue, 0);
-            const totalChurned = bridgeData.reduce((sum, item) => sum + item.churnedRevenue, 0);
-            
-            analysis.insights.push(
-                `Top 5 customers by expansion revenue: ${bridgeData.map(c => c.customerName).join(', ')}`,
-                `Total expansion revenue: ${transformData.formatCurrency(totalExpansion)}`,
-                `Total churned revenue: ${transformData.formatCurrency(totalChurned)}`
-            );
-            
-            analysis.data.bridgeData = bridgeData;
-        }
-
-        // Generate recommendations based on insights
-        if (analysis.insights.length > 0) {
-            analysis.recommendations.push(
-                "Focus on high-growth customers to maximize revenue potential",
-                "Monitor customer concentration to mitigate risks",
-                "Analyze expansion opportunities in top-performing countries",
-                "Implement strategies to reduce customer churn"
-            );
-        }
-
-        return analysis;
     } catch (error) {
         console.error('Error in analyzeData:', error);
         throw error;
@@ -169,18 +127,20 @@ const getDashboardSummary = async () => {
         const regionsService = require('./regionsService');
 
         // Get all summary data
-        const [revenueSummary, topCountries, customerStats, regionsSummary, topCustomers] = await Promise.all([
+        const [revenueSummary, topCountries, customerStats, regionsSummary, topCustomers, retention] = await Promise.all([
             revenueService.getRevenueSummary(),
             countriesService.getTopCountriesByRevenue(5),
             customersService.getCustomerStatistics(),
             regionsService.getRegionsSummary(),
-            customersService.getCustomerConcentration(5)
+            customersService.getCustomerConcentration(createListQuery('customerConcentration', { limit: 5 })),
+            revenueService.getRetentionMetrics()
         ]);
 
         return {
             revenue: revenueSummary,
+            retention,
             topCountries,
-            topCustomers,
+            topCustomers: topCustomers.customers,
             customerStats,
             regions: regionsSummary,
             timestamp: new Date().toISOString()
@@ -192,7 +152,6 @@ const getDashboardSummary = async () => {
 };
 
 module.exports = {
-    getPredefinedPrompts,
     analyzeData,
     getDashboardSummary
 }; 
\ No newline at end of file
@@ -0,0 +1,419 @@
+/**
+ * Auth Service
+ * Login with email and password, JWT access tokens and refresh tokens, logout and password resets.
+ *
+ * A login opens a session. The access token (short-lived JWT) names its session, and the refresh token
+ * (`<session id>.<random secret>`, stored hashed) renews it: each refresh replaces the refresh token, and
+ * presenting a replaced one revokes the session, as it means the token was copied. Revoking a session (logout,
+ * password change or reset, disabled account) ends its access tokens at once, as every request checks it.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { usersRepository, authSessionsRepository, passwordResetsRepository } = require('../repositories');
+const { hashPassword, verifyPassword, UNUSABLE_HASH } = require('../utils/password');
+const { isEmailAddress, sendMail } = require('../utils/mailer');
+const { ApiError } = require('../middleware/errorHandler');
+const authConfig = require('../config/auth');
+const appConfig = require('../config/app');
+
+const { accessToken: accessTokenConfig } = authConfig;
+
+let signingSecret = null;
+
+/**
+ * Get the secret access tokens are signed with
+ * @returns {string} Secret
+ * @throws {Error} In production, when JWT_SECRET is missing or too short
+ */
+const getSigningSecret = () => {
+    if (signingSecret) return signingSecret;
+
+    const { secret, minSecretLength } = accessTokenConfig;
+    if (secret && secret.length >= minSecretLength) {
+        signingSecret = secret;
+    } else if (appConfig.server.environment === 'production') {
+        throw new Error(`JWT_SECRET must be set to at least ${minSecretLength} characters in production`);
+    } else {
+        console.warn(`⚠️ JWT_SECRET is not set (or shorter than ${minSecretLength} characters): using a random secret, tokens end when the server restarts`);
+        signingSecret = crypto.randomBytes(48).toString('base64');
+    }
+    return signingSecret;
+};
+
+/**
+ * Hash a refresh or password reset token for storage
+ * @param {string} token - Token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a random token secret
+ * @returns {string} URL-safe random string
+ */
+const generateSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Check a new password against the password policy
+ * @param {*} password - Password
+ * @returns {Array<string>} Errors (empty when the password is acceptable)
+ */
+const checkPassword = (password) => {
+    const { minLength, maxLength } = authConfig.password;
+    if (typeof password !== 'string') return ['"password" must be a string'];
+    if (password.length < minLength) return [`"password" must be at least ${minLength} characters`];
+    if (password.length > maxLength) return [`"password" must be at most ${maxLength} characters`];
+    return [];
+};
+
+/**
+ * Sign an access token and a refresh token for a session
+ * @param {Object} user - Stored user
+ * @param {Object} session - Stored session
+ * @param {string} secret - Refresh token secret of the session
+ * @returns {Object} { tokenType, accessToken, expiresIn, refreshToken, refreshTokenExpiresAt, user }
+ */
+const issueTokens = (user, session, secret) => {
+    const accessToken = jwt.sign({ sid: session._id, role: user.role }, getSigningSecret(), {
+        subject: user._id,
+        issuer: accessTokenConfig.issuer,
+        expiresIn: accessTokenConfig.expiresIn
+    });
+    const { iat, exp } = jwt.decode(accessToken);
+
+    return {
+        tokenType: 'Bearer',
+        accessToken,
+        expiresIn: exp - iat,
+        refreshToken: `${session._id}.${secret}`,
+        refreshTokenExpiresAt: session.expiresAt,
+        user: usersRepository.toDto(user)
+    };
+};
+
+/**
+ * Log in with email and password
+ * @param {Object} credentials - { email, password }
+ * @param {Object} client - { userAgent, ip } recorded on the session
+ * @returns {Promise<Object>} Tokens and the user
+ */
+const login = async (credentials, client = {}) => {
+    try {
+        const { email, password } = credentials || {};
+        if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+            throw new ApiError(400, '"email" and "password" are required');
+        }
+
+        const user = await usersRepository.findByEmail(email.trim());
+        // The hash is checked even for unknown emails, so response times do not reveal which accounts exist
+        const valid = await verifyPassword(password, user ? user.passwordHash : UNUSABLE_HASH);
+        if (!user || !valid) {
+            throw new ApiError(401, 'Invalid email or password');
+        }
+        if (!user.active) {
+            throw new ApiError(403, 'This account is disabled');
+        }
+
+        const now = new Date();
+        await authSessionsRepository.removeExpired(user._id, now.toISOString());
+        const secret = generateSecret();
+        const session = await authSessionsRepository.create({
+            userId: user._id,
+            tokenHash: hashToken(secret),
+            expiresAt: new Date(now.getTime() + authConfig.refreshToken.ttlMs).toISOString(),
+            userAgent: client.userAgent || null,
+            ip: client.ip || null
+        });
+        const updated = await usersRepository.update(user._id, { lastLoginAt: now.toISOString() });
+
+        return issueTokens(updated, session, secret);
+    } catch (error) {
+        console.error('Error in login:', error);
+        throw error;
+    }
+};
+
+/**
+ * Split a refresh token into its session id and secret
+ * @param {*} refreshToken - Refresh token
+ * @returns {Object} { sessionId, secret }
+ */
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret, extra] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (!sessionId || !secret || extra !== undefined) {
+        throw new ApiError(401, 'Invalid refresh token');
+    }
+    return { sessionId, secret };
+};
+
+/**
+ * Exchange a refresh token for new tokens (the refresh token is replaced)
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object>} Tokens and the user
+ */
+const refresh = async (refreshToken) => {
+    try {
+        const { sessionId, secret } = parseRefreshToken(refreshToken);
+        const session = await authSessionsRepository.findById(sessionId);
+        if (!session || session.revokedAt || session.expiresAt <= new Date().toISOString()) {
+            throw new ApiError(401, 'Invalid refresh token');
+        }
+
+        const tokenHash = hashToken(secret);
+        if (tokenHash !== session.tokenHash) {
+            // A replaced refresh token came back: someone else holds a copy, so the session ends for both
+            await authSessionsRepository.revoke({ _id: session._id }, 'refresh token reused');
+            throw new ApiError(401, 'Invalid refresh token');
+        }
+
+        const user = await usersRepository.findById(session.userId);
+        if (!user || !user.active) {
+            await authSessionsRepository.revoke({ _id: session._id }, 'account disabled');
+            throw new ApiError(401, 'Invalid refresh token');
+        }
+
+        const nextSecret = generateSecret();
+        const expiresAt = new Date(Date.now() + authConfig.refreshToken.ttlMs).toISOString();
+        if (!await authSessionsRepository.rotate(session._id, tokenHash, { tokenHash: hashToken(nextSecret), expiresAt })) {
+            // Another request refreshed with the same token first
+            throw new ApiError(401, 'Invalid refresh token');
+        }
+
+        return issueTokens(user, { ...session, expiresAt }, nextSecret);
+    } catch (error) {
+        console.error('Error in refresh:', error);
+        throw error;
+    }
+};
+
+/**
+ * End the session of a refresh token
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object>} { revoked }
+ */
+const logout = async (refreshToken) => {
+    try {
+        const { sessionId, secret } = parseRefreshToken(refreshToken);
+        const session = await authSessionsRepository.findById(sessionId);
+        if (!session || session.tokenHash !== hashToken(secret)) {
+            throw new ApiError(401, 'Invalid refresh token');
+        }
+
+        const revoked = await authSessionsRepository.revoke({ _id: session._id }, 'logout');
+        return { revoked: revoked > 0 };
+    } catch (error) {
+        console.error('Error in logout:', error);
+        throw error;
+    }
+};
+
+/**
+ * End every session of a user
+ * @param {string} userId - User id
+ * @param {string} reason - Why the sessions end
+ * @returns {Promise<Object>} { revoked (number of sessions) }
+ */
+const logoutEverywhere = async (userId, reason = 'logout everywhere') => {
+    try {
+        return { revoked: await authSessionsRepository.revoke({ userId }, reason) };
+    } catch (error) {
+        console.error('Error in logoutEverywhere:', error);
+        throw error;
+    }
+};
+
+/**
+ * Check an access token and load its user. Token errors (JsonWebTokenError, TokenExpiredError) are left to
+ * the error handler.
+ * @param {string} token - Access token
+ * @returns {Promise<Object>} { user (DTO), sessionId }
+ */
+const authenticateAccessToken = async (token) => {
+    const payload = jwt.verify(token, getSigningSecret(), { issuer: accessTokenConfig.issuer });
+
+    const [user, session] = await Promise.all([
+        usersRepository.findById(payload.sub),
+        authSessionsRepository.findById(payload.sid)
+    ]);
+    if (!session || session.userId !== payload.sub || session.revokedAt) {
+        throw new ApiError(401, 'Session has ended, please log in again');
+    }
+    if (!user || !user.active) {
+        throw new ApiError(401, 'This account is disabled');
+    }
+
+    return { user: usersRepository.toDto(user), sessionId: session._id };
+};
+
+/**
+ * Change the password of the logged-in user. The user's other sessions end.
+ * @param {string} userId - User id
+ * @param {string} sessionId - Current session (kept)
+ * @param {Object} fields - { currentPassword, newPassword }
+ * @returns {Promise<Object>} { revoked (number of other sessions ended) }
+ */
+const changePassword = async (userId, sessionId, fields) => {
+    try {
+        const { currentPassword, newPassword } = fields || {};
+        if (typeof currentPassword !== 'string' || !currentPassword) {
+            throw new ApiError(400, '"currentPassword" is required');
+        }
+        const errors = checkPassword(newPassword).map(message => message.replace('"password"', '"newPassword"'));
+        if (errors.length > 0) {
+            throw new ApiError(400, errors.join('; '));
+        }
+
+        const user = await usersRepository.findById(userId);
+        if (!user || !await verifyPassword(currentPassword, user.passwordHash)) {
+            throw new ApiError(401, 'Current password is incorrect');
+        }
+
+        await usersRepository.update(userId, {
+            passwordHash: await hashPassword(newPassword),
+            passwordChangedAt: new Date().toISOString()
+        });
+        const revoked = await authSessionsRepository.revoke({ userId, _id: { $ne: sessionId } }, 'password changed');
+        return { revoked };
+    } catch (error) {
+        console.error('Error in changePassword:', error);
+        throw error;
+    }
+};
+
+/**
+ * Create a password reset token for a user
+ * @param {Object} user - Stored user
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+const createPasswordReset = async (user) => {
+    const token = generateSecret();
+    const { expiresAt } = await passwordResetsRepository.create({
+        tokenHash: hashToken(token),
+        userId: user._id,
+        expiresAt: new Date(Date.now() + authConfig.passwordReset.ttlMs).toISOString()
+    });
+    return { token, expiresAt };
+};
+
+/**
+ * Email a password reset link. Nothing reveals whether the account exists.
+ * @param {Object} fields - { email }
+ * @returns {Promise<void>} Resolves once the request is handled
+ */
+const requestPasswordReset = async (fields) => {
+    try {
+        const { email } = fields || {};
+        if (!isEmailAddress(email)) {
+            throw new ApiError(400, '"email" must be an email address');
+        }
+
+        const user = await usersRepository.findByEmail(email.trim());
+        if (!user || !user.active) return;
+
+        const { token, expiresAt } = await createPasswordReset(user);
+        try {
+            await sendMail({
+                to: user.email,
+                subject: 'Reset your Zenalyst password',
+                text: [
+                    `Hello ${user.name},`,
+                    '',
+                    'Use this link to choose a new password:',
+                    `${authConfig.passwordReset.url}${token}`,
+                    '',
+                    `The link works once and expires at ${expiresAt}. If you did not ask for it, you can ignore this email.`
+                ].join('\n')
+            });
+        } catch (mailError) {
+            // The response must not differ for existing accounts, so a mail failure is only logged
+            console.error(`Error sending the password reset email of user ${user._id}:`, mailError.message);
+        }
+    } catch (error) {
+        console.error('Error in requestPasswordReset:', error);
+        throw error;
+    }
+};
+
+/**
+ * Set a new password with a reset token. Every session of the user ends.
+ * @param {Object} fields - { token, password }
+ * @returns {Promise<Object>} { revoked (number of sessions ended) }
+ */
+const resetPassword = async (fields) => {
+    try {
+        const { token, password } = fields || {};
+        if (typeof token !== 'string' || !token) {
+            throw new ApiError(400, '"token" is required');
+        }
+        const errors = checkPassword(password);
+        if (errors.length > 0) {
+            throw new ApiError(400, errors.join('; '));
+        }
+
+        const reset = await passwordResetsRepository.consume(hashToken(token), new Date().toISOString());
+        const user = reset && await usersRepository.findById(reset.userId);
+        if (!user || !user.active) {
+            throw new ApiError(400, 'The reset token is invalid or has expired');
+        }
+
+        await usersRepository.update(user._id, {
+            passwordHash: await hashPassword(password),
+            passwordChangedAt: new Date().toISOString()
+        });
+        await passwordResetsRepository.removeForUser(user._id);
+        const revoked = await authSessionsRepository.revoke({ userId: user._id }, 'password reset');
+        return { revoked };
+    } catch (error) {
+        console.error('Error in resetPassword:', error);
+        throw error;
+    }
+};
+
+/**
+ * Create the first administrator from ADMIN_EMAIL and ADMIN_PASSWORD while no user exists
+ * @returns {Promise<Object|null>} Created user, or null when users exist or no administrator is configured
+ */
+const ensureAdminUser = async () => {
+    try {
+        getSigningSecret();
+        if (await usersRepository.count() > 0) return null;
+
+        const { email, password, name } = authConfig.bootstrapAdmin;
+        if (!email || !password) {
+            console.warn('⚠️ No user accounts exist: set ADMIN_EMAIL and ADMIN_PASSWORD to create the first administrator');
+            return null;
+        }
+        const errors = [...(isEmailAddress(email) ? [] : ['ADMIN_EMAIL must be an email address']), ...checkPassword(password)];
+        if (errors.length > 0) {
+            throw new Error(`Cannot create the first administrator: ${errors.join('; ')}`);
+        }
+
+        const user = await usersRepository.create({
+            email,
+            name,
+            role: 'admin',
+            active: true,
+            passwordHash: await hashPassword(password)
+        });
+        console.log(`👤 Created administrator ${user.email}`);
+        return usersRepository.toDto(user);
+    } catch (error) {
+        console.error('Error in ensureAdminUser:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    checkPassword,
+    login,
+    refresh,
+    logout,
+    logoutEverywhere,
+    authenticateAccessToken,
+    changePassword,
+    createPasswordReset,
+    requestPasswordReset,
+    resetPassword,
+    ensureAdminUser
+};
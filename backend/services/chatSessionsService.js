@@ -0,0 +1,184 @@
+/**
+ * Chat Sessions Service
+ * Analytics chat: sessions whose questions are answered by analyticsService.analyzeData with the context of the
+ * previous question, so follow-ups ("and what about Canada?") carry over its entities and filters
+ */
+
+const { chatSessionsRepository, chatMessagesRepository } = require('../repositories');
+const { buildPagination } = require('../utils/listQuery');
+const { ApiError } = require('../middleware/errorHandler');
+const analyticsConfig = require('../config/analytics');
+const analyticsService = require('./analyticsService');
+
+const { defaultTitle, maxTitleLength } = analyticsConfig.chat;
+
+/**
+ * Shorten a question into a session title
+ * @param {string} text - Question
+ * @returns {string} Title
+ */
+const toTitle = (text) => {
+    const title = text.replace(/\s+/g, ' ').trim();
+    return title.length > maxTitleLength ? `${title.slice(0, maxTitleLength - 1).trimEnd()}…` : title;
+};
+
+/**
+ * Get a stored session of a user or fail with 404 (other users' sessions are never found)
+ * @param {string} id - Session id
+ * @param {string} userId - Owner
+ * @returns {Promise<Object>} Stored session
+ */
+const findSession = async (id, userId) => {
+    const session = await chatSessionsRepository.findById(id, userId);
+    if (!session) {
+        throw new ApiError(404, `Chat session '${id}' not found`);
+    }
+    return session;
+};
+
+/**
+ * Create a chat session
+ * @param {Object} options - { title } (optional; untitled sessions are named after their first question)
+ * @param {string} userId - User the session belongs to
+ * @returns {Promise<Object>} Session
+ */
+const createSession = async ({ title }, userId) => {
+    try {
+        const session = await chatSessionsRepository.create({
+            userId,
+            title: title ? toTitle(title) : defaultTitle,
+            autoTitle: !title
+        });
+        return chatSessionsRepository.toDto(session);
+    } catch (error) {
+        console.error('Error in createSession:', error);
+        throw error;
+    }
+};
+
+/**
+ * List the chat sessions of a user
+ * @param {Object} listQuery - Filter/sort/pagination query for the chatSessions list
+ * @param {string} userId - Owner
+ * @returns {Promise<Object>} { sessions, pagination }
+ */
+const listSessions = async (listQuery, userId) => {
+    try {
+        const { items, total } = await chatSessionsRepository.listByUser(userId, listQuery);
+        return {
+            sessions: items,
+            pagination: buildPagination(listQuery, total)
+        };
+    } catch (error) {
+        console.error('Error in listSessions:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get a chat session with its messages
+ * @param {string} id - Session id
+ * @param {string} userId - Owner
+ * @returns {Promise<Object>} Session, its messages and the context follow-ups are parsed with
+ */
+const getSession = async (id, userId) => {
+    try {
+        const session = await findSession(id, userId);
+        return {
+            ...chatSessionsRepository.toDto(session),
+            context: session.context,
+            messages: await chatMessagesRepository.findBySession(id)
+        };
+    } catch (error) {
+        console.error('Error in getSession:', error);
+        throw error;
+    }
+};
+
+/**
+ * Rename a chat session
+ * @param {string} id - Session id
+ * @param {string} title - New title
+ * @param {string} userId - Owner
+ * @returns {Promise<Object>} Session
+ */
+const renameSession = async (id, title, userId) => {
+    try {
+        const session = await chatSessionsRepository.update(id, userId, { title: toTitle(title), autoTitle: false });
+        if (!session) {
+            throw new ApiError(404, `Chat session '${id}' not found`);
+        }
+        return chatSessionsRepository.toDto(session);
+    } catch (error) {
+        console.error('Error in renameSession:', error);
+        throw error;
+    }
+};
+
+/**
+ * Delete a chat session and its messages
+ * @param {string} id - Session id
+ * @param {string} userId - Owner
+ * @returns {Promise<Object>} { id, messagesDeleted }
+ */
+const deleteSession = async (id, userId) => {
+    try {
+        await findSession(id, userId);
+        const messagesDeleted = await chatMessagesRepository.removeBySession(id);
+        await chatSessionsRepository.remove(id, userId);
+        return { id, messagesDeleted };
+    } catch (error) {
+        console.error('Error in deleteSession:', error);
+        throw error;
+    }
+};
+
+/**
+ * Ask a question in a chat session
+ * @param {string} id - Session id
+ * @param {string} content - Question
+ * @param {string} userId - Owner
+ * @param {Object} options - { signal, onEvent } passed to analyticsService.analyzeData to stream the answer;
+ *                           nothing is stored when the analysis is cancelled
+ * @returns {Promise<Object>} { session, message (the question), reply (the answer with the full analysis) }
+ */
+const sendMessage = async (id, content, userId, { signal = null, onEvent = null } = {}) => {
+    try {
+        const session = await findSession(id, userId);
+        const { context, data, ...analysis } = await analyticsService.analyzeData(content, { context: session.context, signal, onEvent });
+
+        // History keeps the answer and what it was based on; the data rows are not stored
+        const [message, reply] = await chatMessagesRepository.append(id, session.messageCount || 0, [
+            { role: 'user', content },
+            {
+                role: 'assistant',
+                content: analysis.answer,
+                analysis: { ...analysis, results: analysis.results.map(({ data: resultData, ...result }) => result) }
+            }
+        ]);
+
+        const updated = await chatSessionsRepository.update(id, userId, {
+            context,
+            messageCount: (session.messageCount || 0) + 2,
+            ...(session.autoTitle && session.messageCount === 0 && { title: toTitle(content), autoTitle: false })
+        });
+
+        return {
+            session: chatSessionsRepository.toDto(updated),
+            message,
+            reply: { ...reply, analysis: { ...analysis, data } }
+        };
+    } catch (error) {
+        console.error('Error in sendMessage:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    createSession,
+    listSessions,
+    getSession,
+    renameSession,
+    deleteSession,
+    sendMessage
+};
@@ -3,9 +3,11 @@
  * Handles country-wise revenue data operations
  */
 
-const { getCollection } = require('../database/connection');
 const { transformData } = require('../utils/responseHandler');
-const databaseConfig = require('../config/database');
+const metricsConfig = require('../config/metrics');
+const { countriesRepository } = require('../repositories');
+const { analyzeConcentration, summarizeConcentration } = require('../utils/concentration');
+const { createListQuery, buildPagination } = require('../utils/listQuery');
 
 /**
  * Get top countries by revenue
@@ -14,19 +16,8 @@ const databaseConfig = require('../config/database');
  */
 const getTopCountriesByRevenue = async (limit = 10) => {
     try {
-        const collection = await getCollection(databaseConfig.collections.countries);
-        
-        const countries = await collection
-            .find({})
-            .sort({ "Yearly Revenue": -1 })
-            .limit(limit)
-            .toArray();
-
-        return countries.map(country => ({
-            countryName: country.Country,
-            yearlyRevenue: country['Yearly Revenue'] || 0,
-            formattedRevenue: transformData.formatCurrency(country['Yearly Revenue'] || 0)
-        }));
+        const { items } = await countriesRepository.list(createListQuery('countries', { limit }));
+        return items;
     } catch (error) {
         console.error('Error in getTopCountriesByRevenue:', error);
         throw error;
@@ -40,49 +31,35 @@ const getTopCountriesByRevenue = async (limit = 10) => {
  */
 const getRevenueShareByCountry = async (limit = 8) => {
     try {
-        const collection = await getCollection(databaseConfig.collections.countries);
-        
-        // Get all countries
-        const allCountries = await collection.find({}).toArray();
+        // Get all countries, largest first
+        const allCountries = (await countriesRepository.findAll())
+            .sort((a, b) => b.yearlyRevenue - a.yearlyRevenue);
         
         // Calculate total revenue
-        const totalRevenue = allCountries.reduce((sum, country) => {
-            return sum + (country['Yearly Revenue'] || 0);
-        }, 0);
-
-        // Get top countries and calculate percentages
-        const topCountries = allCountries
-            .sort((a, b) => (b['Yearly Revenue'] || 0) - (a['Yearly Revenue'] || 0))
-            .slice(0, limit);
+        const totalRevenue = allCountries.reduce((sum, country) => sum + country.yearlyRevenue, 0);
 
-        const result = topCountries.map(country => {
-            const revenue = country['Yearly Revenue'] || 0;
+        const toShare = (countryName, revenue) => {
             const percentage = totalRevenue > 0 ? (revenue / totalRevenue) * 100 : 0;
-            
             return {
-                countryName: country.Country,
-                revenue: revenue,
+                countryName,
+                revenue,
                 percentage: transformData.roundToDecimals(percentage, 2),
                 formattedRevenue: transformData.formatCurrency(revenue),
                 formattedPercentage: transformData.formatPercentage(percentage)
             };
-        });
+        };
+
+        const result = allCountries
+            .slice(0, limit)
+            .map(country => toShare(country.countryName, country.yearlyRevenue));
 
         // Add "Others" category if there are more countries
         if (allCountries.length > limit) {
             const othersRevenue = allCountries
                 .slice(limit)
-                .reduce((sum, country) => sum + (country['Yearly Revenue'] || 0), 0);
-            
-            const othersPercentage = totalRevenue > 0 ? (othersRevenue / totalRevenue) * 100 : 0;
-            
-            result.push({
-                countryName: 'Others',
-                revenue: othersRevenue,
-                percentage: transformData.roundToDecimals(othersPercentage, 2),
-                formattedRevenue: transformData.formatCurrency(othersRevenue),
-                formattedPercentage: transformData.formatPercentage(othersPercentage)
-            });
+                .reduce((sum, country) => sum + country.yearlyRevenue, 0);
+
+            result.push(toShare('Others', othersRevenue));
         }
 
         return result;
@@ -93,23 +70,18 @@ const getRevenueShareByCountry = async (limit = 8) => {
 };
 
 /**
- * Get all countries with revenue data
- * @returns {Promise<Array>} All countries data
+ * Get countries with revenue data
+ * @param {Object} listQuery - Filter/sort/fields/pagination query (see utils/listQuery)
+ * @returns {Promise<Object>} Countries for the requested page and pagination
  */
-const getAllCountries = async () => {
+const getAllCountries = async (listQuery = createListQuery('countries')) => {
     try {
-        const collection = await getCollection(databaseConfig.collections.countries);
-        
-        const countries = await collection
-            .find({})
-            .sort({ "Yearly Revenue": -1 })
-            .toArray();
-
-        return countries.map(country => ({
-            countryName: country.Country,
-            yearlyRevenue: country['Yearly Revenue'] || 0,
-            formattedRevenue: transformData.formatCurrency(country['Yearly Revenue'] || 0)
-        }));
+        const { items, total } = await countriesRepository.list(listQuery);
+
+        return {
+            countries: items,
+            pagination: buildPagination(listQuery, total)
+        };
     } catch (error) {
         console.error('Error in getAllCountries:', error);
         throw error;
@@ -123,21 +95,49 @@ const getAllCountries = async () => {
  */
 const getCountryByName = async (countryName) => {
     try {
-        const collection = await getCollection(databaseConfig.collections.countries);
-        
-        const country = await collection.findOne({ Country: countryName });
+        const country = await countriesRepository.findOne({ countryName });
         
         if (!country) {
             throw new Error(`Country '${countryName}' not found`);
         }
 
+        return country;
+    } catch (error) {
+        console.error('Error in getCountryByName:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get country concentration risk: each country's share and cumulative share with its Pareto/ABC class,
+ * plus HHI, Gini coefficient, top-N shares and the risk flags raised by the configured thresholds
+ * @returns {Promise<Object>} Concentration summary and countries
+ */
+const getCountryConcentrationRisk = async () => {
+    try {
+        const countries = await countriesRepository.findAll();
+
+        const metrics = analyzeConcentration(countries.map(country => ({
+            name: country.countryName,
+            revenue: country.yearlyRevenue
+        })));
+
         return {
-            countryName: country.Country,
-            yearlyRevenue: country['Yearly Revenue'] || 0,
-            formattedRevenue: transformData.formatCurrency(country['Yearly Revenue'] || 0)
+            ...summarizeConcentration(metrics, metricsConfig.concentration.thresholds.countries),
+            countries: metrics.items.map(item => ({
+                rank: item.rank,
+                countryName: item.name,
+                yearlyRevenue: item.revenue,
+                share: item.share,
+                cumulativeShare: item.cumulativeShare,
+                abcClass: item.abcClass,
+                formattedRevenue: transformData.formatCurrency(item.revenue),
+                formattedShare: transformData.formatPercentage(item.share),
+                formattedCumulativeShare: transformData.formatPercentage(item.cumulativeShare)
+            }))
         };
     } catch (error) {
-        console.error('Error in getCountryByName:', error);
+        console.error('Error in getCountryConcentrationRisk:', error);
         throw error;
     }
 };
@@ -145,6 +145,7 @@ const getCountryByName = async (countryName) => {
 module.exports = {
     getTopCountriesByRevenue,
     getRevenueShareByCountry,
+    getCountryConcentrationRisk,
     getAllCountries,
     getCountryByName
-}; 
\ No newline at end of file
+};
@@ -3,104 +3,113 @@
  * Handles customer concentration and analysis data operations
  */
 
-const { getCollection } = require('../database/connection');
 const { transformData } = require('../utils/responseHandler');
-const databaseConfig = require('../config/database');
+const { comparePeriods, formatPeriodLabel } = require('../utils/periods');
+const revenueService = require('./revenueService');
+const metricsConfig = require('../config/metrics');
+const { customerConcentrationRepository, revenuePeriodsRepository } = require('../repositories');
+const { analyzeConcentration, summarizeConcentration } = require('../utils/concentration');
+const { createListQuery, applyListQuery, selectFields, buildPagination } = require('../utils/listQuery');
 
 /**
  * Get customer concentration analysis
- * @param {number} limit - Number of customers to return
- * @returns {Promise<Array>} Customer concentration data
+ * @param {Object} listQuery - Filter/sort/fields/pagination query (see utils/listQuery)
+ * @returns {Promise<Object>} Customers for the requested page and pagination
  */
-const getCustomerConcentration = async (limit = 20) => {
+const getCustomerConcentration = async (listQuery = createListQuery('customerConcentration')) => {
     try {
-        const collection = await getCollection(databaseConfig.collections.customerConcentration);
-        
-        const customers = await collection
-            .find({})
-            .sort({ "Total Revenue": -1 })
-            .limit(limit)
-            .toArray();
-
-        return customers.map(customer => ({
-            customerName: customer['Customer Name'],
-            totalRevenue: customer['Total Revenue'] || 0,
-            formattedRevenue: transformData.formatCurrency(customer['Total Revenue'] || 0)
-        }));
+        const { items, total } = await customerConcentrationRepository.list(listQuery);
+
+        return {
+            customers: items,
+            pagination: buildPagination(listQuery, total)
+        };
     } catch (error) {
         console.error('Error in getCustomerConcentration:', error);
         throw error;
     }
 };
 
+/**
+ * Get customer concentration risk: each customer's share and cumulative share with its Pareto/ABC class,
+ * plus HHI, Gini coefficient, top-N shares and the risk flags raised by the configured thresholds.
+ * The metrics always cover every customer; the list query only filters and pages the customer rows.
+ * @param {Object} listQuery - Filter/sort/fields/pagination query (see utils/listQuery)
+ * @returns {Promise<Object>} Concentration summary, customers for the page and pagination
+ */
+const getCustomerConcentrationRisk = async (listQuery = createListQuery('concentrationCustomers')) => {
+    try {
+        const customers = await customerConcentrationRepository.findAll();
+
+        const metrics = analyzeConcentration(customers.map(customer => ({
+            name: customer.customerName,
+            revenue: customer.totalRevenue
+        })));
+
+        const { items, total } = applyListQuery(metrics.items.map(item => ({
+            rank: item.rank,
+            customerName: item.name,
+            totalRevenue: item.revenue,
+            share: item.share,
+            cumulativeShare: item.cumulativeShare,
+            abcClass: item.abcClass
+        })), listQuery);
+
+        return {
+            ...summarizeConcentration(metrics, metricsConfig.concentration.thresholds.customers),
+            customers: items.map(item => selectFields({
+                ...item,
+                formattedRevenue: transformData.formatCurrency(item.totalRevenue),
+                formattedShare: transformData.formatPercentage(item.share),
+                formattedCumulativeShare: transformData.formatPercentage(item.cumulativeShare)
+            }, listQuery.fields)),
+            pagination: buildPagination(listQuery, total)
+        };
+    } catch (error) {
+        console.error('Error in getCustomerConcentrationRisk:', error);
+        throw error;
+    }
+};
+
 /**
  * Get customer analysis with detailed filters
  * @param {Object} filters - Filter options
- * @param {number} filters.minQ4Revenue - Minimum Q4 revenue filter
- * @param {boolean} filters.positiveGrowthOnly - Filter for positive growth only
- * @param {number} filters.limit - Number of records to return
- * @param {number} filters.page - Page number for pagination
+ * @param {string} filters.from - Start period key
+ * @param {string} filters.to - End period key
+ * @param {string} filters.granularity - Period granularity ('quarter' or 'month')
+ * @param {number} filters.minRevenue - Minimum revenue in the `to` period (same as toRevenue[gte])
+ * @param {boolean} filters.positiveGrowthOnly - Filter for positive growth only (same as variance[gt]=0)
+ * @param {Object} filters.listQuery - Filter/sort/fields/pagination query (see utils/listQuery)
  * @returns {Promise<Object>} Paginated customer analysis data
  */
 const getCustomerAnalysis = async (filters = {}) => {
     try {
         const {
-            minQ4Revenue = 0,
+            from,
+            to,
+            granularity,
+            minRevenue = 0,
             positiveGrowthOnly = false,
-            limit = 50,
-            page = 1
+            listQuery = createListQuery('customerAnalysis')
         } = filters;
 
-        const collection = await getCollection(databaseConfig.collections.quarterlyRevenue);
-        
-        // Build query filter
-        let query = {};
-        
-        if (minQ4Revenue > 0) {
-            query['Quarter 4 Revenue'] = { $gte: minQ4Revenue };
-        }
-        
-        if (positiveGrowthOnly) {
-            query['Variance'] = { $gt: 0 };
-        }
+        const { range, customers } = await revenueService.getCustomerPeriodComparison({ from, to, granularity });
+
+        const legacyFilters = [
+            ...(minRevenue > 0 ? [{ field: 'toRevenue', operator: 'gte', value: minRevenue }] : []),
+            ...(positiveGrowthOnly ? [{ field: 'variance', operator: 'gt', value: 0 }] : [])
+        ];
 
-        // Calculate skip for pagination
-        const skip = (page - 1) * limit;
-
-        // Get total count
-        const total = await collection.countDocuments(query);
-
-        // Get paginated data
-        const customers = await collection
-            .find(query)
-            .sort({ "Quarter 4 Revenue": -1 })
-            .skip(skip)
-            .limit(limit)
-            .toArray();
-
-        const formattedCustomers = customers.map(customer => ({
-            customerName: customer['Customer Name'],
-            q3Revenue: customer['Quarter 3 Revenue'] || 0,
-            q4Revenue: customer['Quarter 4 Revenue'] || 0,
-            variance: customer['Variance'] || 0,
-            percentageVariance: customer['Percentage of Variance'] || 0,
-            formattedQ3Revenue: transformData.formatCurrency(customer['Quarter 3 Revenue'] || 0),
-            formattedQ4Revenue: transformData.formatCurrency(customer['Quarter 4 Revenue'] || 0),
-            formattedVariance: transformData.formatCurrency(customer['Variance'] || 0),
-            formattedPercentage: transformData.formatPercentage(customer['Percentage of Variance'] || 0),
-            growthStatus: (customer['Variance'] || 0) > 0 ? 'positive' : (customer['Variance'] || 0) < 0 ? 'negative' : 'neutral'
-        }));
+        const { items, total } = applyListQuery(customers, { ...listQuery, filters: [...listQuery.filters, ...legacyFilters] });
 
         return {
-            customers: formattedCustomers,
-            pagination: {
-                currentPage: page,
-                totalPages: Math.ceil(total / limit),
-                totalItems: total,
-                itemsPerPage: limit
-            },
+            customers: items.map(customer => selectFields(revenuePeriodsRepository.toCustomerComparison(customer), listQuery.fields)),
+            pagination: buildPagination(listQuery, total),
             filters: {
-                minQ4Revenue,
+                from: range.from,
+                to: range.to,
+                granularity: range.granularity,
+                minRevenue,
                 positiveGrowthOnly
             }
         };
@@ -113,28 +122,44 @@ const getCustomerAnalysis = async (filters = {}) => {
 /**
  * Get customer by name
  * @param {string} customerName - Name of the customer
- * @returns {Promise<Object>} Customer data
+ * @param {Object} range - Period range used for the variance figures (from/to/granularity)
+ * @returns {Promise<Object>} Customer data with its full revenue series
  */
-const getCustomerByName = async (customerName) => {
+const getCustomerByName = async (customerName, range = {}) => {
     try {
-        const collection = await getCollection(databaseConfig.collections.quarterlyRevenue);
-        
-        const customer = await collection.findOne({ "Customer Name": customerName });
-        
-        if (!customer) {
+        const resolved = await revenueService.resolvePeriodRange(range);
+        const rows = await revenuePeriodsRepository.findAll({ customerName, granularity: resolved.granularity });
+
+        if (rows.length === 0) {
             throw new Error(`Customer '${customerName}' not found`);
         }
 
+        const revenueFor = (period) => rows
+            .filter(row => row.period === period)
+            .reduce((sum, row) => sum + row.revenue, 0);
+
+        const fromRevenue = resolved.from ? revenueFor(resolved.from) : 0;
+        const toRevenue = resolved.to ? revenueFor(resolved.to) : 0;
+
+        const series = Array.from(new Set(rows.map(row => row.period)))
+            .sort(comparePeriods)
+            .map(period => ({
+                period,
+                label: formatPeriodLabel(period),
+                revenue: revenueFor(period),
+                formattedRevenue: transformData.formatCurrency(revenueFor(period))
+            }));
+
         return {
-            customerName: customer['Customer Name'],
-            q3Revenue: customer['Quarter 3 Revenue'] || 0,
-            q4Revenue: customer['Quarter 4 Revenue'] || 0,
-            variance: customer['Variance'] || 0,
-            percentageVariance: customer['Percentage of Variance'] || 0,
-            formattedQ3Revenue: transformData.formatCurrency(customer['Quarter 3 Revenue'] || 0),
-            formattedQ4Revenue: transformData.formatCurrency(customer['Quarter 4 Revenue'] || 0),
-            formattedVariance: transformData.formatCurrency(customer['Variance'] || 0),
-            formattedPercentage: transformData.formatPercentage(customer['Percentage of Variance'] || 0)
+            ...revenuePeriodsRepository.toCustomerComparison({
+                customerName,
+                fromPeriod: resolved.from,
+                toPeriod: resolved.to,
+                fromRevenue,
+                toRevenue,
+                ...revenuePeriodsRepository.calculateVariance(fromRevenue, toRevenue)
+            }),
+            series
         };
     } catch (error) {
         console.error('Error in getCustomerByName:', error);
@@ -144,25 +169,25 @@ const getCustomerByName = async (customerName) => {
 
 /**
  * Get customer statistics
+ * @param {Object} range - Period range (from/to/granularity)
  * @returns {Promise<Object>} Customer statistics
  */
-const getCustomerStatistics = async () => {
+const getCustomerStatistics = async (range = {}) => {
     try {
-        const collection = await getCollection(databaseConfig.collections.quarterlyRevenue);
-        
-        // Get all customers
-        const allCustomers = await collection.find({}).toArray();
+        const { range: resolved, customers: allCustomers } = await revenueService.getCustomerPeriodComparison(range);
         
         // Calculate statistics
         const totalCustomers = allCustomers.length;
-        const customersWithGrowth = allCustomers.filter(c => (c['Variance'] || 0) > 0).length;
-        const customersWithDecline = allCustomers.filter(c => (c['Variance'] || 0) < 0).length;
-        const customersNoChange = allCustomers.filter(c => (c['Variance'] || 0) === 0).length;
+        const customersWithGrowth = allCustomers.filter(c => c.variance > 0).length;
+        const customersWithDecline = allCustomers.filter(c => c.variance < 0).length;
+        const customersNoChange = allCustomers.filter(c => c.variance === 0).length;
         
-        const totalQ3Revenue = allCustomers.reduce((sum, c) => sum + (c['Quarter 3 Revenue'] || 0), 0);
-        const totalQ4Revenue = allCustomers.reduce((sum, c) => sum + (c['Quarter 4 Revenue'] || 0), 0);
+        const totalFromRevenue = allCustomers.reduce((sum, c) => sum + c.fromRevenue, 0);
+        const totalToRevenue = allCustomers.reduce((sum, c) => sum + c.toRevenue, 0);
         
         return {
+            fromPeriod: resolved.from,
+            toPeriod: resolved.to,
             totalCustomers,
             customersWithGrowth,
             customersWithDecline,
@@ -170,10 +195,10 @@ const getCustomerStatistics = async () => {
             growthPercentage: totalCustomers > 0 ? (customersWithGrowth / totalCustomers) * 100 : 0,
             declinePercentage: totalCustomers > 0 ? (customersWithDecline / totalCustomers) * 100 : 0,
             noChangePercentage: totalCustomers > 0 ? (customersNoChange / totalCustomers) * 100 : 0,
-            totalQ3Revenue,
-            totalQ4Revenue,
-            formattedTotalQ3Revenue: transformData.formatCurrency(totalQ3Revenue),
-            formattedTotalQ4Revenue: transformData.formatCurrency(totalQ4Revenue)
+            totalFromRevenue,
+            totalToRevenue,
+            formattedTotalFromRevenue: transformData.formatCurrency(totalFromRevenue),
+            formattedTotalToRevenue: transformData.formatCurrency(totalToRevenue)
         };
     } catch (error) {
         console.error('Error in getCustomerStatistics:', error);
@@ -183,6 +208,7 @@ const getCustomerStatistics = async () => {
 
 module.exports = {
     getCustomerConcentration,
+    getCustomerConcentrationRisk,
     getCustomerAnalysis,
     getCustomerByName,
     getCustomerStatistics
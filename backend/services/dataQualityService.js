@@ -0,0 +1,379 @@
+/**
+ * Data Quality Service
+ * Handles dataset profiling and cross-dataset reconciliation checks
+ */
+
+const { getCollection } = require('../database/storage');
+const { findDatasetType } = require('../database/datasetLoader');
+const { assessDataset } = require('../database/dataProfiler');
+const { ApiError } = require('../middleware/errorHandler');
+const { transformData } = require('../utils/responseHandler');
+const { toPeriodRows, comparePeriods, formatPeriodLabel } = require('../utils/periods');
+const { buildCustomerBridge, getRepeatedContraction } = require('../utils/revenueBridge');
+const databaseConfig = require('../config/database');
+const datasetsConfig = require('../config/datasets');
+const dataQualityConfig = require('../config/dataQuality');
+
+/**
+ * Load every document of a collection
+ * @param {string} collectionName - Collection name
+ * @returns {Promise<Array>} Documents
+ */
+const loadAll = async (collectionName) => {
+    const collection = await getCollection(collectionName);
+    return collection.find({}).toArray();
+};
+
+/**
+ * Sum revenue per customer and period from wide rows (duplicate customer rows are added together)
+ * @param {Array} rows - Dataset rows with "<period> Revenue" columns
+ * @returns {Map} Map of "customer|period" to { customerName, period, revenue }
+ */
+const sumPeriodsByCustomer = (rows) => {
+    const totals = new Map();
+
+    rows.flatMap(row => toPeriodRows(row, { defaultYear: databaseConfig.timeSeries.defaultYear }))
+        .forEach(row => {
+            const key = `${row.customerName}|${row.period}`;
+            const entry = totals.get(key) || { customerName: row.customerName, period: row.period, revenue: 0 };
+            entry.revenue += row.revenue;
+            totals.set(key, entry);
+        });
+
+    return totals;
+};
+
+/**
+ * Percentage difference of a value relative to a reference
+ * @param {number} value - Compared value
+ * @param {number} reference - Reference value
+ * @returns {number|null} Percentage difference or null when the reference is zero
+ */
+const percentageDifference = (value, reference) => (reference !== 0 ? ((value - reference) / Math.abs(reference)) * 100 : null);
+
+/**
+ * Compare per-customer period revenue between dataset A (quarterly revenue) and B (revenue bridge)
+ * @param {Array} quarterlyRows - Dataset A rows
+ * @param {Array} bridgeRows - Dataset B rows
+ * @param {Object} options - Check options ({ tolerance, limit })
+ * @returns {Object} Check result
+ */
+const compareQuarterlyWithBridge = (quarterlyRows, bridgeRows, options) => {
+    const quarterly = sumPeriodsByCustomer(quarterlyRows);
+    const bridge = sumPeriodsByCustomer(bridgeRows);
+
+    const periodsIn = (totals) => new Set(Array.from(totals.values()).map(entry => entry.period));
+    const bridgePeriods = periodsIn(bridge);
+    const periods = Array.from(periodsIn(quarterly)).filter(period => bridgePeriods.has(period)).sort(comparePeriods);
+
+    const mismatches = [];
+    let comparisons = 0;
+
+    quarterly.forEach((entry, key) => {
+        const other = bridge.get(key);
+        if (!other) return;
+
+        comparisons++;
+        const delta = other.revenue - entry.revenue;
+        if (Math.abs(delta) > options.tolerance) {
+            mismatches.push({
+                customerName: entry.customerName,
+                period: entry.period,
+                quarterlyRevenue: entry.revenue,
+                bridgeRevenue: other.revenue,
+                delta,
+                percentageDelta: percentageDifference(other.revenue, entry.revenue),
+                formattedQuarterlyRevenue: transformData.formatCurrency(entry.revenue),
+                formattedBridgeRevenue: transformData.formatCurrency(other.revenue),
+                formattedDelta: transformData.formatCurrency(delta)
+            });
+        }
+    });
+
+    const totals = periods.map(period => {
+        const sumFor = (map) => Array.from(map.values())
+            .filter(entry => entry.period === period)
+            .reduce((sum, entry) => sum + entry.revenue, 0);
+        const quarterlyTotal = sumFor(quarterly);
+        const bridgeTotal = sumFor(bridge);
+
+        return {
+            period,
+            label: formatPeriodLabel(period),
+            quarterlyTotal,
+            bridgeTotal,
+            delta: bridgeTotal - quarterlyTotal,
+            percentageDelta: percentageDifference(bridgeTotal, quarterlyTotal),
+            formattedQuarterlyTotal: transformData.formatCurrency(quarterlyTotal),
+            formattedBridgeTotal: transformData.formatCurrency(bridgeTotal),
+            formattedDelta: transformData.formatCurrency(bridgeTotal - quarterlyTotal)
+        };
+    });
+
+    return {
+        status: mismatches.length === 0 ? 'pass' : 'fail',
+        description: 'Per-customer period revenue in dataset A (quarterly revenue) vs dataset B (revenue bridge)',
+        periods,
+        comparisons,
+        mismatchCount: mismatches.length,
+        totals,
+        mismatches: mismatches
+            .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+            .slice(0, options.limit)
+    };
+};
+
+/**
+ * Find customers present in one dataset but not another
+ * @param {Object} datasets - Map of dataset label to rows keyed by "Customer Name"
+ * @param {Object} options - Check options ({ limit })
+ * @returns {Object} Check result
+ */
+const findMissingCustomers = (datasets, options) => {
+    const names = Object.entries(datasets).reduce((map, [label, rows]) => {
+        map[label] = new Set(rows.map(row => row['Customer Name']).filter(name => name !== undefined && name !== null));
+        return map;
+    }, {});
+
+    const labels = Object.keys(names);
+    const pairs = [];
+
+    labels.forEach((label, index) => {
+        labels.slice(index + 1).forEach(otherLabel => {
+            const onlyInFirst = Array.from(names[label]).filter(name => !names[otherLabel].has(name)).sort();
+            const onlyInSecond = Array.from(names[otherLabel]).filter(name => !names[label].has(name)).sort();
+
+            pairs.push({
+                datasets: [label, otherLabel],
+                onlyInFirstCount: onlyInFirst.length,
+                onlyInSecondCount: onlyInSecond.length,
+                onlyInFirst: onlyInFirst.slice(0, options.limit),
+                onlyInSecond: onlyInSecond.slice(0, options.limit)
+            });
+        });
+    });
+
+    return {
+        status: pairs.every(pair => pair.onlyInFirstCount === 0 && pair.onlyInSecondCount === 0) ? 'pass' : 'fail',
+        description: 'Customers present in one dataset but missing from another',
+        customerCounts: labels.reduce((counts, label) => {
+            counts[label] = names[label].size;
+            return counts;
+        }, {}),
+        pairs
+    };
+};
+
+/**
+ * Check that the stored bridge movements explain each customer's change between the two bridge periods:
+ * end = start + new + expansion - churn - contraction. Contraction that repeats a customer's churn is
+ * reported as an overlap (the bridge endpoints drop it, see utils/revenueBridge).
+ * @param {Array} bridgeRows - Dataset B rows
+ * @param {Object} options - Check options ({ tolerance, limit })
+ * @returns {Object} Check result
+ */
+const checkBridgeMovements = (bridgeRows, options) => {
+    const { startPeriod, endPeriod, customers } = buildCustomerBridge(bridgeRows, { raw: true });
+    const totalFields = ['startRevenue', 'newRevenue', 'expansionRevenue', 'churnedRevenue', 'contractionRevenue', 'expectedEndRevenue', 'endRevenue'];
+
+    const totals = customers.reduce((sums, customer) => {
+        totalFields.forEach(field => { sums[field] += customer[field]; });
+        return sums;
+    }, totalFields.reduce((sums, field) => ({ ...sums, [field]: 0 }), {}));
+
+    const unexplained = customers
+        .filter(customer => Math.abs(customer.residual) > options.tolerance)
+        .map(customer => ({
+            customerName: customer.customerName,
+            ...totalFields.reduce((fields, field) => ({ ...fields, [field]: customer[field] }), {}),
+            residual: customer.residual,
+            formattedResidual: transformData.formatCurrency(customer.residual)
+        }));
+
+    const overlapping = customers
+        .map(customer => ({ customer, repeatedContraction: getRepeatedContraction(customer) }))
+        .filter(({ repeatedContraction }) => repeatedContraction > options.tolerance)
+        .map(({ customer, repeatedContraction }) => ({
+            customerName: customer.customerName,
+            startRevenue: customer.startRevenue,
+            churnedRevenue: customer.churnedRevenue,
+            contractionRevenue: customer.contractionRevenue,
+            repeatedContraction,
+            formattedRepeatedContraction: transformData.formatCurrency(repeatedContraction)
+        }));
+    const repeatedContraction = overlapping.reduce((sum, customer) => sum + customer.repeatedContraction, 0);
+
+    const residual = totals.endRevenue - totals.expectedEndRevenue;
+
+    return {
+        status: unexplained.length === 0 ? 'pass' : 'fail',
+        description: 'Stored bridge components (new + expansion - churn - contraction) explain the change between periods in dataset B',
+        startPeriod,
+        endPeriod,
+        customersChecked: customers.length,
+        unexplainedCount: unexplained.length,
+        totals: {
+            ...totals,
+            residual,
+            formattedResidual: transformData.formatCurrency(residual)
+        },
+        unexplained: unexplained
+            .sort((a, b) => Math.abs(b.residual) - Math.abs(a.residual))
+            .slice(0, options.limit),
+        // Churned customers whose contraction repeats part of the churned loss
+        churnContractionOverlap: {
+            customerCount: overlapping.length,
+            repeatedContraction,
+            formattedRepeatedContraction: transformData.formatCurrency(repeatedContraction),
+            customers: overlapping
+                .sort((a, b) => b.repeatedContraction - a.repeatedContraction)
+                .slice(0, options.limit)
+        }
+    };
+};
+
+/**
+ * Check that customer totals (dataset E) roll up to the country totals (dataset C)
+ * @param {Array} customerRows - Dataset E rows
+ * @param {Array} countryRows - Dataset C rows
+ * @param {Array} regionRows - Dataset D rows
+ * @param {Object} options - Check options ({ totalsTolerancePercent })
+ * @returns {Object} Check result
+ */
+const checkGeographicRollup = (customerRows, countryRows, regionRows, options) => {
+    const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+
+    const customerTotal = sum(customerRows, 'Total Revenue');
+    const countryTotal = sum(countryRows, 'Yearly Revenue');
+    const regionTotal = sum(regionRows, 'Yearly Revenue');
+    const regionsWithoutRevenue = regionRows
+        .filter(row => row['Yearly Revenue'] === null || row['Yearly Revenue'] === undefined)
+        .map(row => row.Region);
+
+    const delta = countryTotal - customerTotal;
+    const percentageDelta = percentageDifference(countryTotal, customerTotal);
+    const withinTolerance = percentageDelta === null
+        ? delta === 0
+        : Math.abs(percentageDelta) <= options.totalsTolerancePercent;
+
+    return {
+        status: withinTolerance ? 'pass' : 'fail',
+        description: 'Customer total revenue (dataset E) vs country yearly revenue (dataset C)',
+        customerTotal,
+        countryTotal,
+        delta,
+        percentageDelta,
+        formattedCustomerTotal: transformData.formatCurrency(customerTotal),
+        formattedCountryTotal: transformData.formatCurrency(countryTotal),
+        formattedDelta: transformData.formatCurrency(delta),
+        regions: {
+            regionTotal,
+            formattedRegionTotal: transformData.formatCurrency(regionTotal),
+            regionsWithoutRevenue,
+            // Region totals are only comparable when every region reports revenue
+            comparable: regionsWithoutRevenue.length === 0,
+            delta: regionsWithoutRevenue.length === 0 ? regionTotal - countryTotal : null
+        }
+    };
+};
+
+/**
+ * Run the cross-dataset reconciliation checks
+ * @param {Object} options - Report options
+ * @param {number} options.limit - Maximum detail rows per check
+ * @param {number} options.tolerance - Per-customer amount tolerance
+ * @returns {Promise<Object>} Reconciliation report
+ */
+const getReconciliationReport = async (options = {}) => {
+    try {
+        const settings = {
+            limit: options.limit || dataQualityConfig.reconciliation.defaultLimit,
+            tolerance: options.tolerance !== undefined ? options.tolerance : dataQualityConfig.reconciliation.amountTolerance,
+            totalsTolerancePercent: dataQualityConfig.reconciliation.totalsTolerancePercent
+        };
+
+        const [quarterlyRows, bridgeRows, customerRows, countryRows, regionRows] = await Promise.all([
+            loadAll(databaseConfig.collections.quarterlyRevenue),
+            loadAll(databaseConfig.collections.revenueBridge),
+            loadAll(databaseConfig.collections.customerConcentration),
+            loadAll(databaseConfig.collections.countries),
+            loadAll(databaseConfig.collections.regions)
+        ]);
+
+        const checks = {
+            quarterlyVsBridge: compareQuarterlyWithBridge(quarterlyRows, bridgeRows, settings),
+            missingCustomers: findMissingCustomers({
+                A: quarterlyRows,
+                B: bridgeRows,
+                E: customerRows
+            }, settings),
+            bridgeMovements: checkBridgeMovements(bridgeRows, settings),
+            customerVsCountryTotals: checkGeographicRollup(customerRows, countryRows, regionRows, settings)
+        };
+
+        const statuses = Object.values(checks).map(check => check.status);
+
+        return {
+            generatedAt: new Date().toISOString(),
+            tolerance: {
+                amount: settings.tolerance,
+                totalsPercent: settings.totalsTolerancePercent
+            },
+            summary: {
+                totalChecks: statuses.length,
+                passed: statuses.filter(status => status === 'pass').length,
+                failed: statuses.filter(status => status === 'fail').length
+            },
+            checks
+        };
+    } catch (error) {
+        console.error('Error in getReconciliationReport:', error);
+        throw error;
+    }
+};
+
+/**
+ * Profile the stored datasets and evaluate the data quality rules
+ * @param {Object} options - Profile options
+ * @param {string} options.dataset - Optional dataset letter (A–E) or slug to profile
+ * @returns {Promise<Object>} Profile report per dataset
+ */
+const getDataProfile = async (options = {}) => {
+    try {
+        let definitions = Object.values(datasetsConfig.types);
+        if (options.dataset) {
+            const definition = findDatasetType(options.dataset);
+            if (!definition) {
+                throw new ApiError(400, `Unknown dataset type '${options.dataset}'. Expected one of ${Object.keys(datasetsConfig.types).join(', ')}`);
+            }
+            definitions = [definition];
+        }
+
+        const datasets = await Promise.all(definitions.map(async definition => {
+            const rows = await loadAll(definition.collection);
+            const { status, issues, profile } = assessDataset(definition, rows);
+            return { ...profile, status, issues };
+        }));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            summary: {
+                datasets: datasets.length,
+                blocked: datasets.filter(dataset => dataset.status === 'blocked').length,
+                warning: datasets.filter(dataset => dataset.status === 'warning').length,
+                ok: datasets.filter(dataset => dataset.status === 'ok').length,
+                issues: datasets.reduce((sum, dataset) => sum + dataset.issues.length, 0)
+            },
+            rules: dataQualityConfig.profiling.rules,
+            datasets
+        };
+    } catch (error) {
+        console.error('Error in getDataProfile:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    getReconciliationReport,
+    getDataProfile
+};
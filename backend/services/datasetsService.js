@@ -0,0 +1,196 @@
+/**
+ * Datasets Service
+ * Handles dataset listing and file upload ingestion
+ */
+
+const { getStorage, getCollection } = require('../database/storage');
+const { findDatasetType, calculateChecksum, prepareDataset, importDatasets } = require('../database/datasetLoader');
+const snapshotRegistry = require('../database/snapshotRegistry');
+const { detectFormat, parseDatasetFile } = require('../utils/datasetParser');
+const { ApiError } = require('../middleware/errorHandler');
+const datasetsConfig = require('../config/datasets');
+const alertsConfig = require('../config/alerts');
+const alertsService = require('./alertsService');
+
+/**
+ * Shape a snapshot for API responses
+ * @param {Object} snapshot - Snapshot document
+ * @param {number|null} activeVersion - Version of the active snapshot
+ * @returns {Object} Formatted snapshot
+ */
+const formatSnapshot = (snapshot, activeVersion) => ({
+    version: snapshot.version,
+    status: snapshot.status,
+    active: snapshot.version === activeVersion,
+    source: snapshot.source,
+    baseVersion: snapshot.baseVersion,
+    createdAt: snapshot.createdAt,
+    datasets: snapshot.datasets || [],
+    collections: snapshot.collections || {}
+});
+
+/**
+ * Get the dataset types that can be uploaded
+ * @returns {Promise<Array>} Dataset types with their expected columns and current row counts
+ */
+const getDatasets = async () => {
+    try {
+        return await Promise.all(Object.values(datasetsConfig.types).map(async (definition) => {
+            const collection = await getCollection(definition.collection);
+            const documentCount = await collection.countDocuments({});
+
+            return {
+                key: definition.key,
+                slug: definition.slug,
+                name: definition.name,
+                collection: definition.collection,
+                requiredColumns: Object.keys(definition.columns).filter(name => definition.columns[name].required),
+                optionalColumns: Object.keys(definition.columns).filter(name => !definition.columns[name].required),
+                periodColumns: definition.periodColumns ? { min: definition.periodColumns.min } : null,
+                formats: datasetsConfig.uploads.formats,
+                documentCount
+            };
+        }));
+    } catch (error) {
+        console.error('Error in getDatasets:', error);
+        throw error;
+    }
+};
+
+/**
+ * Evaluate the alert rules against a newly imported snapshot. The import has already succeeded, so an
+ * evaluation error is reported in the response instead of failing the request.
+ * @returns {Promise<Object>} Evaluation summary, or { error }
+ */
+const evaluateAlerts = async () => {
+    try {
+        const { snapshotVersion, rules, triggered, resolved, results } = await alertsService.evaluateRules({ trigger: 'import' });
+        return {
+            snapshotVersion,
+            rules,
+            triggered,
+            resolved,
+            errors: results.filter(result => result.error)
+        };
+    } catch (error) {
+        console.error('Error evaluating alert rules after import:', error);
+        return { error: error.message };
+    }
+};
+
+/**
+ * Import an uploaded dataset file
+ * @param {string} datasetType - Dataset letter (A–E) or slug
+ * @param {Object} file - Uploaded file ({ originalname, mimetype, buffer })
+ * @returns {Promise<Object>} Import report with row counts and rejected rows (and the alert evaluation)
+ */
+const importDataset = async (datasetType, file) => {
+    try {
+        const definition = findDatasetType(datasetType);
+        if (!definition) {
+            throw new ApiError(400, `Unknown dataset type '${datasetType}'. Expected one of ${Object.keys(datasetsConfig.types).join(', ')}`);
+        }
+
+        if (!file || !file.buffer) {
+            throw new ApiError(400, 'No file uploaded. Send the dataset in the "file" form field');
+        }
+
+        const format = detectFormat(file.originalname, file.mimetype);
+        if (!format) {
+            throw new ApiError(415, `Unsupported file type. Expected one of ${datasetsConfig.uploads.formats.join(', ')}`);
+        }
+
+        let rows;
+        try {
+            rows = parseDatasetFile(file.buffer, format);
+        } catch (parseError) {
+            throw new ApiError(400, parseError.message);
+        }
+
+        const prepared = prepareDataset(definition, rows, {
+            fileName: file.originalname,
+            format,
+            checksum: calculateChecksum(file.buffer)
+        });
+
+        if (!prepared.report.loadable) {
+            return prepared.report;
+        }
+
+        const db = await getStorage().getDatabase();
+        const snapshot = await importDatasets(db, [prepared], { source: 'upload' });
+
+        return {
+            ...prepared.report,
+            snapshot: formatSnapshot(snapshot, snapshot.version),
+            importedAt: new Date().toISOString(),
+            ...(alertsConfig.evaluateOnImport && { alerts: await evaluateAlerts() })
+        };
+    } catch (error) {
+        console.error('Error in importDataset:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get all dataset snapshots
+ * @returns {Promise<Array>} Snapshots, newest first
+ */
+const getSnapshots = async () => {
+    try {
+        const db = await getStorage().getDatabase();
+        const [snapshots, active] = await Promise.all([
+            snapshotRegistry.listSnapshots(db),
+            snapshotRegistry.getActiveSnapshot(db)
+        ]);
+
+        return snapshots.map(snapshot => formatSnapshot(snapshot, active ? active.version : null));
+    } catch (error) {
+        console.error('Error in getSnapshots:', error);
+        throw error;
+    }
+};
+
+/**
+ * Roll the active snapshot back (or forward again) to another ready snapshot
+ * @param {number} version - Snapshot version to activate
+ * @returns {Promise<Object>} Newly active snapshot and the version it replaced
+ */
+const rollbackSnapshot = async (version) => {
+    try {
+        const db = await getStorage().getDatabase();
+        snapshotRegistry.invalidateActiveSnapshot();
+
+        const [target, current] = await Promise.all([
+            snapshotRegistry.findSnapshot(db, { version }),
+            snapshotRegistry.getActiveSnapshot(db)
+        ]);
+
+        if (!target) {
+            throw new ApiError(404, `Snapshot v${version} not found`);
+        }
+        if (current && target.version === current.version) {
+            throw new ApiError(409, `Snapshot v${version} is already the active snapshot`);
+        }
+
+        await snapshotRegistry.activateSnapshot(db, target.version, {
+            reason: 'rollback',
+            previousVersion: current ? current.version : null
+        });
+
+        return {
+            snapshot: formatSnapshot(target, target.version),
+            previousVersion: current ? current.version : null
+        };
+    } catch (error) {
+        console.error('Error in rollbackSnapshot:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    getDatasets,
+    importDataset,
+    getSnapshots,
+    rollbackSnapshot
+};
@@ -0,0 +1,355 @@
+/**
+ * Exports Service
+ * PDF exports of the dashboard summary and the customer and country pages (?format=pdf), the tables behind
+ * the CSV/XLSX exports of the list endpoints (?format=csv / ?format=xlsx) and the report files attached to
+ * scheduled reports. The figures come from the same services as the JSON endpoints, so they follow the dataset
+ * snapshot being read; the PDF layout is in utils/pdfExports.js and the table files are written by
+ * utils/tableExport.js.
+ */
+
+const reportsConfig = require('../config/reports');
+const exportsConfig = require('../config/exports');
+const { createListQuery } = require('../utils/listQuery');
+const { getStorage } = require('../database/storage');
+const { getReadSnapshot } = require('../database/snapshotRegistry');
+const { transformData } = require('../utils/responseHandler');
+const { renderDashboardPdf, renderCustomerPdf, renderCountryPdf, renderReportPdf } = require('../utils/pdfExports');
+const { renderMarkdown, renderHtml } = require('../utils/reportRenderer');
+const { renderTable } = require('../utils/tableExport');
+const { FORMAT_TYPES } = require('../middleware/format');
+const { ApiError } = require('../middleware/errorHandler');
+const analyticsService = require('./analyticsService');
+const revenueService = require('./revenueService');
+const customersService = require('./customersService');
+const countriesService = require('./countriesService');
+const regionsService = require('./regionsService');
+const reportsService = require('./reportsService');
+
+const settings = reportsConfig.pdf;
+
+/**
+ * Get the snapshot the export is read from
+ * @returns {Promise<Object|null>} Snapshot or null before the first import
+ */
+const getExportSnapshot = async () => getReadSnapshot(await getStorage().getDatabase());
+
+/**
+ * Generate the dashboard summary PDF: key figures, quarterly revenue, revenue bridge, country share,
+ * top customers, retention by segment and regions
+ * @returns {Promise<Buffer>} PDF file
+ */
+const getDashboardPdf = async () => {
+    try {
+        const [dashboard, quarterly, waterfall, countryShares, topCustomers, snapshot] = await Promise.all([
+            analyticsService.getDashboardSummary(),
+            revenueService.getQuarterlyRevenue(),
+            revenueService.getBridgeWaterfall(),
+            countriesService.getRevenueShareByCountry(settings.countryShareLimit),
+            customersService.getCustomerConcentrationRisk(createListQuery('concentrationCustomers', { limit: settings.topCustomers })),
+            getExportSnapshot()
+        ]);
+
+        return await renderDashboardPdf({ dashboard, quarterly, waterfall, countryShares, topCustomers, snapshot, generatedAt: new Date() });
+    } catch (error) {
+        console.error('Error in getDashboardPdf:', error);
+        throw error;
+    }
+};
+
+/**
+ * Generate a customer PDF: revenue figures, quarterly revenue and the customer's revenue bridge
+ * @param {string} customerName - Name of the customer
+ * @param {Object} range - Period range used for the variance figures (from/to/granularity)
+ * @returns {Promise<Buffer>} PDF file
+ */
+const getCustomerPdf = async (customerName, range = {}) => {
+    try {
+        const customer = await customersService.getCustomerByName(customerName, range);
+        const [waterfall, concentration, snapshot] = await Promise.all([
+            revenueService.getBridgeWaterfall({ customerName }),
+            customersService.getCustomerConcentrationRisk(createListQuery('concentrationCustomers', {
+                filters: [{ field: 'customerName', operator: 'eq', value: customerName }],
+                limit: 1
+            })),
+            getExportSnapshot()
+        ]);
+
+        return await renderCustomerPdf({
+            customer,
+            waterfall,
+            concentration: concentration.customers[0] || null,
+            snapshot,
+            generatedAt: new Date()
+        });
+    } catch (error) {
+        console.error('Error in getCustomerPdf:', error);
+        throw error;
+    }
+};
+
+/**
+ * Generate a country PDF: revenue, share and rank, the country share chart and the ranking of all countries
+ * @param {string} countryName - Name of the country
+ * @returns {Promise<Buffer>} PDF file
+ */
+const getCountryPdf = async (countryName) => {
+    try {
+        const [concentration, snapshot] = await Promise.all([
+            countriesService.getCountryConcentrationRisk(),
+            getExportSnapshot()
+        ]);
+        const country = concentration.countries.find(row => row.countryName === countryName);
+        if (!country) {
+            throw new Error(`Country '${countryName}' not found`);
+        }
+
+        // Largest countries, then this country when it is not among them, then the rest as "Others"
+        const toShare = (name, revenue, share) => ({
+            countryName: name,
+            revenue,
+            percentage: share,
+            formattedRevenue: transformData.formatCurrency(revenue),
+            formattedPercentage: transformData.formatPercentage(share)
+        });
+        const shown = concentration.countries.filter((row, index) => index < settings.countryShareLimit || row.countryName === countryName);
+        const others = concentration.countries.filter(row => !shown.includes(row));
+        const shares = shown.map(row => toShare(row.countryName, row.yearlyRevenue, row.share));
+        if (others.length > 0) {
+            shares.push(toShare(
+                'Others',
+                others.reduce((sum, row) => sum + row.yearlyRevenue, 0),
+                others.reduce((sum, row) => sum + row.share, 0)
+            ));
+        }
+
+        return await renderCountryPdf({ country, concentration, shares, snapshot, generatedAt: new Date() });
+    } catch (error) {
+        console.error('Error in getCountryPdf:', error);
+        throw error;
+    }
+};
+
+/**
+ * Describe a table export: its configured columns, a file name carrying the snapshot version, and the
+ * function that reads one page of rows
+ * @param {string} tableName - Table name in config/exports
+ * @param {Function} readPage - (page, limit) → Promise<{ items, total }>
+ * @param {Array|null} fields - Fields selected with ?fields= (null exports every column)
+ * @returns {Promise<Object>} Table ({ filename, sheet, columns, fields, readPage })
+ */
+const createTable = async (tableName, readPage, fields = null) => {
+    const { filename, sheet, columns } = exportsConfig.tables[tableName];
+    const snapshot = await getExportSnapshot();
+
+    return {
+        filename: snapshot ? `${filename}-v${snapshot.version}` : filename,
+        sheet,
+        columns,
+        fields,
+        readPage
+    };
+};
+
+/**
+ * Read a list query page by page, whatever page and page size the request asked for. The table key is added
+ * as a last sort key so that rows with equal sort values keep their place between pages.
+ * @param {string} tableName - Table name in config/exports
+ * @param {Object} listQuery - Filter/sort/fields/pagination query (see utils/listQuery)
+ * @param {Function} fetchList - Service call taking the paged list query
+ * @param {string} itemsKey - Property of the service result holding the rows
+ * @returns {Function} (page, limit) → Promise<{ items, total }>
+ */
+const pageThrough = (tableName, listQuery, fetchList, itemsKey) => {
+    const { key } = exportsConfig.tables[tableName];
+    const sort = listQuery.sort.some(({ field }) => field === key)
+        ? listQuery.sort
+        : [...listQuery.sort, { field: key, direction: 1 }];
+
+    return async (page, limit) => {
+        // Every field is read: the columns are picked when the file is written
+        const result = await fetchList({ ...listQuery, sort, fields: null, page, limit });
+        return { items: result[itemsKey], total: result.pagination.totalItems };
+    };
+};
+
+/**
+ * Read rows that are computed in one go (the endpoint has a `limit` but no pages).
+ * The rows are fetched once per export and handed out page by page.
+ * @param {Function} fetchRows - Service call returning every row
+ * @returns {Function} (page, limit) → Promise<{ items, total }>
+ */
+const readAll = (fetchRows) => {
+    let rows = null;
+    return async (page, limit) => {
+        rows = rows || await fetchRows();
+        const start = (page - 1) * limit;
+        return { items: rows.slice(start, start + limit), total: rows.length };
+    };
+};
+
+/**
+ * Get the countries table export
+ * @param {Object} listQuery - Filter/sort/fields query (see utils/listQuery)
+ * @returns {Promise<Object>} Table
+ */
+const getCountriesTable = (listQuery) => createTable('countries',
+    pageThrough('countries', listQuery, countriesService.getAllCountries, 'countries'), listQuery.fields);
+
+/**
+ * Get the country revenue share table export: every country, without the "Others" grouping of the chart
+ * @returns {Promise<Object>} Table
+ */
+const getRevenueShareTable = () => createTable('revenueShare',
+    readAll(() => countriesService.getRevenueShareByCountry(Infinity)));
+
+/**
+ * Get the regions table export
+ * @param {Object} listQuery - Filter/sort/fields query (see utils/listQuery)
+ * @returns {Promise<Object>} Table
+ */
+const getRegionsTable = (listQuery) => createTable('regions',
+    pageThrough('regions', listQuery, regionsService.getAllRegions, 'regions'), listQuery.fields);
+
+/**
+ * Get the customer concentration table export
+ * @param {Object} listQuery - Filter/sort/fields query (see utils/listQuery)
+ * @returns {Promise<Object>} Table
+ */
+const getCustomerConcentrationTable = (listQuery) => createTable('customerConcentration',
+    pageThrough('customerConcentration', listQuery, customersService.getCustomerConcentration, 'customers'), listQuery.fields);
+
+/**
+ * Get the customer concentration risk table export (the customer rows; the summary metrics stay in the JSON response)
+ * @param {Object} listQuery - Filter/sort/fields query (see utils/listQuery)
+ * @returns {Promise<Object>} Table
+ */
+const getConcentrationCustomersTable = (listQuery) => createTable('concentrationCustomers',
+    pageThrough('concentrationCustomers', listQuery, customersService.getCustomerConcentrationRisk, 'customers'), listQuery.fields);
+
+/**
+ * Get the customer analysis table export
+ * @param {Object} filters - Customer analysis filters (see customersService.getCustomerAnalysis)
+ * @returns {Promise<Object>} Table
+ */
+const getCustomerAnalysisTable = ({ listQuery, ...filters }) => createTable('customerAnalysis',
+    pageThrough('customerAnalysis', listQuery, pageQuery => customersService.getCustomerAnalysis({ ...filters, listQuery: pageQuery }), 'customers'),
+    listQuery.fields);
+
+/**
+ * Get the growth customers table export: every customer, largest growth first
+ * @param {Object} range - Period range (from/to/granularity)
+ * @returns {Promise<Object>} Table
+ */
+const getGrowthCustomersTable = (range = {}) => createTable('growthCustomers',
+    readAll(() => revenueService.getTopGrowthCustomers(Infinity, range)));
+
+/**
+ * Get the revenue bridge customers table export
+ * @param {Object} options - Bridge options (see revenueService.getBridgeCustomers)
+ * @returns {Promise<Object>} Table
+ */
+const getBridgeCustomersTable = ({ listQuery, ...options }) => createTable('bridgeCustomers',
+    pageThrough('bridgeCustomers', listQuery, pageQuery => revenueService.getBridgeCustomers({ ...options, listQuery: pageQuery }), 'customers'),
+    listQuery.fields);
+
+// Table exports with the default list query of each list (scheduled reports carry no filters)
+const DEFAULT_TABLES = {
+    countries: () => getCountriesTable(createListQuery('countries')),
+    revenueShare: () => getRevenueShareTable(),
+    regions: () => getRegionsTable(createListQuery('regions')),
+    customerConcentration: () => getCustomerConcentrationTable(createListQuery('customerConcentration')),
+    concentrationCustomers: () => getConcentrationCustomersTable(createListQuery('concentrationCustomers')),
+    customerAnalysis: () => getCustomerAnalysisTable({ listQuery: createListQuery('customerAnalysis') }),
+    growthCustomers: () => getGrowthCustomersTable(),
+    bridgeCustomers: () => getBridgeCustomersTable({ listQuery: createListQuery('bridgeCustomers') })
+};
+
+/**
+ * Render the executive report in one format
+ * @param {string} format - json, markdown, html or pdf
+ * @returns {Promise<Object>} { filename, content }
+ */
+const renderExecutiveReport = async (format) => {
+    const report = await reportsService.getExecutiveReport();
+    const renderers = {
+        json: () => JSON.stringify(report, null, 2),
+        markdown: () => renderMarkdown(report),
+        html: () => renderHtml(report),
+        pdf: () => renderReportPdf(report)
+    };
+    const extensions = { json: 'json', markdown: 'md', html: 'html', pdf: 'pdf' };
+
+    return {
+        filename: `executive-report${report.snapshot ? `-v${report.snapshot.version}` : ''}.${extensions[format]}`,
+        content: await renderers[format]()
+    };
+};
+
+// Reports a scheduled job can produce, with their formats
+const REPORT_FILES = {
+    dashboard: {
+        formats: ['pdf'],
+        render: async () => {
+            const snapshot = await getExportSnapshot();
+            return {
+                filename: `dashboard${snapshot ? `-v${snapshot.version}` : ''}.pdf`,
+                content: await getDashboardPdf()
+            };
+        }
+    },
+    executive: {
+        formats: ['pdf', 'markdown', 'html', 'json'],
+        render: renderExecutiveReport
+    },
+    ...Object.fromEntries(Object.entries(DEFAULT_TABLES).map(([name, getTable]) => [name, {
+        formats: ['csv', 'xlsx'],
+        render: async (format) => renderTable(format, await getTable())
+    }]))
+};
+
+/**
+ * List the reports a scheduled job can produce
+ * @returns {Object} Formats by report name
+ */
+const getReportFormats = () => Object.fromEntries(Object.entries(REPORT_FILES).map(([name, { formats }]) => [name, formats]));
+
+/**
+ * Generate one report file
+ * @param {string} report - Report name (see getReportFormats)
+ * @param {string} format - One of the report's formats
+ * @returns {Promise<Object>} { filename, contentType, content (Buffer) }
+ */
+const getReportFile = async (report, format) => {
+    try {
+        const definition = REPORT_FILES[report];
+        if (!definition || !definition.formats.includes(format)) {
+            throw new ApiError(400, `Unknown report '${report}' in format '${format}'`);
+        }
+
+        const { filename, content } = await definition.render(format);
+        return {
+            filename,
+            contentType: FORMAT_TYPES[format],
+            content: Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8')
+        };
+    } catch (error) {
+        console.error('Error in getReportFile:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    getDashboardPdf,
+    getCustomerPdf,
+    getCountryPdf,
+    getCountriesTable,
+    getRevenueShareTable,
+    getRegionsTable,
+    getCustomerConcentrationTable,
+    getConcentrationCustomersTable,
+    getCustomerAnalysisTable,
+    getGrowthCustomersTable,
+    getBridgeCustomersTable,
+    getReportFormats,
+    getReportFile
+};
@@ -8,11 +8,35 @@ const countriesService = require('./countriesService');
 const customersService = require('./customersService');
 const regionsService = require('./regionsService');
 const analyticsService = require('./analyticsService');
+const datasetsService = require('./datasetsService');
+const dataQualityService = require('./dataQualityService');
+const chatSessionsService = require('./chatSessionsService');
+const promptsService = require('./promptsService');
+const reportsService = require('./reportsService');
+const exportsService = require('./exportsService');
+const jobQueueService = require('./jobQueueService');
+const schedulesService = require('./schedulesService');
+const alertsService = require('./alertsService');
+const authService = require('./authService');
+const usersService = require('./usersService');
+const territoriesService = require('./territoriesService');
 
 module.exports = {
     revenueService,
     countriesService,
     customersService,
     regionsService,
-    analyticsService
+    analyticsService,
+    datasetsService,
+    dataQualityService,
+    chatSessionsService,
+    promptsService,
+    reportsService,
+    exportsService,
+    jobQueueService,
+    schedulesService,
+    alertsService,
+    authService,
+    usersService,
+    territoriesService
 }; 
\ No newline at end of file
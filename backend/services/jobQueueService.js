@@ -0,0 +1,304 @@
+/**
+ * Job Queue Service
+ * Worker of the scheduled reports queue. Each poll returns jobs of stopped workers to the queue, enqueues one job
+ * per due schedule and runs the pending jobs: the reports are generated from one dataset snapshot (kept across
+ * retries) and sent to every delivery that has not received them yet. Failed jobs are retried with exponential
+ * backoff until their attempts run out. Alert notifications (alertsService) go through the same queue as jobs of
+ * type 'alert', which carry their message instead of reports.
+ */
+
+const { schedulesRepository, jobsRepository } = require('../repositories');
+const { getStorage } = require('../database/storage');
+const { getActiveSnapshot, findSnapshot } = require('../database/snapshotRegistry');
+const { runWithContext } = require('../utils/requestContext');
+const { getNextRun } = require('../utils/cron');
+const { getDeliveryChannel } = require('../delivery');
+const schedulerConfig = require('../config/scheduler');
+const exportsService = require('./exportsService');
+
+const { retry } = schedulerConfig;
+
+/**
+ * Copy deliveries into a job, each with its own delivery status
+ * @param {Array} deliveries - Stored deliveries
+ * @returns {Array} Job deliveries
+ */
+const toJobDeliveries = (deliveries) => deliveries.map(delivery => ({
+    ...delivery,
+    status: 'pending',
+    attempts: 0,
+    result: null,
+    error: null,
+    deliveredAt: null
+}));
+
+/**
+ * Enqueue a run of a schedule. The job keeps a copy of the reports and deliveries, so later edits of the
+ * schedule do not change jobs already queued.
+ * @param {Object} schedule - Stored schedule
+ * @param {Object} options - { id (fixed job id), trigger ('schedule' or 'manual'), scheduledFor (ISO 8601) }
+ * @returns {Promise<Object>} { job (stored job), created }
+ */
+const enqueueScheduleRun = async (schedule, { id, trigger, scheduledFor }) => jobsRepository.enqueue({
+    id,
+    type: 'report',
+    scheduleId: schedule._id,
+    scheduleName: schedule.name,
+    trigger,
+    scheduledFor,
+    runAt: new Date().toISOString(),
+    maxAttempts: retry.maxAttempts,
+    snapshotVersion: null,
+    reports: schedule.reports,
+    deliveries: toJobDeliveries(schedule.deliveries),
+    files: []
+});
+
+/**
+ * Enqueue the notification of an alert event
+ * @param {Object} alert - Stored alert
+ * @param {Object} payload - Message sent to every delivery ({ event, ... })
+ * @param {Array} deliveries - Deliveries of the alert's rule
+ * @returns {Promise<Object>} Stored job
+ */
+const enqueueAlertNotification = async (alert, payload, deliveries) => {
+    const now = new Date().toISOString();
+    const { job } = await jobsRepository.enqueue({
+        type: 'alert',
+        alertId: alert._id,
+        scheduleId: null,
+        scheduleName: null,
+        trigger: 'alert',
+        scheduledFor: now,
+        runAt: now,
+        maxAttempts: retry.maxAttempts,
+        snapshotVersion: payload.alert.lastSnapshotVersion,
+        payload,
+        reports: [],
+        deliveries: toJobDeliveries(deliveries),
+        files: []
+    });
+    return job;
+};
+
+/**
+ * Enqueue one job per due schedule and move each schedule to its next run. A schedule that missed several runs
+ * (e.g. while no worker was running) gets one job, for the earliest missed run.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of jobs enqueued
+ */
+const enqueueDueSchedules = async (now = new Date()) => {
+    const due = await schedulesRepository.findDue(now.toISOString());
+    let enqueued = 0;
+
+    for (const schedule of due) {
+        try {
+            // The job id is derived from the run time, so two workers enqueueing the same run create one job
+            const { job, created } = await enqueueScheduleRun(schedule, {
+                id: `${schedule._id}:${schedule.nextRunAt}`,
+                trigger: 'schedule',
+                scheduledFor: schedule.nextRunAt
+            });
+            await schedulesRepository.advance(schedule._id, schedule.nextRunAt, {
+                nextRunAt: getNextRun(schedule.cron, schedule.timezone, now).toISOString(),
+                lastRunAt: schedule.nextRunAt,
+                lastJobId: job._id
+            });
+            if (created) enqueued += 1;
+        } catch (error) {
+            console.error(`Error enqueueing schedule ${schedule._id}:`, error);
+        }
+    }
+    return enqueued;
+};
+
+/**
+ * Get the delay before the next attempt of a failed job
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => Math.min(retry.backoffMs * retry.backoffFactor ** Math.max(attempts - 1, 0), retry.maxBackoffMs);
+
+/**
+ * Find the snapshot a job reads: the one recorded by its first attempt, or the active one
+ * @param {Object} job - Stored job
+ * @returns {Promise<Object|null>} Snapshot (null before the first versioned import)
+ */
+const resolveJobSnapshot = async (job) => {
+    const db = await getStorage().getDatabase();
+    if (!job.snapshotVersion) {
+        return getActiveSnapshot(db);
+    }
+
+    const snapshot = await findSnapshot(db, { version: job.snapshotVersion });
+    if (!snapshot) {
+        throw new Error(`Dataset snapshot v${job.snapshotVersion} no longer exists`);
+    }
+    return snapshot;
+};
+
+/**
+ * Generate the report files of a job from its dataset snapshot
+ * @param {Object} job - Claimed report job
+ * @returns {Promise<Object>} { files ({ report, format, filename, contentType, content }), snapshotVersion }
+ */
+const generateReportFiles = async (job) => {
+    const snapshot = await resolveJobSnapshot(job);
+    const snapshotVersion = snapshot ? snapshot.version : null;
+
+    const files = await runWithContext({ snapshot }, async () => {
+        const generated = [];
+        for (const { report, format } of job.reports) {
+            generated.push({ report, format, ...await exportsService.getReportFile(report, format) });
+        }
+        return generated;
+    });
+
+    const fileSummaries = files.map(({ report, format, filename, contentType, content }) => ({
+        report, format, filename, contentType, size: content.length
+    }));
+    await jobsRepository.update(job._id, { snapshotVersion, files: fileSummaries });
+    return { files, snapshotVersion };
+};
+
+/**
+ * Run one attempt of a claimed job: generate its reports (report jobs) and deliver them
+ * @param {Object} job - Claimed job
+ * @returns {Promise<Object>} Job changes of a successful attempt
+ * @throws {Error} When a report cannot be generated or a delivery fails (delivery progress is saved first)
+ */
+const runJob = async (job) => {
+    const { files, snapshotVersion } = job.type === 'alert'
+        ? { files: [], snapshotVersion: job.snapshotVersion }
+        : await generateReportFiles(job);
+
+    const details = { ...jobsRepository.toDto(job), snapshotVersion };
+    const deliveries = [...job.deliveries];
+    for (const [index, delivery] of deliveries.entries()) {
+        if (delivery.status === 'delivered') continue;
+
+        const { status, attempts, result, error, deliveredAt, ...target } = delivery;
+        try {
+            const outcome = await getDeliveryChannel(delivery.channel).deliver({
+                delivery: target,
+                job: details,
+                files,
+                deliveryId: `${job._id}:${index}`
+            });
+            deliveries[index] = { ...delivery, status: 'delivered', attempts: attempts + 1, result: outcome, error: null, deliveredAt: new Date().toISOString() };
+        } catch (deliveryError) {
+            deliveries[index] = { ...delivery, status: 'failed', attempts: attempts + 1, error: deliveryError.message };
+        }
+        await jobsRepository.update(job._id, { deliveries });
+    }
+
+    const failed = deliveries.filter(delivery => delivery.status !== 'delivered');
+    if (failed.length > 0) {
+        throw new Error(failed.map(delivery => `${delivery.channel} delivery to ${getDeliveryChannel(delivery.channel).describe(delivery)} failed: ${delivery.error}`).join('; '));
+    }
+
+    return { status: 'succeeded', lastError: null, completedAt: new Date().toISOString() };
+};
+
+/**
+ * Run one attempt of a claimed job and record its outcome
+ * @param {Object} job - Claimed job
+ * @returns {Promise<Object>} Updated job
+ */
+const processJob = async (job) => {
+    let changes;
+    try {
+        changes = await runJob(job);
+    } catch (error) {
+        console.error(`${job.type === 'alert' ? 'Alert notification' : 'Scheduled report'} job ${job._id} failed (attempt ${job.attempts} of ${job.maxAttempts}):`, error.message);
+        changes = job.attempts >= job.maxAttempts
+            ? { status: 'failed', lastError: error.message, completedAt: new Date().toISOString() }
+            : { status: 'pending', lastError: error.message, runAt: new Date(Date.now() + getRetryDelay(job.attempts)).toISOString() };
+    }
+
+    // The job is only updated while this worker holds it (a stale lock may have been released meanwhile)
+    return jobsRepository.update(job._id, { ...changes, lockedBy: null, lockedAt: null }, { status: 'running', lockedBy: schedulerConfig.workerId });
+};
+
+/**
+ * Claim and run the pending jobs whose run time has come
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of jobs run
+ */
+const processJobs = async (now = new Date()) => {
+    const runnable = await jobsRepository.findRunnable(now.toISOString(), schedulerConfig.batchSize);
+    let processed = 0;
+
+    for (const candidate of runnable) {
+        const job = await jobsRepository.claim(candidate._id, schedulerConfig.workerId);
+        if (!job) continue;
+        await processJob(job);
+        processed += 1;
+    }
+    return processed;
+};
+
+/**
+ * Run one poll of the queue: release stale jobs, enqueue due schedules, run pending jobs
+ * @returns {Promise<Object>} { released, enqueued, processed }
+ */
+const pollQueue = async () => {
+    try {
+        const now = new Date();
+        const released = await jobsRepository.releaseStale(new Date(now.getTime() - schedulerConfig.lockTimeoutMs).toISOString());
+        const enqueued = await enqueueDueSchedules(now);
+        const processed = await processJobs(now);
+        return { released, enqueued, processed };
+    } catch (error) {
+        console.error('Error in pollQueue:', error);
+        throw error;
+    }
+};
+
+let timer = null;
+let polling = null;
+
+/**
+ * Poll the queue unless the previous poll is still running
+ * @returns {Promise<void>} Resolves when the poll ends
+ */
+const tick = () => {
+    if (!polling) {
+        polling = pollQueue()
+            .catch(() => {})
+            .finally(() => { polling = null; });
+    }
+    return polling;
+};
+
+/**
+ * Start polling the queue in this process
+ */
+const startScheduler = () => {
+    if (timer) return;
+    timer = setInterval(tick, schedulerConfig.pollIntervalMs);
+    timer.unref();
+    tick();
+};
+
+/**
+ * Stop polling and wait for the running poll to finish
+ * @returns {Promise<void>} Resolves when the worker is idle
+ */
+const stopScheduler = async () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+    await polling;
+};
+
+module.exports = {
+    enqueueScheduleRun,
+    enqueueAlertNotification,
+    enqueueDueSchedules,
+    processJobs,
+    pollQueue,
+    startScheduler,
+    stopScheduler
+};
@@ -0,0 +1,268 @@
+/**
+ * Prompts Service
+ * Prompt library: curated questions with categories, owners and usage counts. Templates take typed parameters
+ * ("Compare {country} to {region} for {period}") whose values are validated against the data before the
+ * filled-in question is answered by analyticsService.analyzeData. A prompt belongs to the user who created it
+ * (the default prompts to 'system'); only its owner or an administrator may change or delete it.
+ */
+
+const { promptsRepository } = require('../repositories');
+const { buildPagination } = require('../utils/listQuery');
+const { ApiError } = require('../middleware/errorHandler');
+const { inferParameters, validateDefinitions, renderTemplate } = require('../utils/promptTemplate');
+const analyticsConfig = require('../config/analytics');
+const queryService = require('./queryService');
+
+const settings = analyticsConfig.prompts;
+
+/**
+ * Get a stored prompt or fail with 404
+ * @param {string} id - Prompt id
+ * @returns {Promise<Object>} Stored prompt
+ */
+const findPrompt = async (id) => {
+    const prompt = await promptsRepository.findById(id);
+    if (!prompt) {
+        throw new ApiError(404, `Prompt '${id}' not found`);
+    }
+    return prompt;
+};
+
+/**
+ * Get a stored prompt the user may change, or fail with 404/403
+ * @param {string} id - Prompt id
+ * @param {Object} user - Signed-in user ({ id, role })
+ * @returns {Promise<Object>} Stored prompt
+ */
+const findOwnPrompt = async (id, user) => {
+    const prompt = await findPrompt(id);
+    if (user.role !== 'admin' && prompt.owner !== user.id) {
+        throw new ApiError(403, `Prompt '${id}' can only be changed by its owner or an administrator`);
+    }
+    return prompt;
+};
+
+/**
+ * Check an optional text field
+ * @param {Object} fields - Request fields
+ * @param {string} name - Field name
+ * @param {number} maxLength - Longest accepted value
+ * @param {Array<string>} errors - Errors are added here
+ * @returns {string|null|undefined} Trimmed value, null to clear it, undefined when absent
+ */
+const readText = (fields, name, maxLength, errors) => {
+    const value = fields[name];
+    if (value === undefined) return undefined;
+    if (value === null) return null;
+    if (typeof value !== 'string' || !value.trim()) {
+        errors.push(`"${name}" must be a non-empty string`);
+        return undefined;
+    }
+    if (value.trim().length > maxLength) {
+        errors.push(`"${name}" must be at most ${maxLength} characters`);
+        return undefined;
+    }
+    return value.trim();
+};
+
+/**
+ * Validate prompt fields for a create (all required fields) or an update (only the fields given)
+ * @param {Object} fields - { title, description, category, template, parameters }
+ * @param {Object|null} existing - Stored prompt being updated
+ * @returns {Object} Fields to store
+ */
+const validatePromptFields = (fields, existing = null) => {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new ApiError(400, 'The request body must be a JSON object');
+    }
+
+    const errors = [];
+    if (fields.owner !== undefined) {
+        errors.push('"owner" cannot be set: a prompt belongs to the user who created it');
+    }
+    const values = {
+        title: readText(fields, 'title', settings.maxTitleLength, errors),
+        description: readText(fields, 'description', settings.maxDescriptionLength, errors),
+        category: readText(fields, 'category', settings.maxCategoryLength, errors),
+        template: readText(fields, 'template', settings.maxTemplateLength, errors)
+    };
+
+    ['title', 'template'].forEach(name => {
+        if (values[name] === null || (!existing && values[name] === undefined && fields[name] === undefined)) {
+            errors.push(`"${name}" is required`);
+        }
+    });
+    if (values.category === null) values.category = settings.defaultCategory;
+
+    // Parameters are checked against the template being stored, whichever of the two changes
+    const template = values.template || (existing && existing.template);
+    if (fields.parameters !== undefined && fields.parameters !== null && template) {
+        const definitionErrors = validateDefinitions(template, fields.parameters);
+        errors.push(...definitionErrors);
+        if (definitionErrors.length === 0) {
+            values.parameters = fields.parameters.map(({ name, type, label, required, default: defaultValue }) => ({
+                name,
+                type,
+                ...(label !== undefined && { label }),
+                required: required !== false,
+                ...(defaultValue !== undefined && { default: defaultValue })
+            }));
+        }
+    } else if (template && (values.template || fields.parameters === null)) {
+        // Undeclared parameters are inferred from the placeholders; declarations that still fit a changed
+        // template are kept
+        const kept = existing && fields.parameters === undefined
+            && validateDefinitions(template, existing.parameters || []).length === 0;
+        values.parameters = kept ? existing.parameters : inferParameters(template);
+    }
+
+    if (errors.length > 0) {
+        throw new ApiError(400, errors.join('; '));
+    }
+
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * List prompts
+ * @param {Object} listQuery - Filter/sort/pagination query for the prompts list
+ * @returns {Promise<Object>} { prompts, pagination }
+ */
+const listPrompts = async (listQuery) => {
+    try {
+        const { items, total } = await promptsRepository.list(listQuery);
+        return {
+            prompts: items,
+            pagination: buildPagination(listQuery, total)
+        };
+    } catch (error) {
+        console.error('Error in listPrompts:', error);
+        throw error;
+    }
+};
+
+/**
+ * List the prompt categories with their number of prompts
+ * @returns {Promise<Array>} Categories ({ category, prompts })
+ */
+const listCategories = async () => {
+    try {
+        return await promptsRepository.countByCategory();
+    } catch (error) {
+        console.error('Error in listCategories:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get a prompt
+ * @param {string} id - Prompt id
+ * @returns {Promise<Object>} Prompt
+ */
+const getPrompt = async (id) => {
+    try {
+        return promptsRepository.toDto(await findPrompt(id));
+    } catch (error) {
+        console.error('Error in getPrompt:', error);
+        throw error;
+    }
+};
+
+/**
+ * Create a prompt
+ * @param {Object} fields - { title, template, description, category, parameters }; parameters are inferred
+ *                          from the placeholders when not given
+ * @param {string} owner - Id of the user creating it
+ * @returns {Promise<Object>} Prompt
+ */
+const createPrompt = async (fields, owner) => {
+    try {
+        const prompt = await promptsRepository.create({ ...validatePromptFields(fields), owner });
+        return promptsRepository.toDto(prompt);
+    } catch (error) {
+        console.error('Error in createPrompt:', error);
+        throw error;
+    }
+};
+
+/**
+ * Update a prompt
+ * @param {string} id - Prompt id
+ * @param {Object} changes - Fields to change (null clears the description)
+ * @param {Object} user - Signed-in user ({ id, role }); must own the prompt or be an administrator
+ * @returns {Promise<Object>} Prompt
+ */
+const updatePrompt = async (id, changes, user) => {
+    try {
+        const existing = await findOwnPrompt(id, user);
+        const prompt = await promptsRepository.update(id, validatePromptFields(changes, existing));
+        if (!prompt) {
+            throw new ApiError(404, `Prompt '${id}' not found`);
+        }
+        return promptsRepository.toDto(prompt);
+    } catch (error) {
+        console.error('Error in updatePrompt:', error);
+        throw error;
+    }
+};
+
+/**
+ * Delete a prompt
+ * @param {string} id - Prompt id
+ * @param {Object} user - Signed-in user ({ id, role }); must own the prompt or be an administrator
+ * @returns {Promise<Object>} { id }
+ */
+const deletePrompt = async (id, user) => {
+    try {
+        await findOwnPrompt(id, user);
+        if (!await promptsRepository.remove(id)) {
+            throw new ApiError(404, `Prompt '${id}' not found`);
+        }
+        return { id };
+    } catch (error) {
+        console.error('Error in deletePrompt:', error);
+        throw error;
+    }
+};
+
+/**
+ * Fill in a prompt's template
+ * @param {string} id - Prompt id
+ * @param {Object} values - Parameter values by name
+ * @param {Object} options - { recordUsage }: count the use (when the prompt is run, not previewed)
+ * @returns {Promise<Object>} { id, title, text (the question), parameters (validated values) }
+ */
+const renderPrompt = async (id, values, { recordUsage = false } = {}) => {
+    try {
+        const prompt = await findPrompt(id);
+        const vocabulary = await queryService.loadVocabulary();
+        const rendered = renderTemplate(promptsRepository.toDto(prompt), values, vocabulary, { maxValueLength: settings.maxValueLength });
+        if (rendered.errors) {
+            throw new ApiError(400, `Invalid parameters for prompt '${id}': ${rendered.errors.join('; ')}`);
+        }
+
+        if (recordUsage) {
+            await promptsRepository.recordUsage(id);
+        }
+
+        return {
+            id: prompt._id,
+            title: prompt.title,
+            text: rendered.text,
+            parameters: rendered.values
+        };
+    } catch (error) {
+        console.error('Error in renderPrompt:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    listPrompts,
+    listCategories,
+    getPrompt,
+    createPrompt,
+    updatePrompt,
+    deletePrompt,
+    renderPrompt
+};
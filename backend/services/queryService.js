@@ -0,0 +1,784 @@
+/**
+ * Query Service
+ * Answers natural-language questions: parses them (utils/queryParser), compiles each intent into calls to
+ * the revenue, customer, country and region services, and derives the insights from the returned figures.
+ */
+
+const { transformData } = require('../utils/responseHandler');
+const { parseQuery } = require('../utils/queryParser');
+const { createListQuery, applyListQuery } = require('../utils/listQuery');
+const { BRIDGE_MOVEMENTS } = require('../utils/revenueBridge');
+const { formatPeriodLabel } = require('../utils/periods');
+const { throwIfAborted } = require('../utils/eventStream');
+const { revenuePeriodsRepository, countriesRepository, regionsRepository } = require('../repositories');
+const revenueService = require('./revenueService');
+const customersService = require('./customersService');
+const countriesService = require('./countriesService');
+const regionsService = require('./regionsService');
+
+const { formatCurrency, formatPercentage } = transformData;
+
+const METRIC_LABELS = {
+    revenue: 'revenue',
+    variance: 'revenue change',
+    percentageVariance: 'percentage change',
+    share: 'revenue share'
+};
+
+const OPERATOR_LABELS = {
+    gt: 'above',
+    gte: 'of at least',
+    lt: 'below',
+    lte: 'of at most'
+};
+
+// Source datasets (config/datasets) read by each service call, cited in answers
+const SERVICE_DATASETS = {
+    'customersService.getCustomerAnalysis': ['A'],
+    'customersService.getCustomerByName': ['A'],
+    'customersService.getCustomerConcentrationRisk': ['E'],
+    'revenueService.getRevenueSummary': ['A'],
+    'revenueService.getQuarterlyRevenue': ['A'],
+    'revenueService.getBridgeCustomers': ['B'],
+    'revenueService.getBridgeWaterfall': ['B'],
+    'revenueService.getRevenueBridgeData': ['B'],
+    'revenueService.getRetentionMetrics': ['B'],
+    'countriesService.getCountryConcentrationRisk': ['C'],
+    'regionsService.getRegionsSummary': ['D']
+};
+
+// Fields of each ranking's rows, by parser metric
+const RANKING_FIELDS = {
+    customers: { revenue: 'toRevenue', variance: 'variance', percentageVariance: 'percentageVariance' },
+    countries: { revenue: 'yearlyRevenue', share: 'share' },
+    regions: { revenue: 'revenue', share: 'percentage' }
+};
+
+/**
+ * Format a metric value for an insight
+ * @param {string} metric - Parser metric (revenue, variance, percentageVariance, share)
+ * @param {number} value - Value
+ * @returns {string} Formatted value
+ */
+const formatMetric = (metric, value) => (
+    ['percentageVariance', 'share'].includes(metric) ? formatPercentage(value) : formatCurrency(value)
+);
+
+/**
+ * Describe a parsed filter ("revenue above $100,000.00")
+ * @param {Object} filter - Parsed filter ({ field, operator, value })
+ * @returns {string} Description
+ */
+const describeFilter = ({ field, operator, value }) => (
+    `${METRIC_LABELS[field]} ${OPERATOR_LABELS[operator]} ${formatMetric(field, value)}`
+);
+
+/**
+ * Join names into a readable list ("A, B and C")
+ * @param {Array<string>} items - Items
+ * @returns {string} List
+ */
+const joinList = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items.join(''));
+
+/**
+ * Share of a part in a total, in percent
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {number} Share (0 when the total is zero)
+ */
+const shareOf = (part, total) => (total ? (part / total) * 100 : 0);
+
+/**
+ * List filter restricting a ranking to the names a follow-up refers back to
+ * @param {Object} intent - Intent (with `scope` when the question refers back to a previous answer)
+ * @param {string} field - Name field of the listed rows
+ * @returns {Array} Zero or one filter
+ */
+const scopeFilters = (intent, field) => (intent.scope ? [{ field, operator: 'in', value: intent.scope }] : []);
+
+/**
+ * Describe the scope of a follow-up (" among the 5 customers from the previous answer")
+ * @param {Object} intent - Intent
+ * @param {string} noun - Plural noun of the subject
+ * @returns {string} Description, empty when the intent is not scoped
+ */
+const describeScope = (intent, noun) => (intent.scope ? ` among the ${intent.scope.length} ${noun} from the previous answer` : '');
+
+/**
+ * Load the names and periods the parser can recognise from the data being served
+ * @returns {Promise<Object>} Vocabulary ({ customers, countries, regions, periods })
+ */
+const loadVocabulary = async () => {
+    try {
+        const [customers, countries, regions, periods] = await Promise.all([
+            revenuePeriodsRepository.findCustomerNames(),
+            countriesRepository.findAll(),
+            regionsRepository.findAll(),
+            revenueService.getAvailablePeriods()
+        ]);
+
+        return {
+            customers: customers.filter(name => typeof name === 'string'),
+            countries: countries.map(country => country.countryName).filter(Boolean),
+            regions: regions.map(region => region.regionName).filter(Boolean),
+            periods: periods.map(period => period.period)
+        };
+    } catch (error) {
+        console.error('Error in loadVocabulary:', error);
+        throw error;
+    }
+};
+
+/**
+ * Period range for the customer comparisons of a query (two periods: from/to; one period: to)
+ * @param {Array<string>} periods - Parsed periods in chronological order
+ * @returns {Object} Range ({ from, to })
+ */
+const toRange = (periods) => {
+    if (periods.length >= 2) return { from: periods[0], to: periods[periods.length - 1] };
+    if (periods.length === 1) return { to: periods[0] };
+    return {};
+};
+
+/**
+ * Rank customers by revenue or revenue change between two periods
+ */
+const rankCustomers = async (intent, range) => {
+    const fields = RANKING_FIELDS.customers;
+    const metric = fields[intent.metric] ? intent.metric : 'revenue';
+    const notes = intent.filters
+        .filter(filter => !fields[filter.field])
+        .map(filter => `Customer rankings cannot filter on ${METRIC_LABELS[filter.field]}; that condition was ignored.`);
+    const conditions = intent.filters.filter(filter => fields[filter.field]);
+
+    const listQuery = createListQuery('customerAnalysis', {
+        filters: [
+            ...conditions.map(filter => ({ ...filter, field: fields[filter.field] })),
+            ...(intent.growthStatus ? [{ field: 'growthStatus', operator: 'eq', value: intent.growthStatus }] : []),
+            ...scopeFilters(intent, 'customerName')
+        ],
+        sort: [{ field: fields[metric], direction: intent.order === 'asc' ? 1 : -1 }],
+        limit: intent.limit
+    });
+
+    const [analysis, summary] = await Promise.all([
+        customersService.getCustomerAnalysis({ ...range, listQuery }),
+        revenueService.getRevenueSummary(range)
+    ]);
+    const { customers } = analysis;
+    const matched = analysis.pagination.totalItems;
+    const between = `between ${summary.fromPeriodLabel} and ${summary.toPeriodLabel}`;
+    const among = describeScope(intent, 'customers');
+    const movement = { positive: 'grew', negative: 'declined' }[intent.growthStatus];
+    const condition = [movement, conditions.length > 0 ? `with ${joinList(conditions.map(describeFilter))}` : null]
+        .filter(Boolean)
+        .join(' ') || 'had revenue';
+
+    const insights = [];
+    const recommendations = [];
+    if (customers.length === 0) {
+        insights.push(`No customers${among} ${condition} ${between}.`);
+    } else {
+        const ranked = intent.growthStatus === 'negative' && metric !== 'revenue'
+            ? (customers.length === 1 ? 'largest decline' : `${customers.length} largest declines`)
+            : `${customers.length === 1 ? 'one' : customers.length} with the ${intent.order === 'asc' ? 'lowest' : 'highest'} ${METRIC_LABELS[metric]}`;
+        insights.push(
+            `${matched} customer${matched === 1 ? '' : 's'}${among} ${condition} ${between}; the ${ranked}: `
+            + customers.map(customer => `${customer.customerName} (${formatMetric(metric, customer[fields[metric]])})`).join(', ')
+        );
+
+        const [first] = customers;
+        insights.push(`${first.customerName} went from ${first.formattedFromRevenue} to ${first.formattedToRevenue} (${first.formattedVariance}, ${first.formattedPercentage}).`);
+
+        if (metric === 'revenue') {
+            const revenue = customers.reduce((sum, customer) => sum + customer.toRevenue, 0);
+            insights.push(`Together they generated ${formatCurrency(revenue)}, ${formatPercentage(shareOf(revenue, summary.toRevenue))} of ${summary.toPeriodLabel} revenue (${summary.formattedToRevenue}).`);
+        } else {
+            const change = customers.reduce((sum, customer) => sum + customer.variance, 0);
+            insights.push(`Together their revenue changed by ${formatCurrency(change)}, against a net change of ${summary.formattedVariance} (${summary.formattedPercentage}) in total revenue.`);
+        }
+
+        const names = joinList(customers.slice(0, 3).map(customer => customer.customerName));
+        if (intent.growthStatus === 'negative') {
+            recommendations.push(`Review the accounts of ${names}, whose revenue fell the most ${between}.`);
+        } else if (intent.growthStatus === 'positive' && intent.order === 'desc') {
+            recommendations.push(`Find out what drove growth at ${names} and look for the same opportunity in similar accounts.`);
+        }
+    }
+
+    return {
+        key: 'customerRanking',
+        title: `Customers ranked by ${METRIC_LABELS[metric]} (${summary.fromPeriodLabel} → ${summary.toPeriodLabel})`,
+        calls: [
+            { service: 'customersService.getCustomerAnalysis', params: { ...range, listQuery } },
+            { service: 'revenueService.getRevenueSummary', params: range }
+        ],
+        data: { ...analysis, summary },
+        insights,
+        recommendations,
+        notes,
+        referenced: { customers: customers.map(customer => customer.customerName) }
+    };
+};
+
+/**
+ * Rank countries or regions by revenue or revenue share
+ */
+const rankGeographies = async (intent) => {
+    const isCountries = intent.subject === 'countries';
+    const fields = RANKING_FIELDS[intent.subject];
+    const nameField = isCountries ? 'countryName' : 'regionName';
+    const noun = isCountries ? 'countries' : 'regions';
+
+    const notes = [];
+    let metric = intent.metric;
+    if (!fields[metric]) {
+        notes.push(`${isCountries ? 'Country' : 'Region'} data holds one yearly revenue figure each, so ${METRIC_LABELS[metric]} cannot be ranked; ${noun} are ranked by revenue instead.`);
+        metric = 'revenue';
+    }
+    if (intent.growthStatus) {
+        notes.push(`Growth cannot be measured for ${noun}, so the ${intent.growthStatus === 'negative' ? 'decline' : 'growth'} condition was ignored.`);
+    }
+    const conditions = intent.filters.filter(filter => fields[filter.field]);
+    intent.filters
+        .filter(filter => !fields[filter.field])
+        .forEach(filter => notes.push(`${isCountries ? 'Country' : 'Region'} rankings cannot filter on ${METRIC_LABELS[filter.field]}; that condition was ignored.`));
+
+    const source = isCountries
+        ? await countriesService.getCountryConcentrationRisk()
+        : await regionsService.getRegionsSummary();
+    const rows = isCountries ? source.countries : source.regions;
+    const totalRevenue = source.totalRevenue;
+
+    const listQuery = {
+        filters: [
+            ...conditions.map(filter => ({ ...filter, field: fields[filter.field] })),
+            ...scopeFilters(intent, nameField)
+        ],
+        sort: [{ field: fields[metric], direction: intent.order === 'asc' ? 1 : -1 }],
+        page: 1,
+        limit: intent.limit
+    };
+    const { items, total } = applyListQuery(rows, listQuery);
+    const revenueField = fields.revenue;
+    const shareField = fields.share;
+
+    const insights = [];
+    if (items.length === 0) {
+        insights.push(`No ${noun}${describeScope(intent, noun)} ${conditions.length > 0 ? `with ${joinList(conditions.map(describeFilter))}` : 'have revenue data'}.`);
+    } else {
+        insights.push(
+            `${intent.order === 'asc' ? 'Lowest' : 'Highest'} ${items.length} of ${total} ${noun}${describeScope(intent, noun)} by ${METRIC_LABELS[metric]}: `
+            + items.map(item => `${item[nameField]} (${formatCurrency(item[revenueField])}, ${formatPercentage(item[shareField])})`).join(', ')
+        );
+
+        const revenue = items.reduce((sum, item) => sum + item[revenueField], 0);
+        insights.push(`Together they account for ${formatCurrency(revenue)}, ${formatPercentage(shareOf(revenue, totalRevenue))} of total revenue (${formatCurrency(totalRevenue)}).`);
+    }
+    if (!isCountries && source.regionsWithoutData.length > 0) {
+        insights.push(`No revenue is recorded for ${joinList(source.regionsWithoutData)}.`);
+    }
+
+    return {
+        key: isCountries ? 'countryRanking' : 'regionRanking',
+        title: `${isCountries ? 'Countries' : 'Regions'} ranked by ${METRIC_LABELS[metric]}`,
+        calls: [{ service: isCountries ? 'countriesService.getCountryConcentrationRisk' : 'regionsService.getRegionsSummary', params: {} }],
+        data: { [noun]: items, total, totalRevenue },
+        insights,
+        recommendations: [],
+        notes,
+        referenced: { [noun]: items.map(item => item[nameField]) }
+    };
+};
+
+/**
+ * Details of one named customer, country or region
+ */
+const lookupEntity = async (intent, range) => {
+    const { entityType, name } = intent;
+
+    if (entityType === 'customers') {
+        const customer = await customersService.getCustomerByName(name, range);
+        const best = customer.series.reduce((top, period) => (!top || period.revenue > top.revenue ? period : top), null);
+        const insights = [
+            `${name} went from ${customer.formattedFromRevenue} to ${customer.formattedToRevenue} (${customer.formattedVariance}, ${customer.formattedPercentage}) between ${formatPeriodLabel(customer.fromPeriod)} and ${formatPeriodLabel(customer.toPeriod)}.`
+        ];
+        if (best) {
+            insights.push(`${name} has revenue in ${customer.series.length} period${customer.series.length === 1 ? '' : 's'}; the highest was ${best.formattedRevenue} in ${best.label}.`);
+        }
+        return {
+            key: `customer:${name}`,
+            title: `Customer ${name}`,
+            calls: [{ service: 'customersService.getCustomerByName', params: { customerName: name, ...range } }],
+            data: customer,
+            insights,
+            recommendations: [],
+            notes: [],
+            referenced: { customers: [name] }
+        };
+    }
+
+    if (entityType === 'countries') {
+        const concentration = await countriesService.getCountryConcentrationRisk();
+        const country = concentration.countries.find(item => item.countryName === name);
+        if (!country) throw new Error(`Country '${name}' not found`);
+        return {
+            key: `country:${name}`,
+            title: `Country ${name}`,
+            calls: [{ service: 'countriesService.getCountryConcentrationRisk', params: {} }],
+            data: country,
+            insights: [
+                `${name} generates ${country.formattedRevenue} a year, ${country.formattedShare} of total revenue, ranking #${country.rank} of ${concentration.count} countries (class ${country.abcClass}).`
+            ],
+            recommendations: [],
+            notes: [],
+            referenced: { countries: [name] }
+        };
+    }
+
+    const summary = await regionsService.getRegionsSummary();
+    const region = summary.regions.find(item => item.regionName === name);
+    if (!region) throw new Error(`Region '${name}' not found`);
+    return {
+        key: `region:${name}`,
+        title: `Region ${name}`,
+        calls: [{ service: 'regionsService.getRegionsSummary', params: {} }],
+        data: region,
+        insights: [
+            region.hasData
+                ? `${name} generates ${region.formattedRevenue}, ${region.formattedPercentage} of regional revenue (${summary.formattedTotalRevenue}).`
+                : `No revenue is recorded for ${name}.`
+        ],
+        recommendations: [],
+        notes: [],
+        referenced: { regions: [name] }
+    };
+};
+
+/**
+ * Churned customers with logo churn and lost revenue
+ */
+const analyzeChurn = async (intent) => {
+    const listQuery = createListQuery('bridgeCustomers', {
+        filters: scopeFilters(intent, 'customerName'),
+        sort: [{ field: 'churnedRevenue', direction: -1 }],
+        // A follow-up lists every churned customer of the previous answer
+        limit: intent.scope ? intent.scope.length : intent.limit
+    });
+    const [churned, retention, bridge] = await Promise.all([
+        revenueService.getBridgeCustomers({ movements: ['churn'], listQuery }),
+        revenueService.getRetentionMetrics(),
+        revenueService.getRevenueBridgeData()
+    ]);
+
+    const count = churned.pagination.totalItems;
+    const totalChurnedRevenue = (bridge.find(item => item.category === BRIDGE_MOVEMENTS.churn.column) || { amount: 0 }).amount;
+    const churnedRevenue = intent.scope
+        ? churned.customers.reduce((sum, customer) => sum + customer.churnedRevenue, 0)
+        : totalChurnedRevenue;
+    const between = `between ${churned.startPeriodLabel} and ${churned.endPeriodLabel}`;
+
+    const insights = [
+        intent.scope
+            ? `${count > 0 ? count : 'None'} of the ${intent.scope.length} customers from the previous answer churned ${between}; the overall logo churn rate is ${retention.overall.formattedLogoChurnRate}.`
+            : `${count} customer${count === 1 ? '' : 's'} churned ${between}, a logo churn rate of ${retention.overall.formattedLogoChurnRate}.`
+    ];
+    if (count > 0) {
+        insights.push(`${intent.scope ? 'Their churn' : 'Churn'} removed ${formatCurrency(churnedRevenue)}, ${formatPercentage(shareOf(churnedRevenue, retention.overall.startingRevenue))} of ${churned.startPeriodLabel} revenue from existing customers (${retention.overall.formattedStartingRevenue}).`);
+    }
+    const recommendations = [];
+    if (churned.customers.length > 0) {
+        insights.push(`Largest churned accounts: ${churned.customers.map(customer => `${customer.customerName} (${formatCurrency(customer.churnedRevenue)})`).join(', ')}.`);
+        recommendations.push(`Start win-back conversations with ${joinList(churned.customers.slice(0, 3).map(customer => customer.customerName))}, the largest churned accounts.`);
+    }
+
+    return {
+        key: 'churn',
+        title: `Churned customers (${churned.startPeriodLabel} → ${churned.endPeriodLabel})`,
+        calls: [
+            { service: 'revenueService.getBridgeCustomers', params: { movements: ['churn'], listQuery } },
+            { service: 'revenueService.getRetentionMetrics', params: {} },
+            { service: 'revenueService.getRevenueBridgeData', params: {} }
+        ],
+        data: { ...churned, churnedRevenue, retention: retention.overall },
+        insights,
+        recommendations,
+        notes: [],
+        referenced: { customers: churned.customers.map(customer => customer.customerName) }
+    };
+};
+
+/**
+ * Format a signed amount ("+$1,200.00", "-$300.00")
+ * @param {number} value - Amount
+ * @returns {string} Formatted amount
+ */
+const formatSigned = (value) => (value >= 0 ? `+${formatCurrency(value)}` : formatCurrency(value));
+
+/**
+ * Revenue bridge explained: each movement's share of the net change, the customers driving it,
+ * and churn compared with new business
+ */
+const analyzeBridge = async (intent) => {
+    const driverQueries = Object.keys(BRIDGE_MOVEMENTS).map(type => ({
+        type,
+        listQuery: createListQuery('bridgeCustomers', {
+            sort: [{ field: BRIDGE_MOVEMENTS[type].field, direction: -1 }],
+            limit: intent.limit
+        })
+    }));
+    const [waterfall, ...drivers] = await Promise.all([
+        revenueService.getBridgeWaterfall(),
+        ...driverQueries.map(({ type, listQuery }) => revenueService.getBridgeCustomers({ movements: [type], listQuery }))
+    ]);
+    const calls = [
+        { service: 'revenueService.getBridgeWaterfall', params: {} },
+        ...driverQueries.map(({ type, listQuery }) => ({ service: 'revenueService.getBridgeCustomers', params: { movements: [type], listQuery } }))
+    ];
+
+    if (!waterfall.startPeriod || !waterfall.endPeriod) {
+        return {
+            key: 'bridge',
+            title: 'Revenue bridge',
+            calls,
+            data: null,
+            insights: [],
+            recommendations: [],
+            notes: ['No revenue bridge data is available.']
+        };
+    }
+
+    const { reconciliation } = waterfall;
+    const startPeriodLabel = formatPeriodLabel(waterfall.startPeriod);
+    const endPeriodLabel = formatPeriodLabel(waterfall.endPeriod);
+    const netChange = reconciliation.endTotal - reconciliation.startTotal;
+    // Signed share of the net change: positive movements push the net change up, negative ones pull it down,
+    // and the shares add up to +100% (growth) or -100% (decline)
+    const shareOfNet = value => (netChange ? (value / Math.abs(netChange)) * 100 : null);
+
+    const movements = driverQueries.map(({ type }, index) => {
+        const movement = BRIDGE_MOVEMENTS[type];
+        const step = waterfall.steps.find(item => item.key === type);
+        const total = Math.abs(step.value);
+        const movementDrivers = drivers[index].customers.map(customer => ({
+            customerName: customer.customerName,
+            amount: customer[movement.field],
+            share: shareOf(customer[movement.field], total),
+            movementTypes: customer.movementTypes
+        }));
+
+        return {
+            key: type,
+            label: movement.label,
+            value: step.value,
+            amount: total,
+            customers: step.customers,
+            shareOfNetChange: shareOfNet(step.value),
+            drivers: movementDrivers,
+            driversShare: shareOf(movementDrivers.reduce((sum, driver) => sum + driver.amount, 0), total)
+        };
+    });
+    const byKey = Object.fromEntries(movements.map(movement => [movement.key, movement]));
+    const unexplained = waterfall.steps.find(item => item.key === 'unexplained');
+
+    const describeShare = value => (netChange ? `, ${value >= 0 ? '+' : ''}${formatPercentage(shareOfNet(value))} of the net change` : '');
+    const insights = [
+        `Revenue went from ${reconciliation.formattedStartTotal} in ${startPeriodLabel} to ${reconciliation.formattedEndTotal} in ${endPeriodLabel}, a net change of ${formatSigned(netChange)} (${formatPercentage(shareOf(netChange, reconciliation.startTotal))}).`,
+        `By movement: ${[
+            ...movements.map(movement => `${movement.label} ${formatSigned(movement.value)} (${movement.customers} customer${movement.customers === 1 ? '' : 's'}${describeShare(movement.value)})`),
+            ...(unexplained ? [`unexplained ${formatSigned(unexplained.value)}`] : [])
+        ].join(', ')}.`
+    ];
+
+    movements.filter(movement => movement.drivers.length > 0).forEach(movement => {
+        const noun = BRIDGE_MOVEMENTS[movement.key].noun;
+        const others = movement.customers - movement.drivers.length;
+        insights.push(`Largest ${noun}: ${joinList(movement.drivers.map(driver => `${driver.customerName} (${formatCurrency(driver.amount)})`))}, ${formatPercentage(movement.driversShare)} of all ${noun}${others > 0 ? ` (${others} other customer${others === 1 ? '' : 's'})` : ''}.`);
+    });
+
+    const churn = byKey.churn;
+    const newBusiness = byKey.new;
+    const replacementRatio = churn.amount ? newBusiness.amount / churn.amount : null;
+    if (churn.amount === 0) {
+        insights.push(`No revenue churned; new business added ${formatCurrency(newBusiness.amount)} from ${newBusiness.customers} customer${newBusiness.customers === 1 ? '' : 's'}.`);
+    } else if (newBusiness.amount === 0) {
+        insights.push(`No new business offset the ${formatCurrency(churn.amount)} lost to churn (${churn.customers} customer${churn.customers === 1 ? '' : 's'}).`);
+    } else {
+        insights.push(replacementRatio >= 1
+            ? `New business (${formatCurrency(newBusiness.amount)} from ${newBusiness.customers} customers) replaced churned revenue (${formatCurrency(churn.amount)} from ${churn.customers} customers) ${replacementRatio.toFixed(2)} times over.`
+            : `New business (${formatCurrency(newBusiness.amount)} from ${newBusiness.customers} customers) replaced only ${formatPercentage(replacementRatio * 100)} of churned revenue (${formatCurrency(churn.amount)} from ${churn.customers} customers).`);
+    }
+
+    const recommendations = [];
+    if (churn.amount > newBusiness.amount && churn.drivers.length > 0) {
+        recommendations.push(`Churn outweighed new business: start win-back conversations with ${joinList(churn.drivers.map(driver => driver.customerName))} and review acquisition.`);
+    }
+    const topExpansion = byKey.expansion.drivers[0];
+    if (topExpansion && topExpansion.share > 50) {
+        recommendations.push(`Expansion depends on ${topExpansion.customerName} (${formatPercentage(topExpansion.share)} of it); grow upsell across more accounts.`);
+    }
+    // Accounts that churned are already gone; the rest can still be saved
+    const contracting = byKey.contraction.drivers.filter(driver => !driver.movementTypes.includes('churn'));
+    if (byKey.contraction.amount > churn.amount && contracting.length > 0) {
+        recommendations.push(`Contraction cost more than churn: review usage and pricing with ${joinList(contracting.map(driver => driver.customerName))}.`);
+    }
+
+    return {
+        key: 'bridge',
+        title: `Revenue bridge (${startPeriodLabel} → ${endPeriodLabel})`,
+        calls,
+        data: {
+            startPeriod: waterfall.startPeriod,
+            endPeriod: waterfall.endPeriod,
+            startPeriodLabel,
+            endPeriodLabel,
+            startRevenue: reconciliation.startTotal,
+            endRevenue: reconciliation.endTotal,
+            netChange,
+            movements,
+            churnVsNew: {
+                churnedRevenue: churn.amount,
+                churnedCustomers: churn.customers,
+                newRevenue: newBusiness.amount,
+                newCustomers: newBusiness.customers,
+                replacementRatio
+            },
+            reconciliation
+        },
+        insights,
+        recommendations,
+        notes: unexplained
+            ? [`The bridge movements leave ${formatSigned(unexplained.value)} of the ${startPeriodLabel} → ${endPeriodLabel} change unexplained (${unexplained.customers} customers).`]
+            : [],
+        referenced: { customers: Array.from(new Set(movements.flatMap(movement => movement.drivers.map(driver => driver.customerName)))) }
+    };
+};
+
+/**
+ * Retention metrics overall and per segment
+ */
+const analyzeRetention = async () => {
+    const retention = await revenueService.getRetentionMetrics();
+    const { overall } = retention;
+    const segments = retention.segments.filter(segment => segment.customers > 0);
+    const weakest = segments.reduce((lowest, segment) => (!lowest || segment.nrr < lowest.nrr ? segment : lowest), null);
+
+    const insights = [
+        `Between ${retention.startPeriodLabel} and ${retention.endPeriodLabel}: NRR ${overall.formattedNrr}, GRR ${overall.formattedGrr}, logo churn ${overall.formattedLogoChurnRate}, expansion rate ${overall.formattedExpansionRate} across ${overall.customers} existing customers.`
+    ];
+    const recommendations = [];
+    if (weakest) {
+        insights.push(`Lowest NRR by segment: ${weakest.label} at ${weakest.formattedNrr} (${weakest.customers} customers).`);
+        if (weakest.nrr < 100) {
+            recommendations.push(`Prioritise retention in the ${weakest.label} segment, which lost more revenue than it expanded (NRR ${weakest.formattedNrr}).`);
+        }
+    }
+
+    return {
+        key: 'retention',
+        title: 'Revenue retention',
+        calls: [{ service: 'revenueService.getRetentionMetrics', params: {} }],
+        data: retention,
+        insights,
+        recommendations,
+        notes: []
+    };
+};
+
+/**
+ * Customer or country concentration risk
+ */
+const analyzeConcentration = async (intent) => {
+    const isCountries = intent.subject === 'countries';
+    const concentration = isCountries
+        ? await countriesService.getCountryConcentrationRisk()
+        : await customersService.getCustomerConcentrationRisk(createListQuery('concentrationCustomers', { limit: intent.limit }));
+    const items = (isCountries ? concentration.countries : concentration.customers).slice(0, intent.limit);
+    const nameField = isCountries ? 'countryName' : 'customerName';
+    const noun = isCountries ? 'countries' : 'customers';
+    const { risk, formattedTopShares } = concentration;
+
+    const insights = [
+        `Top ${items.length} ${noun} by revenue: ${items.map(item => `${item[nameField]} (${item.formattedShare})`).join(', ')}.`,
+        `The largest ${isCountries ? 'country' : 'customer'} holds ${formattedTopShares.top1Share} and the top 5 hold ${formattedTopShares.top5Share} of ${concentration.formattedTotalRevenue} (HHI ${Math.round(concentration.hhi)}, Gini ${concentration.gini.toFixed(2)}).`,
+        `${isCountries ? 'Country' : 'Customer'} concentration risk is ${risk.level}${risk.flags.length > 0 ? `: ${risk.flags.map(flag => flag.message).join('; ')}` : ''}.`
+    ];
+    const recommendations = risk.level !== 'low' && items.length > 0
+        ? [`Reduce dependence on ${items[0][nameField]} (${items[0].formattedShare} of revenue) by growing the next tier of ${noun}.`]
+        : [];
+
+    return {
+        key: isCountries ? 'countryConcentration' : 'customerConcentration',
+        title: `${isCountries ? 'Country' : 'Customer'} concentration`,
+        calls: [{
+            service: isCountries ? 'countriesService.getCountryConcentrationRisk' : 'customersService.getCustomerConcentrationRisk',
+            params: isCountries ? {} : { limit: intent.limit }
+        }],
+        data: concentration,
+        insights,
+        recommendations,
+        notes: [],
+        referenced: { [noun]: items.map(item => item[nameField]) }
+    };
+};
+
+/**
+ * Revenue per period with the strongest and weakest period-over-period change
+ */
+const analyzeTrend = async () => {
+    const series = await revenueService.getQuarterlyRevenue();
+    const changes = series.filter(period => period.percentageChange !== null);
+
+    const insights = [];
+    if (series.length > 0) {
+        const first = series[0];
+        const last = series[series.length - 1];
+        insights.push(`Revenue moved from ${first.formattedRevenue} in ${first.label} to ${last.formattedRevenue} in ${last.label} over ${series.length} periods.`);
+    }
+    if (changes.length > 0) {
+        const strongest = changes.reduce((best, period) => (period.percentageChange > best.percentageChange ? period : best));
+        const weakest = changes.reduce((worst, period) => (period.percentageChange < worst.percentageChange ? period : worst));
+        insights.push(`Strongest period: ${strongest.label} (${strongest.formattedChange}, ${strongest.formattedPercentageChange}).`);
+        if (weakest !== strongest) {
+            insights.push(`Weakest period: ${weakest.label} (${weakest.formattedChange}, ${weakest.formattedPercentageChange}).`);
+        }
+    }
+
+    return {
+        key: 'trend',
+        title: 'Revenue trend',
+        calls: [{ service: 'revenueService.getQuarterlyRevenue', params: {} }],
+        data: series,
+        insights,
+        recommendations: [],
+        notes: []
+    };
+};
+
+/**
+ * Total revenue between two periods
+ */
+const comparePeriods = async (intent, range) => {
+    const summary = await revenueService.getRevenueSummary(range);
+
+    return {
+        key: 'summary',
+        title: `Revenue ${summary.fromPeriodLabel} → ${summary.toPeriodLabel}`,
+        calls: [{ service: 'revenueService.getRevenueSummary', params: range }],
+        data: summary,
+        insights: [
+            `Total revenue went from ${summary.formattedFromRevenue} in ${summary.fromPeriodLabel} to ${summary.formattedToRevenue} in ${summary.toPeriodLabel}, a change of ${summary.formattedVariance} (${summary.formattedPercentage}).`
+        ],
+        recommendations: [],
+        notes: intent.type === 'overview'
+            ? ['The question did not name a subject or metric that could be recognised, so the revenue summary is shown.']
+            : []
+    };
+};
+
+const HANDLERS = {
+    ranking: (intent, range) => (intent.subject === 'customers' ? rankCustomers(intent, range) : rankGeographies(intent)),
+    lookup: lookupEntity,
+    churn: analyzeChurn,
+    bridge: analyzeBridge,
+    retention: analyzeRetention,
+    concentration: analyzeConcentration,
+    trend: analyzeTrend,
+    comparison: comparePeriods,
+    overview: comparePeriods
+};
+
+/**
+ * Build the context a follow-up question is parsed with: the parsed query and the names listed in the answer
+ * @param {Object} query - Parsed query
+ * @param {Array} results - Results of the query
+ * @param {Object|null} previous - Context the query was parsed with
+ * @returns {Object} Context
+ */
+const buildContext = (query, results, previous) => ({
+    subject: query.subject,
+    metrics: query.metrics,
+    polarity: query.polarity,
+    order: query.order,
+    limit: query.limit,
+    filters: query.filters,
+    periods: query.periods,
+    entities: query.entities,
+    // Names listed by this answer replace those of the same type listed earlier
+    referenced: results.reduce((referenced, result) => ({ ...referenced, ...(result.referenced || {}) }),
+        { ...(previous ? previous.referenced : {}) })
+});
+
+/**
+ * Answer a question
+ * @param {string} prompt - Question
+ * @param {Object} options - Options
+ * @param {Object} options.context - Context of the previous question in a chat session (from a previous answer)
+ * @param {AbortSignal} options.signal - Stops before the next intent is answered (e.g. when a streaming client leaves)
+ * @param {Function} options.onEvent - Called with ('query', query) once parsed, then ('result', result) as each
+ *                                     intent is answered
+ * @returns {Promise<Object>} Parsed query, one result per intent, the combined insights and recommendations,
+ *                            and the context for a follow-up question
+ */
+const runQuery = async (prompt, { context = null, signal = null, onEvent = () => {} } = {}) => {
+    try {
+        const vocabulary = await loadVocabulary();
+        const query = parseQuery(prompt, vocabulary, context);
+        const range = toRange(query.periods);
+        onEvent('query', query);
+
+        const results = [];
+        for (const intent of query.intents) {
+            throwIfAborted(signal);
+            let result;
+            try {
+                const answered = await HANDLERS[intent.type](intent, range);
+                const datasets = Array.from(new Set(answered.calls.flatMap(call => SERVICE_DATASETS[call.service] || []))).sort();
+                result = { intent, ...answered, datasets };
+            } catch (error) {
+                // A failed lookup (e.g. an entity without data) should not hide the rest of the answer
+                result = {
+                    intent,
+                    key: intent.type,
+                    title: intent.name || intent.type,
+                    calls: [],
+                    datasets: [],
+                    data: null,
+                    insights: [],
+                    recommendations: [],
+                    notes: [error.message]
+                };
+            }
+            results.push(result);
+            onEvent('result', result);
+        }
+
+        const notes = [
+            ...(query.unknownPeriods.length > 0
+                ? [`No data for ${joinList(query.unknownPeriods.map(formatPeriodLabel))}; available periods: ${vocabulary.periods.map(formatPeriodLabel).join(', ')}.`]
+                : []),
+            ...results.flatMap(result => result.notes)
+        ];
+
+        return {
+            query,
+            results,
+            insights: results.flatMap(result => result.insights),
+            recommendations: Array.from(new Set(results.flatMap(result => result.recommendations))),
+            notes,
+            context: buildContext(query, results, context),
+            data: results.reduce((data, result) => {
+                if (result.data !== null) data[result.key] = result.data;
+                return data;
+            }, {})
+        };
+    } catch (error) {
+        console.error('Error in runQuery:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    loadVocabulary,
+    runQuery
+};
@@ -3,28 +3,23 @@
  * Handles region-wise revenue data operations
  */
 
-const { getCollection } = require('../database/connection');
 const { transformData } = require('../utils/responseHandler');
-const databaseConfig = require('../config/database');
+const { regionsRepository } = require('../repositories');
+const { createListQuery, buildPagination } = require('../utils/listQuery');
 
 /**
- * Get all regions with revenue data
- * @returns {Promise<Array>} All regions data
+ * Get regions with revenue data
+ * @param {Object} listQuery - Filter/sort/fields/pagination query (see utils/listQuery)
+ * @returns {Promise<Object>} Regions for the requested page and pagination
  */
-const getAllRegions = async () => {
+const getAllRegions = async (listQuery = createListQuery('regions')) => {
     try {
-        const collection = await getCollection(databaseConfig.collections.regions);
-        
-        const regions = await collection
-            .find({})
-            .sort({ "Yearly Revenue": -1 })
-            .toArray();
+        const { items, total } = await regionsRepository.list(listQuery);
 
-        return regions.map(region => ({
-            regionName: region.Region,
-            yearlyRevenue: region['Yearly Revenue'] || 0,
-            formattedRevenue: transformData.formatCurrency(region['Yearly Revenue'] || 0)
-        }));
+        return {
+            regions: items,
+            pagination: buildPagination(listQuery, total)
+        };
     } catch (error) {
         console.error('Error in getAllRegions:', error);
         throw error;
@@ -38,19 +33,13 @@ const getAllRegions = async () => {
  */
 const getRegionByName = async (regionName) => {
     try {
-        const collection = await getCollection(databaseConfig.collections.regions);
-        
-        const region = await collection.findOne({ Region: regionName });
+        const region = await regionsRepository.findOne({ regionName });
         
         if (!region) {
             throw new Error(`Region '${regionName}' not found`);
         }
 
-        return {
-            regionName: region.Region,
-            yearlyRevenue: region['Yearly Revenue'] || 0,
-            formattedRevenue: transformData.formatCurrency(region['Yearly Revenue'] || 0)
-        };
+        return region;
     } catch (error) {
         console.error('Error in getRegionByName:', error);
         throw error;
@@ -63,28 +52,28 @@ const getRegionByName = async (regionName) => {
  */
 const getRegionsSummary = async () => {
     try {
-        const collection = await getCollection(databaseConfig.collections.regions);
-        
-        const regions = await collection.find({}).toArray();
+        const regions = await regionsRepository.findAll();
         
-        const totalRevenue = regions.reduce((sum, region) => {
-            return sum + (region['Yearly Revenue'] || 0);
-        }, 0);
-
-        const regionsWithData = regions.filter(region => region['Yearly Revenue'] !== null);
+        const totalRevenue = regions.reduce((sum, region) => sum + region.yearlyRevenue, 0);
 
         return {
             totalRegions: regions.length,
-            regionsWithData: regionsWithData.length,
+            regionsWithData: regions.filter(region => region.hasData).length,
+            // Regions without revenue are counted as 0 in the totals below
+            regionsWithoutData: regions.filter(region => !region.hasData).map(region => region.regionName),
             totalRevenue,
             formattedTotalRevenue: transformData.formatCurrency(totalRevenue),
-            regions: regions.map(region => ({
-                regionName: region.Region,
-                revenue: region['Yearly Revenue'] || 0,
-                formattedRevenue: transformData.formatCurrency(region['Yearly Revenue'] || 0),
-                percentage: totalRevenue > 0 ? ((region['Yearly Revenue'] || 0) / totalRevenue) * 100 : 0,
-                formattedPercentage: transformData.formatPercentage(totalRevenue > 0 ? ((region['Yearly Revenue'] || 0) / totalRevenue) * 100 : 0)
-            }))
+            regions: regions.map(region => {
+                const percentage = totalRevenue > 0 ? (region.yearlyRevenue / totalRevenue) * 100 : 0;
+                return {
+                    regionName: region.regionName,
+                    revenue: region.yearlyRevenue,
+                    hasData: region.hasData,
+                    formattedRevenue: region.formattedRevenue,
+                    percentage,
+                    formattedPercentage: transformData.formatPercentage(percentage)
+                };
+            })
         };
     } catch (error) {
         console.error('Error in getRegionsSummary:', error);
@@ -96,4 +85,4 @@ module.exports = {
     getAllRegions,
     getRegionByName,
     getRegionsSummary
-}; 
\ No newline at end of file
+};
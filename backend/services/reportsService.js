@@ -0,0 +1,516 @@
+/**
+ * Reports Service
+ * Executive report: a narrative of headline revenue, growth drivers, churn, concentration risk and geography.
+ * Every sentence is written from figures returned by the other services and keeps those figures, the thresholds
+ * it compares them with and the service call they come from, so each statement can be checked.
+ *
+ * The report only depends on the dataset snapshot being read (?snapshot= or ?asOf=) and the reader's data scope:
+ * it carries no generation time, so the same snapshot always gives the same report and checksum.
+ */
+
+const crypto = require('crypto');
+const reportsConfig = require('../config/reports');
+const metricsConfig = require('../config/metrics');
+const { createListQuery } = require('../utils/listQuery');
+const { transformData } = require('../utils/responseHandler');
+const { BRIDGE_MOVEMENTS } = require('../utils/revenueBridge');
+const { formatPeriodLabel } = require('../utils/periods');
+const { formatMetric, getMetricLabel } = require('../utils/concentration');
+const { getStorage } = require('../database/storage');
+const { getReadSnapshot } = require('../database/snapshotRegistry');
+const revenueService = require('./revenueService');
+const customersService = require('./customersService');
+const countriesService = require('./countriesService');
+const regionsService = require('./regionsService');
+
+const settings = reportsConfig.executive;
+const { formatCurrency, formatPercentage } = transformData;
+
+/**
+ * Format a signed amount ("+$1,000.00", "-$1,000.00")
+ * @param {number} value - Amount
+ * @returns {string} Formatted amount
+ */
+const formatSigned = (value) => (value >= 0 ? `+${formatCurrency(value)}` : formatCurrency(value));
+
+/**
+ * Format a signed percentage ("+12.50%", "-3.00%")
+ * @param {number} value - Percentage
+ * @returns {string} Formatted percentage
+ */
+const formatSignedPercentage = (value) => (value >= 0 ? `+${formatPercentage(value)}` : formatPercentage(value));
+
+/**
+ * Join names as prose ("A", "A and B", "A, B and C")
+ * @param {Array<string>} items - Names
+ * @returns {string} Joined names
+ */
+const joinNames = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items.join(''));
+
+/**
+ * Pluralise a count ("1 customer", "3 customers")
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @param {string} pluralNoun - Plural noun (defaults to the noun with an "s")
+ * @returns {string} Count and noun
+ */
+const plural = (count, noun, pluralNoun = `${noun}s`) => `${count} ${count === 1 ? noun : pluralNoun}`;
+
+/**
+ * Build a report sentence
+ * @param {string} text - Sentence
+ * @param {string} source - Service call the figures come from
+ * @param {Object} figures - Figures the sentence states, by name
+ * @param {Object} thresholds - Thresholds the figures are compared with, by name
+ * @returns {Object} { text, source, figures, thresholds }
+ */
+const sentence = (text, source, figures = {}, thresholds = {}) => ({ text, source, figures, thresholds });
+
+/**
+ * Read a service result that is missing when there is no data yet
+ * @param {Promise} promise - Service call
+ * @returns {Promise<Object|null>} Result, or null when the service reports it found nothing
+ */
+const orNull = (promise) => promise.catch(error => {
+    if (error.message.includes('not found')) return null;
+    throw error;
+});
+
+/**
+ * Describe the snapshot the report is read from
+ * @returns {Promise<Object|null>} { version, createdAt } or null before the first import
+ */
+const getReportSnapshot = async () => {
+    const snapshot = await getReadSnapshot(await getStorage().getDatabase());
+    return snapshot
+        ? { version: snapshot.version, createdAt: new Date(snapshot.createdAt).toISOString() }
+        : null;
+};
+
+/**
+ * Headline revenue: latest period against the one before, and how many customers grew or declined
+ * @param {Object|null} summary - revenueService.getRevenueSummary result
+ * @param {Object} stats - customersService.getCustomerStatistics result
+ * @returns {Object} Section
+ */
+const buildHeadlineSection = (summary, stats) => {
+    const section = { key: 'headline', title: 'Headline revenue', sentences: [] };
+    const source = 'revenueService.getRevenueSummary';
+
+    if (!summary || !summary.fromPeriod) {
+        section.sentences.push(sentence(
+            summary
+                ? `Revenue was ${summary.formattedToRevenue} in ${summary.toPeriodLabel}; there is no earlier period to compare it with.`
+                : 'No revenue periods are available.',
+            source,
+            summary ? { toRevenue: summary.toRevenue } : {}
+        ));
+        return section;
+    }
+
+    const { strongGrowth, flatBand } = settings.thresholds.growth;
+    const change = summary.percentageVariance;
+    const figures = {
+        fromRevenue: summary.fromRevenue,
+        toRevenue: summary.toRevenue,
+        totalVariance: summary.totalVariance,
+        percentageVariance: change
+    };
+
+    section.sentences.push(sentence(
+        `Revenue was ${summary.formattedToRevenue} in ${summary.toPeriodLabel}, ${summary.totalVariance >= 0 ? 'up' : 'down'} ${formatCurrency(Math.abs(summary.totalVariance))} (${formatSignedPercentage(change)}) from ${summary.formattedFromRevenue} in ${summary.fromPeriodLabel}.`,
+        source,
+        figures
+    ));
+
+    let verdict;
+    if (Math.abs(change) <= flatBand) {
+        verdict = `Revenue was flat: the change is within the ±${formatPercentage(flatBand)} flat band.`;
+    } else if (change >= strongGrowth) {
+        verdict = `This is strong growth, at or above the ${formatPercentage(strongGrowth)} threshold.`;
+    } else if (change > 0) {
+        verdict = `This is moderate growth, below the ${formatPercentage(strongGrowth)} strong-growth threshold.`;
+    } else {
+        verdict = `This is a decline beyond the ±${formatPercentage(flatBand)} flat band.`;
+    }
+    section.sentences.push(sentence(verdict, source, { percentageVariance: change }, { strongGrowth, flatBand }));
+
+    if (stats.totalCustomers > 0) {
+        section.sentences.push(sentence(
+            `Of ${plural(stats.totalCustomers, 'customer')}, ${stats.customersWithGrowth} (${formatPercentage(stats.growthPercentage)}) grew, ${stats.customersWithDecline} (${formatPercentage(stats.declinePercentage)}) declined and ${stats.customersNoChange} (${formatPercentage(stats.noChangePercentage)}) were unchanged.`,
+            'customersService.getCustomerStatistics',
+            {
+                totalCustomers: stats.totalCustomers,
+                customersWithGrowth: stats.customersWithGrowth,
+                customersWithDecline: stats.customersWithDecline,
+                customersNoChange: stats.customersNoChange
+            }
+        ));
+    }
+
+    return section;
+};
+
+/**
+ * Describe the customers driving one bridge movement
+ * @param {string} type - Movement type
+ * @param {Object} step - Waterfall step of the movement
+ * @param {Array} drivers - Largest customers of the movement
+ * @returns {Object|null} Sentence, or null when the movement is empty
+ */
+const describeDrivers = (type, step, drivers) => {
+    const movement = BRIDGE_MOVEMENTS[type];
+    const total = Math.abs(step.value);
+    if (!total || drivers.length === 0) return null;
+
+    const { noun } = movement;
+    const [top, ...others] = drivers;
+    const topShare = (top[movement.field] / total) * 100;
+    const { driverShare } = settings.thresholds;
+
+    return sentence(
+        `The largest ${noun} came from ${top.customerName} (${formatCurrency(top[movement.field])}, ${formatPercentage(topShare)} of ${noun}), ${topShare > driverShare ? 'above' : 'within'} the ${formatPercentage(driverShare)} single-customer threshold`
+            + (others.length ? `, followed by ${joinNames(others.map(customer => `${customer.customerName} (${formatCurrency(customer[movement.field])})`))}.` : '.'),
+        'revenueService.getBridgeCustomers',
+        {
+            movement: type,
+            movementTotal: total,
+            ...Object.fromEntries(drivers.map(customer => [customer.customerName, customer[movement.field]])),
+            topShare
+        },
+        { driverShare }
+    );
+};
+
+/**
+ * Growth drivers: the revenue bridge net change and what new business and expansion added
+ * @param {Object} waterfall - revenueService.getBridgeWaterfall result
+ * @param {Object} drivers - Largest customers by movement type
+ * @returns {Object} Section
+ */
+const buildGrowthSection = (waterfall, drivers) => {
+    const section = { key: 'growth-drivers', title: 'Growth drivers', sentences: [] };
+    const source = 'revenueService.getBridgeWaterfall';
+
+    if (!waterfall.startPeriod || !waterfall.endPeriod) {
+        section.sentences.push(sentence('No revenue bridge data is available, so growth cannot be broken down by driver.', source));
+        return section;
+    }
+
+    const { reconciliation } = waterfall;
+    const netChange = reconciliation.endTotal - reconciliation.startTotal;
+    const step = (key) => waterfall.steps.find(item => item.key === key);
+
+    section.sentences.push(sentence(
+        `The revenue bridge goes from ${reconciliation.formattedStartTotal} in ${formatPeriodLabel(waterfall.startPeriod)} to ${reconciliation.formattedEndTotal} in ${formatPeriodLabel(waterfall.endPeriod)}, a net change of ${formatSigned(netChange)}${reconciliation.startTotal ? ` (${formatSignedPercentage((netChange / reconciliation.startTotal) * 100)})` : ''}.`,
+        source,
+        { startTotal: reconciliation.startTotal, endTotal: reconciliation.endTotal, netChange }
+    ));
+
+    const [newBusiness, expansion] = [step('new'), step('expansion')];
+    const increase = newBusiness.value + expansion.value;
+    if (increase > 0) {
+        section.sentences.push(sentence(
+            `New business added ${formatCurrency(newBusiness.value)} from ${plural(newBusiness.customers, 'customer')} and expansion added ${formatCurrency(expansion.value)} from ${plural(expansion.customers, 'customer')}; expansion is ${formatPercentage((expansion.value / increase) * 100)} of the revenue added.`,
+            source,
+            {
+                newRevenue: newBusiness.value,
+                newCustomers: newBusiness.customers,
+                expansionRevenue: expansion.value,
+                expansionCustomers: expansion.customers
+            }
+        ));
+    } else {
+        section.sentences.push(sentence('No revenue was added by new business or expansion.', source, { newRevenue: 0, expansionRevenue: 0 }));
+    }
+
+    ['new', 'expansion'].forEach(type => {
+        const described = describeDrivers(type, step(type), drivers[type]);
+        if (described) section.sentences.push(described);
+    });
+
+    if (!reconciliation.reconciled) {
+        section.sentences.push(sentence(
+            `The bridge movements leave ${formatSigned(reconciliation.residual)} of the change unexplained.`,
+            source,
+            { residual: reconciliation.residual }
+        ));
+    }
+
+    return section;
+};
+
+/**
+ * Churn: revenue lost, replacement by new business, retention rates against their targets
+ * @param {Object} waterfall - revenueService.getBridgeWaterfall result
+ * @param {Object} retention - revenueService.getRetentionMetrics result
+ * @param {Object} drivers - Largest customers by movement type
+ * @returns {Object} Section
+ */
+const buildChurnSection = (waterfall, retention, drivers) => {
+    const section = { key: 'churn', title: 'Churn and retention', sentences: [] };
+    const source = 'revenueService.getBridgeWaterfall';
+    const thresholds = settings.thresholds;
+
+    if (!waterfall.startPeriod || !waterfall.endPeriod) {
+        section.sentences.push(sentence('No revenue bridge data is available, so churn and retention cannot be measured.', source));
+        return section;
+    }
+
+    const step = (key) => waterfall.steps.find(item => item.key === key);
+    const churn = Math.abs(step('churn').value);
+    const contraction = Math.abs(step('contraction').value);
+    const newRevenue = step('new').value;
+
+    section.sentences.push(sentence(
+        `Churn removed ${formatCurrency(churn)} across ${plural(step('churn').customers, 'customer')} and contraction ${formatCurrency(contraction)} across ${plural(step('contraction').customers, 'customer')}.`,
+        source,
+        { churnedRevenue: churn, churnedCustomers: step('churn').customers, contractionRevenue: contraction, contractionCustomers: step('contraction').customers }
+    ));
+
+    if (churn > 0) {
+        const replacement = (newRevenue / churn) * 100;
+        section.sentences.push(sentence(
+            `New business replaced ${formatPercentage(replacement)} of churned revenue, ${replacement >= 100 ? 'so it more than offset churn' : 'so churn outpaced new business'}.`,
+            source,
+            { newRevenue, churnedRevenue: churn, replacementRate: replacement },
+            { replacementRate: 100 }
+        ));
+        const described = describeDrivers('churn', step('churn'), drivers.churn.slice(0, 1));
+        if (described) section.sentences.push(described);
+    }
+
+    const { overall } = retention;
+    const retentionSource = 'revenueService.getRetentionMetrics';
+    if (overall.customers === 0 || overall.nrr === null) {
+        section.sentences.push(sentence('No customer had revenue in the bridge start period, so retention cannot be measured.', retentionSource));
+        return section;
+    }
+
+    section.sentences.push(sentence(
+        `Net revenue retention was ${overall.formattedNrr}, ${overall.nrr >= thresholds.nrr ? 'meeting' : 'below'} the ${formatPercentage(thresholds.nrr)} target, and gross revenue retention ${overall.formattedGrr}, ${overall.grr >= thresholds.grr ? 'above' : 'below'} the ${formatPercentage(thresholds.grr)} floor.`,
+        retentionSource,
+        { nrr: overall.nrr, grr: overall.grr, startingRevenue: overall.startingRevenue },
+        { nrr: thresholds.nrr, grr: thresholds.grr }
+    ));
+
+    section.sentences.push(sentence(
+        `Logo churn was ${overall.formattedLogoChurnRate} (${overall.churnedCustomers} of ${plural(overall.customers, 'customer')}), ${overall.logoChurnRate >= thresholds.logoChurnRate ? 'at or above' : 'below'} the ${formatPercentage(thresholds.logoChurnRate)} alert threshold.`,
+        retentionSource,
+        { logoChurnRate: overall.logoChurnRate, churnedCustomers: overall.churnedCustomers, customers: overall.customers },
+        { logoChurnRate: thresholds.logoChurnRate }
+    ));
+
+    const segments = retention.segments.filter(segment => segment.customers > 0 && segment.nrr !== null);
+    if (segments.length > 1) {
+        const weakest = segments.reduce((lowest, segment) => (segment.nrr < lowest.nrr ? segment : lowest));
+        section.sentences.push(sentence(
+            `${weakest.label} customers had the lowest net revenue retention at ${weakest.formattedNrr} (${plural(weakest.customers, 'customer')}), ${weakest.nrr >= thresholds.nrr ? 'still meeting' : 'below'} the ${formatPercentage(thresholds.nrr)} target.`,
+            retentionSource,
+            { segment: weakest.segment, nrr: weakest.nrr, customers: weakest.customers },
+            { nrr: thresholds.nrr }
+        ));
+    }
+
+    return section;
+};
+
+/**
+ * Describe a concentration risk assessment: one sentence for the level, one per flag raised
+ * @param {Object} risk - { level, flags } from the concentration risk services
+ * @param {Object} values - Metric values (top-N shares, hhi, gini)
+ * @param {Object} limits - Risk thresholds by metric (config/metrics.js)
+ * @param {string} noun - "Customer" or "Country"
+ * @param {string} source - Service call
+ * @returns {Array} Sentences
+ */
+const describeRisk = (risk, values, limits, noun, source) => {
+    if (risk.flags.length === 0) {
+        const checks = Object.keys(limits).filter(metric => values[metric] !== undefined);
+        return [sentence(
+            `${noun} concentration risk is low: ${joinNames(checks.map(metric => `${getMetricLabel(metric)} ${formatMetric(metric, values[metric])} is below ${formatMetric(metric, limits[metric].moderate)}`))}.`,
+            source,
+            Object.fromEntries(checks.map(metric => [metric, values[metric]])),
+            Object.fromEntries(checks.map(metric => [metric, limits[metric].moderate]))
+        )];
+    }
+
+    return [
+        sentence(
+            `${noun} concentration risk is ${risk.level}, with ${plural(risk.flags.length, 'metric')} at or above ${risk.flags.length === 1 ? 'its' : 'their'} risk threshold.`,
+            source,
+            { level: risk.level, flags: risk.flags.length }
+        ),
+        ...risk.flags.map(flag => sentence(
+            `${flag.message}.`,
+            source,
+            { [flag.metric]: flag.value },
+            { [`${flag.metric}.moderate`]: flag.thresholds.moderate, [`${flag.metric}.high`]: flag.thresholds.high }
+        ))
+    ];
+};
+
+/**
+ * Concentration risk: how much revenue depends on the largest customers
+ * @param {Object} concentration - customersService.getCustomerConcentrationRisk result
+ * @returns {Object} Section
+ */
+const buildConcentrationSection = (concentration) => {
+    const section = { key: 'concentration', title: 'Concentration risk', sentences: [] };
+    const source = 'customersService.getCustomerConcentrationRisk';
+
+    if (!concentration.count || concentration.customers.length === 0) {
+        section.sentences.push(sentence('No customer revenue is available to measure concentration.', source));
+        return section;
+    }
+
+    const [top] = concentration.customers;
+    const { topShares, formattedTopShares } = concentration;
+    section.sentences.push(sentence(
+        `The largest customer, ${top.customerName}, accounts for ${top.formattedShare} of total revenue (${concentration.formattedTotalRevenue}), and the top 5 customers for ${formattedTopShares.top5Share}.`,
+        source,
+        { totalRevenue: concentration.totalRevenue, [top.customerName]: top.totalRevenue, top1Share: topShares.top1Share, top5Share: topShares.top5Share }
+    ));
+
+    const classA = concentration.classes.find(item => item.abcClass === 'A');
+    if (classA && classA.count > 0) {
+        section.sentences.push(sentence(
+            `${plural(classA.count, 'customer')} (${formatPercentage(classA.countShare)} of ${concentration.count}) make up ${formatPercentage(classA.revenueShare)} of revenue; these class A accounts are the largest ones up to ${formatPercentage(classA.maxCumulativeShare)} cumulative share.`,
+            source,
+            { classACustomers: classA.count, classACustomerShare: classA.countShare, classARevenueShare: classA.revenueShare },
+            { classAMaxCumulativeShare: classA.maxCumulativeShare }
+        ));
+    }
+
+    section.sentences.push(...describeRisk(
+        concentration.risk,
+        { ...topShares, hhi: concentration.hhi, gini: concentration.gini },
+        metricsConfig.concentration.thresholds.customers,
+        'Customer',
+        source
+    ));
+
+    return section;
+};
+
+/**
+ * Geography: largest countries, country concentration and the regional split
+ * @param {Object} countries - countriesService.getCountryConcentrationRisk result
+ * @param {Object} regions - regionsService.getRegionsSummary result
+ * @returns {Object} Section
+ */
+const buildGeographySection = (countries, regions) => {
+    const section = { key: 'geography', title: 'Geography', sentences: [] };
+    const source = 'countriesService.getCountryConcentrationRisk';
+
+    if (!countries.count || countries.countries.length === 0) {
+        section.sentences.push(sentence('No country revenue is available.', source));
+    } else {
+        const leaders = countries.countries.slice(0, settings.countryLimit);
+        const [top] = leaders;
+        section.sentences.push(sentence(
+            `${top.countryName} is the largest market with ${top.formattedRevenue}, ${top.formattedShare} of ${countries.formattedTotalRevenue} across ${plural(countries.count, 'country', 'countries')}`
+                + (leaders.length > 1 ? `; the top ${leaders.length} (${joinNames(leaders.map(country => `${country.countryName} ${country.formattedShare}`))}) hold ${formatPercentage(leaders[leaders.length - 1].cumulativeShare)}.` : '.'),
+            source,
+            {
+                totalRevenue: countries.totalRevenue,
+                ...Object.fromEntries(leaders.map(country => [country.countryName, country.yearlyRevenue])),
+                topCumulativeShare: leaders[leaders.length - 1].cumulativeShare
+            }
+        ));
+        section.sentences.push(...describeRisk(
+            countries.risk,
+            { ...countries.topShares, hhi: countries.hhi, gini: countries.gini },
+            metricsConfig.concentration.thresholds.countries,
+            'Country',
+            source
+        ));
+    }
+
+    const regionsSource = 'regionsService.getRegionsSummary';
+    const withData = regions.regions.filter(region => region.hasData)
+        .sort((a, b) => b.revenue - a.revenue);
+    if (withData.length === 0) {
+        section.sentences.push(sentence('No regional revenue is available.', regionsSource, { totalRegions: regions.totalRegions }));
+        return section;
+    }
+
+    const [leader, ...rest] = withData;
+    section.sentences.push(sentence(
+        `${leader.regionName} leads regional revenue with ${leader.formattedRevenue} (${leader.formattedPercentage} of ${regions.formattedTotalRevenue})`
+            + (rest.length ? `, followed by ${joinNames(rest.map(region => `${region.regionName} (${region.formattedPercentage})`))}.` : '.'),
+        regionsSource,
+        { totalRevenue: regions.totalRevenue, ...Object.fromEntries(withData.map(region => [region.regionName, region.revenue])) }
+    ));
+    if (regions.regionsWithoutData.length > 0) {
+        section.sentences.push(sentence(
+            `${regions.regionsWithoutData.length} of ${plural(regions.totalRegions, 'region')} (${joinNames(regions.regionsWithoutData)}) have no revenue data.`,
+            regionsSource,
+            { regionsWithoutData: regions.regionsWithoutData.length, totalRegions: regions.totalRegions }
+        ));
+    }
+
+    return section;
+};
+
+/**
+ * Generate the executive report for the dataset snapshot being read
+ * @returns {Promise<Object>} { title, snapshot, periods, sections, checksum }; each section has sentences
+ *                            ({ text, source, figures, thresholds })
+ */
+const getExecutiveReport = async () => {
+    try {
+        const driverTypes = ['new', 'expansion', 'churn'];
+        const [snapshot, summary, stats, waterfall, retention, concentration, countries, regions, ...driverLists] = await Promise.all([
+            getReportSnapshot(),
+            orNull(revenueService.getRevenueSummary()),
+            customersService.getCustomerStatistics(),
+            revenueService.getBridgeWaterfall(),
+            revenueService.getRetentionMetrics(),
+            customersService.getCustomerConcentrationRisk(createListQuery('concentrationCustomers', { limit: 1 })),
+            countriesService.getCountryConcentrationRisk(),
+            regionsService.getRegionsSummary(),
+            ...driverTypes.map(type => revenueService.getBridgeCustomers({
+                movements: [type],
+                listQuery: createListQuery('bridgeCustomers', {
+                    sort: [{ field: BRIDGE_MOVEMENTS[type].field, direction: -1 }],
+                    limit: settings.driverLimit
+                })
+            }))
+        ]);
+        const drivers = Object.fromEntries(driverTypes.map((type, index) => [type, driverLists[index].customers]));
+
+        const sections = [
+            buildHeadlineSection(summary, stats),
+            buildGrowthSection(waterfall, drivers),
+            buildChurnSection(waterfall, retention, drivers),
+            buildConcentrationSection(concentration),
+            buildGeographySection(countries, regions)
+        ];
+        const periods = {
+            from: summary ? summary.fromPeriod : null,
+            to: summary ? summary.toPeriod : null,
+            bridgeStart: waterfall.startPeriod,
+            bridgeEnd: waterfall.endPeriod
+        };
+        const report = {
+            title: settings.title,
+            subtitle: summary && summary.fromPeriod ? `${summary.fromPeriodLabel} to ${summary.toPeriodLabel}` : null,
+            snapshot,
+            periods,
+            sections
+        };
+
+        return {
+            ...report,
+            checksum: crypto.createHash('sha256').update(JSON.stringify(report)).digest('hex')
+        };
+    } catch (error) {
+        console.error('Error in getExecutiveReport:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    getExecutiveReport
+};
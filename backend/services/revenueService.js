@@ -3,30 +3,149 @@
  * Handles all revenue-related data operations
  */
 
-const { getCollection } = require('../database/connection');
 const { transformData } = require('../utils/responseHandler');
 const databaseConfig = require('../config/database');
+const { comparePeriods, formatPeriodLabel } = require('../utils/periods');
+const { BRIDGE_MOVEMENTS } = require('../utils/revenueBridge');
+const dataQualityConfig = require('../config/dataQuality');
+const metricsConfig = require('../config/metrics');
+const { revenuePeriodsRepository, revenueBridgeRepository } = require('../repositories');
+const { createListQuery, applyListQuery, selectFields, buildPagination } = require('../utils/listQuery');
+const { ApiError } = require('../middleware/errorHandler');
+
+const { calculateVariance } = revenuePeriodsRepository;
+
+/**
+ * Reject requested from/to periods the data does not have (they would otherwise read as zero revenue)
+ * @param {Object} range - Requested range ({ from, to, granularity })
+ * @param {Array<string>} keys - Available period keys
+ * @throws {ApiError} 400 listing the available periods
+ */
+const assertKnownPeriods = (range, keys) => {
+    const unknown = ['from', 'to'].filter(param => range[param] && !keys.includes(range[param]));
+    if (unknown.length > 0) {
+        const requested = unknown.map(param => `"${param}" period ${range[param]}`).join(' and ');
+        const available = keys.length > 0 ? keys.join(', ') : 'none';
+        throw new ApiError(400, `No ${range.granularity} revenue for ${requested}; available periods: ${available}`);
+    }
+};
+
+/**
+ * Resolve the from/to periods used for a comparison.
+ * Missing bounds default to the latest period and the period immediately before the other bound;
+ * requested bounds must be available periods.
+ * @param {Object} range - Requested range
+ * @param {string} range.from - Start period key
+ * @param {string} range.to - End period key
+ * @param {string} range.granularity - Period granularity ('quarter' or 'month')
+ * @returns {Promise<Object>} Resolved range with the list of available periods
+ * @throws {ApiError} 400 when from or to is not an available period
+ */
+const resolvePeriodRange = async (range = {}) => {
+    try {
+        const {
+            from,
+            to,
+            granularity = databaseConfig.timeSeries.defaultGranularity
+        } = range;
+
+        const periods = await getAvailablePeriods(granularity);
+        const keys = periods.map(period => period.period);
+        assertKnownPeriods({ from, to, granularity }, keys);
+
+        const resolvedTo = to || keys[keys.length - 1] || null;
+        let resolvedFrom = from || null;
+
+        if (!resolvedFrom && resolvedTo) {
+            const earlier = keys.filter(key => comparePeriods(key, resolvedTo) < 0);
+            resolvedFrom = earlier[earlier.length - 1] || null;
+        }
+
+        return {
+            from: resolvedFrom,
+            to: resolvedTo,
+            granularity,
+            periods: keys
+        };
+    } catch (error) {
+        console.error('Error in resolvePeriodRange:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get available revenue periods
+ * @param {string} granularity - Period granularity ('quarter' or 'month')
+ * @returns {Promise<Array>} Periods in chronological order
+ */
+const getAvailablePeriods = async (granularity = databaseConfig.timeSeries.defaultGranularity) => {
+    try {
+        const periods = await revenuePeriodsRepository.findPeriods(granularity);
+
+        return periods.map(period => ({
+            period,
+            label: formatPeriodLabel(period),
+            granularity
+        }));
+    } catch (error) {
+        console.error('Error in getAvailablePeriods:', error);
+        throw error;
+    }
+};
+
+/**
+ * Compare every customer's revenue between two periods
+ * @param {Object} range - Period range (see resolvePeriodRange)
+ * @returns {Promise<Object>} Resolved range and unformatted customer comparison rows
+ */
+const getCustomerPeriodComparison = async (range = {}) => {
+    try {
+        const resolved = await resolvePeriodRange(range);
+        if (!resolved.from || !resolved.to) {
+            return { range: resolved, customers: [] };
+        }
+
+        const customers = await revenuePeriodsRepository.compareCustomers(resolved);
+        return { range: resolved, customers };
+    } catch (error) {
+        console.error('Error in getCustomerPeriodComparison:', error);
+        throw error;
+    }
+};
 
 /**
  * Get revenue summary metrics
+ * @param {Object} range - Period range
+ * @param {string} range.from - Start period key (defaults to the period before `to`)
+ * @param {string} range.to - End period key (defaults to the latest period)
  * @returns {Promise<Object>} Revenue summary data
  */
-const getRevenueSummary = async () => {
+const getRevenueSummary = async (range = {}) => {
     try {
-        const collection = await getCollection(databaseConfig.collections.revenueSummary);
-        const summary = await collection.findOne({});
-        
-        if (!summary) {
+        const resolved = await resolvePeriodRange(range);
+
+        if (!resolved.to) {
             throw new Error('Revenue summary not found');
         }
 
+        const totals = await revenuePeriodsRepository.sumByPeriod(resolved.granularity, [resolved.from, resolved.to].filter(Boolean));
+        const fromRevenue = totals[resolved.from] || 0;
+        const toRevenue = totals[resolved.to] || 0;
+        const { variance, percentageVariance } = calculateVariance(fromRevenue, toRevenue);
+
         return {
-            totalQ3Revenue: summary.totalQ3Revenue,
-            totalQ4Revenue: summary.totalQ4Revenue,
-            totalVariance: summary.totalVariance,
-            formattedQ3Revenue: transformData.formatCurrency(summary.totalQ3Revenue),
-            formattedQ4Revenue: transformData.formatCurrency(summary.totalQ4Revenue),
-            formattedVariance: transformData.formatCurrency(summary.totalVariance)
+            fromPeriod: resolved.from,
+            toPeriod: resolved.to,
+            fromPeriodLabel: resolved.from ? formatPeriodLabel(resolved.from) : null,
+            toPeriodLabel: formatPeriodLabel(resolved.to),
+            fromRevenue,
+            toRevenue,
+            totalVariance: variance,
+            percentageVariance: percentageVariance || 0,
+            formattedFromRevenue: transformData.formatCurrency(fromRevenue),
+            formattedToRevenue: transformData.formatCurrency(toRevenue),
+            formattedVariance: transformData.formatCurrency(variance),
+            formattedPercentage: transformData.formatPercentage(percentageVariance || 0)
         };
     } catch (error) {
         console.error('Error in getRevenueSummary:', error);
@@ -35,42 +154,44 @@ const getRevenueSummary = async () => {
 };
 
 /**
- * Get quarterly revenue data
- * @returns {Promise<Array>} Quarterly revenue data
+ * Get the revenue time series
+ * @param {Object} options - Series options
+ * @param {string} options.from - First period of the series (defaults to the earliest period)
+ * @param {string} options.to - Last period of the series (defaults to the latest period)
+ * @param {string} options.granularity - Period granularity ('quarter' or 'month')
+ * @returns {Promise<Array>} Revenue per period with period-over-period change
+ * @throws {ApiError} 400 when from or to is not an available period
  */
-const getQuarterlyRevenue = async () => {
+const getQuarterlyRevenue = async (options = {}) => {
     try {
-        const collection = await getCollection(databaseConfig.collections.quarterlyRevenue);
-        
-        // Aggregate quarterly data
-        const quarterlyData = await collection.aggregate([
-            {
-                $group: {
-                    _id: null,
-                    q3Total: { $sum: { $ifNull: ['$Quarter 3 Revenue', 0] } },
-                    q4Total: { $sum: { $ifNull: ['$Quarter 4 Revenue', 0] } }
-                }
-            }
-        ]).toArray();
+        const { from, to, granularity = databaseConfig.timeSeries.defaultGranularity } = options;
+        const totals = await revenuePeriodsRepository.sumByPeriod(granularity);
 
-        if (quarterlyData.length === 0) {
-            return [];
-        }
+        const periods = Object.keys(totals).sort(comparePeriods);
+        assertKnownPeriods({ from, to, granularity }, periods);
 
-        const data = quarterlyData[0];
-        
-        return [
-            {
-                quarter: 'Q3',
-                revenue: data.q3Total,
-                formattedRevenue: transformData.formatCurrency(data.q3Total)
-            },
-            {
-                quarter: 'Q4',
-                revenue: data.q4Total,
-                formattedRevenue: transformData.formatCurrency(data.q4Total)
-            }
-        ];
+        // The first period in range still shows its change from the period before it
+        return periods.map((period, index) => {
+            const revenue = totals[period];
+            const previousRevenue = index > 0 ? totals[periods[index - 1]] : null;
+            const change = previousRevenue !== null
+                ? calculateVariance(previousRevenue, revenue)
+                : { variance: null, percentageVariance: null };
+
+            return {
+                period,
+                label: formatPeriodLabel(period),
+                granularity,
+                revenue,
+                formattedRevenue: transformData.formatCurrency(revenue),
+                change: change.variance,
+                percentageChange: change.percentageVariance,
+                formattedChange: change.variance !== null ? transformData.formatCurrency(change.variance) : null,
+                formattedPercentageChange: change.percentageVariance !== null
+                    ? transformData.formatPercentage(change.percentageVariance)
+                    : null
+            };
+        }).filter(item => (!from || comparePeriods(item.period, from) >= 0) && (!to || comparePeriods(item.period, to) <= 0));
     } catch (error) {
         console.error('Error in getQuarterlyRevenue:', error);
         throw error;
@@ -80,29 +201,17 @@ const getQuarterlyRevenue = async () => {
 /**
  * Get top customers by revenue growth
  * @param {number} limit - Number of customers to return
+ * @param {Object} range - Period range (from/to/granularity)
  * @returns {Promise<Array>} Top customers by growth
  */
-const getTopGrowthCustomers = async (limit = 10) => {
+const getTopGrowthCustomers = async (limit = 10, range = {}) => {
     try {
-        const collection = await getCollection(databaseConfig.collections.quarterlyRevenue);
-        
-        const customers = await collection
-            .find({})
-            .sort({ "Variance": -1 })
-            .limit(limit)
-            .toArray();
-
-        return customers.map(customer => ({
-            customerName: customer['Customer Name'],
-            q3Revenue: customer['Quarter 3 Revenue'] || 0,
-            q4Revenue: customer['Quarter 4 Revenue'] || 0,
-            variance: customer['Variance'] || 0,
-            percentageVariance: customer['Percentage of Variance'] || 0,
-            formattedQ3Revenue: transformData.formatCurrency(customer['Quarter 3 Revenue'] || 0),
-            formattedQ4Revenue: transformData.formatCurrency(customer['Quarter 4 Revenue'] || 0),
-            formattedVariance: transformData.formatCurrency(customer['Variance'] || 0),
-            formattedPercentage: transformData.formatPercentage(customer['Percentage of Variance'] || 0)
-        }));
+        const { customers } = await getCustomerPeriodComparison(range);
+
+        return customers
+            .sort((a, b) => b.variance - a.variance)
+            .slice(0, limit)
+            .map(revenuePeriodsRepository.toCustomerComparison);
     } catch (error) {
         console.error('Error in getTopGrowthCustomers:', error);
         throw error;
@@ -110,141 +219,261 @@ const getTopGrowthCustomers = async (limit = 10) => {
 };
 
 /**
- * Get customer quarterly data with filters
- * @param {Object} filters - Filter options
- * @param {number} filters.minQ4Revenue - Minimum Q4 revenue filter
- * @param {boolean} filters.positiveGrowthOnly - Filter for positive growth only
- * @param {number} filters.limit - Number of records to return
- * @param {number} filters.page - Page number for pagination
- * @returns {Promise<Object>} Paginated customer data
+ * Get revenue bridge totals per movement category, equal to the waterfall steps
+ * (per-customer rows are served by getBridgeCustomers)
+ * @returns {Promise<Array>} Revenue bridge data
  */
-const getCustomerQuarterlyData = async (filters = {}) => {
+const getRevenueBridgeData = async () => {
     try {
-        const {
-            minQ4Revenue = 0,
-            positiveGrowthOnly = false,
-            limit = 50,
-            page = 1
-        } = filters;
-
-        const collection = await getCollection(databaseConfig.collections.quarterlyRevenue);
-        
-        // Build query filter
-        let query = {};
-        
-        if (minQ4Revenue > 0) {
-            query['Quarter 4 Revenue'] = { $gte: minQ4Revenue };
-        }
-        
-        if (positiveGrowthOnly) {
-            query['Variance'] = { $gt: 0 };
+        const totals = await revenueBridgeRepository.sumMovements();
+
+        if (!totals) {
+            return [];
         }
 
-        // Calculate skip for pagination
-        const skip = (page - 1) * limit;
-
-        // Get total count
-        const total = await collection.countDocuments(query);
-
-        // Get paginated data
-        const customers = await collection
-            .find(query)
-            .sort({ "Variance": -1 })
-            .skip(skip)
-            .limit(limit)
-            .toArray();
-
-        const formattedCustomers = customers.map(customer => ({
-            customerName: customer['Customer Name'],
-            q3Revenue: customer['Quarter 3 Revenue'] || 0,
-            q4Revenue: customer['Quarter 4 Revenue'] || 0,
-            variance: customer['Variance'] || 0,
-            percentageVariance: customer['Percentage of Variance'] || 0,
-            formattedQ3Revenue: transformData.formatCurrency(customer['Quarter 3 Revenue'] || 0),
-            formattedQ4Revenue: transformData.formatCurrency(customer['Quarter 4 Revenue'] || 0),
-            formattedVariance: transformData.formatCurrency(customer['Variance'] || 0),
-            formattedPercentage: transformData.formatPercentage(customer['Percentage of Variance'] || 0)
-        }));
+        return Object.values(BRIDGE_MOVEMENTS).map(movement => {
+            const amount = totals[movement.field];
+            return {
+                category: movement.column,
+                amount,
+                formattedAmount: transformData.formatCurrency(amount),
+                type: movement.direction > 0 ? 'positive' : 'negative'
+            };
+        });
+    } catch (error) {
+        console.error('Error in getRevenueBridgeData:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get per-customer revenue bridge rows
+ * @param {Object} options - Query options
+ * @param {Array} options.movements - Movement types to keep (new, expansion, churn, contraction); all customers when empty
+ * @param {Object} options.listQuery - Filter/sort/fields/pagination query (see utils/listQuery)
+ * @returns {Promise<Object>} Bridge periods, customers for the page and pagination
+ */
+const getBridgeCustomers = async (options = {}) => {
+    try {
+        const {
+            movements = [],
+            listQuery = createListQuery('bridgeCustomers')
+        } = options;
+
+        const { startPeriod, endPeriod, customers } = await revenueBridgeRepository.findCustomerBridge();
+
+        const { items, total } = applyListQuery(
+            customers.filter(customer => movements.length === 0 || movements.some(type => customer.movementTypes.includes(type))),
+            listQuery
+        );
 
         return {
-            customers: formattedCustomers,
-            pagination: {
-                currentPage: page,
-                totalPages: Math.ceil(total / limit),
-                totalItems: total,
-                itemsPerPage: limit
-            }
+            startPeriod,
+            endPeriod,
+            startPeriodLabel: startPeriod ? formatPeriodLabel(startPeriod) : null,
+            endPeriodLabel: endPeriod ? formatPeriodLabel(endPeriod) : null,
+            customers: items.map(customer => selectFields(revenueBridgeRepository.toBridgeCustomer(customer), listQuery.fields)),
+            pagination: buildPagination(listQuery, total)
         };
     } catch (error) {
-        console.error('Error in getCustomerQuarterlyData:', error);
+        console.error('Error in getBridgeCustomers:', error);
         throw error;
     }
 };
 
 /**
- * Get revenue bridge data
- * @param {number} limit - Number of records to return
- * @returns {Promise<Array>} Revenue bridge data
+ * Get the revenue bridge as an ordered waterfall: start total, one step per movement type, end total.
+ * The start and end bars are the period sums of the bridge dataset. When the movements do not add up
+ * to the end total, an "Unexplained" step closes the gap so the chart always lands on the end bar.
+ * @param {Object} options - Waterfall options
+ * @param {string} options.customerName - Only count this customer's movements (optional)
+ * @returns {Promise<Object>} Waterfall steps and their reconciliation
  */
-const getRevenueBridgeData = async (limit = 50) => {
+const getBridgeWaterfall = async (options = {}) => {
     try {
-        const collection = await getCollection(databaseConfig.collections.revenueBridge);
-        
-        // Aggregate the data by categories
-        const aggregatedData = await collection.aggregate([
-            {
-                $group: {
-                    _id: null,
-                    totalNewRevenue: { $sum: { $ifNull: ['$New Revenue', 0] } },
-                    totalExpansionRevenue: { $sum: { $ifNull: ['$Expansion Revenue', 0] } },
-                    totalChurnedRevenue: { $sum: { $ifNull: ['$Churned Revenue', 0] } },
-                    totalContractionRevenue: { $sum: { $ifNull: ['$Contraction Revenue', 0] } }
-                }
-            }
-        ]).toArray();
+        const { customerName = null } = options;
+        const bridge = await revenueBridgeRepository.findCustomerBridge();
+        const { startPeriod, endPeriod } = bridge;
+        const customers = customerName
+            ? bridge.customers.filter(customer => customer.customerName === customerName)
+            : bridge.customers;
+        const sum = (field) => customers.reduce((total, customer) => total + customer[field], 0);
 
-        if (aggregatedData.length === 0) {
-            return [];
+        const startTotal = sum('startRevenue');
+        const endTotal = sum('endRevenue');
+        const steps = [];
+        let running = startTotal;
+
+        const addStep = (step) => {
+            const start = step.type === 'end' ? 0 : running;
+            const end = step.type === 'end' ? step.value : running + step.value;
+            running = step.type === 'end' ? running : end;
+            steps.push({
+                ...step,
+                start,
+                end,
+                formattedValue: transformData.formatCurrency(step.value)
+            });
+        };
+
+        steps.push({
+            key: 'start',
+            label: startPeriod ? `${formatPeriodLabel(startPeriod)} Revenue` : 'Start Revenue',
+            type: 'start',
+            value: startTotal,
+            start: 0,
+            end: startTotal,
+            formattedValue: transformData.formatCurrency(startTotal)
+        });
+
+        Object.entries(BRIDGE_MOVEMENTS).forEach(([key, movement]) => {
+            addStep({
+                key,
+                label: movement.label,
+                type: movement.direction > 0 ? 'increase' : 'decrease',
+                value: movement.direction * sum(movement.field),
+                customers: customers.filter(customer => customer.movementTypes.includes(key)).length
+            });
+        });
+
+        const movementsTotal = running - startTotal;
+        const residual = endTotal - running;
+        const reconciled = Math.abs(residual) <= dataQualityConfig.reconciliation.amountTolerance;
+
+        if (!reconciled) {
+            addStep({
+                key: 'unexplained',
+                label: 'Unexplained',
+                type: residual > 0 ? 'increase' : 'decrease',
+                value: residual,
+                customers: customers.filter(customer => Math.abs(customer.residual) > dataQualityConfig.reconciliation.amountTolerance).length
+            });
         }
 
-        const data = aggregatedData[0];
-        
-        return [
-            {
-                category: 'New Revenue',
-                amount: data.totalNewRevenue,
-                formattedAmount: transformData.formatCurrency(data.totalNewRevenue),
-                type: 'positive'
-            },
-            {
-                category: 'Expansion Revenue',
-                amount: data.totalExpansionRevenue,
-                formattedAmount: transformData.formatCurrency(data.totalExpansionRevenue),
-                type: 'positive'
-            },
-            {
-                category: 'Churned Revenue',
-                amount: Math.abs(data.totalChurnedRevenue),
-                formattedAmount: transformData.formatCurrency(Math.abs(data.totalChurnedRevenue)),
-                type: 'negative'
-            },
-            {
-                category: 'Contraction Revenue',
-                amount: Math.abs(data.totalContractionRevenue),
-                formattedAmount: transformData.formatCurrency(Math.abs(data.totalContractionRevenue)),
-                type: 'negative'
+        addStep({
+            key: 'end',
+            label: endPeriod ? `${formatPeriodLabel(endPeriod)} Revenue` : 'End Revenue',
+            type: 'end',
+            value: endTotal
+        });
+
+        return {
+            startPeriod,
+            endPeriod,
+            steps,
+            reconciliation: {
+                startTotal,
+                endTotal,
+                movementsTotal,
+                calculatedEndTotal: startTotal + movementsTotal,
+                residual,
+                reconciled,
+                formattedStartTotal: transformData.formatCurrency(startTotal),
+                formattedEndTotal: transformData.formatCurrency(endTotal),
+                formattedResidual: transformData.formatCurrency(residual)
             }
-        ];
+        };
     } catch (error) {
-        console.error('Error in getRevenueBridgeData:', error);
+        console.error('Error in getBridgeWaterfall:', error);
+        throw error;
+    }
+};
+
+/**
+ * Calculate retention metrics for a group of customers that had revenue in the start period.
+ * A customer cannot lose more than its starting revenue, so churn and contraction are capped at it.
+ * @param {Array} customers - Customer bridge movements with startRevenue > 0
+ * @returns {Object} NRR, GRR, logo churn rate and expansion rate with their inputs
+ */
+const calculateRetention = (customers) => {
+    const totals = customers.reduce((sums, customer) => {
+        const losses = Math.min(customer.startRevenue, customer.churnedRevenue + customer.contractionRevenue);
+        const churned = customer.churnedRevenue > 0 || customer.endRevenue <= 0;
+
+        sums.startingRevenue += customer.startRevenue;
+        sums.expansionRevenue += customer.expansionRevenue;
+        sums.lostRevenue += losses;
+        sums.churnedCustomers += churned ? 1 : 0;
+        sums.expandingCustomers += customer.expansionRevenue > 0 ? 1 : 0;
+        return sums;
+    }, { startingRevenue: 0, expansionRevenue: 0, lostRevenue: 0, churnedCustomers: 0, expandingCustomers: 0 });
+
+    const { startingRevenue, expansionRevenue, lostRevenue, churnedCustomers, expandingCustomers } = totals;
+    const ratio = (value, base) => (base > 0 ? (value / base) * 100 : null);
+    const format = (value) => (value === null ? 'N/A' : transformData.formatPercentage(value));
+
+    const nrr = ratio(startingRevenue + expansionRevenue - lostRevenue, startingRevenue);
+    const grr = ratio(startingRevenue - lostRevenue, startingRevenue);
+    const logoChurnRate = ratio(churnedCustomers, customers.length);
+    const expansionRate = ratio(expansionRevenue, startingRevenue);
+
+    return {
+        customers: customers.length,
+        churnedCustomers,
+        expandingCustomers,
+        startingRevenue,
+        expansionRevenue,
+        lostRevenue,
+        nrr,
+        grr,
+        logoChurnRate,
+        expansionRate,
+        formattedStartingRevenue: transformData.formatCurrency(startingRevenue),
+        formattedNrr: format(nrr),
+        formattedGrr: format(grr),
+        formattedLogoChurnRate: format(logoChurnRate),
+        formattedExpansionRate: format(expansionRate)
+    };
+};
+
+/**
+ * Find the segment of a customer from its start period revenue
+ * @param {number} revenue - Start period revenue
+ * @returns {Object} Segment definition
+ */
+const findSegment = (revenue) => {
+    const { segments } = metricsConfig.retention;
+    return segments.find(segment => revenue >= segment.minRevenue) || segments[segments.length - 1];
+};
+
+/**
+ * Get revenue retention metrics (NRR, GRR, logo churn rate, expansion rate), overall and by customer segment.
+ * Only customers with revenue in the bridge start period count; new customers are excluded.
+ * @returns {Promise<Object>} Retention metrics
+ */
+const getRetentionMetrics = async () => {
+    try {
+        const { startPeriod, endPeriod, customers } = await revenueBridgeRepository.findCustomerBridge();
+        const retained = customers.filter(customer => customer.startRevenue > 0);
+
+        return {
+            startPeriod,
+            endPeriod,
+            startPeriodLabel: startPeriod ? formatPeriodLabel(startPeriod) : null,
+            endPeriodLabel: endPeriod ? formatPeriodLabel(endPeriod) : null,
+            overall: calculateRetention(retained),
+            segments: metricsConfig.retention.segments.map(segment => ({
+                segment: segment.key,
+                label: segment.label,
+                minRevenue: segment.minRevenue,
+                ...calculateRetention(retained.filter(customer => findSegment(customer.startRevenue).key === segment.key))
+            }))
+        };
+    } catch (error) {
+        console.error('Error in getRetentionMetrics:', error);
         throw error;
     }
 };
 
 module.exports = {
+    resolvePeriodRange,
+    getAvailablePeriods,
+    getCustomerPeriodComparison,
     getRevenueSummary,
     getQuarterlyRevenue,
     getTopGrowthCustomers,
-    getCustomerQuarterlyData,
-    getRevenueBridgeData
+    getRevenueBridgeData,
+    getBridgeCustomers,
+    getBridgeWaterfall,
+    getRetentionMetrics
 }; 
\ No newline at end of file
@@ -0,0 +1,340 @@
+/**
+ * Schedules Service
+ * Scheduled reports: cron schedules that generate report files from the existing export services and deliver
+ * them by email or webhook, and the jobs of the queue that runs them (see jobQueueService).
+ */
+
+const crypto = require('crypto');
+const { schedulesRepository, jobsRepository } = require('../repositories');
+const { buildPagination } = require('../utils/listQuery');
+const { validateCron, isValidTimezone, getNextRun } = require('../utils/cron');
+const { ApiError } = require('../middleware/errorHandler');
+const { getDeliveryChannel, getDeliveryChannelNames } = require('../delivery');
+const schedulerConfig = require('../config/scheduler');
+const exportsService = require('./exportsService');
+const jobQueueService = require('./jobQueueService');
+
+/**
+ * Get a stored schedule or fail with 404
+ * @param {string} id - Schedule id
+ * @returns {Promise<Object>} Stored schedule
+ */
+const findSchedule = async (id) => {
+    const schedule = await schedulesRepository.findById(id);
+    if (!schedule) {
+        throw new ApiError(404, `Schedule '${id}' not found`);
+    }
+    return schedule;
+};
+
+/**
+ * Check the reports of a schedule against the report catalogue
+ * @param {*} reports - [{ report, format }]
+ * @param {Array<string>} errors - Errors are added here
+ * @returns {Array<Object>} Reports to store (duplicates removed)
+ */
+const readReports = (reports, errors) => {
+    if (!Array.isArray(reports) || reports.length === 0) {
+        errors.push('"reports" must be a non-empty array of { report, format }');
+        return [];
+    }
+    if (reports.length > schedulerConfig.maxReports) {
+        errors.push(`"reports" accepts at most ${schedulerConfig.maxReports} reports`);
+        return [];
+    }
+
+    const catalogue = exportsService.getReportFormats();
+    const values = [];
+    reports.forEach((entry, index) => {
+        const { report, format } = entry || {};
+        if (!catalogue[report]) {
+            errors.push(`"reports[${index}].report" must be one of: ${Object.keys(catalogue).join(', ')}`);
+        } else if (!catalogue[report].includes(format)) {
+            errors.push(`"reports[${index}].format" must be one of: ${catalogue[report].join(', ')}`);
+        } else if (!values.some(value => value.report === report && value.format === format)) {
+            values.push({ report, format });
+        }
+    });
+    return values;
+};
+
+/**
+ * Check the deliveries of a schedule with their channels
+ * @param {*} deliveries - [{ channel, ...channel settings }]
+ * @param {Array<string>} errors - Errors are added here
+ * @returns {Array<Object>} Deliveries to store
+ */
+const readDeliveries = (deliveries, errors) => {
+    if (!Array.isArray(deliveries) || deliveries.length === 0) {
+        errors.push('"deliveries" must be a non-empty array');
+        return [];
+    }
+    if (deliveries.length > schedulerConfig.maxDeliveries) {
+        errors.push(`"deliveries" accepts at most ${schedulerConfig.maxDeliveries} deliveries`);
+        return [];
+    }
+
+    return deliveries.map((delivery, index) => {
+        if (!delivery || typeof delivery !== 'object' || !getDeliveryChannelNames().includes(delivery.channel)) {
+            errors.push(`"deliveries[${index}].channel" must be one of: ${getDeliveryChannelNames().join(', ')}`);
+            return null;
+        }
+        const { value, errors: deliveryErrors } = getDeliveryChannel(delivery.channel).validate(delivery);
+        errors.push(...deliveryErrors.map(message => `deliveries[${index}]: ${message}`));
+        return value;
+    });
+};
+
+/**
+ * Validate schedule fields for a create (all required fields) or an update (only the fields given)
+ * @param {Object} fields - { name, cron, timezone, enabled, reports, deliveries }
+ * @param {Object|null} existing - Stored schedule being updated
+ * @returns {Object} Fields to store, with the next run time when the timing or the enabled flag changed
+ */
+const validateScheduleFields = (fields, existing = null) => {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new ApiError(400, 'The request body must be a JSON object');
+    }
+
+    const errors = [];
+    const values = {};
+
+    ['name', 'cron', 'reports', 'deliveries'].forEach(name => {
+        if (!existing && fields[name] === undefined) {
+            errors.push(`"${name}" is required`);
+        }
+    });
+
+    if (fields.name !== undefined) {
+        if (typeof fields.name !== 'string' || !fields.name.trim()) {
+            errors.push('"name" must be a non-empty string');
+        } else if (fields.name.trim().length > schedulerConfig.maxNameLength) {
+            errors.push(`"name" must be at most ${schedulerConfig.maxNameLength} characters`);
+        } else {
+            values.name = fields.name.trim();
+        }
+    }
+    if (fields.cron !== undefined) {
+        const cronError = validateCron(fields.cron);
+        if (cronError) errors.push(cronError);
+        else values.cron = fields.cron.trim().replace(/\s+/g, ' ');
+    }
+    if (fields.timezone !== undefined && fields.timezone !== null) {
+        if (typeof fields.timezone !== 'string' || !isValidTimezone(fields.timezone)) {
+            errors.push('"timezone" must be an IANA time zone (e.g. Europe/Berlin)');
+        } else {
+            values.timezone = fields.timezone;
+        }
+    } else if (!existing || fields.timezone === null) {
+        values.timezone = schedulerConfig.defaultTimezone;
+    }
+    if (fields.enabled !== undefined) {
+        if (typeof fields.enabled !== 'boolean') errors.push('"enabled" must be a boolean');
+        else values.enabled = fields.enabled;
+    } else if (!existing) {
+        values.enabled = true;
+    }
+    if (fields.reports !== undefined) values.reports = readReports(fields.reports, errors);
+    if (fields.deliveries !== undefined) values.deliveries = readDeliveries(fields.deliveries, errors);
+
+    if (errors.length > 0) {
+        throw new ApiError(400, errors.join('; '));
+    }
+
+    // Changing the timing or re-enabling starts counting from now: missed runs are not caught up
+    if (['cron', 'timezone', 'enabled'].some(name => values[name] !== undefined)) {
+        const schedule = { ...existing, ...values };
+        values.nextRunAt = schedule.enabled ? getNextRun(schedule.cron, schedule.timezone).toISOString() : null;
+    }
+    return values;
+};
+
+/**
+ * List schedules
+ * @param {Object} listQuery - Filter/sort/pagination query for the schedules list
+ * @returns {Promise<Object>} { schedules, pagination }
+ */
+const listSchedules = async (listQuery) => {
+    try {
+        const { items, total } = await schedulesRepository.list(listQuery);
+        return {
+            schedules: items,
+            pagination: buildPagination(listQuery, total)
+        };
+    } catch (error) {
+        console.error('Error in listSchedules:', error);
+        throw error;
+    }
+};
+
+/**
+ * List the reports and formats a schedule can include, and the delivery channels
+ * @returns {Object} { reports (formats by report), channels }
+ */
+const getCatalogue = () => ({
+    reports: exportsService.getReportFormats(),
+    channels: getDeliveryChannelNames()
+});
+
+/**
+ * Get a schedule
+ * @param {string} id - Schedule id
+ * @returns {Promise<Object>} Schedule
+ */
+const getSchedule = async (id) => {
+    try {
+        return schedulesRepository.toDto(await findSchedule(id));
+    } catch (error) {
+        console.error('Error in getSchedule:', error);
+        throw error;
+    }
+};
+
+/**
+ * Create a schedule
+ * @param {Object} fields - { name, cron, timezone, enabled, reports, deliveries }
+ * @returns {Promise<Object>} Schedule
+ */
+const createSchedule = async (fields) => {
+    try {
+        const schedule = await schedulesRepository.create(validateScheduleFields(fields));
+        return schedulesRepository.toDto(schedule);
+    } catch (error) {
+        console.error('Error in createSchedule:', error);
+        throw error;
+    }
+};
+
+/**
+ * Update a schedule. Jobs already queued keep the reports and deliveries they were created with.
+ * @param {string} id - Schedule id
+ * @param {Object} changes - Fields to change (null timezone resets it to the default)
+ * @returns {Promise<Object>} Schedule
+ */
+const updateSchedule = async (id, changes) => {
+    try {
+        const existing = await findSchedule(id);
+        const schedule = await schedulesRepository.update(id, validateScheduleFields(changes, existing));
+        if (!schedule) {
+            throw new ApiError(404, `Schedule '${id}' not found`);
+        }
+        return schedulesRepository.toDto(schedule);
+    } catch (error) {
+        console.error('Error in updateSchedule:', error);
+        throw error;
+    }
+};
+
+/**
+ * Delete a schedule (its jobs are kept as history)
+ * @param {string} id - Schedule id
+ * @returns {Promise<Object>} { id }
+ */
+const deleteSchedule = async (id) => {
+    try {
+        if (!await schedulesRepository.remove(id)) {
+            throw new ApiError(404, `Schedule '${id}' not found`);
+        }
+        return { id };
+    } catch (error) {
+        console.error('Error in deleteSchedule:', error);
+        throw error;
+    }
+};
+
+/**
+ * Queue a run of a schedule now, outside its cron timing (disabled schedules can be run too)
+ * @param {string} id - Schedule id
+ * @returns {Promise<Object>} Queued job
+ */
+const runSchedule = async (id) => {
+    try {
+        const schedule = await findSchedule(id);
+        const { job } = await jobQueueService.enqueueScheduleRun(schedule, {
+            id: crypto.randomUUID(),
+            trigger: 'manual',
+            scheduledFor: new Date().toISOString()
+        });
+        return jobsRepository.toDto(job);
+    } catch (error) {
+        console.error('Error in runSchedule:', error);
+        throw error;
+    }
+};
+
+/**
+ * List jobs
+ * @param {Object} listQuery - Filter/sort/pagination query for the jobs list
+ * @returns {Promise<Object>} { jobs, pagination }
+ */
+const listJobs = async (listQuery) => {
+    try {
+        const { items, total } = await jobsRepository.list(listQuery);
+        return {
+            jobs: items,
+            pagination: buildPagination(listQuery, total)
+        };
+    } catch (error) {
+        console.error('Error in listJobs:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get a job
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} Job
+ */
+const getJob = async (id) => {
+    try {
+        const job = await jobsRepository.findById(id);
+        if (!job) {
+            throw new ApiError(404, `Job '${id}' not found`);
+        }
+        return jobsRepository.toDto(job);
+    } catch (error) {
+        console.error('Error in getJob:', error);
+        throw error;
+    }
+};
+
+/**
+ * Put a failed job back in the queue with a new set of attempts. Deliveries that already succeeded are not
+ * sent again, and the reports are generated from the same dataset snapshot.
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} Job
+ */
+const retryJob = async (id) => {
+    try {
+        const existing = await jobsRepository.findById(id);
+        if (!existing) {
+            throw new ApiError(404, `Job '${id}' not found`);
+        }
+        const job = await jobsRepository.update(id, {
+            status: 'pending',
+            runAt: new Date().toISOString(),
+            maxAttempts: existing.attempts + schedulerConfig.retry.maxAttempts,
+            completedAt: null
+        }, { status: 'failed' });
+        if (!job) {
+            throw new ApiError(409, `Job '${id}' is ${existing.status}; only failed jobs can be retried`);
+        }
+        return jobsRepository.toDto(job);
+    } catch (error) {
+        console.error('Error in retryJob:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    listSchedules,
+    getCatalogue,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    runSchedule,
+    listJobs,
+    getJob,
+    retryJob
+};
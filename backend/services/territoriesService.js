@@ -0,0 +1,227 @@
+/**
+ * Territories Service
+ * Country → region and customer → country/region assignments, and the data scope of users limited to some
+ * countries and regions.
+ *
+ * A scoped user sees the countries of their scope plus the countries assigned to its regions, the regions of
+ * their scope, and the customers assigned to any of those countries or regions. Customers without an
+ * assignment are visible to unscoped users only.
+ */
+
+const { countryRegionsRepository, customerTerritoriesRepository, revenuePeriodsRepository, customerConcentrationRepository } = require('../repositories');
+const { buildPagination } = require('../utils/listQuery');
+const { ApiError } = require('../middleware/errorHandler');
+const authConfig = require('../config/auth');
+
+const { maxAssignments, maxNameLength } = authConfig.territories;
+
+/**
+ * Check a territory name
+ * @param {*} value - Name
+ * @param {string} label - Field label used in errors
+ * @param {Array<string>} errors - Errors are added here
+ * @returns {string|undefined} Trimmed name, undefined when invalid
+ */
+const readName = (value, label, errors) => {
+    if (typeof value !== 'string' || !value.trim()) {
+        errors.push(`${label} must be a non-empty string`);
+        return undefined;
+    }
+    if (value.trim().length > maxNameLength) {
+        errors.push(`${label} must be at most ${maxNameLength} characters`);
+        return undefined;
+    }
+    return value.trim();
+};
+
+/**
+ * Check the assignments list of a request body
+ * @param {Object} body - Request body ({ assignments: [...] })
+ * @returns {Array<Object>} Assignments
+ */
+const readAssignments = (body) => {
+    const assignments = body && body.assignments;
+    if (!Array.isArray(assignments) || assignments.length === 0) {
+        throw new ApiError(400, '"assignments" must be a non-empty array');
+    }
+    if (assignments.length > maxAssignments) {
+        throw new ApiError(400, `"assignments" must have at most ${maxAssignments} entries`);
+    }
+    return assignments;
+};
+
+/**
+ * List country regions
+ * @param {Object} listQuery - Filter/sort/pagination query for the countryRegions list
+ * @returns {Promise<Object>} { countries, pagination }
+ */
+const listCountryRegions = async (listQuery) => {
+    try {
+        const { items, total } = await countryRegionsRepository.list(listQuery);
+        return {
+            countries: items,
+            pagination: buildPagination(listQuery, total)
+        };
+    } catch (error) {
+        console.error('Error in listCountryRegions:', error);
+        throw error;
+    }
+};
+
+/**
+ * Assign countries to regions; a null region removes the country's assignment
+ * @param {Object} body - { assignments: [{ countryName, regionName }] }
+ * @returns {Promise<Object>} { assigned, removed }
+ */
+const assignCountryRegions = async (body) => {
+    try {
+        const errors = [];
+        const assignments = readAssignments(body).map((assignment, index) => {
+            const entry = assignment || {};
+            const countryName = readName(entry.countryName, `"assignments[${index}].countryName"`, errors);
+            const regionName = entry.regionName === null
+                ? null
+                : readName(entry.regionName, `"assignments[${index}].regionName"`, errors);
+            return { countryName, regionName };
+        });
+        if (errors.length > 0) {
+            throw new ApiError(400, errors.join('; '));
+        }
+
+        let assigned = 0;
+        let removed = 0;
+        for (const { countryName, regionName } of assignments) {
+            if (regionName === null) {
+                if (await countryRegionsRepository.remove(countryName)) removed++;
+            } else {
+                await countryRegionsRepository.assign(countryName, regionName);
+                assigned++;
+            }
+        }
+        return { assigned, removed };
+    } catch (error) {
+        console.error('Error in assignCountryRegions:', error);
+        throw error;
+    }
+};
+
+/**
+ * List customer territories
+ * @param {Object} listQuery - Filter/sort/pagination query for the customerTerritories list
+ * @returns {Promise<Object>} { customers, pagination }
+ */
+const listCustomerTerritories = async (listQuery) => {
+    try {
+        const { items, total } = await customerTerritoriesRepository.list(listQuery);
+        return {
+            customers: items,
+            pagination: buildPagination(listQuery, total)
+        };
+    } catch (error) {
+        console.error('Error in listCustomerTerritories:', error);
+        throw error;
+    }
+};
+
+/**
+ * Assign customers to a country and/or region; an entry with neither removes the customer's assignment
+ * @param {Object} body - { assignments: [{ customerName, countryName, regionName }] }
+ * @returns {Promise<Object>} { assigned, removed }
+ */
+const assignCustomerTerritories = async (body) => {
+    try {
+        const errors = [];
+        const assignments = readAssignments(body).map((assignment, index) => {
+            const entry = assignment || {};
+            const readOptional = (field) => (entry[field] === undefined || entry[field] === null
+                ? null
+                : readName(entry[field], `"assignments[${index}].${field}"`, errors));
+            return {
+                customerName: readName(entry.customerName, `"assignments[${index}].customerName"`, errors),
+                countryName: readOptional('countryName'),
+                regionName: readOptional('regionName')
+            };
+        });
+        if (errors.length > 0) {
+            throw new ApiError(400, errors.join('; '));
+        }
+
+        let assigned = 0;
+        let removed = 0;
+        for (const { customerName, countryName, regionName } of assignments) {
+            if (countryName === null && regionName === null) {
+                if (await customerTerritoriesRepository.remove(customerName)) removed++;
+            } else {
+                await customerTerritoriesRepository.assign(customerName, { countryName, regionName });
+                assigned++;
+            }
+        }
+        return { assigned, removed };
+    } catch (error) {
+        console.error('Error in assignCustomerTerritories:', error);
+        throw error;
+    }
+};
+
+/**
+ * List the customers of the dataset snapshot being read that have no territory
+ * @returns {Promise<Object>} { customers (names, sorted), total }
+ */
+const listUnassignedCustomers = async () => {
+    try {
+        const [periodNames, concentration, territories] = await Promise.all([
+            revenuePeriodsRepository.findCustomerNames(),
+            customerConcentrationRepository.findAll(),
+            customerTerritoriesRepository.findAll()
+        ]);
+        const assigned = new Set(territories.map(territory => territory.customerName));
+        const customers = [...new Set([...periodNames, ...concentration.map(customer => customer.customerName)])]
+            .filter(name => name && !assigned.has(name))
+            .sort((a, b) => a.localeCompare(b));
+
+        return { customers, total: customers.length };
+    } catch (error) {
+        console.error('Error in listUnassignedCustomers:', error);
+        throw error;
+    }
+};
+
+/**
+ * Resolve the data scope of a user: the countries, regions and customers their reads are limited to
+ * @param {Object} user - User DTO ({ id, role, scope })
+ * @returns {Promise<Object|null>} { countries, regions, customers }, or null for unscoped roles
+ */
+const resolveDataScope = async (user) => {
+    try {
+        if (!authConfig.scopedRoles.includes(user.role)) return null;
+
+        const { countries = [], regions = [] } = user.scope || {};
+        const regionCountries = regions.length > 0
+            ? await countryRegionsRepository.findAll({ regionName: { $in: regions } })
+            : [];
+        const visibleCountries = [...new Set([...countries, ...regionCountries.map(country => country.countryName)])];
+
+        const [byCountry, byRegion] = await Promise.all([
+            visibleCountries.length > 0 ? customerTerritoriesRepository.findAll({ countryName: { $in: visibleCountries } }) : [],
+            regions.length > 0 ? customerTerritoriesRepository.findAll({ regionName: { $in: regions } }) : []
+        ]);
+
+        return {
+            countries: visibleCountries,
+            regions: [...regions],
+            customers: [...new Set([...byCountry, ...byRegion].map(territory => territory.customerName))]
+        };
+    } catch (error) {
+        console.error('Error in resolveDataScope:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    listCountryRegions,
+    assignCountryRegions,
+    listCustomerTerritories,
+    assignCustomerTerritories,
+    listUnassignedCustomers,
+    resolveDataScope
+};
@@ -0,0 +1,284 @@
+/**
+ * Users Service
+ * User account management for administrators. At least one active administrator always remains. Users of a
+ * scoped role (regional viewers) have a data scope: the countries and regions whose data they may read.
+ */
+
+const { usersRepository, authSessionsRepository, passwordResetsRepository } = require('../repositories');
+const { buildPagination } = require('../utils/listQuery');
+const { hashPassword } = require('../utils/password');
+const { isEmailAddress } = require('../utils/mailer');
+const { ApiError } = require('../middleware/errorHandler');
+const authConfig = require('../config/auth');
+const authService = require('./authService');
+
+/**
+ * Get a stored user or fail with 404
+ * @param {string} id - User id
+ * @returns {Promise<Object>} Stored user
+ */
+const findUser = async (id) => {
+    const user = await usersRepository.findById(id);
+    if (!user) {
+        throw new ApiError(404, `User '${id}' not found`);
+    }
+    return user;
+};
+
+/**
+ * Check a data scope
+ * @param {*} scope - { countries, regions } (names as in the country and region datasets)
+ * @param {Array<string>} errors - Errors are added here
+ * @returns {Object|undefined} Scope with trimmed, de-duplicated names, undefined when invalid
+ */
+const readScope = (scope, errors) => {
+    if (!scope || typeof scope !== 'object' || Array.isArray(scope)) {
+        errors.push('"scope" must be an object with "countries" and/or "regions"');
+        return undefined;
+    }
+    const unknown = Object.keys(scope).filter(key => key !== 'countries' && key !== 'regions');
+    if (unknown.length > 0) {
+        errors.push(`"scope" has unknown fields: ${unknown.join(', ')}`);
+        return undefined;
+    }
+
+    const result = {};
+    for (const key of ['countries', 'regions']) {
+        const names = scope[key] === undefined ? [] : scope[key];
+        if (!Array.isArray(names) || names.some(name => typeof name !== 'string' || !name.trim())) {
+            errors.push(`"scope.${key}" must be an array of non-empty names`);
+            return undefined;
+        }
+        result[key] = [...new Set(names.map(name => name.trim()))];
+    }
+
+    const entries = result.countries.length + result.regions.length;
+    if (entries === 0) {
+        errors.push('"scope" must list at least one country or region');
+        return undefined;
+    }
+    if (entries > authConfig.maxScopeEntries) {
+        errors.push(`"scope" must list at most ${authConfig.maxScopeEntries} countries and regions`);
+        return undefined;
+    }
+    return result;
+};
+
+/**
+ * Validate user fields for a create (all required fields) or an update (only the fields given)
+ * @param {Object} fields - { email, name, role, scope, active, password }
+ * @param {Object|null} existing - Stored user being updated
+ * @returns {Promise<Object>} Fields to store (the password as a hash)
+ */
+const validateUserFields = async (fields, existing = null) => {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new ApiError(400, 'The request body must be a JSON object');
+    }
+
+    const isUpdate = existing !== null;
+    const errors = [];
+    const values = {};
+
+    ['email', 'name', 'password'].forEach(name => {
+        if (fields[name] === null || (!isUpdate && fields[name] === undefined)) {
+            errors.push(`"${name}" is required`);
+        }
+    });
+
+    if (fields.email !== undefined && fields.email !== null) {
+        if (!isEmailAddress(fields.email)) errors.push('"email" must be an email address');
+        else values.email = fields.email.trim().toLowerCase();
+    }
+    if (fields.name !== undefined && fields.name !== null) {
+        if (typeof fields.name !== 'string' || !fields.name.trim()) errors.push('"name" must be a non-empty string');
+        else if (fields.name.trim().length > authConfig.maxNameLength) errors.push(`"name" must be at most ${authConfig.maxNameLength} characters`);
+        else values.name = fields.name.trim();
+    }
+    if (fields.role !== undefined && fields.role !== null) {
+        if (!authConfig.roles.includes(fields.role)) errors.push(`"role" must be one of: ${authConfig.roles.join(', ')}`);
+        else values.role = fields.role;
+    } else if (!isUpdate || fields.role === null) {
+        values.role = authConfig.defaultRole;
+    }
+
+    // Scoped roles need a scope; other roles have none (it is cleared when a user leaves a scoped role)
+    const role = values.role || (existing && existing.role);
+    const isScoped = authConfig.scopedRoles.includes(role);
+    if (fields.scope !== undefined && fields.scope !== null) {
+        const scope = readScope(fields.scope, errors);
+        if (!isScoped) errors.push(`"scope" only applies to the roles: ${authConfig.scopedRoles.join(', ')}`);
+        else if (scope) values.scope = scope;
+    } else if (isScoped && (fields.scope === null || !(existing && existing.scope))) {
+        errors.push(`"scope" is required for the role ${role}`);
+    } else if (!isScoped && (!existing || existing.scope)) {
+        values.scope = null;
+    }
+    if (fields.active !== undefined) {
+        if (typeof fields.active !== 'boolean') errors.push('"active" must be a boolean');
+        else values.active = fields.active;
+    } else if (!isUpdate) {
+        values.active = true;
+    }
+    if (fields.password !== undefined && fields.password !== null) {
+        errors.push(...authService.checkPassword(fields.password));
+    }
+
+    if (errors.length > 0) {
+        throw new ApiError(400, errors.join('; '));
+    }
+
+    if (fields.password !== undefined && fields.password !== null) {
+        values.passwordHash = await hashPassword(fields.password);
+        values.passwordChangedAt = new Date().toISOString();
+    }
+    return values;
+};
+
+/**
+ * Fail when a change would leave no active administrator
+ * @param {Object} user - Stored user being changed or deleted
+ * @param {Object} changes - Changes ({} for a deletion)
+ * @param {boolean} deleting - Whether the user is deleted
+ */
+const ensureAdminRemains = async (user, changes, deleting = false) => {
+    const isActiveAdmin = user.role === 'admin' && user.active;
+    const staysActiveAdmin = !deleting && (changes.role ?? user.role) === 'admin' && (changes.active ?? user.active);
+    if (isActiveAdmin && !staysActiveAdmin && await usersRepository.count({ role: 'admin', active: true }) <= 1) {
+        throw new ApiError(409, 'At least one active administrator must remain');
+    }
+};
+
+/**
+ * Report a duplicate email as a conflict
+ * @param {Error} error - Storage error
+ * @returns {Error} ApiError 409 for duplicate keys, the error otherwise
+ */
+const toConflict = (error) => (error.code === 11000 ? new ApiError(409, 'A user with this email already exists') : error);
+
+/**
+ * List users
+ * @param {Object} listQuery - Filter/sort/pagination query for the users list
+ * @returns {Promise<Object>} { users, pagination }
+ */
+const listUsers = async (listQuery) => {
+    try {
+        const { items, total } = await usersRepository.list(listQuery);
+        return {
+            users: items,
+            pagination: buildPagination(listQuery, total)
+        };
+    } catch (error) {
+        console.error('Error in listUsers:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get a user
+ * @param {string} id - User id
+ * @returns {Promise<Object>} User
+ */
+const getUser = async (id) => {
+    try {
+        return usersRepository.toDto(await findUser(id));
+    } catch (error) {
+        console.error('Error in getUser:', error);
+        throw error;
+    }
+};
+
+/**
+ * Create a user
+ * @param {Object} fields - { email, name, password, role, scope, active }
+ * @returns {Promise<Object>} User
+ */
+const createUser = async (fields) => {
+    try {
+        const values = await validateUserFields(fields);
+        const user = await usersRepository.create(values).catch(error => { throw toConflict(error); });
+        return usersRepository.toDto(user);
+    } catch (error) {
+        console.error('Error in createUser:', error);
+        throw error;
+    }
+};
+
+/**
+ * Update a user. Disabling the account or setting its password ends its sessions.
+ * @param {string} id - User id
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} User
+ */
+const updateUser = async (id, changes) => {
+    try {
+        const existing = await findUser(id);
+        const values = await validateUserFields(changes, existing);
+        await ensureAdminRemains(existing, values);
+
+        const user = await usersRepository.update(id, values).catch(error => { throw toConflict(error); });
+        if (!user) {
+            throw new ApiError(404, `User '${id}' not found`);
+        }
+        if (values.active === false) {
+            await authSessionsRepository.revoke({ userId: id }, 'account disabled');
+        } else if (values.passwordHash) {
+            await authSessionsRepository.revoke({ userId: id }, 'password changed');
+        }
+        return usersRepository.toDto(user);
+    } catch (error) {
+        console.error('Error in updateUser:', error);
+        throw error;
+    }
+};
+
+/**
+ * Delete a user and end its sessions
+ * @param {string} id - User id
+ * @param {string} actingUserId - Administrator making the request (cannot delete themselves)
+ * @returns {Promise<Object>} { id }
+ */
+const deleteUser = async (id, actingUserId) => {
+    try {
+        if (id === actingUserId) {
+            throw new ApiError(409, 'You cannot delete your own account');
+        }
+        const existing = await findUser(id);
+        await ensureAdminRemains(existing, {}, true);
+
+        await usersRepository.remove(id);
+        await authSessionsRepository.revoke({ userId: id }, 'account deleted');
+        await passwordResetsRepository.removeForUser(id);
+        return { id };
+    } catch (error) {
+        console.error('Error in deleteUser:', error);
+        throw error;
+    }
+};
+
+/**
+ * Create a password reset token for a user, for an administrator to pass on
+ * @param {string} id - User id
+ * @returns {Promise<Object>} { userId, token, expiresAt }
+ */
+const createPasswordReset = async (id) => {
+    try {
+        const user = await findUser(id);
+        if (!user.active) {
+            throw new ApiError(409, 'The account is disabled');
+        }
+        const { token, expiresAt } = await authService.createPasswordReset(user);
+        return { userId: user._id, token, expiresAt };
+    } catch (error) {
+        console.error('Error in createPasswordReset:', error);
+        throw error;
+    }
+};
+
+module.exports = {
+    listUsers,
+    getUser,
+    createUser,
+    updateUser,
+    deleteUser,
+    createPasswordReset
+};
@@ -0,0 +1,184 @@
+/**
+ * Concentration utilities
+ * Computes revenue concentration metrics (shares, Pareto/ABC classes, HHI, Gini, top-N shares)
+ * and flags concentration risk against configurable thresholds.
+ */
+
+const metricsConfig = require('../config/metrics');
+const { transformData } = require('./responseHandler');
+
+const RISK_LEVELS = ['low', 'moderate', 'high'];
+
+const METRIC_LABELS = {
+    hhi: 'HHI',
+    gini: 'Gini coefficient'
+};
+
+/**
+ * Format a concentration metric value for display
+ * @param {string} metric - Metric name
+ * @param {number} value - Metric value
+ * @returns {string} Formatted value
+ */
+const formatMetric = (metric, value) => {
+    if (metric === 'hhi') return String(Math.round(value));
+    if (metric === 'gini') return value.toFixed(3);
+    return transformData.formatPercentage(value);
+};
+
+/**
+ * Get a readable label for a concentration metric
+ * @param {string} metric - Metric name such as 'hhi' or 'top5Share'
+ * @returns {string} Label
+ */
+const getMetricLabel = (metric) => {
+    const topMatch = metric.match(/^top(\d+)Share$/);
+    return topMatch ? `Top ${topMatch[1]} share` : METRIC_LABELS[metric] || metric;
+};
+
+/**
+ * Calculate the Gini coefficient of a set of non-negative values
+ * @param {Array} values - Values
+ * @returns {number} Gini coefficient between 0 (equal) and 1 (fully concentrated)
+ */
+const calculateGini = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+    if (sorted.length === 0 || total === 0) return 0;
+
+    const weighted = sorted.reduce((sum, value, index) => sum + (index + 1) * value, 0);
+    return (2 * weighted) / (sorted.length * total) - (sorted.length + 1) / sorted.length;
+};
+
+/**
+ * Analyze the concentration of revenue across items (customers, countries, ...)
+ * Negative or missing revenue counts as 0.
+ * @param {Array} items - Items ({ name, revenue })
+ * @param {Object} options - Analysis options
+ * @param {Array} options.abcClasses - ABC class cut-offs (defaults to config/metrics)
+ * @param {Array} options.topN - Top-N shares to report (defaults to config/metrics)
+ * @returns {Object} { totalRevenue, count, hhi, gini, topShares, classes, items }
+ */
+const analyzeConcentration = (items, options = {}) => {
+    const {
+        abcClasses = metricsConfig.concentration.abcClasses,
+        topN = metricsConfig.concentration.topN
+    } = options;
+
+    const ranked = items
+        .map(item => ({ name: item.name, revenue: Math.max(0, item.revenue || 0) }))
+        .sort((a, b) => b.revenue - a.revenue);
+    const totalRevenue = ranked.reduce((sum, item) => sum + item.revenue, 0);
+
+    let cumulativeRevenue = 0;
+    const shares = ranked.map((item, index) => {
+        const share = totalRevenue > 0 ? (item.revenue / totalRevenue) * 100 : 0;
+        // Class is decided by the cumulative share before this item, so the item that crosses a cut-off stays in the class
+        const previousShare = totalRevenue > 0 ? (cumulativeRevenue / totalRevenue) * 100 : 0;
+        cumulativeRevenue += item.revenue;
+        const cumulativeShare = totalRevenue > 0 ? (cumulativeRevenue / totalRevenue) * 100 : 0;
+        const abcClass = abcClasses.find(abc => previousShare < abc.maxCumulativeShare) || abcClasses[abcClasses.length - 1];
+
+        return {
+            rank: index + 1,
+            name: item.name,
+            revenue: item.revenue,
+            share,
+            cumulativeShare,
+            abcClass: abcClass.key
+        };
+    });
+
+    const topShares = topN.reduce((result, n) => {
+        const revenue = ranked.slice(0, n).reduce((sum, item) => sum + item.revenue, 0);
+        result[`top${n}Share`] = totalRevenue > 0 ? (revenue / totalRevenue) * 100 : 0;
+        return result;
+    }, {});
+
+    const classes = abcClasses.map(abc => {
+        const members = shares.filter(item => item.abcClass === abc.key);
+        const revenue = members.reduce((sum, item) => sum + item.revenue, 0);
+        return {
+            abcClass: abc.key,
+            maxCumulativeShare: abc.maxCumulativeShare,
+            count: members.length,
+            countShare: shares.length > 0 ? (members.length / shares.length) * 100 : 0,
+            revenue,
+            revenueShare: totalRevenue > 0 ? (revenue / totalRevenue) * 100 : 0
+        };
+    });
+
+    return {
+        totalRevenue,
+        count: ranked.length,
+        hhi: shares.reduce((sum, item) => sum + item.share * item.share, 0),
+        gini: calculateGini(ranked.map(item => item.revenue)),
+        topShares,
+        classes,
+        items: shares
+    };
+};
+
+/**
+ * Flag concentration risk by comparing the metrics with the configured thresholds
+ * @param {Object} metrics - Result of analyzeConcentration
+ * @param {Object} thresholds - Thresholds per metric (e.g. config/metrics concentration.thresholds.customers)
+ * @returns {Object} { level, flags }
+ */
+const assessConcentrationRisk = (metrics, thresholds) => {
+    const values = {
+        hhi: metrics.hhi,
+        gini: metrics.gini,
+        ...metrics.topShares
+    };
+
+    const flags = Object.entries(thresholds)
+        .filter(([metric]) => typeof values[metric] === 'number')
+        .map(([metric, limits]) => {
+            const value = values[metric];
+            const level = value >= limits.high ? 'high' : value >= limits.moderate ? 'moderate' : 'low';
+            return { metric, value, level, thresholds: limits };
+        })
+        .filter(flag => flag.level !== 'low')
+        .map(flag => ({
+            ...flag,
+            message: `${getMetricLabel(flag.metric)} of ${formatMetric(flag.metric, flag.value)} is at or above the ${flag.level} risk threshold (${formatMetric(flag.metric, flag.thresholds[flag.level])})`
+        }));
+
+    const level = flags.reduce(
+        (highest, flag) => (RISK_LEVELS.indexOf(flag.level) > RISK_LEVELS.indexOf(highest) ? flag.level : highest),
+        'low'
+    );
+
+    return { level, flags };
+};
+
+/**
+ * Summarize concentration metrics and risk for API responses (without the per-item rows)
+ * @param {Object} metrics - Result of analyzeConcentration
+ * @param {Object} thresholds - Risk thresholds per metric
+ * @returns {Object} Summary with formatted values and the risk assessment
+ */
+const summarizeConcentration = (metrics, thresholds) => ({
+    totalRevenue: metrics.totalRevenue,
+    formattedTotalRevenue: transformData.formatCurrency(metrics.totalRevenue),
+    count: metrics.count,
+    hhi: metrics.hhi,
+    gini: metrics.gini,
+    topShares: metrics.topShares,
+    formattedTopShares: Object.entries(metrics.topShares).reduce((formatted, [metric, value]) => {
+        formatted[metric] = formatMetric(metric, value);
+        return formatted;
+    }, {}),
+    classes: metrics.classes,
+    risk: assessConcentrationRisk(metrics, thresholds)
+});
+
+module.exports = {
+    formatMetric,
+    getMetricLabel,
+    calculateGini,
+    analyzeConcentration,
+    assessConcentrationRisk,
+    summarizeConcentration
+};
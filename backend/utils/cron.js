@@ -0,0 +1,56 @@
+/**
+ * Cron schedules
+ * Five-field cron expressions (minute hour day-of-month month day-of-week, e.g. "0 8 * * 1" for Mondays at 08:00)
+ * evaluated in an IANA time zone, so a schedule keeps its local time across daylight saving changes.
+ */
+
+const cronParser = require('cron-parser');
+
+/**
+ * Check whether a string is a time zone known to the runtime
+ * @param {string} timezone - IANA time zone (e.g. Europe/Berlin)
+ * @returns {boolean} True when the time zone can be used
+ */
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Validate a cron expression
+ * @param {string} expression - Cron expression
+ * @returns {string|null} Error message, or null when the expression is valid
+ */
+const validateCron = (expression) => {
+    if (typeof expression !== 'string' || expression.trim().split(/\s+/).length !== 5) {
+        return '"cron" must have five fields: minute hour day-of-month month day-of-week';
+    }
+    try {
+        cronParser.parseExpression(expression);
+        return null;
+    } catch (error) {
+        return `"cron" is not a valid cron expression: ${error.message}`;
+    }
+};
+
+/**
+ * Get the next time a cron expression fires after a point in time
+ * @param {string} expression - Cron expression
+ * @param {string} timezone - IANA time zone the expression is read in
+ * @param {Date} after - Start point (exclusive)
+ * @returns {Date} Next run time
+ */
+const getNextRun = (expression, timezone, after = new Date()) => cronParser
+    .parseExpression(expression, { currentDate: after, tz: timezone })
+    .next()
+    .toDate();
+
+module.exports = {
+    isValidTimezone,
+    validateCron,
+    getNextRun
+};
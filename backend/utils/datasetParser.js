@@ -0,0 +1,100 @@
+/**
+ * Dataset file parser
+ * Turns uploaded JSON, CSV or XLSX files into arrays of row objects
+ */
+
+const path = require('path');
+const { parse: parseCsv } = require('csv-parse/sync');
+const XLSX = require('xlsx');
+
+const MIME_FORMATS = {
+    'application/json': 'json',
+    'text/csv': 'csv',
+    'application/csv': 'csv',
+    'application/vnd.ms-excel': 'csv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
+};
+
+/**
+ * Detect the file format from its name, falling back to the MIME type
+ * @param {string} fileName - Original file name
+ * @param {string} mimeType - MIME type reported by the client
+ * @returns {string|null} 'json', 'csv', 'xlsx' or null when unsupported
+ */
+const detectFormat = (fileName, mimeType) => {
+    const extension = path.extname(fileName || '').toLowerCase().replace('.', '');
+    if (['json', 'csv', 'xlsx'].includes(extension)) {
+        return extension;
+    }
+    return MIME_FORMATS[mimeType] || null;
+};
+
+/**
+ * Parse a JSON buffer. Accepts an array of rows or an object with a `data` array.
+ * @param {Buffer} buffer - File contents
+ * @returns {Array} Parsed rows
+ */
+const parseJson = (buffer) => {
+    const parsed = JSON.parse(buffer.toString('utf8'));
+    const rows = Array.isArray(parsed) ? parsed : parsed && parsed.data;
+
+    if (!Array.isArray(rows)) {
+        throw new Error('JSON file must contain an array of rows');
+    }
+    return rows;
+};
+
+/**
+ * Parse a CSV buffer using its first line as the header
+ * @param {Buffer} buffer - File contents
+ * @returns {Array} Parsed rows
+ */
+const parseCsvBuffer = (buffer) => parseCsv(buffer, {
+    columns: true,
+    bom: true,
+    skip_empty_lines: true,
+    trim: true
+});
+
+/**
+ * Parse the first worksheet of an XLSX buffer using its first row as the header
+ * @param {Buffer} buffer - File contents
+ * @returns {Array} Parsed rows
+ */
+const parseXlsx = (buffer) => {
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    const sheetName = workbook.SheetNames[0];
+
+    if (!sheetName) {
+        throw new Error('XLSX file does not contain any worksheet');
+    }
+    return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: null, raw: true });
+};
+
+/**
+ * Parse a dataset file
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - 'json', 'csv' or 'xlsx'
+ * @returns {Array} Parsed rows
+ */
+const parseDatasetFile = (buffer, format) => {
+    try {
+        switch (format) {
+            case 'json':
+                return parseJson(buffer);
+            case 'csv':
+                return parseCsvBuffer(buffer);
+            case 'xlsx':
+                return parseXlsx(buffer);
+            default:
+                throw new Error(`Unsupported file format '${format}'`);
+        }
+    } catch (error) {
+        throw new Error(`Unable to parse ${format ? format.toUpperCase() : ''} file: ${error.message}`);
+    }
+};
+
+module.exports = {
+    detectFormat,
+    parseDatasetFile
+};
@@ -0,0 +1,108 @@
+/**
+ * Server-Sent Events
+ * Streams named JSON events to the client, with a heartbeat comment to keep idle connections open and an AbortSignal
+ * that fires when the client disconnects, so the work behind the stream can stop early.
+ */
+
+const analyticsConfig = require('../config/analytics');
+
+/**
+ * Raised by throwIfAborted when the work was cancelled
+ */
+class AbortError extends Error {
+    constructor(message = 'The operation was cancelled') {
+        super(message);
+        this.name = 'AbortError';
+    }
+}
+
+/**
+ * Stop the current operation if its signal was aborted
+ * @param {AbortSignal} signal - Signal (optional)
+ */
+const throwIfAborted = (signal) => {
+    if (signal && signal.aborted) {
+        throw new AbortError('The client disconnected');
+    }
+};
+
+/**
+ * Check whether an error comes from a cancelled operation
+ * @param {Error} error - Error
+ * @returns {boolean} True for cancellations
+ */
+const isAbortError = (error) => Boolean(error) && error.name === 'AbortError';
+
+/**
+ * Prepare an event stream on a response.
+ * Headers are sent with the first event, so a request can still be answered with a regular JSON error
+ * (e.g. 400 or 404) until then.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - { heartbeatMs, retryMs } (defaults from analyticsConfig.stream)
+ * @returns {Object} Stream ({ signal, isOpen(), isClosed(), send(event, data), close() })
+ */
+const openEventStream = (req, res, { heartbeatMs = analyticsConfig.stream.heartbeatMs, retryMs = analyticsConfig.stream.retryMs } = {}) => {
+    const controller = new AbortController();
+    let open = false;
+    let closed = false;
+    let heartbeat = null;
+    let lastWrite = 0;
+
+    const write = (chunk) => {
+        if (closed) return false;
+        lastWrite = Date.now();
+        res.write(chunk);
+        // compression() buffers its output; flush so every event reaches the client as soon as it is written
+        if (typeof res.flush === 'function') res.flush();
+        return true;
+    };
+
+    const start = () => {
+        open = true;
+        res.status(200).set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            // Stops reverse proxies such as nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        write(`retry: ${retryMs}\n\n`);
+        heartbeat = setInterval(() => {
+            if (Date.now() - lastWrite >= heartbeatMs) write(': heartbeat\n\n');
+        }, heartbeatMs / 2);
+    };
+
+    // 'close' on the response also fires on normal completion; only an unfinished stream means the client left
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!closed) {
+            closed = true;
+            controller.abort();
+        }
+    });
+
+    return {
+        signal: controller.signal,
+        isOpen: () => open,
+        isClosed: () => closed,
+        send: (event, data) => {
+            if (closed) return false;
+            if (!open) start();
+            return write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        close: () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            res.end();
+        }
+    };
+};
+
+module.exports = {
+    AbortError,
+    throwIfAborted,
+    isAbortError,
+    openEventStream
+};
@@ -0,0 +1,390 @@
+/**
+ * List query utilities
+ * Shared filter / sort / field selection / pagination layer for list endpoints.
+ *
+ * Query string syntax (field names are the API names declared in config/listQueries.js):
+ *   - filters:    `variance[gt]=0`, `customerName[contains]=Sonos`, `countryName=Germany`, `abcClass[in]=A,B`
+ *   - sort:       `sort=-variance,customerName` (leading "-" for descending)
+ *   - fields:     `fields=customerName,variance`
+ *   - pagination: `page=2&limit=25`
+ *
+ * Parsed queries only ever contain whitelisted fields, whitelisted operators and scalar values
+ * converted to the field type, so translating them into Mongo queries cannot inject operators.
+ */
+
+const listQueriesConfig = require('../config/listQueries');
+
+// Supported filter operators and the Mongo operator they map to (text operators use $regex)
+const OPERATORS = {
+    eq: '$eq',
+    ne: '$ne',
+    gt: '$gt',
+    gte: '$gte',
+    lt: '$lt',
+    lte: '$lte',
+    in: '$in',
+    nin: '$nin',
+    contains: '$regex',
+    startsWith: '$regex',
+    endsWith: '$regex'
+};
+
+const TEXT_OPERATORS = ['contains', 'startsWith', 'endsWith'];
+const LIST_OPERATORS = ['in', 'nin'];
+
+/**
+ * Escape a string for literal use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get a list definition from config/listQueries
+ * @param {string} listName - List name
+ * @returns {Object} List definition
+ */
+const getListDefinition = (listName) => {
+    const definition = listQueriesConfig.lists[listName];
+    if (!definition) {
+        throw new Error(`Unknown list '${listName}'`);
+    }
+    return definition;
+};
+
+/**
+ * Convert a raw filter value to the type of its field
+ * @param {string} raw - Raw query string value
+ * @param {Object} field - Field definition
+ * @param {string} name - Field name (used in error messages)
+ * @returns {Object} { value } or { error }
+ */
+const convertValue = (raw, field, name) => {
+    if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { error: `"${name}" filter value must be a single value` };
+    }
+
+    const text = String(raw).trim();
+
+    if (field.type === 'number') {
+        const number = Number(text);
+        return text !== '' && Number.isFinite(number)
+            ? { value: number }
+            : { error: `"${name}" must be a number (got "${text}")` };
+    }
+
+    if (field.type === 'boolean') {
+        return ['true', 'false'].includes(text.toLowerCase())
+            ? { value: text.toLowerCase() === 'true' }
+            : { error: `"${name}" must be true or false (got "${text}")` };
+    }
+
+    if (field.enum) {
+        const match = field.enum.find(option => option.toLowerCase() === text.toLowerCase());
+        return match !== undefined
+            ? { value: match }
+            : { error: `"${name}" must be one of ${field.enum.join(', ')}` };
+    }
+
+    return { value: text };
+};
+
+/**
+ * Parse one filter parameter into filter expressions
+ * @param {string} name - Field name
+ * @param {*} raw - Raw parameter value (string for equality, object of operator → value otherwise)
+ * @param {Object} field - Field definition
+ * @returns {Object} { filters, errors }
+ */
+const parseFilter = (name, raw, field) => {
+    const filters = [];
+    const errors = [];
+
+    const expressions = typeof raw === 'object' && raw !== null && !Array.isArray(raw)
+        ? Object.entries(raw)
+        : [['eq', raw]];
+
+    expressions.forEach(([operator, rawValue]) => {
+        if (!Object.prototype.hasOwnProperty.call(OPERATORS, operator)) {
+            errors.push(`Unknown operator "${operator}" for "${name}". Supported: ${Object.keys(OPERATORS).join(', ')}`);
+            return;
+        }
+
+        if (TEXT_OPERATORS.includes(operator) && field.type !== 'string') {
+            errors.push(`Operator "${operator}" only applies to text fields ("${name}" is a ${field.type})`);
+            return;
+        }
+
+        if (LIST_OPERATORS.includes(operator)) {
+            if (typeof rawValue !== 'string') {
+                errors.push(`"${name}[${operator}]" must be a comma separated list`);
+                return;
+            }
+            const converted = rawValue.split(',').map(item => convertValue(item, field, name));
+            const conversionErrors = converted.filter(item => item.error).map(item => item.error);
+            if (conversionErrors.length > 0) {
+                errors.push(...conversionErrors);
+                return;
+            }
+            filters.push({ field: name, operator, value: converted.map(item => item.value) });
+            return;
+        }
+
+        const converted = TEXT_OPERATORS.includes(operator) && typeof rawValue === 'string'
+            ? { value: rawValue }
+            : convertValue(rawValue, field, name);
+        if (converted.error) {
+            errors.push(converted.error);
+            return;
+        }
+        filters.push({ field: name, operator, value: converted.value });
+    });
+
+    return { filters, errors };
+};
+
+/**
+ * Parse a comma separated list of field names
+ * @param {*} raw - Raw parameter value
+ * @param {Object} fields - Field definitions
+ * @param {string} param - Parameter name (used in error messages)
+ * @param {boolean} [directed=false] - Whether names may start with '-' (descending sort)
+ * @returns {Object} { names, errors }
+ */
+const parseFieldList = (raw, fields, param, directed = false) => {
+    if (typeof raw !== 'string') {
+        return { names: [], errors: [`"${param}" must be a comma separated list of fields`] };
+    }
+
+    const names = raw.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !fields[directed ? name.replace(/^-/, '') : name]);
+
+    return {
+        names,
+        errors: unknown.length > 0
+            ? [`Unknown field(s) in "${param}": ${unknown.join(', ')}. Available: ${Object.keys(fields).join(', ')}`]
+            : []
+    };
+};
+
+/**
+ * Parse a positive integer parameter
+ * @param {*} raw - Raw parameter value
+ * @param {number} fallback - Value used when the parameter is missing
+ * @returns {number|null} Parsed value or null when invalid
+ */
+const parsePositiveInt = (raw, fallback) => {
+    if (raw === undefined) return fallback;
+    const value = Number(raw);
+    return Number.isInteger(value) && value > 0 ? value : null;
+};
+
+/**
+ * Parse request query parameters into a list query
+ * @param {Object} query - Express req.query
+ * @param {string} listName - List name in config/listQueries
+ * @returns {Object} { listQuery, errors }
+ */
+const parseListQuery = (query, listName) => {
+    const definition = getListDefinition(listName);
+    const errors = [];
+    const filters = [];
+
+    Object.entries(query).forEach(([name, raw]) => {
+        if (['sort', 'fields', 'page', 'limit'].includes(name)) return;
+
+        if (Object.prototype.hasOwnProperty.call(definition.fields, name)) {
+            const parsed = parseFilter(name, raw, definition.fields[name]);
+            filters.push(...parsed.filters);
+            errors.push(...parsed.errors);
+        } else if (typeof raw === 'object' && raw !== null) {
+            // Operator syntax on a field that does not exist (other plain parameters belong to the endpoint)
+            errors.push(`Unknown filter field "${name}". Available: ${Object.keys(definition.fields).join(', ')}`);
+        }
+    });
+
+    const sortList = parseFieldList(query.sort !== undefined ? query.sort : definition.defaultSort, definition.fields, 'sort', true);
+    errors.push(...sortList.errors);
+
+    let fields = null;
+    if (query.fields !== undefined) {
+        const fieldList = parseFieldList(query.fields, definition.fields, 'fields');
+        errors.push(...fieldList.errors);
+        fields = fieldList.names;
+    }
+
+    const page = parsePositiveInt(query.page, 1);
+    const limit = parsePositiveInt(query.limit, definition.defaultLimit);
+    if (page === null) errors.push('"page" must be a positive integer');
+    if (limit === null || limit > listQueriesConfig.maxLimit) {
+        errors.push(`"limit" must be an integer between 1 and ${listQueriesConfig.maxLimit}`);
+    }
+
+    return {
+        errors,
+        listQuery: {
+            list: listName,
+            filters,
+            sort: sortList.names.map(name => ({
+                field: name.replace(/^-/, ''),
+                direction: name.startsWith('-') ? -1 : 1
+            })),
+            fields,
+            page: page || 1,
+            limit: limit || definition.defaultLimit
+        }
+    };
+};
+
+/**
+ * Build a list query in code (for internal callers), applying the list defaults
+ * @param {string} listName - List name in config/listQueries
+ * @param {Object} overrides - Query values ({ filters, sort, fields, page, limit })
+ * @returns {Object} List query
+ */
+const createListQuery = (listName, overrides = {}) => ({
+    ...parseListQuery({}, listName).listQuery,
+    ...overrides
+});
+
+/**
+ * Translate a list query into a Mongo find query for a collection-backed list
+ * @param {Object} listQuery - Parsed list query
+ * @param {Object} columns - Map of API field name to stored column (owned by the repository)
+ * @returns {Object} { filter, sort, skip, limit }
+ */
+const toMongoQuery = (listQuery, columns) => {
+    const filter = {};
+
+    listQuery.filters.forEach(({ field, operator, value }) => {
+        const column = columns[field];
+        const condition = filter[column] || {};
+
+        if (operator === 'contains') {
+            Object.assign(condition, { $regex: escapeRegex(value), $options: 'i' });
+        } else if (operator === 'startsWith') {
+            Object.assign(condition, { $regex: `^${escapeRegex(value)}`, $options: 'i' });
+        } else if (operator === 'endsWith') {
+            Object.assign(condition, { $regex: `${escapeRegex(value)}$`, $options: 'i' });
+        } else {
+            condition[OPERATORS[operator]] = value;
+        }
+
+        filter[column] = condition;
+    });
+
+    const sort = listQuery.sort.reduce((result, { field, direction }) => {
+        result[columns[field]] = direction;
+        return result;
+    }, {});
+
+    return {
+        filter,
+        sort,
+        skip: (listQuery.page - 1) * listQuery.limit,
+        limit: listQuery.limit
+    };
+};
+
+/**
+ * Check whether an item satisfies one filter expression
+ * @param {Object} item - Item keyed by API field names
+ * @param {Object} filter - Filter expression ({ field, operator, value })
+ * @returns {boolean} True when the item matches
+ */
+const matchesFilter = (item, { field, operator, value }) => {
+    const actual = item[field];
+    const text = actual === null || actual === undefined ? '' : String(actual).toLowerCase();
+
+    switch (operator) {
+        case 'eq': return actual === value;
+        case 'ne': return actual !== value;
+        case 'gt': return actual !== null && actual !== undefined && actual > value;
+        case 'gte': return actual !== null && actual !== undefined && actual >= value;
+        case 'lt': return actual !== null && actual !== undefined && actual < value;
+        case 'lte': return actual !== null && actual !== undefined && actual <= value;
+        case 'in': return value.includes(actual);
+        case 'nin': return !value.includes(actual);
+        case 'contains': return text.includes(value.toLowerCase());
+        case 'startsWith': return text.startsWith(value.toLowerCase());
+        case 'endsWith': return text.endsWith(value.toLowerCase());
+        default: return false;
+    }
+};
+
+/**
+ * Compare two items by the list query sort order (missing values last)
+ * @param {Array} sort - Sort keys ({ field, direction })
+ * @returns {Function} Comparator for Array.prototype.sort
+ */
+const compareBy = (sort) => (a, b) => {
+    for (const { field, direction } of sort) {
+        const left = a[field];
+        const right = b[field];
+        if (left === right) continue;
+        if (left === null || left === undefined) return 1;
+        if (right === null || right === undefined) return -1;
+
+        const result = typeof left === 'string' && typeof right === 'string'
+            ? left.localeCompare(right)
+            : left < right ? -1 : 1;
+        return result * direction;
+    }
+    return 0;
+};
+
+/**
+ * Apply a list query to items computed in memory
+ * @param {Array} items - Items keyed by API field names
+ * @param {Object} listQuery - Parsed list query
+ * @returns {Object} { items, total } with items for the requested page
+ */
+const applyListQuery = (items, listQuery) => {
+    const matching = items
+        .filter(item => listQuery.filters.every(filter => matchesFilter(item, filter)))
+        .sort(compareBy(listQuery.sort));
+
+    const skip = (listQuery.page - 1) * listQuery.limit;
+    return {
+        items: matching.slice(skip, skip + listQuery.limit),
+        total: matching.length
+    };
+};
+
+/**
+ * Keep only the selected fields of a response item
+ * @param {Object} item - Response item
+ * @param {Array|null} fields - Selected fields (null keeps everything)
+ * @returns {Object} Item with the selected fields
+ */
+const selectFields = (item, fields) => {
+    if (!fields || fields.length === 0) return item;
+
+    return fields.reduce((selected, field) => {
+        if (field in item) selected[field] = item[field];
+        return selected;
+    }, {});
+};
+
+/**
+ * Build the pagination block for a list query
+ * @param {Object} listQuery - Parsed list query
+ * @param {number} total - Total number of matching items
+ * @returns {Object} Pagination details
+ */
+const buildPagination = (listQuery, total) => ({
+    currentPage: listQuery.page,
+    totalPages: Math.ceil(total / listQuery.limit),
+    totalItems: total,
+    itemsPerPage: listQuery.limit
+});
+
+module.exports = {
+    OPERATORS,
+    parseListQuery,
+    createListQuery,
+    toMongoQuery,
+    applyListQuery,
+    selectFields,
+    buildPagination
+};
@@ -0,0 +1,52 @@
+/**
+ * Mailer
+ * Sends email through the SMTP server of `schedulerConfig.email` (report deliveries, password reset links).
+ */
+
+const nodemailer = require('nodemailer');
+const schedulerConfig = require('../config/scheduler');
+
+const settings = schedulerConfig.email;
+
+// Deliberately loose: the SMTP server has the final word on an address
+const EMAIL_PATTERN = /^[^\s@<>,;]+@[^\s@<>,;]+$/;
+
+let transport = null;
+
+/**
+ * Get the SMTP transport (created on first use)
+ * @returns {Object} Nodemailer transport
+ */
+const getTransport = () => {
+    if (!transport) {
+        transport = nodemailer.createTransport({
+            host: settings.host,
+            port: settings.port,
+            secure: settings.secure,
+            ...(settings.user && { auth: { user: settings.user, pass: settings.password } }),
+            connectionTimeout: settings.timeoutMs,
+            greetingTimeout: settings.timeoutMs,
+            socketTimeout: settings.timeoutMs
+        });
+    }
+    return transport;
+};
+
+/**
+ * Check that a value looks like an email address
+ * @param {*} value - Value
+ * @returns {boolean} Whether it is a string shaped like an address
+ */
+const isEmailAddress = (value) => typeof value === 'string' && EMAIL_PATTERN.test(value);
+
+/**
+ * Send an email from the configured sender
+ * @param {Object} message - Nodemailer message ({ to, cc, subject, text, attachments })
+ * @returns {Promise<Object>} Nodemailer result ({ messageId, ... })
+ */
+const sendMail = (message) => getTransport().sendMail({ from: settings.from, ...message });
+
+module.exports = {
+    isEmailAddress,
+    sendMail
+};
@@ -0,0 +1,53 @@
+/**
+ * Password hashing
+ * Passwords are stored as scrypt hashes with a random salt:
+ *   scrypt$<N>$<r>$<p>$<salt (base64)>$<hash (base64)>
+ * The cost parameters are stored with each hash, so raising them later does not break existing passwords.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+/**
+ * Hash a password
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash
+ */
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = await scrypt(password, salt, KEY_LENGTH, COST);
+    return ['scrypt', COST.N, COST.r, COST.p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * Check a password against an encoded hash
+ * @param {string} password - Plain text password
+ * @param {string} encoded - Hash from hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+const verifyPassword = async (password, encoded) => {
+    const [scheme, N, r, p, salt, hash] = String(encoded).split('$');
+    if (scheme !== 'scrypt' || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+// Compared against when the account does not exist, so a login takes as long for unknown emails
+const UNUSABLE_HASH = ['scrypt', COST.N, COST.r, COST.p, crypto.randomBytes(SALT_BYTES).toString('base64'),
+    crypto.randomBytes(KEY_LENGTH).toString('base64')].join('$');
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    UNUSABLE_HASH
+};
@@ -0,0 +1,412 @@
+/**
+ * PDF documents
+ * Building blocks of the PDF exports: title block, page footers, headings, paragraphs, key figures, tables and
+ * charts (bars, revenue bridge waterfall, shares) drawn as vector graphics with pdfkit. Only the PDF standard
+ * fonts are used, so documents are generated offline, without a browser or font files.
+ */
+
+const PDFDocument = require('pdfkit');
+const reportsConfig = require('../config/reports');
+
+const settings = reportsConfig.pdf;
+const { colors } = settings;
+
+// The standard fonts draw Latin-1 plus these characters (WinAnsi encoding); others are replaced
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+const REPLACEMENTS = { '\t': ' ', '→': '->', '←': '<-', '≥': '>=', '≤': '<=', '−': '-' };
+
+const compactCurrency = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    notation: 'compact',
+    maximumFractionDigits: 1
+});
+
+/**
+ * Make text drawable with the standard fonts
+ * @param {*} text - Text
+ * @returns {string} Text with unsupported characters replaced
+ */
+const toPdfText = (text) => String(text === null || text === undefined ? '' : text)
+    .replace(/[^\x20-\x7E\xA0-\xFF\n]/g, char => (WIN_ANSI_EXTRAS.includes(char) ? char : REPLACEMENTS[char] || '?'));
+
+/**
+ * Format an amount for chart labels ("$1.2M")
+ * @param {number} value - Amount
+ * @returns {string} Compact amount
+ */
+const formatCompactCurrency = (value) => compactCurrency.format(value);
+
+/**
+ * Width available for content on the current page
+ * @param {Object} doc - PDF document
+ * @returns {number} Width in points
+ */
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+/**
+ * Start a new page when the next block does not fit on the current one
+ * @param {Object} doc - PDF document
+ * @param {number} height - Height of the next block
+ */
+const ensureSpace = (doc, height) => {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+};
+
+/**
+ * Create a PDF document with its title block
+ * @param {Object} options - Document options
+ * @param {string} options.title - Title
+ * @param {string} options.subtitle - Subtitle (optional)
+ * @param {string} options.meta - Small print under the title, e.g. the snapshot read (optional)
+ * @param {Date} options.creationDate - Creation date stored in the file (defaults to now)
+ * @returns {Object} { doc, finish() }; finish() adds the page footers and resolves with the file as a Buffer
+ */
+const createPdf = ({ title, subtitle = null, meta = null, creationDate = null }) => {
+    const doc = new PDFDocument({
+        size: settings.size,
+        margin: settings.margin,
+        bufferPages: true,
+        info: {
+            Title: toPdfText(title),
+            Creator: 'Zenalyst Analytics',
+            ...(creationDate && { CreationDate: creationDate })
+        }
+    });
+
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(colors.text).text(toPdfText(title));
+    if (subtitle) doc.font('Helvetica').fontSize(12).fillColor(colors.muted).text(toPdfText(subtitle));
+    if (meta) doc.moveDown(0.3).fontSize(8).text(toPdfText(meta));
+    doc.moveDown(0.5);
+
+    const finish = () => {
+        const { start, count } = doc.bufferedPageRange();
+        for (let index = start; index < start + count; index++) {
+            doc.switchToPage(index);
+            // Writing inside the bottom margin would otherwise start a new page
+            const { bottom } = doc.page.margins;
+            doc.page.margins.bottom = 0;
+            doc.font('Helvetica').fontSize(8).fillColor(colors.muted).text(
+                toPdfText(`${title} · Page ${index - start + 1} of ${count}`),
+                doc.page.margins.left,
+                doc.page.height - bottom / 2 - 4,
+                { width: contentWidth(doc), align: 'center', lineBreak: false }
+            );
+            doc.page.margins.bottom = bottom;
+        }
+        doc.end();
+        return done;
+    };
+
+    return { doc, finish };
+};
+
+/**
+ * Write a section heading, moving to a new page when the heading would be left at the bottom of one
+ * @param {Object} doc - PDF document
+ * @param {string} text - Heading
+ */
+const heading = (doc, text) => {
+    ensureSpace(doc, 80);
+    doc.moveDown(0.6)
+        .font('Helvetica-Bold').fontSize(14).fillColor(colors.text)
+        .text(toPdfText(text), doc.page.margins.left, doc.y, { width: contentWidth(doc) });
+    doc.moveDown(0.3);
+};
+
+/**
+ * Write a paragraph
+ * @param {Object} doc - PDF document
+ * @param {string} text - Paragraph
+ * @param {Object} options - { muted, size }
+ */
+const paragraph = (doc, text, { muted = false, size = 10 } = {}) => {
+    doc.font('Helvetica').fontSize(size).fillColor(muted ? colors.muted : colors.text)
+        .text(toPdfText(text), doc.page.margins.left, doc.y, { width: contentWidth(doc), lineGap: 2 });
+    doc.moveDown(0.5);
+};
+
+/**
+ * Draw key figures as a row of boxes (four per row)
+ * @param {Object} doc - PDF document
+ * @param {Array} items - Figures ({ label, value })
+ */
+const keyFigures = (doc, items) => {
+    const perRow = 4;
+    const gap = 8;
+    const boxHeight = 44;
+    const left = doc.page.margins.left;
+    const boxWidth = (contentWidth(doc) - gap * (perRow - 1)) / perRow;
+
+    for (let offset = 0; offset < items.length; offset += perRow) {
+        ensureSpace(doc, boxHeight + gap);
+        const top = doc.y;
+        items.slice(offset, offset + perRow).forEach((item, index) => {
+            const x = left + index * (boxWidth + gap);
+            doc.roundedRect(x, top, boxWidth, boxHeight, 4).fillAndStroke(colors.tableHeader, colors.grid);
+            doc.font('Helvetica').fontSize(8).fillColor(colors.muted)
+                .text(toPdfText(item.label), x + 8, top + 8, { width: boxWidth - 16, lineBreak: false, ellipsis: true });
+            doc.font('Helvetica-Bold').fontSize(13).fillColor(colors.text)
+                .text(toPdfText(item.value), x + 8, top + 21, { width: boxWidth - 16, lineBreak: false, ellipsis: true });
+        });
+        doc.y = top + boxHeight + gap;
+    }
+    doc.moveDown(0.3);
+};
+
+/**
+ * Draw a table; the header row is repeated when the table continues on a new page
+ * @param {Object} doc - PDF document
+ * @param {Object} options - Table options
+ * @param {Array} options.columns - Columns ({ header, value(row) => text, width (relative), align })
+ * @param {Array} options.rows - Rows
+ * @param {Function} options.highlight - Returns true for rows to highlight (optional)
+ */
+const table = (doc, { columns, rows, highlight = () => false }) => {
+    const padding = 4;
+    const left = doc.page.margins.left;
+    const totalWeight = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+    const widths = columns.map(column => (contentWidth(doc) * (column.width || 1)) / totalWeight);
+
+    const rowHeight = (cells, font) => {
+        doc.font(font).fontSize(8);
+        return Math.max(...cells.map((cell, index) => doc.heightOfString(cell, { width: widths[index] - padding * 2 }))) + padding * 2;
+    };
+
+    const drawRow = (cells, { font = 'Helvetica', fill = null } = {}) => {
+        const height = rowHeight(cells, font);
+        const top = doc.y;
+        if (fill) doc.rect(left, top, contentWidth(doc), height).fill(fill);
+        let x = left;
+        cells.forEach((cell, index) => {
+            doc.font(font).fontSize(8).fillColor(colors.text)
+                .text(cell, x + padding, top + padding, { width: widths[index] - padding * 2, align: columns[index].align || 'left' });
+            x += widths[index];
+        });
+        doc.moveTo(left, top + height).lineTo(left + contentWidth(doc), top + height).lineWidth(0.5).stroke(colors.grid);
+        doc.y = top + height;
+    };
+
+    const header = columns.map(column => toPdfText(column.header));
+    const drawHeader = () => drawRow(header, { font: 'Helvetica-Bold', fill: colors.tableHeader });
+
+    // Keep the header with the first rows (the whole table when it is short)
+    ensureSpace(doc, rowHeight(header, 'Helvetica-Bold') * (Math.min(rows.length, 4) + 1));
+    drawHeader();
+    rows.forEach(row => {
+        const cells = columns.map(column => toPdfText(column.value(row)));
+        if (doc.y + rowHeight(cells, 'Helvetica') > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            drawHeader();
+        }
+        drawRow(cells, { fill: highlight(row) ? colors.tableHighlight : null });
+    });
+
+    doc.x = left;
+    doc.moveDown(0.8);
+};
+
+/**
+ * Choose a value axis with round tick values covering zero and the values
+ * @param {Array<number>} values - Values to show
+ * @param {number} count - Approximate number of intervals
+ * @returns {Object} { min, max, ticks }
+ */
+const buildAxis = (values, count = 4) => {
+    let min = Math.min(0, ...values);
+    let max = Math.max(0, ...values);
+    if (min === max) max = min + 1;
+
+    const raw = (max - min) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(raw));
+    const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= raw);
+    min = Math.floor(min / step) * step;
+    max = Math.ceil(max / step) * step;
+
+    const ticks = [];
+    for (let tick = min; tick <= max + step / 2; tick += step) ticks.push(tick);
+    return { min, max, ticks };
+};
+
+/**
+ * Draw the frame of a chart: title, value axis, grid lines and tick labels
+ * @param {Object} doc - PDF document
+ * @param {Object} options - { title, values, height }
+ * @returns {Object} Plot area ({ left, top, width, height, y(value) })
+ */
+const drawChartFrame = (doc, { title, values, height }) => {
+    const axisWidth = 48;
+    const labelsHeight = 26;
+    ensureSpace(doc, height + (title ? 20 : 0) + 10);
+
+    if (title) {
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(colors.text)
+            .text(toPdfText(title), doc.page.margins.left, doc.y, { width: contentWidth(doc) });
+        doc.moveDown(0.4);
+    }
+
+    const axis = buildAxis(values);
+    const plot = {
+        left: doc.page.margins.left + axisWidth,
+        top: doc.y + 6,
+        width: contentWidth(doc) - axisWidth,
+        height: height - labelsHeight - 6
+    };
+    plot.y = (value) => plot.top + plot.height - ((value - axis.min) / (axis.max - axis.min)) * plot.height;
+
+    axis.ticks.forEach(tick => {
+        const y = plot.y(tick);
+        doc.moveTo(plot.left, y).lineTo(plot.left + plot.width, y).lineWidth(tick === 0 ? 0.8 : 0.4)
+            .stroke(tick === 0 ? colors.muted : colors.grid);
+        doc.font('Helvetica').fontSize(7).fillColor(colors.muted)
+            .text(formatCompactCurrency(tick), doc.page.margins.left, y - 3.5, { width: axisWidth - 6, align: 'right', lineBreak: false });
+    });
+
+    return plot;
+};
+
+/**
+ * Write the category labels under the bars of a chart
+ * @param {Object} doc - PDF document
+ * @param {Object} plot - Plot area
+ * @param {Array<string>} labels - Labels
+ */
+const drawCategoryLabels = (doc, plot, labels) => {
+    const slot = plot.width / labels.length;
+    // Long series only label every n-th bar
+    const every = Math.ceil(labels.length / 12);
+    labels.forEach((label, index) => {
+        if (index % every !== 0) return;
+        doc.font('Helvetica').fontSize(7).fillColor(colors.text)
+            .text(toPdfText(label), plot.left + index * slot, plot.top + plot.height + 4, { width: slot * every, align: every > 1 ? 'left' : 'center', height: 18, ellipsis: true });
+    });
+};
+
+/**
+ * Draw a column chart
+ * @param {Object} doc - PDF document
+ * @param {Object} options - Chart options
+ * @param {string} options.title - Chart title (optional)
+ * @param {Array} options.items - Columns ({ label, value, highlight })
+ * @param {number} options.height - Chart height in points
+ */
+const barChart = (doc, { title = null, items, height = 190 }) => {
+    if (items.length === 0) return;
+    const plot = drawChartFrame(doc, { title, values: items.map(item => item.value), height });
+    const slot = plot.width / items.length;
+    const barWidth = Math.min(slot * 0.6, 48);
+
+    items.forEach((item, index) => {
+        const x = plot.left + index * slot + (slot - barWidth) / 2;
+        const top = Math.min(plot.y(item.value), plot.y(0));
+        doc.rect(x, top, barWidth, Math.max(Math.abs(plot.y(0) - plot.y(item.value)), 0.5))
+            .fill(item.highlight ? colors.highlight : colors.bar);
+        if (items.length <= 12) {
+            doc.font('Helvetica').fontSize(6.5).fillColor(colors.muted)
+                .text(formatCompactCurrency(item.value), x - 10, top - 9, { width: barWidth + 20, align: 'center', lineBreak: false });
+        }
+    });
+    drawCategoryLabels(doc, plot, items.map(item => item.label));
+
+    doc.x = doc.page.margins.left;
+    doc.y = plot.top + height - 6;
+    doc.moveDown(0.5);
+};
+
+/**
+ * Draw a revenue bridge waterfall: start and end totals with a floating bar per movement
+ * @param {Object} doc - PDF document
+ * @param {Object} options - Chart options
+ * @param {string} options.title - Chart title (optional)
+ * @param {Array} options.steps - Waterfall steps ({ label, type (start, increase, decrease, end), value, start, end })
+ * @param {number} options.height - Chart height in points
+ */
+const waterfallChart = (doc, { title = null, steps, height = 210 }) => {
+    if (steps.length === 0) return;
+    const plot = drawChartFrame(doc, { title, values: steps.flatMap(step => [step.start, step.end]), height });
+    const slot = plot.width / steps.length;
+    const barWidth = Math.min(slot * 0.6, 56);
+    const fills = { start: colors.total, end: colors.total, increase: colors.increase, decrease: colors.decrease };
+
+    steps.forEach((step, index) => {
+        const x = plot.left + index * slot + (slot - barWidth) / 2;
+        const top = Math.min(plot.y(step.start), plot.y(step.end));
+        doc.rect(x, top, barWidth, Math.max(Math.abs(plot.y(step.start) - plot.y(step.end)), 0.5)).fill(fills[step.type]);
+
+        const isTotal = step.type === 'start' || step.type === 'end';
+        const label = isTotal ? formatCompactCurrency(step.value) : `${step.value >= 0 ? '+' : ''}${formatCompactCurrency(step.value)}`;
+        doc.font('Helvetica').fontSize(6.5).fillColor(colors.muted)
+            .text(label, x - 10, top - 9, { width: barWidth + 20, align: 'center', lineBreak: false });
+
+        // Connector from the running total after this step to the next bar
+        if (index < steps.length - 1) {
+            const y = plot.y(step.end);
+            doc.moveTo(x + barWidth, y).lineTo(x + slot, y).lineWidth(0.5).dash(2, { space: 2 }).stroke(colors.muted).undash();
+        }
+    });
+    drawCategoryLabels(doc, plot, steps.map(step => step.label));
+
+    doc.x = doc.page.margins.left;
+    doc.y = plot.top + height - 6;
+    doc.moveDown(0.5);
+};
+
+/**
+ * Draw shares as horizontal bars, largest first as given
+ * @param {Object} doc - PDF document
+ * @param {Object} options - Chart options
+ * @param {string} options.title - Chart title (optional)
+ * @param {Array} options.items - Shares ({ label, share (percent), formatted, highlight })
+ */
+const shareChart = (doc, { title = null, items }) => {
+    if (items.length === 0) return;
+    const rowHeight = 16;
+    const labelWidth = 120;
+    const valueWidth = 50;
+    const left = doc.page.margins.left;
+    const barArea = contentWidth(doc) - labelWidth - valueWidth;
+    const maxShare = Math.max(...items.map(item => item.share), 1);
+
+    ensureSpace(doc, items.length * rowHeight + (title ? 20 : 0) + 10);
+    if (title) {
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(colors.text).text(toPdfText(title), left, doc.y, { width: contentWidth(doc) });
+        doc.moveDown(0.4);
+    }
+
+    const top = doc.y;
+    items.forEach((item, index) => {
+        const y = top + index * rowHeight;
+        const barLength = Math.max((item.share / maxShare) * barArea, 0.5);
+        doc.font(item.highlight ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(colors.text)
+            .text(toPdfText(item.label), left, y + 3, { width: labelWidth - 8, lineBreak: false, ellipsis: true });
+        doc.rect(left + labelWidth, y + 2, barLength, rowHeight - 5).fill(item.highlight ? colors.highlight : colors.bar);
+        doc.font('Helvetica').fontSize(8).fillColor(colors.muted)
+            .text(toPdfText(item.formatted), left + labelWidth + barLength + 4, y + 3, { width: valueWidth, lineBreak: false });
+    });
+
+    doc.x = left;
+    doc.y = top + items.length * rowHeight;
+    doc.moveDown(0.8);
+};
+
+module.exports = {
+    toPdfText,
+    formatCompactCurrency,
+    createPdf,
+    heading,
+    paragraph,
+    keyFigures,
+    table,
+    barChart,
+    waterfallChart,
+    shareChart
+};
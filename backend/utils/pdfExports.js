@@ -0,0 +1,322 @@
+/**
+ * PDF exports
+ * Page layouts of the printable pack: dashboard summary, customer page, country page and executive report.
+ * Each function takes the data returned by the services and resolves with the PDF file as a Buffer.
+ */
+
+const { transformData } = require('./responseHandler');
+const { formatPeriodLabel } = require('./periods');
+const { numberSentences, formatValues } = require('./reportRenderer');
+const {
+    createPdf,
+    formatCompactCurrency,
+    heading,
+    paragraph,
+    keyFigures,
+    table,
+    barChart,
+    waterfallChart,
+    shareChart
+} = require('./pdfDocument');
+
+const { formatCurrency, formatPercentage } = transformData;
+
+const GROWTH_LABELS = { positive: 'Growing', negative: 'Declining', neutral: 'Unchanged' };
+
+/**
+ * Describe where the figures of an export come from
+ * @param {Object|null} snapshot - Snapshot read ({ version, createdAt })
+ * @param {Date} generatedAt - Generation time (optional)
+ * @returns {string} Small print for the title block
+ */
+const describeSource = (snapshot, generatedAt = null) => [
+    snapshot
+        ? `Dataset snapshot v${snapshot.version}, imported ${new Date(snapshot.createdAt).toISOString()}.`
+        : 'Dataset without snapshot (no import has been made yet).',
+    generatedAt ? `Generated ${generatedAt.toISOString()}.` : null
+].filter(Boolean).join(' ');
+
+/**
+ * Draw the revenue bridge waterfall with its table of steps
+ * @param {Object} doc - PDF document
+ * @param {Object} waterfall - revenueService.getBridgeWaterfall result
+ * @param {string} emptyMessage - Shown when there are no movements
+ */
+const drawBridge = (doc, waterfall, emptyMessage) => {
+    if (!waterfall.startPeriod || waterfall.steps.every(step => step.value === 0)) {
+        paragraph(doc, emptyMessage, { muted: true });
+        return;
+    }
+
+    waterfallChart(doc, { steps: waterfall.steps });
+    table(doc, {
+        columns: [
+            { header: 'Step', value: step => step.label, width: 3 },
+            { header: 'Amount', value: step => step.formattedValue, width: 2, align: 'right' },
+            { header: 'Running total', value: step => formatCurrency(step.end), width: 2, align: 'right' },
+            { header: 'Customers', value: step => (step.customers === undefined ? '' : step.customers), width: 1, align: 'right' }
+        ],
+        rows: waterfall.steps
+    });
+    if (!waterfall.reconciliation.reconciled) {
+        paragraph(doc, `The movements leave ${waterfall.reconciliation.formattedResidual} unexplained between the start and end revenue.`, { muted: true, size: 8 });
+    }
+};
+
+/**
+ * Render the dashboard summary
+ * @param {Object} data - Dashboard data
+ * @param {Object} data.dashboard - analyticsService.getDashboardSummary result
+ * @param {Array} data.quarterly - revenueService.getQuarterlyRevenue result
+ * @param {Object} data.waterfall - revenueService.getBridgeWaterfall result
+ * @param {Array} data.countryShares - countriesService.getRevenueShareByCountry result
+ * @param {Object} data.topCustomers - customersService.getCustomerConcentrationRisk result
+ * @param {Object|null} data.snapshot - Snapshot read
+ * @param {Date} data.generatedAt - Generation time
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderDashboardPdf = ({ dashboard, quarterly, waterfall, countryShares, topCustomers, snapshot, generatedAt }) => {
+    const { revenue, retention, customerStats, regions } = dashboard;
+    const { doc, finish } = createPdf({
+        title: 'Revenue Dashboard',
+        subtitle: revenue.fromPeriodLabel ? `${revenue.fromPeriodLabel} to ${revenue.toPeriodLabel}` : revenue.toPeriodLabel,
+        meta: describeSource(snapshot, generatedAt)
+    });
+
+    keyFigures(doc, [
+        { label: `${revenue.toPeriodLabel} revenue`, value: formatCompactCurrency(revenue.toRevenue) },
+        { label: revenue.fromPeriodLabel ? `Change vs ${revenue.fromPeriodLabel}` : 'Change', value: `${revenue.percentageVariance >= 0 ? '+' : ''}${revenue.formattedPercentage}` },
+        { label: 'Net revenue retention', value: retention.overall.formattedNrr },
+        { label: 'Gross revenue retention', value: retention.overall.formattedGrr },
+        { label: 'Customers', value: customerStats.totalCustomers },
+        { label: 'Growing customers', value: `${customerStats.customersWithGrowth} (${formatPercentage(customerStats.growthPercentage)})` },
+        { label: 'Logo churn', value: retention.overall.formattedLogoChurnRate },
+        { label: 'Largest country', value: countryShares.length ? countryShares[0].countryName : 'N/A' }
+    ]);
+
+    heading(doc, 'Quarterly revenue');
+    barChart(doc, {
+        items: quarterly.map(period => ({
+            label: period.label,
+            value: period.revenue,
+            highlight: period.period === revenue.toPeriod
+        }))
+    });
+    table(doc, {
+        columns: [
+            { header: 'Period', value: period => period.label, width: 2 },
+            { header: 'Revenue', value: period => period.formattedRevenue, width: 2, align: 'right' },
+            { header: 'Change', value: period => period.formattedChange || '', width: 2, align: 'right' },
+            { header: 'Change %', value: period => period.formattedPercentageChange || '', width: 1, align: 'right' }
+        ],
+        rows: quarterly
+    });
+
+    heading(doc, 'Revenue bridge');
+    drawBridge(doc, waterfall, 'No revenue bridge data is available.');
+
+    heading(doc, 'Revenue share by country');
+    shareChart(doc, {
+        items: countryShares.map(country => ({
+            label: country.countryName,
+            share: country.percentage,
+            formatted: country.formattedPercentage
+        }))
+    });
+    table(doc, {
+        columns: [
+            { header: 'Country', value: country => country.countryName, width: 3 },
+            { header: 'Revenue', value: country => country.formattedRevenue, width: 2, align: 'right' },
+            { header: 'Share', value: country => country.formattedPercentage, width: 1, align: 'right' }
+        ],
+        rows: countryShares
+    });
+
+    heading(doc, 'Top customers');
+    table(doc, {
+        columns: [
+            { header: 'Rank', value: customer => customer.rank, width: 0.6, align: 'right' },
+            { header: 'Customer', value: customer => customer.customerName, width: 3 },
+            { header: 'Total revenue', value: customer => customer.formattedRevenue, width: 2, align: 'right' },
+            { header: 'Share', value: customer => customer.formattedShare, width: 1, align: 'right' },
+            { header: 'Cumulative', value: customer => customer.formattedCumulativeShare, width: 1, align: 'right' },
+            { header: 'Class', value: customer => customer.abcClass, width: 0.6 }
+        ],
+        rows: topCustomers.customers
+    });
+
+    heading(doc, 'Retention by segment');
+    table(doc, {
+        columns: [
+            { header: 'Segment', value: segment => segment.label, width: 2 },
+            { header: 'Customers', value: segment => segment.customers, width: 1, align: 'right' },
+            { header: 'NRR', value: segment => segment.formattedNrr, width: 1, align: 'right' },
+            { header: 'GRR', value: segment => segment.formattedGrr, width: 1, align: 'right' },
+            { header: 'Logo churn', value: segment => segment.formattedLogoChurnRate, width: 1, align: 'right' },
+            { header: 'Expansion', value: segment => segment.formattedExpansionRate, width: 1, align: 'right' }
+        ],
+        rows: [{ label: 'All customers', ...retention.overall }, ...retention.segments],
+        highlight: segment => segment.segment === undefined
+    });
+
+    heading(doc, 'Regions');
+    table(doc, {
+        columns: [
+            { header: 'Region', value: region => region.regionName, width: 2 },
+            { header: 'Revenue', value: region => (region.hasData ? region.formattedRevenue : 'No data'), width: 2, align: 'right' },
+            { header: 'Share', value: region => (region.hasData ? region.formattedPercentage : ''), width: 1, align: 'right' }
+        ],
+        rows: regions.regions
+    });
+
+    return finish();
+};
+
+/**
+ * Render a customer page
+ * @param {Object} data - Customer data
+ * @param {Object} data.customer - customersService.getCustomerByName result
+ * @param {Object} data.waterfall - revenueService.getBridgeWaterfall result for the customer
+ * @param {Object|null} data.concentration - The customer's row of customersService.getCustomerConcentrationRisk
+ * @param {Object|null} data.snapshot - Snapshot read
+ * @param {Date} data.generatedAt - Generation time
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderCustomerPdf = ({ customer, waterfall, concentration, snapshot, generatedAt }) => {
+    const { doc, finish } = createPdf({
+        title: customer.customerName,
+        subtitle: 'Customer report',
+        meta: describeSource(snapshot, generatedAt)
+    });
+
+    keyFigures(doc, [
+        { label: `${customer.toPeriod ? formatPeriodLabel(customer.toPeriod) : 'Latest'} revenue`, value: customer.formattedToRevenue },
+        { label: `${customer.fromPeriod ? formatPeriodLabel(customer.fromPeriod) : 'Previous'} revenue`, value: customer.formattedFromRevenue },
+        { label: 'Change', value: `${customer.percentageVariance >= 0 ? '+' : ''}${customer.formattedPercentage}` },
+        { label: 'Status', value: GROWTH_LABELS[customer.growthStatus] },
+        ...(concentration ? [
+            { label: 'Total revenue', value: concentration.formattedRevenue },
+            { label: 'Share of all revenue', value: concentration.formattedShare },
+            { label: 'Revenue rank', value: `#${concentration.rank}` },
+            { label: 'ABC class', value: concentration.abcClass }
+        ] : [])
+    ]);
+
+    heading(doc, 'Quarterly revenue');
+    barChart(doc, {
+        items: customer.series.map(period => ({
+            label: period.label,
+            value: period.revenue,
+            highlight: period.period === customer.toPeriod
+        }))
+    });
+    table(doc, {
+        columns: [
+            { header: 'Period', value: period => period.label, width: 2 },
+            { header: 'Revenue', value: period => period.formattedRevenue, width: 2, align: 'right' },
+            { header: 'Change', value: period => period.formattedChange, width: 2, align: 'right' }
+        ],
+        rows: customer.series.map((period, index) => ({
+            ...period,
+            formattedChange: index > 0 ? formatCurrency(period.revenue - customer.series[index - 1].revenue) : ''
+        }))
+    });
+
+    heading(doc, 'Revenue bridge');
+    drawBridge(doc, waterfall, 'The revenue bridge has no movements for this customer.');
+
+    return finish();
+};
+
+/**
+ * Render a country page
+ * @param {Object} data - Country data
+ * @param {Object} data.country - The country's row of countriesService.getCountryConcentrationRisk
+ * @param {Object} data.concentration - countriesService.getCountryConcentrationRisk result
+ * @param {Array} data.shares - Country shares for the chart ({ countryName, percentage, formattedPercentage })
+ * @param {Object|null} data.snapshot - Snapshot read
+ * @param {Date} data.generatedAt - Generation time
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderCountryPdf = ({ country, concentration, shares, snapshot, generatedAt }) => {
+    const { doc, finish } = createPdf({
+        title: country.countryName,
+        subtitle: 'Country report',
+        meta: describeSource(snapshot, generatedAt)
+    });
+
+    keyFigures(doc, [
+        { label: 'Revenue', value: country.formattedRevenue },
+        { label: 'Share of all revenue', value: country.formattedShare },
+        { label: 'Revenue rank', value: `#${country.rank} of ${concentration.count}` },
+        { label: 'ABC class', value: country.abcClass }
+    ]);
+
+    heading(doc, 'Revenue share by country');
+    shareChart(doc, {
+        items: shares.map(share => ({
+            label: share.countryName,
+            share: share.percentage,
+            formatted: share.formattedPercentage,
+            highlight: share.countryName === country.countryName
+        }))
+    });
+    paragraph(doc, `Country concentration risk is ${concentration.risk.level} (HHI ${Math.round(concentration.hhi)}, Gini ${concentration.gini.toFixed(3)}).`
+        + concentration.risk.flags.map(flag => ` ${flag.message}.`).join(''), { muted: true, size: 8 });
+
+    heading(doc, 'All countries');
+    table(doc, {
+        columns: [
+            { header: 'Rank', value: row => row.rank, width: 0.6, align: 'right' },
+            { header: 'Country', value: row => row.countryName, width: 3 },
+            { header: 'Revenue', value: row => row.formattedRevenue, width: 2, align: 'right' },
+            { header: 'Share', value: row => row.formattedShare, width: 1, align: 'right' },
+            { header: 'Cumulative', value: row => row.formattedCumulativeShare, width: 1, align: 'right' },
+            { header: 'Class', value: row => row.abcClass, width: 0.6 }
+        ],
+        rows: concentration.countries,
+        highlight: row => row.countryName === country.countryName
+    });
+
+    return finish();
+};
+
+/**
+ * Render the executive report. The file is dated with the snapshot, so the same snapshot gives the same file.
+ * @param {Object} report - reportsService.getExecutiveReport result
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderReportPdf = (report) => {
+    const { doc, finish } = createPdf({
+        title: report.title,
+        subtitle: report.subtitle,
+        meta: `${describeSource(report.snapshot)} Checksum ${report.checksum}.`,
+        creationDate: report.snapshot ? new Date(report.snapshot.createdAt) : new Date(0)
+    });
+
+    const sections = numberSentences(report);
+    sections.forEach((section, index) => {
+        heading(doc, `${index + 1}. ${section.title}`);
+        paragraph(doc, section.sentences.map(item => `${item.text} [${item.number}]`).join(' '));
+    });
+
+    heading(doc, 'Sources');
+    table(doc, {
+        columns: [
+            { header: '#', value: item => item.number, width: 0.4, align: 'right' },
+            { header: 'Source', value: item => item.source, width: 2.4 },
+            { header: 'Figures', value: item => formatValues(item.figures), width: 4 },
+            { header: 'Thresholds', value: item => formatValues(item.thresholds), width: 2 }
+        ],
+        rows: sections.flatMap(section => section.sentences)
+    });
+
+    return finish();
+};
+
+module.exports = {
+    renderDashboardPdf,
+    renderCustomerPdf,
+    renderCountryPdf,
+    renderReportPdf
+};
@@ -0,0 +1,181 @@
+/**
+ * Period utilities
+ * Parses, orders and labels the reporting periods used by the revenue time-series store.
+ *
+ * Periods are identified by sortable keys:
+ *   - quarters: "YYYY-Qn" (e.g. "2024-Q3")
+ *   - months:   "YYYY-MM" (e.g. "2024-07")
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_FULL_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const QUARTER_KEY_PATTERN = /^(\d{4})-Q([1-4])$/;
+const MONTH_KEY_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+/**
+ * Build a period descriptor
+ * @param {string} granularity - 'quarter' or 'month'
+ * @param {number} year - Calendar/fiscal year
+ * @param {number} index - Quarter (1-4) or month (1-12) number
+ * @returns {Object} Period descriptor
+ */
+const buildPeriod = (granularity, year, index) => {
+    const key = granularity === 'quarter'
+        ? `${year}-Q${index}`
+        : `${year}-${String(index).padStart(2, '0')}`;
+
+    return { key, granularity, year, index };
+};
+
+/**
+ * Parse a period key such as "2024-Q3" or "2024-07"
+ * @param {string} key - Period key
+ * @returns {Object|null} Period descriptor or null when the key is invalid
+ */
+const parsePeriodKey = (key) => {
+    if (typeof key !== 'string') return null;
+
+    const quarterMatch = key.trim().toUpperCase().match(QUARTER_KEY_PATTERN);
+    if (quarterMatch) {
+        return buildPeriod('quarter', parseInt(quarterMatch[1]), parseInt(quarterMatch[2]));
+    }
+
+    const monthMatch = key.trim().match(MONTH_KEY_PATTERN);
+    if (monthMatch) {
+        return buildPeriod('month', parseInt(monthMatch[1]), parseInt(monthMatch[2]));
+    }
+
+    return null;
+};
+
+/**
+ * Check whether a value is a valid period key
+ * @param {string} key - Period key
+ * @returns {boolean} True when the key can be parsed
+ */
+const isValidPeriodKey = (key) => parsePeriodKey(key) !== null;
+
+/**
+ * Parse a dataset column name into a period descriptor.
+ * Recognises the legacy "Quarter 3 Revenue" layout (year taken from defaultYear) as well as
+ * year-qualified columns like "Q1 2025 Revenue", "2025-Q1 Revenue", "Jan 2025 Revenue" or "2025-01 Revenue".
+ * @param {string} column - Column name
+ * @param {Object} options - Parse options
+ * @param {number} options.defaultYear - Year used when the column does not carry one
+ * @returns {Object|null} Period descriptor or null when the column is not a revenue period
+ */
+const parsePeriodColumn = (column, options = {}) => {
+    if (typeof column !== 'string') return null;
+
+    const { defaultYear } = options;
+    const match = column.trim().match(/^(.+?)\s+revenue$/i);
+    if (!match) return null;
+
+    const label = match[1].trim().toLowerCase();
+    let parts;
+
+    // "Quarter 3" / "Quarter 3 2025" / "Q3" / "Q3 2025" / "Q3-2025"
+    parts = label.match(/^(?:quarter|q)\s*([1-4])(?:[\s-]+(\d{4}))?$/);
+    if (parts) {
+        const year = parts[2] ? parseInt(parts[2]) : defaultYear;
+        return year ? buildPeriod('quarter', year, parseInt(parts[1])) : null;
+    }
+
+    // "2025 Q1" / "2025-Q1"
+    parts = label.match(/^(\d{4})[\s-]*q([1-4])$/);
+    if (parts) {
+        return buildPeriod('quarter', parseInt(parts[1]), parseInt(parts[2]));
+    }
+
+    // "2025-01"
+    parts = label.match(/^(\d{4})-(0[1-9]|1[0-2])$/);
+    if (parts) {
+        return buildPeriod('month', parseInt(parts[1]), parseInt(parts[2]));
+    }
+
+    // "Jan 2025" / "January 2025" / "Jan-2025"
+    parts = label.match(/^([a-z]+)[\s-]+(\d{4})$/);
+    if (parts) {
+        const monthIndex = MONTH_NAMES.indexOf(parts[1]) !== -1
+            ? MONTH_NAMES.indexOf(parts[1])
+            : MONTH_FULL_NAMES.indexOf(parts[1]);
+        if (monthIndex !== -1) {
+            return buildPeriod('month', parseInt(parts[2]), monthIndex + 1);
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Compare two period keys chronologically
+ * @param {string} a - First period key
+ * @param {string} b - Second period key
+ * @returns {number} Negative, zero or positive like Array.prototype.sort expects
+ */
+const comparePeriods = (a, b) => {
+    const periodA = parsePeriodKey(a);
+    const periodB = parsePeriodKey(b);
+
+    if (!periodA || !periodB) return String(a).localeCompare(String(b));
+    if (periodA.year !== periodB.year) return periodA.year - periodB.year;
+
+    // Compare on a monthly scale so quarters and months interleave sensibly
+    const scaledA = periodA.granularity === 'quarter' ? periodA.index * 3 : periodA.index;
+    const scaledB = periodB.granularity === 'quarter' ? periodB.index * 3 : periodB.index;
+    return scaledA - scaledB;
+};
+
+/**
+ * Get a human readable label for a period key
+ * @param {string} key - Period key
+ * @returns {string} Label such as "Q3 2024" or "Jul 2024"
+ */
+const formatPeriodLabel = (key) => {
+    const period = parsePeriodKey(key);
+    if (!period) return String(key);
+
+    if (period.granularity === 'quarter') {
+        return `Q${period.index} ${period.year}`;
+    }
+
+    const monthName = MONTH_NAMES[period.index - 1];
+    return `${monthName.charAt(0).toUpperCase()}${monthName.slice(1)} ${period.year}`;
+};
+
+/**
+ * Convert a wide dataset row (one column per period) into normalized period rows
+ * @param {Object} row - Source row containing "Customer Name" and period revenue columns
+ * @param {Object} options - Conversion options
+ * @param {number} options.defaultYear - Year used for columns without one
+ * @param {string} options.source - Dataset identifier stored on each row
+ * @returns {Array} Normalized revenue period rows
+ */
+const toPeriodRows = (row, options = {}) => {
+    const { source = null } = options;
+    const customerName = row['Customer Name'];
+    if (customerName === undefined || customerName === null) return [];
+
+    return Object.keys(row)
+        .map(column => ({ column, period: parsePeriodColumn(column, options) }))
+        .filter(({ period }) => period !== null)
+        .map(({ column, period }) => ({
+            customerName: String(customerName),
+            period: period.key,
+            granularity: period.granularity,
+            year: period.year,
+            index: period.index,
+            revenue: typeof row[column] === 'number' ? row[column] : parseFloat(row[column]) || 0,
+            source
+        }));
+};
+
+module.exports = {
+    parsePeriodKey,
+    isValidPeriodKey,
+    parsePeriodColumn,
+    comparePeriods,
+    formatPeriodLabel,
+    toPeriodRows
+};
@@ -0,0 +1,189 @@
+/**
+ * Prompt templates
+ * Prompts of the library can take parameters written as placeholders: "Compare {country} to {region} for {period}".
+ * Each placeholder is declared with a type; values are checked against the data (known countries, regions,
+ * customers and periods) before the template is filled in and sent to the query engine.
+ *
+ * Like the query parser, these functions are pure: the known names and periods are passed in as a vocabulary.
+ */
+
+const { formatPeriodLabel } = require('./periods');
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z][A-Za-z0-9_]*)\}/g;
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// Parameter types; names are checked against the vocabulary key of the same name
+const PARAMETER_TYPES = {
+    country: { vocabulary: 'countries', noun: 'country' },
+    region: { vocabulary: 'regions', noun: 'region' },
+    customer: { vocabulary: 'customers', noun: 'customer' },
+    period: { noun: 'period' },
+    number: { noun: 'number' },
+    text: { noun: 'text' }
+};
+
+/**
+ * List the placeholders of a template, in order of first use
+ * @param {string} template - Template text
+ * @returns {Array<string>} Placeholder names
+ */
+const extractPlaceholders = (template) => Array.from(new Set(
+    Array.from(template.matchAll(PLACEHOLDER_PATTERN), match => match[1])
+));
+
+/**
+ * Declare the parameters of a template that does not list them: a placeholder named after a type
+ * ({country}, {period}, ...) gets that type, any other one is text
+ * @param {string} template - Template text
+ * @returns {Array} Parameter definitions
+ */
+const inferParameters = (template) => extractPlaceholders(template).map(name => ({
+    name,
+    type: PARAMETER_TYPES[name] ? name : 'text',
+    required: true
+}));
+
+/**
+ * Check the parameter definitions of a template
+ * @param {string} template - Template text
+ * @param {Array} parameters - Parameter definitions ({ name, type, label, required, default })
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+const validateDefinitions = (template, parameters) => {
+    if (!Array.isArray(parameters)) return ['"parameters" must be an array'];
+
+    const errors = [];
+    const names = new Set();
+    parameters.forEach((parameter, index) => {
+        if (!parameter || typeof parameter !== 'object') {
+            errors.push(`parameters[${index}] must be an object`);
+            return;
+        }
+        if (typeof parameter.name !== 'string' || !NAME_PATTERN.test(parameter.name)) {
+            errors.push(`parameters[${index}].name must start with a letter and contain only letters, digits and "_"`);
+            return;
+        }
+        if (names.has(parameter.name)) errors.push(`Parameter "${parameter.name}" is declared twice`);
+        names.add(parameter.name);
+        if (!PARAMETER_TYPES[parameter.type]) {
+            errors.push(`Parameter "${parameter.name}" has an unknown type '${parameter.type}' (expected one of ${Object.keys(PARAMETER_TYPES).join(', ')})`);
+        }
+        if (parameter.label !== undefined && typeof parameter.label !== 'string') {
+            errors.push(`Parameter "${parameter.name}": "label" must be a string`);
+        }
+        if (parameter.required !== undefined && typeof parameter.required !== 'boolean') {
+            errors.push(`Parameter "${parameter.name}": "required" must be a boolean`);
+        }
+    });
+
+    const placeholders = extractPlaceholders(template);
+    placeholders.filter(name => !names.has(name))
+        .forEach(name => errors.push(`Placeholder {${name}} has no parameter declared`));
+    Array.from(names).filter(name => !placeholders.includes(name))
+        .forEach(name => errors.push(`Parameter "${name}" is not used in the template`));
+
+    return errors;
+};
+
+/**
+ * Check one parameter value and turn it into the text put in the template
+ * @param {Object} parameter - Parameter definition
+ * @param {*} value - Value
+ * @param {Object} vocabulary - { customers, countries, regions, periods }
+ * @param {Object} options - { maxValueLength }
+ * @returns {Object} { text, value } or { error }
+ */
+const resolveValue = (parameter, value, vocabulary, { maxValueLength }) => {
+    const { type, name } = parameter;
+
+    if (type === 'number') {
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        if (String(value).trim() === '' || !Number.isFinite(number)) {
+            return { error: `"${name}" must be a number` };
+        }
+        return { text: String(number), value: number };
+    }
+
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        return { error: `"${name}" must be a string` };
+    }
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    if (!text) return { error: `"${name}" must not be empty` };
+    if (text.length > maxValueLength) return { error: `"${name}" must be at most ${maxValueLength} characters` };
+
+    if (type === 'period') {
+        // Period keys ("2024-Q3") and labels ("Q3 2024") are both accepted; the label is what the parser reads
+        const key = vocabulary.periods.find(period => period.toLowerCase() === text.toLowerCase()
+            || formatPeriodLabel(period).toLowerCase() === text.toLowerCase());
+        if (!key) {
+            return { error: `"${name}" must be one of the available periods (${vocabulary.periods.map(formatPeriodLabel).join(', ')}), got '${text}'` };
+        }
+        return { text: formatPeriodLabel(key), value: key };
+    }
+
+    const { vocabulary: vocabularyKey, noun } = PARAMETER_TYPES[type];
+    if (vocabularyKey) {
+        const known = vocabulary[vocabularyKey].find(item => item.toLowerCase() === text.toLowerCase());
+        if (!known) return { error: `"${name}" must be a known ${noun}, got '${text}'` };
+        return { text: known, value: known };
+    }
+
+    return { text, value: text };
+};
+
+/**
+ * Fill in a template
+ * @param {Object} prompt - { template, parameters }
+ * @param {Object} values - Values by parameter name (defaults apply to missing ones)
+ * @param {Object} vocabulary - { customers, countries, regions, periods }
+ * @param {Object} options - { maxValueLength }
+ * @returns {Object} { text, values (normalised) } or { errors }
+ */
+const renderTemplate = ({ template, parameters }, values, vocabulary, options) => {
+    if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+        return { errors: ['"parameters" must be an object of values by parameter name'] };
+    }
+
+    const given = values || {};
+    const byName = new Map(parameters.map(parameter => [parameter.name, parameter]));
+    const errors = Object.keys(given).filter(name => !byName.has(name))
+        .map(name => `Unknown parameter "${name}" (expected ${parameters.map(parameter => parameter.name).join(', ') || 'none'})`);
+
+    const texts = {};
+    const resolved = {};
+    parameters.forEach(parameter => {
+        const value = given[parameter.name] !== undefined && given[parameter.name] !== null && given[parameter.name] !== ''
+            ? given[parameter.name]
+            : parameter.default;
+
+        if (value === undefined || value === null || value === '') {
+            if (parameter.required !== false) errors.push(`"${parameter.name}" is required`);
+            texts[parameter.name] = '';
+            return;
+        }
+
+        const result = resolveValue(parameter, value, vocabulary, options);
+        if (result.error) {
+            errors.push(result.error);
+            return;
+        }
+        texts[parameter.name] = result.text;
+        resolved[parameter.name] = result.value;
+    });
+
+    if (errors.length > 0) return { errors };
+
+    return {
+        // Optional parameters left empty leave no double spaces behind
+        text: template.replace(PLACEHOLDER_PATTERN, (match, name) => texts[name]).replace(/[ \t]{2,}/g, ' ').trim(),
+        values: resolved
+    };
+};
+
+module.exports = {
+    PARAMETER_TYPES,
+    extractPlaceholders,
+    inferParameters,
+    validateDefinitions,
+    renderTemplate
+};
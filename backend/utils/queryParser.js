@@ -0,0 +1,450 @@
+/**
+ * Natural-language query parser
+ * Turns a question such as "Which 3 customers declined the most between Q3 and Q4?" into a structured query:
+ * the entities it names (customers, countries, regions), the metrics, the ranking direction and size,
+ * numeric filters, the periods compared and the intents to answer.
+ *
+ * The parser is pure: the known entity names and periods are passed in as a vocabulary, and the words it
+ * recognises come from config/analytics.js. services/queryService.js compiles the result into service calls.
+ * In chat sessions the context of the previous question completes follow-ups (see applyContext).
+ *
+ * Intents:
+ *   - lookup:         details of one named customer, country or region
+ *   - ranking:        customers, countries or regions ordered by a metric, with filters and top/bottom N
+ *   - churn:          churned customers and logo churn
+ *   - bridge:         revenue bridge (new, expansion, churn, contraction) and the customers driving each movement
+ *   - retention:      NRR, GRR, logo churn and expansion rates
+ *   - concentration:  customer or country concentration risk
+ *   - trend:          revenue per period
+ *   - comparison:     total revenue between two periods
+ *   - overview:       nothing specific was recognised
+ */
+
+const analyticsConfig = require('../config/analytics');
+const { parsePeriodKey, comparePeriods } = require('./periods');
+
+const settings = analyticsConfig.query;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the regular expression source of a vocabulary term
+ * @param {string} term - Term ("churn*" matches words starting with "churn")
+ * @returns {string} Pattern source
+ */
+const termPattern = (term) => {
+    const isPrefix = term.endsWith('*');
+    const word = isPrefix ? term.slice(0, -1) : term;
+    const body = escapeRegex(word).replace(/\s+/g, '\\s+');
+    const lead = /^[a-z0-9]/.test(word) ? '(?<![a-z0-9])' : '';
+    const trail = isPrefix ? '[a-z0-9]*' : (/[a-z0-9]$/.test(word) ? '(?![a-z0-9])' : '');
+    return `${lead}${body}${trail}`;
+};
+
+/**
+ * Compile each group of terms into one regular expression
+ * @param {Object} groups - Map of group name to terms
+ * @returns {Object} Map of group name to RegExp
+ */
+const compileGroups = (groups) => Object.entries(groups).reduce((compiled, [name, terms]) => {
+    compiled[name] = new RegExp(terms.map(termPattern).join('|'), 'g');
+    return compiled;
+}, {});
+
+const SUBJECTS = compileGroups(settings.subjects);
+const METRICS = compileGroups(settings.metrics);
+const ORDERING = compileGroups(settings.ordering);
+
+const NUMBER_PATTERN = `\\d+|${Object.keys(settings.numberWords).join('|')}`;
+const SUBJECT_WORDS = '(?:customers?|clients?|accounts?|logos?|countries|country|markets?|regions?)';
+const LIMIT_PATTERNS = [
+    new RegExp(`(?<![a-z0-9])(?:top|bottom|first|last|best|worst|highest|lowest|largest|smallest|biggest)\\s+(${NUMBER_PATTERN})(?![a-z0-9])`),
+    new RegExp(`(?<![a-z0-9$.,])(${NUMBER_PATTERN})\\s+(?:[a-z]+\\s+){0,2}${SUBJECT_WORDS}(?![a-z])`)
+];
+
+const COMPARATORS = Object.entries(settings.comparators)
+    .flatMap(([operator, phrases]) => phrases.map(phrase => ({ operator, phrase })))
+    .sort((a, b) => b.phrase.length - a.phrase.length);
+const FILTER_PATTERN = new RegExp(
+    `(${COMPARATORS.map(({ phrase }) => termPattern(phrase)).join('|')})\\s*(?:of\\s+|by\\s+)?(-?)\\$?\\s*(\\d[\\d,]*(?:\\.\\d+)?)\\s*(${Object.keys(settings.amountSuffixes).join('|')}|%)?(?![a-z0-9])`,
+    'g'
+);
+
+const QUARTER_PATTERN = /(?<![a-z0-9])(?:(\d{4})\s*-?\s*q([1-4])|q([1-4])(?:\s*(?:fy\s*)?(\d{4})|\s*'(\d{2}))?)(?![a-z0-9])/g;
+const QUARTER_WORD_PATTERN = new RegExp(`(?<![a-z])(${Object.keys(settings.quarterWords).join('|')})\\s+quarter(?:\\s+(?:of\\s+)?(\\d{4}))?`, 'g');
+const MONTH_KEY_PATTERN = /(?<![0-9])(\d{4}-(?:0[1-9]|1[0-2]))(?![0-9])/g;
+
+const FLIPPED_OPERATORS = { gt: 'lt', gte: 'lte', lt: 'gt', lte: 'gte' };
+
+const ENTITY_TYPES = ['customers', 'countries', 'regions'];
+// Metrics that make a follow-up a new topic rather than a refinement of the previous question
+const TOPIC_METRICS = ['churn', 'newRevenue', 'expansion', 'contraction', 'bridge', 'retention', 'concentration', 'risk', 'trend'];
+const FOLLOW_UP = {
+    leading: new RegExp(`^(?:${settings.followUp.leading.map(termPattern).join('|')})`),
+    references: new RegExp(settings.followUp.references.map(termPattern).join('|'))
+};
+
+/**
+ * Normalize a question for matching
+ * @param {string} text - Question
+ * @returns {string} Lower-cased text with straight quotes and single spaces
+ */
+const normalizeText = (text) => String(text)
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Find every match of a regular expression
+ * @param {string} text - Text
+ * @param {RegExp} pattern - Global pattern
+ * @returns {Array} Matches
+ */
+const findAll = (text, pattern) => Array.from(text.matchAll(new RegExp(pattern.source, 'g')));
+
+/**
+ * Blank out a span of text so later matching skips it
+ * @param {string} text - Text
+ * @param {number} start - Span start
+ * @param {number} end - Span end
+ * @returns {string} Text with the span replaced by spaces
+ */
+const mask = (text, start, end) => text.slice(0, start) + ' '.repeat(end - start) + text.slice(end);
+
+/**
+ * Find the customers, countries and regions named in the text (longest names first, no overlaps).
+ * A name shared by a country and a region resolves to the region only when the text talks about regions.
+ * @param {string} text - Normalized text
+ * @param {Object} vocabulary - Known names ({ customers, countries, regions })
+ * @returns {Object} { entities, text } where text has the entity names masked
+ */
+const matchEntities = (text, vocabulary) => {
+    const prefersRegions = findAll(text, SUBJECTS.regions).length > 0;
+    const typeRank = prefersRegions
+        ? { regions: 0, countries: 1, customers: 2 }
+        : { countries: 0, regions: 1, customers: 2 };
+
+    const candidates = ENTITY_TYPES
+        .flatMap(type => (vocabulary[type] || []).map(name => ({ type, name })))
+        .filter(({ type, name }) => name && (type !== 'customers' || name.trim().length >= settings.minEntityNameLength))
+        .sort((a, b) => b.name.length - a.name.length || typeRank[a.type] - typeRank[b.type]);
+
+    const entities = { customers: [], countries: [], regions: [] };
+    let remaining = text;
+
+    candidates.forEach(({ type, name }) => {
+        const pattern = new RegExp(termPattern(normalizeText(name)), 'g');
+        const match = pattern.exec(remaining);
+        if (!match) return;
+
+        if (!entities[type].includes(name)) entities[type].push(name);
+        remaining = mask(remaining, match.index, match.index + match[0].length);
+    });
+
+    return { entities, text: remaining };
+};
+
+/**
+ * Find the periods named in the text; quarters without a year resolve to the latest available one
+ * @param {string} text - Normalized text
+ * @param {Array<string>} available - Available period keys
+ * @returns {Object} { periods (chronological, known keys), unknown (keys not in the data) }
+ */
+const matchPeriods = (text, available = []) => {
+    const requested = [];
+
+    const resolveQuarter = (quarter, year) => {
+        if (year) return `${year}-Q${quarter}`;
+        const candidates = available.filter(key => {
+            const period = parsePeriodKey(key);
+            return period && period.granularity === 'quarter' && period.index === quarter;
+        });
+        return candidates.length > 0 ? candidates[candidates.length - 1] : `Q${quarter}`;
+    };
+
+    findAll(text, QUARTER_PATTERN).forEach(match => {
+        const [, keyYear, keyQuarter, quarter, year, shortYear] = match;
+        requested.push({
+            index: match.index,
+            key: keyYear
+                ? `${keyYear}-Q${keyQuarter}`
+                : resolveQuarter(parseInt(quarter), year || (shortYear && `20${shortYear}`))
+        });
+    });
+    findAll(text, QUARTER_WORD_PATTERN).forEach(match => {
+        requested.push({ index: match.index, key: resolveQuarter(settings.quarterWords[match[1]], match[2]) });
+    });
+    findAll(text, MONTH_KEY_PATTERN).forEach(match => {
+        requested.push({ index: match.index, key: match[1] });
+    });
+
+    const keys = Array.from(new Set(requested.sort((a, b) => a.index - b.index).map(item => item.key)));
+    return {
+        periods: keys.filter(key => available.includes(key)).sort(comparePeriods),
+        unknown: keys.filter(key => !available.includes(key))
+    };
+};
+
+/**
+ * Parse a number or number word
+ * @param {string} value - Digits or a number word
+ * @returns {number} Number
+ */
+const parseNumber = (value) => (settings.numberWords[value] !== undefined ? settings.numberWords[value] : parseInt(value));
+
+/**
+ * Find the requested N ("top 5", "three customers")
+ * @param {string} text - Normalized text
+ * @returns {number|null} Limit, capped at the configured maximum
+ */
+const matchLimit = (text) => {
+    for (const pattern of LIMIT_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) {
+            return Math.min(Math.max(parseNumber(match[1]), 1), settings.maxLimit);
+        }
+    }
+    return null;
+};
+
+/**
+ * Find the metric words, keyed by metric, with the position of their first occurrence
+ * @param {string} text - Normalized text (entity names masked)
+ * @returns {Object} Map of metric to first index
+ */
+const matchMetrics = (text) => Object.entries(METRICS).reduce((found, [metric, pattern]) => {
+    const [first] = findAll(text, pattern);
+    if (first) found[metric] = first.index;
+    return found;
+}, {});
+
+/**
+ * Find numeric filters ("revenue above $100k", "declined by more than 10%").
+ * The field comes from the closest metric word before the comparison; a decline flips the comparison
+ * onto negative values, so "declined by more than 10%" becomes percentageVariance < -10.
+ * @param {string} text - Normalized text (entity names masked)
+ * @returns {Array} Filters ({ field, operator, value }) with field revenue, variance, percentageVariance or share
+ */
+const matchFilters = (text) => findAll(text, FILTER_PATTERN).map(match => {
+    const [, phrase, sign, digits, suffix] = match;
+    const { operator } = COMPARATORS.find(comparator => new RegExp(`^${termPattern(comparator.phrase)}$`).test(phrase));
+    const isPercent = suffix === '%';
+    const magnitude = parseFloat(digits.replace(/,/g, '')) * (isPercent || !suffix ? 1 : settings.amountSuffixes[suffix]);
+    const value = sign === '-' ? -magnitude : magnitude;
+
+    // Metric words in the clause before the comparison
+    const clause = text.slice(0, match.index).split(/[,;.?!]|\band\b|\bor\b/).pop();
+    const nearby = matchMetrics(clause);
+    const latest = ['revenue', 'growth', 'decline', 'change', 'share']
+        .filter(metric => nearby[metric] !== undefined)
+        .sort((a, b) => nearby[b] - nearby[a])[0];
+
+    let field = 'revenue';
+    if (latest === 'share') field = 'share';
+    else if (isPercent) field = 'percentageVariance';
+    else if (['growth', 'decline', 'change'].includes(latest)) field = 'variance';
+
+    if (latest === 'decline' && field !== 'share' && value > 0) {
+        return { field, operator: FLIPPED_OPERATORS[operator], value: -value };
+    }
+    return { field, operator, value };
+});
+
+/**
+ * Choose the subject of the question
+ * @param {string} text - Normalized text (entity names masked)
+ * @param {Object} entities - Matched entities
+ * @returns {string|null} customers, countries, regions or null
+ */
+const matchSubject = (text, entities) => {
+    const mentioned = Object.entries(SUBJECTS)
+        .map(([subject, pattern]) => ({ subject, match: findAll(text, pattern)[0] }))
+        .filter(item => item.match)
+        .sort((a, b) => a.match.index - b.match.index);
+    if (mentioned.length > 0) return mentioned[0].subject;
+
+    return ENTITY_TYPES.find(type => entities[type].length > 0) || null;
+};
+
+/**
+ * Complete a follow-up question with the context of the previous question in a chat session
+ * ("and what about Canada?", "show only the ones that churned").
+ * A question is a follow-up when it starts with a follow-up word, refers back to the previous answer, or names
+ * no subject, entity or topic of its own. It inherits the subject and periods; unless it asks about another topic
+ * (churn, retention, ...) it also inherits the metrics, ranking, filters and named entities, with its own values
+ * taking precedence. Referring back ("them", "those") scopes it to the names listed in the previous answer.
+ * @param {Object} query - Parsed query (without intents)
+ * @param {string} text - Normalized text (entity names masked)
+ * @param {Object} context - Context of the previous question (subject, metrics, polarity, order, limit,
+ *                           filters, periods, entities, referenced)
+ * @returns {Object} Query with `followUp` and `scope` set
+ */
+const applyContext = (query, text, context) => {
+    const hasEntities = ENTITY_TYPES.some(type => query.entities[type].length > 0);
+    const hasTopic = query.metrics.some(metric => TOPIC_METRICS.includes(metric));
+    const refersBack = findAll(text, FOLLOW_UP.references).length > 0;
+    const isFollowUp = Boolean(context)
+        && (FOLLOW_UP.leading.test(text) || refersBack || (!query.subject && !hasEntities && !hasTopic));
+
+    if (!isFollowUp) {
+        return { ...query, followUp: false, scope: null };
+    }
+
+    const subject = query.subject || context.subject || null;
+    const merged = {
+        ...query,
+        subject,
+        periods: query.periods.length > 0 || query.unknownPeriods.length > 0 ? query.periods : context.periods,
+        followUp: true,
+        scope: null
+    };
+
+    if (!hasTopic) {
+        // A restated direction replaces the previous one
+        const restatesPolarity = query.polarity !== null || ['growth', 'decline'].some(metric => query.metrics.includes(metric));
+        const inherited = context.metrics.filter(metric => !query.metrics.includes(metric)
+            && !(restatesPolarity && ['growth', 'decline'].includes(metric)));
+
+        Object.assign(merged, {
+            metrics: [...inherited, ...query.metrics],
+            polarity: restatesPolarity ? query.polarity : context.polarity,
+            order: query.order || context.order,
+            limit: query.limit || context.limit,
+            filters: [
+                ...context.filters.filter(filter => !query.filters.some(restated => restated.field === filter.field
+                    && restated.operator === filter.operator)),
+                ...query.filters
+            ],
+            entities: hasEntities || subject !== context.subject ? query.entities : context.entities
+        });
+    }
+
+    const referenced = (context.referenced || {})[subject] || [];
+    if (refersBack && referenced.length > 0) {
+        merged.scope = { subject, names: referenced };
+    }
+
+    return merged;
+};
+
+/**
+ * Build the intents a parsed question asks for
+ * @param {Object} query - Parsed query (without intents)
+ * @returns {Array} Intents ({ type, ... })
+ */
+const buildIntents = (query) => {
+    const { subject, metrics, entities, polarity, order, limit, filters, periods, scope } = query;
+    const has = metric => metrics.includes(metric);
+    // Names the question refers back to ("the ones that churned"), for intents about the same subject
+    const scoped = subject => (scope && scope.subject === subject ? { scope: scope.names } : {});
+    const intents = [];
+
+    ENTITY_TYPES.forEach(entityType => {
+        entities[entityType].forEach(name => intents.push({ type: 'lookup', entityType, name }));
+    });
+
+    const movementMetrics = ['newRevenue', 'expansion', 'churn', 'contraction'].filter(has);
+    const isBridge = has('bridge') || movementMetrics.length >= 2;
+    if (isBridge) intents.push({ type: 'bridge', limit: limit || settings.bridgeDriverLimit });
+    if (has('churn') && !isBridge) intents.push({ type: 'churn', limit: limit || settings.defaultLimit, ...scoped('customers') });
+    if (has('retention')) intents.push({ type: 'retention' });
+
+    const wantsConcentration = has('concentration')
+        || (has('share') && subject === 'customers')
+        || (has('risk') && intents.every(intent => intent.type === 'lookup'));
+    if (wantsConcentration) {
+        intents.push({
+            type: 'concentration',
+            subject: subject === 'countries' ? 'countries' : 'customers',
+            limit: limit || settings.defaultLimit
+        });
+    }
+
+    const isComparison = periods.length >= 2;
+    if (has('trend') && !isComparison) intents.push({ type: 'trend' });
+
+    // Rankings: a subject without a lookup of that subject, unless another intent already answers it
+    const answered = intents.some(intent => ['churn', 'concentration'].includes(intent.type)
+        && (intent.subject || 'customers') === subject);
+    const rankingAsked = order || limit || filters.length > 0 || polarity
+        || has('revenue') || has('change') || has('share') || intents.length === 0;
+    if (subject && entities[subject].length === 0 && !answered && !isBridge && rankingAsked) {
+        let metric = 'revenue';
+        if (subject !== 'customers' && has('share')) metric = 'share';
+        else if (has('percentage') && (polarity || has('change'))) metric = 'percentageVariance';
+        else if (polarity || has('change')) metric = 'variance';
+
+        intents.push({
+            type: 'ranking',
+            subject,
+            metric,
+            // "top"/"most" means the largest change in the asked direction: the biggest decline sorts ascending
+            order: (polarity === 'negative') === (order === 'bottom') ? 'desc' : 'asc',
+            limit: limit || settings.defaultLimit,
+            growthStatus: polarity,
+            filters,
+            ...scoped(subject)
+        });
+    }
+
+    // Period totals: for questions about revenue or change overall, or comparisons no other intent covers
+    const looksUpCustomers = intents.some(intent => intent.type === 'lookup' && intent.entityType === 'customers');
+    if (intents.length === 0 && (periods.length > 0 || polarity || has('change') || has('revenue'))) {
+        intents.push({ type: 'comparison' });
+    } else if (isComparison && !looksUpCustomers && !intents.some(intent => intent.type === 'ranking')) {
+        intents.push({ type: 'comparison' });
+    }
+
+    if (intents.length === 0) intents.push({ type: 'overview' });
+    return intents;
+};
+
+/**
+ * Parse a question
+ * @param {string} text - Question
+ * @param {Object} vocabulary - Known names and periods
+ * @param {Array<string>} vocabulary.customers - Customer names
+ * @param {Array<string>} vocabulary.countries - Country names
+ * @param {Array<string>} vocabulary.regions - Region names
+ * @param {Array<string>} vocabulary.periods - Available period keys
+ * @param {Object} context - Context of the previous question in a chat session (see applyContext), if any
+ * @returns {Object} Parsed query ({ subject, metrics, polarity, order, limit, filters, periods, unknownPeriods,
+ *                   entities, followUp, scope, intents })
+ */
+const parseQuery = (text, vocabulary = {}, context = null) => {
+    const normalized = normalizeText(text);
+    const { entities, text: remaining } = matchEntities(normalized, vocabulary);
+    const { periods, unknown } = matchPeriods(remaining, vocabulary.periods);
+
+    const metrics = matchMetrics(remaining);
+    const hasGrowth = metrics.growth !== undefined;
+    const hasDecline = metrics.decline !== undefined;
+
+    const orderMatches = Object.entries(ORDERING)
+        .map(([direction, pattern]) => ({ direction, match: findAll(remaining, pattern)[0] }))
+        .filter(item => item.match)
+        .sort((a, b) => a.match.index - b.match.index);
+
+    const query = applyContext({
+        subject: matchSubject(remaining, entities),
+        metrics: Object.keys(metrics).sort((a, b) => metrics[a] - metrics[b]),
+        polarity: hasGrowth === hasDecline ? null : (hasDecline ? 'negative' : 'positive'),
+        order: orderMatches.length > 0 ? orderMatches[0].direction : null,
+        limit: matchLimit(remaining),
+        filters: matchFilters(remaining),
+        periods,
+        unknownPeriods: unknown,
+        entities
+    }, remaining, context);
+
+    return {
+        ...query,
+        intents: buildIntents(query)
+    };
+};
+
+module.exports = {
+    normalizeText,
+    parseQuery
+};
@@ -0,0 +1,150 @@
+/**
+ * Report rendering
+ * Turns a generated report ({ title, subtitle, snapshot, sections, checksum }, see services/reportsService.js)
+ * into Markdown or a standalone HTML page. Sentences are numbered across the report; each number points to a
+ * "Sources" table listing the service call, figures and thresholds behind the sentence.
+ */
+
+const { transformData } = require('./responseHandler');
+
+/**
+ * Escape text for Markdown
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_[\]<>|#])/g, '\\$1');
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Format the figures or thresholds of a sentence ("toRevenue = 16707232.02; gini = 0.709")
+ * @param {Object} values - Values by name
+ * @returns {string} Formatted values, "—" when there are none
+ */
+const formatValues = (values) => {
+    const entries = Object.entries(values || {});
+    if (entries.length === 0) return '—';
+    return entries
+        // Ratios below 1 (such as the Gini coefficient) keep a third decimal
+        .map(([name, value]) => `${name} = ${typeof value === 'number' ? transformData.roundToDecimals(value, Math.abs(value) < 1 ? 3 : 2) : value}`)
+        .join('; ');
+};
+
+/**
+ * Number the sentences of a report across its sections
+ * @param {Object} report - Generated report
+ * @returns {Array} Sections with numbered sentences ({ number, text, source, figures, thresholds })
+ */
+const numberSentences = (report) => {
+    let number = 0;
+    return report.sections.map(section => ({
+        ...section,
+        sentences: section.sentences.map(item => ({ ...item, number: ++number }))
+    }));
+};
+
+/**
+ * Describe the dataset snapshot of a report
+ * @param {Object} report - Generated report
+ * @returns {string} Snapshot line
+ */
+const describeSnapshot = (report) => (report.snapshot
+    ? `Dataset snapshot v${report.snapshot.version}, imported ${report.snapshot.createdAt}.`
+    : 'Dataset without snapshot (no import has been made yet).');
+
+/**
+ * Render a report as Markdown
+ * @param {Object} report - Generated report
+ * @returns {string} Markdown document
+ */
+const renderMarkdown = (report) => {
+    const sections = numberSentences(report);
+    const lines = [`# ${escapeMarkdown(report.title)}`, ''];
+
+    if (report.subtitle) lines.push(`*${escapeMarkdown(report.subtitle)}*`, '');
+    lines.push(`${escapeMarkdown(describeSnapshot(report))} Checksum \`${report.checksum}\`.`, '');
+
+    sections.forEach((section, index) => {
+        lines.push(`## ${index + 1}. ${escapeMarkdown(section.title)}`, '');
+        lines.push(section.sentences.map(item => `${escapeMarkdown(item.text)} [${item.number}]`).join(' '), '');
+    });
+
+    lines.push('## Sources', '', '| # | Source | Figures | Thresholds |', '|---|---|---|---|');
+    sections.forEach(section => section.sentences.forEach(item => {
+        lines.push(`| ${item.number} | ${escapeMarkdown(item.source)} | ${escapeMarkdown(formatValues(item.figures))} | ${escapeMarkdown(formatValues(item.thresholds))} |`);
+    }));
+
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Render a report as a standalone HTML page
+ * @param {Object} report - Generated report
+ * @returns {string} HTML document
+ */
+const renderHtml = (report) => {
+    const sections = numberSentences(report);
+    const body = [
+        `<h1>${escapeHtml(report.title)}</h1>`,
+        report.subtitle ? `<p class="subtitle">${escapeHtml(report.subtitle)}</p>` : '',
+        `<p class="meta">${escapeHtml(describeSnapshot(report))} Checksum <code>${escapeHtml(report.checksum)}</code>.</p>`,
+        ...sections.map((section, index) => [
+            `<section id="${escapeHtml(section.key)}">`,
+            `<h2>${index + 1}. ${escapeHtml(section.title)}</h2>`,
+            `<p>${section.sentences.map(item => `<span id="sentence-${item.number}">${escapeHtml(item.text)}<sup><a href="#source-${item.number}">${item.number}</a></sup></span>`).join(' ')}</p>`,
+            '</section>'
+        ].join('\n')),
+        '<section id="sources">',
+        '<h2>Sources</h2>',
+        '<table>',
+        '<thead><tr><th>#</th><th>Source</th><th>Figures</th><th>Thresholds</th></tr></thead>',
+        '<tbody>',
+        ...sections.flatMap(section => section.sentences.map(item => `<tr id="source-${item.number}"><td><a href="#sentence-${item.number}">${item.number}</a></td><td>${escapeHtml(item.source)}</td><td>${escapeHtml(formatValues(item.figures))}</td><td>${escapeHtml(formatValues(item.thresholds))}</td></tr>`)),
+        '</tbody>',
+        '</table>',
+        '</section>'
+    ].filter(Boolean);
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(report.title)}</title>`,
+        '<style>',
+        'body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #1f2933; line-height: 1.6; }',
+        '.subtitle { font-size: 1.1rem; color: #52606d; margin-top: -0.5rem; }',
+        '.meta { font-size: 0.85rem; color: #7b8794; }',
+        'sup a { text-decoration: none; font-size: 0.7rem; margin-left: 0.1rem; }',
+        'table { border-collapse: collapse; width: 100%; font-size: 0.8rem; }',
+        'th, td { border: 1px solid #d9e2ec; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }',
+        '</style>',
+        '</head>',
+        '<body>',
+        '<article>',
+        ...body,
+        '</article>',
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+};
+
+module.exports = {
+    escapeMarkdown,
+    escapeHtml,
+    formatValues,
+    numberSentences,
+    renderMarkdown,
+    renderHtml
+};
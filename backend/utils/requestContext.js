@@ -0,0 +1,28 @@
+/**
+ * Request context
+ * Carries request-scoped state (such as the dataset snapshot being read) through async service calls
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Get the current request context
+ * @returns {Object} Context values for the running request (empty object outside a request)
+ */
+const getRequestContext = () => storage.getStore() || {};
+
+/**
+ * Run a function with additional context values.
+ * Values are merged over the current context so nested scopes inherit the outer ones.
+ * @param {Object} values - Context values to set
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+const runWithContext = (values, fn) => storage.run({ ...getRequestContext(), ...values }, fn);
+
+module.exports = {
+    getRequestContext,
+    runWithContext
+};
@@ -90,6 +90,28 @@ const paginatedResponse = (res, data, page, limit, total, message = 'Data retrie
     }
 };
 
+/**
+ * File response handler (PDF exports and other downloads)
+ * @param {Object} res - Express response object
+ * @param {Buffer|string} content - File content
+ * @param {string} contentType - Media type
+ * @param {string} filename - File name offered to the client
+ * @param {boolean} inline - Let browsers display the file instead of downloading it
+ */
+const fileResponse = (res, content, contentType, filename, inline = false) => {
+    try {
+        // Only plain characters go in the header; the file name is derived from data such as customer names
+        const safeName = filename.replace(/[^A-Za-z0-9._-]+/g, '-');
+        res.status(200)
+            .type(contentType)
+            .set('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${safeName}"`)
+            .send(content);
+    } catch (error) {
+        console.error('Error in fileResponse:', error);
+        errorResponse(res, 500, 'Error creating file response');
+    }
+};
+
 /**
  * Data transformation utilities
  */
@@ -147,5 +169,6 @@ module.exports = {
     successResponse,
     errorResponse,
     paginatedResponse,
+    fileResponse,
     transformData
 }; 
\ No newline at end of file
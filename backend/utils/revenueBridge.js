@@ -0,0 +1,101 @@
+/**
+ * Revenue bridge utilities
+ * Turns revenue bridge rows (dataset B) into per-customer movements between the two bridge periods:
+ *   end = start + new + expansion - churn - contraction
+ *
+ * Dataset B repeats a churned customer's loss in its contraction column, so the contraction already
+ * covered by churn is dropped here and every consumer of the bridge counts each loss once. The data quality
+ * reconciliation reads the stored movements instead (`raw`) to report that overlap.
+ */
+
+const databaseConfig = require('../config/database');
+const { toPeriodRows, comparePeriods } = require('./periods');
+
+// Movement types in waterfall order. Churn and contraction are stored as positive magnitudes.
+// `label` names the waterfall step; `noun` names the movement in written insights.
+const BRIDGE_MOVEMENTS = {
+    new: { column: 'New Revenue', field: 'newRevenue', label: 'New', noun: 'new business', direction: 1 },
+    expansion: { column: 'Expansion Revenue', field: 'expansionRevenue', label: 'Expansion', noun: 'expansion', direction: 1 },
+    churn: { column: 'Churned Revenue', field: 'churnedRevenue', label: 'Churn', noun: 'churn', direction: -1 },
+    contraction: { column: 'Contraction Revenue', field: 'contractionRevenue', label: 'Contraction', noun: 'contraction', direction: -1 }
+};
+
+/**
+ * Get the part of a churned customer's contraction that repeats its churn: together they cannot
+ * exceed the revenue the customer started with
+ * @param {Object} customer - Customer movements ({ startRevenue, churnedRevenue, contractionRevenue })
+ * @returns {number} Repeated contraction (0 when the customer did not churn)
+ */
+const getRepeatedContraction = (customer) => {
+    if (customer.churnedRevenue <= 0) return 0;
+    const remaining = Math.max(0, customer.startRevenue - customer.churnedRevenue);
+    return Math.max(0, customer.contractionRevenue - remaining);
+};
+
+/**
+ * Build per-customer bridge movements.
+ * Rows sharing a customer name are added together; the bridge runs between the last two periods present.
+ * @param {Array} rows - Revenue bridge rows
+ * @param {Object} options - { raw }: keep the stored contraction, including the part that repeats churn
+ * @returns {Object} { startPeriod, endPeriod, customers }
+ */
+const buildCustomerBridge = (rows, { raw = false } = {}) => {
+    const periodRows = rows.map(row => toPeriodRows(row, { defaultYear: databaseConfig.timeSeries.defaultYear }));
+    const periods = Array.from(new Set(periodRows.flat().map(row => row.period))).sort(comparePeriods);
+    const startPeriod = periods[periods.length - 2] || null;
+    const endPeriod = periods[periods.length - 1] || null;
+
+    const customers = new Map();
+
+    rows.forEach((row, index) => {
+        const customerName = row['Customer Name'];
+        if (customerName === undefined || customerName === null) return;
+
+        const customer = customers.get(String(customerName)) || {
+            customerName: String(customerName),
+            startRevenue: 0,
+            endRevenue: 0,
+            ...Object.values(BRIDGE_MOVEMENTS).reduce((fields, movement) => {
+                fields[movement.field] = 0;
+                return fields;
+            }, {})
+        };
+
+        periodRows[index].forEach(periodRow => {
+            if (periodRow.period === startPeriod) customer.startRevenue += periodRow.revenue;
+            if (periodRow.period === endPeriod) customer.endRevenue += periodRow.revenue;
+        });
+        Object.values(BRIDGE_MOVEMENTS).forEach(movement => {
+            customer[movement.field] += Math.abs(row[movement.column] || 0);
+        });
+
+        customers.set(customer.customerName, customer);
+    });
+
+    return {
+        startPeriod,
+        endPeriod,
+        customers: Array.from(customers.values()).map(customer => {
+            if (!raw) customer.contractionRevenue -= getRepeatedContraction(customer);
+            const netMovement = Object.values(BRIDGE_MOVEMENTS)
+                .reduce((sum, movement) => sum + movement.direction * customer[movement.field], 0);
+            const expectedEndRevenue = customer.startRevenue + netMovement;
+
+            return {
+                ...customer,
+                netMovement,
+                netChange: customer.endRevenue - customer.startRevenue,
+                expectedEndRevenue,
+                // Change the bridge components do not account for
+                residual: customer.endRevenue - expectedEndRevenue,
+                movementTypes: Object.keys(BRIDGE_MOVEMENTS).filter(type => customer[BRIDGE_MOVEMENTS[type].field] !== 0)
+            };
+        })
+    };
+};
+
+module.exports = {
+    BRIDGE_MOVEMENTS,
+    getRepeatedContraction,
+    buildCustomerBridge
+};
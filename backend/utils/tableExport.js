@@ -0,0 +1,231 @@
+/**
+ * Table exports
+ * Streams list rows as CSV or XLSX. Rows are read one page at a time and written as soon as they arrive, so an
+ * export covers every matching row without holding the whole list in memory. Scheduled reports render the same
+ * files into a buffer. XLSX files are written with the
+ * ExcelJS streaming writer (the xlsx package used for imports can only build a workbook in memory).
+ */
+
+const { Writable } = require('stream');
+const { finished } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const exportsConfig = require('../config/exports');
+const { transformData } = require('./responseHandler');
+const { FORMAT_TYPES } = require('../middleware/format');
+
+// Formatted companion column of each numeric type
+const FORMATTERS = {
+    currency: transformData.formatCurrency,
+    percentage: transformData.formatPercentage
+};
+
+// Excel number formats of the raw numeric columns (percentages are stored as 12.34, not 0.1234)
+const NUMBER_FORMATS = {
+    number: '#,##0.##',
+    currency: '"$"#,##0.00',
+    percentage: '0.00"%"'
+};
+
+/**
+ * Expand configured columns into file columns: each currency and percentage column is followed by its
+ * formatted version
+ * @param {Array} columns - Configured columns ({ field, header, type })
+ * @param {Array|null} fields - Fields selected with ?fields= (null keeps every column)
+ * @returns {Array} File columns ({ key, header, type, value(row) })
+ */
+const expandColumns = (columns, fields = null) => columns
+    .filter(column => !fields || fields.length === 0 || fields.includes(column.field))
+    .flatMap(column => {
+        const raw = {
+            key: column.field,
+            header: column.header,
+            type: column.type,
+            value: (row) => {
+                const value = row[column.field];
+                if (value === null || value === undefined) return null;
+                return Array.isArray(value) ? value.join(', ') : value;
+            }
+        };
+        const formatter = FORMATTERS[column.type];
+        if (!formatter) return [raw];
+
+        return [raw, {
+            key: `${column.field}Formatted`,
+            header: `${column.header} (formatted)`,
+            type: 'formatted',
+            value: (row) => (row[column.field] === null || row[column.field] === undefined ? null : formatter(row[column.field]))
+        }];
+    });
+
+/**
+ * Write one CSV cell (RFC 4180 quoting). Text that a spreadsheet would run as a formula is prefixed with a quote.
+ * @param {*} value - Cell value
+ * @param {string} type - Column type (optional)
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value, type = null) => {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (type === 'text' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Wait until a stream can take more data (or the client has gone)
+ * @param {Object} stream - Writable stream
+ * @returns {Promise<void>} Resolves on 'drain' or 'close'
+ */
+const waitForDrain = (stream) => new Promise(resolve => {
+    const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+});
+
+/**
+ * Create a CSV writer. The file starts with a byte order mark so that spreadsheet applications read it as UTF-8.
+ * @param {Object} stream - Writable stream (an Express response or a buffer)
+ * @param {Array} columns - File columns
+ * @returns {Object} Writer ({ writeRows(rows), end() })
+ */
+const createCsvWriter = (stream, columns) => {
+    const toLine = (cells) => `${cells.join(',')}\r\n`;
+    stream.write(`\uFEFF${toLine(columns.map(column => toCsvCell(column.header)))}`);
+
+    return {
+        writeRows: async (rows) => {
+            const chunk = rows.map(row => toLine(columns.map(column => toCsvCell(column.value(row), column.type)))).join('');
+            if (!stream.write(chunk)) await waitForDrain(stream);
+        },
+        end: async () => {
+            stream.end();
+        }
+    };
+};
+
+/**
+ * Create an XLSX writer (one worksheet, header row frozen, raw numbers with number formats)
+ * @param {Object} stream - Writable stream (an Express response or a buffer)
+ * @param {Array} columns - File columns
+ * @param {string} sheetName - Worksheet name
+ * @returns {Object} Writer ({ writeRows(rows), end() })
+ */
+const createXlsxWriter = (stream, columns, sheetName) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: column.type === 'text' ? 30 : Math.max(14, column.header.length + 2),
+        ...(NUMBER_FORMATS[column.type] && { style: { numFmt: NUMBER_FORMATS[column.type] } })
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    return {
+        writeRows: async (rows) => {
+            rows.forEach(row => {
+                sheet.addRow(columns.reduce((values, column) => {
+                    values[column.key] = column.value(row);
+                    return values;
+                }, {})).commit();
+            });
+        },
+        end: async () => {
+            sheet.commit();
+            await workbook.commit();
+        }
+    };
+};
+
+/**
+ * Write every page of a table to a stream, starting with a page that has already been read
+ * @param {Object} stream - Writable stream (ended when the file is complete)
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {Object} table - Table ({ sheet, columns, fields, readPage })
+ * @param {Object} firstPage - First page ({ items, total })
+ * @returns {Promise<void>} Resolves once the file is written
+ */
+const writeTable = async (stream, format, { sheet, columns, fields = null, readPage }, firstPage) => {
+    const { batchSize } = exportsConfig;
+    const fileColumns = expandColumns(columns, fields);
+    const writer = format === 'xlsx' ? createXlsxWriter(stream, fileColumns, sheet) : createCsvWriter(stream, fileColumns);
+
+    let page = 1;
+    let { items, total } = firstPage;
+    await writer.writeRows(items);
+    while (page * batchSize < total && !stream.destroyed) {
+        page += 1;
+        ({ items, total } = await readPage(page, batchSize));
+        await writer.writeRows(items);
+    }
+    await writer.end();
+};
+
+/**
+ * Get the file name of a table export
+ * @param {Object} table - Table ({ filename })
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {string} File name with only plain characters
+ */
+const getTableFilename = (table, format) => `${table.filename}.${format}`.replace(/[^A-Za-z0-9._-]+/g, '-');
+
+/**
+ * Stream a table as CSV or XLSX.
+ * The first page is read before anything is sent, so a failing query is still answered with a regular JSON error
+ * by the caller; a failure after that can only abort the download.
+ * @param {Object} res - Express response object
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {Object} table - Table ({ filename, sheet, columns, fields, readPage(page, limit) → { items, total } })
+ * @returns {Promise<void>} Resolves once the file is written
+ */
+const tableResponse = async (res, format, table) => {
+    const firstPage = await table.readPage(1, exportsConfig.batchSize);
+
+    res.status(200)
+        .type(FORMAT_TYPES[format])
+        .set('Content-Disposition', `attachment; filename="${getTableFilename(table, format)}"`);
+
+    try {
+        await writeTable(res, format, table, firstPage);
+    } catch (error) {
+        console.error('Error in tableResponse:', error);
+        res.destroy(error);
+    }
+};
+
+/**
+ * Render a table as a CSV or XLSX file in memory (attachments of scheduled reports)
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {Object} table - Table ({ filename, sheet, columns, fields, readPage })
+ * @returns {Promise<Object>} { filename, contentType, content (Buffer) }
+ */
+const renderTable = async (format, table) => {
+    const chunks = [];
+    const sink = new Writable({
+        write: (chunk, encoding, callback) => {
+            chunks.push(Buffer.from(chunk, encoding));
+            callback();
+        }
+    });
+
+    await writeTable(sink, format, table, await table.readPage(1, exportsConfig.batchSize));
+    await finished(sink);
+
+    return {
+        filename: getTableFilename(table, format),
+        contentType: FORMAT_TYPES[format],
+        content: Buffer.concat(chunks)
+    };
+};
+
+module.exports = {
+    tableResponse,
+    renderTable
+};
@@ -0,0 +1,221 @@
+const { isDeepStrictEqual } = require('util');
+const databaseConfig = require('../backend/config/database');
+const { getStorage } = require('../backend/database/storage');
+const { getActiveSnapshot, invalidateActiveSnapshot } = require('../backend/database/snapshotRegistry');
+const { parseListQuery } = require('../backend/utils/listQuery');
+const {
+    countriesService,
+    customersService,
+    regionsService,
+    revenueService,
+    analyticsService,
+    dataQualityService
+} = require('../backend/services');
+
+/**
+ * Storage backend conformance check.
+ * Runs the service functions behind the API against two storage adapters loaded with the same data
+ * and reports every response that differs.
+ *
+ * Usage: node database/conformance.js [adapterA] [adapterB]   (default: mongodb sqlite)
+ * Load both backends first (npm run setup-db and npm run migrate-sql). `npm test` in backend runs the same
+ * check against a freshly migrated SQLite file, with MongoDB as the reference when it is reachable (loaded into
+ * a temporary database) and the in-memory store otherwise.
+ */
+
+// Fields holding generation times or snapshot versions, which legitimately differ between runs and backends
+// (the backends are checked to serve the same dataset files instead)
+const VOLATILE_FIELDS = new Set(['generatedAt', 'timestamp', 'createdAt', 'updatedAt', 'activatedAt', 'snapshot']);
+
+// Floating-point sums may differ in the last bits because each backend uses its own summation algorithm
+const RELATIVE_TOLERANCE = 1e-9;
+
+const listQuery = (listName, query) => {
+    const { listQuery: parsed, errors } = parseListQuery(query, listName);
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${listName} query: ${errors.join('; ')}`);
+    }
+    return parsed;
+};
+
+const cases = [
+    ['countries.getTopCountriesByRevenue', () => countriesService.getTopCountriesByRevenue(5)],
+    ['countries.getRevenueShareByCountry', () => countriesService.getRevenueShareByCountry()],
+    ['countries.getCountryConcentrationRisk', () => countriesService.getCountryConcentrationRisk()],
+    ['countries.getAllCountries', () => countriesService.getAllCountries()],
+    ['countries.getAllCountries (filtered)', () => countriesService.getAllCountries(
+        listQuery('countries', { 'yearlyRevenue': { gt: '1000000' }, sort: 'countryName' })
+    )],
+    ['countries.getCountryByName', () => countriesService.getCountryByName('Germany')],
+    ['regions.getAllRegions', () => regionsService.getAllRegions()],
+    ['regions.getRegionByName', () => regionsService.getRegionByName('EMEA')],
+    ['regions.getRegionsSummary', () => regionsService.getRegionsSummary()],
+    ['customers.getCustomerConcentration', () => customersService.getCustomerConcentration(
+        listQuery('customerConcentration', { limit: '5', page: '2' })
+    )],
+    ['customers.getCustomerConcentrationRisk', () => customersService.getCustomerConcentrationRisk()],
+    ['customers.getCustomerAnalysis', () => customersService.getCustomerAnalysis()],
+    ['customers.getCustomerAnalysis (filtered)', () => customersService.getCustomerAnalysis({
+        minRevenue: 50000,
+        listQuery: listQuery('customerAnalysis', { variance: { gt: '0' }, sort: '-variance', limit: '10' })
+    })],
+    ['customers.getCustomerByName', () => customersService.getCustomerByName('Sonos - USA')],
+    ['customers.getCustomerStatistics', () => customersService.getCustomerStatistics()],
+    ['revenue.getAvailablePeriods', () => revenueService.getAvailablePeriods()],
+    ['revenue.getRevenueSummary', () => revenueService.getRevenueSummary()],
+    ['revenue.getQuarterlyRevenue', () => revenueService.getQuarterlyRevenue()],
+    ['revenue.getTopGrowthCustomers', () => revenueService.getTopGrowthCustomers(5)],
+    ['revenue.getRevenueBridgeData', () => revenueService.getRevenueBridgeData()],
+    ['revenue.getBridgeCustomers', () => revenueService.getBridgeCustomers({ movements: ['churn'] })],
+    ['revenue.getBridgeWaterfall', () => revenueService.getBridgeWaterfall()],
+    ['revenue.getRetentionMetrics', () => revenueService.getRetentionMetrics()],
+    ['analytics.getDashboardSummary', () => analyticsService.getDashboardSummary()],
+    ['analytics.analyzeData', () => analyticsService.analyzeData('Which customers churned and how concentrated is revenue?')],
+    ['dataQuality.getReconciliationReport', () => dataQualityService.getReconciliationReport({ limit: 5 })],
+    ['dataQuality.getDataProfile', () => dataQualityService.getDataProfile()]
+];
+
+/**
+ * Normalize a response for comparison (drops volatile fields, turns dates into ISO strings)
+ * @param {*} value - Response
+ * @returns {*} Normalized value
+ */
+const normalize = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).reduce((result, key) => {
+            if (!VOLATILE_FIELDS.has(key)) result[key] = normalize(value[key]);
+            return result;
+        }, {});
+    }
+    return value;
+};
+
+/**
+ * Find the first difference between two normalized values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {string} path - Path of the values
+ * @returns {string|null} Description of the difference or null when they match
+ */
+const findDifference = (a, b, path = '$') => {
+    if (typeof a === 'number' && typeof b === 'number') {
+        const scale = Math.max(Math.abs(a), Math.abs(b), 1);
+        return Math.abs(a - b) <= scale * RELATIVE_TOLERANCE ? null : `${path}: ${a} !== ${b}`;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        if (a.length !== b.length) return `${path}: length ${a.length} !== ${b.length}`;
+        for (let index = 0; index < a.length; index++) {
+            const difference = findDifference(a[index], b[index], `${path}[${index}]`);
+            if (difference) return difference;
+        }
+        return null;
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object' && !Array.isArray(a) && !Array.isArray(b)) {
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        if (!isDeepStrictEqual(keysA, keysB)) return `${path}: keys [${keysA.join(', ')}] !== [${keysB.join(', ')}]`;
+        for (const key of keysA) {
+            const difference = findDifference(a[key], b[key], `${path}.${key}`);
+            if (difference) return difference;
+        }
+        return null;
+    }
+    return isDeepStrictEqual(a, b) ? null : `${path}: ${JSON.stringify(a)} !== ${JSON.stringify(b)}`;
+};
+
+/**
+ * Run every case against one storage adapter
+ * @param {string} adapter - Adapter name
+ * @returns {Promise<Object>} { checksums, results } where results maps case names to { value } or { error }
+ */
+async function runAgainst(adapter) {
+    databaseConfig.storage.adapter = adapter;
+    invalidateActiveSnapshot();
+
+    try {
+        const snapshot = await getActiveSnapshot(await getStorage().getDatabase());
+        const checksums = snapshot
+            ? snapshot.datasets.map(dataset => `${dataset.dataset}:${dataset.checksum}`).sort()
+            : [];
+
+        const results = {};
+        for (const [name, run] of cases) {
+            try {
+                results[name] = { value: normalize(await run()) };
+            } catch (error) {
+                results[name] = { error: error.message };
+            }
+        }
+        return { checksums, results };
+    } finally {
+        await getStorage().close();
+        invalidateActiveSnapshot();
+    }
+}
+
+/**
+ * Run every case against two storage adapters and compare the responses
+ * @param {string} adapterA - First adapter name
+ * @param {string} adapterB - Second adapter name
+ * @returns {Promise<Object>} { sameData, results } where results lists { name, difference } per case
+ *                            (difference is null when the responses match)
+ */
+async function compareAdapters(adapterA, adapterB) {
+    const a = await runAgainst(adapterA);
+    const b = await runAgainst(adapterB);
+
+    return {
+        sameData: findDifference(a.checksums, b.checksums) === null,
+        results: cases.map(([name]) => ({ name, difference: findDifference(a.results[name], b.results[name]) }))
+    };
+}
+
+/**
+ * Main conformance function
+ */
+async function runConformance() {
+    const [adapterA = 'mongodb', adapterB = 'sqlite'] = process.argv.slice(2);
+    try {
+        console.log(`🚀 Comparing storage adapters '${adapterA}' and '${adapterB}'...`);
+
+        const { sameData, results } = await compareAdapters(adapterA, adapterB);
+
+        if (!sameData) {
+            console.error('❌ The backends do not serve the same dataset files; load both from the same Data Source first');
+            process.exitCode = 1;
+            return;
+        }
+
+        let failures = 0;
+        results.forEach(({ name, difference }) => {
+            if (difference) {
+                failures++;
+                console.error(`❌ ${name}: ${difference}`);
+            } else {
+                console.log(`✅ ${name}`);
+            }
+        });
+
+        if (failures > 0) {
+            console.error(`❌ ${failures} of ${cases.length} checks differ`);
+            process.exitCode = 1;
+        } else {
+            console.log(`🎉 All ${cases.length} checks returned identical responses`);
+        }
+    } catch (error) {
+        console.error('❌ Conformance check failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+// Run the check if this file is executed directly
+if (require.main === module) {
+    runConformance();
+}
+
+module.exports = {
+    compareAdapters,
+    runConformance
+};
@@ -0,0 +1,74 @@
+const path = require('path');
+const databaseConfig = require('../backend/config/database');
+const sqliteStorage = require('../backend/database/storage/sqliteStorage');
+const { prepareDataSource, importDatasets } = require('../backend/database/datasetLoader');
+
+/**
+ * SQL counterpart of database/setup.js.
+ * Opening the SQLite database applies the schema migrations (tables and the indexes from
+ * config/database.js); the Data Source files are then imported as a new snapshot.
+ *
+ * Usage: node database/migrate-sql.js [--schema-only]
+ */
+
+/**
+ * Import the Data Source files as a new snapshot
+ * @param {Object} db - SQL database
+ * @returns {Promise<Object>} Activated snapshot
+ */
+async function importDataSource(db) {
+    try {
+        console.log('📊 Importing Data Source...');
+
+        const prepared = await prepareDataSource(path.join(__dirname, '..', 'Data Source'));
+        const snapshot = await importDatasets(db, prepared, { source: 'setup' });
+
+        prepared.forEach(({ definition, report }) => {
+            console.log(`✅ ${definition.name} (${report.collection}): ${report.rowsImported} rows inserted`);
+            if (report.rowsRejected > 0) {
+                console.warn(`⚠️  ${definition.name}: ${report.rowsRejected} rows rejected`);
+            }
+        });
+
+        return snapshot;
+    } catch (error) {
+        console.error('❌ Error importing Data Source:', error);
+        throw error;
+    }
+}
+
+/**
+ * Main migration function
+ */
+async function migrateDatabase() {
+    const schemaOnly = process.argv.includes('--schema-only');
+    try {
+        console.log('🚀 Starting SQL migration...');
+
+        const db = await sqliteStorage.getDatabase();
+
+        if (!schemaOnly) {
+            const snapshot = await importDataSource(db);
+            console.log(`🎉 Migration completed successfully! Active snapshot: v${snapshot.version}`);
+        } else {
+            console.log('🎉 Schema migration completed successfully!');
+        }
+        console.log(`📊 Database: ${databaseConfig.storage.sqlite.file}`);
+        console.log(`📋 Tables: ${db.listCollectionNames().join(', ')}`);
+    } catch (error) {
+        console.error('❌ SQL migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await sqliteStorage.close();
+    }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+    migrateDatabase();
+}
+
+module.exports = {
+    importDataSource,
+    migrateDatabase
+};
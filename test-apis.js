@@ -1,12 +1,14 @@
 /**
  * Simple API Test Script
- * Run with: node test-apis.js
+ * Run with: ADMIN_EMAIL=... ADMIN_PASSWORD=... node test-apis.js
  */
 
 const http = require('http');
 
 const BASE_URL = 'http://localhost:5000/api';
 
+let accessToken = null;
+
 const endpoints = [
     '/health',
     '/revenue/summary',
@@ -19,12 +21,45 @@ const endpoints = [
     '/analytics/metrics'
 ];
 
+async function login() {
+    return new Promise((resolve) => {
+        const body = JSON.stringify({ email: process.env.ADMIN_EMAIL, password: process.env.ADMIN_PASSWORD });
+        const req = http.request(`${BASE_URL}/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => {
+                try {
+                    const response = JSON.parse(data);
+                    if (response.success) {
+                        accessToken = response.data.accessToken;
+                        console.log(`✅ Logged in as ${response.data.user.email}\n`);
+                    } else {
+                        console.log(`❌ Login - Error: ${response.error || response.message}\n`);
+                    }
+                } catch (e) {
+                    console.log('❌ Login - Invalid JSON response\n');
+                }
+                resolve();
+            });
+        });
+        req.on('error', (err) => {
+            console.log(`❌ Login - Connection error: ${err.message}\n`);
+            resolve();
+        });
+        req.end(body);
+    });
+}
+
 async function testEndpoint(endpoint) {
     return new Promise((resolve) => {
         const url = `${BASE_URL}${endpoint}`;
         console.log(`Testing: ${url}`);
         
-        http.get(url, (res) => {
+        const headers = accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+        http.get(url, { headers }, (res) => {
             let data = '';
             res.on('data', (chunk) => data += chunk);
             res.on('end', () => {
@@ -49,6 +84,7 @@ async function testEndpoint(endpoint) {
 
 async function runTests() {
     console.log('🚀 Starting API Tests...\n');
+    await login();
     
     for (const endpoint of endpoints) {
         await testEndpoint(endpoint);